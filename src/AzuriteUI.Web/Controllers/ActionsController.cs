@@ -1,5 +1,7 @@
+using AzuriteUI.Web.Controllers.Models;
 using AzuriteUI.Web.Services.CacheSync;
 using Microsoft.AspNetCore.Mvc;
+using System.Net.Mime;
 
 namespace AzuriteUI.Web.Controllers;
 
@@ -7,11 +9,13 @@ namespace AzuriteUI.Web.Controllers;
 /// The controller that manages the dashboard endpoint at <c>/api/dashboard</c>.
 /// </summary>
 /// <param name="queueManager">The queue manager to use for managing background tasks.</param>
+/// <param name="syncTracker">The tracker that records the progress of cache synchronization.</param>
 /// <param name="logger">The logger to use for diagnostics and reporting.</param>
 [ApiController]
 [Route("api/actions")]
 public class ActionsController(
     IQueueManager queueManager,
+    ICacheSyncTracker syncTracker,
     ILogger<ActionsController> logger
 ) : ControllerBase
 {
@@ -31,4 +35,34 @@ public class ActionsController(
         var result = await queueManager.EnqueueWorkAsync(cancellationToken);
         return Accepted(result);
     }
-}
\ No newline at end of file
+
+    /// <summary>
+    /// Gets the status of cache synchronization: the queue, the progress of the synchronization in
+    /// progress, and the recently completed synchronizations.
+    /// </summary>
+    /// <returns>The status of cache synchronization.</returns>
+    [HttpGet("sync-cache")]
+    [EndpointName("GetSyncStatus")]
+    [EndpointDescription("Gets the status of cache synchronization, including the recently completed synchronizations.")]
+    [ProducesResponseType<SyncStatusResponse>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    public IActionResult GetSyncStatus()
+    {
+        logger.LogInformation("GetSyncStatus() called");
+
+        var currentRun = syncTracker.CurrentRun;
+        var history = syncTracker.History;
+        var lastRun = history.FirstOrDefault();
+
+        return Ok(new SyncStatusResponse
+        {
+            QueueSize = queueManager.QueueSize,
+            QueuedWorkIds = queueManager.QueuedItems.Select(work => work.Id).ToList(),
+            ActiveWorkId = queueManager.CurrentItem?.Id,
+            IsRunning = currentRun is not null,
+            CurrentRun = currentRun,
+            LastStartedAt = currentRun?.StartedAt ?? lastRun?.StartedAt,
+            LastFinishedAt = lastRun?.FinishedAt,
+            History = history
+        });
+    }
+}
@@ -1,5 +1,6 @@
 using AzuriteUI.Web.Controllers.Models;
 using AzuriteUI.Web.Services.Repositories;
+using AzuriteUI.Web.Services.Repositories.Models;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.OData.Routing.Controllers;
 using System.Net.Mime;
@@ -18,6 +19,16 @@ public class DashboardController(
     ILogger<DashboardController> logger
 ) : ControllerBase
 {
+    /// <summary>
+    /// The largest number of blobs that can be requested from the largest blobs endpoint.
+    /// </summary>
+    internal const int MaxLargestBlobs = 100;
+
+    /// <summary>
+    /// The longest period, in days, that can be requested from the storage growth endpoint.
+    /// </summary>
+    internal const int MaxGrowthDays = 90;
+
     /// <summary>
     /// The storage repository to use for data access.
     /// </summary>
@@ -49,4 +60,191 @@ public class DashboardController(
         DashboardResponse response = await Repository.GetDashboardDataAsync(cancellationToken);
         return Ok(response);
     }
+
+    /// <summary>
+    /// Retrieves the number and size of the blobs in each container
+    /// </summary>
+    /// <remarks>
+    /// The containers are returned largest first; containers with no matching blobs are left out.
+    /// </remarks>
+    /// <param name="family">If set, only blobs in this content type family are counted.</param>
+    /// <param name="age">If set, only blobs in this age bucket are counted.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>The usage of each container.</returns>
+    [HttpGet("containers")]
+    [EndpointName("GetContainerUsage")]
+    [EndpointDescription("Retrieves the number and size of the blobs in each container, optionally restricted to a content type family and an age bucket.")]
+    [Produces(MediaTypeNames.Application.Json)]
+    [ProducesResponseType<IList<StorageUsageInfo>>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public virtual async Task<IActionResult> GetContainerUsageAsync(
+        [FromQuery] string? family = null,
+        [FromQuery] string? age = null,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("GetContainerUsageAsync({Family}, {Age}) called", family, age);
+
+        if (!TryGetFamily(family, out ContentTypeFamily? contentTypeFamily, out string? error) || !TryGetAgeBucket(age, out AgeBucket? ageBucket, out error))
+        {
+            return BadRequest(error);
+        }
+
+        IList<StorageUsageInfo> response = await Repository.GetContainerUsageAsync(contentTypeFamily, ageBucket, cancellationToken);
+        return Ok(response);
+    }
+
+    /// <summary>
+    /// Retrieves the number and size of the blobs in each content type family
+    /// </summary>
+    /// <param name="age">If set, only blobs in this age bucket are counted.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>The usage of each content type family.</returns>
+    [HttpGet("content-types")]
+    [EndpointName("GetContentTypeUsage")]
+    [EndpointDescription("Retrieves the number and size of the blobs in each content type family, optionally restricted to an age bucket.")]
+    [Produces(MediaTypeNames.Application.Json)]
+    [ProducesResponseType<IList<StorageUsageInfo>>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public virtual async Task<IActionResult> GetContentTypeUsageAsync(
+        [FromQuery] string? age = null,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("GetContentTypeUsageAsync({Age}) called", age);
+
+        if (!TryGetAgeBucket(age, out AgeBucket? ageBucket, out string? error))
+        {
+            return BadRequest(error);
+        }
+
+        IList<StorageUsageInfo> response = await Repository.GetContentTypeUsageAsync(ageBucket, cancellationToken);
+        return Ok(response);
+    }
+
+    /// <summary>
+    /// Retrieves the number and size of the blobs in each age bucket
+    /// </summary>
+    /// <remarks>
+    /// The age of a blob is the time since it was last modified.
+    /// </remarks>
+    /// <param name="family">If set, only blobs in this content type family are counted.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>The usage of each age bucket.</returns>
+    [HttpGet("ages")]
+    [EndpointName("GetAgeUsage")]
+    [EndpointDescription("Retrieves the number and size of the blobs in each age bucket, optionally restricted to a content type family.")]
+    [Produces(MediaTypeNames.Application.Json)]
+    [ProducesResponseType<IList<StorageUsageInfo>>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public virtual async Task<IActionResult> GetAgeUsageAsync(
+        [FromQuery] string? family = null,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("GetAgeUsageAsync({Family}) called", family);
+
+        if (!TryGetFamily(family, out ContentTypeFamily? contentTypeFamily, out string? error))
+        {
+            return BadRequest(error);
+        }
+
+        IList<StorageUsageInfo> response = await Repository.GetAgeUsageAsync(contentTypeFamily, cancellationToken);
+        return Ok(response);
+    }
+
+    /// <summary>
+    /// Retrieves the largest blobs
+    /// </summary>
+    /// <param name="top">The number of blobs to return (1 to 100).</param>
+    /// <param name="family">If set, only blobs in this content type family are returned.</param>
+    /// <param name="age">If set, only blobs in this age bucket are returned.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>The largest blobs, largest first.</returns>
+    [HttpGet("largest-blobs")]
+    [EndpointName("GetLargestBlobs")]
+    [EndpointDescription("Retrieves the largest blobs, optionally restricted to a content type family and an age bucket.")]
+    [Produces(MediaTypeNames.Application.Json)]
+    [ProducesResponseType<IList<RecentBlobInfo>>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public virtual async Task<IActionResult> GetLargestBlobsAsync(
+        [FromQuery] int top = 10,
+        [FromQuery] string? family = null,
+        [FromQuery] string? age = null,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("GetLargestBlobsAsync({Top}, {Family}, {Age}) called", top, family, age);
+
+        if (top < 1 || top > MaxLargestBlobs)
+        {
+            return BadRequest($"Invalid top value. It must be between 1 and {MaxLargestBlobs}.");
+        }
+        if (!TryGetFamily(family, out ContentTypeFamily? contentTypeFamily, out string? error) || !TryGetAgeBucket(age, out AgeBucket? ageBucket, out error))
+        {
+            return BadRequest(error);
+        }
+
+        IList<RecentBlobInfo> response = await Repository.GetLargestBlobsAsync(top, contentTypeFamily, ageBucket, cancellationToken);
+        return Ok(response);
+    }
+
+    /// <summary>
+    /// Retrieves the growth of the storage over time
+    /// </summary>
+    /// <remarks>
+    /// A sample of the number of containers and blobs and the total size is recorded at the end of each
+    /// cache synchronization.  Long periods are thinned out to at most 200 samples.
+    /// </remarks>
+    /// <param name="days">The number of days to go back (1 to 90).</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>The storage samples, oldest first.</returns>
+    [HttpGet("growth")]
+    [EndpointName("GetStorageGrowth")]
+    [EndpointDescription("Retrieves the number of containers and blobs and the total size of the storage over time.")]
+    [Produces(MediaTypeNames.Application.Json)]
+    [ProducesResponseType<IList<StorageSampleInfo>>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public virtual async Task<IActionResult> GetStorageGrowthAsync(
+        [FromQuery] int days = 30,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("GetStorageGrowthAsync({Days}) called", days);
+
+        if (days < 1 || days > MaxGrowthDays)
+        {
+            return BadRequest($"Invalid days value. It must be between 1 and {MaxGrowthDays}.");
+        }
+
+        IList<StorageSampleInfo> response = await Repository.GetStorageGrowthAsync(TimeSpan.FromDays(days), cancellationToken: cancellationToken);
+        return Ok(response);
+    }
+
+    /// <summary>
+    /// Looks up the content type family named in a query parameter.
+    /// </summary>
+    /// <param name="key">The value of the query parameter.</param>
+    /// <param name="family">On return, the family, or null if no family was requested.</param>
+    /// <param name="error">On return, the reason the value is not valid.</param>
+    /// <returns>true if the value is empty or names a family; false otherwise.</returns>
+    internal static bool TryGetFamily(string? key, out ContentTypeFamily? family, out string? error)
+    {
+        family = string.IsNullOrEmpty(key) ? null : ContentTypeFamily.Find(key);
+        error = family is null && !string.IsNullOrEmpty(key)
+            ? $"Invalid family value. Valid values are: {string.Join(", ", ContentTypeFamily.All.Select(f => f.Key))}"
+            : null;
+        return error is null;
+    }
+
+    /// <summary>
+    /// Looks up the age bucket named in a query parameter.
+    /// </summary>
+    /// <param name="key">The value of the query parameter.</param>
+    /// <param name="age">On return, the age bucket, or null if no age bucket was requested.</param>
+    /// <param name="error">On return, the reason the value is not valid.</param>
+    /// <returns>true if the value is empty or names an age bucket; false otherwise.</returns>
+    internal static bool TryGetAgeBucket(string? key, out AgeBucket? age, out string? error)
+    {
+        age = string.IsNullOrEmpty(key) ? null : AgeBucket.Find(key);
+        error = age is null && !string.IsNullOrEmpty(key)
+            ? $"Invalid age value. Valid values are: {string.Join(", ", AgeBucket.All.Select(a => a.Key))}"
+            : null;
+        return error is null;
+    }
 }
@@ -0,0 +1,125 @@
+using AzuriteUI.Web.Services.Events;
+using AzuriteUI.Web.Services.Events.Models;
+using Microsoft.AspNetCore.Http.Features;
+using Microsoft.AspNetCore.Mvc;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace AzuriteUI.Web.Controllers;
+
+/// <summary>
+/// The controller that streams storage events to the browser at <c>/api/events</c>.
+/// </summary>
+/// <param name="hub">The hub that distributes the storage events.</param>
+/// <param name="logger">The logger to use for diagnostics and reporting.</param>
+[ApiController]
+[Route("api/events")]
+public class EventsController(
+    IStorageEventHub hub,
+    ILogger<EventsController> logger
+) : ControllerBase
+{
+    /// <summary>
+    /// The content type for server-sent events.
+    /// </summary>
+    internal const string EventStreamContentType = "text/event-stream";
+
+    /// <summary>
+    /// How long the stream may be idle before a comment is sent to keep the connection open.
+    /// </summary>
+    internal static TimeSpan KeepAliveInterval { get; set; } = TimeSpan.FromSeconds(15);
+
+    /// <summary>
+    /// The JSON options for the event data; these match the options used by the API.
+    /// </summary>
+    internal static readonly JsonSerializerOptions EventJsonOptions = new(JsonSerializerDefaults.Web)
+    {
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull
+    };
+
+    /// <summary>
+    /// Streams the storage events as server-sent events until the client disconnects.  The
+    /// current health of Azurite is sent as soon as the client connects.
+    /// </summary>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>An empty result once the client has disconnected.</returns>
+    [HttpGet]
+    [EndpointName("StreamEvents")]
+    [EndpointDescription("Streams changes to containers and blobs, the health of Azurite, and cache synchronization activity as server-sent events.")]
+    [ProducesResponseType(StatusCodes.Status200OK, EventStreamContentType)]
+    public async Task<IActionResult> StreamEventsAsync(CancellationToken cancellationToken = default)
+    {
+        logger.LogInformation("StreamEventsAsync() called");
+
+        using var subscription = hub.Subscribe();
+
+        Response.StatusCode = StatusCodes.Status200OK;
+        Response.ContentType = EventStreamContentType;
+        Response.Headers.CacheControl = "no-cache";
+        HttpContext.Features.Get<IHttpResponseBodyFeature>()?.DisableBuffering();
+
+        try
+        {
+            await WriteAsync("retry: 5000\n\n", cancellationToken);
+            if (hub.LastHealthEvent is not null)
+            {
+                await WriteAsync(FormatEvent(hub.LastHealthEvent), cancellationToken);
+            }
+
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                using var keepAlive = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                keepAlive.CancelAfter(KeepAliveInterval);
+
+                bool hasEvents;
+                try
+                {
+                    hasEvents = await subscription.Reader.WaitToReadAsync(keepAlive.Token);
+                }
+                catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+                {
+                    await WriteAsync(": keep-alive\n\n", cancellationToken);
+                    continue;
+                }
+
+                if (!hasEvents)
+                {
+                    break;
+                }
+
+                while (subscription.Reader.TryRead(out var storageEvent))
+                {
+                    await WriteAsync(FormatEvent(storageEvent), cancellationToken);
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // The client disconnected.
+        }
+
+        logger.LogInformation("StreamEventsAsync: client disconnected");
+        return new EmptyResult();
+    }
+
+    /// <summary>
+    /// Formats a storage event as a server-sent event.
+    /// </summary>
+    /// <param name="storageEvent">The storage event.</param>
+    /// <returns>The server-sent event, including the blank line that ends it.</returns>
+    internal static string FormatEvent(StorageEvent storageEvent)
+        => $"event: {storageEvent.Type}\ndata: {JsonSerializer.Serialize(storageEvent, EventJsonOptions)}\n\n";
+
+    /// <summary>
+    /// Writes some text to the response and flushes it to the client.
+    /// </summary>
+    /// <param name="text">The text to write.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>A task that resolves when the text has been sent.</returns>
+    private async Task WriteAsync(string text, CancellationToken cancellationToken)
+    {
+        await Response.Body.WriteAsync(Encoding.UTF8.GetBytes(text), cancellationToken);
+        await Response.Body.FlushAsync(cancellationToken);
+    }
+}
@@ -0,0 +1,38 @@
+using System.ComponentModel;
+using System.ComponentModel.DataAnnotations;
+
+namespace AzuriteUI.Web.Controllers.Models;
+
+/// <summary>
+/// The storage in use at the end of a cache synchronization.
+/// </summary>
+public class StorageSampleInfo
+{
+    /// <summary>
+    /// The date/time that the sample was taken.
+    /// </summary>
+    [property: Required]
+    [property: Description("The date/time that the sample was taken")]
+    public required DateTimeOffset SampledAt { get; set; }
+
+    /// <summary>
+    /// The number of containers.
+    /// </summary>
+    [property: Required]
+    [property: Description("The number of containers")]
+    public required int Containers { get; set; }
+
+    /// <summary>
+    /// The number of blobs.
+    /// </summary>
+    [property: Required]
+    [property: Description("The number of blobs")]
+    public required int Blobs { get; set; }
+
+    /// <summary>
+    /// The total size of all blobs in bytes.
+    /// </summary>
+    [property: Required]
+    [property: Description("The total size of all blobs in bytes")]
+    public required long TotalSize { get; set; }
+}
@@ -0,0 +1,57 @@
+using System.ComponentModel;
+using System.ComponentModel.DataAnnotations;
+
+namespace AzuriteUI.Web.Controllers.Models;
+
+/// <summary>
+/// The number and size of the blobs in one part of a storage breakdown (a container, a content
+/// type family or an age bucket).
+/// </summary>
+public class StorageUsageInfo
+{
+    /// <summary>
+    /// The key of the part: the container name, the content type family or the age bucket.
+    /// </summary>
+    [property: Required]
+    [property: Description("The key of the part: the container name, the content type family or the age bucket")]
+    public required string Key { get; set; }
+
+    /// <summary>
+    /// The name of the part, for display.
+    /// </summary>
+    [property: Required]
+    [property: Description("The name of the part, for display")]
+    public required string Label { get; set; }
+
+    /// <summary>
+    /// The number of blobs.
+    /// </summary>
+    [property: Required]
+    [property: Description("The number of blobs")]
+    public required int BlobCount { get; set; }
+
+    /// <summary>
+    /// The total size of the blobs in bytes.
+    /// </summary>
+    [property: Required]
+    [property: Description("The total size of the blobs in bytes")]
+    public required long TotalSize { get; set; }
+
+    /// <summary>
+    /// For a content type family, the content type that it matches; a value ending in '/' matches every subtype.
+    /// </summary>
+    [property: Description("For a content type family, the content type that it matches")]
+    public string? ContentType { get; set; }
+
+    /// <summary>
+    /// For an age bucket, the earliest last modified date in the bucket.
+    /// </summary>
+    [property: Description("For an age bucket, the earliest last modified date in the bucket")]
+    public DateTimeOffset? From { get; set; }
+
+    /// <summary>
+    /// For an age bucket, the latest last modified date in the bucket.
+    /// </summary>
+    [property: Description("For an age bucket, the latest last modified date in the bucket")]
+    public DateTimeOffset? To { get; set; }
+}
@@ -0,0 +1,63 @@
+using AzuriteUI.Web.Services.CacheSync.Models;
+using System.ComponentModel;
+using System.ComponentModel.DataAnnotations;
+
+namespace AzuriteUI.Web.Controllers.Models;
+
+/// <summary>
+/// Response for the cache synchronization status endpoint.
+/// </summary>
+public class SyncStatusResponse
+{
+    /// <summary>
+    /// The number of synchronization requests waiting in the queue.
+    /// </summary>
+    [property: Required]
+    [property: Description("The number of synchronization requests waiting in the queue")]
+    public required int QueueSize { get; set; }
+
+    /// <summary>
+    /// The identifiers of the synchronization requests waiting in the queue.
+    /// </summary>
+    [property: Required]
+    [property: Description("The identifiers of the synchronization requests waiting in the queue")]
+    public required IEnumerable<Guid> QueuedWorkIds { get; set; }
+
+    /// <summary>
+    /// The identifier of the synchronization request being processed, if any.
+    /// </summary>
+    [property: Description("The identifier of the synchronization request being processed")]
+    public Guid? ActiveWorkId { get; set; }
+
+    /// <summary>
+    /// True if a synchronization is in progress.
+    /// </summary>
+    [property: Required]
+    [property: Description("True if a synchronization is in progress")]
+    public required bool IsRunning { get; set; }
+
+    /// <summary>
+    /// The progress of the synchronization in progress, if any.
+    /// </summary>
+    [property: Description("The progress of the synchronization in progress")]
+    public CacheSyncRun? CurrentRun { get; set; }
+
+    /// <summary>
+    /// The date/time that the most recent synchronization started.
+    /// </summary>
+    [property: Description("The date/time that the most recent synchronization started")]
+    public DateTimeOffset? LastStartedAt { get; set; }
+
+    /// <summary>
+    /// The date/time that the most recent synchronization finished.
+    /// </summary>
+    [property: Description("The date/time that the most recent synchronization finished")]
+    public DateTimeOffset? LastFinishedAt { get; set; }
+
+    /// <summary>
+    /// The recently completed synchronizations, most recent first.
+    /// </summary>
+    [property: Required]
+    [property: Description("The recently completed synchronizations, most recent first")]
+    public required IEnumerable<CacheSyncRun> History { get; set; }
+}
@@ -0,0 +1,27 @@
+using Microsoft.AspNetCore.Mvc;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class QueuesController : ControllerBase
+{
+    /// <summary>
+    /// Deletes all the messages in a queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to clear.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>No content once the queue is empty.</returns>
+    [HttpDelete("{queueName}/messages")]
+    [EndpointName("ClearQueueMessages")]
+    [EndpointDescription("Deletes all the messages in a queue.")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public virtual async Task<IActionResult> ClearMessagesAsync(
+        [FromRoute] string queueName,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("ClearMessagesAsync('{queueName}') called", queueName);
+
+        await Repository.ClearQueueMessagesAsync(queueName, cancellationToken);
+        return NoContent();
+    }
+}
@@ -0,0 +1,31 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using System.Net.Mime;
+using System.Text.Json;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class QueuesController : ControllerBase
+{
+    /// <summary>
+    /// Creates a new queue in the storage account.
+    /// </summary>
+    /// <param name="dto">The queue properties to create.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>The result of the operation.</returns>
+    [HttpPost]
+    [EndpointName("CreateQueue")]
+    [EndpointDescription("Creates a new queue in the storage account.")]
+    [Consumes(MediaTypeNames.Application.Json)]
+    [ProducesResponseType<QueueDTO>(StatusCodes.Status201Created, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    public virtual async Task<IActionResult> CreateQueueAsync(
+        [FromBody] CreateQueueDTO dto,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("CreateQueueAsync('{queueProps}') called", JsonSerializer.Serialize(dto));
+
+        QueueDTO createdQueue = await Repository.CreateQueueAsync(dto, cancellationToken);
+        return CreatedAtAction("GetQueueByName", new { queueName = createdQueue.Name }, createdQueue);
+    }
+}
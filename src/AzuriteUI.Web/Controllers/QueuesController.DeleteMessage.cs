@@ -0,0 +1,32 @@
+using Microsoft.AspNetCore.Mvc;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class QueuesController : ControllerBase
+{
+    /// <summary>
+    /// Deletes a received message from a queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue holding the message.</param>
+    /// <param name="messageId">The identifier of the message to delete.</param>
+    /// <param name="popReceipt">The pop receipt from when the message was last received or updated.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>No content on successful deletion.</returns>
+    [HttpDelete("{queueName}/messages/{messageId}")]
+    [EndpointName("DeleteQueueMessage")]
+    [EndpointDescription("Deletes a received message from a queue, using the pop receipt from when it was received.")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public virtual async Task<IActionResult> DeleteMessageAsync(
+        [FromRoute] string queueName,
+        [FromRoute] string messageId,
+        [FromQuery] string popReceipt = "",
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("DeleteMessageAsync('{queueName}', '{messageId}') called", queueName, messageId);
+
+        await Repository.DeleteQueueMessageAsync(queueName, messageId, popReceipt, cancellationToken);
+        return NoContent();
+    }
+}
@@ -0,0 +1,29 @@
+using Microsoft.AspNetCore.Mvc;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class QueuesController : ControllerBase
+{
+    /// <summary>
+    /// Deletes a specific queue by its name, including all messages within the queue.
+    /// </summary>
+    /// <remarks>
+    /// Deleting a queue that does not exist succeeds.
+    /// </remarks>
+    /// <param name="queueName">The name of the queue to delete.</param>
+    /// <param name="cancellationToken">A token to monitor for cancellation requests.</param>
+    /// <returns>No content on successful deletion.</returns>
+    [HttpDelete("{queueName}")]
+    [EndpointName("DeleteQueue")]
+    [EndpointDescription("Deletes a specific queue by its name, including all its messages.")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    public virtual async Task<IActionResult> DeleteQueueAsync(
+        [FromRoute] string queueName,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("DeleteQueueAsync({queueName})", queueName);
+
+        await Repository.DeleteQueueAsync(queueName, cancellationToken);
+        return NoContent();
+    }
+}
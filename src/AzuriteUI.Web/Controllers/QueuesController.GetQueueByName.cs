@@ -0,0 +1,29 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using System.Net.Mime;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class QueuesController : ControllerBase
+{
+    /// <summary>
+    /// Retrieves the properties of a specific queue by its name.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to retrieve.</param>
+    /// <param name="cancellationToken">A token to monitor for cancellation requests.</param>
+    /// <returns>The queue properties if found; otherwise, a NotFound result.</returns>
+    [HttpGet("{queueName}")]
+    [EndpointName("GetQueueByName")]
+    [EndpointDescription("Retrieves the properties of a specific queue by its name.")]
+    [ProducesResponseType<QueueDTO>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public virtual async Task<IActionResult> GetQueueByNameAsync(
+        [FromRoute] string queueName,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("GetQueueByNameAsync({queueName})", queueName);
+
+        QueueDTO? queue = await Repository.GetQueueAsync(queueName, cancellationToken);
+        return queue is null ? NotFound() : Ok(queue);
+    }
+}
@@ -0,0 +1,25 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using System.Net.Mime;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class QueuesController : ControllerBase
+{
+    /// <summary>
+    /// Lists all the queues in the storage account, sorted by name.
+    /// </summary>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>An <see cref="OkObjectResult"/> with the list of queues.</returns>
+    [HttpGet]
+    [EndpointName("ListQueues")]
+    [EndpointDescription("Lists all the queues in the storage account, with their metadata and approximate message counts.")]
+    [ProducesResponseType<IList<QueueDTO>>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    public virtual async Task<IActionResult> ListQueuesAsync(CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("ListQueuesAsync() called");
+
+        IList<QueueDTO> queues = await Repository.GetQueuesAsync(cancellationToken);
+        return Ok(queues);
+    }
+}
@@ -0,0 +1,33 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using System.Net.Mime;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class QueuesController : ControllerBase
+{
+    /// <summary>
+    /// Peeks at the visible messages at the front of a queue.  The messages are not received, so they
+    /// stay visible and have no pop receipt.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="maxMessages">The most messages to return (1 to 32).</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>An <see cref="OkObjectResult"/> with the list of messages.</returns>
+    [HttpGet("{queueName}/messages")]
+    [EndpointName("PeekQueueMessages")]
+    [EndpointDescription("Peeks at the visible messages at the front of a queue without receiving them.")]
+    [ProducesResponseType<IList<QueueMessageDTO>>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public virtual async Task<IActionResult> PeekMessagesAsync(
+        [FromRoute] string queueName,
+        [FromQuery] int maxMessages = 32,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("PeekMessagesAsync('{queueName}', {maxMessages}) called", queueName, maxMessages);
+
+        IList<QueueMessageDTO> messages = await Repository.PeekQueueMessagesAsync(queueName, maxMessages, cancellationToken);
+        return Ok(messages);
+    }
+}
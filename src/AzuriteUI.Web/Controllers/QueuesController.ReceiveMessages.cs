@@ -0,0 +1,35 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using System.Net.Mime;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class QueuesController : ControllerBase
+{
+    /// <summary>
+    /// Receives (dequeues) the visible messages at the front of a queue.  The messages are hidden for the
+    /// visibility timeout and come back unless they are deleted with the pop receipt before then.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="maxMessages">The most messages to receive (1 to 32).</param>
+    /// <param name="visibilityTimeout">How long the messages are hidden for, in seconds (default: 30 seconds).</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>An <see cref="OkObjectResult"/> with the list of messages.</returns>
+    [HttpPost("{queueName}/messages/receive")]
+    [EndpointName("ReceiveQueueMessages")]
+    [EndpointDescription("Receives (dequeues) the visible messages at the front of a queue, hiding them for the visibility timeout.")]
+    [ProducesResponseType<IList<QueueMessageDTO>>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public virtual async Task<IActionResult> ReceiveMessagesAsync(
+        [FromRoute] string queueName,
+        [FromQuery] int maxMessages = 1,
+        [FromQuery] int? visibilityTimeout = null,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("ReceiveMessagesAsync('{queueName}', {maxMessages}, {visibilityTimeout}) called", queueName, maxMessages, visibilityTimeout);
+
+        IList<QueueMessageDTO> messages = await Repository.ReceiveQueueMessagesAsync(queueName, maxMessages, visibilityTimeout, cancellationToken);
+        return Ok(messages);
+    }
+}
@@ -0,0 +1,33 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using System.Net.Mime;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class QueuesController : ControllerBase
+{
+    /// <summary>
+    /// Sends (enqueues) a message to a queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="dto">The body, visibility timeout and time to live of the message.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>The sent message.</returns>
+    [HttpPost("{queueName}/messages")]
+    [EndpointName("SendQueueMessage")]
+    [EndpointDescription("Sends (enqueues) a message to a queue, with an optional visibility timeout and time to live.")]
+    [Consumes(MediaTypeNames.Application.Json)]
+    [ProducesResponseType<QueueMessageDTO>(StatusCodes.Status201Created, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public virtual async Task<IActionResult> SendMessageAsync(
+        [FromRoute] string queueName,
+        [FromBody] SendQueueMessageDTO dto,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("SendMessageAsync('{queueName}', {visibilityTimeout}, {timeToLive}) called", queueName, dto.VisibilityTimeout, dto.TimeToLive);
+
+        QueueMessageDTO message = await Repository.SendQueueMessageAsync(queueName, dto, cancellationToken);
+        return StatusCode(StatusCodes.Status201Created, message);
+    }
+}
@@ -0,0 +1,36 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using System.Net.Mime;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class QueuesController : ControllerBase
+{
+    /// <summary>
+    /// Updates the body and visibility timeout of a received message.  The pop receipt changes, so the
+    /// one in the response must be used to update or delete the message again.
+    /// </summary>
+    /// <param name="queueName">The name of the queue holding the message.</param>
+    /// <param name="messageId">The identifier of the message to update.</param>
+    /// <param name="dto">The pop receipt, new body and visibility timeout of the message.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
+    /// <returns>An <see cref="OkObjectResult"/> with the updated message.</returns>
+    [HttpPut("{queueName}/messages/{messageId}")]
+    [EndpointName("UpdateQueueMessage")]
+    [EndpointDescription("Updates the body and visibility timeout of a received message.")]
+    [Consumes(MediaTypeNames.Application.Json)]
+    [ProducesResponseType<QueueMessageDTO>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public virtual async Task<IActionResult> UpdateMessageAsync(
+        [FromRoute] string queueName,
+        [FromRoute] string messageId,
+        [FromBody] UpdateQueueMessageDTO dto,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("UpdateMessageAsync('{queueName}', '{messageId}', {visibilityTimeout}) called", queueName, messageId, dto.VisibilityTimeout);
+
+        QueueMessageDTO message = await Repository.UpdateQueueMessageAsync(queueName, messageId, dto, cancellationToken);
+        return Ok(message);
+    }
+}
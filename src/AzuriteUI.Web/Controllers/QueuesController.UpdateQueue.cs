@@ -0,0 +1,41 @@
+using AzuriteUI.Web.Extensions;
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using System.Net.Mime;
+using System.Text.Json;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class QueuesController : ControllerBase
+{
+    /// <summary>
+    /// Updates the metadata of an existing queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to update.</param>
+    /// <param name="dto">The queue properties to set.</param>
+    /// <param name="cancellationToken">A cancellation token</param>
+    /// <returns>An <see cref="OkObjectResult"/> with the updated queue.</returns>
+    [HttpPut("{queueName}")]
+    [EndpointName("UpdateQueue")]
+    [EndpointDescription("Replaces the metadata of an existing queue.")]
+    [Consumes(MediaTypeNames.Application.Json)]
+    [ProducesResponseType<QueueDTO>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public virtual async Task<IActionResult> UpdateQueueAsync(
+        [FromRoute] string queueName,
+        [FromBody] UpdateQueueDTO dto,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("UpdateQueueAsync('{queueName}', '{queueProps}') called", queueName, JsonSerializer.Serialize(dto));
+
+        dto.QueueName = dto.QueueName.OrDefault(queueName);
+        if (dto.QueueName != queueName)
+        {
+            Logger.LogWarning("UpdateQueueAsync: Mismatch between route queueName '{RouteQueueName}' and body queueName '{BodyQueueName}'", queueName, dto.QueueName);
+            return BadRequest("Queue name in the URL must match the queue name in the request body.");
+        }
+
+        QueueDTO updatedQueue = await Repository.UpdateQueueAsync(dto, cancellationToken);
+        return Ok(updatedQueue);
+    }
+}
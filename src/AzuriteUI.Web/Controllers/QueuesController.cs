@@ -0,0 +1,31 @@
+using AzuriteUI.Web.Services.Repositories;
+using Microsoft.AspNetCore.Mvc;
+
+namespace AzuriteUI.Web.Controllers;
+
+/// <summary>
+/// The controller that manages all the endpoints under <c>/api/queues</c>, which handles
+/// the queues of the Azurite queue service and the messages within them.
+/// </summary>
+/// <remarks>
+/// Queues are not cached, so every request goes to Azurite.
+/// </remarks>
+/// <param name="repository">The storage repository to use for data access.</param>
+/// <param name="logger">The logger to use for diagnostics and reporting.</param>
+[ApiController]
+[Route("api/queues")]
+public partial class QueuesController(
+    IStorageRepository repository,
+    ILogger<QueuesController> logger
+) : ControllerBase
+{
+    /// <summary>
+    /// The storage repository to use for data access.
+    /// </summary>
+    public IStorageRepository Repository => repository;
+
+    /// <summary>
+    /// The logger for diagnostics and reporting.
+    /// </summary>
+    public ILogger Logger => logger;
+}
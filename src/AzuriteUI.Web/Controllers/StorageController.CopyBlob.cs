@@ -0,0 +1,58 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.OData.Routing.Controllers;
+using System.Net.Mime;
+using System.Text.Json;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class StorageController : ODataController
+{
+    /// <summary>
+    /// Copies a blob to a new name or container.
+    /// </summary>
+    /// <remarks>
+    /// The copy is done by Azurite, and keeps the content, properties, metadata and tags of the original
+    /// blob.  The destination container and name default to those of the original blob, but at least
+    /// one of them must be different.  An existing blob is only replaced if overwrite is requested.
+    /// </remarks>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob to copy.</param>
+    /// <param name="dto">Where to copy the blob to.</param>
+    /// <param name="cancellationToken">A cancellation token</param>
+    /// <returns>A <see cref="CreatedAtActionResult"/> with the copied blob.</returns>
+    [HttpPost("{containerName}/blobs/{blobName}/copy")]
+    [EndpointName("CopyBlob")]
+    [EndpointDescription("Copies a blob to a new name, or to another container, within the storage account.")]
+    [Consumes(MediaTypeNames.Application.Json)]
+    [ProducesResponseType<BlobDTO>(StatusCodes.Status201Created, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    [ProducesResponseType(StatusCodes.Status412PreconditionFailed)]
+    public virtual async Task<IActionResult> CopyBlobAsync(
+        [FromRoute] string containerName,
+        [FromRoute] string blobName,
+        [FromBody] CopyBlobDTO dto,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("CopyBlobAsync('{containerName}', '{blobName}', '{destination}') called", containerName, blobName, JsonSerializer.Serialize(dto));
+
+        BlobDTO? existingBlob = await Repository.GetBlobAsync(containerName, blobName, cancellationToken);
+        if (existingBlob is null)
+        {
+            Logger.LogWarning("CopyBlobAsync: Blob '{blobName}' not found in container '{containerName}'.", blobName, containerName);
+            return NotFound();
+        }
+
+        int? statusCode = GetResponseForConditionalRequest(existingBlob);
+        if (statusCode.HasValue)
+        {
+            Logger.LogInformation("CopyBlobAsync: Conditional request for blob '{blobName}' in container '{containerName}' resulted in {StatusCode}", blobName, containerName, statusCode.Value);
+            return ConditionalResponse(statusCode.Value, existingBlob);
+        }
+
+        BlobDTO copiedBlob = await Repository.CopyBlobAsync(containerName, blobName, dto, cancellationToken);
+        return CreatedAtAction("GetBlobByName", new { containerName = copiedBlob.ContainerName, blobName = copiedBlob.Name }, copiedBlob);
+    }
+}
@@ -0,0 +1,47 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.OData.Routing.Controllers;
+using System.Net.Mime;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class StorageController : ODataController
+{
+    /// <summary>
+    /// Creates a read-only snapshot of a blob.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="cancellationToken">A cancellation token</param>
+    /// <returns>A <see cref="CreatedAtActionResult"/> with the new snapshot; the location is the content of the snapshot.</returns>
+    [HttpPost("{containerName}/blobs/{blobName}/snapshots")]
+    [EndpointName("CreateBlobSnapshot")]
+    [EndpointDescription("Creates a read-only snapshot of a blob.")]
+    [ProducesResponseType<BlobSnapshotDTO>(StatusCodes.Status201Created, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status412PreconditionFailed)]
+    public virtual async Task<IActionResult> CreateBlobSnapshotAsync(
+        [FromRoute] string containerName,
+        [FromRoute] string blobName,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("CreateBlobSnapshotAsync('{containerName}', '{blobName}') called", containerName, blobName);
+
+        BlobDTO? existingBlob = await Repository.GetBlobAsync(containerName, blobName, cancellationToken);
+        if (existingBlob is null)
+        {
+            Logger.LogWarning("CreateBlobSnapshotAsync: Blob '{blobName}' not found in container '{containerName}'.", blobName, containerName);
+            return NotFound();
+        }
+
+        int? statusCode = GetResponseForConditionalRequest(existingBlob);
+        if (statusCode.HasValue)
+        {
+            Logger.LogInformation("CreateBlobSnapshotAsync: Conditional request for blob '{blobName}' in container '{containerName}' resulted in {StatusCode}", blobName, containerName, statusCode.Value);
+            return ConditionalResponse(statusCode.Value, existingBlob);
+        }
+
+        BlobSnapshotDTO snapshot = await Repository.CreateBlobSnapshotAsync(containerName, blobName, cancellationToken);
+        return CreatedAtAction("DownloadBlob", new { containerName, blobName, snapshot = snapshot.Snapshot }, snapshot);
+    }
+}
@@ -11,6 +11,11 @@ public partial class StorageController : ODataController
     /// <summary>
     /// Initiates a new blob upload session for chunked uploads.
     /// </summary>
+    /// <remarks>
+    /// By default, the blob must not already exist.  To replace an existing blob, send its current ETag in an
+    /// <c>If-Match</c> header; the request fails with 412 Precondition Failed if the blob has a different ETag,
+    /// and the same condition is checked again when the upload is committed.
+    /// </remarks>
     /// <param name="containerName">The name of the container where the blob will be uploaded.</param>
     /// <param name="dto">The upload request containing blob properties and metadata.</param>
     /// <param name="cancellationToken">A <see cref="CancellationToken"/> to monitor for cancellation requests.</param>
@@ -20,6 +25,7 @@ public partial class StorageController : ODataController
     [EndpointDescription("Initiates a new blob upload session for chunked uploads.")]
     [Consumes(MediaTypeNames.Application.Json)]
     [ProducesResponseType<UploadStatusDTO>(StatusCodes.Status201Created, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status412PreconditionFailed)]
     public virtual async Task<IActionResult> CreateUploadAsync(
         [FromRoute] string containerName,
         [FromBody] CreateUploadRequestDTO dto,
@@ -38,6 +44,10 @@ public partial class StorageController : ODataController
             });
         }
 
+        // An If-Match header turns the upload into a replacement of the existing blob with that ETag.
+        string ifMatch = Request.Headers.IfMatch.ToString();
+        dto.IfMatch = string.IsNullOrWhiteSpace(ifMatch) ? null : ifMatch;
+
         UploadStatusDTO result = await Repository.CreateUploadAsync(dto, cancellationToken);
         return CreatedAtAction(
             actionName: "GetUploadStatus",
@@ -0,0 +1,103 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.OData.Routing.Controllers;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Net.Http.Headers;
+using System.Globalization;
+using System.Net.Mime;
+using System.Text.Json;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class StorageController : ODataController
+{
+    /// <summary>
+    /// The name of the response header that holds the total size of the blobs within an archive.
+    /// </summary>
+    public const string ArchiveContentLengthHeaderName = "X-Archive-Content-Length";
+
+    /// <summary>
+    /// Downloads a set of blobs from the specified container as a single ZIP archive.
+    /// </summary>
+    /// <remarks>
+    /// The archive contains either the named blobs, or every blob under the prefix (the whole container
+    /// when there is no prefix), with the blob names as the paths within the archive.  The archive is
+    /// streamed to the client as it is written, so the length of the response is not known in advance;
+    /// the total size of the blobs is sent in the <c>X-Archive-Content-Length</c> header instead so that
+    /// the client can show progress.
+    /// </remarks>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="dto">The blobs to include in the archive.</param>
+    /// <param name="cancellationToken">A cancellation token</param>
+    /// <returns>
+    /// An <see cref="EmptyResult"/> once the archive has been written to the response, or 404 Not Found
+    /// if the container does not exist or there are no blobs to include.
+    /// </returns>
+    [HttpPost("{containerName}/archive")]
+    [EndpointName("DownloadArchive")]
+    [EndpointDescription("Downloads a set of blobs, or a virtual folder, as a single ZIP archive.")]
+    [Consumes(MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status200OK, MediaTypeNames.Application.Zip)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public virtual async Task<IActionResult> DownloadArchiveAsync(
+        [FromRoute] string containerName,
+        [FromBody] DownloadArchiveRequestDTO dto,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("DownloadArchiveAsync(containerName: {ContainerName}, request: {Request})", containerName, JsonSerializer.Serialize(dto));
+
+        ContainerDTO? container = await Repository.GetContainerAsync(containerName, cancellationToken);
+        if (container is null)
+        {
+            Logger.LogInformation("DownloadArchiveAsync: Container '{ContainerName}' not found", containerName);
+            return NotFound();
+        }
+
+        IQueryable<BlobDTO> query = Repository.Blobs.Where(b => b.ContainerName == containerName);
+        if (dto.BlobNames?.Count > 0)
+        {
+            List<string> blobNames = [.. dto.BlobNames.Distinct()];
+            query = query.Where(b => blobNames.Contains(b.Name));
+        }
+        else if (!string.IsNullOrEmpty(dto.Prefix))
+        {
+            query = query.Where(b => b.Name.StartsWith(dto.Prefix));
+        }
+
+        List<BlobDTO> blobs = await query.OrderBy(b => b.Name).ToListAsync(cancellationToken);
+        if (blobs.Count == 0)
+        {
+            Logger.LogInformation("DownloadArchiveAsync: No blobs to archive in container '{ContainerName}'", containerName);
+            return NotFound();
+        }
+
+        string fileName = GetArchiveFileName(containerName, dto.BlobNames?.Count > 0 ? null : dto.Prefix);
+        var contentDisposition = new ContentDispositionHeaderValue("attachment")
+        {
+            FileName = fileName,
+            FileNameStar = fileName
+        };
+        Response.StatusCode = StatusCodes.Status200OK;
+        Response.ContentType = MediaTypeNames.Application.Zip;
+        Response.Headers.ContentDisposition = contentDisposition.ToString();
+        Response.Headers[ArchiveContentLengthHeaderName] = blobs.Sum(b => b.ContentLength).ToString(CultureInfo.InvariantCulture);
+
+        await Repository.WriteArchiveAsync(blobs, Response.Body, cancellationToken);
+        Logger.LogInformation("DownloadArchiveAsync: Archive of {Count} blobs from container '{ContainerName}' sent successfully.", blobs.Count, containerName);
+        return new EmptyResult();
+    }
+
+    /// <summary>
+    /// Determines the file name for an archive of blobs, e.g. <c>photos-2024.zip</c> for the
+    /// <c>2024/</c> folder of the <c>photos</c> container.
+    /// </summary>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="prefix">The prefix of the blobs in the archive, if any.</param>
+    /// <returns>The file name for the archive.</returns>
+    [NonAction]
+    internal static string GetArchiveFileName(string containerName, string? prefix)
+    {
+        string folder = string.Join('-', (prefix ?? string.Empty).Split('/', StringSplitOptions.RemoveEmptyEntries));
+        return string.IsNullOrEmpty(folder) ? $"{containerName}.zip" : $"{containerName}-{folder}.zip";
+    }
+}
@@ -13,11 +13,13 @@ public partial class StorageController : ODataController
     /// Downloads the content of a blob from the specified container.
     /// </summary>
     /// <remarks>
-    /// Supports HTTP range requests, partial content, and content disposition.
+    /// Supports HTTP range requests, partial content, and content disposition.  A snapshot of the blob can be
+    /// downloaded by passing its timestamp as the <c>snapshot</c> query parameter.
     /// </remarks>
     /// <param name="containerName">The name of the container.</param>
     /// <param name="blobName">The name of the blob to download.</param>
     /// <param name="disposition">Optional Content-Disposition value: "attachment" to force download, "inline" to display in browser.</param>
+    /// <param name="snapshot">Optional timestamp of the snapshot to download, instead of the blob itself.</param>
     /// <param name="cancellationToken">A cancellation token</param>
     /// <returns>
     /// An <see cref="IActionResult"/> containing the blob content stream.
@@ -34,9 +36,10 @@ public partial class StorageController : ODataController
         [FromRoute] string containerName,
         [FromRoute] string blobName,
         [FromQuery] string? disposition = null,
+        [FromQuery] string? snapshot = null,
         CancellationToken cancellationToken = default)
     {
-        Logger.LogInformation("DownloadBlobAsync(containerName: {ContainerName}, blob: {BlobName})", containerName, blobName);
+        Logger.LogInformation("DownloadBlobAsync(containerName: {ContainerName}, blob: {BlobName}, snapshot: {Snapshot})", containerName, blobName, snapshot ?? "<none>");
 
         // Validate disposition parameter if provided
         if (disposition is not null && !ValidContentDispositions.Contains(disposition, StringComparer.OrdinalIgnoreCase))
@@ -47,7 +50,9 @@ public partial class StorageController : ODataController
 
         // Get the Range header from the request
         string? rangeHeader = Request.Headers.TryGetValue(HeaderNames.Range, out Microsoft.Extensions.Primitives.StringValues value) ? value.ToString() : null;
-        BlobDownloadDTO downloadResult = await Repository.DownloadBlobAsync(containerName, blobName, rangeHeader, cancellationToken);
+        BlobDownloadDTO downloadResult = string.IsNullOrEmpty(snapshot)
+            ? await Repository.DownloadBlobAsync(containerName, blobName, rangeHeader, cancellationToken)
+            : await Repository.DownloadBlobSnapshotAsync(containerName, blobName, snapshot, rangeHeader, cancellationToken);
 
         // Set response headers
         Response.Headers.AcceptRanges = "bytes";
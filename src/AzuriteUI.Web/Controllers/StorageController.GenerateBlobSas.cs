@@ -0,0 +1,47 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.OData.Routing.Controllers;
+using System.Net.Mime;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class StorageController : ODataController
+{
+    /// <summary>
+    /// Generates a shared access signature (SAS) for a blob.
+    /// </summary>
+    /// <remarks>
+    /// The SAS is signed with the account key from the Azurite connection string.  The response holds
+    /// the SAS on its own, the URL of the blob with the SAS, and a connection string that uses the SAS.
+    /// </remarks>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="dto">The permissions, times and restrictions for the SAS.</param>
+    /// <param name="cancellationToken">A cancellation token</param>
+    /// <returns>An <see cref="OkObjectResult"/> with the generated SAS.</returns>
+    [HttpPost("{containerName}/blobs/{blobName}/sas")]
+    [EndpointName("GenerateBlobSas")]
+    [EndpointDescription("Generates a shared access signature (SAS) for a blob.")]
+    [Consumes(MediaTypeNames.Application.Json)]
+    [ProducesResponseType<SasDTO>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public virtual async Task<IActionResult> GenerateBlobSasAsync(
+        [FromRoute] string containerName,
+        [FromRoute] string blobName,
+        [FromBody] GenerateSasDTO dto,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("GenerateBlobSasAsync('{containerName}', '{blobName}') called", containerName, blobName);
+
+        BlobDTO? blob = await Repository.GetBlobAsync(containerName, blobName, cancellationToken);
+        if (blob is null)
+        {
+            Logger.LogWarning("GenerateBlobSasAsync: Blob '{blobName}' not found in container '{containerName}'.", blobName, containerName);
+            return NotFound();
+        }
+
+        SasDTO sas = Repository.GenerateBlobSas(containerName, blobName, dto);
+        return Ok(sas);
+    }
+}
@@ -0,0 +1,45 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.OData.Routing.Controllers;
+using System.Net.Mime;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class StorageController : ODataController
+{
+    /// <summary>
+    /// Generates a shared access signature (SAS) for a container.
+    /// </summary>
+    /// <remarks>
+    /// The SAS is signed with the account key from the Azurite connection string.  The response holds
+    /// the SAS on its own, the URL of the container with the SAS, and a connection string that uses the SAS.
+    /// </remarks>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="dto">The permissions, times and restrictions for the SAS.</param>
+    /// <param name="cancellationToken">A cancellation token</param>
+    /// <returns>An <see cref="OkObjectResult"/> with the generated SAS.</returns>
+    [HttpPost("{containerName}/sas")]
+    [EndpointName("GenerateContainerSas")]
+    [EndpointDescription("Generates a shared access signature (SAS) for a container.")]
+    [Consumes(MediaTypeNames.Application.Json)]
+    [ProducesResponseType<SasDTO>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public virtual async Task<IActionResult> GenerateContainerSasAsync(
+        [FromRoute] string containerName,
+        [FromBody] GenerateSasDTO dto,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("GenerateContainerSasAsync('{containerName}') called", containerName);
+
+        ContainerDTO? container = await Repository.GetContainerAsync(containerName, cancellationToken);
+        if (container is null)
+        {
+            Logger.LogWarning("GenerateContainerSasAsync: Container '{containerName}' not found.", containerName);
+            return NotFound();
+        }
+
+        SasDTO sas = Repository.GenerateContainerSas(containerName, dto);
+        return Ok(sas);
+    }
+}
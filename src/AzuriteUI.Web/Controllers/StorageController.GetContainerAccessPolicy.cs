@@ -0,0 +1,40 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.OData.Routing.Controllers;
+using System.Net.Mime;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class StorageController : ODataController
+{
+    /// <summary>
+    /// Gets the access policy of a container: the level of public access and the stored access policies.
+    /// </summary>
+    /// <remarks>
+    /// Stored access policies are not held in the cache, so the access policy is always read from Azurite.
+    /// </remarks>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="cancellationToken">A cancellation token</param>
+    /// <returns>An <see cref="OkObjectResult"/> with the access policy of the container.</returns>
+    [HttpGet("{containerName}/acl")]
+    [EndpointName("GetContainerAccessPolicy")]
+    [EndpointDescription("Gets the public access level and stored access policies of a container.")]
+    [ProducesResponseType<ContainerAccessPolicyDTO>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public virtual async Task<IActionResult> GetContainerAccessPolicyAsync(
+        [FromRoute] string containerName,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("GetContainerAccessPolicyAsync('{containerName}') called", containerName);
+
+        ContainerDTO? container = await Repository.GetContainerAsync(containerName, cancellationToken);
+        if (container is null)
+        {
+            Logger.LogWarning("GetContainerAccessPolicyAsync: Container '{containerName}' not found.", containerName);
+            return NotFound();
+        }
+
+        ContainerAccessPolicyDTO accessPolicy = await Repository.GetContainerAccessPolicyAsync(containerName, cancellationToken);
+        return Ok(accessPolicy);
+    }
+}
@@ -0,0 +1,42 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.OData.Routing.Controllers;
+using System.Net.Mime;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class StorageController : ODataController
+{
+    /// <summary>
+    /// Lists the snapshots of a blob, newest first.
+    /// </summary>
+    /// <remarks>
+    /// Snapshots are not held in the cache, so the list is always read from Azurite.
+    /// </remarks>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="cancellationToken">A cancellation token</param>
+    /// <returns>An <see cref="OkObjectResult"/> with the snapshots of the blob.</returns>
+    [HttpGet("{containerName}/blobs/{blobName}/snapshots")]
+    [EndpointName("ListBlobSnapshots")]
+    [EndpointDescription("Lists the snapshots of a blob, newest first.")]
+    [ProducesResponseType<IEnumerable<BlobSnapshotDTO>>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public virtual async Task<IActionResult> ListBlobSnapshotsAsync(
+        [FromRoute] string containerName,
+        [FromRoute] string blobName,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("ListBlobSnapshotsAsync('{containerName}', '{blobName}') called", containerName, blobName);
+
+        BlobDTO? blob = await Repository.GetBlobAsync(containerName, blobName, cancellationToken);
+        if (blob is null)
+        {
+            Logger.LogWarning("ListBlobSnapshotsAsync: Blob '{blobName}' not found in container '{containerName}'.", blobName, containerName);
+            return NotFound();
+        }
+
+        IList<BlobSnapshotDTO> snapshots = await Repository.GetBlobSnapshotsAsync(containerName, blobName, cancellationToken);
+        return Ok(snapshots);
+    }
+}
@@ -29,6 +29,10 @@ public partial class StorageController : ODataController
     /// - <c>$skip</c> is used to skip some entities
     /// - <c>$top</c> is used to limit the number of entities returned.
     /// </para>
+    /// <para>
+    /// In addition, the non-OData <c>metadata</c> and <c>tags</c> options each accept repeated <c>key=value</c>
+    /// conditions.  Only blobs whose metadata (or tags) contain every condition are returned.
+    /// </para>
     /// </remarks>
     /// <param name="containerName">The name of the container to list blobs from.</param>
     /// <param name="count">The OData <c>$count</c> query option.</param>
@@ -37,6 +41,8 @@ public partial class StorageController : ODataController
     /// <param name="select">The OData <c>$select</c> query option.</param>
     /// <param name="skip">The OData <c>$skip</c> query option.</param>
     /// <param name="top">The OData <c>$top</c> query option.</param>
+    /// <param name="metadata">The <c>key=value</c> conditions that the blob metadata must match.</param>
+    /// <param name="tags">The <c>key=value</c> conditions that the blob tags must match.</param>
     /// <param name="cancellationToken">A cancellation token</param>
     /// <returns>An <see cref="OkObjectResult"/> response object with the paged response.</returns>
     [HttpGet("{containerName}/blobs")]
@@ -51,6 +57,8 @@ public partial class StorageController : ODataController
         [FromQuery(Name = "$select")] string? select = null,
         [FromQuery(Name = "$skip")] int? skip = null,
         [FromQuery(Name = "$top")] int? top = null,
+        [FromQuery(Name = "metadata")] string[]? metadata = null,
+        [FromQuery(Name = "tags")] string[]? tags = null,
         CancellationToken cancellationToken = default)
     {
         Logger.LogInformation("ListBlobsAsync(query: {QueryString})", Request.QueryString.Value);
@@ -71,6 +79,17 @@ public partial class StorageController : ODataController
             return BadRequest(validationException.Message);
         }
 
+        IList<KeyValuePair<string, string>> metadataConditions, tagConditions;
+        try
+        {
+            metadataConditions = ODataExtensions.ParseKeyValueConditions(metadata);
+            tagConditions = ODataExtensions.ParseKeyValueConditions(tags);
+        }
+        catch (FormatException formatException)
+        {
+            Logger.LogWarning("Error when parsing conditions: {Message}", formatException.Message);
+            return BadRequest(formatException.Message);
+        }
 
         // Determine the dataset to be queried.
         IQueryable<BlobDTO> dataset = Repository.Blobs.Where(x => x.ContainerName == containerName).AsQueryable();
@@ -78,6 +97,10 @@ public partial class StorageController : ODataController
 
         // Apply the filter to the dataset.
         IQueryable<BlobDTO> filteredDataset = dataset.ApplyODataFilter(queryOptions.Filter, querySettings);
+        if (metadataConditions.Count > 0 || tagConditions.Count > 0)
+        {
+            filteredDataset = filteredDataset.ApplyKeyValueFilter(Repository.FindBlobNames(containerName, metadataConditions, tagConditions));
+        }
         int filteredCount = await filteredDataset.CountAsync(cancellationToken).ConfigureAwait(false);
 
         // Now apply orderby, skip, and top options to the dataset
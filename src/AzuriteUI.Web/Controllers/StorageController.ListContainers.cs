@@ -29,6 +29,10 @@ public partial class StorageController : ODataController
     /// - <c>$skip</c> is used to skip some entities
     /// - <c>$top</c> is used to limit the number of entities returned.
     /// </para>
+    /// <para>
+    /// In addition, the non-OData <c>metadata</c> option accepts repeated <c>key=value</c> conditions.  Only
+    /// containers whose metadata contain every condition are returned.
+    /// </para>
     /// </remarks>
     /// <param name="count">The OData <c>$count</c> query option.</param>
     /// <param name="filter">The OData <c>$filter</c> query option.</param>
@@ -36,6 +40,7 @@ public partial class StorageController : ODataController
     /// <param name="select">The OData <c>$select</c> query option.</param>
     /// <param name="skip">The OData <c>$skip</c> query option.</param>
     /// <param name="top">The OData <c>$top</c> query option.</param>
+    /// <param name="metadata">The <c>key=value</c> conditions that the container metadata must match.</param>
     /// <param name="cancellationToken">A cancellation token</param>
     /// <returns>An <see cref="OkObjectResult"/> response object with the paged response.</returns>
     [HttpGet]
@@ -49,6 +54,7 @@ public partial class StorageController : ODataController
         [FromQuery(Name = "$select")] string? select = null,
         [FromQuery(Name = "$skip")] int? skip = null,
         [FromQuery(Name = "$top")] int? top = null,
+        [FromQuery(Name = "metadata")] string[]? metadata = null,
         CancellationToken cancellationToken = default)
     {
         Logger.LogInformation("ListContainersAsync(query: {QueryString})", Request.QueryString.Value);
@@ -69,6 +75,16 @@ public partial class StorageController : ODataController
             return BadRequest(validationException.Message);
         }
 
+        IList<KeyValuePair<string, string>> metadataConditions;
+        try
+        {
+            metadataConditions = ODataExtensions.ParseKeyValueConditions(metadata);
+        }
+        catch (FormatException formatException)
+        {
+            Logger.LogWarning("Error when parsing conditions: {Message}", formatException.Message);
+            return BadRequest(formatException.Message);
+        }
 
         // Determine the dataset to be queried.
         IQueryable<ContainerDTO> dataset = Repository.Containers.AsQueryable();
@@ -76,6 +92,10 @@ public partial class StorageController : ODataController
 
         // Apply the filter to the dataset.
         IQueryable<ContainerDTO> filteredDataset = dataset.ApplyODataFilter(queryOptions.Filter, querySettings);
+        if (metadataConditions.Count > 0)
+        {
+            filteredDataset = filteredDataset.ApplyKeyValueFilter(Repository.FindContainerNames(metadataConditions));
+        }
         int filteredCount = await filteredDataset.CountAsync(cancellationToken).ConfigureAwait(false);
 
         // Now apply orderby, skip, and top options to the dataset
@@ -0,0 +1,59 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.OData.Routing.Controllers;
+using System.Net.Mime;
+using System.Text.Json;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class StorageController : ODataController
+{
+    /// <summary>
+    /// Moves (or renames) a blob to a new name or container.
+    /// </summary>
+    /// <remarks>
+    /// The copy is done by Azurite, and keeps the content, properties, metadata and tags of the original
+    /// blob.  The destination container and name default to those of the original blob, but at least
+    /// one of them must be different.  An existing blob is only replaced if overwrite is requested.  The
+    /// original blob is deleted once the copy is complete.
+    /// </remarks>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob to move.</param>
+    /// <param name="dto">Where to move the blob to.</param>
+    /// <param name="cancellationToken">A cancellation token</param>
+    /// <returns>A <see cref="CreatedAtActionResult"/> with the moved blob.</returns>
+    [HttpPost("{containerName}/blobs/{blobName}/move")]
+    [EndpointName("MoveBlob")]
+    [EndpointDescription("Moves (or renames) a blob by copying it to a new name or container and then deleting the original.")]
+    [Consumes(MediaTypeNames.Application.Json)]
+    [ProducesResponseType<BlobDTO>(StatusCodes.Status201Created, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    [ProducesResponseType(StatusCodes.Status412PreconditionFailed)]
+    public virtual async Task<IActionResult> MoveBlobAsync(
+        [FromRoute] string containerName,
+        [FromRoute] string blobName,
+        [FromBody] CopyBlobDTO dto,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("MoveBlobAsync('{containerName}', '{blobName}', '{destination}') called", containerName, blobName, JsonSerializer.Serialize(dto));
+
+        BlobDTO? existingBlob = await Repository.GetBlobAsync(containerName, blobName, cancellationToken);
+        if (existingBlob is null)
+        {
+            Logger.LogWarning("MoveBlobAsync: Blob '{blobName}' not found in container '{containerName}'.", blobName, containerName);
+            return NotFound();
+        }
+
+        int? statusCode = GetResponseForConditionalRequest(existingBlob);
+        if (statusCode.HasValue)
+        {
+            Logger.LogInformation("MoveBlobAsync: Conditional request for blob '{blobName}' in container '{containerName}' resulted in {StatusCode}", blobName, containerName, statusCode.Value);
+            return ConditionalResponse(statusCode.Value, existingBlob);
+        }
+
+        BlobDTO movedBlob = await Repository.MoveBlobAsync(containerName, blobName, dto, cancellationToken);
+        return CreatedAtAction("GetBlobByName", new { containerName = movedBlob.ContainerName, blobName = movedBlob.Name }, movedBlob);
+    }
+}
@@ -0,0 +1,54 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.OData.Routing.Controllers;
+using System.Net.Mime;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class StorageController : ODataController
+{
+    /// <summary>
+    /// Restores a blob from one of its snapshots.
+    /// </summary>
+    /// <remarks>
+    /// The content, properties and metadata of the blob are replaced with those of the snapshot; the tags
+    /// of the blob are kept.  The snapshot itself is left in place.  Conditional request headers apply to
+    /// the blob as it is now.
+    /// </remarks>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="snapshot">The timestamp that identifies the snapshot to promote.</param>
+    /// <param name="cancellationToken">A cancellation token</param>
+    /// <returns>An <see cref="OkObjectResult"/> with the restored blob.</returns>
+    [HttpPost("{containerName}/blobs/{blobName}/snapshots/{snapshot}/promote")]
+    [EndpointName("PromoteBlobSnapshot")]
+    [EndpointDescription("Restores a blob from one of its snapshots.")]
+    [ProducesResponseType<BlobDTO>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status412PreconditionFailed)]
+    public virtual async Task<IActionResult> PromoteBlobSnapshotAsync(
+        [FromRoute] string containerName,
+        [FromRoute] string blobName,
+        [FromRoute] string snapshot,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("PromoteBlobSnapshotAsync('{containerName}', '{blobName}', '{snapshot}') called", containerName, blobName, snapshot);
+
+        BlobDTO? existingBlob = await Repository.GetBlobAsync(containerName, blobName, cancellationToken);
+        if (existingBlob is null)
+        {
+            Logger.LogWarning("PromoteBlobSnapshotAsync: Blob '{blobName}' not found in container '{containerName}'.", blobName, containerName);
+            return NotFound();
+        }
+
+        int? statusCode = GetResponseForConditionalRequest(existingBlob);
+        if (statusCode.HasValue)
+        {
+            Logger.LogInformation("PromoteBlobSnapshotAsync: Conditional request for blob '{blobName}' in container '{containerName}' resulted in {StatusCode}", blobName, containerName, statusCode.Value);
+            return ConditionalResponse(statusCode.Value, existingBlob);
+        }
+
+        BlobDTO restoredBlob = await Repository.PromoteBlobSnapshotAsync(containerName, blobName, snapshot, cancellationToken);
+        return Ok(restoredBlob);
+    }
+}
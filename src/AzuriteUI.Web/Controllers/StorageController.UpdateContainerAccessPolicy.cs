@@ -0,0 +1,56 @@
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.OData.Routing.Controllers;
+using System.Net.Mime;
+using System.Text.Json;
+
+namespace AzuriteUI.Web.Controllers;
+
+public partial class StorageController : ODataController
+{
+    /// <summary>
+    /// Replaces the access policy of a container: the level of public access and the stored access policies.
+    /// </summary>
+    /// <remarks>
+    /// The stored access policies in the request replace all of the existing ones, so any policy that is left
+    /// out is removed (and any SAS linked to it stops working).  The rules follow Azure Storage: at most five
+    /// policies, each with a unique identifier of up to 64 characters.  The request may be made conditional on
+    /// the ETag of the container with an If-Match header.
+    /// </remarks>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="dto">The new access policy.</param>
+    /// <param name="cancellationToken">A cancellation token</param>
+    /// <returns>An <see cref="OkObjectResult"/> with the updated container.</returns>
+    [HttpPut("{containerName}/acl")]
+    [EndpointName("UpdateContainerAccessPolicy")]
+    [EndpointDescription("Replaces the public access level and stored access policies of a container.")]
+    [Consumes(MediaTypeNames.Application.Json)]
+    [ProducesResponseType<ContainerDTO>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status412PreconditionFailed)]
+    public virtual async Task<IActionResult> UpdateContainerAccessPolicyAsync(
+        [FromRoute] string containerName,
+        [FromBody] ContainerAccessPolicyDTO dto,
+        CancellationToken cancellationToken = default)
+    {
+        Logger.LogInformation("UpdateContainerAccessPolicyAsync('{containerName}', '{accessPolicy}') called", containerName, JsonSerializer.Serialize(dto));
+
+        ContainerDTO? existingContainer = await Repository.GetContainerAsync(containerName, cancellationToken);
+        if (existingContainer is null)
+        {
+            Logger.LogWarning("UpdateContainerAccessPolicyAsync: Container '{containerName}' not found.", containerName);
+            return NotFound();
+        }
+
+        int? statusCode = GetResponseForConditionalRequest(existingContainer);
+        if (statusCode.HasValue)
+        {
+            Logger.LogInformation("UpdateContainerAccessPolicyAsync: Conditional request for container '{containerName}' resulted in {StatusCode}", containerName, statusCode.Value);
+            return ConditionalResponse(statusCode.Value, existingContainer);
+        }
+
+        ContainerDTO updatedContainer = await Repository.UpdateContainerAccessPolicyAsync(containerName, dto, cancellationToken);
+        return Ok(updatedContainer);
+    }
+}
@@ -12,7 +12,12 @@ public partial class UploadsController : ODataController
     /// Commits an upload session by finalizing the blob with the specified block list.
     /// </summary>
     /// <remarks>
-    /// This operation will create the blob in Azure Storage and remove the upload session.
+    /// This operation will create the blob in Azure Storage and remove the upload session.  If the request
+    /// includes a Content-MD5 for the whole blob, the committed content is checked against it.  On a mismatch
+    /// the blob is put back the way it was before the commit (a new blob is removed, and a replaced blob is
+    /// restored from a snapshot taken before the commit), the upload session is removed and a 400 Bad Request
+    /// is returned.  If the upload session was created with an <c>If-Match</c> ETag and the blob has changed
+    /// since, a 412 Precondition Failed is returned and the upload session is kept (so it can be cancelled).
     /// </remarks>
     /// <param name="uploadId">The unique identifier of the upload session.</param>
     /// <param name="request">The commit request containing the ordered list of block IDs.</param>
@@ -26,15 +31,16 @@ public partial class UploadsController : ODataController
     [ProducesResponseType<BlobDTO>(StatusCodes.Status200OK, MediaTypeNames.Application.Json)]
     [ProducesResponseType(StatusCodes.Status404NotFound)]
     [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status412PreconditionFailed)]
     public virtual async Task<IActionResult> CommitUploadAsync(
         [FromRoute] Guid uploadId,
         [FromBody] CommitUploadRequestDTO request,
         CancellationToken cancellationToken = default)
     {
-        Logger.LogInformation("CommitUploadAsync(uploadId: '{uploadId}', blockIds: '{blockIds}') called",
-            uploadId, JsonSerializer.Serialize(request.BlockIds));
+        Logger.LogInformation("CommitUploadAsync(uploadId: '{uploadId}', blockIds: '{blockIds}', contentMD5: '{contentMD5}') called",
+            uploadId, JsonSerializer.Serialize(request.BlockIds), request.ContentMD5);
 
-        BlobDTO blob = await Repository.CommitUploadAsync(uploadId, request.BlockIds, cancellationToken);
+        BlobDTO blob = await Repository.CommitUploadAsync(uploadId, request.BlockIds, request.ContentMD5, cancellationToken);
 
         Logger.LogInformation("Upload '{uploadId}' committed successfully. Blob '{containerName}/{blobName}' created.",
             uploadId, blob.ContainerName, blob.Name);
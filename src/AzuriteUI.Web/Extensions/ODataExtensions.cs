@@ -20,6 +20,44 @@ public static class ODataExtensions
     internal static IQueryable<T> ApplyODataFilter<T>(this IQueryable<T> query, FilterQueryOption? filterQueryOption, ODataQuerySettings settings)
         => (IQueryable<T>)(filterQueryOption?.ApplyTo(query, settings) ?? query);
 
+    /// <summary>
+    /// Restricts the query to the entities whose names are returned by another query, such as the names
+    /// found by matching <c>key=value</c> conditions against metadata or tags.
+    /// </summary>
+    /// <remarks>
+    /// Dictionaries are not part of the EDM model, so these conditions cannot be expressed with <c>$filter</c>.  The
+    /// names are matched by the database, so the result remains a single database query for counting, ordering, and paging.
+    /// </remarks>
+    /// <typeparam name="T">The type of entity being queried.</typeparam>
+    /// <param name="query">The current <see cref="IQueryable{T}"/> representing the query.</param>
+    /// <param name="names">A query for the names of the entities to keep.</param>
+    /// <returns>A modified <see cref="IQueryable{T}"/> representing the filtered data.</returns>
+    internal static IQueryable<T> ApplyKeyValueFilter<T>(this IQueryable<T> query, IQueryable<string> names) where T : IBaseDTO
+        => query.Where(entity => names.Contains(entity.Name));
+
+    /// <summary>
+    /// Parses the <c>key=value</c> conditions used to filter on metadata and tags.
+    /// </summary>
+    /// <param name="conditions">The conditions from the query string.</param>
+    /// <returns>The parsed conditions.</returns>
+    /// <exception cref="FormatException">Thrown if a condition is not of the form <c>key=value</c>.</exception>
+    internal static IList<KeyValuePair<string, string>> ParseKeyValueConditions(IEnumerable<string>? conditions)
+    {
+        List<KeyValuePair<string, string>> result = [];
+        foreach (string condition in conditions ?? [])
+        {
+            int separator = condition.IndexOf('=');
+            if (separator <= 0 || string.IsNullOrWhiteSpace(condition[..separator]))
+            {
+                throw new FormatException($"The condition '{condition}' is not of the form key=value.");
+            }
+
+            result.Add(new(condition[..separator].Trim(), condition[(separator + 1)..]));
+        }
+
+        return result;
+    }
+
     /// <summary>
     /// Applies the <c>$orderBy</c> OData query option to the provided query for blobs or containers.
     /// </summary>
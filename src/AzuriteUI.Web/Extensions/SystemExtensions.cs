@@ -37,4 +37,18 @@ public static class SystemExtensions
     /// <returns>The non-null dictionary.</returns>
     public static IDictionary<string, string> ToDictionaryOrEmpty(this IDictionary<string, string>? dict)
         => dict is not null ? dict : new Dictionary<string, string>();
+
+    /// <summary>
+    /// Determines whether a dictionary (such as metadata or tags) contains every one of the given key/value pairs.
+    /// </summary>
+    /// <remarks>
+    /// Keys are compared case-insensitively (as Azure Storage does for metadata); values must match exactly.
+    /// </remarks>
+    /// <param name="dict">The dictionary to check.</param>
+    /// <param name="conditions">The key/value pairs that must be present.</param>
+    /// <returns>True if every condition is matched; otherwise, false.</returns>
+    public static bool MatchesAll(this IDictionary<string, string> dict, IEnumerable<KeyValuePair<string, string>> conditions)
+        => conditions.All(condition => dict.Any(entry =>
+            entry.Key.Equals(condition.Key, StringComparison.OrdinalIgnoreCase)
+            && entry.Value.Equals(condition.Value, StringComparison.Ordinal)));
 }
\ No newline at end of file
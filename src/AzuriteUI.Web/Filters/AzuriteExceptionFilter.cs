@@ -57,6 +57,17 @@ public class AzuriteExceptionFilter : IExceptionFilter
         {
             problemDetails.Extensions["resourceName"] = existsEx.ResourceName;
         }
+        else if (azuriteException is PreconditionFailedException preconditionEx)
+        {
+            if (!string.IsNullOrEmpty(preconditionEx.ResourceName))
+            {
+                problemDetails.Extensions["resourceName"] = preconditionEx.ResourceName;
+            }
+            if (!string.IsNullOrEmpty(preconditionEx.ETag))
+            {
+                problemDetails.Extensions["eTag"] = preconditionEx.ETag;
+            }
+        }
         else if (azuriteException is RangeNotSatisfiableException rangeEx && rangeEx.ContentLength.HasValue)
         {
             context.HttpContext.Response.Headers.ContentRange = $"bytes */{rangeEx.ContentLength.Value}";
@@ -108,6 +119,7 @@ public class AzuriteExceptionFilter : IExceptionFilter
         {
             StatusCodes.Status404NotFound => "Not Found",
             StatusCodes.Status409Conflict => "Conflict",
+            StatusCodes.Status412PreconditionFailed => "Precondition Failed",
             StatusCodes.Status416RangeNotSatisfiable => "Range Not Satisfiable",
             StatusCodes.Status503ServiceUnavailable => "Service Unavailable",
             StatusCodes.Status502BadGateway => "Bad Gateway",
@@ -14,11 +14,24 @@ public class ContainerModel : PageModel
     /// Initializes a new instance of the <see cref="ContainerModel"/> class.
     /// </summary>
     /// <param name="logger">The logger for diagnostics.</param>
-    public ContainerModel(ILogger<ContainerModel> logger)
+    /// <param name="configuration">The application configuration.</param>
+    public ContainerModel(ILogger<ContainerModel> logger, IConfiguration configuration)
     {
         _logger = logger;
+        MetadataSchema = MetadataSchema.FromConfiguration(configuration, "Blobs");
+        TagsSchema = MetadataSchema.FromConfiguration(configuration, "Tags");
     }
 
+    /// <summary>
+    /// Gets the schema for blob metadata, if one is configured.
+    /// </summary>
+    public MetadataSchema? MetadataSchema { get; }
+
+    /// <summary>
+    /// Gets the schema for blob index tags, if one is configured.
+    /// </summary>
+    public MetadataSchema? TagsSchema { get; }
+
     /// <summary>
     /// Gets the container name from the route.
     /// </summary>
@@ -14,11 +14,18 @@ public class IndexModel : PageModel
     /// Initializes a new instance of the <see cref="IndexModel"/> class.
     /// </summary>
     /// <param name="logger">The logger for diagnostics.</param>
-    public IndexModel(ILogger<IndexModel> logger)
+    /// <param name="configuration">The application configuration.</param>
+    public IndexModel(ILogger<IndexModel> logger, IConfiguration configuration)
     {
         _logger = logger;
+        MetadataSchema = MetadataSchema.FromConfiguration(configuration, "Containers");
     }
 
+    /// <summary>
+    /// Gets the schema for container metadata, if one is configured.
+    /// </summary>
+    public MetadataSchema? MetadataSchema { get; }
+
     /// <summary>
     /// Handles GET requests to the containers list page.
     /// </summary>
@@ -0,0 +1,58 @@
+namespace AzuriteUI.Web.Pages.Containers;
+
+/// <summary>
+/// A team-defined schema for metadata or tags, read from the <c>MetadataSchema</c> section of the
+/// configuration and handed to the metadata editor.
+/// </summary>
+public class MetadataSchema
+{
+    /// <summary>
+    /// Whether keys that are not in <see cref="Keys"/> can be used.
+    /// </summary>
+    public bool AllowOtherKeys { get; set; } = true;
+
+    /// <summary>
+    /// The keys that are required or allowed.
+    /// </summary>
+    public List<MetadataSchemaKey> Keys { get; set; } = [];
+
+    /// <summary>
+    /// Reads a schema from the configuration.
+    /// </summary>
+    /// <param name="configuration">The application configuration.</param>
+    /// <param name="name">The name of the schema: <c>Containers</c>, <c>Blobs</c>, <c>Queues</c> or <c>Tags</c>.</param>
+    /// <returns>The schema, or null if none is configured.</returns>
+    public static MetadataSchema? FromConfiguration(IConfiguration configuration, string name)
+        => configuration.GetSection($"MetadataSchema:{name}").Get<MetadataSchema>();
+}
+
+/// <summary>
+/// The rules for one key in a <see cref="MetadataSchema"/>.
+/// </summary>
+public class MetadataSchemaKey
+{
+    /// <summary>
+    /// The key.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Whether the key must be set.
+    /// </summary>
+    public bool Required { get; set; }
+
+    /// <summary>
+    /// A regular expression that the whole value must match, if any.
+    /// </summary>
+    public string? Pattern { get; set; }
+
+    /// <summary>
+    /// The values that can be chosen, if the value is restricted to a list.
+    /// </summary>
+    public List<string>? Values { get; set; }
+
+    /// <summary>
+    /// A description of the value, shown as a hint and in validation messages.
+    /// </summary>
+    public string? Description { get; set; }
+}
@@ -0,0 +1,38 @@
+using AzuriteUI.Web.Pages.Containers;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.RazorPages;
+
+namespace AzuriteUI.Web.Pages.Queues;
+
+/// <summary>
+/// Page model for the queues list page.
+/// </summary>
+public class IndexModel : PageModel
+{
+    private readonly ILogger<IndexModel> _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexModel"/> class.
+    /// </summary>
+    /// <param name="logger">The logger for diagnostics.</param>
+    /// <param name="configuration">The application configuration.</param>
+    public IndexModel(ILogger<IndexModel> logger, IConfiguration configuration)
+    {
+        _logger = logger;
+        MetadataSchema = MetadataSchema.FromConfiguration(configuration, "Queues");
+    }
+
+    /// <summary>
+    /// Gets the schema for queue metadata, if one is configured.
+    /// </summary>
+    public MetadataSchema? MetadataSchema { get; }
+
+    /// <summary>
+    /// Handles GET requests to the queues list page.
+    /// </summary>
+    public IActionResult OnGet()
+    {
+        _logger.LogInformation("Queues list page accessed");
+        return Page();
+    }
+}
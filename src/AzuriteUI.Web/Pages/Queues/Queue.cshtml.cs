@@ -0,0 +1,35 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.RazorPages;
+
+namespace AzuriteUI.Web.Pages.Queues;
+
+/// <summary>
+/// Page model for viewing the messages in a specific queue.
+/// </summary>
+public class QueueModel : PageModel
+{
+    private readonly ILogger<QueueModel> _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="QueueModel"/> class.
+    /// </summary>
+    /// <param name="logger">The logger for diagnostics.</param>
+    public QueueModel(ILogger<QueueModel> logger)
+    {
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Gets the queue name from the route.
+    /// </summary>
+    [BindProperty(SupportsGet = true)]
+    public string QueueName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Handles GET requests to the queue messages page.
+    /// </summary>
+    public void OnGet()
+    {
+        _logger.LogInformation("Queue messages page accessed for queue: {QueueName}", QueueName);
+    }
+}
@@ -0,0 +1,20 @@
+using Microsoft.AspNetCore.Mvc;
+
+namespace AzuriteUI.Web.Pages.Shared.Components;
+
+/// <summary>
+/// View component for the display preferences panel in the navigation bar.
+/// The preferences (how dates, times and sizes are shown) are kept in the browser by
+/// <c>dateFormatter.js</c>; the panel is wired up by <c>preferencesPanel.js</c>.
+/// </summary>
+public class DisplayPreferencesViewComponent : ViewComponent
+{
+    /// <summary>
+    /// Invokes the display preferences view component.
+    /// </summary>
+    /// <returns>The view component result.</returns>
+    public IViewComponentResult Invoke()
+    {
+        return View();
+    }
+}
@@ -0,0 +1,20 @@
+using Microsoft.AspNetCore.Mvc;
+
+namespace AzuriteUI.Web.Pages.Shared.Components;
+
+/// <summary>
+/// View component for the notification center in the navigation bar.
+/// The notification center lists the toasts shown during the browser session; the content of the
+/// drop-down is filled in by <c>notificationCenter.js</c> from the history kept by <c>toast.js</c>.
+/// </summary>
+public class NotificationCenterViewComponent : ViewComponent
+{
+    /// <summary>
+    /// Invokes the notification center view component.
+    /// </summary>
+    /// <returns>The view component result.</returns>
+    public IViewComponentResult Invoke()
+    {
+        return View();
+    }
+}
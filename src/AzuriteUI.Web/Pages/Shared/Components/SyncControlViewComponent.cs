@@ -0,0 +1,20 @@
+using Microsoft.AspNetCore.Mvc;
+
+namespace AzuriteUI.Web.Pages.Shared.Components;
+
+/// <summary>
+/// View component for the cache synchronization control in the navigation bar.
+/// The control starts a synchronization and shows its progress and the recent synchronizations;
+/// the content of the drop-down is filled in by <c>syncControl.js</c>.
+/// </summary>
+public class SyncControlViewComponent : ViewComponent
+{
+    /// <summary>
+    /// Invokes the sync control view component.
+    /// </summary>
+    /// <returns>The view component result.</returns>
+    public IViewComponentResult Invoke()
+    {
+        return View();
+    }
+}
@@ -0,0 +1,30 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.RazorPages;
+
+namespace AzuriteUI.Web.Pages.Uploads;
+
+/// <summary>
+/// Page model for the upload sessions page.
+/// </summary>
+public class IndexModel : PageModel
+{
+    private readonly ILogger<IndexModel> _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexModel"/> class.
+    /// </summary>
+    /// <param name="logger">The logger for diagnostics.</param>
+    public IndexModel(ILogger<IndexModel> logger)
+    {
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Handles GET requests to the upload sessions page.
+    /// </summary>
+    public IActionResult OnGet()
+    {
+        _logger.LogInformation("Upload sessions page accessed");
+        return Page();
+    }
+}
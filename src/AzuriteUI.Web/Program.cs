@@ -5,6 +5,7 @@ using AzuriteUI.Web.Services.Azurite;
 using AzuriteUI.Web.Services.CacheDb;
 using AzuriteUI.Web.Services.CacheSync;
 using AzuriteUI.Web.Services.Display;
+using AzuriteUI.Web.Services.Events;
 using AzuriteUI.Web.Services.Health;
 using AzuriteUI.Web.Services.Repositories;
 using Microsoft.EntityFrameworkCore;
@@ -18,10 +19,16 @@ var builder = WebApplication.CreateBuilder(args);
 var cacheConnectionString = builder.Configuration.GetRequiredConnectionString("CacheDatabase");
 var azuriteConnectionString = builder.Configuration.GetRequiredConnectionString("Azurite");
 
+// Storage events, pushed to the UI as server-sent events
+builder.Services.AddSingleton<IStorageEventHub, StorageEventHub>();
+builder.Services.AddSingleton<CacheChangeInterceptor>();
+builder.Services.AddHostedService<StorageEventPublisher>();
+
 // Cache database context
-builder.Services.AddDbContext<CacheDbContext>(options =>
+builder.Services.AddDbContext<CacheDbContext>((serviceProvider, options) =>
 {
     options.UseSqlite(cacheConnectionString, sqliteOptions => sqliteOptions.CommandTimeout(30));
+    options.AddInterceptors(serviceProvider.GetRequiredService<CacheChangeInterceptor>());
     options.EnableDetailedErrors();
 });
 builder.Services.AddHostedService<CacheDbInitializer>();
@@ -31,6 +38,7 @@ builder.Services.AddSingleton<IAzuriteService, AzuriteService>();
 
 // Cache synchronization services
 builder.Services.AddSingleton(TimeProvider.System);
+builder.Services.AddSingleton<ICacheSyncTracker, CacheSyncTracker>();
 builder.Services.AddScoped<ICacheSyncService, CacheSyncService>();
 builder.Services.AddSingleton<IQueueWorker, QueueWorker>();
 builder.Services.AddSingleton<IQueueManager, QueueManager>();
@@ -80,6 +80,54 @@ public class AzuriteConnectionStringBuilder
     {
     }
 
+    /// <summary>
+    /// The name of the storage account, or null if it has not been set.
+    /// </summary>
+    public string? AccountName => _properties.GetValueOrDefault(AzuriteKeys.AccountName);
+
+    /// <summary>
+    /// The key for the storage account, or null if it has not been set.
+    /// </summary>
+    public string? AccountKey => _properties.GetValueOrDefault(AzuriteKeys.AccountKey);
+
+    /// <summary>
+    /// The endpoint URI for the blob service, or null if it has not been set.
+    /// </summary>
+    public string? BlobEndpoint => _properties.GetValueOrDefault(AzuriteKeys.BlobEndpoint);
+
+    /// <summary>
+    /// The endpoint URI for the queue service, or null if it cannot be determined.
+    /// </summary>
+    /// <remarks>
+    /// If the QueueEndpoint property has not been set, it is derived from the BlobEndpoint property using
+    /// the Azurite port layout, where the queue service listens on the port after the blob service.  This
+    /// is only done when the BlobEndpoint has an explicit port, so that queue requests never go to a host
+    /// that was not configured.
+    /// </remarks>
+    public string? QueueEndpoint
+    {
+        get
+        {
+            if (_properties.TryGetValue(AzuriteKeys.QueueEndpoint, out string? queueEndpoint))
+            {
+                return queueEndpoint;
+            }
+
+            if (BlobEndpoint is null)
+            {
+                return null;
+            }
+
+            var blobUri = new Uri(BlobEndpoint);
+            if (blobUri.IsDefaultPort || blobUri.Port >= ushort.MaxValue)
+            {
+                return null;
+            }
+
+            return new UriBuilder(blobUri) { Port = blobUri.Port + 1 }.Uri.ToString().TrimEnd('/');
+        }
+    }
+
     /// <summary>
     /// Sets the DefaultEndpointsProtocol property for the connection string.
     /// </summary>
@@ -281,6 +329,28 @@ public class AzuriteConnectionStringBuilder
         return string.Join(";", parts);
     }
 
+    /// <summary>
+    /// Returns a connection string for the blob service that authenticates with a shared access signature
+    /// instead of the account key.
+    /// </summary>
+    /// <remarks>
+    /// Only the BlobEndpoint is included, since a blob service SAS cannot be used for queues or tables.
+    /// </remarks>
+    /// <param name="sasToken">The shared access signature (without the leading '?').</param>
+    /// <returns>The connection string.</returns>
+    /// <exception cref="ArgumentException">Thrown if the SAS token is null or whitespace.</exception>
+    /// <exception cref="FormatException">Thrown if the BlobEndpoint has not been set.</exception>
+    public string ToSharedAccessSignatureString(string sasToken)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(sasToken);
+        if (BlobEndpoint is null)
+        {
+            throw new FormatException($"The connection string is missing required properties: {AzuriteKeys.BlobEndpoint}.");
+        }
+
+        return $"{AzuriteKeys.BlobEndpoint}={BlobEndpoint};{AzuriteKeys.SharedAccessSignature}={sasToken.TrimStart('?')}";
+    }
+
     /// <summary>
     /// A list of all the Azurite keys in use.
     /// </summary>
@@ -321,6 +391,11 @@ public class AzuriteConnectionStringBuilder
         /// </summary>
         public const string TableEndpoint = "TableEndpoint";
 
+        /// <summary>
+        /// The shared access signature used in place of the account key.  This is only produced, never parsed.
+        /// </summary>
+        public const string SharedAccessSignature = "SharedAccessSignature";
+
         /// <summary>
         /// The list of required keys in the connection string.
         /// </summary>
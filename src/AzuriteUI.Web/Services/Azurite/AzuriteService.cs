@@ -1,7 +1,10 @@
 ﻿using Azure;
+using Azure.Storage;
 using Azure.Storage.Blobs;
 using Azure.Storage.Blobs.Models;
 using Azure.Storage.Blobs.Specialized;
+using Azure.Storage.Queues;
+using Azure.Storage.Sas;
 using AzuriteUI.Web.Extensions;
 using AzuriteUI.Web.Services.Azurite.Exceptions;
 using AzuriteUI.Web.Services.Azurite.Models;
@@ -47,6 +50,7 @@ public class AzuriteService : IAzuriteService
         ConnectionString = ValidateConnectionString(connectionString);
         Logger = logger;
         ServiceClient = new BlobServiceClient(ConnectionString);
+        _queueServiceClient = CreateQueueServiceClient(ConnectionString);
     }
 
     /// <summary>
@@ -64,6 +68,7 @@ public class AzuriteService : IAzuriteService
         ConnectionString = ValidateConnectionString(connectionString);
         Logger = logger;
         ServiceClient = new BlobServiceClient(ConnectionString);
+        _queueServiceClient = CreateQueueServiceClient(ConnectionString);
     }
 
     /// <summary>
@@ -76,6 +81,19 @@ public class AzuriteService : IAzuriteService
     /// </summary>
     internal BlobServiceClient ServiceClient { get; }
 
+    /// <summary>
+    /// The QueueServiceClient used to communicate with the queue service of Azurite, or null if
+    /// the queue endpoint cannot be determined from the connection string.
+    /// </summary>
+    private readonly QueueServiceClient? _queueServiceClient;
+
+    /// <summary>
+    /// The QueueServiceClient used to communicate with the queue service of Azurite.
+    /// </summary>
+    /// <exception cref="AzuriteServiceException">Thrown if the queue service is not configured.</exception>
+    internal QueueServiceClient QueueServiceClient
+        => _queueServiceClient ?? throw new AzuriteServiceException("The queue service is not configured; add a QueueEndpoint to the Azurite connection string.");
+
     #region Azurite Properties and Health
     /// <summary>
     /// The connection string used to connect to the Azurite service.
@@ -154,6 +172,31 @@ public class AzuriteService : IAzuriteService
         }, cancellationToken).ConfigureAwait(false);
     }
 
+    /// <summary>
+    /// Retrieves the access policy of the specified Azurite container: the public access level and
+    /// the stored access policies.
+    /// </summary>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The access policy of the container.</returns>
+    /// <exception cref="ArgumentException">Thrown if the container name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a container with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error retrieving the access policy.</exception>
+    public async Task<AzuriteContainerAccessPolicy> GetContainerAccessPolicyAsync(string containerName, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("GetContainerAccessPolicyAsync({ContainerName})", containerName);
+        return await HandleRequestFailedExceptionAsync(containerName, async () =>
+        {
+            var containerClient = ServiceClient.GetBlobContainerClient(containerName);
+            var response = await containerClient.GetAccessPolicyAsync(cancellationToken: cancellationToken).ConfigureAwait(false);
+            return new AzuriteContainerAccessPolicy
+            {
+                PublicAccess = response.Value.BlobPublicAccess.ToAzuritePublicAccess(),
+                SignedIdentifiers = [.. (response.Value.SignedIdentifiers ?? []).Select(AzuriteSignedIdentifier.FromAzure)]
+            };
+        }, cancellationToken).ConfigureAwait(false);
+    }
+
     /// <summary>
     /// Retrieves the Azurite container with the specified name.
     /// </summary>
@@ -193,6 +236,31 @@ public class AzuriteService : IAzuriteService
         }
     }
 
+    /// <summary>
+    /// Replaces the access policy of the specified Azurite container.  Any stored access policies that
+    /// are not included in the new access policy are removed.
+    /// </summary>
+    /// <param name="containerName">The name of the container to update.</param>
+    /// <param name="accessPolicy">The new access policy for the container.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The updated Azurite container item.</returns>
+    /// <exception cref="ArgumentException">Thrown if the container name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a container with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error updating the access policy.</exception>
+    public async Task<AzuriteContainerItem> SetContainerAccessPolicyAsync(string containerName, AzuriteContainerAccessPolicy accessPolicy, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("SetContainerAccessPolicyAsync({ContainerName}, {AccessPolicy})", containerName, JsonSerializer.Serialize(accessPolicy));
+        return await HandleRequestFailedExceptionAsync(containerName, async () =>
+        {
+            var containerClient = ServiceClient.GetBlobContainerClient(containerName);
+            _ = await containerClient.SetAccessPolicyAsync(
+                ConvertToPublicAccessType(accessPolicy.PublicAccess),
+                accessPolicy.SignedIdentifiers.Select(identifier => identifier.ToAzure()),
+                cancellationToken: cancellationToken).ConfigureAwait(false);
+            return await GetContainerAsync(containerName, cancellationToken).ConfigureAwait(false);
+        }, cancellationToken).ConfigureAwait(false);
+    }
+
     /// <summary>
     /// Updates the properties of the specified Azurite container.
     /// </summary>
@@ -220,6 +288,75 @@ public class AzuriteService : IAzuriteService
     #endregion
 
     #region Blob Management
+    /// <summary>
+    /// Copies a blob, within or between containers, using a server-side copy.  The copy has the same
+    /// content, properties, metadata and tags as the source blob.
+    /// </summary>
+    /// <param name="sourceContainerName">The name of the container holding the blob to copy.</param>
+    /// <param name="sourceBlobName">The name of the blob to copy.</param>
+    /// <param name="destinationContainerName">The name of the container to copy the blob to.</param>
+    /// <param name="destinationBlobName">The name of the copy.</param>
+    /// <param name="overwrite">If true, an existing blob with the destination name is replaced.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that represents the asynchronous operation, with a value of the copied blob.</returns>
+    /// <exception cref="ArgumentException">Thrown if a container name or blob name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if the source blob or either container does not exist.</exception>
+    /// <exception cref="ResourceExistsException">Thrown if the destination blob exists and <paramref name="overwrite"/> is false.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error copying the blob.</exception>
+    public async Task<AzuriteBlobItem> CopyBlobAsync(string sourceContainerName, string sourceBlobName, string destinationContainerName, string destinationBlobName, bool overwrite = false, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("CopyBlobAsync({SourceContainerName}, {SourceBlobName}, {DestinationContainerName}, {DestinationBlobName}, overwrite: {Overwrite})", sourceContainerName, sourceBlobName, destinationContainerName, destinationBlobName, overwrite);
+        string destinationResourceName = $"{destinationContainerName}/{destinationBlobName}";
+        try
+        {
+            return await HandleRequestFailedExceptionAsync($"{sourceContainerName}/{sourceBlobName}", async () =>
+            {
+                var sourceClient = ServiceClient.GetBlobContainerClient(sourceContainerName).GetBlobClient(sourceBlobName);
+                var destinationClient = ServiceClient.GetBlobContainerClient(destinationContainerName).GetBlobClient(destinationBlobName);
+
+                // The copy takes the metadata of the source, but not the tags - so they are copied separately.
+                var tags = await sourceClient.GetTagsAsync(cancellationToken: cancellationToken).ConfigureAwait(false);
+                var copyOptions = new BlobCopyFromUriOptions
+                {
+                    Tags = tags.Value.Tags,
+                    DestinationConditions = overwrite ? null : new BlobRequestConditions { IfNoneMatch = ETag.All }
+                };
+
+                var operation = await destinationClient.StartCopyFromUriAsync(sourceClient.Uri, copyOptions, cancellationToken).ConfigureAwait(false);
+                _ = await operation.WaitForCompletionAsync(cancellationToken).ConfigureAwait(false);
+                return await GetBlobAsync(destinationContainerName, destinationBlobName, cancellationToken).ConfigureAwait(false);
+            }, cancellationToken).ConfigureAwait(false);
+        }
+        catch (AzuriteServiceException ex) when (!overwrite && ex is PreconditionFailedException or ResourceExistsException)
+        {
+            // Depending on the version, Azurite reports an existing destination as a failed condition or a conflict.
+            throw new ResourceExistsException("A blob with the specified name already exists.", ex) { ResourceName = destinationResourceName };
+        }
+    }
+
+    /// <summary>
+    /// Creates a read-only snapshot of the specified blob.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob to snapshot.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that represents the asynchronous operation, with a value of the new snapshot.</returns>
+    /// <exception cref="ArgumentException">Thrown if the container name or blob name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if the specified blob or container does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error creating the snapshot.</exception>
+    public async Task<AzuriteBlobItem> CreateBlobSnapshotAsync(string containerName, string blobName, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("CreateBlobSnapshotAsync({ContainerName}, {BlobName})", containerName, blobName);
+        return await HandleRequestFailedExceptionAsync($"{containerName}/{blobName}", async () =>
+        {
+            var blobClient = ServiceClient.GetBlobContainerClient(containerName).GetBlobClient(blobName);
+            var snapshotInfo = await blobClient.CreateSnapshotAsync(cancellationToken: cancellationToken).ConfigureAwait(false);
+            var snapshot = await GetBlobSnapshotsAsync(containerName, blobName, cancellationToken)
+                .FirstOrDefaultAsync(s => s.Snapshot == snapshotInfo.Value.Snapshot, cancellationToken).ConfigureAwait(false);
+            return snapshot ?? throw new ResourceNotFoundException("The new snapshot was not found.") { ResourceName = $"{containerName}/{blobName}" };
+        }, cancellationToken).ConfigureAwait(false);
+    }
+
     /// <summary>
     /// Deletes the specified blob from the given container.
     /// </summary>
@@ -240,6 +377,26 @@ public class AzuriteService : IAzuriteService
         }, cancellationToken).ConfigureAwait(false);
     }
 
+    /// <summary>
+    /// Deletes a snapshot of the specified blob, leaving the blob and its other snapshots in place.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="snapshot">The timestamp that identifies the snapshot to delete.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that resolves when work is complete.</returns>
+    /// <exception cref="ArgumentException">Thrown if the container name or blob name is invalid.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error deleting the snapshot.</exception>
+    public async Task DeleteBlobSnapshotAsync(string containerName, string blobName, string snapshot, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("DeleteBlobSnapshotAsync({ContainerName}, {BlobName}, {Snapshot})", containerName, blobName, snapshot);
+        await HandleRequestFailedExceptionAsync($"{containerName}/{blobName}?snapshot={snapshot}", async () =>
+        {
+            var blobClient = ServiceClient.GetBlobContainerClient(containerName).GetBlobClient(blobName);
+            _ = await blobClient.WithSnapshot(snapshot).DeleteIfExistsAsync(cancellationToken: cancellationToken).ConfigureAwait(false);
+        }, cancellationToken).ConfigureAwait(false);
+    }
+
     /// <summary>
     /// Downloads (a range of) the specified blob from the given container.
     /// </summary>
@@ -257,21 +414,31 @@ public class AzuriteService : IAzuriteService
         Logger.LogDebug("DownloadBlobAsync({ContainerName}, {BlobName}, {HttpRange})", containerName, blobName, httpRange ?? "<full>");
         return await HandleRequestFailedExceptionAsync($"{containerName}/{blobName}", async () =>
         {
-            var downloadOptions = string.IsNullOrWhiteSpace(httpRange)
-                ? new BlobDownloadOptions()
-                : new BlobDownloadOptions { Range = ParseHttpRange(httpRange) };
+            var blobClient = ServiceClient.GetBlobContainerClient(containerName).GetBlobClient(blobName);
+            return await DownloadAsync(blobClient, httpRange, cancellationToken).ConfigureAwait(false);
+        }, cancellationToken).ConfigureAwait(false);
+    }
 
-            var containerClient = ServiceClient.GetBlobContainerClient(containerName);
-            var blobClient = containerClient.GetBlobClient(blobName);
-            var result = await blobClient.DownloadStreamingAsync(downloadOptions, cancellationToken).ConfigureAwait(false);
-            return new AzuriteBlobDownloadResult
-            {
-                Content = result.Value.Content,
-                ContentLength = result.Value.Details.ContentLength,
-                ContentRange = result.Value.Details.ContentRange,
-                ContentType = result.Value.Details.ContentType,
-                StatusCode = result.GetRawResponse().Status
-            };
+    /// <summary>
+    /// Downloads (a range of) a snapshot of the specified blob.
+    /// </summary>
+    /// <param name="containerName">The name of the container to download from.</param>
+    /// <param name="blobName">The name of the blob to download.</param>
+    /// <param name="snapshot">The timestamp that identifies the snapshot.</param>
+    /// <param name="httpRange">The range of bytes to download.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that represents the asynchronous download operation.</returns>
+    /// <exception cref="ArgumentException">Thrown if the container name or blob name is invalid, or the provided HTTP Range is not valid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if the specified snapshot, blob or container does not exist.</exception>
+    /// <exception cref="RangeNotSatisfiableException">Thrown if the specified range is invalid.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error downloading the snapshot.</exception>
+    public async Task<AzuriteBlobDownloadResult> DownloadBlobSnapshotAsync(string containerName, string blobName, string snapshot, string? httpRange = null, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("DownloadBlobSnapshotAsync({ContainerName}, {BlobName}, {Snapshot}, {HttpRange})", containerName, blobName, snapshot, httpRange ?? "<full>");
+        return await HandleRequestFailedExceptionAsync($"{containerName}/{blobName}?snapshot={snapshot}", async () =>
+        {
+            var blobClient = ServiceClient.GetBlobContainerClient(containerName).GetBlobClient(blobName).WithSnapshot(snapshot);
+            return await DownloadAsync(blobClient, httpRange, cancellationToken).ConfigureAwait(false);
         }, cancellationToken).ConfigureAwait(false);
     }
 
@@ -326,6 +493,66 @@ public class AzuriteService : IAzuriteService
         }
     }
 
+    /// <summary>
+    /// Retrieves an asynchronous enumerable of the snapshots of the specified blob.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>An asynchronous enumerable of the snapshots of the blob, oldest first.</returns>
+    /// <exception cref="ArgumentException">Thrown if the container name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if the specified container does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error retrieving the snapshots.</exception>
+    public async IAsyncEnumerable<AzuriteBlobItem> GetBlobSnapshotsAsync(string containerName, string blobName, [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("GetBlobSnapshotsAsync({ContainerName}, {BlobName})", containerName, blobName);
+        var containerClient = ServiceClient.GetBlobContainerClient(containerName);
+        bool exists = await containerClient.ExistsAsync(cancellationToken).ConfigureAwait(false);
+        if (!exists)
+        {
+            throw new ResourceNotFoundException("The specified container was not found.") { ResourceName = containerName };
+        }
+
+        // The listing includes the blob itself (which has no snapshot timestamp) and any blobs that share its prefix.
+        var blobs = containerClient.GetBlobsAsync(traits: BlobTraits.Metadata, states: BlobStates.Snapshots, prefix: blobName, cancellationToken: cancellationToken);
+        await foreach (var blobItem in blobs.WithCancellation(cancellationToken))
+        {
+            if (blobItem.Name == blobName && !string.IsNullOrEmpty(blobItem.Snapshot))
+            {
+                yield return AzuriteBlobItem.FromAzure(blobItem);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Replaces the content, properties and metadata of the specified blob with those of one of its snapshots.
+    /// The tags of the blob are kept.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="snapshot">The timestamp that identifies the snapshot to promote.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that represents the asynchronous operation, with a value of the updated blob.</returns>
+    /// <exception cref="ArgumentException">Thrown if the container name or blob name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if the specified snapshot, blob or container does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error promoting the snapshot.</exception>
+    public async Task<AzuriteBlobItem> PromoteBlobSnapshotAsync(string containerName, string blobName, string snapshot, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("PromoteBlobSnapshotAsync({ContainerName}, {BlobName}, {Snapshot})", containerName, blobName, snapshot);
+        return await HandleRequestFailedExceptionAsync($"{containerName}/{blobName}?snapshot={snapshot}", async () =>
+        {
+            var blobClient = ServiceClient.GetBlobContainerClient(containerName).GetBlobClient(blobName);
+
+            // Snapshots do not hold tags, and copying over the blob would otherwise remove them.
+            var tags = await blobClient.GetTagsAsync(cancellationToken: cancellationToken).ConfigureAwait(false);
+            var copyOptions = new BlobCopyFromUriOptions { Tags = tags.Value.Tags };
+
+            var operation = await blobClient.StartCopyFromUriAsync(blobClient.WithSnapshot(snapshot).Uri, copyOptions, cancellationToken).ConfigureAwait(false);
+            _ = await operation.WaitForCompletionAsync(cancellationToken).ConfigureAwait(false);
+            return await GetBlobAsync(containerName, blobName, cancellationToken).ConfigureAwait(false);
+        }, cancellationToken).ConfigureAwait(false);
+    }
+
     /// <summary>
     /// Updates the properties of the specified blob in the given container.
     /// </summary>
@@ -363,16 +590,27 @@ public class AzuriteService : IAzuriteService
     /// <param name="blobName">The name of the blob being uploaded.</param>
     /// <param name="blockId">The Base64-encoded block ID for this chunk. Must be unique within the blob.</param>
     /// <param name="content">The stream containing the chunk data to upload.</param>
+    /// <param name="contentHash">If provided, the MD5 hash of the chunk; Azurite rejects the chunk if it does not match.</param>
     /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
     /// <returns>A task that resolves to a <see cref="AzuriteBlobBlockInfo"/> with upload details.</returns>
-    public async Task<AzuriteBlobBlockInfo> UploadBlockAsync(string containerName, string blobName, string blockId, Stream content, CancellationToken cancellationToken = default)
+    public async Task<AzuriteBlobBlockInfo> UploadBlockAsync(string containerName, string blobName, string blockId, Stream content, byte[]? contentHash = null, CancellationToken cancellationToken = default)
     {
-        Logger.LogDebug("UploadBlockAsync(containerName: {ContainerName}, blobName: {BlobName}, blockId: {BlockId})", containerName, blobName, blockId);
+        Logger.LogDebug("UploadBlockAsync(containerName: {ContainerName}, blobName: {BlobName}, blockId: {BlockId}, contentHash: {ContentHash})", containerName, blobName, blockId, contentHash.AsOptionalBase64() ?? "<none>");
         return await HandleRequestFailedExceptionAsync($"{containerName}/{blobName}/blocks/{blockId}", async () =>
         {
             var containerClient = ServiceClient.GetBlobContainerClient(containerName);
             var blobClient = containerClient.GetBlockBlobClient(blobName);
-            var response = await blobClient.StageBlockAsync(blockId, content, cancellationToken: cancellationToken).ConfigureAwait(false);
+            var stageOptions = new BlockBlobStageBlockOptions();
+            if (contentHash is not null)
+            {
+                stageOptions.TransferValidation = new UploadTransferValidationOptions
+                {
+                    ChecksumAlgorithm = StorageChecksumAlgorithm.MD5,
+                    PrecalculatedChecksum = contentHash
+                };
+            }
+
+            var response = await blobClient.StageBlockAsync(blockId, content, stageOptions, cancellationToken).ConfigureAwait(false);
             return new AzuriteBlobBlockInfo
             {
                 BlockId = blockId,
@@ -421,14 +659,16 @@ public class AzuriteService : IAzuriteService
     /// <param name="blobName">The name of the blob to commit the upload for.</param>
     /// <param name="blockIds">The IDs of the blocks to commit.</param>
     /// <param name="properties">The properties to set on the blob.</param>
+    /// <param name="ifMatch">If set, the ETag that the existing blob must have for the commit to replace it.</param>
     /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
     /// <returns>A task that represents the asynchronous operation, with a value of the committed blob.</returns>
     /// <exception cref="ArgumentException">Thrown if the container name or blob name is invalid.</exception>
     /// <exception cref="ResourceExistsException">Thrown if a blob with the specified name already exists.</exception>
+    /// <exception cref="PreconditionFailedException">Thrown if the blob no longer has the <paramref name="ifMatch"/> ETag.</exception>
     /// <exception cref="AzuriteServiceException">Thrown if there is an error committing the upload.</exception>
-    public async Task<AzuriteBlobItem> UploadCommitAsync(string containerName, string blobName, IEnumerable<string> blockIds, AzuriteBlobProperties properties, CancellationToken cancellationToken = default)
+    public async Task<AzuriteBlobItem> UploadCommitAsync(string containerName, string blobName, IEnumerable<string> blockIds, AzuriteBlobProperties properties, string? ifMatch = null, CancellationToken cancellationToken = default)
     {
-        Logger.LogDebug("UploadCommitAsync({ContainerName}, {BlobName}, blockIds: [{BlockIds}], {Properties})", containerName, blobName, string.Join(", ", blockIds), JsonSerializer.Serialize(properties));
+        Logger.LogDebug("UploadCommitAsync({ContainerName}, {BlobName}, blockIds: [{BlockIds}], {Properties}, ifMatch: {IfMatch})", containerName, blobName, string.Join(", ", blockIds), JsonSerializer.Serialize(properties), ifMatch);
         return await HandleRequestFailedExceptionAsync($"{containerName}/{blobName}", async () =>
         {
             var containerClient = ServiceClient.GetBlobContainerClient(containerName);
@@ -440,10 +680,12 @@ public class AzuriteService : IAzuriteService
                 {
                     ContentType = properties.ContentType ?? "application/octet-stream",
                     ContentEncoding = properties.ContentEncoding ?? string.Empty,
-                    ContentLanguage = properties.ContentLanguage ?? "en-US"
+                    ContentLanguage = properties.ContentLanguage ?? "en-US",
+                    ContentHash = properties.ContentHash
                 },
                 Metadata = properties.Metadata,
-                Tags = properties.Tags
+                Tags = properties.Tags,
+                Conditions = ifMatch is null ? null : new BlobRequestConditions { IfMatch = ifMatch.Trim() == "*" ? ETag.All : new ETag($"\"{ifMatch.Trim().Dequote()}\"") }
             };
 
             var response = await blockBlobClient.CommitBlockListAsync(blockIds, commitOptions, cancellationToken);
@@ -453,6 +695,333 @@ public class AzuriteService : IAzuriteService
     }
     #endregion
 
+    #region Queue Management
+    /// <summary>
+    /// Deletes all the messages in the specified Azurite queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to clear.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a queue with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error clearing the queue.</exception>
+    public async Task ClearMessagesAsync(string queueName, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("ClearMessagesAsync({QueueName})", queueName);
+        await HandleRequestFailedExceptionAsync(queueName, async () =>
+        {
+            var queueClient = QueueServiceClient.GetQueueClient(queueName);
+            _ = await queueClient.ClearMessagesAsync(cancellationToken).ConfigureAwait(false);
+        }, cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Creates a new Azurite queue with the specified name.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to create.</param>
+    /// <param name="metadata">The metadata for the queue to create.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The created Azurite queue item.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceExistsException">Thrown if a queue with the specified name already exists.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error creating the queue.</exception>
+    public async Task<AzuriteQueueItem> CreateQueueAsync(string queueName, IDictionary<string, string> metadata, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("CreateQueueAsync({QueueName}, {Metadata})", queueName, JsonSerializer.Serialize(metadata));
+        return await HandleRequestFailedExceptionAsync(queueName, async () =>
+        {
+            var queueClient = QueueServiceClient.GetQueueClient(queueName);
+            var response = await queueClient.CreateAsync(metadata, cancellationToken).ConfigureAwait(false);
+
+            // Creating a queue that already exists with the same metadata succeeds with 204 No Content.
+            if (response.Status == StatusCodes.Status204NoContent)
+            {
+                throw new ResourceExistsException("The specified queue already exists.") { ResourceName = queueName };
+            }
+            return await GetQueueAsync(queueName, cancellationToken).ConfigureAwait(false);
+        }, cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Deletes a message from the specified Azurite queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue holding the message.</param>
+    /// <param name="messageId">The identifier of the message to delete.</param>
+    /// <param name="popReceipt">The pop receipt from when the message was last received or updated.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if the queue or the message does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error deleting the message.</exception>
+    public async Task DeleteMessageAsync(string queueName, string messageId, string popReceipt, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("DeleteMessageAsync({QueueName}, {MessageId})", queueName, messageId);
+        await HandleRequestFailedExceptionAsync(messageId, async () =>
+        {
+            var queueClient = QueueServiceClient.GetQueueClient(queueName);
+            _ = await queueClient.DeleteMessageAsync(messageId, popReceipt, cancellationToken).ConfigureAwait(false);
+        }, cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Deletes the Azurite queue with the specified name, including all messages within the queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to delete.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error deleting the queue.</exception>
+    public async Task DeleteQueueAsync(string queueName, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("DeleteQueueAsync({QueueName})", queueName);
+        await HandleRequestFailedExceptionAsync(queueName, async () =>
+        {
+            var queueClient = QueueServiceClient.GetQueueClient(queueName);
+            _ = await queueClient.DeleteIfExistsAsync(cancellationToken).ConfigureAwait(false);
+        }, cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Retrieves the Azurite queue with the specified name.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to retrieve.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The requested Azurite queue item.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a queue with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error retrieving the queue.</exception>
+    public async Task<AzuriteQueueItem> GetQueueAsync(string queueName, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("GetQueueAsync({QueueName})", queueName);
+        return await HandleRequestFailedExceptionAsync(queueName, async () =>
+        {
+            var queueClient = QueueServiceClient.GetQueueClient(queueName);
+            var response = await queueClient.GetPropertiesAsync(cancellationToken).ConfigureAwait(false);
+            return AzuriteQueueItem.FromAzure(queueName, response.Value);
+        }, cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Retrieves an asynchronous enumerable of Azurite queue items.
+    /// </summary>
+    /// <remarks>
+    /// The queue listing does not include the number of messages, so the properties of each queue are
+    /// retrieved as well.  A queue that is deleted between the two calls is left out.
+    /// </remarks>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>An asynchronous enumerable of Azurite queue items.</returns>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error retrieving the queues.</exception>
+    public async IAsyncEnumerable<AzuriteQueueItem> GetQueuesAsync([EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("GetQueuesAsync()");
+        var queues = QueueServiceClient.GetQueuesAsync(cancellationToken: cancellationToken);
+        await foreach (var queueItem in queues.WithCancellation(cancellationToken))
+        {
+            AzuriteQueueItem queue;
+            try
+            {
+                queue = await GetQueueAsync(queueItem.Name, cancellationToken).ConfigureAwait(false);
+            }
+            catch (ResourceNotFoundException)
+            {
+                Logger.LogDebug("Queue {QueueName} was deleted while listing queues; skipping", queueItem.Name);
+                continue;
+            }
+
+            yield return queue;
+        }
+    }
+
+    /// <summary>
+    /// Retrieves messages from the front of the specified Azurite queue without changing their visibility.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="maxMessages">The most messages to retrieve (1 to 32).</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The visible messages at the front of the queue.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a queue with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error retrieving the messages.</exception>
+    public async Task<IList<AzuriteQueueMessage>> PeekMessagesAsync(string queueName, int maxMessages, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("PeekMessagesAsync({QueueName}, {MaxMessages})", queueName, maxMessages);
+        return await HandleRequestFailedExceptionAsync(queueName, async () =>
+        {
+            var queueClient = QueueServiceClient.GetQueueClient(queueName);
+            var response = await queueClient.PeekMessagesAsync(maxMessages, cancellationToken).ConfigureAwait(false);
+            return response.Value.Select(AzuriteQueueMessage.FromAzure).ToList();
+        }, cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Receives (dequeues) messages from the front of the specified Azurite queue.  The messages are hidden
+    /// for the visibility timeout, and must be deleted before it expires to remove them from the queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="maxMessages">The most messages to receive (1 to 32).</param>
+    /// <param name="visibilityTimeout">How long the messages are hidden for; if not set, 30 seconds.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The received messages, with the pop receipts needed to update or delete them.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a queue with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error receiving the messages.</exception>
+    public async Task<IList<AzuriteQueueMessage>> ReceiveMessagesAsync(string queueName, int maxMessages, TimeSpan? visibilityTimeout = null, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("ReceiveMessagesAsync({QueueName}, {MaxMessages}, {VisibilityTimeout})", queueName, maxMessages, visibilityTimeout);
+        return await HandleRequestFailedExceptionAsync(queueName, async () =>
+        {
+            var queueClient = QueueServiceClient.GetQueueClient(queueName);
+            var response = await queueClient.ReceiveMessagesAsync(maxMessages, visibilityTimeout, cancellationToken).ConfigureAwait(false);
+            return response.Value.Select(AzuriteQueueMessage.FromAzure).ToList();
+        }, cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Sends (enqueues) a message to the specified Azurite queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="messageText">The body of the message.</param>
+    /// <param name="visibilityTimeout">How long the message is hidden for after it is sent; if not set, it is visible straight away.</param>
+    /// <param name="timeToLive">How long the message lives for; if not set, seven days.  <c>-1</c> seconds means the message never expires.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The sent message.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a queue with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error sending the message.</exception>
+    public async Task<AzuriteQueueMessage> SendMessageAsync(string queueName, string messageText, TimeSpan? visibilityTimeout = null, TimeSpan? timeToLive = null, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("SendMessageAsync({QueueName}, {VisibilityTimeout}, {TimeToLive})", queueName, visibilityTimeout, timeToLive);
+        return await HandleRequestFailedExceptionAsync(queueName, async () =>
+        {
+            var queueClient = QueueServiceClient.GetQueueClient(queueName);
+            var response = await queueClient.SendMessageAsync(messageText, visibilityTimeout, timeToLive, cancellationToken).ConfigureAwait(false);
+            return AzuriteQueueMessage.FromAzure(response.Value, messageText);
+        }, cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Updates the body and visibility timeout of a message in the specified Azurite queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue holding the message.</param>
+    /// <param name="messageId">The identifier of the message to update.</param>
+    /// <param name="popReceipt">The pop receipt from when the message was last received or updated.</param>
+    /// <param name="messageText">The new body of the message.</param>
+    /// <param name="visibilityTimeout">How long the message is hidden for from now.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The updated message, with the new pop receipt.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if the queue or the message does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error updating the message.</exception>
+    public async Task<AzuriteQueueMessage> UpdateMessageAsync(string queueName, string messageId, string popReceipt, string messageText, TimeSpan visibilityTimeout, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("UpdateMessageAsync({QueueName}, {MessageId}, {VisibilityTimeout})", queueName, messageId, visibilityTimeout);
+        return await HandleRequestFailedExceptionAsync(messageId, async () =>
+        {
+            var queueClient = QueueServiceClient.GetQueueClient(queueName);
+            var response = await queueClient.UpdateMessageAsync(messageId, popReceipt, messageText, visibilityTimeout, cancellationToken).ConfigureAwait(false);
+            return new AzuriteQueueMessage
+            {
+                MessageId = messageId,
+                PopReceipt = response.Value.PopReceipt,
+                MessageText = messageText,
+                NextVisibleOn = response.Value.NextVisibleOn
+            };
+        }, cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Replaces the metadata of the specified Azurite queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to update.</param>
+    /// <param name="metadata">The new metadata for the queue.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The updated Azurite queue item.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a queue with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error updating the queue.</exception>
+    public async Task<AzuriteQueueItem> UpdateQueueAsync(string queueName, IDictionary<string, string> metadata, CancellationToken cancellationToken = default)
+    {
+        Logger.LogDebug("UpdateQueueAsync({QueueName}, {Metadata})", queueName, JsonSerializer.Serialize(metadata));
+        return await HandleRequestFailedExceptionAsync(queueName, async () =>
+        {
+            var queueClient = QueueServiceClient.GetQueueClient(queueName);
+            _ = await queueClient.SetMetadataAsync(metadata, cancellationToken).ConfigureAwait(false);
+            return await GetQueueAsync(queueName, cancellationToken).ConfigureAwait(false);
+        }, cancellationToken).ConfigureAwait(false);
+    }
+    #endregion
+
+    #region Shared Access Signatures
+    /// <summary>
+    /// Generates a shared access signature (SAS) for a blob, signed with the account key.
+    /// </summary>
+    /// <remarks>
+    /// The SAS is generated locally; Azurite is not contacted, so the blob does not have to exist.
+    /// </remarks>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="options">The permissions, times and restrictions for the SAS.</param>
+    /// <returns>The generated SAS.</returns>
+    /// <exception cref="ArgumentException">Thrown if the options are not valid for a SAS.</exception>
+    public AzuriteSasToken GenerateBlobSas(string containerName, string blobName, AzuriteSasOptions options)
+    {
+        Logger.LogDebug("GenerateBlobSas(containerName: {containerName}, blobName: {blobName})", containerName, blobName);
+        ArgumentNullException.ThrowIfNull(options);
+
+        BlobSasBuilder sasBuilder = CreateSasBuilder(options);
+        sasBuilder.BlobContainerName = containerName;
+        sasBuilder.BlobName = blobName;
+        sasBuilder.Resource = "b";
+
+        var blobClient = ServiceClient.GetBlobContainerClient(containerName).GetBlobClient(blobName);
+        return CreateSasToken(blobClient.Uri, sasBuilder);
+    }
+
+    /// <summary>
+    /// Generates a shared access signature (SAS) for a container, signed with the account key.
+    /// </summary>
+    /// <remarks>
+    /// The SAS is generated locally; Azurite is not contacted, so the container does not have to exist.
+    /// </remarks>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="options">The permissions, times and restrictions for the SAS.</param>
+    /// <returns>The generated SAS.</returns>
+    /// <exception cref="ArgumentException">Thrown if the options are not valid for a SAS.</exception>
+    public AzuriteSasToken GenerateContainerSas(string containerName, AzuriteSasOptions options)
+    {
+        Logger.LogDebug("GenerateContainerSas(containerName: {containerName})", containerName);
+        ArgumentNullException.ThrowIfNull(options);
+
+        BlobSasBuilder sasBuilder = CreateSasBuilder(options);
+        sasBuilder.BlobContainerName = containerName;
+        sasBuilder.Resource = "c";
+
+        var containerClient = ServiceClient.GetBlobContainerClient(containerName);
+        return CreateSasToken(containerClient.Uri, sasBuilder);
+    }
+    #endregion
+
+    /// <summary>
+    /// Signs a SAS with the account key from the connection string, and builds the URI and connection
+    /// string that use it.
+    /// </summary>
+    /// <param name="resourceUri">The URI of the container or blob.</param>
+    /// <param name="sasBuilder">The SAS to sign.</param>
+    /// <returns>The signed SAS.</returns>
+    internal AzuriteSasToken CreateSasToken(Uri resourceUri, BlobSasBuilder sasBuilder)
+    {
+        var connection = AzuriteConnectionStringBuilder.Parse(ConnectionString);
+        var credential = new StorageSharedKeyCredential(connection.AccountName!, connection.AccountKey!);
+        string token = sasBuilder.ToSasQueryParameters(credential).ToString();
+
+        return new AzuriteSasToken
+        {
+            Uri = new UriBuilder(resourceUri) { Query = token }.Uri,
+            Token = token,
+            ConnectionString = connection.ToSharedAccessSignatureString(token)
+        };
+    }
+
     /// <summary>
     /// Checks if the Azurite service is alive by attempting to retrieve account information.
     /// </summary>
@@ -476,6 +1045,7 @@ public class AzuriteService : IAzuriteService
         {
             404 => new ResourceNotFoundException("The specified resource was not found.", ex) { ResourceName = resourceName },
             409 => new ResourceExistsException("The specified resource already exists.", ex) { ResourceName = resourceName },
+            412 => new PreconditionFailedException("The specified resource has been changed.", ex) { ResourceName = resourceName },
             416 => new RangeNotSatisfiableException("The specified range is not satisfiable.", ex) { ContentLength = GetContentLengthFromException(ex) },
             _ => new AzuriteServiceException("An error occurred while communicating with the Azurite service.", ex) { StatusCode = ex.Status },
         };
@@ -525,6 +1095,67 @@ public class AzuriteService : IAzuriteService
         };
     }
 
+    /// <summary>
+    /// Converts the <see cref="AzuriteSasOptions"/> into a <see cref="BlobSasBuilder"/>, without the resource.
+    /// </summary>
+    /// <param name="options">The SAS options.</param>
+    /// <returns>The SAS builder.</returns>
+    /// <exception cref="ArgumentException">Thrown if the IP range is not valid.</exception>
+    internal static BlobSasBuilder CreateSasBuilder(AzuriteSasOptions options)
+    {
+        var sasBuilder = new BlobSasBuilder
+        {
+            Identifier = string.IsNullOrWhiteSpace(options.Identifier) ? null : options.Identifier,
+            Protocol = options.HttpsOnly ? SasProtocol.Https : SasProtocol.HttpsAndHttp
+        };
+
+        if (options.StartsOn.HasValue)
+        {
+            sasBuilder.StartsOn = options.StartsOn.Value;
+        }
+
+        if (options.ExpiresOn.HasValue)
+        {
+            sasBuilder.ExpiresOn = options.ExpiresOn.Value;
+        }
+
+        if (!string.IsNullOrEmpty(options.Permissions))
+        {
+            sasBuilder.SetPermissions(options.Permissions);
+        }
+
+        if (!string.IsNullOrWhiteSpace(options.IPRange))
+        {
+            sasBuilder.IPRange = SasIPRange.Parse(options.IPRange.Trim());
+        }
+
+        return sasBuilder;
+    }
+
+    /// <summary>
+    /// Downloads (a range of) the blob, or blob snapshot, referenced by a blob client.
+    /// </summary>
+    /// <param name="blobClient">The client for the blob to download.</param>
+    /// <param name="httpRange">The range of bytes to download.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that represents the asynchronous download operation.</returns>
+    internal static async Task<AzuriteBlobDownloadResult> DownloadAsync(BlobClient blobClient, string? httpRange, CancellationToken cancellationToken)
+    {
+        var downloadOptions = string.IsNullOrWhiteSpace(httpRange)
+            ? new BlobDownloadOptions()
+            : new BlobDownloadOptions { Range = ParseHttpRange(httpRange) };
+
+        var result = await blobClient.DownloadStreamingAsync(downloadOptions, cancellationToken).ConfigureAwait(false);
+        return new AzuriteBlobDownloadResult
+        {
+            Content = result.Value.Content,
+            ContentLength = result.Value.Details.ContentLength,
+            ContentRange = result.Value.Details.ContentRange,
+            ContentType = result.Value.Details.ContentType,
+            StatusCode = result.GetRawResponse().Status
+        };
+    }
+
     /// <summary>
     /// Handles a <see cref="RequestFailedException"/> thrown by the Azure SDK
     /// and converts it into a more specific Azurite exception.
@@ -626,4 +1257,26 @@ public class AzuriteService : IAzuriteService
     /// <exception cref="ArgumentException">Thrown if the connection string is invalid.</exception>
     internal static string ValidateConnectionString(string connectionString)
         => AzuriteConnectionStringBuilder.Parse(connectionString).ToString();
+
+    /// <summary>
+    /// Creates the client for the queue service of Azurite.
+    /// </summary>
+    /// <remarks>
+    /// The client is built from the queue endpoint and account key rather than the connection string, so
+    /// that a connection string without a QueueEndpoint does not send requests (and the account key) to the
+    /// public Azure queue endpoint for the account.
+    /// </remarks>
+    /// <param name="connectionString">The validated connection string.</param>
+    /// <returns>The queue service client, or null if the queue endpoint cannot be determined.</returns>
+    internal static QueueServiceClient? CreateQueueServiceClient(string connectionString)
+    {
+        var builder = AzuriteConnectionStringBuilder.Parse(connectionString);
+        if (builder.QueueEndpoint is null)
+        {
+            return null;
+        }
+
+        var credential = new StorageSharedKeyCredential(builder.AccountName!, builder.AccountKey!);
+        return new QueueServiceClient(new Uri(builder.QueueEndpoint), credential);
+    }
 }
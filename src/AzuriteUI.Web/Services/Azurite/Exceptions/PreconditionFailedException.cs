@@ -0,0 +1,54 @@
+using System.Diagnostics.CodeAnalysis;
+
+namespace AzuriteUI.Web.Services.Azurite.Exceptions;
+
+/// <summary>
+/// An exception that is thrown when a conditional request (such as one with an If-Match ETag) does not match
+/// the current state of the resource.
+/// </summary>
+public class PreconditionFailedException : AzuriteServiceException
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PreconditionFailedException"/> class.
+    /// </summary>
+    [ExcludeFromCodeCoverage(Justification = "Standard exception constructor with no additional code")]
+    public PreconditionFailedException()
+    {
+        StatusCode = StatusCodes.Status412PreconditionFailed;
+    }
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PreconditionFailedException"/> class with
+    /// a specified error message.
+    /// </summary>
+    /// <param name="message">The error message.</param>
+    [ExcludeFromCodeCoverage(Justification = "Standard exception constructor with no additional code")]
+    public PreconditionFailedException(string? message)
+        : base(message)
+    {
+        StatusCode = StatusCodes.Status412PreconditionFailed;
+    }
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PreconditionFailedException"/> class with
+    /// a specified error message and a reference to the inner exception that is the cause
+    /// </summary>
+    /// <param name="message">The error message.</param>
+    /// <param name="innerException">The inner exception.</param>
+    [ExcludeFromCodeCoverage(Justification = "Standard exception constructor with no additional code")]
+    public PreconditionFailedException(string? message, Exception? innerException)
+        : base(message, innerException)
+    {
+        StatusCode = StatusCodes.Status412PreconditionFailed;
+    }
+
+    /// <summary>
+    /// The name of the resource that was requested.
+    /// </summary>
+    public string? ResourceName { get; internal set; }
+
+    /// <summary>
+    /// The current ETag of the resource, if known.
+    /// </summary>
+    public string? ETag { get; internal set; }
+}
\ No newline at end of file
@@ -10,8 +10,9 @@ namespace AzuriteUI.Web.Services.Azurite;
 /// <para>
 /// This interface is a mockable contract for Azurite service operations and
 /// is the only service that interacts directly with Azurite.  It combines the
-/// requirements for BlobServiceClient, BlobContainerClient, BlobClient, and
-/// BlockBlobClient into a single interface to simplify mocking and testing.
+/// requirements for BlobServiceClient, BlobContainerClient, BlobClient,
+/// BlockBlobClient, QueueServiceClient, and QueueClient into a single interface
+/// to simplify mocking and testing.
 /// </para>
 /// </remarks>
 public interface IAzuriteService
@@ -55,6 +56,18 @@ public interface IAzuriteService
     /// <exception cref="AzuriteServiceException">Thrown if there is an error deleting the container.</exception>
     Task DeleteContainerAsync(string containerName, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Retrieves the access policy of the specified Azurite container: the public access level and
+    /// the stored access policies.
+    /// </summary>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The access policy of the container.</returns>
+    /// <exception cref="ArgumentException">Thrown if the container name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a container with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error retrieving the access policy.</exception>
+    Task<AzuriteContainerAccessPolicy> GetContainerAccessPolicyAsync(string containerName, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Retrieves the Azurite container with the specified name.
     /// </summary>
@@ -74,6 +87,19 @@ public interface IAzuriteService
     /// <exception cref="AzuriteServiceException">Thrown if there is an error retrieving the containers.</exception>
     IAsyncEnumerable<AzuriteContainerItem> GetContainersAsync(CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Replaces the access policy of the specified Azurite container.  Any stored access policies that
+    /// are not included in the new access policy are removed.
+    /// </summary>
+    /// <param name="containerName">The name of the container to update.</param>
+    /// <param name="accessPolicy">The new access policy for the container.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The updated Azurite container item.</returns>
+    /// <exception cref="ArgumentException">Thrown if the container name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a container with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error updating the access policy.</exception>
+    Task<AzuriteContainerItem> SetContainerAccessPolicyAsync(string containerName, AzuriteContainerAccessPolicy accessPolicy, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Updates the properties of the specified Azurite container.
     /// </summary>
@@ -92,6 +118,35 @@ public interface IAzuriteService
     #endregion
 
     #region Blob Management
+    /// <summary>
+    /// Copies a blob, within or between containers, using a server-side copy.  The copy has the same
+    /// content, properties, metadata and tags as the source blob.
+    /// </summary>
+    /// <param name="sourceContainerName">The name of the container holding the blob to copy.</param>
+    /// <param name="sourceBlobName">The name of the blob to copy.</param>
+    /// <param name="destinationContainerName">The name of the container to copy the blob to.</param>
+    /// <param name="destinationBlobName">The name of the copy.</param>
+    /// <param name="overwrite">If true, an existing blob with the destination name is replaced.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that represents the asynchronous operation, with a value of the copied blob.</returns>
+    /// <exception cref="ArgumentException">Thrown if a container name or blob name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if the source blob or either container does not exist.</exception>
+    /// <exception cref="ResourceExistsException">Thrown if the destination blob exists and <paramref name="overwrite"/> is false.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error copying the blob.</exception>
+    Task<AzuriteBlobItem> CopyBlobAsync(string sourceContainerName, string sourceBlobName, string destinationContainerName, string destinationBlobName, bool overwrite = false, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Creates a read-only snapshot of the specified blob.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob to snapshot.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that represents the asynchronous operation, with a value of the new snapshot.</returns>
+    /// <exception cref="ArgumentException">Thrown if the container name or blob name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if the specified blob or container does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error creating the snapshot.</exception>
+    Task<AzuriteBlobItem> CreateBlobSnapshotAsync(string containerName, string blobName, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Deletes the specified blob from the given container.
     /// </summary>
@@ -104,6 +159,18 @@ public interface IAzuriteService
     /// <exception cref="AzuriteServiceException">Thrown if there is an error deleting the blob.</exception>
     Task DeleteBlobAsync(string containerName, string blobName, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Deletes a snapshot of the specified blob, leaving the blob and its other snapshots in place.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="snapshot">The timestamp that identifies the snapshot to delete.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that resolves when work is complete.</returns>
+    /// <exception cref="ArgumentException">Thrown if the container name or blob name is invalid.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error deleting the snapshot.</exception>
+    Task DeleteBlobSnapshotAsync(string containerName, string blobName, string snapshot, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Downloads (a range of) the specified blob from the given container.
     /// </summary>
@@ -118,6 +185,21 @@ public interface IAzuriteService
     /// <exception cref="AzuriteServiceException">Thrown if there is an error downloading the blob.</exception>
     Task<AzuriteBlobDownloadResult> DownloadBlobAsync(string containerName, string blobName, string? httpRange = null, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Downloads (a range of) a snapshot of the specified blob.
+    /// </summary>
+    /// <param name="containerName">The name of the container to download from.</param>
+    /// <param name="blobName">The name of the blob to download.</param>
+    /// <param name="snapshot">The timestamp that identifies the snapshot.</param>
+    /// <param name="httpRange">The range of bytes to download.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that represents the asynchronous download operation.</returns>
+    /// <exception cref="ArgumentException">Thrown if the container name or blob name is invalid, or the provided HTTP Range is not valid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if the specified snapshot, blob or container does not exist.</exception>
+    /// <exception cref="RangeNotSatisfiableException">Thrown if the specified range is invalid.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error downloading the snapshot.</exception>
+    Task<AzuriteBlobDownloadResult> DownloadBlobSnapshotAsync(string containerName, string blobName, string snapshot, string? httpRange = null, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Retrieves the specified blob properties from the given container.
     /// </summary>
@@ -141,6 +223,32 @@ public interface IAzuriteService
     /// <exception cref="AzuriteServiceException">Thrown if there is an error retrieving the blobs.</exception>
     IAsyncEnumerable<AzuriteBlobItem> GetBlobsAsync(string containerName, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Retrieves an asynchronous enumerable of the snapshots of the specified blob.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>An asynchronous enumerable of the snapshots of the blob, oldest first.</returns>
+    /// <exception cref="ArgumentException">Thrown if the container name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if the specified container does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error retrieving the snapshots.</exception>
+    IAsyncEnumerable<AzuriteBlobItem> GetBlobSnapshotsAsync(string containerName, string blobName, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Replaces the content, properties and metadata of the specified blob with those of one of its snapshots.
+    /// The tags of the blob are kept.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="snapshot">The timestamp that identifies the snapshot to promote.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that represents the asynchronous operation, with a value of the updated blob.</returns>
+    /// <exception cref="ArgumentException">Thrown if the container name or blob name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if the specified snapshot, blob or container does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error promoting the snapshot.</exception>
+    Task<AzuriteBlobItem> PromoteBlobSnapshotAsync(string containerName, string blobName, string snapshot, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Updates the properties of the specified blob in the given container.
     /// </summary>
@@ -167,9 +275,10 @@ public interface IAzuriteService
     /// <param name="blobName">The name of the blob being uploaded.</param>
     /// <param name="blockId">The Base64-encoded block ID for this chunk. Must be unique within the blob.</param>
     /// <param name="content">The stream containing the chunk data to upload.</param>
+    /// <param name="contentHash">If provided, the MD5 hash of the chunk; Azurite rejects the chunk if it does not match.</param>
     /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
     /// <returns>A task that resolves to a <see cref="AzuriteBlobBlockInfo"/> with upload details.</returns>
-    Task<AzuriteBlobBlockInfo> UploadBlockAsync(string containerName, string blobName, string blockId, Stream content, CancellationToken cancellationToken = default);
+    Task<AzuriteBlobBlockInfo> UploadBlockAsync(string containerName, string blobName, string blockId, Stream content, byte[]? contentHash = null, CancellationToken cancellationToken = default);
 
     /// <summary>
     /// Checks if a blob exists in the specified container.  This is normally used as part of the upload
@@ -191,11 +300,174 @@ public interface IAzuriteService
     /// <param name="blobName">The name of the blob to commit the upload for.</param>
     /// <param name="blockIds">The IDs of the blocks to commit.</param>
     /// <param name="properties">The properties to set on the blob.</param>
+    /// <param name="ifMatch">If set, the ETag that the existing blob must have for the commit to replace it.</param>
     /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
     /// <returns>A task that represents the asynchronous operation, with a value of the committed blob.</returns>
     /// <exception cref="ArgumentException">Thrown if the container name or blob name is invalid.</exception>
     /// <exception cref="ResourceExistsException">Thrown if a blob with the specified name already exists.</exception>
+    /// <exception cref="PreconditionFailedException">Thrown if the blob no longer has the <paramref name="ifMatch"/> ETag.</exception>
     /// <exception cref="AzuriteServiceException">Thrown if there is an error committing the upload.</exception>
-    Task<AzuriteBlobItem> UploadCommitAsync(string containerName, string blobName, IEnumerable<string> blockIds, AzuriteBlobProperties properties, CancellationToken cancellationToken = default);
+    Task<AzuriteBlobItem> UploadCommitAsync(string containerName, string blobName, IEnumerable<string> blockIds, AzuriteBlobProperties properties, string? ifMatch = null, CancellationToken cancellationToken = default);
+    #endregion
+
+    #region Queue Management
+    /// <summary>
+    /// Deletes all the messages in the specified Azurite queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to clear.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a queue with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error clearing the queue.</exception>
+    Task ClearMessagesAsync(string queueName, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Creates a new Azurite queue with the specified name.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to create.</param>
+    /// <param name="metadata">The metadata for the queue to create.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The created Azurite queue item.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceExistsException">Thrown if a queue with the specified name already exists.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error creating the queue.</exception>
+    Task<AzuriteQueueItem> CreateQueueAsync(string queueName, IDictionary<string, string> metadata, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Deletes a message from the specified Azurite queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue holding the message.</param>
+    /// <param name="messageId">The identifier of the message to delete.</param>
+    /// <param name="popReceipt">The pop receipt from when the message was last received or updated.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if the queue or the message does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error deleting the message.</exception>
+    Task DeleteMessageAsync(string queueName, string messageId, string popReceipt, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Deletes the Azurite queue with the specified name, including all messages within the queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to delete.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task representing the asynchronous operation.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error deleting the queue.</exception>
+    Task DeleteQueueAsync(string queueName, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the Azurite queue with the specified name.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to retrieve.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The requested Azurite queue item.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a queue with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error retrieving the queue.</exception>
+    Task<AzuriteQueueItem> GetQueueAsync(string queueName, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves an asynchronous enumerable of Azurite queue items.
+    /// </summary>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>An asynchronous enumerable of Azurite queue items.</returns>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error retrieving the queues.</exception>
+    IAsyncEnumerable<AzuriteQueueItem> GetQueuesAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves messages from the front of the specified Azurite queue without changing their visibility.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="maxMessages">The most messages to retrieve (1 to 32).</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The visible messages at the front of the queue.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a queue with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error retrieving the messages.</exception>
+    Task<IList<AzuriteQueueMessage>> PeekMessagesAsync(string queueName, int maxMessages, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Receives (dequeues) messages from the front of the specified Azurite queue.  The messages are hidden
+    /// for the visibility timeout, and must be deleted before it expires to remove them from the queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="maxMessages">The most messages to receive (1 to 32).</param>
+    /// <param name="visibilityTimeout">How long the messages are hidden for; if not set, 30 seconds.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The received messages, with the pop receipts needed to update or delete them.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a queue with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error receiving the messages.</exception>
+    Task<IList<AzuriteQueueMessage>> ReceiveMessagesAsync(string queueName, int maxMessages, TimeSpan? visibilityTimeout = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Sends (enqueues) a message to the specified Azurite queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="messageText">The body of the message.</param>
+    /// <param name="visibilityTimeout">How long the message is hidden for after it is sent; if not set, it is visible straight away.</param>
+    /// <param name="timeToLive">How long the message lives for; if not set, seven days.  <c>-1</c> seconds means the message never expires.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The sent message.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a queue with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error sending the message.</exception>
+    Task<AzuriteQueueMessage> SendMessageAsync(string queueName, string messageText, TimeSpan? visibilityTimeout = null, TimeSpan? timeToLive = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Updates the body and visibility timeout of a message in the specified Azurite queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue holding the message.</param>
+    /// <param name="messageId">The identifier of the message to update.</param>
+    /// <param name="popReceipt">The pop receipt from when the message was last received or updated.</param>
+    /// <param name="messageText">The new body of the message.</param>
+    /// <param name="visibilityTimeout">How long the message is hidden for from now.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The updated message, with the new pop receipt.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if the queue or the message does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error updating the message.</exception>
+    Task<AzuriteQueueMessage> UpdateMessageAsync(string queueName, string messageId, string popReceipt, string messageText, TimeSpan visibilityTimeout, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Replaces the metadata of the specified Azurite queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to update.</param>
+    /// <param name="metadata">The new metadata for the queue.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The updated Azurite queue item.</returns>
+    /// <exception cref="ArgumentException">Thrown if the queue name is invalid.</exception>
+    /// <exception cref="ResourceNotFoundException">Thrown if a queue with the specified name does not exist.</exception>
+    /// <exception cref="AzuriteServiceException">Thrown if there is an error updating the queue.</exception>
+    Task<AzuriteQueueItem> UpdateQueueAsync(string queueName, IDictionary<string, string> metadata, CancellationToken cancellationToken = default);
+    #endregion
+
+    #region Shared Access Signatures
+    /// <summary>
+    /// Generates a shared access signature (SAS) for a blob, signed with the account key.
+    /// </summary>
+    /// <remarks>
+    /// The SAS is generated locally; Azurite is not contacted, so the blob does not have to exist.
+    /// </remarks>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="options">The permissions, times and restrictions for the SAS.</param>
+    /// <returns>The generated SAS.</returns>
+    /// <exception cref="ArgumentException">Thrown if the options are not valid for a SAS.</exception>
+    AzuriteSasToken GenerateBlobSas(string containerName, string blobName, AzuriteSasOptions options);
+
+    /// <summary>
+    /// Generates a shared access signature (SAS) for a container, signed with the account key.
+    /// </summary>
+    /// <remarks>
+    /// The SAS is generated locally; Azurite is not contacted, so the container does not have to exist.
+    /// </remarks>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="options">The permissions, times and restrictions for the SAS.</param>
+    /// <returns>The generated SAS.</returns>
+    /// <exception cref="ArgumentException">Thrown if the options are not valid for a SAS.</exception>
+    AzuriteSasToken GenerateContainerSas(string containerName, AzuriteSasOptions options);
     #endregion
 }
@@ -49,6 +49,11 @@ public class AzuriteBlobItem : AzuriteResourceItem
     /// </summary>
     public required long ContentLength { get; set; }
 
+    /// <summary>
+    /// The Base64-encoded MD5 hash of the blob content, if one was stored with the blob.
+    /// </summary>
+    public string? ContentMD5 { get; set; }
+
     /// <summary>
     /// The content type of the blob.
     /// </summary>
@@ -93,6 +98,11 @@ public class AzuriteBlobItem : AzuriteResourceItem
     /// </remarks>
     public int? RemainingRetentionDays { get; set; }
 
+    /// <summary>
+    /// If this item is a snapshot of a blob, the timestamp that identifies the snapshot; otherwise null.
+    /// </summary>
+    public string? Snapshot { get; set; }
+
     /// <summary>
     /// The tags (key-value pairs) associated with this blob.
     /// </summary>
@@ -117,6 +127,7 @@ public class AzuriteBlobItem : AzuriteResourceItem
             ContentEncoding = blobItem.Properties.ContentEncoding ?? string.Empty,
             ContentLanguage = blobItem.Properties.ContentLanguage ?? string.Empty,
             ContentLength = blobItem.Properties.ContentLength.GetValueOrDefault(0L),
+            ContentMD5 = blobItem.Properties.ContentHash.AsOptionalBase64(),
             ContentType = blobItem.Properties.ContentType,
             CreatedOn = blobItem.Properties.CreatedOn,
             ExpiresOn = blobItem.Properties.ExpiresOn,
@@ -124,6 +135,7 @@ public class AzuriteBlobItem : AzuriteResourceItem
             LastAccessedOn = blobItem.Properties.LastAccessedOn,
             Metadata = blobItem.Metadata.ToDictionary(),
             RemainingRetentionDays = blobItem.Properties.RemainingRetentionDays,
+            Snapshot = string.IsNullOrEmpty(blobItem.Snapshot) ? null : blobItem.Snapshot,
             Tags = blobItem.Tags.ToDictionaryOrEmpty()
         };
     }
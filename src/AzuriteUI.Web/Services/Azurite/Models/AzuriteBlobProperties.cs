@@ -16,6 +16,11 @@ public class AzuriteBlobProperties
     /// </summary>
     public string? ContentLanguage { get; set; }
 
+    /// <summary>
+    /// The MD5 hash of the blob content.  This is only used when committing an upload.
+    /// </summary>
+    public byte[]? ContentHash { get; set; }
+
     /// <summary>
     /// The content type of the blob.
     /// </summary>
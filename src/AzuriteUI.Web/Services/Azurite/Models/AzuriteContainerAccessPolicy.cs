@@ -0,0 +1,17 @@
+namespace AzuriteUI.Web.Services.Azurite.Models;
+
+/// <summary>
+/// The access policy of an Azurite container: the public access level and the stored access policies.
+/// </summary>
+public class AzuriteContainerAccessPolicy
+{
+    /// <summary>
+    /// The level of anonymous (public) access to the container.
+    /// </summary>
+    public AzuritePublicAccess PublicAccess { get; set; } = AzuritePublicAccess.None;
+
+    /// <summary>
+    /// The stored access policies (signed identifiers) of the container.
+    /// </summary>
+    public IList<AzuriteSignedIdentifier> SignedIdentifiers { get; set; } = [];
+}
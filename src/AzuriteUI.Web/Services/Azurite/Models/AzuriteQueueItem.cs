@@ -0,0 +1,47 @@
+using Azure.Storage.Queues.Models;
+
+namespace AzuriteUI.Web.Services.Azurite.Models;
+
+/// <summary>
+/// The information about an Azurite queue.
+/// </summary>
+/// <remarks>
+/// Queues do not have an entity tag or a last modified date, so this is not an <see cref="AzuriteResourceItem"/>.
+/// </remarks>
+public class AzuriteQueueItem
+{
+    /// <summary>
+    /// The name of the queue.
+    /// </summary>
+    public required string Name { get; set; }
+
+    /// <summary>
+    /// The approximate number of messages in the queue.  The count is not lower than the actual number
+    /// of messages, but may be higher.
+    /// </summary>
+    /// <remarks>
+    /// Located in the Properties version of the model class from Azurite.
+    /// </remarks>
+    public int ApproximateMessagesCount { get; set; } = 0;
+
+    /// <summary>
+    /// The metadata for the queue.
+    /// </summary>
+    public IDictionary<string, string> Metadata { get; set; } = new Dictionary<string, string>();
+
+    /// <summary>
+    /// Creates an <see cref="AzuriteQueueItem"/> from an Azurite queue properties model.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="properties">The Azurite queue properties model.</param>
+    /// <returns>The Azurite queue item.</returns>
+    public static AzuriteQueueItem FromAzure(string queueName, QueueProperties properties)
+    {
+        return new AzuriteQueueItem
+        {
+            Name = queueName,
+            ApproximateMessagesCount = properties.ApproximateMessagesCount,
+            Metadata = properties.Metadata?.ToDictionary() ?? []
+        };
+    }
+}
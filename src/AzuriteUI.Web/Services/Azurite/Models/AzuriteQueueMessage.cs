@@ -0,0 +1,105 @@
+using Azure.Storage.Queues.Models;
+
+namespace AzuriteUI.Web.Services.Azurite.Models;
+
+/// <summary>
+/// A message in an Azurite queue.
+/// </summary>
+/// <remarks>
+/// The message text is the body exactly as it is stored; a message that was sent base64 encoded (as
+/// the Azure Functions queue trigger expects) is not decoded.
+/// </remarks>
+public class AzuriteQueueMessage
+{
+    /// <summary>
+    /// The identifier of the message.
+    /// </summary>
+    public required string MessageId { get; set; }
+
+    /// <summary>
+    /// The pop receipt that is needed to update or delete the message.  Only set when the message was
+    /// received (dequeued), sent or updated; peeked messages do not have one.
+    /// </summary>
+    public string? PopReceipt { get; set; }
+
+    /// <summary>
+    /// The body of the message.
+    /// </summary>
+    public string MessageText { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The number of times the message has been received (dequeued).
+    /// </summary>
+    public long DequeueCount { get; set; } = 0L;
+
+    /// <summary>
+    /// The date/time that the message was added to the queue.
+    /// </summary>
+    public DateTimeOffset? InsertedOn { get; set; }
+
+    /// <summary>
+    /// The date/time that the message expires and is removed from the queue.
+    /// </summary>
+    public DateTimeOffset? ExpiresOn { get; set; }
+
+    /// <summary>
+    /// The date/time that the message becomes visible in the queue again.  Only set when the message
+    /// was received (dequeued), sent or updated.
+    /// </summary>
+    public DateTimeOffset? NextVisibleOn { get; set; }
+
+    /// <summary>
+    /// Creates an <see cref="AzuriteQueueMessage"/> from a received Azurite queue message.
+    /// </summary>
+    /// <param name="message">The received Azurite queue message.</param>
+    /// <returns>The Azurite queue message.</returns>
+    public static AzuriteQueueMessage FromAzure(QueueMessage message)
+    {
+        return new AzuriteQueueMessage
+        {
+            MessageId = message.MessageId,
+            PopReceipt = message.PopReceipt,
+            MessageText = message.Body?.ToString() ?? string.Empty,
+            DequeueCount = message.DequeueCount,
+            InsertedOn = message.InsertedOn,
+            ExpiresOn = message.ExpiresOn,
+            NextVisibleOn = message.NextVisibleOn
+        };
+    }
+
+    /// <summary>
+    /// Creates an <see cref="AzuriteQueueMessage"/> from a peeked Azurite queue message.
+    /// </summary>
+    /// <param name="message">The peeked Azurite queue message.</param>
+    /// <returns>The Azurite queue message.</returns>
+    public static AzuriteQueueMessage FromAzure(PeekedMessage message)
+    {
+        return new AzuriteQueueMessage
+        {
+            MessageId = message.MessageId,
+            MessageText = message.Body?.ToString() ?? string.Empty,
+            DequeueCount = message.DequeueCount,
+            InsertedOn = message.InsertedOn,
+            ExpiresOn = message.ExpiresOn
+        };
+    }
+
+    /// <summary>
+    /// Creates an <see cref="AzuriteQueueMessage"/> from the receipt for a message that was sent.
+    /// </summary>
+    /// <param name="receipt">The receipt for the sent message.</param>
+    /// <param name="messageText">The body of the message that was sent.</param>
+    /// <returns>The Azurite queue message.</returns>
+    public static AzuriteQueueMessage FromAzure(SendReceipt receipt, string messageText)
+    {
+        return new AzuriteQueueMessage
+        {
+            MessageId = receipt.MessageId,
+            PopReceipt = receipt.PopReceipt,
+            MessageText = messageText,
+            InsertedOn = receipt.InsertionTime,
+            ExpiresOn = receipt.ExpirationTime,
+            NextVisibleOn = receipt.TimeNextVisible
+        };
+    }
+}
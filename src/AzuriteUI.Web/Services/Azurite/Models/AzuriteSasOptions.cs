@@ -0,0 +1,38 @@
+namespace AzuriteUI.Web.Services.Azurite.Models;
+
+/// <summary>
+/// The options used when generating a shared access signature (SAS) for a container or blob.
+/// </summary>
+public class AzuriteSasOptions
+{
+    /// <summary>
+    /// The permissions granted by the SAS, as the SAS permission characters (e.g. <c>rl</c> for read and list).
+    /// May be empty when a stored access policy provides the permissions.
+    /// </summary>
+    public string Permissions { get; set; } = string.Empty;
+
+    /// <summary>
+    /// If set, the time at which the SAS becomes valid.  If not set, the SAS is valid straight away.
+    /// </summary>
+    public DateTimeOffset? StartsOn { get; set; }
+
+    /// <summary>
+    /// The time at which the SAS expires.  May be null when a stored access policy provides the expiry time.
+    /// </summary>
+    public DateTimeOffset? ExpiresOn { get; set; }
+
+    /// <summary>
+    /// If set, the IP address or range of IP addresses (e.g. <c>10.0.0.1-10.0.0.255</c>) from which requests are accepted.
+    /// </summary>
+    public string? IPRange { get; set; }
+
+    /// <summary>
+    /// If true, the SAS may only be used over HTTPS.  Otherwise, both HTTP and HTTPS are allowed.
+    /// </summary>
+    public bool HttpsOnly { get; set; }
+
+    /// <summary>
+    /// If set, the identifier of the stored access policy on the container that the SAS is linked to.
+    /// </summary>
+    public string? Identifier { get; set; }
+}
@@ -0,0 +1,22 @@
+namespace AzuriteUI.Web.Services.Azurite.Models;
+
+/// <summary>
+/// A shared access signature (SAS) generated for a container or blob.
+/// </summary>
+public class AzuriteSasToken
+{
+    /// <summary>
+    /// The URI of the container or blob, including the SAS.
+    /// </summary>
+    public required Uri Uri { get; set; }
+
+    /// <summary>
+    /// The SAS query string, without the leading '?'.
+    /// </summary>
+    public required string Token { get; set; }
+
+    /// <summary>
+    /// A connection string for the blob service that uses the SAS.
+    /// </summary>
+    public required string ConnectionString { get; set; }
+}
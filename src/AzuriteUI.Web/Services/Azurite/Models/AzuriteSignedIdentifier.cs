@@ -0,0 +1,64 @@
+using Azure.Storage.Blobs.Models;
+
+namespace AzuriteUI.Web.Services.Azurite.Models;
+
+/// <summary>
+/// A stored access policy (signed identifier) on an Azurite container.  A SAS that names the identifier
+/// takes any permissions and validity window that it does not set itself from the policy.
+/// </summary>
+public class AzuriteSignedIdentifier
+{
+    /// <summary>
+    /// The identifier of the policy.
+    /// </summary>
+    public required string Id { get; set; }
+
+    /// <summary>
+    /// The permissions granted by the policy, as SAS permission characters.  May be empty.
+    /// </summary>
+    public string Permissions { get; set; } = string.Empty;
+
+    /// <summary>
+    /// If set, the time at which the policy becomes valid.
+    /// </summary>
+    public DateTimeOffset? StartsOn { get; set; }
+
+    /// <summary>
+    /// If set, the time at which the policy expires.
+    /// </summary>
+    public DateTimeOffset? ExpiresOn { get; set; }
+
+    /// <summary>
+    /// Converts a <see cref="BlobSignedIdentifier"/> from the Azure SDK into an <see cref="AzuriteSignedIdentifier"/>.
+    /// </summary>
+    /// <param name="identifier">The signed identifier to convert.</param>
+    /// <returns>The converted signed identifier.</returns>
+    public static AzuriteSignedIdentifier FromAzure(BlobSignedIdentifier identifier)
+    {
+        return new AzuriteSignedIdentifier
+        {
+            Id = identifier.Id,
+            Permissions = identifier.AccessPolicy?.Permissions ?? string.Empty,
+            StartsOn = identifier.AccessPolicy?.PolicyStartsOn,
+            ExpiresOn = identifier.AccessPolicy?.PolicyExpiresOn
+        };
+    }
+
+    /// <summary>
+    /// Converts this signed identifier into a <see cref="BlobSignedIdentifier"/> for the Azure SDK.
+    /// </summary>
+    /// <returns>The converted signed identifier.</returns>
+    public BlobSignedIdentifier ToAzure()
+    {
+        return new BlobSignedIdentifier
+        {
+            Id = Id,
+            AccessPolicy = new BlobAccessPolicy
+            {
+                Permissions = string.IsNullOrEmpty(Permissions) ? null : Permissions,
+                PolicyStartsOn = StartsOn,
+                PolicyExpiresOn = ExpiresOn
+            }
+        };
+    }
+}
@@ -25,6 +25,11 @@ public class CacheDbContext(DbContextOptions<CacheDbContext> options) : DbContex
     /// </summary>
     public DbSet<SchemaVersion> SchemaVersions => Set<SchemaVersion>();
 
+    /// <summary>
+    /// The storage samples taken at the end of each cache synchronization.
+    /// </summary>
+    public DbSet<StorageSampleModel> StorageSamples => Set<StorageSampleModel>();
+
     /// <summary>
     /// The in-progress uploads.
     /// </summary>
@@ -56,6 +61,7 @@ public class CacheDbContext(DbContextOptions<CacheDbContext> options) : DbContex
         {
             Blobs.Remove(existing);
             await SaveChangesAsync(cancellationToken);
+            await UpdateContainerStatisticsAsync(containerName, cancellationToken);
         }
     }
 
@@ -103,6 +109,7 @@ public class CacheDbContext(DbContextOptions<CacheDbContext> options) : DbContex
             existing.ContentEncoding = blob.ContentEncoding;
             existing.ContentLanguage = blob.ContentLanguage;
             existing.ContentLength = blob.ContentLength;
+            existing.ContentMD5 = blob.ContentMD5;
             existing.ContentType = blob.ContentType;
             existing.CreatedOn = blob.CreatedOn.GetValueOrDefault(DateTimeOffset.MinValue);
             existing.ExpiresOn = blob.ExpiresOn;
@@ -128,6 +135,7 @@ public class CacheDbContext(DbContextOptions<CacheDbContext> options) : DbContex
                 ContentEncoding = blob.ContentEncoding,
                 ContentLanguage = blob.ContentLanguage,
                 ContentLength = blob.ContentLength,
+                ContentMD5 = blob.ContentMD5,
                 ContentType = blob.ContentType,
                 CreatedOn = blob.CreatedOn.GetValueOrDefault(DateTimeOffset.MinValue),
                 ExpiresOn = blob.ExpiresOn,
@@ -139,19 +147,29 @@ public class CacheDbContext(DbContextOptions<CacheDbContext> options) : DbContex
         }
 
         await SaveChangesAsync(cancellationToken);
+        await UpdateContainerStatisticsAsync(containerName, cancellationToken);
+
+        return existing;
+    }
 
-        // Update the container model based on the current state of blobs
-        var blobCount = await Blobs.CountAsync(b => b.ContainerName == containerName, cancellationToken);
-        var totalSize = await Blobs.Where(b => b.ContainerName == containerName).SumAsync(b => (long?)b.ContentLength, cancellationToken) ?? 0L;
-        
-        // There is always a container, since there is a foreign key constraint between containers and blobs.
-        var container = await Containers.SingleAsync(c => c.Name == containerName, cancellationToken);
-        container.BlobCount = blobCount;
-        container.TotalSize = totalSize;
+    /// <summary>
+    /// Updates the blob count and total size of a container based on the current state of its blobs.
+    /// </summary>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>A task that resolves when the container is updated.</returns>
+    internal async Task UpdateContainerStatisticsAsync(string containerName, CancellationToken cancellationToken = default)
+    {
+        var container = await Containers.FirstOrDefaultAsync(c => c.Name == containerName, cancellationToken);
+        if (container is null)
+        {
+            return;
+        }
+
+        container.BlobCount = await Blobs.CountAsync(b => b.ContainerName == containerName, cancellationToken);
+        container.TotalSize = await Blobs.Where(b => b.ContainerName == containerName).SumAsync(b => (long?)b.ContentLength, cancellationToken) ?? 0L;
         Containers.Update(container);
         await SaveChangesAsync(cancellationToken);
-
-        return existing;
     }
 
     /// <summary>
@@ -171,13 +189,16 @@ public class CacheDbContext(DbContextOptions<CacheDbContext> options) : DbContex
     /// <param name="blobs">The batch of blob transfer models from Azurite.</param>
     /// <param name="cacheCopyId">The cache copy identifier for this sync operation.</param>
     /// <param name="cancellationToken">A token to monitor for cancellation requests.</param>
-    internal async Task UpsertBlobsAsync(IList<AzuriteBlobItem> blobs, string containerName, string cacheCopyId, CancellationToken cancellationToken = default)
+    /// <returns>The number of blobs that were added, and the number of existing blobs whose ETag changed.</returns>
+    internal async Task<(int Added, int Updated)> UpsertBlobsAsync(IList<AzuriteBlobItem> blobs, string containerName, string cacheCopyId, CancellationToken cancellationToken = default)
     {
         if (blobs.Count == 0)
         {
-            return;
+            return (0, 0);
         }
 
+        int added = 0, updated = 0;
+
         var blobNames = blobs.Select(b => b.Name).ToList();
         var existingBlobs = await Blobs
             .Where(b => b.ContainerName == containerName && blobNames.Contains(b.Name))
@@ -188,6 +209,11 @@ public class CacheDbContext(DbContextOptions<CacheDbContext> options) : DbContex
             if (existingBlobs.TryGetValue(blob.Name, out var existing))
             {
                 // Update existing blob
+                if (existing.ETag != blob.ETag)
+                {
+                    updated++;
+                }
+
                 existing.CachedCopyId = cacheCopyId;
                 existing.ETag = blob.ETag;
                 existing.HasLegalHold = blob.HasLegalHold;
@@ -198,6 +224,7 @@ public class CacheDbContext(DbContextOptions<CacheDbContext> options) : DbContex
                 existing.ContentEncoding = blob.ContentEncoding;
                 existing.ContentLanguage = blob.ContentLanguage;
                 existing.ContentLength = blob.ContentLength;
+                existing.ContentMD5 = blob.ContentMD5;
                 existing.ContentType = blob.ContentType;
                 existing.CreatedOn = blob.CreatedOn.GetValueOrDefault(DateTimeOffset.MinValue);
                 existing.ExpiresOn = blob.ExpiresOn;
@@ -223,6 +250,7 @@ public class CacheDbContext(DbContextOptions<CacheDbContext> options) : DbContex
                     ContentEncoding = blob.ContentEncoding,
                     ContentLanguage = blob.ContentLanguage,
                     ContentLength = blob.ContentLength,
+                    ContentMD5 = blob.ContentMD5,
                     ContentType = blob.ContentType,
                     CreatedOn = blob.CreatedOn.GetValueOrDefault(DateTimeOffset.MinValue),
                     ExpiresOn = blob.ExpiresOn,
@@ -231,10 +259,12 @@ public class CacheDbContext(DbContextOptions<CacheDbContext> options) : DbContex
                 };
 
                 await Blobs.AddAsync(newBlob, cancellationToken);
+                added++;
             }
         }
 
         await SaveChangesAsync(cancellationToken);
+        return (added, updated);
     }
 
     /// <summary>
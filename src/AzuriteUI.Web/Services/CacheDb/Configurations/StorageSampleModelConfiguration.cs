@@ -0,0 +1,28 @@
+using AzuriteUI.Web.Services.CacheDb.Converters;
+using AzuriteUI.Web.Services.CacheDb.Models;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.Metadata.Builders;
+
+namespace AzuriteUI.Web.Services.CacheDb.Configurations;
+
+/// <summary>
+/// The entity type configuration for the storage sample model.
+/// </summary>
+public class StorageSampleModelConfiguration : IEntityTypeConfiguration<StorageSampleModel>
+{
+    /// <inheritdoc />
+    public void Configure(EntityTypeBuilder<StorageSampleModel> builder)
+    {
+        // Primary key
+        builder.HasKey(e => e.Id);
+
+        // Properties with converters
+        builder.Property(e => e.SampledAt)
+            .HasConversion<DateTimeOffsetConverter>()
+            .HasColumnType("TEXT")
+            .IsRequired();
+
+        // Indexes for frequently queried properties
+        builder.HasIndex(e => e.SampledAt);
+    }
+}
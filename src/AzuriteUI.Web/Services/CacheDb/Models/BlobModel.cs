@@ -28,6 +28,11 @@ public class BlobModel : ResourceModel, IEquatable<BlobModel>
     /// </summary>
     public long ContentLength { get; set; } = 0L;
 
+    /// <summary>
+    /// The Base64-encoded MD5 hash of the blob content, if one was stored with the blob.
+    /// </summary>
+    public string? ContentMD5 { get; set; }
+
     /// <summary>
     /// The content type of the blob.
     /// </summary>
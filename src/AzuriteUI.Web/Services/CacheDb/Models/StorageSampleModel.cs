@@ -0,0 +1,32 @@
+namespace AzuriteUI.Web.Services.CacheDb.Models;
+
+/// <summary>
+/// A model representing the total storage in use, sampled at the end of a cache synchronization.
+/// </summary>
+public class StorageSampleModel
+{
+    /// <summary>
+    /// The unique identifier for the sample.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// The date/time that the sample was taken.
+    /// </summary>
+    public required DateTimeOffset SampledAt { get; set; }
+
+    /// <summary>
+    /// The number of containers.
+    /// </summary>
+    public int ContainerCount { get; set; }
+
+    /// <summary>
+    /// The number of blobs.
+    /// </summary>
+    public int BlobCount { get; set; }
+
+    /// <summary>
+    /// The total size of all blobs in bytes.
+    /// </summary>
+    public long TotalSize { get; set; }
+}
@@ -52,6 +52,11 @@ public class UploadModel
     /// </summary>
     public IDictionary<string, string> Tags { get; set; } = new Dictionary<string, string>();
 
+    /// <summary>
+    /// The ETag that the existing blob must have when the upload is committed, or null if the upload creates a new blob.
+    /// </summary>
+    public string? IfMatch { get; set; }
+
     /// <summary>
     /// The date/time when the upload was initiated.
     /// </summary>
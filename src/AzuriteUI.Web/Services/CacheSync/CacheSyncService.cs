@@ -13,8 +13,14 @@ namespace AzuriteUI.Web.Services.CacheSync;
 /// </summary>
 /// <param name="context">The database context for the cache database.</param>
 /// <param name="service">The Azurite service for interacting with Azurite storage.</param>
+/// <param name="tracker">The tracker that records the progress of each synchronization run.</param>
 /// <param name="logger">The logger for logging events and errors.</param>
-public class CacheSyncService(CacheDbContext context, IAzuriteService service, ILogger<CacheSyncService> logger) : ICacheSyncService
+public class CacheSyncService(
+    CacheDbContext context,
+    IAzuriteService service,
+    ICacheSyncTracker tracker,
+    ILogger<CacheSyncService> logger
+) : ICacheSyncService
 {
     /// <summary>
     /// Maximum number of blobs to batch together for database insertion.
@@ -26,12 +32,20 @@ public class CacheSyncService(CacheDbContext context, IAzuriteService service, I
     /// </summary>
     private static readonly TimeSpan MaxBatchTime = TimeSpan.FromMilliseconds(500);
 
+    /// <summary>
+    /// How long the storage samples used for the growth chart are kept.
+    /// </summary>
+    internal static readonly TimeSpan SampleRetention = TimeSpan.FromDays(90);
+
     /// <inheritdoc />
     public async Task SynchronizeCacheAsync(CancellationToken cancellationToken = default)
     {
         logger.LogInformation("Starting cache synchronization");
         var cacheCopyId = Guid.NewGuid().ToString("N");
 
+        // The containers from the last synchronization are the best estimate of how many there will be.
+        tracker.StartRun(await context.Containers.CountAsync(cancellationToken));
+
         try
         {
             int containerCount = 0;
@@ -42,6 +56,15 @@ public class CacheSyncService(CacheDbContext context, IAzuriteService service, I
                 try
                 {
                     logger.LogDebug("Processing container: {ContainerName}", container.Name);
+                    tracker.StartContainer(container.Name);
+
+                    var previousETag = await context.Containers.AsNoTracking()
+                        .Where(c => c.Name == container.Name)
+                        .Select(c => c.ETag)
+                        .FirstOrDefaultAsync(cancellationToken);
+                    tracker.ReportProgress(
+                        itemsAdded: previousETag is null ? 1 : 0,
+                        itemsUpdated: previousETag is not null && previousETag != container.ETag ? 1 : 0);
 
                     var storedContainer = await context.UpsertContainerAsync(container, cacheCopyId, cancellationToken);
                     long totalSize = 0L;
@@ -53,7 +76,8 @@ public class CacheSyncService(CacheDbContext context, IAzuriteService service, I
                         .Select(batch => Observable.FromAsync(async () =>
                         {
                             UpdateSizeAndCount(batch, ref totalSize, ref blobCount);
-                            await context.UpsertBlobsAsync(batch, storedContainer.Name, cacheCopyId, cancellationToken); 
+                            var (added, updated) = await context.UpsertBlobsAsync(batch, storedContainer.Name, cacheCopyId, cancellationToken);
+                            tracker.ReportProgress(blobsProcessed: batch.Count, itemsAdded: added, itemsUpdated: updated);
                         }))
                         .Concat()
                         .LastOrDefaultAsync();
@@ -66,6 +90,7 @@ public class CacheSyncService(CacheDbContext context, IAzuriteService service, I
 
                     containerCount++;
                     totalBlobCount += blobCount;
+                    tracker.FinishContainer();
 
                     logger.LogInformation(
                         "Completed container: {ContainerName} with {BlobCount} blobs ({TotalSize} bytes)",
@@ -79,15 +104,21 @@ public class CacheSyncService(CacheDbContext context, IAzuriteService service, I
             }
 
             // Clear old cache entries that don't match this sync operation
-            await CleanupOldCacheEntriesAsync(cacheCopyId, cancellationToken);
+            var removedCount = await CleanupOldCacheEntriesAsync(cacheCopyId, cancellationToken);
+            tracker.ReportProgress(itemsRemoved: removedCount);
+
+            // Sample the storage in use so that growth can be charted
+            await RecordStorageSampleAsync(cancellationToken);
 
             logger.LogInformation(
                 "Cache synchronization completed successfully. Processed {ContainerCount} containers with {TotalBlobCount} total blobs",
                 containerCount, totalBlobCount);
+            tracker.FinishRun();
         }
         catch (Exception ex)
         {
             logger.LogError(ex, "Cache synchronization failed");
+            tracker.FinishRun(ex);
             throw;
         }
     }
@@ -118,7 +149,8 @@ public class CacheSyncService(CacheDbContext context, IAzuriteService service, I
     /// </summary>
     /// <param name="cacheCopyId">The current cache copy identifier.</param>
     /// <param name="cancellationToken">A token to monitor for cancellation requests.</param>
-    internal async Task CleanupOldCacheEntriesAsync(string cacheCopyId, CancellationToken cancellationToken = default)
+    /// <returns>The number of containers and blobs that were removed.</returns>
+    internal async Task<int> CleanupOldCacheEntriesAsync(string cacheCopyId, CancellationToken cancellationToken = default)
     {
         logger.LogDebug("Cleaning up old cache entries");
 
@@ -139,6 +171,35 @@ public class CacheSyncService(CacheDbContext context, IAzuriteService service, I
 
         // Also clean up stale uploads while we're doing cleanup
         await CleanupStaleUploadsAsync(cancellationToken);
+
+        return containersToRemove.Count + blobsToRemove.Count;
+    }
+
+    /// <summary>
+    /// Records the storage in use now, and removes samples older than the retention period.
+    /// </summary>
+    /// <param name="cancellationToken">A token to monitor for cancellation requests.</param>
+    internal async Task RecordStorageSampleAsync(CancellationToken cancellationToken = default)
+    {
+        var now = DateTimeOffset.UtcNow;
+        var sample = new StorageSampleModel
+        {
+            SampledAt = now,
+            ContainerCount = await context.Containers.CountAsync(cancellationToken),
+            BlobCount = await context.Blobs.CountAsync(cancellationToken),
+            TotalSize = await context.Blobs.SumAsync(b => (long?)b.ContentLength, cancellationToken) ?? 0L
+        };
+        context.StorageSamples.Add(sample);
+
+        var cutoffTime = now - SampleRetention;
+        var expiredSamples = await context.StorageSamples
+            .Where(s => s.SampledAt < cutoffTime)
+            .ToListAsync(cancellationToken);
+        context.StorageSamples.RemoveRange(expiredSamples);
+
+        await context.SaveChangesAsync(cancellationToken);
+        logger.LogDebug("Recorded storage sample: {ContainerCount} containers, {BlobCount} blobs, {TotalSize} bytes",
+            sample.ContainerCount, sample.BlobCount, sample.TotalSize);
     }
 
     /// <summary>
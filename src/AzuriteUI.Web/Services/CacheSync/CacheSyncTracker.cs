@@ -0,0 +1,138 @@
+using AzuriteUI.Web.Services.CacheSync.Models;
+
+namespace AzuriteUI.Web.Services.CacheSync;
+
+/// <summary>
+/// An in-memory record of the progress of the current cache synchronization run and the recent runs.
+/// </summary>
+/// <param name="timeProvider">The time provider used to timestamp the runs.</param>
+/// <param name="configuration">The application configuration.</param>
+public class CacheSyncTracker(TimeProvider timeProvider, IConfiguration configuration) : ICacheSyncTracker
+{
+    /// <summary>
+    /// The lock protecting the current run and the history.
+    /// </summary>
+    private readonly Lock _lock = new();
+
+    /// <summary>
+    /// The completed runs, most recent first.
+    /// </summary>
+    private readonly LinkedList<CacheSyncRun> _history = new();
+
+    /// <summary>
+    /// The run in progress.
+    /// </summary>
+    private CacheSyncRun? _currentRun;
+
+    /// <summary>
+    /// The number of completed runs to remember.
+    /// </summary>
+    internal int HistorySize => Math.Max(1, configuration.GetValue<int>("CacheSync:HistorySize", 20));
+
+    /// <inheritdoc />
+    public CacheSyncRun? CurrentRun
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _currentRun?.Clone();
+            }
+        }
+    }
+
+    /// <inheritdoc />
+    public IReadOnlyList<CacheSyncRun> History
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _history.Select(run => run.Clone()).ToList();
+            }
+        }
+    }
+
+    /// <inheritdoc />
+    public CacheSyncRun StartRun(int expectedContainers)
+    {
+        lock (_lock)
+        {
+            _currentRun = new CacheSyncRun
+            {
+                StartedAt = timeProvider.GetUtcNow(),
+                ExpectedContainers = expectedContainers
+            };
+            return _currentRun.Clone();
+        }
+    }
+
+    /// <inheritdoc />
+    public void StartContainer(string containerName)
+    {
+        lock (_lock)
+        {
+            if (_currentRun is not null)
+            {
+                _currentRun.CurrentContainer = containerName;
+            }
+        }
+    }
+
+    /// <inheritdoc />
+    public void FinishContainer()
+    {
+        lock (_lock)
+        {
+            if (_currentRun is not null)
+            {
+                _currentRun.CurrentContainer = null;
+                _currentRun.ContainersProcessed++;
+            }
+        }
+    }
+
+    /// <inheritdoc />
+    public void ReportProgress(int blobsProcessed = 0, int itemsAdded = 0, int itemsUpdated = 0, int itemsRemoved = 0)
+    {
+        lock (_lock)
+        {
+            if (_currentRun is not null)
+            {
+                _currentRun.BlobsProcessed += blobsProcessed;
+                _currentRun.ItemsAdded += itemsAdded;
+                _currentRun.ItemsUpdated += itemsUpdated;
+                _currentRun.ItemsRemoved += itemsRemoved;
+            }
+        }
+    }
+
+    /// <inheritdoc />
+    public void FinishRun(Exception? exception = null)
+    {
+        lock (_lock)
+        {
+            if (_currentRun is null)
+            {
+                return;
+            }
+
+            _currentRun.FinishedAt = timeProvider.GetUtcNow();
+            _currentRun.CurrentContainer = null;
+            _currentRun.Status = exception switch
+            {
+                null => CacheSyncStatus.Succeeded,
+                OperationCanceledException => CacheSyncStatus.Cancelled,
+                _ => CacheSyncStatus.Failed
+            };
+            _currentRun.Error = exception?.Message;
+
+            _history.AddFirst(_currentRun);
+            while (_history.Count > HistorySize)
+            {
+                _history.RemoveLast();
+            }
+            _currentRun = null;
+        }
+    }
+}
@@ -0,0 +1,52 @@
+using AzuriteUI.Web.Services.CacheSync.Models;
+
+namespace AzuriteUI.Web.Services.CacheSync;
+
+/// <summary>
+/// Records the progress of the current cache synchronization run, and keeps a history of the recent runs.
+/// </summary>
+public interface ICacheSyncTracker
+{
+    /// <summary>
+    /// A copy of the run in progress, or null if no run is in progress.
+    /// </summary>
+    CacheSyncRun? CurrentRun { get; }
+
+    /// <summary>
+    /// Copies of the recently completed runs, most recent first.
+    /// </summary>
+    IReadOnlyList<CacheSyncRun> History { get; }
+
+    /// <summary>
+    /// Records the start of a new run.  Any run that is still in progress is abandoned.
+    /// </summary>
+    /// <param name="expectedContainers">The number of containers that are expected to be synchronized.</param>
+    /// <returns>A copy of the new run.</returns>
+    CacheSyncRun StartRun(int expectedContainers);
+
+    /// <summary>
+    /// Records that the current run has started to synchronize a container.
+    /// </summary>
+    /// <param name="containerName">The name of the container.</param>
+    void StartContainer(string containerName);
+
+    /// <summary>
+    /// Records that the current run has finished synchronizing the current container.
+    /// </summary>
+    void FinishContainer();
+
+    /// <summary>
+    /// Adds to the counts of the current run.
+    /// </summary>
+    /// <param name="blobsProcessed">The number of blobs that have been synchronized.</param>
+    /// <param name="itemsAdded">The number of containers and blobs added to the cache.</param>
+    /// <param name="itemsUpdated">The number of containers and blobs that had changed.</param>
+    /// <param name="itemsRemoved">The number of containers and blobs removed from the cache.</param>
+    void ReportProgress(int blobsProcessed = 0, int itemsAdded = 0, int itemsUpdated = 0, int itemsRemoved = 0);
+
+    /// <summary>
+    /// Records the end of the current run, and moves it to the history.
+    /// </summary>
+    /// <param name="exception">The exception that stopped the run, or null if the run completed.</param>
+    void FinishRun(Exception? exception = null);
+}
@@ -0,0 +1,100 @@
+using System.ComponentModel;
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+
+namespace AzuriteUI.Web.Services.CacheSync.Models;
+
+/// <summary>
+/// The progress and outcome of a single cache synchronization run.
+/// </summary>
+public class CacheSyncRun
+{
+    /// <summary>
+    /// The unique identifier for the run.
+    /// </summary>
+    [property: Required]
+    [property: Description("The unique identifier for the run")]
+    public Guid Id { get; init; } = Guid.NewGuid();
+
+    /// <summary>
+    /// The status of the run.
+    /// </summary>
+    [property: Required]
+    [property: Description("The status of the run")]
+    [property: JsonConverter(typeof(JsonStringEnumConverter<CacheSyncStatus>))]
+    public CacheSyncStatus Status { get; set; } = CacheSyncStatus.Running;
+
+    /// <summary>
+    /// The date/time that the run started.
+    /// </summary>
+    [property: Required]
+    [property: Description("The date/time that the run started")]
+    public required DateTimeOffset StartedAt { get; init; }
+
+    /// <summary>
+    /// The date/time that the run finished, or null if it is still running.
+    /// </summary>
+    [property: Description("The date/time that the run finished, or null if it is still running")]
+    public DateTimeOffset? FinishedAt { get; set; }
+
+    /// <summary>
+    /// The length of the run in milliseconds, or null if it is still running.
+    /// </summary>
+    [property: Description("The length of the run in milliseconds, or null if it is still running")]
+    public long? DurationMilliseconds => FinishedAt is null ? null : (long)(FinishedAt.Value - StartedAt).TotalMilliseconds;
+
+    /// <summary>
+    /// The name of the container being synchronized, or null if no container is being synchronized.
+    /// </summary>
+    [property: Description("The name of the container being synchronized")]
+    public string? CurrentContainer { get; set; }
+
+    /// <summary>
+    /// The number of containers expected to be synchronized.  This is the number of containers in the
+    /// cache when the run started, so it is an estimate.
+    /// </summary>
+    [property: Description("The number of containers expected to be synchronized (an estimate)")]
+    public int ExpectedContainers { get; init; }
+
+    /// <summary>
+    /// The number of containers that have been synchronized.
+    /// </summary>
+    [property: Description("The number of containers that have been synchronized")]
+    public int ContainersProcessed { get; set; }
+
+    /// <summary>
+    /// The number of blobs that have been synchronized.
+    /// </summary>
+    [property: Description("The number of blobs that have been synchronized")]
+    public int BlobsProcessed { get; set; }
+
+    /// <summary>
+    /// The number of containers and blobs added to the cache.
+    /// </summary>
+    [property: Description("The number of containers and blobs added to the cache")]
+    public int ItemsAdded { get; set; }
+
+    /// <summary>
+    /// The number of containers and blobs that had changed in Azurite since the last synchronization.
+    /// </summary>
+    [property: Description("The number of containers and blobs that had changed since the last synchronization")]
+    public int ItemsUpdated { get; set; }
+
+    /// <summary>
+    /// The number of containers and blobs removed from the cache.
+    /// </summary>
+    [property: Description("The number of containers and blobs removed from the cache")]
+    public int ItemsRemoved { get; set; }
+
+    /// <summary>
+    /// The error that stopped the run, or null if the run did not fail.
+    /// </summary>
+    [property: Description("The error that stopped the run")]
+    public string? Error { get; set; }
+
+    /// <summary>
+    /// Creates a copy of the run, so that it can be handed out while the run continues.
+    /// </summary>
+    /// <returns>A copy of the run.</returns>
+    internal CacheSyncRun Clone() => (CacheSyncRun)MemberwiseClone();
+}
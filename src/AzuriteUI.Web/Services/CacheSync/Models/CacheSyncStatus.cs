@@ -0,0 +1,27 @@
+namespace AzuriteUI.Web.Services.CacheSync.Models;
+
+/// <summary>
+/// The status of a cache synchronization run.
+/// </summary>
+public enum CacheSyncStatus
+{
+    /// <summary>
+    /// The run is in progress.
+    /// </summary>
+    Running,
+
+    /// <summary>
+    /// The run completed successfully.
+    /// </summary>
+    Succeeded,
+
+    /// <summary>
+    /// The run stopped because of an error - the Error is not null.
+    /// </summary>
+    Failed,
+
+    /// <summary>
+    /// The run was cancelled before it completed.
+    /// </summary>
+    Cancelled
+}
@@ -0,0 +1,189 @@
+using AzuriteUI.Web.Services.CacheDb.Models;
+using AzuriteUI.Web.Services.Events.Models;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.ChangeTracking;
+using Microsoft.EntityFrameworkCore.Diagnostics;
+using System.Runtime.CompilerServices;
+
+namespace AzuriteUI.Web.Services.Events;
+
+/// <summary>
+/// An interceptor for the cache database that publishes a storage event for each container and
+/// blob that is added, changed, or removed.  Because every change to the storage (whether made
+/// through the UI or found by the cache synchronization) ends up in the cache, this catches them all.
+/// </summary>
+/// <remarks>
+/// The changes are collected before they are saved and published only once the save succeeds.
+/// An update is only published when something visible in the lists changed - the synchronization
+/// rewrites every row, but most of those rewrites only change the cached copy ID.
+/// </remarks>
+/// <param name="hub">The hub to publish the events to.</param>
+public class CacheChangeInterceptor(IStorageEventHub hub) : SaveChangesInterceptor
+{
+    /// <summary>
+    /// The events waiting for each database context to finish saving.
+    /// </summary>
+    private readonly ConditionalWeakTable<DbContext, List<StorageEvent>> _pending = new();
+
+    /// <inheritdoc />
+    public override InterceptionResult<int> SavingChanges(DbContextEventData eventData, InterceptionResult<int> result)
+    {
+        CollectChanges(eventData.Context);
+        return base.SavingChanges(eventData, result);
+    }
+
+    /// <inheritdoc />
+    public override ValueTask<InterceptionResult<int>> SavingChangesAsync(DbContextEventData eventData, InterceptionResult<int> result, CancellationToken cancellationToken = default)
+    {
+        CollectChanges(eventData.Context);
+        return base.SavingChangesAsync(eventData, result, cancellationToken);
+    }
+
+    /// <inheritdoc />
+    public override int SavedChanges(SaveChangesCompletedEventData eventData, int result)
+    {
+        PublishChanges(eventData.Context);
+        return base.SavedChanges(eventData, result);
+    }
+
+    /// <inheritdoc />
+    public override ValueTask<int> SavedChangesAsync(SaveChangesCompletedEventData eventData, int result, CancellationToken cancellationToken = default)
+    {
+        PublishChanges(eventData.Context);
+        return base.SavedChangesAsync(eventData, result, cancellationToken);
+    }
+
+    /// <inheritdoc />
+    public override void SaveChangesFailed(DbContextErrorEventData eventData)
+    {
+        DiscardChanges(eventData.Context);
+        base.SaveChangesFailed(eventData);
+    }
+
+    /// <inheritdoc />
+    public override Task SaveChangesFailedAsync(DbContextErrorEventData eventData, CancellationToken cancellationToken = default)
+    {
+        DiscardChanges(eventData.Context);
+        return base.SaveChangesFailedAsync(eventData, cancellationToken);
+    }
+
+    /// <inheritdoc />
+    public override void SaveChangesCanceled(DbContextEventData eventData)
+    {
+        DiscardChanges(eventData.Context);
+        base.SaveChangesCanceled(eventData);
+    }
+
+    /// <inheritdoc />
+    public override Task SaveChangesCanceledAsync(DbContextEventData eventData, CancellationToken cancellationToken = default)
+    {
+        DiscardChanges(eventData.Context);
+        return base.SaveChangesCanceledAsync(eventData, cancellationToken);
+    }
+
+    /// <summary>
+    /// Collects the events for the changes that are about to be saved.
+    /// </summary>
+    /// <param name="context">The database context being saved.</param>
+    internal void CollectChanges(DbContext? context)
+    {
+        if (context is null)
+        {
+            return;
+        }
+
+        context.ChangeTracker.DetectChanges();
+        var events = GetStorageEvents(context.ChangeTracker).ToList();
+        if (events.Count > 0)
+        {
+            _pending.AddOrUpdate(context, events);
+        }
+    }
+
+    /// <summary>
+    /// Publishes the events collected for a database context that saved successfully.
+    /// </summary>
+    /// <param name="context">The database context that was saved.</param>
+    internal void PublishChanges(DbContext? context)
+    {
+        if (context is null || !_pending.TryGetValue(context, out var events))
+        {
+            return;
+        }
+
+        _pending.Remove(context);
+        foreach (var storageEvent in events)
+        {
+            hub.Publish(storageEvent);
+        }
+    }
+
+    /// <summary>
+    /// Throws away the events collected for a database context that failed to save.
+    /// </summary>
+    /// <param name="context">The database context that was being saved.</param>
+    internal void DiscardChanges(DbContext? context)
+    {
+        if (context is not null)
+        {
+            _pending.Remove(context);
+        }
+    }
+
+    /// <summary>
+    /// Works out the storage events for the containers and blobs that are changed in a change tracker.
+    /// </summary>
+    /// <param name="changeTracker">The change tracker.</param>
+    /// <returns>The storage events.</returns>
+    internal static IEnumerable<StorageEvent> GetStorageEvents(ChangeTracker changeTracker)
+    {
+        foreach (var entry in changeTracker.Entries<ContainerModel>())
+        {
+            var eventType = GetEventType(entry, StorageEventType.ContainerCreated, StorageEventType.ContainerUpdated, StorageEventType.ContainerDeleted,
+                nameof(ContainerModel.ETag), nameof(ContainerModel.BlobCount), nameof(ContainerModel.TotalSize));
+            if (eventType is not null)
+            {
+                yield return new StorageEvent
+                {
+                    EventType = eventType.Value,
+                    ContainerName = entry.Entity.Name,
+                    ETag = entry.Entity.ETag
+                };
+            }
+        }
+
+        foreach (var entry in changeTracker.Entries<BlobModel>())
+        {
+            var eventType = GetEventType(entry, StorageEventType.BlobCreated, StorageEventType.BlobUpdated, StorageEventType.BlobDeleted,
+                nameof(BlobModel.ETag));
+            if (eventType is not null)
+            {
+                yield return new StorageEvent
+                {
+                    EventType = eventType.Value,
+                    ContainerName = entry.Entity.ContainerName,
+                    BlobName = entry.Entity.Name,
+                    ETag = entry.Entity.ETag
+                };
+            }
+        }
+    }
+
+    /// <summary>
+    /// Works out the event type for an entry in the change tracker.
+    /// </summary>
+    /// <param name="entry">The entry.</param>
+    /// <param name="created">The event type to use when the entity is added.</param>
+    /// <param name="updated">The event type to use when the entity is changed.</param>
+    /// <param name="deleted">The event type to use when the entity is removed.</param>
+    /// <param name="watchedProperties">The properties that must change for an update to be published.</param>
+    /// <returns>The event type, or null if no event should be published.</returns>
+    internal static StorageEventType? GetEventType(EntityEntry entry, StorageEventType created, StorageEventType updated, StorageEventType deleted, params string[] watchedProperties)
+        => entry.State switch
+        {
+            EntityState.Added => created,
+            EntityState.Deleted => deleted,
+            EntityState.Modified when watchedProperties.Any(name => !Equals(entry.Property(name).OriginalValue, entry.Property(name).CurrentValue)) => updated,
+            _ => null
+        };
+}
@@ -0,0 +1,33 @@
+using AzuriteUI.Web.Services.Events.Models;
+
+namespace AzuriteUI.Web.Services.Events;
+
+/// <summary>
+/// The hub that distributes storage events to everyone listening for them (normally, the
+/// browsers connected to the server-sent events endpoint).
+/// </summary>
+public interface IStorageEventHub
+{
+    /// <summary>
+    /// The most recent health event, which is sent to new subscribers so that they know the
+    /// current health of Azurite without waiting for it to change.
+    /// </summary>
+    StorageEvent? LastHealthEvent { get; }
+
+    /// <summary>
+    /// The number of current subscribers.
+    /// </summary>
+    int SubscriberCount { get; }
+
+    /// <summary>
+    /// Publishes an event to all current subscribers.
+    /// </summary>
+    /// <param name="storageEvent">The event to publish.</param>
+    void Publish(StorageEvent storageEvent);
+
+    /// <summary>
+    /// Subscribes to the events published from now on.  Dispose of the subscription to unsubscribe.
+    /// </summary>
+    /// <returns>The subscription.</returns>
+    StorageEventSubscription Subscribe();
+}
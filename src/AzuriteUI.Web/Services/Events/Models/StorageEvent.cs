@@ -0,0 +1,71 @@
+using System.Text.Json.Serialization;
+
+namespace AzuriteUI.Web.Services.Events.Models;
+
+/// <summary>
+/// A change to the storage, the health of Azurite, or the cache synchronization, that is
+/// pushed to the UI as a server-sent event.
+/// </summary>
+public class StorageEvent
+{
+    /// <summary>
+    /// The kind of change.
+    /// </summary>
+    [JsonIgnore]
+    public required StorageEventType EventType { get; set; }
+
+    /// <summary>
+    /// The name of the event, as sent to the browser (for example, <c>blob:created</c>).
+    /// </summary>
+    public string Type => GetEventName(EventType);
+
+    /// <summary>
+    /// The name of the container that changed, or that holds the blob that changed.
+    /// </summary>
+    public string? ContainerName { get; set; }
+
+    /// <summary>
+    /// The name of the blob that changed.
+    /// </summary>
+    public string? BlobName { get; set; }
+
+    /// <summary>
+    /// The entity tag of the container or blob after the change.
+    /// </summary>
+    public string? ETag { get; set; }
+
+    /// <summary>
+    /// For health events, whether the Azurite service is healthy.
+    /// </summary>
+    public bool? IsHealthy { get; set; }
+
+    /// <summary>
+    /// For health and sync events, a message describing the change (such as the error).
+    /// </summary>
+    public string? Message { get; set; }
+
+    /// <summary>
+    /// The date/time that the event was created.
+    /// </summary>
+    public DateTimeOffset Timestamp { get; set; } = DateTimeOffset.UtcNow;
+
+    /// <summary>
+    /// Gets the name of the event for the given event type.
+    /// </summary>
+    /// <param name="eventType">The event type.</param>
+    /// <returns>The name of the event, as sent to the browser.</returns>
+    public static string GetEventName(StorageEventType eventType) => eventType switch
+    {
+        StorageEventType.ContainerCreated => "container:created",
+        StorageEventType.ContainerUpdated => "container:updated",
+        StorageEventType.ContainerDeleted => "container:deleted",
+        StorageEventType.BlobCreated => "blob:created",
+        StorageEventType.BlobUpdated => "blob:updated",
+        StorageEventType.BlobDeleted => "blob:deleted",
+        StorageEventType.HealthChanged => "health:changed",
+        StorageEventType.SyncStarted => "sync:started",
+        StorageEventType.SyncFinished => "sync:finished",
+        StorageEventType.SyncFailed => "sync:failed",
+        _ => throw new ArgumentOutOfRangeException(nameof(eventType), eventType, "Unknown storage event type")
+    };
+}
@@ -0,0 +1,57 @@
+namespace AzuriteUI.Web.Services.Events.Models;
+
+/// <summary>
+/// The kinds of change that are pushed to the UI as storage events.
+/// </summary>
+public enum StorageEventType
+{
+    /// <summary>
+    /// A container was added to the cache.
+    /// </summary>
+    ContainerCreated,
+
+    /// <summary>
+    /// A container in the cache changed (including its blob count or total size).
+    /// </summary>
+    ContainerUpdated,
+
+    /// <summary>
+    /// A container was removed from the cache.
+    /// </summary>
+    ContainerDeleted,
+
+    /// <summary>
+    /// A blob was added to the cache.
+    /// </summary>
+    BlobCreated,
+
+    /// <summary>
+    /// A blob in the cache changed.
+    /// </summary>
+    BlobUpdated,
+
+    /// <summary>
+    /// A blob was removed from the cache.
+    /// </summary>
+    BlobDeleted,
+
+    /// <summary>
+    /// The health of the Azurite service changed.
+    /// </summary>
+    HealthChanged,
+
+    /// <summary>
+    /// A cache synchronization run started.
+    /// </summary>
+    SyncStarted,
+
+    /// <summary>
+    /// A cache synchronization run finished successfully.
+    /// </summary>
+    SyncFinished,
+
+    /// <summary>
+    /// A cache synchronization run failed or was cancelled.
+    /// </summary>
+    SyncFailed
+}
@@ -0,0 +1,68 @@
+using AzuriteUI.Web.Services.Events.Models;
+using System.Collections.Concurrent;
+using System.Threading.Channels;
+
+namespace AzuriteUI.Web.Services.Events;
+
+/// <summary>
+/// The in-memory implementation of the storage event hub.  Each subscriber has its own bounded
+/// channel, so a slow subscriber loses its oldest events rather than holding up the publisher.
+/// </summary>
+/// <param name="logger">The logger for diagnostic messages.</param>
+public class StorageEventHub(ILogger<StorageEventHub> logger) : IStorageEventHub
+{
+    /// <summary>
+    /// The number of events that are held for a subscriber that is not keeping up.
+    /// </summary>
+    internal const int SubscriberCapacity = 1000;
+
+    /// <summary>
+    /// The channels for the current subscribers, by subscription ID.
+    /// </summary>
+    private readonly ConcurrentDictionary<Guid, Channel<StorageEvent>> _subscribers = new();
+
+    /// <inheritdoc />
+    public StorageEvent? LastHealthEvent { get; private set; }
+
+    /// <inheritdoc />
+    public int SubscriberCount => _subscribers.Count;
+
+    /// <inheritdoc />
+    public void Publish(StorageEvent storageEvent)
+    {
+        ArgumentNullException.ThrowIfNull(storageEvent);
+        if (storageEvent.EventType == StorageEventType.HealthChanged)
+        {
+            LastHealthEvent = storageEvent;
+        }
+
+        logger.LogDebug("Publishing {EventName} to {SubscriberCount} subscribers", storageEvent.Type, _subscribers.Count);
+        foreach (var channel in _subscribers.Values)
+        {
+            channel.Writer.TryWrite(storageEvent);
+        }
+    }
+
+    /// <inheritdoc />
+    public StorageEventSubscription Subscribe()
+    {
+        var id = Guid.NewGuid();
+        var channel = Channel.CreateBounded<StorageEvent>(new BoundedChannelOptions(SubscriberCapacity)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true,
+            SingleWriter = false
+        });
+        _subscribers[id] = channel;
+        logger.LogDebug("Subscriber {SubscriptionId} added", id);
+
+        return new StorageEventSubscription(channel.Reader, () =>
+        {
+            if (_subscribers.TryRemove(id, out var removed))
+            {
+                removed.Writer.TryComplete();
+                logger.LogDebug("Subscriber {SubscriptionId} removed", id);
+            }
+        });
+    }
+}
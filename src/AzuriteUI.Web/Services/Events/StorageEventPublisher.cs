@@ -0,0 +1,155 @@
+using AzuriteUI.Web.Extensions;
+using AzuriteUI.Web.Services.Azurite;
+using AzuriteUI.Web.Services.CacheSync;
+using AzuriteUI.Web.Services.CacheSync.Models;
+using AzuriteUI.Web.Services.Events.Models;
+
+namespace AzuriteUI.Web.Services.Events;
+
+/// <summary>
+/// A hosted service that publishes the storage events that do not come from the cache database:
+/// the start and end of each cache synchronization, and changes in the health of Azurite.
+/// </summary>
+/// <param name="queueManager">The queue manager that runs the cache synchronization.</param>
+/// <param name="azuriteService">The Azurite service, used to check its health.</param>
+/// <param name="hub">The hub to publish the events to.</param>
+/// <param name="configuration">The application configuration.</param>
+/// <param name="timeProvider">The time provider for creating timers.</param>
+/// <param name="logger">The logger instance.</param>
+public class StorageEventPublisher(
+    IQueueManager queueManager,
+    IAzuriteService azuriteService,
+    IStorageEventHub hub,
+    IConfiguration configuration,
+    TimeProvider timeProvider,
+    ILogger<StorageEventPublisher> logger
+) : IHostedService, IDisposable
+{
+    /// <summary>
+    /// The timer for checking the health of Azurite.
+    /// </summary>
+    private ITimer? _timer;
+
+    /// <summary>
+    /// The health of Azurite the last time it was checked (null before the first check).
+    /// </summary>
+    private bool? _lastHealthy;
+
+    /// <summary>
+    /// Set while a health check is running, so that a slow check is not overlapped by the next one.
+    /// </summary>
+    private int _checkingHealth;
+
+    /// <summary>
+    /// The interval between checks of the health of Azurite.
+    /// </summary>
+    internal TimeSpan HealthInterval => configuration.GetTimeSpan("LiveUpdates:HealthInterval") ?? TimeSpan.FromSeconds(15);
+
+    /// <inheritdoc />
+    public Task StartAsync(CancellationToken cancellationToken)
+    {
+        logger.LogInformation("StorageEventPublisher is starting.");
+
+        queueManager.QueueChanged += OnQueueChanged;
+        _timer = timeProvider.CreateTimer(
+            CheckHealthCallback,
+            state: null,
+            dueTime: TimeSpan.Zero,
+            period: HealthInterval);
+
+        return Task.CompletedTask;
+    }
+
+    /// <inheritdoc />
+    public Task StopAsync(CancellationToken cancellationToken)
+    {
+        logger.LogInformation("StorageEventPublisher is stopping.");
+
+        queueManager.QueueChanged -= OnQueueChanged;
+        _timer?.Dispose();
+        _timer = null;
+
+        return Task.CompletedTask;
+    }
+
+    /// <summary>
+    /// Publishes the sync events when the cache synchronization starts or finishes.
+    /// </summary>
+    /// <param name="sender">The queue manager.</param>
+    /// <param name="args">The queue manager event.</param>
+    internal void OnQueueChanged(object? sender, QueueManagerEventArgs args)
+    {
+        StorageEventType? eventType = args.EventType switch
+        {
+            QueueEvent.WorkStarted => StorageEventType.SyncStarted,
+            QueueEvent.WorkFinished => StorageEventType.SyncFinished,
+            QueueEvent.WorkErrored => StorageEventType.SyncFailed,
+            _ => null
+        };
+
+        if (eventType is not null)
+        {
+            hub.Publish(new StorageEvent
+            {
+                EventType = eventType.Value,
+                Message = args.Exception?.Message,
+                Timestamp = args.EventTime
+            });
+        }
+    }
+
+    /// <summary>
+    /// Callback method invoked by the timer to check the health of Azurite.
+    /// </summary>
+    /// <param name="state">The state object (not used).</param>
+    private void CheckHealthCallback(object? state)
+    {
+        // Fire and forget - CheckHealthAsync logs its own errors.
+        _ = CheckHealthAsync();
+    }
+
+    /// <summary>
+    /// Checks the health of Azurite, and publishes a health event if it has changed.
+    /// </summary>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that resolves when the check is complete.</returns>
+    internal async Task CheckHealthAsync(CancellationToken cancellationToken = default)
+    {
+        if (Interlocked.Exchange(ref _checkingHealth, 1) == 1)
+        {
+            logger.LogDebug("Skipping health check; the previous check is still running.");
+            return;
+        }
+
+        try
+        {
+            var status = await azuriteService.GetHealthStatusAsync(cancellationToken).ConfigureAwait(false);
+            if (_lastHealthy != status.IsHealthy)
+            {
+                logger.LogInformation("Azurite health changed to {Health}", status.IsHealthy ? "healthy" : "unhealthy");
+                _lastHealthy = status.IsHealthy;
+                hub.Publish(new StorageEvent
+                {
+                    EventType = StorageEventType.HealthChanged,
+                    IsHealthy = status.IsHealthy,
+                    Message = status.IsHealthy ? "Healthy" : status.ErrorMessage ?? "Unhealthy"
+                });
+            }
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Error checking the health of Azurite.");
+        }
+        finally
+        {
+            Interlocked.Exchange(ref _checkingHealth, 0);
+        }
+    }
+
+    /// <inheritdoc />
+    public void Dispose()
+    {
+        _timer?.Dispose();
+        GC.SuppressFinalize(this);
+    }
+}
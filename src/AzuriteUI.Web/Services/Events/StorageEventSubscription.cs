@@ -0,0 +1,33 @@
+using AzuriteUI.Web.Services.Events.Models;
+using System.Threading.Channels;
+
+namespace AzuriteUI.Web.Services.Events;
+
+/// <summary>
+/// A subscription to the events published by an <see cref="IStorageEventHub"/>.
+/// </summary>
+/// <param name="reader">The reader for the events sent to this subscriber.</param>
+/// <param name="unsubscribe">The action that removes this subscriber from the hub.</param>
+public sealed class StorageEventSubscription(ChannelReader<StorageEvent> reader, Action unsubscribe) : IDisposable
+{
+    /// <summary>
+    /// Flag indicating whether this subscription has been disposed.
+    /// </summary>
+    private bool _disposed;
+
+    /// <summary>
+    /// The reader for the events sent to this subscriber.  The reader completes when the
+    /// subscription is disposed.
+    /// </summary>
+    public ChannelReader<StorageEvent> Reader => reader;
+
+    /// <inheritdoc />
+    public void Dispose()
+    {
+        if (!_disposed)
+        {
+            _disposed = true;
+            unsubscribe();
+        }
+    }
+}
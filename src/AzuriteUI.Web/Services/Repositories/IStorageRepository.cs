@@ -14,6 +14,16 @@ public interface IStorageRepository
     /// </summary>
     IQueryable<BlobDTO> Blobs { get; }
 
+    /// <summary>
+    /// Copies a blob to a new name or another container in Azurite, and adds the copy to the cache.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob to copy.</param>
+    /// <param name="blobName">The name of the blob to copy.</param>
+    /// <param name="dto">Where to copy the blob to.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The copied blob DTO.</returns>
+    Task<BlobDTO> CopyBlobAsync(string containerName, string blobName, CopyBlobDTO dto, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Deletes a blob from Azurite and removes it from the cache.
     /// </summary>
@@ -23,6 +33,16 @@ public interface IStorageRepository
     /// <returns>A task that completes when the blob is deleted.</returns>
     Task DeleteBlobAsync(string containerName, string blobName, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Finds the names of the blobs in a container whose metadata and tags contain every one of the given
+    /// key/value pairs.  Keys are compared case-insensitively; values must match exactly.
+    /// </summary>
+    /// <param name="containerName">The name of the container to search.</param>
+    /// <param name="metadata">The key/value pairs that must be present in the metadata.</param>
+    /// <param name="tags">The key/value pairs that must be present in the tags.</param>
+    /// <returns>A database query for the names of the matching blobs.</returns>
+    IQueryable<string> FindBlobNames(string containerName, IList<KeyValuePair<string, string>> metadata, IList<KeyValuePair<string, string>> tags);
+
     /// <summary>
     /// Retrieves the <see cref="BlobDTO"/> for the specified container and blob name.
     /// </summary>
@@ -32,6 +52,17 @@ public interface IStorageRepository
     /// <returns>The blob DTO, or null if not found.</returns>
     Task<BlobDTO?> GetBlobAsync(string containerName, string blobName, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Moves (or renames) a blob by copying it to the new name or container and then deleting the original.
+    /// The cache is updated with both changes.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob to move.</param>
+    /// <param name="blobName">The name of the blob to move.</param>
+    /// <param name="dto">Where to move the blob to.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The moved blob DTO.</returns>
+    Task<BlobDTO> MoveBlobAsync(string containerName, string blobName, CopyBlobDTO dto, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Updates an existing blob in Azurite and updates the cache.
     /// </summary>
@@ -41,6 +72,47 @@ public interface IStorageRepository
     Task<BlobDTO> UpdateBlobAsync(UpdateBlobDTO dto, CancellationToken cancellationToken = default);
     #endregion
 
+    #region Blob Snapshots
+    /// <summary>
+    /// Creates a read-only snapshot of a blob in Azurite.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The new snapshot.</returns>
+    Task<BlobSnapshotDTO> CreateBlobSnapshotAsync(string containerName, string blobName, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Downloads (a range of) a snapshot of a blob from Azurite.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="snapshot">The timestamp that identifies the snapshot.</param>
+    /// <param name="httpRange">The HTTP range to download.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The downloaded snapshot.</returns>
+    Task<BlobDownloadDTO> DownloadBlobSnapshotAsync(string containerName, string blobName, string snapshot, string? httpRange = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Lists the snapshots of a blob, newest first.  Snapshots are not cached, so they are always read from Azurite.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The snapshots of the blob.</returns>
+    Task<IList<BlobSnapshotDTO>> GetBlobSnapshotsAsync(string containerName, string blobName, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Restores a blob from one of its snapshots, and updates the cache.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="snapshot">The timestamp that identifies the snapshot to promote.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The restored blob.</returns>
+    Task<BlobDTO> PromoteBlobSnapshotAsync(string containerName, string blobName, string snapshot, CancellationToken cancellationToken = default);
+    #endregion
+
     #region Container Access
     /// <summary>
     /// The queryable collection of storage containers.
@@ -63,6 +135,22 @@ public interface IStorageRepository
     /// <returns>A task that completes when the container is deleted.</returns>
     Task DeleteContainerAsync(string containerName, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Finds the names of the containers whose metadata contains every one of the given key/value pairs.
+    /// Keys are compared case-insensitively; values must match exactly.
+    /// </summary>
+    /// <param name="metadata">The key/value pairs that must be present in the metadata.</param>
+    /// <returns>A database query for the names of the matching containers.</returns>
+    IQueryable<string> FindContainerNames(IList<KeyValuePair<string, string>> metadata);
+
+    /// <summary>
+    /// Retrieves the access policy (public access level and stored access policies) of a container from Azurite.
+    /// </summary>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The access policy of the container.</returns>
+    Task<ContainerAccessPolicyDTO> GetContainerAccessPolicyAsync(string containerName, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Retrieves the <see cref="ContainerDTO"/> for the specified container name.
     /// </summary>
@@ -78,6 +166,16 @@ public interface IStorageRepository
     /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
     /// <returns>The updated container DTO.</returns>
     Task<ContainerDTO> UpdateContainerAsync(UpdateContainerDTO updateDto, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Replaces the access policy (public access level and stored access policies) of a container in Azurite
+    /// and updates the cache.
+    /// </summary>
+    /// <param name="containerName">The name of the container to update.</param>
+    /// <param name="dto">The new access policy.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The updated container DTO.</returns>
+    Task<ContainerDTO> UpdateContainerAccessPolicyAsync(string containerName, ContainerAccessPolicyDTO dto, CancellationToken cancellationToken = default);
     #endregion
 
     #region Dashboard
@@ -87,6 +185,170 @@ public interface IStorageRepository
     /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
     /// <returns>The dashboard data.</returns>
     Task<DashboardResponse> GetDashboardDataAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the number and size of the blobs in each container, largest first.  Containers with
+    /// no matching blobs are left out.
+    /// </summary>
+    /// <param name="family">If set, only blobs in this content type family are counted.</param>
+    /// <param name="age">If set, only blobs in this age bucket are counted.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The usage of each container.</returns>
+    Task<IList<StorageUsageInfo>> GetContainerUsageAsync(ContentTypeFamily? family = null, AgeBucket? age = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the number and size of the blobs in each content type family.
+    /// </summary>
+    /// <param name="age">If set, only blobs in this age bucket are counted.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The usage of each content type family, in the order of <see cref="ContentTypeFamily.All"/>.</returns>
+    Task<IList<StorageUsageInfo>> GetContentTypeUsageAsync(AgeBucket? age = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the number and size of the blobs in each age bucket.
+    /// </summary>
+    /// <param name="family">If set, only blobs in this content type family are counted.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The usage of each age bucket, in the order of <see cref="AgeBucket.All"/>.</returns>
+    Task<IList<StorageUsageInfo>> GetAgeUsageAsync(ContentTypeFamily? family = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the largest blobs, largest first.
+    /// </summary>
+    /// <param name="top">The number of blobs to return.</param>
+    /// <param name="family">If set, only blobs in this content type family are returned.</param>
+    /// <param name="age">If set, only blobs in this age bucket are returned.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The largest blobs.</returns>
+    Task<IList<RecentBlobInfo>> GetLargestBlobsAsync(int top, ContentTypeFamily? family = null, AgeBucket? age = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the storage samples taken at the end of each cache synchronization, oldest first.
+    /// When there are more samples than <paramref name="maxPoints"/>, the period is divided evenly
+    /// and the last sample in each division is returned.
+    /// </summary>
+    /// <param name="period">How far back to go.</param>
+    /// <param name="maxPoints">The maximum number of samples to return.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The storage samples.</returns>
+    Task<IList<StorageSampleInfo>> GetStorageGrowthAsync(TimeSpan period, int maxPoints = 200, CancellationToken cancellationToken = default);
+    #endregion
+
+    #region Queue Access
+    /// <summary>
+    /// Deletes all the messages in a queue in Azurite.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to clear.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that completes when the queue is empty.</returns>
+    Task ClearQueueMessagesAsync(string queueName, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Creates a new queue in Azurite.
+    /// </summary>
+    /// <param name="dto">The queue properties to set.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The created queue DTO.</returns>
+    Task<QueueDTO> CreateQueueAsync(CreateQueueDTO dto, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Deletes a queue, including all its messages, from Azurite.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to delete.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that completes when the queue is deleted.</returns>
+    Task DeleteQueueAsync(string queueName, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Deletes a received message from a queue in Azurite.
+    /// </summary>
+    /// <param name="queueName">The name of the queue holding the message.</param>
+    /// <param name="messageId">The identifier of the message to delete.</param>
+    /// <param name="popReceipt">The pop receipt from when the message was last received or updated.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that completes when the message is deleted.</returns>
+    Task DeleteQueueMessageAsync(string queueName, string messageId, string popReceipt, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the <see cref="QueueDTO"/> for the specified queue name from Azurite.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to retrieve.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The queue DTO, or null if not found.</returns>
+    Task<QueueDTO?> GetQueueAsync(string queueName, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves all the queues in Azurite, sorted by name.
+    /// </summary>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The list of queue DTOs.</returns>
+    Task<IList<QueueDTO>> GetQueuesAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Retrieves the visible messages at the front of a queue in Azurite without receiving them.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="maxMessages">The most messages to retrieve (1 to 32).</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The list of messages.</returns>
+    Task<IList<QueueMessageDTO>> PeekQueueMessagesAsync(string queueName, int maxMessages, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Receives (dequeues) the visible messages at the front of a queue in Azurite, hiding them for the
+    /// visibility timeout.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="maxMessages">The most messages to receive (1 to 32).</param>
+    /// <param name="visibilityTimeout">How long the messages are hidden for, in seconds; if not set, 30 seconds.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The list of messages, with the pop receipts needed to update or delete them.</returns>
+    Task<IList<QueueMessageDTO>> ReceiveQueueMessagesAsync(string queueName, int maxMessages, int? visibilityTimeout = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Sends (enqueues) a message to a queue in Azurite.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="dto">The body, visibility timeout and time to live of the message.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The sent message.</returns>
+    Task<QueueMessageDTO> SendQueueMessageAsync(string queueName, SendQueueMessageDTO dto, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Updates an existing queue in Azurite.
+    /// </summary>
+    /// <param name="dto">The queue properties to update.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The updated queue DTO.</returns>
+    Task<QueueDTO> UpdateQueueAsync(UpdateQueueDTO dto, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Updates the body and visibility timeout of a received message in a queue in Azurite.
+    /// </summary>
+    /// <param name="queueName">The name of the queue holding the message.</param>
+    /// <param name="messageId">The identifier of the message to update.</param>
+    /// <param name="dto">The pop receipt, new body and visibility timeout of the message.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The updated message, with the new pop receipt.</returns>
+    Task<QueueMessageDTO> UpdateQueueMessageAsync(string queueName, string messageId, UpdateQueueMessageDTO dto, CancellationToken cancellationToken = default);
+    #endregion
+
+    #region Shared Access Signatures
+    /// <summary>
+    /// Generates a shared access signature (SAS) for a blob.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="dto">The permissions, times and restrictions for the SAS.</param>
+    /// <returns>The generated SAS, with a URL and connection string that use it.</returns>
+    SasDTO GenerateBlobSas(string containerName, string blobName, GenerateSasDTO dto);
+
+    /// <summary>
+    /// Generates a shared access signature (SAS) for a container.
+    /// </summary>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="dto">The permissions, times and restrictions for the SAS.</param>
+    /// <returns>The generated SAS, with a URL and connection string that use it.</returns>
+    SasDTO GenerateContainerSas(string containerName, GenerateSasDTO dto);
     #endregion
     
     #region Upload and Download
@@ -123,9 +385,10 @@ public interface IStorageRepository
     /// </summary>
     /// <param name="uploadId">The unique identifier of the upload session.</param>
     /// <param name="blockIds">The ordered list of blocks to commit.</param>
+    /// <param name="contentMD5">Optional Base64-encoded MD5 hash of the whole blob for integrity verification.</param>
     /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
     /// <returns>The created blob DTO.</returns>
-    Task<BlobDTO> CommitUploadAsync(Guid uploadId, IEnumerable<string> blockIds, CancellationToken cancellationToken = default);
+    Task<BlobDTO> CommitUploadAsync(Guid uploadId, IEnumerable<string> blockIds, string? contentMD5 = null, CancellationToken cancellationToken = default);
 
     /// <summary>
     /// Initiates a chunked blob upload session.
@@ -143,6 +406,20 @@ public interface IStorageRepository
     /// <returns>The upload status, or null if not found.</returns>
     Task<UploadStatusDTO> GetUploadStatusAsync(Guid uploadId, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Writes a ZIP archive of the specified blobs to the destination stream.
+    /// </summary>
+    /// <remarks>
+    /// Each blob is streamed from Azurite into the archive in turn, so the archive is never held in memory.  The
+    /// blob names are used as the paths within the archive.  Blobs that have been deleted since the cache was last
+    /// synchronized are left out.
+    /// </remarks>
+    /// <param name="blobs">The blobs to include in the archive.</param>
+    /// <param name="destination">The stream to write the archive to.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that completes when the archive has been written.</returns>
+    Task WriteArchiveAsync(IEnumerable<BlobDTO> blobs, Stream destination, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Uploads a block (chunk) to an in-progress upload session.
     /// </summary>
@@ -0,0 +1,60 @@
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A range of ages (the time since a blob was last modified) that the storage analytics are broken down by.
+/// </summary>
+public class AgeBucket
+{
+    /// <summary>
+    /// The age buckets, from the newest to the oldest.  Every blob belongs to exactly one bucket.
+    /// </summary>
+    public static IReadOnlyList<AgeBucket> All { get; } =
+    [
+        new() { Key = "day", Label = "Last 24 hours", MinAge = TimeSpan.Zero, MaxAge = TimeSpan.FromDays(1) },
+        new() { Key = "week", Label = "1-7 days", MinAge = TimeSpan.FromDays(1), MaxAge = TimeSpan.FromDays(7) },
+        new() { Key = "month", Label = "1-4 weeks", MinAge = TimeSpan.FromDays(7), MaxAge = TimeSpan.FromDays(30) },
+        new() { Key = "quarter", Label = "1-3 months", MinAge = TimeSpan.FromDays(30), MaxAge = TimeSpan.FromDays(90) },
+        new() { Key = "year", Label = "3-12 months", MinAge = TimeSpan.FromDays(90), MaxAge = TimeSpan.FromDays(365) },
+        new() { Key = "older", Label = "Over a year", MinAge = TimeSpan.FromDays(365), MaxAge = null }
+    ];
+
+    /// <summary>
+    /// The key used to select the bucket in the API.
+    /// </summary>
+    public required string Key { get; init; }
+
+    /// <summary>
+    /// The name of the bucket, for display.
+    /// </summary>
+    public required string Label { get; init; }
+
+    /// <summary>
+    /// The youngest age in the bucket (inclusive).
+    /// </summary>
+    public required TimeSpan MinAge { get; init; }
+
+    /// <summary>
+    /// The oldest age in the bucket (exclusive), or null if the bucket has no upper limit.
+    /// </summary>
+    public TimeSpan? MaxAge { get; init; }
+
+    /// <summary>
+    /// The earliest last modified date in the bucket, or null if the bucket has no lower limit.
+    /// </summary>
+    /// <param name="now">The current date/time.</param>
+    public DateTimeOffset? GetFrom(DateTimeOffset now) => MaxAge is null ? null : now - MaxAge.Value;
+
+    /// <summary>
+    /// The latest last modified date in the bucket, or null if the bucket has no upper limit.
+    /// </summary>
+    /// <param name="now">The current date/time.</param>
+    public DateTimeOffset? GetTo(DateTimeOffset now) => MinAge == TimeSpan.Zero ? null : now - MinAge;
+
+    /// <summary>
+    /// Finds an age bucket by its key.
+    /// </summary>
+    /// <param name="key">The key of the bucket.</param>
+    /// <returns>The bucket, or null if there is no bucket with that key.</returns>
+    public static AgeBucket? Find(string? key)
+        => All.FirstOrDefault(bucket => bucket.Key.Equals(key, StringComparison.OrdinalIgnoreCase));
+}
@@ -62,6 +62,12 @@ public class BlobDTO : IBaseDTO
     [property: Description("The length of the blob")]
     public long ContentLength { get; set; } = 0L;
 
+    /// <summary>
+    /// The Base64-encoded MD5 hash of the blob content, if one was stored with the blob.
+    /// </summary>
+    [property: Description("The Base64-encoded MD5 hash of the blob content, if one was stored with the blob")]
+    public string? ContentMD5 { get; set; }
+
     /// <summary>
     /// The content type of the blob.
     /// </summary>
@@ -0,0 +1,71 @@
+using System.ComponentModel;
+using System.ComponentModel.DataAnnotations;
+
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A data transfer object representing a read-only snapshot of a blob in Azurite.
+/// </summary>
+public class BlobSnapshotDTO
+{
+    /// <summary>
+    /// The name of the blob.
+    /// </summary>
+    [property: Required]
+    [property: Description("The name of the blob")]
+    public required string Name { get; set; }
+
+    /// <summary>
+    /// The name of the container holding the blob.
+    /// </summary>
+    [property: Required]
+    [property: Description("The name of the container holding the blob")]
+    public required string ContainerName { get; set; }
+
+    /// <summary>
+    /// The timestamp that identifies the snapshot.  This is passed as the <c>snapshot</c> query parameter
+    /// to download the snapshot.
+    /// </summary>
+    [property: Required]
+    [property: Description("The timestamp that identifies the snapshot")]
+    public required string Snapshot { get; set; }
+
+    /// <summary>
+    /// The date/time that the snapshot was taken.
+    /// </summary>
+    [property: Required]
+    [property: Description("The date/time that the snapshot was taken")]
+    public required DateTimeOffset SnapshotTime { get; set; }
+
+    /// <summary>
+    /// The entity tag of the blob when the snapshot was taken.
+    /// </summary>
+    [property: Required]
+    [property: Description("The entity tag of the blob when the snapshot was taken")]
+    public required string ETag { get; set; }
+
+    /// <summary>
+    /// The date/time that the blob was last modified before the snapshot was taken.
+    /// </summary>
+    [property: Required]
+    [property: Description("The date/time that the blob was last modified before the snapshot was taken")]
+    public required DateTimeOffset LastModified { get; set; }
+
+    /// <summary>
+    /// The length of the snapshot.
+    /// </summary>
+    [property: Description("The length of the snapshot")]
+    public long ContentLength { get; set; } = 0L;
+
+    /// <summary>
+    /// The content type of the snapshot.
+    /// </summary>
+    [property: Description("The content type of the snapshot")]
+    public string ContentType { get; set; } = "application/octet-stream";
+
+    /// <summary>
+    /// The metadata of the blob when the snapshot was taken.
+    /// </summary>
+    [property: Description("The metadata (key-value pairs) of the blob when the snapshot was taken")]
+    public IDictionary<string, string> Metadata { get; set; } = new Dictionary<string, string>();
+}
@@ -14,4 +14,10 @@ public class CommitUploadRequestDTO
     [Required]
     [MinLength(1, ErrorMessage = "At least one block ID must be provided.")]
     public required IEnumerable<string> BlockIds { get; init; }
+
+    /// <summary>
+    /// The Base64-encoded MD5 hash of the whole blob.  If provided, it is stored as the
+    /// Content-MD5 of the blob, and the commit is rejected if the uploaded content does not match.
+    /// </summary>
+    public string? ContentMD5 { get; init; }
 }
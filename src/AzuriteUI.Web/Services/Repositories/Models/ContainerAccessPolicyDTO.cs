@@ -0,0 +1,22 @@
+using System.ComponentModel;
+
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A data transfer object representing the access policy of a container: the level of public access
+/// and the stored access policies that a SAS can be linked to.
+/// </summary>
+public class ContainerAccessPolicyDTO
+{
+    /// <summary>
+    /// The level of public access to the container.
+    /// </summary>
+    [property: Description("The level of anonymous (public) access to the container: 'none', 'blob' or 'container'")]
+    public string PublicAccess { get; set; } = "none";
+
+    /// <summary>
+    /// The stored access policies of the container.  A container may have up to five stored access policies.
+    /// </summary>
+    [property: Description("The stored access policies of the container (at most 5)")]
+    public IList<StoredAccessPolicyDTO> StoredAccessPolicies { get; set; } = [];
+}
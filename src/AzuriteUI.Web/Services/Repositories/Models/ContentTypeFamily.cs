@@ -0,0 +1,47 @@
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A family of content types that the storage analytics are broken down by.
+/// </summary>
+public class ContentTypeFamily
+{
+    /// <summary>
+    /// The content type families, in the order they are charted.  Every blob belongs to exactly one
+    /// family; the last family holds the blobs that do not match any of the others.
+    /// </summary>
+    public static IReadOnlyList<ContentTypeFamily> All { get; } =
+    [
+        new() { Key = "image", Label = "Images", ContentType = "image/" },
+        new() { Key = "text", Label = "Text", ContentType = "text/" },
+        new() { Key = "video", Label = "Video", ContentType = "video/" },
+        new() { Key = "audio", Label = "Audio", ContentType = "audio/" },
+        new() { Key = "json", Label = "JSON", ContentType = "application/json" },
+        new() { Key = "pdf", Label = "PDF", ContentType = "application/pdf" },
+        new() { Key = "binary", Label = "Binary", ContentType = "application/octet-stream" },
+        new() { Key = "other", Label = "Other", ContentType = null }
+    ];
+
+    /// <summary>
+    /// The key used to select the family in the API.
+    /// </summary>
+    public required string Key { get; init; }
+
+    /// <summary>
+    /// The name of the family, for display.
+    /// </summary>
+    public required string Label { get; init; }
+
+    /// <summary>
+    /// The content type that the family matches.  A value ending in '/' matches every subtype; null
+    /// matches every content type that is not in another family.
+    /// </summary>
+    public string? ContentType { get; init; }
+
+    /// <summary>
+    /// Finds a content type family by its key.
+    /// </summary>
+    /// <param name="key">The key of the family.</param>
+    /// <returns>The family, or null if there is no family with that key.</returns>
+    public static ContentTypeFamily? Find(string? key)
+        => All.FirstOrDefault(family => family.Key.Equals(key, StringComparison.OrdinalIgnoreCase));
+}
@@ -0,0 +1,27 @@
+using System.ComponentModel;
+
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A data transfer object describing where to copy (or move) a blob to.
+/// </summary>
+public class CopyBlobDTO
+{
+    /// <summary>
+    /// The name of the container to copy the blob to.  If empty, the blob is copied within its own container.
+    /// </summary>
+    [property: Description("The name of the container to copy the blob to (default: the same container)")]
+    public string DestinationContainerName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The name of the copy.  If empty, the copy has the same name as the source blob.
+    /// </summary>
+    [property: Description("The name of the copy (default: the same name)")]
+    public string DestinationBlobName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// If true, an existing blob with the destination name is replaced.
+    /// </summary>
+    [property: Description("If true, an existing blob with the destination name is replaced")]
+    public bool Overwrite { get; set; } = false;
+}
@@ -0,0 +1,24 @@
+using System.ComponentModel;
+using System.ComponentModel.DataAnnotations;
+
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A data transfer object for creating a queue in Azurite.
+/// Contains only the settable fields.
+/// </summary>
+public class CreateQueueDTO
+{
+    /// <summary>
+    /// The name of the queue to create.
+    /// </summary>
+    [property: Required]
+    [property: Description("The name of the queue to create")]
+    public required string QueueName { get; set; }
+
+    /// <summary>
+    /// The metadata for the queue.
+    /// </summary>
+    [property: Description("The metadata (key-value pairs) for the queue")]
+    public IDictionary<string, string> Metadata { get; set; } = new Dictionary<string, string>();
+}
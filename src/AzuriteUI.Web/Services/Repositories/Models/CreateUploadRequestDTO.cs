@@ -1,5 +1,6 @@
 using System.ComponentModel;
 using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
 
 namespace AzuriteUI.Web.Services.Repositories.Models;
 
@@ -59,4 +60,11 @@ public class CreateUploadRequestDTO
     /// </summary>
     [property: Description("The tags (key-value pairs) to be applied to the blob upon commit")]
     public IDictionary<string, string> Tags { get; set; } = new Dictionary<string, string>();
+
+    /// <summary>
+    /// The ETag that an existing blob must have.  When set, the upload replaces the existing blob instead of
+    /// requiring that the blob does not exist.  This is taken from the <c>If-Match</c> request header.
+    /// </summary>
+    [JsonIgnore]
+    public string? IfMatch { get; set; }
 }
@@ -0,0 +1,25 @@
+using System.ComponentModel;
+
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A data transfer object for requesting a ZIP archive of blobs within a container.
+/// </summary>
+/// <remarks>
+/// When blob names are provided, the archive contains those blobs; otherwise, it contains
+/// every blob whose name starts with the prefix (or the whole container when there is no prefix).
+/// </remarks>
+public class DownloadArchiveRequestDTO
+{
+    /// <summary>
+    /// The names of the blobs to include in the archive.
+    /// </summary>
+    [property: Description("The names of the blobs to include in the archive")]
+    public IList<string>? BlobNames { get; set; }
+
+    /// <summary>
+    /// The prefix (virtual folder) of the blobs to include in the archive, when no blob names are provided.
+    /// </summary>
+    [property: Description("The prefix (virtual folder) of the blobs to include in the archive, when no blob names are provided")]
+    public string? Prefix { get; set; }
+}
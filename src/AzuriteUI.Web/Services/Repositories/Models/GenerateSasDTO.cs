@@ -0,0 +1,46 @@
+using System.ComponentModel;
+
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A data transfer object describing the shared access signature (SAS) to generate for a container or blob.
+/// </summary>
+public class GenerateSasDTO
+{
+    /// <summary>
+    /// The permissions to grant, as SAS permission characters (e.g. <c>rl</c> for read and list).  May be
+    /// empty if a stored access policy provides the permissions.
+    /// </summary>
+    [property: Description("The permissions to grant as SAS permission characters, e.g. 'rl' (r=read, a=add, c=create, w=write, d=delete, x=delete version, l=list, t=tags)")]
+    public string Permissions { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The date/time at which the SAS becomes valid.  If not set, the SAS is valid straight away.
+    /// </summary>
+    [property: Description("The date/time at which the SAS becomes valid (default: immediately)")]
+    public DateTimeOffset? StartsOn { get; set; }
+
+    /// <summary>
+    /// The date/time at which the SAS expires.  May be empty if a stored access policy provides the expiry time.
+    /// </summary>
+    [property: Description("The date/time at which the SAS expires")]
+    public DateTimeOffset? ExpiresOn { get; set; }
+
+    /// <summary>
+    /// The IP address, or range of IP addresses, from which requests are accepted.
+    /// </summary>
+    [property: Description("The IP address (e.g. '10.0.0.1') or range (e.g. '10.0.0.1-10.0.0.255') from which requests are accepted (default: any)")]
+    public string IPRange { get; set; } = string.Empty;
+
+    /// <summary>
+    /// If true, the SAS may only be used over HTTPS.
+    /// </summary>
+    [property: Description("If true, the SAS may only be used over HTTPS (default: HTTP and HTTPS)")]
+    public bool HttpsOnly { get; set; } = false;
+
+    /// <summary>
+    /// The identifier of a stored access policy on the container to link the SAS to.
+    /// </summary>
+    [property: Description("The identifier of a stored access policy on the container to link the SAS to (default: none)")]
+    public string StoredAccessPolicy { get; set; } = string.Empty;
+}
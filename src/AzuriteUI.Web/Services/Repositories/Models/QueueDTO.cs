@@ -0,0 +1,29 @@
+using System.ComponentModel;
+using System.ComponentModel.DataAnnotations;
+
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A data transfer object representing a queue in Azurite.
+/// </summary>
+public class QueueDTO
+{
+    /// <summary>
+    /// The name of the queue.
+    /// </summary>
+    [property: Required]
+    [property: Description("The name of the queue")]
+    public required string Name { get; set; }
+
+    /// <summary>
+    /// The approximate number of messages in the queue.
+    /// </summary>
+    [property: Description("The approximate number of messages in the queue (including messages that are not visible)")]
+    public int ApproximateMessagesCount { get; set; } = 0;
+
+    /// <summary>
+    /// The metadata for the queue.
+    /// </summary>
+    [property: Description("The metadata (key-value pairs) for the queue")]
+    public IDictionary<string, string> Metadata { get; set; } = new Dictionary<string, string>();
+}
@@ -0,0 +1,53 @@
+using System.ComponentModel;
+using System.ComponentModel.DataAnnotations;
+
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A data transfer object representing a message in an Azurite queue.
+/// </summary>
+public class QueueMessageDTO
+{
+    /// <summary>
+    /// The identifier of the message.
+    /// </summary>
+    [property: Required]
+    [property: Description("The identifier of the message")]
+    public required string MessageId { get; set; }
+
+    /// <summary>
+    /// The pop receipt that is needed to update or delete the message.
+    /// </summary>
+    [property: Description("The pop receipt needed to update or delete the message; not set for peeked messages")]
+    public string? PopReceipt { get; set; }
+
+    /// <summary>
+    /// The body of the message, exactly as it is stored.
+    /// </summary>
+    [property: Description("The body of the message, exactly as it is stored (base64 encoded bodies are not decoded)")]
+    public string MessageText { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The number of times the message has been received.
+    /// </summary>
+    [property: Description("The number of times the message has been received (dequeued)")]
+    public long DequeueCount { get; set; } = 0L;
+
+    /// <summary>
+    /// The date/time that the message was added to the queue.
+    /// </summary>
+    [property: Description("The date/time that the message was added to the queue")]
+    public DateTimeOffset? InsertedOn { get; set; }
+
+    /// <summary>
+    /// The date/time that the message expires.
+    /// </summary>
+    [property: Description("The date/time that the message expires and is removed from the queue")]
+    public DateTimeOffset? ExpiresOn { get; set; }
+
+    /// <summary>
+    /// The date/time that the message becomes visible again.
+    /// </summary>
+    [property: Description("The date/time that the message becomes visible again; only set for received, sent, or updated messages")]
+    public DateTimeOffset? NextVisibleOn { get; set; }
+}
@@ -0,0 +1,43 @@
+using System.ComponentModel;
+using System.ComponentModel.DataAnnotations;
+
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A data transfer object holding a generated shared access signature (SAS).
+/// </summary>
+public class SasDTO
+{
+    /// <summary>
+    /// The URL of the container or blob, including the SAS.
+    /// </summary>
+    [property: Required]
+    [property: Description("The URL of the container or blob, including the SAS")]
+    public required string Url { get; set; }
+
+    /// <summary>
+    /// The SAS query string, without the leading '?'.
+    /// </summary>
+    [property: Required]
+    [property: Description("The SAS query string, without the leading '?'")]
+    public required string Token { get; set; }
+
+    /// <summary>
+    /// A connection string for the blob service that uses the SAS in place of the account key.
+    /// </summary>
+    [property: Required]
+    [property: Description("A connection string for the blob service that uses the SAS in place of the account key")]
+    public required string ConnectionString { get; set; }
+
+    /// <summary>
+    /// The permissions granted by the SAS, in their canonical order.
+    /// </summary>
+    [property: Description("The permissions granted by the SAS, in their canonical order")]
+    public string Permissions { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The date/time at which the SAS expires, unless this is set by a stored access policy.
+    /// </summary>
+    [property: Description("The date/time at which the SAS expires, unless this is set by a stored access policy")]
+    public DateTimeOffset? ExpiresOn { get; set; }
+}
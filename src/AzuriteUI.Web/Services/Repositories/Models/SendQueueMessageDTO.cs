@@ -0,0 +1,27 @@
+using System.ComponentModel;
+
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A data transfer object for sending (enqueuing) a message to a queue in Azurite.
+/// </summary>
+public class SendQueueMessageDTO
+{
+    /// <summary>
+    /// The body of the message.
+    /// </summary>
+    [property: Description("The body of the message (up to 64 KiB)")]
+    public string MessageText { get; set; } = string.Empty;
+
+    /// <summary>
+    /// How long the message is hidden for after it is sent, in seconds.
+    /// </summary>
+    [property: Description("How long the message is hidden for after it is sent, in seconds (default: 0, visible straight away)")]
+    public int VisibilityTimeout { get; set; } = 0;
+
+    /// <summary>
+    /// How long the message lives for, in seconds.  If not set, the message lives for seven days.
+    /// </summary>
+    [property: Description("How long the message lives for, in seconds; -1 means the message never expires (default: 7 days)")]
+    public int? TimeToLive { get; set; }
+}
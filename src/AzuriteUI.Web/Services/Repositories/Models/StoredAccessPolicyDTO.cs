@@ -0,0 +1,38 @@
+using System.ComponentModel;
+using System.ComponentModel.DataAnnotations;
+
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A data transfer object representing a stored access policy (signed identifier) on a container.  A SAS
+/// that is linked to the policy takes any permissions and validity window that it does not set itself
+/// from the policy, and can be revoked by changing or removing the policy.
+/// </summary>
+public class StoredAccessPolicyDTO
+{
+    /// <summary>
+    /// The identifier of the policy.
+    /// </summary>
+    [property: Required]
+    [property: Description("The identifier of the policy (1 to 64 characters, unique within the container)")]
+    public required string Id { get; set; }
+
+    /// <summary>
+    /// The permissions granted by the policy, as SAS permission characters.  May be empty, in which case
+    /// each SAS linked to the policy must provide its own permissions.
+    /// </summary>
+    [property: Description("The permissions granted by the policy as SAS permission characters, e.g. 'rl' (r=read, a=add, c=create, w=write, d=delete, x=delete version, l=list, t=tags)")]
+    public string Permissions { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The date/time at which the policy becomes valid.
+    /// </summary>
+    [property: Description("The date/time at which the policy becomes valid (default: set by each SAS)")]
+    public DateTimeOffset? StartsOn { get; set; }
+
+    /// <summary>
+    /// The date/time at which the policy expires.
+    /// </summary>
+    [property: Description("The date/time at which the policy expires (default: set by each SAS)")]
+    public DateTimeOffset? ExpiresOn { get; set; }
+}
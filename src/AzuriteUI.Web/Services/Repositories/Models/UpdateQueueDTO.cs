@@ -0,0 +1,22 @@
+using System.ComponentModel;
+
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A data transfer object for updating a queue in Azurite.
+/// Contains only the settable fields.
+/// </summary>
+public class UpdateQueueDTO
+{
+    /// <summary>
+    /// The name of the queue to update.
+    /// </summary>
+    [property: Description("The name of the queue to update")]
+    public string QueueName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The metadata for the queue.
+    /// </summary>
+    [property: Description("The metadata (key-value pairs) for the queue")]
+    public IDictionary<string, string> Metadata { get; set; } = new Dictionary<string, string>();
+}
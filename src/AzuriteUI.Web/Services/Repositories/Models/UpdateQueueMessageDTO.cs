@@ -0,0 +1,29 @@
+using System.ComponentModel;
+using System.ComponentModel.DataAnnotations;
+
+namespace AzuriteUI.Web.Services.Repositories.Models;
+
+/// <summary>
+/// A data transfer object for updating a message that has been received from a queue in Azurite.
+/// </summary>
+public class UpdateQueueMessageDTO
+{
+    /// <summary>
+    /// The pop receipt from when the message was last received or updated.
+    /// </summary>
+    [property: Required]
+    [property: Description("The pop receipt from when the message was last received or updated")]
+    public required string PopReceipt { get; set; }
+
+    /// <summary>
+    /// The new body of the message.
+    /// </summary>
+    [property: Description("The new body of the message (up to 64 KiB)")]
+    public string MessageText { get; set; } = string.Empty;
+
+    /// <summary>
+    /// How long the message is hidden for from now, in seconds.
+    /// </summary>
+    [property: Description("How long the message is hidden for from now, in seconds (default: 0, visible straight away)")]
+    public int VisibilityTimeout { get; set; } = 0;
+}
@@ -30,6 +30,12 @@ public class UploadDTO
     [property: Description("The name of the container where the blob will be created")]
     public required string ContainerName { get; set; }
 
+    /// <summary>
+    /// The date/time the upload session was created.
+    /// </summary>
+    [property: Description("The date/time the upload session was created")]
+    public DateTimeOffset CreatedAt { get; set; }
+
     /// <summary>
     /// The date/time of the last activity (upload, status check, etc.).
     /// </summary>
@@ -1,4 +1,5 @@
 using AzuriteUI.Web.Controllers.Models;
+using AzuriteUI.Web.Extensions;
 using AzuriteUI.Web.Services.Azurite;
 using AzuriteUI.Web.Services.Azurite.Exceptions;
 using AzuriteUI.Web.Services.Azurite.Models;
@@ -6,6 +7,12 @@ using AzuriteUI.Web.Services.CacheDb;
 using AzuriteUI.Web.Services.CacheDb.Models;
 using AzuriteUI.Web.Services.Repositories.Models;
 using Microsoft.EntityFrameworkCore;
+using System.Globalization;
+using System.IO.Compression;
+using System.Net;
+using System.Net.Sockets;
+using System.Security.Cryptography;
+using System.Text;
 using System.Text.Json;
 
 namespace AzuriteUI.Web.Services.Repositories;
@@ -47,6 +54,7 @@ public class StorageRepository(
             ContentEncoding = blob.ContentEncoding,
             ContentLanguage = blob.ContentLanguage,
             ContentLength = blob.ContentLength,
+            ContentMD5 = blob.ContentMD5,
             ContentType = blob.ContentType,
             CreatedOn = blob.CreatedOn,
             ExpiresOn = blob.ExpiresOn,
@@ -58,6 +66,45 @@ public class StorageRepository(
         });
     }
 
+    /// <summary>
+    /// Copies a blob to a new name or another container in Azurite, and adds the copy to the cache.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob to copy.</param>
+    /// <param name="blobName">The name of the blob to copy.</param>
+    /// <param name="dto">Where to copy the blob to.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The copied blob DTO.</returns>
+    public async Task<BlobDTO> CopyBlobAsync(string containerName, string blobName, CopyBlobDTO dto, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("CopyBlobAsync('{containerName}', '{blobName}', {dto}) called", containerName, blobName, JsonSerializer.Serialize(dto));
+        ValidateContainerName(containerName);
+        ValidateBlobName(blobName);
+
+        string destinationContainerName = dto.DestinationContainerName.OrDefault(containerName);
+        string destinationBlobName = dto.DestinationBlobName.OrDefault(blobName);
+        ValidateContainerName(destinationContainerName);
+        ValidateBlobName(destinationBlobName);
+
+        if (destinationContainerName == containerName && destinationBlobName == blobName)
+        {
+            throw new AzuriteServiceException("The destination must be different from the source blob.")
+            {
+                StatusCode = StatusCodes.Status400BadRequest
+            };
+        }
+
+        var destinationExists = await context.Containers.AnyAsync(c => c.Name == destinationContainerName, cancellationToken);
+        if (!destinationExists)
+        {
+            throw new ResourceNotFoundException($"Container '{destinationContainerName}' not found.") { ResourceName = destinationContainerName };
+        }
+
+        var copiedBlob = await azurite.CopyBlobAsync(containerName, blobName, destinationContainerName, destinationBlobName, dto.Overwrite, cancellationToken);
+        await context.UpsertBlobAsync(copiedBlob, destinationContainerName, cancellationToken);
+        // Single is ok here because we've done an Upsert on the database.
+        return await Blobs.SingleAsync(b => b.ContainerName == destinationContainerName && b.Name == destinationBlobName, cancellationToken);
+    }
+
     /// <summary>
     /// Deletes a blob from Azurite and removes it from the cache.
     /// </summary>
@@ -82,6 +129,24 @@ public class StorageRepository(
         }
     }
 
+    /// <summary>
+    /// Finds the names of the blobs in a container whose metadata and tags contain every one of the given
+    /// key/value pairs.  Keys are compared case-insensitively; values must match exactly.
+    /// </summary>
+    /// <param name="containerName">The name of the container to search.</param>
+    /// <param name="metadata">The key/value pairs that must be present in the metadata.</param>
+    /// <param name="tags">The key/value pairs that must be present in the tags.</param>
+    /// <returns>A database query for the names of the matching blobs.</returns>
+    public IQueryable<string> FindBlobNames(string containerName, IList<KeyValuePair<string, string>> metadata, IList<KeyValuePair<string, string>> tags)
+    {
+        logger.LogDebug("FindBlobNames('{containerName}', {metadata}, {tags}) called", containerName, JsonSerializer.Serialize(metadata), JsonSerializer.Serialize(tags));
+        List<object> parameters = [containerName];
+        string sql = "SELECT * FROM \"Blobs\" WHERE \"ContainerName\" = {0}"
+            + BuildKeyValueConditions("Metadata", metadata, parameters)
+            + BuildKeyValueConditions("Tags", tags, parameters);
+        return context.Blobs.FromSqlRaw(sql, [.. parameters]).Select(blob => blob.Name);
+    }
+
     /// <summary>
     /// Retrieves the <see cref="BlobDTO"/> for the specified container and blob name.
     /// </summary>
@@ -97,6 +162,23 @@ public class StorageRepository(
         return await Blobs.FirstOrDefaultAsync(b => b.ContainerName == containerName && b.Name == blobName, cancellationToken);
     }
 
+    /// <summary>
+    /// Moves (or renames) a blob by copying it to the new name or container and then deleting the original.
+    /// The cache is updated with both changes.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob to move.</param>
+    /// <param name="blobName">The name of the blob to move.</param>
+    /// <param name="dto">Where to move the blob to.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The moved blob DTO.</returns>
+    public async Task<BlobDTO> MoveBlobAsync(string containerName, string blobName, CopyBlobDTO dto, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("MoveBlobAsync('{containerName}', '{blobName}', {dto}) called", containerName, blobName, JsonSerializer.Serialize(dto));
+        BlobDTO movedBlob = await CopyBlobAsync(containerName, blobName, dto, cancellationToken);
+        await DeleteBlobAsync(containerName, blobName, cancellationToken);
+        return movedBlob;
+    }
+
     /// <summary>
     /// Updates an existing blob in Azurite and updates the cache.
     /// </summary>
@@ -120,6 +202,115 @@ public class StorageRepository(
     }
     #endregion
 
+    #region Blob Snapshots
+    /// <summary>
+    /// Creates a read-only snapshot of a blob in Azurite.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The new snapshot.</returns>
+    public async Task<BlobSnapshotDTO> CreateBlobSnapshotAsync(string containerName, string blobName, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("CreateBlobSnapshotAsync('{containerName}', '{blobName}') called", containerName, blobName);
+        ValidateContainerName(containerName);
+        ValidateBlobName(blobName);
+
+        var snapshot = await azurite.CreateBlobSnapshotAsync(containerName, blobName, cancellationToken);
+        return ToBlobSnapshotDTO(snapshot, containerName);
+    }
+
+    /// <summary>
+    /// Downloads (a range of) a snapshot of a blob from Azurite.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="snapshot">The timestamp that identifies the snapshot.</param>
+    /// <param name="httpRange">The HTTP range to download.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The downloaded snapshot.</returns>
+    public async Task<BlobDownloadDTO> DownloadBlobSnapshotAsync(string containerName, string blobName, string snapshot, string? httpRange = null, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("DownloadBlobSnapshotAsync('{containerName}', '{blobName}', '{snapshot}', '{httpRange}') called", containerName, blobName, snapshot, httpRange);
+
+        var snapshots = await GetBlobSnapshotsAsync(containerName, blobName, cancellationToken);
+        var snapshotInfo = snapshots.FirstOrDefault(s => s.Snapshot == snapshot)
+            ?? throw new ResourceNotFoundException($"Snapshot '{snapshot}' of blob '{blobName}' in container '{containerName}' not found.") { ResourceName = $"{containerName}/{blobName}?snapshot={snapshot}" };
+        var azuriteResult = await azurite.DownloadBlobSnapshotAsync(containerName, blobName, snapshot, httpRange, cancellationToken);
+
+        var result = new BlobDownloadDTO
+        {
+            Name = blobName,
+            ContainerName = containerName,
+            Content = azuriteResult.Content,
+            ContentLength = snapshotInfo.ContentLength,
+            ContentRange = azuriteResult.ContentRange,
+            ContentType = snapshotInfo.ContentType,
+            ETag = snapshotInfo.ETag,
+            LastModified = snapshotInfo.LastModified,
+            StatusCode = azuriteResult.StatusCode
+        };
+
+        if (azuriteResult.IsSuccess)
+        {
+            return result;
+        }
+
+        DisposeDownloadStream(result);
+        throw new AzuriteServiceException($"Failed to download snapshot '{snapshot}' of blob '{blobName}' from container '{containerName}'.")
+        {
+            StatusCode = azuriteResult.StatusCode
+        };
+    }
+
+    /// <summary>
+    /// Lists the snapshots of a blob, newest first.  Snapshots are not cached, so they are always read from Azurite.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The snapshots of the blob.</returns>
+    public async Task<IList<BlobSnapshotDTO>> GetBlobSnapshotsAsync(string containerName, string blobName, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("GetBlobSnapshotsAsync('{containerName}', '{blobName}') called", containerName, blobName);
+        ValidateContainerName(containerName);
+        ValidateBlobName(blobName);
+
+        List<BlobSnapshotDTO> snapshots = [];
+        await foreach (var snapshot in azurite.GetBlobSnapshotsAsync(containerName, blobName, cancellationToken))
+        {
+            snapshots.Add(ToBlobSnapshotDTO(snapshot, containerName));
+        }
+        return [.. snapshots.OrderByDescending(s => s.SnapshotTime)];
+    }
+
+    /// <summary>
+    /// Restores a blob from one of its snapshots, and updates the cache.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="snapshot">The timestamp that identifies the snapshot to promote.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The restored blob.</returns>
+    public async Task<BlobDTO> PromoteBlobSnapshotAsync(string containerName, string blobName, string snapshot, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("PromoteBlobSnapshotAsync('{containerName}', '{blobName}', '{snapshot}') called", containerName, blobName, snapshot);
+        ValidateContainerName(containerName);
+        ValidateBlobName(blobName);
+
+        var snapshots = await GetBlobSnapshotsAsync(containerName, blobName, cancellationToken);
+        if (!snapshots.Any(s => s.Snapshot == snapshot))
+        {
+            throw new ResourceNotFoundException($"Snapshot '{snapshot}' of blob '{blobName}' in container '{containerName}' not found.") { ResourceName = $"{containerName}/{blobName}?snapshot={snapshot}" };
+        }
+
+        var restoredBlob = await azurite.PromoteBlobSnapshotAsync(containerName, blobName, snapshot, cancellationToken);
+        await context.UpsertBlobAsync(restoredBlob, containerName, cancellationToken);
+        // Single is ok here because we've done an Upsert on the database.
+        return await Blobs.SingleAsync(b => b.ContainerName == containerName && b.Name == blobName, cancellationToken);
+    }
+    #endregion
+
     #region Container Access
     /// <summary>
     /// A queryable collection of container DTOs.
@@ -193,6 +384,38 @@ public class StorageRepository(
         }
     }
 
+    /// <summary>
+    /// Finds the names of the containers whose metadata contains every one of the given key/value pairs.
+    /// Keys are compared case-insensitively; values must match exactly.
+    /// </summary>
+    /// <param name="metadata">The key/value pairs that must be present in the metadata.</param>
+    /// <returns>A database query for the names of the matching containers.</returns>
+    public IQueryable<string> FindContainerNames(IList<KeyValuePair<string, string>> metadata)
+    {
+        logger.LogDebug("FindContainerNames({metadata}) called", JsonSerializer.Serialize(metadata));
+        List<object> parameters = [];
+        string sql = "SELECT * FROM \"Containers\" WHERE 1 = 1" + BuildKeyValueConditions("Metadata", metadata, parameters);
+        return context.Containers.FromSqlRaw(sql, [.. parameters]).Select(container => container.Name);
+    }
+
+    /// <summary>
+    /// Retrieves the access policy (public access level and stored access policies) of a container from Azurite.
+    /// </summary>
+    /// <remarks>
+    /// Stored access policies are not cached, so this always reads from Azurite.
+    /// </remarks>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The access policy of the container.</returns>
+    public async Task<ContainerAccessPolicyDTO> GetContainerAccessPolicyAsync(string containerName, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("GetContainerAccessPolicyAsync('{containerName}') called", containerName);
+        ValidateContainerName(containerName);
+
+        var accessPolicy = await azurite.GetContainerAccessPolicyAsync(containerName, cancellationToken);
+        return ToContainerAccessPolicyDTO(accessPolicy);
+    }
+
     /// <summary>
     /// Retrieves the <see cref="ContainerDTO"/> for the specified container name.
     /// </summary>
@@ -227,6 +450,28 @@ public class StorageRepository(
         // Single is ok here because we've done an Upsert on the database.
         return await Containers.SingleAsync(c => c.Name == dto.ContainerName, cancellationToken);
     }
+
+    /// <summary>
+    /// Replaces the access policy (public access level and stored access policies) of a container in Azurite
+    /// and updates the cache.
+    /// </summary>
+    /// <param name="containerName">The name of the container to update.</param>
+    /// <param name="dto">The new access policy.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The updated container DTO.</returns>
+    /// <exception cref="AzuriteServiceException">Thrown if the access policy is not valid.</exception>
+    public async Task<ContainerDTO> UpdateContainerAccessPolicyAsync(string containerName, ContainerAccessPolicyDTO dto, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("UpdateContainerAccessPolicyAsync('{containerName}', {accessPolicy}) called", containerName, JsonSerializer.Serialize(dto));
+        ValidateContainerName(containerName);
+
+        var accessPolicy = ToAzuriteAccessPolicy(dto);
+        var azuriteContainer = await azurite.SetContainerAccessPolicyAsync(containerName, accessPolicy, cancellationToken);
+        await context.UpsertContainerAsync(azuriteContainer, cancellationToken);
+
+        // Single is ok here because we've done an Upsert on the database.
+        return await Containers.SingleAsync(c => c.Name == containerName, cancellationToken);
+    }
     #endregion
     
     #region Dashboard
@@ -306,159 +551,624 @@ public class StorageRepository(
             RecentBlobs = recentBlobs
         };
     }
-    #endregion
 
-    #region Upload and Download
     /// <summary>
-    /// The queryable collection of upload sessions.
+    /// Retrieves the number and size of the blobs in each container, largest first.
     /// </summary>
-    public IQueryable<UploadDTO> Uploads
+    /// <param name="family">If set, only the blobs in this content type family are counted.</param>
+    /// <param name="age">If set, only the blobs in this age bucket are counted.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The usage of each container that has matching blobs.</returns>
+    public async Task<IList<StorageUsageInfo>> GetContainerUsageAsync(ContentTypeFamily? family = null, AgeBucket? age = null, CancellationToken cancellationToken = default)
     {
-        get => context.Uploads.Select(upload => new UploadDTO
-        {
-            Id = upload.UploadId,
-            ContainerName = upload.ContainerName,
-            Name = upload.BlobName,
-            LastActivityAt = upload.LastActivityAt,
-            Progress = upload.ContentLength > 0
-                ? (upload.Blocks.Sum(b => b.BlockSize) / (double)upload.ContentLength) * 100.0
-                : 0.0
-        });
+        logger.LogDebug("GetContainerUsageAsync({Family}, {Age}) called", family?.Key, age?.Key);
+
+        var blobs = WhereAge(WhereFamily(context.Blobs, family), age, DateTimeOffset.UtcNow);
+        return await blobs
+            .GroupBy(b => b.ContainerName)
+            .Select(g => new StorageUsageInfo
+            {
+                Key = g.Key,
+                Label = g.Key,
+                BlobCount = g.Count(),
+                TotalSize = g.Sum(b => b.ContentLength)
+            })
+            .OrderByDescending(x => x.TotalSize)
+            .ThenBy(x => x.Key)
+            .ToListAsync(cancellationToken);
     }
 
     /// <summary>
-    /// Initiates a download of the specified blob from Azurite.
+    /// Retrieves the number and size of the blobs in each content type family.
     /// </summary>
-    /// <remarks>
-    /// This method streams the blob data directly from Azurite to avoid loading large blobs into memory.  Since we
-    /// do HTTP range requests, the BlobDownloadDTO can return a status code indicating partial content or full
-    /// content or content range cannot be satisfied or not found.
-    /// </remarks>
-    /// <param name="containerName">The name of the container.</param>
-    /// <param name="blobName">The name of the blob to download.</param>
-    /// <param name="httpRange">The HTTP range to download.</param>
+    /// <param name="age">If set, only the blobs in this age bucket are counted.</param>
     /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
-    /// <returns>A task that represents the asynchronous download operation. The result contains the downloaded blob DTO, or null if not found.</returns>
-    public async Task<BlobDownloadDTO> DownloadBlobAsync(string containerName, string blobName, string? httpRange = null, CancellationToken cancellationToken = default)
+    /// <returns>The usage of each content type family, in the order of <see cref="ContentTypeFamily.All"/>.</returns>
+    public async Task<IList<StorageUsageInfo>> GetContentTypeUsageAsync(AgeBucket? age = null, CancellationToken cancellationToken = default)
     {
-        logger.LogDebug("DownloadBlobAsync('{containerName}', '{blobName}', '{httpRange}') called", containerName, blobName, httpRange);
-
-        var blobInfo = await GetBlobAsync(containerName, blobName, cancellationToken)
-            ?? throw new ResourceNotFoundException($"Blob '{blobName}' in container '{containerName}' not found.") { ResourceName = $"{containerName}/{blobName}" };
-        var azuriteResult = await azurite.DownloadBlobAsync(containerName, blobName, httpRange, cancellationToken);
-
-        var result = new BlobDownloadDTO
-        {
-            Name = blobName,
-            ContainerName = containerName,
-            Content = azuriteResult.Content,
-            ContentEncoding = blobInfo.ContentEncoding,
-            ContentLanguage = blobInfo.ContentLanguage,
-            ContentLength = blobInfo.ContentLength,
-            ContentRange = azuriteResult.ContentRange,
-            ContentType = blobInfo.ContentType,
-            ETag = blobInfo.ETag,
-            LastModified = blobInfo.LastModified,
-            StatusCode = azuriteResult.StatusCode
-        };
+        logger.LogDebug("GetContentTypeUsageAsync({Age}) called", age?.Key);
 
-        if (azuriteResult.IsSuccess)
+        var blobs = WhereAge(context.Blobs, age, DateTimeOffset.UtcNow);
+        var result = new List<StorageUsageInfo>();
+        foreach (var family in ContentTypeFamily.All)
         {
-            return result;
+            var (blobCount, totalSize) = await GetCountAndSizeAsync(WhereFamily(blobs, family), cancellationToken);
+            result.Add(new StorageUsageInfo
+            {
+                Key = family.Key,
+                Label = family.Label,
+                BlobCount = blobCount,
+                TotalSize = totalSize,
+                ContentType = family.ContentType
+            });
         }
-
-        DisposeDownloadStream(result);
-        throw new AzuriteServiceException($"Failed to download blob '{blobName}' from container '{containerName}'.")
-        {
-            StatusCode = azuriteResult.StatusCode
-        };
+        return result;
     }
 
     /// <summary>
-    /// Cancels an upload session and deletes all associated blocks.
+    /// Retrieves the number and size of the blobs in each age bucket.
     /// </summary>
-    /// <param name="uploadId">The unique identifier of the upload session.</param>
+    /// <param name="family">If set, only the blobs in this content type family are counted.</param>
     /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
-    /// <returns>A task that completes when the upload is cancelled.</returns>
-    public async Task CancelUploadAsync(Guid uploadId, CancellationToken cancellationToken = default)
+    /// <returns>The usage of each age bucket, in the order of <see cref="AgeBucket.All"/>.</returns>
+    public async Task<IList<StorageUsageInfo>> GetAgeUsageAsync(ContentTypeFamily? family = null, CancellationToken cancellationToken = default)
     {
-        logger.LogDebug("CancelUploadAsync('{uploadId}') called", uploadId);
-        var upload = await context.Uploads.FirstOrDefaultAsync(u => u.UploadId == uploadId, cancellationToken);
-        if (upload is null)
+        logger.LogDebug("GetAgeUsageAsync({Family}) called", family?.Key);
+
+        var now = DateTimeOffset.UtcNow;
+        var blobs = WhereFamily(context.Blobs, family);
+        var result = new List<StorageUsageInfo>();
+        foreach (var bucket in AgeBucket.All)
         {
-            logger.LogDebug("Upload session '{uploadId}' not found; nothing to cancel", uploadId);
-            return;
+            var (blobCount, totalSize) = await GetCountAndSizeAsync(WhereAge(blobs, bucket, now), cancellationToken);
+            result.Add(new StorageUsageInfo
+            {
+                Key = bucket.Key,
+                Label = bucket.Label,
+                BlobCount = blobCount,
+                TotalSize = totalSize,
+                From = bucket.GetFrom(now),
+                To = bucket.GetTo(now)
+            });
         }
-
-        context.Uploads.Remove(upload);
-        await context.SaveChangesAsync(cancellationToken);
-        logger.LogInformation("Cancelled upload session '{uploadId}' for blob '{blobName}' in container '{containerName}'", uploadId, upload.BlobName, upload.ContainerName);
+        return result;
     }
 
     /// <summary>
-    /// Commits an upload session by assembling the blocks into a blob.
+    /// Retrieves the largest blobs, largest first.
     /// </summary>
-    /// <param name="uploadId">The unique identifier of the upload session.</param>
-    /// <param name="blockIds">The ordered list of blocks to commit.</param>
+    /// <param name="top">The number of blobs to retrieve.</param>
+    /// <param name="family">If set, only the blobs in this content type family are considered.</param>
+    /// <param name="age">If set, only the blobs in this age bucket are considered.</param>
     /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
-    /// <returns>The created blob DTO.</returns>
-    public async Task<BlobDTO> CommitUploadAsync(Guid uploadId, IEnumerable<string> blockIds, CancellationToken cancellationToken = default)
+    /// <returns>The largest blobs.</returns>
+    public async Task<IList<RecentBlobInfo>> GetLargestBlobsAsync(int top, ContentTypeFamily? family = null, AgeBucket? age = null, CancellationToken cancellationToken = default)
     {
-        var blockList = blockIds.ToList(); // This ensures the block list is enumerated only once.
-        logger.LogDebug("CommitUploadAsync('{uploadId}', '{blockList}') called", uploadId, JsonSerializer.Serialize(blockList));
-
-        // Get the upload session with its blocks
-        var upload = await context.Uploads.Include(u => u.Blocks).FirstOrDefaultAsync(u => u.UploadId == uploadId, cancellationToken)
-            ?? throw new ResourceNotFoundException($"Upload session '{uploadId}' not found.") { ResourceName = uploadId.ToString() };
+        logger.LogDebug("GetLargestBlobsAsync({Top}, {Family}, {Age}) called", top, family?.Key, age?.Key);
 
-        // Validate that all blocks in the block list have been uploaded.
-        var uploadedBlockIds = upload.Blocks.Select(b => b.BlockId).ToHashSet();
-        var missingBlocks = blockList.Where(blockId => !uploadedBlockIds.Contains(blockId)).ToList();
-        if (missingBlocks.Count > 0)
-        {
-            throw new AzuriteServiceException($"Cannot commit upload session '{uploadId}': missing blocks: {string.Join(", ", missingBlocks)}")
+        return await WhereAge(WhereFamily(context.Blobs, family), age, DateTimeOffset.UtcNow)
+            .OrderByDescending(b => b.ContentLength)
+            .ThenBy(b => b.ContainerName)
+            .ThenBy(b => b.Name)
+            .Take(top)
+            .Select(b => new RecentBlobInfo
             {
-                StatusCode = StatusCodes.Status400BadRequest
-            };
-        }
-
-        // Commit the upload to Azurite, returning an AzuriteBlobItem
-        var properties = new AzuriteBlobProperties
-        {
-            ContentEncoding = upload.ContentEncoding,
-            ContentLanguage = upload.ContentLanguage,
-            ContentType = upload.ContentType,
-            Metadata = upload.Metadata,
-            Tags = upload.Tags
-        };
-        var commitResult = await azurite.UploadCommitAsync(
-            upload.ContainerName,
-            upload.BlobName,
-            blockList,
-            properties,
-            cancellationToken
-        );
+                Name = b.Name,
+                ContainerName = b.ContainerName,
+                LastModified = b.LastModified,
+                ContentType = b.ContentType,
+                ContentLength = b.ContentLength
+            })
+            .ToListAsync(cancellationToken);
+    }
 
-        // Update the cache database.
-        var result = await context.UpsertBlobAsync(commitResult, upload.ContainerName, cancellationToken);
+    /// <summary>
+    /// Retrieves the storage samples recorded by the cache synchronization over a period, oldest first.
+    /// </summary>
+    /// <param name="period">How far back to go.</param>
+    /// <param name="maxPoints">The maximum number of samples to return; the samples are thinned out to fit.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The storage samples.</returns>
+    public async Task<IList<StorageSampleInfo>> GetStorageGrowthAsync(TimeSpan period, int maxPoints = 200, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("GetStorageGrowthAsync({Period}, {MaxPoints}) called", period, maxPoints);
 
-        // Delete the upload session after a successful commit
-        context.Uploads.Remove(upload);
-        await context.SaveChangesAsync(cancellationToken);
+        var end = DateTimeOffset.UtcNow;
+        var start = end - period;
+        var samples = await context.StorageSamples
+            .Where(s => s.SampledAt >= start)
+            .OrderBy(s => s.SampledAt)
+            .Select(s => new StorageSampleInfo
+            {
+                SampledAt = s.SampledAt,
+                Containers = s.ContainerCount,
+                Blobs = s.BlobCount,
+                TotalSize = s.TotalSize
+            })
+            .ToListAsync(cancellationToken);
 
-        // Return the resulting BlobDTO.
-        return await Blobs.SingleAsync(b => b.ContainerName == upload.ContainerName && b.Name == upload.BlobName, cancellationToken);
+        return DownsampleStorageSamples(samples, start, end, maxPoints);
     }
+    #endregion
+
+    #region Queue Access
+    // Queues and their messages change too often to be worth caching, so these always go to Azurite.
 
     /// <summary>
-    /// Initiates a chunked blob upload session.
+    /// Deletes all the messages in a queue in Azurite.
     /// </summary>
-    /// <param name="uploadDto">The upload request details.</param>
+    /// <param name="queueName">The name of the queue to clear.</param>
     /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
-    /// <returns>The created upload session details.</returns>
-    public async Task<UploadStatusDTO> CreateUploadAsync(CreateUploadRequestDTO uploadDto, CancellationToken cancellationToken = default)
+    /// <returns>A task that completes when the queue is empty.</returns>
+    public async Task ClearQueueMessagesAsync(string queueName, CancellationToken cancellationToken = default)
     {
-        logger.LogDebug("CreateUploadAsync({uploadDto}) called", JsonSerializer.Serialize(uploadDto));
+        logger.LogDebug("ClearQueueMessagesAsync('{queueName}') called", queueName);
+        ValidateQueueName(queueName);
+        await azurite.ClearMessagesAsync(queueName, cancellationToken);
+    }
+
+    /// <summary>
+    /// Creates a new queue in Azurite.
+    /// </summary>
+    /// <param name="dto">The queue properties to set.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The created queue DTO.</returns>
+    public async Task<QueueDTO> CreateQueueAsync(CreateQueueDTO dto, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("CreateQueueAsync({queue}) called", JsonSerializer.Serialize(dto));
+        ValidateQueueName(dto.QueueName);
+
+        var azuriteQueue = await azurite.CreateQueueAsync(dto.QueueName, dto.Metadata, cancellationToken);
+        return ToQueueDTO(azuriteQueue);
+    }
+
+    /// <summary>
+    /// Deletes a queue, including all its messages, from Azurite.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to delete.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that completes when the queue is deleted.</returns>
+    public async Task DeleteQueueAsync(string queueName, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("DeleteQueueAsync('{queueName}') called", queueName);
+        ValidateQueueName(queueName);
+        await azurite.DeleteQueueAsync(queueName, cancellationToken);
+    }
+
+    /// <summary>
+    /// Deletes a received message from a queue in Azurite.
+    /// </summary>
+    /// <param name="queueName">The name of the queue holding the message.</param>
+    /// <param name="messageId">The identifier of the message to delete.</param>
+    /// <param name="popReceipt">The pop receipt from when the message was last received or updated.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that completes when the message is deleted.</returns>
+    public async Task DeleteQueueMessageAsync(string queueName, string messageId, string popReceipt, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("DeleteQueueMessageAsync('{queueName}', '{messageId}') called", queueName, messageId);
+        ValidateQueueName(queueName);
+        ValidatePopReceipt(popReceipt);
+        await azurite.DeleteMessageAsync(queueName, messageId, popReceipt, cancellationToken);
+    }
+
+    /// <summary>
+    /// Retrieves the <see cref="QueueDTO"/> for the specified queue name from Azurite.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to retrieve.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The queue DTO, or null if not found.</returns>
+    public async Task<QueueDTO?> GetQueueAsync(string queueName, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("GetQueueAsync('{queueName}') called", queueName);
+        ValidateQueueName(queueName);
+        try
+        {
+            var azuriteQueue = await azurite.GetQueueAsync(queueName, cancellationToken);
+            return ToQueueDTO(azuriteQueue);
+        }
+        catch (ResourceNotFoundException)
+        {
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Retrieves all the queues in Azurite, sorted by name.
+    /// </summary>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The list of queue DTOs.</returns>
+    public async Task<IList<QueueDTO>> GetQueuesAsync(CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("GetQueuesAsync() called");
+        var queues = new List<QueueDTO>();
+        await foreach (var azuriteQueue in azurite.GetQueuesAsync(cancellationToken))
+        {
+            queues.Add(ToQueueDTO(azuriteQueue));
+        }
+        return [.. queues.OrderBy(q => q.Name, StringComparer.Ordinal)];
+    }
+
+    /// <summary>
+    /// Retrieves the visible messages at the front of a queue in Azurite without receiving them.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="maxMessages">The most messages to retrieve (1 to 32).</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The list of messages.</returns>
+    public async Task<IList<QueueMessageDTO>> PeekQueueMessagesAsync(string queueName, int maxMessages, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("PeekQueueMessagesAsync('{queueName}', {maxMessages}) called", queueName, maxMessages);
+        ValidateQueueName(queueName);
+        ValidateMaxMessages(maxMessages);
+
+        var messages = await azurite.PeekMessagesAsync(queueName, maxMessages, cancellationToken);
+        return [.. messages.Select(ToQueueMessageDTO)];
+    }
+
+    /// <summary>
+    /// Receives (dequeues) the visible messages at the front of a queue in Azurite, hiding them for the
+    /// visibility timeout.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="maxMessages">The most messages to receive (1 to 32).</param>
+    /// <param name="visibilityTimeout">How long the messages are hidden for, in seconds; if not set, 30 seconds.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The list of messages, with the pop receipts needed to update or delete them.</returns>
+    public async Task<IList<QueueMessageDTO>> ReceiveQueueMessagesAsync(string queueName, int maxMessages, int? visibilityTimeout = null, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("ReceiveQueueMessagesAsync('{queueName}', {maxMessages}, {visibilityTimeout}) called", queueName, maxMessages, visibilityTimeout);
+        ValidateQueueName(queueName);
+        ValidateMaxMessages(maxMessages);
+        TimeSpan? timeout = visibilityTimeout.HasValue ? ToVisibilityTimeout(visibilityTimeout.Value) : null;
+
+        var messages = await azurite.ReceiveMessagesAsync(queueName, maxMessages, timeout, cancellationToken);
+        return [.. messages.Select(ToQueueMessageDTO)];
+    }
+
+    /// <summary>
+    /// Sends (enqueues) a message to a queue in Azurite.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="dto">The body, visibility timeout and time to live of the message.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The sent message.</returns>
+    /// <exception cref="AzuriteServiceException">Thrown if the visibility timeout or time to live is not valid.</exception>
+    public async Task<QueueMessageDTO> SendQueueMessageAsync(string queueName, SendQueueMessageDTO dto, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("SendQueueMessageAsync('{queueName}', {visibilityTimeout}, {timeToLive}) called", queueName, dto.VisibilityTimeout, dto.TimeToLive);
+        ValidateQueueName(queueName);
+
+        var visibilityTimeout = ToVisibilityTimeout(dto.VisibilityTimeout);
+        TimeSpan? timeToLive = null;
+        if (dto.TimeToLive.HasValue)
+        {
+            if (dto.TimeToLive is 0 or < -1)
+            {
+                throw new AzuriteServiceException("The time to live must be a positive number of seconds, or -1 for a message that never expires.") { StatusCode = StatusCodes.Status400BadRequest };
+            }
+
+            if (dto.TimeToLive != -1 && dto.TimeToLive < dto.VisibilityTimeout)
+            {
+                throw new AzuriteServiceException("The visibility timeout must be shorter than the time to live.") { StatusCode = StatusCodes.Status400BadRequest };
+            }
+            timeToLive = TimeSpan.FromSeconds(dto.TimeToLive.Value);
+        }
+
+        var message = await azurite.SendMessageAsync(queueName, dto.MessageText ?? string.Empty, visibilityTimeout, timeToLive, cancellationToken);
+        return ToQueueMessageDTO(message);
+    }
+
+    /// <summary>
+    /// Updates an existing queue in Azurite.
+    /// </summary>
+    /// <param name="dto">The queue properties to update.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The updated queue DTO.</returns>
+    public async Task<QueueDTO> UpdateQueueAsync(UpdateQueueDTO dto, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("UpdateQueueAsync('{queueProps}') called", JsonSerializer.Serialize(dto));
+        ValidateQueueName(dto.QueueName);
+
+        var azuriteQueue = await azurite.UpdateQueueAsync(dto.QueueName, dto.Metadata, cancellationToken);
+        return ToQueueDTO(azuriteQueue);
+    }
+
+    /// <summary>
+    /// Updates the body and visibility timeout of a received message in a queue in Azurite.
+    /// </summary>
+    /// <param name="queueName">The name of the queue holding the message.</param>
+    /// <param name="messageId">The identifier of the message to update.</param>
+    /// <param name="dto">The pop receipt, new body and visibility timeout of the message.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The updated message, with the new pop receipt.</returns>
+    public async Task<QueueMessageDTO> UpdateQueueMessageAsync(string queueName, string messageId, UpdateQueueMessageDTO dto, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("UpdateQueueMessageAsync('{queueName}', '{messageId}', {visibilityTimeout}) called", queueName, messageId, dto.VisibilityTimeout);
+        ValidateQueueName(queueName);
+        ValidatePopReceipt(dto.PopReceipt);
+
+        var visibilityTimeout = ToVisibilityTimeout(dto.VisibilityTimeout);
+        var message = await azurite.UpdateMessageAsync(queueName, messageId, dto.PopReceipt, dto.MessageText ?? string.Empty, visibilityTimeout, cancellationToken);
+        return ToQueueMessageDTO(message);
+    }
+    #endregion
+
+    #region Shared Access Signatures
+    /// <summary>
+    /// Generates a shared access signature (SAS) for a blob.
+    /// </summary>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <param name="dto">The permissions, times and restrictions for the SAS.</param>
+    /// <returns>The generated SAS, with a URL and connection string that use it.</returns>
+    /// <exception cref="AzuriteServiceException">Thrown if the SAS options are not valid.</exception>
+    public SasDTO GenerateBlobSas(string containerName, string blobName, GenerateSasDTO dto)
+    {
+        logger.LogDebug("GenerateBlobSas('{containerName}', '{blobName}', {dto}) called", containerName, blobName, JsonSerializer.Serialize(dto));
+        ValidateContainerName(containerName);
+        ValidateBlobName(blobName);
+
+        var options = ToSasOptions(dto, BlobSasPermissions);
+        var sas = azurite.GenerateBlobSas(containerName, blobName, options);
+        return ToSasDTO(sas, options);
+    }
+
+    /// <summary>
+    /// Generates a shared access signature (SAS) for a container.
+    /// </summary>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="dto">The permissions, times and restrictions for the SAS.</param>
+    /// <returns>The generated SAS, with a URL and connection string that use it.</returns>
+    /// <exception cref="AzuriteServiceException">Thrown if the SAS options are not valid.</exception>
+    public SasDTO GenerateContainerSas(string containerName, GenerateSasDTO dto)
+    {
+        logger.LogDebug("GenerateContainerSas('{containerName}', {dto}) called", containerName, JsonSerializer.Serialize(dto));
+        ValidateContainerName(containerName);
+
+        var options = ToSasOptions(dto, ContainerSasPermissions);
+        var sas = azurite.GenerateContainerSas(containerName, options);
+        return ToSasDTO(sas, options);
+    }
+    #endregion
+
+    #region Upload and Download
+    /// <summary>
+    /// The queryable collection of upload sessions.
+    /// </summary>
+    public IQueryable<UploadDTO> Uploads
+    {
+        get => context.Uploads.Select(upload => new UploadDTO
+        {
+            Id = upload.UploadId,
+            ContainerName = upload.ContainerName,
+            Name = upload.BlobName,
+            CreatedAt = upload.CreatedAt,
+            LastActivityAt = upload.LastActivityAt,
+            Progress = upload.ContentLength > 0
+                ? (upload.Blocks.Sum(b => b.BlockSize) / (double)upload.ContentLength) * 100.0
+                : 0.0
+        });
+    }
+
+    /// <summary>
+    /// Initiates a download of the specified blob from Azurite.
+    /// </summary>
+    /// <remarks>
+    /// This method streams the blob data directly from Azurite to avoid loading large blobs into memory.  Since we
+    /// do HTTP range requests, the BlobDownloadDTO can return a status code indicating partial content or full
+    /// content or content range cannot be satisfied or not found.
+    /// </remarks>
+    /// <param name="containerName">The name of the container.</param>
+    /// <param name="blobName">The name of the blob to download.</param>
+    /// <param name="httpRange">The HTTP range to download.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that represents the asynchronous download operation. The result contains the downloaded blob DTO, or null if not found.</returns>
+    public async Task<BlobDownloadDTO> DownloadBlobAsync(string containerName, string blobName, string? httpRange = null, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("DownloadBlobAsync('{containerName}', '{blobName}', '{httpRange}') called", containerName, blobName, httpRange);
+
+        var blobInfo = await GetBlobAsync(containerName, blobName, cancellationToken)
+            ?? throw new ResourceNotFoundException($"Blob '{blobName}' in container '{containerName}' not found.") { ResourceName = $"{containerName}/{blobName}" };
+        var azuriteResult = await azurite.DownloadBlobAsync(containerName, blobName, httpRange, cancellationToken);
+
+        var result = new BlobDownloadDTO
+        {
+            Name = blobName,
+            ContainerName = containerName,
+            Content = azuriteResult.Content,
+            ContentEncoding = blobInfo.ContentEncoding,
+            ContentLanguage = blobInfo.ContentLanguage,
+            ContentLength = blobInfo.ContentLength,
+            ContentRange = azuriteResult.ContentRange,
+            ContentType = blobInfo.ContentType,
+            ETag = blobInfo.ETag,
+            LastModified = blobInfo.LastModified,
+            StatusCode = azuriteResult.StatusCode
+        };
+
+        if (azuriteResult.IsSuccess)
+        {
+            return result;
+        }
+
+        DisposeDownloadStream(result);
+        throw new AzuriteServiceException($"Failed to download blob '{blobName}' from container '{containerName}'.")
+        {
+            StatusCode = azuriteResult.StatusCode
+        };
+    }
+
+    /// <summary>
+    /// Cancels an upload session and deletes all associated blocks.
+    /// </summary>
+    /// <param name="uploadId">The unique identifier of the upload session.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that completes when the upload is cancelled.</returns>
+    public async Task CancelUploadAsync(Guid uploadId, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("CancelUploadAsync('{uploadId}') called", uploadId);
+        var upload = await context.Uploads.FirstOrDefaultAsync(u => u.UploadId == uploadId, cancellationToken);
+        if (upload is null)
+        {
+            logger.LogDebug("Upload session '{uploadId}' not found; nothing to cancel", uploadId);
+            return;
+        }
+
+        context.Uploads.Remove(upload);
+        await context.SaveChangesAsync(cancellationToken);
+        logger.LogInformation("Cancelled upload session '{uploadId}' for blob '{blobName}' in container '{containerName}'", uploadId, upload.BlobName, upload.ContainerName);
+    }
+
+    /// <summary>
+    /// Commits an upload session by assembling the blocks into a blob.
+    /// </summary>
+    /// <param name="uploadId">The unique identifier of the upload session.</param>
+    /// <param name="blockIds">The ordered list of blocks to commit.</param>
+    /// <param name="contentMD5">Optional Base64-encoded MD5 hash of the whole blob for integrity verification.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The created blob DTO.</returns>
+    public async Task<BlobDTO> CommitUploadAsync(Guid uploadId, IEnumerable<string> blockIds, string? contentMD5 = null, CancellationToken cancellationToken = default)
+    {
+        var blockList = blockIds.ToList(); // This ensures the block list is enumerated only once.
+        logger.LogDebug("CommitUploadAsync('{uploadId}', '{blockList}', '{contentMD5}') called", uploadId, JsonSerializer.Serialize(blockList), contentMD5);
+        var contentHash = ConvertContentMD5(contentMD5);
+
+        // Get the upload session with its blocks
+        var upload = await context.Uploads.Include(u => u.Blocks).FirstOrDefaultAsync(u => u.UploadId == uploadId, cancellationToken)
+            ?? throw new ResourceNotFoundException($"Upload session '{uploadId}' not found.") { ResourceName = uploadId.ToString() };
+
+        // Validate that all blocks in the block list have been uploaded.
+        var uploadedBlockIds = upload.Blocks.Select(b => b.BlockId).ToHashSet();
+        var missingBlocks = blockList.Where(blockId => !uploadedBlockIds.Contains(blockId)).ToList();
+        if (missingBlocks.Count > 0)
+        {
+            throw new AzuriteServiceException($"Cannot commit upload session '{uploadId}': missing blocks: {string.Join(", ", missingBlocks)}")
+            {
+                StatusCode = StatusCodes.Status400BadRequest
+            };
+        }
+
+        // A blob that is being replaced is snapshotted first, so that it can be put back if the committed
+        // content does not match the Content-MD5.
+        AzuriteBlobItem? original = null;
+        string? snapshot = null;
+        if (contentHash is not null && upload.IfMatch is not null)
+        {
+            original = await azurite.GetBlobAsync(upload.ContainerName, upload.BlobName, cancellationToken);
+            snapshot = (await azurite.CreateBlobSnapshotAsync(upload.ContainerName, upload.BlobName, cancellationToken)).Snapshot;
+        }
+
+        // Commit the upload to Azurite, returning an AzuriteBlobItem
+        var properties = new AzuriteBlobProperties
+        {
+            ContentEncoding = upload.ContentEncoding,
+            ContentLanguage = upload.ContentLanguage,
+            ContentHash = contentHash,
+            ContentType = upload.ContentType,
+            Metadata = upload.Metadata,
+            Tags = upload.Tags
+        };
+        AzuriteBlobItem commitResult;
+        try
+        {
+            commitResult = await azurite.UploadCommitAsync(
+                upload.ContainerName,
+                upload.BlobName,
+                blockList,
+                properties,
+                upload.IfMatch,
+                cancellationToken
+            );
+
+            // Azurite stores the Content-MD5 as given, so check it against the committed content.
+            if (contentHash is not null)
+            {
+                await VerifyContentHashAsync(upload, contentHash, original, snapshot, cancellationToken);
+            }
+        }
+        finally
+        {
+            if (snapshot is not null)
+            {
+                // The snapshot is only needed while committing, so always remove it.
+                await azurite.DeleteBlobSnapshotAsync(upload.ContainerName, upload.BlobName, snapshot, CancellationToken.None);
+            }
+        }
+
+        // Update the cache database.
+        var result = await context.UpsertBlobAsync(commitResult, upload.ContainerName, cancellationToken);
+
+        // Delete the upload session after a successful commit
+        context.Uploads.Remove(upload);
+        await context.SaveChangesAsync(cancellationToken);
+
+        // Return the resulting BlobDTO.
+        return await Blobs.SingleAsync(b => b.ContainerName == upload.ContainerName && b.Name == upload.BlobName, cancellationToken);
+    }
+
+    /// <summary>
+    /// Checks that the MD5 hash of a committed blob matches the hash provided by the client.  If it does
+    /// not match, the blob is put back the way it was before the commit - a new blob is removed, and a
+    /// replaced blob is restored from its snapshot - and the upload session is removed.
+    /// </summary>
+    /// <remarks>
+    /// The blob is hashed as it is read, so it is never held in memory.
+    /// </remarks>
+    /// <param name="upload">The upload session that was committed.</param>
+    /// <param name="expectedHash">The MD5 hash provided by the client.</param>
+    /// <param name="original">The blob before the commit, or null if the upload created a new blob.</param>
+    /// <param name="snapshot">The snapshot of the blob before the commit, or null if the upload created a new blob.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that completes when the hash is verified.</returns>
+    /// <exception cref="AzuriteServiceException">Thrown if the hashes do not match.</exception>
+    internal async Task VerifyContentHashAsync(UploadModel upload, byte[] expectedHash, AzuriteBlobItem? original, string? snapshot, CancellationToken cancellationToken = default)
+    {
+        var download = await azurite.DownloadBlobAsync(upload.ContainerName, upload.BlobName, cancellationToken: cancellationToken);
+        byte[] actualHash;
+        await using (var content = download.Content ?? Stream.Null)
+        {
+            actualHash = await MD5.HashDataAsync(content, cancellationToken);
+        }
+
+        if (actualHash.SequenceEqual(expectedHash))
+        {
+            return;
+        }
+
+        if (original is null || snapshot is null)
+        {
+            logger.LogWarning("Content-MD5 mismatch for upload session '{uploadId}'; removing new blob '{blobName}' from container '{containerName}'", upload.UploadId, upload.BlobName, upload.ContainerName);
+            await azurite.DeleteBlobAsync(upload.ContainerName, upload.BlobName, cancellationToken);
+        }
+        else
+        {
+            logger.LogWarning("Content-MD5 mismatch for upload session '{uploadId}'; restoring blob '{blobName}' in container '{containerName}'", upload.UploadId, upload.BlobName, upload.ContainerName);
+            await azurite.PromoteBlobSnapshotAsync(upload.ContainerName, upload.BlobName, snapshot, cancellationToken);
+
+            // Promoting a snapshot keeps the tags of the current blob, which are the tags of the upload.
+            var restoredProperties = new AzuriteBlobProperties { Metadata = original.Metadata, Tags = original.Tags };
+            var restoredBlob = await azurite.UpdateBlobAsync(upload.ContainerName, upload.BlobName, restoredProperties, cancellationToken);
+            await context.UpsertBlobAsync(restoredBlob, upload.ContainerName, cancellationToken);
+        }
+
+        context.Uploads.Remove(upload);
+        await context.SaveChangesAsync(cancellationToken);
+
+        throw new AzuriteServiceException($"Content-MD5 mismatch for upload session '{upload.UploadId}': expected '{Convert.ToBase64String(expectedHash)}' but the uploaded content has '{Convert.ToBase64String(actualHash)}'.")
+        {
+            StatusCode = StatusCodes.Status400BadRequest
+        };
+    }
+
+    /// <summary>
+    /// Initiates a chunked blob upload session.
+    /// </summary>
+    /// <param name="uploadDto">The upload request details.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The created upload session details.</returns>
+    public async Task<UploadStatusDTO> CreateUploadAsync(CreateUploadRequestDTO uploadDto, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("CreateUploadAsync({uploadDto}) called", JsonSerializer.Serialize(uploadDto));
 
         var containerExists = await context.Containers.AnyAsync(c => c.Name == uploadDto.ContainerName, cancellationToken);
         if (!containerExists)
@@ -466,10 +1176,22 @@ public class StorageRepository(
             throw new ResourceNotFoundException($"Container '{uploadDto.ContainerName}' not found.") { ResourceName = uploadDto.ContainerName };
         }
 
-        var blobExists = await context.Blobs.AnyAsync(b => b.ContainerName == uploadDto.ContainerName && b.Name == uploadDto.BlobName, cancellationToken);
-        if (blobExists)
+        // A new blob must not exist; a replacement (with If-Match) must exist with the expected ETag.
+        string resourceName = $"{uploadDto.ContainerName}/{uploadDto.BlobName}";
+        var existingBlob = await context.Blobs.FirstOrDefaultAsync(b => b.ContainerName == uploadDto.ContainerName && b.Name == uploadDto.BlobName, cancellationToken);
+        if (uploadDto.IfMatch is null && existingBlob is not null)
+        {
+            throw new ResourceExistsException($"Blob '{uploadDto.BlobName}' already exists in container '{uploadDto.ContainerName}'.") { ResourceName = resourceName };
+        }
+
+        if (uploadDto.IfMatch is not null && existingBlob is null)
+        {
+            throw new ResourceNotFoundException($"Blob '{uploadDto.BlobName}' not found in container '{uploadDto.ContainerName}'.") { ResourceName = resourceName };
+        }
+
+        if (uploadDto.IfMatch is not null && existingBlob is not null && !ETagMatches(existingBlob.ETag, uploadDto.IfMatch))
         {
-            throw new ResourceExistsException($"Blob '{uploadDto.BlobName}' already exists in container '{uploadDto.ContainerName}'.") { ResourceName = $"{uploadDto.ContainerName}/{uploadDto.BlobName}" };
+            throw new PreconditionFailedException($"Blob '{uploadDto.BlobName}' in container '{uploadDto.ContainerName}' has been changed.") { ResourceName = resourceName, ETag = existingBlob.ETag };
         }
 
         var uploadModel = new UploadModel
@@ -484,7 +1206,8 @@ public class StorageRepository(
             CreatedAt = DateTimeOffset.UtcNow,
             LastActivityAt = DateTimeOffset.UtcNow,
             Metadata = uploadDto.Metadata,
-            Tags = uploadDto.Tags
+            Tags = uploadDto.Tags,
+            IfMatch = uploadDto.IfMatch
         };
 
         context.Uploads.Add(uploadModel);
@@ -520,6 +1243,46 @@ public class StorageRepository(
         };
     }
 
+    /// <summary>
+    /// Writes a ZIP archive of the specified blobs to the destination stream.
+    /// </summary>
+    /// <remarks>
+    /// The blobs are stored without compression, so the archive is written as quickly as the blobs can be read
+    /// and is about the same size as the blobs it contains.
+    /// </remarks>
+    /// <param name="blobs">The blobs to include in the archive.</param>
+    /// <param name="destination">The stream to write the archive to.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>A task that completes when the archive has been written.</returns>
+    public async Task WriteArchiveAsync(IEnumerable<BlobDTO> blobs, Stream destination, CancellationToken cancellationToken = default)
+    {
+        logger.LogDebug("WriteArchiveAsync() called");
+
+        await using var archive = await ZipArchive.CreateAsync(destination, ZipArchiveMode.Create, leaveOpen: true, entryNameEncoding: null, cancellationToken);
+        foreach (BlobDTO blob in blobs)
+        {
+            AzuriteBlobDownloadResult download;
+            try
+            {
+                download = await azurite.DownloadBlobAsync(blob.ContainerName, blob.Name, null, cancellationToken);
+            }
+            catch (ResourceNotFoundException)
+            {
+                logger.LogWarning("Blob '{containerName}/{blobName}' was not found; leaving it out of the archive", blob.ContainerName, blob.Name);
+                continue;
+            }
+
+            await using Stream content = download.Content ?? Stream.Null;
+            ZipArchiveEntry entry = archive.CreateEntry(GetArchiveEntryName(blob.Name), CompressionLevel.NoCompression);
+
+            // ZIP timestamps have no time zone, and are shown as local time when extracted
+            entry.LastWriteTime = blob.LastModified.ToLocalTime();
+
+            await using Stream entryStream = await entry.OpenAsync(cancellationToken);
+            await content.CopyToAsync(entryStream, cancellationToken);
+        }
+    }
+
     /// <summary>
     /// Uploads a block (chunk) to an in-progress upload session.
     /// </summary>
@@ -540,12 +1303,13 @@ public class StorageRepository(
         var upload = await context.Uploads.Include(u => u.Blocks).FirstOrDefaultAsync(u => u.UploadId == uploadId, cancellationToken)
             ?? throw new ResourceNotFoundException($"Upload session '{uploadId}' not found.") { ResourceName = uploadId.ToString() };
 
-        // Upload block to Azurite - note that we do not pass contentMD5 to Azurite as we don't support it yet.
+        // Upload block to Azurite, which rejects the block if the contentMD5 does not match.
         var blockInfo = await azurite.UploadBlockAsync(
             upload.ContainerName,
             upload.BlobName,
             blockId,
             content,
+            ConvertContentMD5(contentMD5),
             cancellationToken
         );
         if (!blockInfo.IsSuccess)
@@ -569,6 +1333,27 @@ public class StorageRepository(
     }
     #endregion
 
+    /// <summary>
+    /// Builds the SQL conditions that match a dictionary column (such as metadata or tags), which is stored
+    /// as a JSON object, against a set of key/value pairs.  The keys and values are added to the parameters.
+    /// </summary>
+    /// <param name="column">The name of the dictionary column.</param>
+    /// <param name="conditions">The key/value pairs that must all be present in the dictionary.</param>
+    /// <param name="parameters">The parameters of the SQL statement being built.</param>
+    /// <returns>The SQL conditions, each starting with <c>AND</c>.</returns>
+    internal static string BuildKeyValueConditions(string column, IList<KeyValuePair<string, string>> conditions, List<object> parameters)
+    {
+        StringBuilder sql = new();
+        foreach (var (key, value) in conditions)
+        {
+            sql.Append(CultureInfo.InvariantCulture, $" AND EXISTS (SELECT 1 FROM json_each(\"{column}\") AS entry WHERE entry.\"key\" = {{{parameters.Count}}} COLLATE NOCASE AND entry.\"value\" = {{{parameters.Count + 1}}})");
+            parameters.Add(key);
+            parameters.Add(value);
+        }
+
+        return sql.ToString();
+    }
+
     /// <summary>
     /// Converts the given public access string to the corresponding <see cref="AzuritePublicAccess"/> enum value.
     /// </summary>
@@ -587,6 +1372,267 @@ public class StorageRepository(
         };
     }
 
+    /// <summary>
+    /// The permissions that can be granted by a blob SAS, in their canonical order.
+    /// </summary>
+    internal const string BlobSasPermissions = "racwdxt";
+
+    /// <summary>
+    /// The permissions that can be granted by a container SAS, in their canonical order.
+    /// </summary>
+    internal const string ContainerSasPermissions = "racwdxlt";
+
+    /// <summary>
+    /// The most stored access policies that a container can have.
+    /// </summary>
+    internal const int MaxStoredAccessPolicies = 5;
+
+    /// <summary>
+    /// Validates a container access policy and converts it to the <see cref="AzuriteContainerAccessPolicy"/> for the
+    /// Azurite service.  The rules are the same as those of Azure Storage: at most five stored access policies, each
+    /// with a unique identifier of up to 64 characters, container SAS permissions, and an expiry after its start.
+    /// </summary>
+    /// <param name="dto">The requested access policy.</param>
+    /// <returns>The access policy, with the permissions of each stored access policy in their canonical order.</returns>
+    /// <exception cref="AzuriteServiceException">Thrown if the access policy is not valid.</exception>
+    internal static AzuriteContainerAccessPolicy ToAzuriteAccessPolicy(ContainerAccessPolicyDTO dto)
+    {
+        var policies = dto.StoredAccessPolicies ?? [];
+        if (policies.Count > MaxStoredAccessPolicies)
+        {
+            throw new AzuriteServiceException($"A container can have at most {MaxStoredAccessPolicies} stored access policies.") { StatusCode = StatusCodes.Status400BadRequest };
+        }
+
+        var signedIdentifiers = new List<AzuriteSignedIdentifier>();
+        foreach (var policy in policies)
+        {
+            string id = policy.Id?.Trim() ?? string.Empty;
+            if (id.Length is 0 or > 64)
+            {
+                throw new AzuriteServiceException("Each stored access policy must have an identifier of 1 to 64 characters.") { StatusCode = StatusCodes.Status400BadRequest };
+            }
+
+            if (signedIdentifiers.Any(i => i.Id == id))
+            {
+                throw new AzuriteServiceException($"The stored access policy identifier '{id}' is used more than once.") { StatusCode = StatusCodes.Status400BadRequest };
+            }
+
+            string permissions = policy.Permissions?.Trim() ?? string.Empty;
+            string invalidPermissions = string.Concat(permissions.Where(c => !ContainerSasPermissions.Contains(c)));
+            if (invalidPermissions.Length > 0)
+            {
+                throw new AzuriteServiceException($"Invalid permissions '{invalidPermissions}' in stored access policy '{id}'; the valid permissions are '{ContainerSasPermissions}'.") { StatusCode = StatusCodes.Status400BadRequest };
+            }
+
+            if (policy.StartsOn.HasValue && policy.ExpiresOn.HasValue && policy.ExpiresOn <= policy.StartsOn)
+            {
+                throw new AzuriteServiceException($"The expiry time of stored access policy '{id}' must be after its start time.") { StatusCode = StatusCodes.Status400BadRequest };
+            }
+
+            signedIdentifiers.Add(new AzuriteSignedIdentifier
+            {
+                Id = id,
+                Permissions = string.Concat(ContainerSasPermissions.Where(permissions.Contains)),
+                StartsOn = policy.StartsOn,
+                ExpiresOn = policy.ExpiresOn
+            });
+        }
+
+        return new AzuriteContainerAccessPolicy
+        {
+            PublicAccess = ConvertToPublicAccessType(dto.PublicAccess ?? "none"),
+            SignedIdentifiers = signedIdentifiers
+        };
+    }
+
+    /// <summary>
+    /// Converts the access policy of an Azurite container to a <see cref="ContainerAccessPolicyDTO"/>.
+    /// </summary>
+    /// <param name="accessPolicy">The Azurite container access policy.</param>
+    /// <returns>The access policy DTO.</returns>
+    internal static ContainerAccessPolicyDTO ToContainerAccessPolicyDTO(AzuriteContainerAccessPolicy accessPolicy)
+    {
+        return new ContainerAccessPolicyDTO
+        {
+            PublicAccess = accessPolicy.PublicAccess.ToString().ToLowerInvariant(),
+            StoredAccessPolicies = [.. accessPolicy.SignedIdentifiers.Select(identifier => new StoredAccessPolicyDTO
+            {
+                Id = identifier.Id,
+                Permissions = identifier.Permissions,
+                StartsOn = identifier.StartsOn,
+                ExpiresOn = identifier.ExpiresOn
+            })]
+        };
+    }
+
+    /// <summary>
+    /// Validates the requested SAS and converts it to the <see cref="AzuriteSasOptions"/> for the Azurite service.
+    /// </summary>
+    /// <remarks>
+    /// Without a stored access policy, the SAS must have at least one permission and an expiry time.  With a
+    /// stored access policy, either may be left out and is then taken from the policy.
+    /// </remarks>
+    /// <param name="dto">The requested SAS.</param>
+    /// <param name="allowedPermissions">The permissions that can be granted, in their canonical order.</param>
+    /// <returns>The SAS options, with the permissions in their canonical order.</returns>
+    /// <exception cref="AzuriteServiceException">Thrown if the requested SAS is not valid.</exception>
+    internal static AzuriteSasOptions ToSasOptions(GenerateSasDTO dto, string allowedPermissions)
+    {
+        string permissions = dto.Permissions?.Trim() ?? string.Empty;
+        string invalidPermissions = string.Concat(permissions.Where(c => !allowedPermissions.Contains(c)));
+        if (invalidPermissions.Length > 0)
+        {
+            throw new AzuriteServiceException($"Invalid SAS permissions '{invalidPermissions}'; the valid permissions are '{allowedPermissions}'.") { StatusCode = StatusCodes.Status400BadRequest };
+        }
+
+        string? identifier = string.IsNullOrWhiteSpace(dto.StoredAccessPolicy) ? null : dto.StoredAccessPolicy.Trim();
+        if (identifier?.Length > 64)
+        {
+            throw new AzuriteServiceException("The stored access policy identifier must be 64 characters or fewer.") { StatusCode = StatusCodes.Status400BadRequest };
+        }
+
+        if (identifier is null && permissions.Length == 0)
+        {
+            throw new AzuriteServiceException("At least one permission must be granted unless a stored access policy is used.") { StatusCode = StatusCodes.Status400BadRequest };
+        }
+
+        if (identifier is null && dto.ExpiresOn is null)
+        {
+            throw new AzuriteServiceException("An expiry time must be provided unless a stored access policy is used.") { StatusCode = StatusCodes.Status400BadRequest };
+        }
+
+        if (dto.ExpiresOn.HasValue && dto.ExpiresOn <= (dto.StartsOn ?? DateTimeOffset.UtcNow))
+        {
+            throw new AzuriteServiceException("The expiry time must be after the start time, and in the future.") { StatusCode = StatusCodes.Status400BadRequest };
+        }
+
+        string? ipRange = string.IsNullOrWhiteSpace(dto.IPRange) ? null : dto.IPRange.Trim();
+        if (ipRange is not null)
+        {
+            string[] addresses = ipRange.Split('-', StringSplitOptions.TrimEntries);
+            if (addresses.Length > 2 || !addresses.All(a => IPAddress.TryParse(a, out var address) && address.AddressFamily == AddressFamily.InterNetwork))
+            {
+                throw new AzuriteServiceException($"Invalid IP range '{ipRange}'; use an IPv4 address or a range such as '10.0.0.1-10.0.0.255'.") { StatusCode = StatusCodes.Status400BadRequest };
+            }
+
+            ipRange = string.Join('-', addresses);
+        }
+
+        return new AzuriteSasOptions
+        {
+            Permissions = string.Concat(allowedPermissions.Where(permissions.Contains)),
+            StartsOn = dto.StartsOn,
+            ExpiresOn = dto.ExpiresOn,
+            IPRange = ipRange,
+            HttpsOnly = dto.HttpsOnly,
+            Identifier = identifier
+        };
+    }
+
+    /// <summary>
+    /// Converts a SAS generated by the Azurite service to a <see cref="SasDTO"/>.
+    /// </summary>
+    /// <param name="sas">The generated SAS.</param>
+    /// <param name="options">The options used to generate the SAS.</param>
+    /// <returns>The SAS DTO.</returns>
+    internal static SasDTO ToSasDTO(AzuriteSasToken sas, AzuriteSasOptions options)
+    {
+        return new SasDTO
+        {
+            Url = sas.Uri.AbsoluteUri,
+            Token = sas.Token,
+            ConnectionString = sas.ConnectionString,
+            Permissions = options.Permissions,
+            ExpiresOn = options.ExpiresOn
+        };
+    }
+
+    /// <summary>
+    /// Converts an Azurite blob snapshot to a <see cref="BlobSnapshotDTO"/>.
+    /// </summary>
+    /// <param name="snapshot">The Azurite blob snapshot.</param>
+    /// <param name="containerName">The name of the container holding the blob.</param>
+    /// <returns>The snapshot DTO.</returns>
+    internal static BlobSnapshotDTO ToBlobSnapshotDTO(AzuriteBlobItem snapshot, string containerName)
+    {
+        string timestamp = snapshot.Snapshot ?? string.Empty;
+        return new BlobSnapshotDTO
+        {
+            Name = snapshot.Name,
+            ContainerName = containerName,
+            Snapshot = timestamp,
+            SnapshotTime = DateTimeOffset.TryParse(timestamp, CultureInfo.InvariantCulture, DateTimeStyles.AssumeUniversal, out var snapshotTime)
+                ? snapshotTime
+                : snapshot.LastModified,
+            ETag = snapshot.ETag,
+            LastModified = snapshot.LastModified,
+            ContentLength = snapshot.ContentLength,
+            ContentType = snapshot.ContentType,
+            Metadata = snapshot.Metadata
+        };
+    }
+
+    /// <summary>
+    /// Converts an optional Base64-encoded Content-MD5 value into the hash bytes.
+    /// </summary>
+    /// <param name="contentMD5">The Base64-encoded MD5 hash, or null.</param>
+    /// <returns>The MD5 hash, or null if no value was provided.</returns>
+    /// <exception cref="AzuriteServiceException">Thrown if the value is not a Base64-encoded MD5 hash.</exception>
+    internal static byte[]? ConvertContentMD5(string? contentMD5)
+    {
+        if (string.IsNullOrWhiteSpace(contentMD5))
+        {
+            return null;
+        }
+
+        try
+        {
+            var hash = Convert.FromBase64String(contentMD5);
+            if (hash.Length == MD5.HashSizeInBytes)
+            {
+                return hash;
+            }
+        }
+        catch (FormatException)
+        {
+            // Fall through to the exception below
+        }
+
+        throw new AzuriteServiceException($"Invalid Content-MD5 value: '{contentMD5}'. Content-MD5 must be a Base64-encoded MD5 hash.")
+        {
+            StatusCode = StatusCodes.Status400BadRequest
+        };
+    }
+
+    /// <summary>
+    /// Determines whether an If-Match value matches the ETag of a resource.  The value may be quoted,
+    /// or <c>*</c> to match any ETag.
+    /// </summary>
+    /// <param name="eTag">The ETag of the resource.</param>
+    /// <param name="ifMatch">The If-Match value.</param>
+    /// <returns>True if the value matches the ETag; otherwise, false.</returns>
+    internal static bool ETagMatches(string eTag, string ifMatch)
+    {
+        string expected = ifMatch.Trim();
+        return expected == "*" || expected.Dequote() == eTag.Dequote();
+    }
+
+    /// <summary>
+    /// Converts a blob name into a safe path within a ZIP archive.  Empty, <c>.</c> and <c>..</c> segments
+    /// are removed, so that extracting the archive cannot write outside of the destination folder.
+    /// </summary>
+    /// <param name="blobName">The name of the blob.</param>
+    /// <returns>The path of the blob within the archive.</returns>
+    internal static string GetArchiveEntryName(string blobName)
+    {
+        IEnumerable<string> segments = blobName
+            .Replace('\\', '/')
+            .Split('/', StringSplitOptions.RemoveEmptyEntries)
+            .Where(segment => segment != "." && segment != "..");
+        string entryName = string.Join('/', segments);
+        return string.IsNullOrEmpty(entryName) ? "_" : entryName;
+    }
+
     /// <summary>
     /// Disposes the content stream of the given <see cref="BlobDownloadDTO"/>.
     /// </summary>
@@ -631,6 +1677,99 @@ public class StorageRepository(
         }
     }
 
+    /// <summary>
+    /// Restricts a blob query to the blobs in a content type family.
+    /// </summary>
+    /// <param name="blobs">The blob query.</param>
+    /// <param name="family">The content type family, or null to leave the query unchanged.</param>
+    /// <returns>The restricted query.</returns>
+    internal static IQueryable<BlobModel> WhereFamily(IQueryable<BlobModel> blobs, ContentTypeFamily? family)
+    {
+        if (family is null)
+        {
+            return blobs;
+        }
+
+        if (family.ContentType is not null)
+        {
+            string contentType = family.ContentType;
+            return contentType.EndsWith('/')
+                ? blobs.Where(b => b.ContentType.StartsWith(contentType))
+                : blobs.Where(b => b.ContentType == contentType);
+        }
+
+        // The catch-all family holds every blob that is not in one of the other families
+        foreach (var other in ContentTypeFamily.All.Where(f => f.ContentType is not null))
+        {
+            string contentType = other.ContentType!;
+            blobs = contentType.EndsWith('/')
+                ? blobs.Where(b => !b.ContentType.StartsWith(contentType))
+                : blobs.Where(b => b.ContentType != contentType);
+        }
+        return blobs;
+    }
+
+    /// <summary>
+    /// Restricts a blob query to the blobs in an age bucket.
+    /// </summary>
+    /// <param name="blobs">The blob query.</param>
+    /// <param name="age">The age bucket, or null to leave the query unchanged.</param>
+    /// <param name="now">The date/time that the ages are measured from.</param>
+    /// <returns>The restricted query.</returns>
+    internal static IQueryable<BlobModel> WhereAge(IQueryable<BlobModel> blobs, AgeBucket? age, DateTimeOffset now)
+    {
+        if (age is null)
+        {
+            return blobs;
+        }
+
+        if (age.GetFrom(now) is DateTimeOffset from)
+        {
+            blobs = blobs.Where(b => b.LastModified > from);
+        }
+        if (age.GetTo(now) is DateTimeOffset to)
+        {
+            blobs = blobs.Where(b => b.LastModified <= to);
+        }
+        return blobs;
+    }
+
+    /// <summary>
+    /// Counts the blobs in a query, and adds up their sizes.
+    /// </summary>
+    /// <param name="blobs">The blob query.</param>
+    /// <param name="cancellationToken">A <see cref="CancellationToken"/> to observe.</param>
+    /// <returns>The number of blobs and their total size in bytes.</returns>
+    internal static async Task<(int BlobCount, long TotalSize)> GetCountAndSizeAsync(IQueryable<BlobModel> blobs, CancellationToken cancellationToken = default)
+    {
+        var blobCount = await blobs.CountAsync(cancellationToken);
+        var totalSize = blobCount == 0 ? 0L : await blobs.SumAsync(b => (long?)b.ContentLength, cancellationToken) ?? 0L;
+        return (blobCount, totalSize);
+    }
+
+    /// <summary>
+    /// Reduces a list of storage samples to at most <paramref name="maxPoints"/> samples by dividing the
+    /// period evenly and keeping the last sample in each division.
+    /// </summary>
+    /// <param name="samples">The samples, oldest first.</param>
+    /// <param name="start">The start of the period.</param>
+    /// <param name="end">The end of the period.</param>
+    /// <param name="maxPoints">The maximum number of samples to keep.</param>
+    /// <returns>The reduced list of samples, oldest first.</returns>
+    internal static IList<StorageSampleInfo> DownsampleStorageSamples(IList<StorageSampleInfo> samples, DateTimeOffset start, DateTimeOffset end, int maxPoints)
+    {
+        if (samples.Count <= maxPoints || maxPoints < 1)
+        {
+            return samples;
+        }
+
+        var division = (end - start) / maxPoints;
+        return samples
+            .GroupBy(s => Math.Min(maxPoints - 1, (int)((s.SampledAt - start) / division)))
+            .Select(g => g.Last())
+            .ToList();
+    }
+
     /// <summary>
     /// Throws an exception if the blob name is not valid.
     /// </summary>
@@ -656,4 +1795,103 @@ public class StorageRepository(
             throw new AzuriteServiceException("Container name must be provided.") { StatusCode = StatusCodes.Status400BadRequest };
         }
     }
+
+    /// <summary>
+    /// The most messages that can be peeked or received from a queue at once.
+    /// </summary>
+    internal const int MaxQueueMessages = 32;
+
+    /// <summary>
+    /// The longest visibility timeout that a queue message can have, in seconds (seven days).
+    /// </summary>
+    internal const int MaxVisibilityTimeout = 7 * 24 * 60 * 60;
+
+    /// <summary>
+    /// Converts an Azurite queue to a <see cref="QueueDTO"/>.
+    /// </summary>
+    /// <param name="queue">The Azurite queue.</param>
+    /// <returns>The queue DTO.</returns>
+    internal static QueueDTO ToQueueDTO(AzuriteQueueItem queue)
+    {
+        return new QueueDTO
+        {
+            Name = queue.Name,
+            ApproximateMessagesCount = queue.ApproximateMessagesCount,
+            Metadata = queue.Metadata
+        };
+    }
+
+    /// <summary>
+    /// Converts an Azurite queue message to a <see cref="QueueMessageDTO"/>.
+    /// </summary>
+    /// <param name="message">The Azurite queue message.</param>
+    /// <returns>The queue message DTO.</returns>
+    internal static QueueMessageDTO ToQueueMessageDTO(AzuriteQueueMessage message)
+    {
+        return new QueueMessageDTO
+        {
+            MessageId = message.MessageId,
+            PopReceipt = message.PopReceipt,
+            MessageText = message.MessageText,
+            DequeueCount = message.DequeueCount,
+            InsertedOn = message.InsertedOn,
+            ExpiresOn = message.ExpiresOn,
+            NextVisibleOn = message.NextVisibleOn
+        };
+    }
+
+    /// <summary>
+    /// Converts a visibility timeout in seconds to a <see cref="TimeSpan"/>, checking that it is within the
+    /// range that Azure Storage allows.
+    /// </summary>
+    /// <param name="seconds">The visibility timeout, in seconds.</param>
+    /// <returns>The visibility timeout.</returns>
+    /// <exception cref="AzuriteServiceException">Thrown if the visibility timeout is not valid.</exception>
+    internal static TimeSpan ToVisibilityTimeout(int seconds)
+    {
+        if (seconds < 0 || seconds > MaxVisibilityTimeout)
+        {
+            throw new AzuriteServiceException($"The visibility timeout must be between 0 and {MaxVisibilityTimeout} seconds (seven days).") { StatusCode = StatusCodes.Status400BadRequest };
+        }
+        return TimeSpan.FromSeconds(seconds);
+    }
+
+    /// <summary>
+    /// Throws an exception if the number of messages to peek or receive is not valid.
+    /// </summary>
+    /// <param name="maxMessages">The number of messages.</param>
+    /// <exception cref="AzuriteServiceException">Thrown if the number of messages is not valid.</exception>
+    internal static void ValidateMaxMessages(int maxMessages)
+    {
+        if (maxMessages < 1 || maxMessages > MaxQueueMessages)
+        {
+            throw new AzuriteServiceException($"The number of messages must be between 1 and {MaxQueueMessages}.") { StatusCode = StatusCodes.Status400BadRequest };
+        }
+    }
+
+    /// <summary>
+    /// Throws an exception if the pop receipt is not valid.
+    /// </summary>
+    /// <param name="popReceipt">The pop receipt to validate.</param>
+    /// <exception cref="AzuriteServiceException">Thrown if the pop receipt is invalid.</exception>
+    internal static void ValidatePopReceipt(string popReceipt)
+    {
+        if (string.IsNullOrWhiteSpace(popReceipt))
+        {
+            throw new AzuriteServiceException("A pop receipt must be provided; receive the message first.") { StatusCode = StatusCodes.Status400BadRequest };
+        }
+    }
+
+    /// <summary>
+    /// Throws an exception if the queue name is not valid.
+    /// </summary>
+    /// <param name="queueName">The name of the queue to validate.</param>
+    /// <exception cref="AzuriteServiceException">Thrown if the queue name is invalid.</exception>
+    internal static void ValidateQueueName(string queueName)
+    {
+        if (string.IsNullOrWhiteSpace(queueName))
+        {
+            throw new AzuriteServiceException("Queue name must be provided.") { StatusCode = StatusCodes.Status400BadRequest };
+        }
+    }
 }
\ No newline at end of file
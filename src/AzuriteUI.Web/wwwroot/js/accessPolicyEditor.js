@@ -0,0 +1,368 @@
+/**
+ * AccessPolicyEditor - Edits the public access level and the stored access policies of a container.
+ *
+ * Usage:
+ *   const editor = new AccessPolicyEditor('accessPolicyEditor', container);
+ *   editor.addEventListener('policy:saved', (e) => console.log(e.detail.container.publicAccess));
+ *   await editor.render();
+ *
+ * The access policy is read from /api/containers/{container}/acl each time the editor is rendered, and
+ * saved back in a single request.  The container's ETag is sent as If-Match, so the save is refused if
+ * the container has changed since it was loaded.  As in Azure Storage, a container can have at most five
+ * stored access policies, each with a unique identifier of up to 64 characters.
+ *
+ * Events:
+ *   - policy:loaded: { accessPolicy }
+ *   - policy:saved: { container }
+ */
+class AccessPolicyEditor extends EventTarget {
+    /**
+     * The most stored access policies that a container can have
+     * @type {number}
+     */
+    static MAX_POLICIES = 5;
+
+    /**
+     * The public access levels that can be chosen
+     * @type {Array<{value: string, label: string}>}
+     */
+    static PUBLIC_ACCESS_LEVELS = [
+        { value: 'none', label: 'Private (no anonymous access)' },
+        { value: 'blob', label: 'Blob (anonymous read access for blobs only)' },
+        { value: 'container', label: 'Container (anonymous read access for blobs and the blob list)' }
+    ];
+
+    /**
+     * The permissions that a stored access policy can grant, in their canonical order
+     * @type {Array<{value: string, label: string}>}
+     */
+    static PERMISSIONS = [
+        { value: 'r', label: 'Read' },
+        { value: 'a', label: 'Add' },
+        { value: 'c', label: 'Create' },
+        { value: 'w', label: 'Write' },
+        { value: 'd', label: 'Delete' },
+        { value: 'x', label: 'Delete version' },
+        { value: 'l', label: 'List' },
+        { value: 't', label: 'Tags' }
+    ];
+
+    /**
+     * Creates a new AccessPolicyEditor instance
+     * @param {string} containerId - The ID of the element to render into
+     * @param {Object} container - The container (a ContainerDTO from the API)
+     */
+    constructor(containerId, container) {
+        super();
+        this.containerId = containerId;
+        this.storageContainer = container;
+        this.container = null;
+        this.publicAccess = container.publicAccess || 'none';
+        this.policies = [];
+    }
+
+    /**
+     * The API URL of the container's access policy
+     * @returns {string}
+     */
+    get apiUrl() {
+        return `/api/containers/${encodeURIComponent(this.storageContainer.name)}/acl`;
+    }
+
+    /**
+     * Loads the access policy and renders the editor
+     */
+    async render() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.error(`Container with id "${this.containerId}" not found`);
+            return;
+        }
+
+        this.container.innerHTML = '<div class="text-muted small"><span class="spinner-border spinner-border-sm me-1"></span> Loading...</div>';
+
+        try {
+            const response = await fetch(this.apiUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const accessPolicy = await response.json();
+            this.publicAccess = accessPolicy.publicAccess || 'none';
+            this.policies = (accessPolicy.storedAccessPolicies || []).map(p => ({ ...p }));
+            this.dispatchEvent(new CustomEvent('policy:loaded', { detail: { accessPolicy } }));
+        } catch (error) {
+            console.error('Error loading access policy:', error);
+            this.container.innerHTML = `<div class="text-danger small" data-testid="acl-load-error">Failed to load the access policy: ${AccessPolicyEditor.escapeHtml(error.message)}</div>`;
+            return;
+        }
+
+        const levels = AccessPolicyEditor.PUBLIC_ACCESS_LEVELS
+            .map(l => `<option value="${l.value}" ${l.value === this.publicAccess ? 'selected' : ''}>${l.label}</option>`)
+            .join('');
+
+        this.container.innerHTML = `
+            <form class="access-policy-editor-form" novalidate>
+                <div class="mb-3">
+                    <label for="${this.containerId}PublicAccess" class="form-label">Public access level</label>
+                    <select id="${this.containerId}PublicAccess" name="publicAccess" class="form-select form-select-sm" data-testid="acl-public-access">
+                        ${levels}
+                    </select>
+                </div>
+                <div class="d-flex align-items-center mb-2">
+                    <div class="form-label mb-0 me-auto">Stored access policies <span class="text-muted small" data-testid="acl-policy-count"></span></div>
+                    <button type="button" class="btn btn-outline-primary btn-sm" data-action="add" data-testid="acl-add-policy">
+                        <i class="bi bi-plus-lg me-1"></i> Add policy
+                    </button>
+                </div>
+                <div class="access-policy-list mb-2" data-testid="acl-policy-list"></div>
+                <div class="form-text mb-3">
+                    A SAS linked to a stored access policy takes any permissions, start and expiry that it does not set itself
+                    from the policy.  Changing or removing a policy changes or revokes every SAS linked to it.  In Azure Storage,
+                    changes can take up to 30 seconds to apply.
+                </div>
+                <div class="text-danger small mb-2 d-none" data-testid="acl-error"></div>
+                <button type="submit" class="btn btn-primary btn-sm" data-testid="acl-save">
+                    <i class="bi bi-shield-check me-1"></i> Save access policy
+                </button>
+            </form>
+        `;
+
+        const form = this.container.querySelector('form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        form.addEventListener('click', (e) => this._handleClick(e));
+        this._renderPolicies();
+    }
+
+    /**
+     * Reads the form into the request for the access policy API
+     * @returns {Object} The request (a ContainerAccessPolicyDTO)
+     */
+    getRequest() {
+        this._readPolicies();
+        return {
+            publicAccess: this.container.querySelector('[data-testid="acl-public-access"]').value,
+            storedAccessPolicies: this.policies.map(p => ({
+                id: p.id,
+                permissions: p.permissions,
+                startsOn: p.startsOn || null,
+                expiresOn: p.expiresOn || null
+            }))
+        };
+    }
+
+    /**
+     * Checks the stored access policies against the rules of Azure Storage
+     * @param {Object} request - The request (a ContainerAccessPolicyDTO)
+     * @returns {string|null} The first problem found, or null if the request is valid
+     */
+    static validate(request) {
+        const policies = request.storedAccessPolicies;
+        if (policies.length > AccessPolicyEditor.MAX_POLICIES) {
+            return `A container can have at most ${AccessPolicyEditor.MAX_POLICIES} stored access policies.`;
+        }
+
+        const ids = new Set();
+        for (const policy of policies) {
+            if (!policy.id || policy.id.length > 64) {
+                return 'Each stored access policy must have an identifier of 1 to 64 characters.';
+            }
+            if (ids.has(policy.id)) {
+                return `The identifier '${policy.id}' is used more than once.`;
+            }
+            ids.add(policy.id);
+
+            if (policy.startsOn && policy.expiresOn && new Date(policy.expiresOn) <= new Date(policy.startsOn)) {
+                return `The expiry of '${policy.id}' must be after its start.`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Saves the access policy
+     * @returns {Promise<Object|null>} The updated container (a ContainerDTO), or null if it was not saved
+     */
+    async save() {
+        const request = this.getRequest();
+        const problem = AccessPolicyEditor.validate(request);
+        this._showError(problem);
+        if (problem) {
+            return null;
+        }
+
+        const button = this.container.querySelector('[data-testid="acl-save"]');
+        button.disabled = true;
+
+        try {
+            const response = await fetch(this.apiUrl, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${this.storageContainer.eTag}"`
+                },
+                body: JSON.stringify(request)
+            });
+
+            if (response.status === 412) {
+                Toast.warning('The container has been changed since it was loaded; please refresh and try again');
+                return null;
+            }
+            if (!response.ok) {
+                const problem = await response.json().catch(() => ({}));
+                this._showError(problem.detail || problem.title || `Failed to save the access policy (HTTP ${response.status})`);
+                return null;
+            }
+
+            this.storageContainer = await response.json();
+            Toast.success('Access policy updated successfully');
+            this.dispatchEvent(new CustomEvent('policy:saved', { detail: { container: this.storageContainer } }));
+            return this.storageContainer;
+        } catch (error) {
+            console.error('Error saving access policy:', error);
+            this._showError('Failed to save the access policy. Please try again.');
+            return null;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Renders the list of stored access policies
+     * @private
+     */
+    _renderPolicies() {
+        const list = this.container.querySelector('.access-policy-list');
+        list.innerHTML = this.policies.length === 0
+            ? '<div class="text-muted small" data-testid="acl-no-policies">This container has no stored access policies.</div>'
+            : this.policies.map((policy, index) => this._renderPolicy(policy, index)).join('');
+
+        this.container.querySelector('[data-testid="acl-policy-count"]').textContent = `(${this.policies.length} of ${AccessPolicyEditor.MAX_POLICIES})`;
+        this.container.querySelector('[data-testid="acl-add-policy"]').disabled = this.policies.length >= AccessPolicyEditor.MAX_POLICIES;
+    }
+
+    /**
+     * Renders one stored access policy
+     * @param {Object} policy - The policy (a StoredAccessPolicyDTO)
+     * @param {number} index - The position of the policy in the list
+     * @returns {string} The HTML for the policy
+     * @private
+     */
+    _renderPolicy(policy, index) {
+        const prefix = `${this.containerId}Policy${index}`;
+        const permissions = AccessPolicyEditor.PERMISSIONS
+            .map(p => `
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input" type="checkbox" id="${prefix}Perm${p.value}" value="${p.value}"
+                           ${(policy.permissions || '').includes(p.value) ? 'checked' : ''} data-field="permission">
+                    <label class="form-check-label small" for="${prefix}Perm${p.value}">${p.label}</label>
+                </div>`)
+            .join('');
+
+        return `
+            <div class="card card-body p-2 mb-2" data-index="${index}" data-testid="acl-policy">
+                <div class="d-flex gap-2 mb-2">
+                    <input type="text" class="form-control form-control-sm" maxlength="64" placeholder="Identifier"
+                           value="${AccessPolicyEditor.escapeHtml(policy.id)}" aria-label="Identifier" data-field="id" data-testid="acl-policy-id">
+                    <button type="button" class="btn btn-outline-danger btn-sm" data-action="remove" title="Remove policy" aria-label="Remove policy" data-testid="acl-remove-policy">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </div>
+                <div class="mb-2">${permissions}</div>
+                <div class="row g-2">
+                    <div class="col-sm-6">
+                        <label for="${prefix}Start" class="form-label small mb-1">Start</label>
+                        <input type="datetime-local" id="${prefix}Start" class="form-control form-control-sm"
+                               value="${AccessPolicyEditor.toLocalInputValue(policy.startsOn)}" data-field="startsOn" data-testid="acl-policy-start">
+                    </div>
+                    <div class="col-sm-6">
+                        <label for="${prefix}Expiry" class="form-label small mb-1">Expiry</label>
+                        <input type="datetime-local" id="${prefix}Expiry" class="form-control form-control-sm"
+                               value="${AccessPolicyEditor.toLocalInputValue(policy.expiresOn)}" data-field="expiresOn" data-testid="acl-policy-expiry">
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Reads the stored access policies from the form, so that edits survive a re-render
+     * @private
+     */
+    _readPolicies() {
+        const toIso = (value) => value ? new Date(value).toISOString() : null;
+
+        this.policies = [...this.container.querySelectorAll('[data-testid="acl-policy"]')].map(item => ({
+            id: item.querySelector('[data-field="id"]').value.trim(),
+            permissions: [...item.querySelectorAll('[data-field="permission"]:checked')].map(cb => cb.value).join(''),
+            startsOn: toIso(item.querySelector('[data-field="startsOn"]').value),
+            expiresOn: toIso(item.querySelector('[data-field="expiresOn"]').value)
+        }));
+    }
+
+    /**
+     * Handles clicks on the add and remove buttons
+     * @param {MouseEvent} e - The click event
+     * @private
+     */
+    _handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) {
+            return;
+        }
+
+        this._readPolicies();
+        switch (button.dataset.action) {
+            case 'add':
+                if (this.policies.length < AccessPolicyEditor.MAX_POLICIES) {
+                    this.policies.push({ id: '', permissions: 'r', startsOn: null, expiresOn: null });
+                }
+                break;
+            case 'remove':
+                this.policies.splice(parseInt(button.closest('[data-index]').dataset.index, 10), 1);
+                break;
+        }
+        this._renderPolicies();
+    }
+
+    /**
+     * Shows (or hides) an error below the form
+     * @param {string|null} message - The message, or null to hide the error
+     * @private
+     */
+    _showError(message) {
+        const error = this.container.querySelector('[data-testid="acl-error"]');
+        error.textContent = message || '';
+        error.classList.toggle('d-none', !message);
+    }
+
+    /**
+     * Formats a date for a datetime-local input, in the local time zone
+     * @param {string|null} value - The date, as an ISO 8601 string
+     * @returns {string} The date as yyyy-MM-ddTHH:mm, or an empty string if there is no date
+     */
+    static toLocalInputValue(value) {
+        if (!value) {
+            return '';
+        }
+
+        const date = new Date(value);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - The text to escape
+     * @returns {string} The escaped text
+     */
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
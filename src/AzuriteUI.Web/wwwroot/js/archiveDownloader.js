@@ -0,0 +1,203 @@
+/**
+ * ArchiveDownloader - Downloads a set of blobs, or a virtual folder, as a single ZIP archive.
+ *
+ * Usage:
+ *   const downloader = new ArchiveDownloader(containerName, { blobNames: ['a.txt', 'b/c.txt'] });
+ *   // or: new ArchiveDownloader(containerName, { prefix: 'photos/2024/' });
+ *   downloader.addEventListener('archive:progress', (e) => console.log(e.detail.percent));
+ *   await downloader.download();
+ *
+ * The archive is streamed from the server as it is built.  Where the browser supports the File System
+ * Access API, the user picks where to save the archive and it is written straight to disk; otherwise, it
+ * is collected in the browser and saved once complete.  Since the picker needs a user gesture, download()
+ * should be called directly from a click handler.
+ *
+ * The state property is one of idle, downloading, done, error or cancelled.
+ *
+ * Events:
+ *   - archive:start: { fileName, totalBytes }
+ *   - archive:progress: { percent, receivedBytes, totalBytes }
+ *   - archive:complete: { fileName, receivedBytes }
+ *   - archive:error: { error, message }
+ *   - archive:cancelled: {}
+ */
+class ArchiveDownloader extends EventTarget {
+    /**
+     * Creates a new ArchiveDownloader instance
+     * @param {string} containerName - The name of the container holding the blobs
+     * @param {Object} request - The blobs to include in the archive
+     * @param {string[]} request.blobNames - The names of the blobs to include
+     * @param {string} request.prefix - The virtual folder to include, when no blob names are given
+     */
+    constructor(containerName, request = {}) {
+        super();
+        this.containerName = containerName;
+        this.blobNames = request.blobNames || null;
+        this.prefix = request.prefix || '';
+        this.state = 'idle';
+        this.fileName = ArchiveDownloader.fileNameFor(containerName, this.blobNames ? '' : this.prefix);
+        this.receivedBytes = 0;
+        this.totalBytes = 0;
+        this.abortController = null;
+    }
+
+    /**
+     * Whether the archive is being downloaded
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.state === 'downloading';
+    }
+
+    /**
+     * Determines the default file name for an archive; this matches the name chosen by the server
+     * @param {string} containerName - The name of the container
+     * @param {string} prefix - The virtual folder being downloaded, if any
+     * @returns {string} The file name
+     */
+    static fileNameFor(containerName, prefix) {
+        const folder = (prefix || '').split('/').filter(Boolean).join('-');
+        return folder ? `${containerName}-${folder}.zip` : `${containerName}.zip`;
+    }
+
+    /**
+     * Downloads the archive
+     * @returns {Promise<boolean|undefined>} True once the archive has been saved, or undefined if it was cancelled
+     */
+    async download() {
+        let writable = null;
+
+        try {
+            this.state = 'downloading';
+            this.abortController = new AbortController();
+
+            // Step 1: Ask where to save the archive, while the user gesture is still active
+            if (window.showSaveFilePicker) {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName: this.fileName,
+                    types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+                });
+                writable = await handle.createWritable();
+            }
+
+            // Step 2: Request the archive
+            const response = await fetch(`/api/containers/${encodeURIComponent(this.containerName)}/archive`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.blobNames ? { blobNames: this.blobNames } : { prefix: this.prefix }),
+                signal: this.abortController.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(response.status === 404
+                    ? 'There are no blobs to download'
+                    : `Failed to download the archive (HTTP ${response.status})`);
+            }
+
+            this.totalBytes = parseInt(response.headers.get('X-Archive-Content-Length') || '0', 10);
+            this.dispatchEvent(new CustomEvent('archive:start', {
+                detail: { fileName: this.fileName, totalBytes: this.totalBytes }
+            }));
+
+            // Step 3: Stream the archive to disk, or into memory
+            const chunks = [];
+            const reader = response.body.getReader();
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    break;
+                }
+
+                if (writable) {
+                    await writable.write(value);
+                } else {
+                    chunks.push(value);
+                }
+                this.receivedBytes += value.length;
+                this._reportProgress();
+            }
+
+            // Step 4: Save the archive
+            if (writable) {
+                await writable.close();
+                writable = null;
+            } else {
+                this._save(new Blob(chunks, { type: 'application/zip' }));
+            }
+            this.state = 'done';
+
+            this.dispatchEvent(new CustomEvent('archive:complete', {
+                detail: { fileName: this.fileName, receivedBytes: this.receivedBytes }
+            }));
+
+            return true;
+        } catch (error) {
+            if (writable) {
+                await writable.abort().catch(() => {
+                    // Ignore cleanup errors
+                });
+            }
+
+            // Closing the save picker, or cancelling the download, is not an error
+            if (error.name === 'AbortError') {
+                this.state = 'cancelled';
+                this.dispatchEvent(new CustomEvent('archive:cancelled', { detail: {} }));
+                return;
+            }
+
+            this.state = 'error';
+            this.dispatchEvent(new CustomEvent('archive:error', {
+                detail: {
+                    error,
+                    message: error.message || 'Download failed'
+                }
+            }));
+
+            throw error;
+        }
+    }
+
+    /**
+     * Cancels the download
+     */
+    cancel() {
+        if (this.state !== 'downloading') {
+            return;
+        }
+
+        this.abortController?.abort();
+    }
+
+    /**
+     * Reports the download progress.  The archive is slightly larger than the blobs it holds,
+     * so the percentage is capped until the download is complete.
+     * @private
+     */
+    _reportProgress() {
+        const percent = this.totalBytes > 0
+            ? Math.min(99, Math.round(this.receivedBytes / this.totalBytes * 100))
+            : 0;
+
+        this.dispatchEvent(new CustomEvent('archive:progress', {
+            detail: { percent, receivedBytes: this.receivedBytes, totalBytes: this.totalBytes }
+        }));
+    }
+
+    /**
+     * Saves a downloaded archive through a temporary link
+     * @param {Blob} blob - The archive
+     * @private
+     */
+    _save(blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser time to start the download before releasing the archive
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+}
@@ -0,0 +1,498 @@
+/**
+ * BlobEditor - Edits the content of a text blob in place, saving it through BlobUploader.
+ *
+ * Usage:
+ *   if (BlobEditor.isEditable(blob)) {
+ *       const editor = new BlobEditor('blobEditor', containerName, blob);
+ *       editor.addEventListener('editor:saved', (e) => console.log('Saved', e.detail.blob));
+ *       editor.addEventListener('editor:conflict', (e) => showConflictDialog(e.detail));
+ *       await editor.render();
+ *       await editor.save();
+ *   }
+ *
+ * Saving sends the ETag of the blob that was loaded as If-Match, so a blob that was changed by
+ * someone else in the meantime is not overwritten.  Instead, editor:conflict is raised and the
+ * caller can reload() (discarding the edits), overwrite() (replacing the other change) or
+ * diff() (comparing the edits with the blob as it is now).
+ *
+ * JSON, JSON lines and XML content is validated before it is saved.  BlobUploader (and md5.js)
+ * must be loaded before this file.
+ *
+ * Events:
+ *   - editor:loaded: { blob }
+ *   - editor:changed: { dirty }
+ *   - editor:saved: { blob: BlobDTO }
+ *   - editor:conflict: { error }
+ *   - editor:error: { error, message }
+ */
+class BlobEditor extends EventTarget {
+    /**
+     * Creates a new BlobEditor instance
+     * @param {string} editorId - The ID of the element to render into
+     * @param {string} containerName - The name of the container holding the blob
+     * @param {Object} blob - The blob (a BlobDTO from the API)
+     * @param {Object} options - Optional configuration
+     * @param {number} options.maxSize - Largest blob that can be edited (default: BlobEditor.MAX_SIZE)
+     * @param {number} options.tabSize - Number of spaces inserted by the Tab key (default: 2)
+     */
+    constructor(editorId, containerName, blob, options = {}) {
+        super();
+        this.editorId = editorId;
+        this.containerName = containerName;
+        this.blob = blob;
+        this.maxSize = options.maxSize || BlobEditor.MAX_SIZE;
+        this.tabSize = options.tabSize || 2;
+        this.language = BlobEditor.languageOf(blob);
+
+        this.container = null;
+        this.textarea = null;
+        this.originalText = '';
+        this.isSaving = false;
+        this._abortController = new AbortController();
+    }
+
+    /**
+     * Determines whether a blob can be edited: it must be a plain (not encoded) text blob that is
+     * small enough to load into the page
+     * @param {Object} blob - The blob (a BlobDTO from the API)
+     * @param {number} maxSize - Largest blob that can be edited (default: BlobEditor.MAX_SIZE)
+     * @returns {boolean} True if the blob can be edited
+     */
+    static isEditable(blob, maxSize = BlobEditor.MAX_SIZE) {
+        if ((blob.contentLength || 0) > maxSize || blob.contentEncoding || (blob.blobType || 'block') !== 'block') {
+            return false;
+        }
+
+        const type = (blob.contentType || '').split(';')[0].trim().toLowerCase();
+        const extension = blob.name.includes('.') ? blob.name.split('.').pop().toLowerCase() : '';
+        if (!type || type === 'application/octet-stream') {
+            return BlobEditor.TEXT_EXTENSIONS.includes(extension);
+        }
+
+        return type.startsWith('text/')
+            || BlobEditor.TEXT_TYPES.includes(type)
+            || type.endsWith('+json')
+            || type.endsWith('+xml');
+    }
+
+    /**
+     * Works out which validation applies to a blob
+     * @param {Object} blob - The blob (a BlobDTO from the API)
+     * @returns {'json'|'ndjson'|'xml'|'text'} The language of the content
+     */
+    static languageOf(blob) {
+        const type = (blob.contentType || '').split(';')[0].trim().toLowerCase();
+        const extension = blob.name.includes('.') ? blob.name.split('.').pop().toLowerCase() : '';
+
+        if (['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/x-jsonlines'].includes(type)
+            || ['ndjson', 'jsonl'].includes(extension)) {
+            return 'ndjson';
+        }
+        if (type === 'application/json' || type.endsWith('+json') || extension === 'json') {
+            return 'json';
+        }
+        if (['application/xml', 'text/xml'].includes(type) || type.endsWith('+xml') || ['xml', 'xsd', 'xsl', 'svg', 'config'].includes(extension)) {
+            return 'xml';
+        }
+        return 'text';
+    }
+
+    /**
+     * Checks that text is well-formed for its language
+     * @param {string} text - The text to check
+     * @param {string} language - The language (see languageOf)
+     * @returns {string|null} A description of the problem, or null if the text is valid
+     */
+    static validate(text, language) {
+        switch (language) {
+            case 'json':
+                try {
+                    JSON.parse(text);
+                    return null;
+                } catch (error) {
+                    return `Invalid JSON: ${error.message}`;
+                }
+
+            case 'ndjson': {
+                const lines = text.split('\n');
+                for (let i = 0; i < lines.length; i++) {
+                    if (lines[i].trim() === '') {
+                        continue;
+                    }
+                    try {
+                        JSON.parse(lines[i]);
+                    } catch (error) {
+                        return `Invalid JSON on line ${i + 1}: ${error.message}`;
+                    }
+                }
+                return null;
+            }
+
+            case 'xml': {
+                const document = new DOMParser().parseFromString(text, 'application/xml');
+                const error = document.getElementsByTagName('parsererror')[0];
+                return error ? `Invalid XML: ${error.textContent.trim().split('\n')[0]}` : null;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Compares two texts line by line
+     * @param {string} before - The original text
+     * @param {string} after - The changed text
+     * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} The lines of both texts, in order
+     */
+    static diffLines(before, after) {
+        const a = before.split('\n');
+        const b = after.split('\n');
+
+        // Lines that are the same at the start and end are not part of the comparison
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const result = a.slice(0, start).map(text => ({ type: 'same', text }));
+        const middleA = a.slice(start, endA);
+        const middleB = b.slice(start, endB);
+
+        if (middleA.length * middleB.length > BlobEditor.MAX_DIFF_CELLS) {
+            // Too large to compare line by line, so show the whole block as replaced
+            result.push(...middleA.map(text => ({ type: 'removed', text })));
+            result.push(...middleB.map(text => ({ type: 'added', text })));
+        } else {
+            // Longest common subsequence, filled in from the end so the walk below goes forwards
+            const rows = middleA.length;
+            const cols = middleB.length;
+            const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+            for (let i = rows - 1; i >= 0; i--) {
+                for (let j = cols - 1; j >= 0; j--) {
+                    lengths[i][j] = middleA[i] === middleB[j]
+                        ? lengths[i + 1][j + 1] + 1
+                        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+
+            let i = 0;
+            let j = 0;
+            while (i < rows || j < cols) {
+                if (i < rows && j < cols && middleA[i] === middleB[j]) {
+                    result.push({ type: 'same', text: middleA[i++] });
+                    j++;
+                } else if (i < rows && (j === cols || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                    result.push({ type: 'removed', text: middleA[i++] });
+                } else {
+                    result.push({ type: 'added', text: middleB[j++] });
+                }
+            }
+        }
+
+        result.push(...a.slice(endA).map(text => ({ type: 'same', text })));
+        return result;
+    }
+
+    /**
+     * Whether the text has been changed since it was loaded
+     * @returns {boolean} True if there are unsaved changes
+     */
+    get isDirty() {
+        return this.textarea !== null && this.textarea.value !== this.originalText;
+    }
+
+    /**
+     * Renders the editor and loads the blob content into it
+     */
+    async render() {
+        this.container = document.getElementById(this.editorId);
+        if (!this.container) {
+            console.error(`Container with id "${this.editorId}" not found`);
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="blob-editor" data-language="${this.language}">
+                <div class="blob-editor-body">
+                    <pre class="blob-editor-gutter" aria-hidden="true"></pre>
+                    <textarea class="blob-editor-text" spellcheck="false" wrap="off" disabled
+                              aria-label="Content of ${BlobPreview.escapeHtml(this.blob.name)}" data-testid="blob-editor-text"></textarea>
+                </div>
+                <div class="blob-editor-status small" data-testid="blob-editor-status"></div>
+            </div>
+        `;
+
+        this.textarea = this.container.querySelector('.blob-editor-text');
+        this.gutter = this.container.querySelector('.blob-editor-gutter');
+        this.status = this.container.querySelector('.blob-editor-status');
+        this._attachEventListeners();
+
+        await this.reload();
+    }
+
+    /**
+     * Loads the latest version of the blob, discarding any edits
+     */
+    async reload() {
+        this.textarea.disabled = true;
+        this._setStatus('Loading...', 'text-muted');
+
+        try {
+            const blobUrl = `/api/containers/${encodeURIComponent(this.containerName)}/blobs/${encodeURIComponent(this.blob.name)}`;
+            const blobResponse = await fetch(blobUrl, { signal: this._abortController.signal });
+            if (!blobResponse.ok) {
+                throw new Error(`the blob could not be loaded (${blobResponse.status})`);
+            }
+            const blob = await blobResponse.json();
+
+            if (!BlobEditor.isEditable(blob, this.maxSize)) {
+                throw new Error(`the blob is larger than ${formatFileSize(this.maxSize)} or is no longer a text blob`);
+            }
+
+            const text = await this._fetchText();
+            this.blob = blob;
+            this.originalText = text;
+            this.textarea.value = text;
+            this.textarea.disabled = false;
+            this._updateGutter();
+            this._setStatus('', '');
+
+            this.dispatchEvent(new CustomEvent('editor:loaded', { detail: { blob } }));
+            this.dispatchEvent(new CustomEvent('editor:changed', { detail: { dirty: false } }));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return;
+            }
+            this._setStatus(`Unable to load the content: ${error.message}`, 'text-danger');
+            this._dispatchError(error);
+        }
+    }
+
+    /**
+     * Saves the edits, provided nobody else has changed the blob since it was loaded
+     * @returns {Promise<Object|null>} The saved blob, or null if it was not saved
+     */
+    async save() {
+        return this._save(this.blob.eTag);
+    }
+
+    /**
+     * Saves the edits, replacing any changes that were made by someone else
+     * @returns {Promise<Object|null>} The saved blob, or null if it was not saved
+     */
+    async overwrite() {
+        return this._save('*');
+    }
+
+    /**
+     * Compares the blob as it is now with the edits
+     * @returns {Promise<Array<{type: string, text: string}>>} The differences (see diffLines)
+     */
+    async diff() {
+        const current = await this._fetchText();
+        return BlobEditor.diffLines(current, this.textarea.value);
+    }
+
+    /**
+     * Renders the result of diff() as HTML
+     * @param {Array<{type: string, text: string}>} lines - The differences
+     * @returns {string} The HTML
+     */
+    static renderDiff(lines) {
+        if (!lines.some(line => line.type !== 'same')) {
+            return '<p class="text-muted small mb-0">Your edits are the same as the current content.</p>';
+        }
+
+        const markers = { same: ' ', added: '+', removed: '-' };
+        const html = lines.map(line =>
+            `<div class="blob-diff-${line.type}">${markers[line.type]} ${BlobPreview.escapeHtml(line.text)}</div>`
+        ).join('');
+        return `<pre class="blob-diff" data-testid="blob-diff">${html}</pre>`;
+    }
+
+    /**
+     * Stops any downloads or uploads, and clears the editor
+     */
+    dispose() {
+        this._abortController.abort();
+        if (this._uploader) {
+            this._uploader.cancel().catch(() => {
+                // Ignore cancellation errors
+            });
+            this._uploader = null;
+        }
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        this.textarea = null;
+    }
+
+    /**
+     * Validates and uploads the text
+     * @param {string} ifMatch - The If-Match value to send
+     * @private
+     */
+    async _save(ifMatch) {
+        if (this.isSaving || !this.textarea || this.textarea.disabled) {
+            return null;
+        }
+
+        const text = this.textarea.value;
+        const problem = BlobEditor.validate(text, this.language);
+        if (problem) {
+            this._setStatus(problem, 'text-danger');
+            return null;
+        }
+
+        this.isSaving = true;
+        this.textarea.readOnly = true;
+        this._setStatus('Saving...', 'text-muted');
+
+        try {
+            const file = new File([text], this.blob.name.split('/').pop(), {
+                type: this.blob.contentType || 'text/plain'
+            });
+            this._uploader = new BlobUploader(this.containerName, file, {
+                blobName: this.blob.name,
+                metadata: this.blob.metadata || {},
+                tags: this.blob.tags || {},
+                ifMatch
+            });
+
+            const blob = await this._uploader.upload();
+            if (!blob) {
+                // The upload was cancelled
+                return null;
+            }
+
+            this.blob = blob;
+            this.originalText = text;
+            this._setStatus('Saved', 'text-success');
+
+            this.dispatchEvent(new CustomEvent('editor:saved', { detail: { blob } }));
+            this.dispatchEvent(new CustomEvent('editor:changed', { detail: { dirty: this.isDirty } }));
+            return blob;
+        } catch (error) {
+            if (error.status === 412) {
+                this._setStatus('The blob has been changed by someone else since it was loaded.', 'text-warning');
+                this.dispatchEvent(new CustomEvent('editor:conflict', { detail: { error } }));
+            } else {
+                this._setStatus(`Unable to save: ${error.message}`, 'text-danger');
+                this._dispatchError(error);
+            }
+            return null;
+        } finally {
+            this._uploader = null;
+            this.isSaving = false;
+            if (this.textarea) {
+                this.textarea.readOnly = false;
+            }
+        }
+    }
+
+    /**
+     * Downloads the content of the blob as text
+     * @returns {Promise<string>} The content
+     * @private
+     */
+    async _fetchText() {
+        const contentUrl = `/api/containers/${encodeURIComponent(this.containerName)}/blobs/${encodeURIComponent(this.blob.name)}/content?disposition=inline`;
+        const response = await fetch(contentUrl, {
+            cache: 'no-store',
+            signal: this._abortController.signal
+        });
+        if (!response.ok) {
+            throw new Error(`the content could not be loaded (${response.status})`);
+        }
+        return await response.text();
+    }
+
+    /**
+     * Wires up the editing keys, line numbers and change tracking
+     * @private
+     */
+    _attachEventListeners() {
+        let wasDirty = false;
+        this.textarea.addEventListener('input', () => {
+            this._updateGutter();
+            if (this.isDirty !== wasDirty) {
+                wasDirty = this.isDirty;
+                this.dispatchEvent(new CustomEvent('editor:changed', { detail: { dirty: wasDirty } }));
+            }
+        });
+
+        this.textarea.addEventListener('scroll', () => {
+            this.gutter.scrollTop = this.textarea.scrollTop;
+        });
+
+        this.textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab' && !e.shiftKey && !e.ctrlKey && !e.altKey && !e.metaKey) {
+                // Indent rather than moving the focus out of the editor
+                e.preventDefault();
+                document.execCommand('insertText', false, ' '.repeat(this.tabSize));
+            } else if (e.key === 's' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.save();
+            }
+        });
+    }
+
+    /**
+     * Updates the line numbers to match the text
+     * @private
+     */
+    _updateGutter() {
+        const lineCount = this.textarea.value.split('\n').length;
+        if (this.gutter.dataset.lines !== String(lineCount)) {
+            this.gutter.dataset.lines = String(lineCount);
+            this.gutter.textContent = Array.from({ length: lineCount }, (_, i) => i + 1).join('\n');
+        }
+        this.gutter.scrollTop = this.textarea.scrollTop;
+    }
+
+    /**
+     * Shows a message below the editor
+     * @private
+     */
+    _setStatus(message, className) {
+        this.status.className = `blob-editor-status small ${className}`;
+        this.status.textContent = message;
+    }
+
+    /**
+     * Dispatches an editor:error event
+     * @private
+     */
+    _dispatchError(error) {
+        this.dispatchEvent(new CustomEvent('editor:error', {
+            detail: { error, message: error.message || 'An error occurred in the editor' }
+        }));
+    }
+}
+
+/** Largest blob that can be edited */
+BlobEditor.MAX_SIZE = 5 * 1024 * 1024;
+
+/** Largest comparison (lines before x lines after) that diffLines does line by line */
+BlobEditor.MAX_DIFF_CELLS = 4 * 1000 * 1000;
+
+/** Content types, other than text/*, that are edited as text */
+BlobEditor.TEXT_TYPES = [
+    'application/json', 'application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/x-jsonlines',
+    'application/xml', 'application/javascript', 'application/x-javascript', 'application/ecmascript',
+    'application/yaml', 'application/x-yaml', 'application/toml', 'application/x-sh', 'application/sql',
+    'application/graphql', 'image/svg+xml'
+];
+
+/** File extensions edited as text when the blob has no useful content type */
+BlobEditor.TEXT_EXTENSIONS = [
+    'txt', 'md', 'json', 'ndjson', 'jsonl', 'xml', 'csv', 'tsv', 'log', 'yml', 'yaml', 'toml', 'ini', 'config',
+    'html', 'htm', 'css', 'js', 'ts', 'sql', 'sh', 'ps1', 'cs', 'py', 'svg'
+];
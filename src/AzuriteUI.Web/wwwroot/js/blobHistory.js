@@ -0,0 +1,281 @@
+/**
+ * BlobHistory - Lists the snapshots of a blob, and lets the user preview, download or restore them.
+ *
+ * Usage:
+ *   const history = new BlobHistory('blobHistory', blob);
+ *   history.addEventListener('history:promoted', (e) => showInfoPanel(e.detail.blob));
+ *   await history.render();
+ *   history.dispose();   // when the history is closed; stops any preview
+ *
+ * The snapshots are read from /api/containers/{container}/blobs/{blob}/snapshots each time the history
+ * is rendered.  Previews use BlobPreview with the snapshot content URL, and dates are shown with
+ * formatDateWithTooltip, so blobPreview.js and dateFormatter.js must be loaded as well.
+ *
+ * Events:
+ *   - history:loaded: { snapshots }
+ *   - history:created: { snapshot }
+ *   - history:promoted: { blob, snapshot }
+ */
+class BlobHistory extends EventTarget {
+    /**
+     * Creates a new BlobHistory instance
+     * @param {string} containerId - The ID of the element to render into
+     * @param {Object} blob - The blob (a BlobDTO from the API)
+     */
+    constructor(containerId, blob) {
+        super();
+        this.containerId = containerId;
+        this.blob = blob;
+        this.container = null;
+        this.snapshots = [];
+        this.preview = null;
+        this._abortController = new AbortController();
+    }
+
+    /**
+     * The base URL of the blob in the API
+     * @returns {string}
+     */
+    get blobUrl() {
+        return `/api/containers/${encodeURIComponent(this.blob.containerName)}/blobs/${encodeURIComponent(this.blob.name)}`;
+    }
+
+    /**
+     * Gets the content URL of a snapshot
+     * @param {Object} snapshot - The snapshot (a BlobSnapshotDTO from the API)
+     * @param {string} disposition - Either 'inline' or 'attachment'
+     * @returns {string} The URL
+     */
+    contentUrl(snapshot, disposition) {
+        return `${this.blobUrl}/content?snapshot=${encodeURIComponent(snapshot.snapshot)}&disposition=${disposition}`;
+    }
+
+    /**
+     * Loads the snapshots and renders the history
+     */
+    async render() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.error(`Container with id "${this.containerId}" not found`);
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="d-flex align-items-center mb-2">
+                <span class="text-muted small me-auto" data-testid="history-count"></span>
+                <button type="button" class="btn btn-outline-primary btn-sm" data-action="create" data-testid="history-create-snapshot">
+                    <i class="bi bi-camera me-1"></i> Take snapshot
+                </button>
+            </div>
+            <div class="blob-history-list list-group list-group-flush mb-3" data-testid="history-list">
+                <div class="list-group-item text-muted small"><span class="spinner-border spinner-border-sm me-1"></span> Loading...</div>
+            </div>
+            <div class="blob-history-preview d-none" data-testid="history-preview">
+                <div class="d-flex align-items-center mb-2">
+                    <h6 class="mb-0 me-auto small text-muted">Snapshot <span class="blob-history-preview-title"></span></h6>
+                    <button type="button" class="btn-close btn-sm" data-action="close-preview" aria-label="Close preview"></button>
+                </div>
+                <div id="${this.containerId}Preview" class="blob-preview-container"></div>
+            </div>
+        `;
+
+        this.container.addEventListener('click', (e) => this._handleClick(e), { signal: this._abortController.signal });
+        await this.refresh();
+    }
+
+    /**
+     * Reloads the list of snapshots
+     */
+    async refresh() {
+        const list = this.container.querySelector('.blob-history-list');
+
+        try {
+            const response = await fetch(`${this.blobUrl}/snapshots`, { signal: this._abortController.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            this.snapshots = await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return;
+            }
+            console.error('Error loading snapshots:', error);
+            list.innerHTML = `<div class="list-group-item text-danger small" data-testid="history-error">Failed to load the snapshots: ${BlobHistory.escapeHtml(error.message)}</div>`;
+            return;
+        }
+
+        const count = this.snapshots.length;
+        this.container.querySelector('[data-testid="history-count"]').textContent = `${count} snapshot${count === 1 ? '' : 's'}`;
+        list.innerHTML = count === 0
+            ? '<div class="list-group-item text-muted small" data-testid="history-empty">This blob has no snapshots.</div>'
+            : this.snapshots.map((snapshot, index) => this._renderSnapshot(snapshot, index)).join('');
+
+        this.dispatchEvent(new CustomEvent('history:loaded', { detail: { snapshots: this.snapshots } }));
+    }
+
+    /**
+     * Takes a new snapshot of the blob
+     */
+    async createSnapshot() {
+        try {
+            const response = await fetch(`${this.blobUrl}/snapshots`, {
+                method: 'POST',
+                signal: this._abortController.signal
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const snapshot = await response.json();
+            Toast.success('Snapshot taken');
+            this.dispatchEvent(new CustomEvent('history:created', { detail: { snapshot } }));
+            await this.refresh();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                Toast.error(`Failed to take a snapshot: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Restores the blob from a snapshot, after asking for confirmation.  The blob's ETag is sent as
+     * If-Match, so the restore is refused if the blob has changed since it was loaded.
+     * @param {Object} snapshot - The snapshot (a BlobSnapshotDTO from the API)
+     */
+    async promote(snapshot) {
+        const when = formatFriendlyDate(snapshot.snapshotTime).friendly;
+        if (!confirm(`Replace the current content of '${this.blob.name}' with the snapshot from ${when}?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.blobUrl}/snapshots/${encodeURIComponent(snapshot.snapshot)}/promote`, {
+                method: 'POST',
+                headers: { 'If-Match': `"${this.blob.eTag}"` },
+                signal: this._abortController.signal
+            });
+            if (response.status === 412) {
+                Toast.warning('The blob has been changed since it was loaded; please refresh and try again');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            this.blob = await response.json();
+            Toast.success(`Restored the snapshot from ${when}`);
+            this.dispatchEvent(new CustomEvent('history:promoted', { detail: { blob: this.blob, snapshot } }));
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                Toast.error(`Failed to restore the snapshot: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Shows a preview of a snapshot below the list
+     * @param {Object} snapshot - The snapshot (a BlobSnapshotDTO from the API)
+     */
+    async showPreview(snapshot) {
+        this.preview?.dispose();
+
+        const panel = this.container.querySelector('.blob-history-preview');
+        panel.querySelector('.blob-history-preview-title').innerHTML = formatDateWithTooltip(snapshot.snapshotTime);
+        panel.classList.remove('d-none');
+
+        this.preview = new BlobPreview(`${this.containerId}Preview`, snapshot, this.contentUrl(snapshot, 'inline'));
+        await this.preview.render();
+    }
+
+    /**
+     * Closes the snapshot preview
+     */
+    closePreview() {
+        this.preview?.dispose();
+        this.preview = null;
+        this.container?.querySelector('.blob-history-preview')?.classList.add('d-none');
+    }
+
+    /**
+     * Stops any requests and previews, and clears the history
+     */
+    dispose() {
+        this._abortController.abort();
+        this.closePreview();
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+
+    /**
+     * Renders one snapshot as a list item
+     * @param {Object} snapshot - The snapshot (a BlobSnapshotDTO from the API)
+     * @param {number} index - The position of the snapshot in the list
+     * @returns {string} The HTML for the list item
+     * @private
+     */
+    _renderSnapshot(snapshot, index) {
+        return `
+            <div class="list-group-item px-0" data-index="${index}" data-testid="history-snapshot">
+                <div class="d-flex align-items-center gap-2">
+                    <i class="bi bi-clock-history text-muted"></i>
+                    <div class="me-auto">
+                        <div class="small fw-semibold">${formatDateWithTooltip(snapshot.snapshotTime)}</div>
+                        <div class="small text-muted">${formatFileSize(snapshot.contentLength || 0)} &middot; ${BlobHistory.escapeHtml(snapshot.contentType)}</div>
+                    </div>
+                    <button type="button" class="btn btn-link btn-sm p-1 text-dark" data-action="preview" title="Preview" aria-label="Preview" data-testid="history-preview-button">
+                        <i class="bi bi-eye"></i>
+                    </button>
+                    <a href="${this.contentUrl(snapshot, 'attachment')}" class="btn btn-link btn-sm p-1 text-dark" title="Download" aria-label="Download" download data-testid="history-download-button">
+                        <i class="bi bi-cloud-download"></i>
+                    </a>
+                    <button type="button" class="btn btn-link btn-sm p-1 text-primary" data-action="promote" title="Restore this snapshot" aria-label="Restore this snapshot" data-testid="history-promote-button">
+                        <i class="bi bi-arrow-counterclockwise"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Handles clicks on the history actions
+     * @param {MouseEvent} e - The click event
+     * @private
+     */
+    _handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const item = button.closest('[data-index]');
+        const snapshot = item ? this.snapshots[parseInt(item.dataset.index, 10)] : null;
+
+        switch (button.dataset.action) {
+            case 'create':
+                this.createSnapshot();
+                break;
+            case 'preview':
+                this.showPreview(snapshot);
+                break;
+            case 'promote':
+                this.promote(snapshot);
+                break;
+            case 'close-preview':
+                this.closePreview();
+                break;
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - The text to escape
+     * @returns {string} The escaped text
+     */
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,520 @@
+/**
+ * BlobPreview - Shows a preview of a blob's content, choosing a preview provider by content type.
+ *
+ * Usage:
+ *   const preview = new BlobPreview('blobPreview', blob, `/api/containers/${c}/blobs/${b}/content?disposition=inline`);
+ *   await preview.render();
+ *   preview.dispose();   // when the preview is closed; stops downloads and playback
+ *
+ * Providers:
+ *   Providers are tried in the order they were registered, and the first that matches is used:
+ *     BlobPreview.register({
+ *         name: 'markdown',
+ *         matches: (type, extension) => type === 'text/markdown' || extension === 'md',
+ *         render: async (preview) => { ... }
+ *     });
+ *   where type is the lower-case content type without parameters and extension is the lower-case file
+ *   extension (used when the content type is missing or application/octet-stream).
+ *
+ * Text based previews (text, JSON lines, CSV and hex) fetch the content with a Range header, so only
+ * the first part of a large blob is downloaded; a "Load more" button fetches the next part.
+ */
+class BlobPreview {
+    /**
+     * Creates a new BlobPreview instance
+     * @param {string} containerId - The ID of the element to render into
+     * @param {Object} blob - The blob (a BlobDTO from the API)
+     * @param {string} contentUrl - The URL of the blob content
+     * @param {Object} options - Optional configuration
+     * @param {number} options.chunkSize - Bytes of text to fetch at a time (default: 64KB)
+     * @param {number} options.hexChunkSize - Bytes to fetch at a time for the hex viewer (default: 4KB)
+     * @param {number} options.maxJsonSize - Largest JSON document that is pretty-printed (default: 2MB)
+     * @param {number} options.csvPageSize - Rows shown per page of a CSV table (default: 50)
+     */
+    constructor(containerId, blob, contentUrl, options = {}) {
+        this.containerId = containerId;
+        this.blob = blob;
+        this.contentUrl = contentUrl;
+        this.size = blob.contentLength || 0;
+        this.chunkSize = options.chunkSize || 64 * 1024;
+        this.hexChunkSize = options.hexChunkSize || 4 * 1024;
+        this.maxJsonSize = options.maxJsonSize || 2 * 1024 * 1024;
+        this.csvPageSize = options.csvPageSize || 50;
+
+        this.container = null;
+        this.provider = null;
+        this._abortController = new AbortController();
+    }
+
+    /**
+     * Renders the preview
+     */
+    async render() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.error(`Container with id "${this.containerId}" not found`);
+            return;
+        }
+
+        this.provider = BlobPreview.findProvider(this.blob);
+        this.container.setAttribute('data-preview', this.provider.name);
+
+        if (this.size === 0 && !['image', 'video', 'audio', 'pdf'].includes(this.provider.name)) {
+            this.container.innerHTML = '<p class="text-muted small mb-0" data-testid="preview-empty">This blob is empty.</p>';
+            return;
+        }
+
+        try {
+            await this.provider.render(this);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return;
+            }
+            console.error('Error previewing blob:', error);
+            this.container.innerHTML = `<p class="text-muted small mb-0" data-testid="preview-error">Preview unavailable: ${BlobPreview.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Stops any downloads and media playback, and clears the preview
+     */
+    dispose() {
+        this._abortController.abort();
+        if (this.container) {
+            this.container.querySelectorAll('video, audio').forEach(media => {
+                media.pause();
+                media.removeAttribute('src');
+                media.load();
+            });
+            this.container.innerHTML = '';
+        }
+    }
+
+    /**
+     * Fetches part of the blob content
+     * @param {number} start - The offset of the first byte
+     * @param {number} length - The number of bytes to fetch
+     * @returns {Promise<Uint8Array>} The bytes (fewer than requested at the end of the blob)
+     */
+    async fetchRange(start, length) {
+        if (start >= this.size) {
+            return new Uint8Array(0);
+        }
+
+        const end = Math.min(start + length, this.size) - 1;
+        const response = await fetch(this.contentUrl, {
+            headers: { 'Range': `bytes=${start}-${end}` },
+            signal: this._abortController.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`the content could not be loaded (${response.status})`);
+        }
+
+        const bytes = new Uint8Array(await response.arrayBuffer());
+
+        // A 200 response means the range was ignored and the whole blob was sent
+        return response.status === 206 ? bytes : bytes.subarray(start, end + 1);
+    }
+
+    /**
+     * Creates a reader that fetches the blob as UTF-8 text, one chunk at a time.  Multi-byte
+     * characters split across chunks are decoded correctly.
+     * @param {number} chunkSize - The number of bytes to fetch at a time
+     * @returns {{read: function(): Promise<string>, done: boolean, offset: number}} The reader
+     */
+    createTextReader(chunkSize = this.chunkSize) {
+        const preview = this;
+        const decoder = new TextDecoder('utf-8');
+        return {
+            offset: 0,
+            done: false,
+            async read() {
+                const bytes = await preview.fetchRange(this.offset, chunkSize);
+                this.offset += bytes.length;
+                this.done = bytes.length === 0 || this.offset >= preview.size;
+                return decoder.decode(bytes, { stream: !this.done });
+            }
+        };
+    }
+
+    /**
+     * Creates a reader that fetches the blob one chunk at a time and returns complete lines; a
+     * partial line at the end of a chunk is held back until the next read.
+     * @returns {{read: function(): Promise<Array<string>>, done: boolean, offset: number}} The reader
+     */
+    createLineReader() {
+        const textReader = this.createTextReader();
+        let remainder = '';
+        return {
+            get offset() { return textReader.offset; },
+            get done() { return textReader.done; },
+            async read() {
+                const lines = (remainder + await textReader.read()).split(/\r?\n/);
+                remainder = textReader.done ? '' : lines.pop();
+                return lines.filter(line => line.trim() !== '');
+            }
+        };
+    }
+
+    /**
+     * Shows (or hides) the "Load more" button below the preview
+     * @param {Object} reader - The reader; the button is hidden once it is done
+     * @param {function(): Promise} onLoadMore - Called when the button is clicked
+     */
+    updateLoadMore(reader, onLoadMore) {
+        let footer = this.container.querySelector('.blob-preview-footer');
+        if (!footer) {
+            footer = document.createElement('div');
+            footer.className = 'blob-preview-footer d-flex align-items-center justify-content-between mt-2';
+            this.container.appendChild(footer);
+        }
+
+        if (reader.done) {
+            footer.innerHTML = `<small class="text-muted">Showing all ${formatFileSize(this.size)}</small>`;
+            return;
+        }
+
+        footer.innerHTML = `
+            <small class="text-muted" data-testid="preview-loaded">Showing ${formatFileSize(reader.offset)} of ${formatFileSize(this.size)}</small>
+            <button type="button" class="btn btn-sm btn-outline-secondary" data-testid="preview-load-more">
+                <i class="bi bi-arrow-down-circle me-1"></i> Load more
+            </button>
+        `;
+
+        const button = footer.querySelector('button');
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            button.innerHTML = '<span class="spinner-border spinner-border-sm me-1"></span> Loading...';
+            try {
+                await onLoadMore();
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    console.error('Error loading more of the preview:', error);
+                    Toast.error('Failed to load more of the preview');
+                }
+            }
+            this.updateLoadMore(reader, onLoadMore);
+        });
+    }
+
+    /**
+     * Finds the provider for a blob
+     * @param {Object} blob - The blob
+     * @returns {Object} The first provider that matches the blob
+     */
+    static findProvider(blob) {
+        const type = (blob.contentType || '').split(';')[0].trim().toLowerCase();
+        const name = blob.name || '';
+        const dot = name.lastIndexOf('.');
+        const extension = dot > name.lastIndexOf('/') && dot !== -1 ? name.substring(dot + 1).toLowerCase() : '';
+        const generic = type === '' || type === 'application/octet-stream';
+
+        return BlobPreview.providers.find(provider => provider.matches(type, generic ? extension : '', generic));
+    }
+
+    /**
+     * Adds a preview provider; it is tried before the hex viewer, which matches anything
+     * @param {{name: string, matches: function, render: function}} provider - The provider
+     */
+    static register(provider) {
+        const fallback = BlobPreview.providers.findIndex(p => p.name === 'hex');
+        BlobPreview.providers.splice(fallback === -1 ? BlobPreview.providers.length : fallback, 0, provider);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - The text to escape
+     * @returns {string} The escaped text
+     */
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Adds syntax highlighting to a JSON string
+     * @param {string} json - The JSON to highlight
+     * @returns {string} HTML with each token wrapped in a span
+     */
+    static highlightJson(json) {
+        const tokens = /("(?:\\u[a-fA-F0-9]{4}|\\[^u]|[^\\"])*"(?:\s*:)?|\b(?:true|false|null)\b|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/g;
+        return BlobPreview.escapeHtml(json).replace(tokens, token => {
+            let cls = 'json-number';
+            if (token.startsWith('"')) {
+                cls = token.trimEnd().endsWith(':') ? 'json-key' : 'json-string';
+            } else if (token === 'true' || token === 'false') {
+                cls = 'json-boolean';
+            } else if (token === 'null') {
+                cls = 'json-null';
+            }
+            return `<span class="${cls}">${token}</span>`;
+        });
+    }
+
+    /**
+     * Parses delimited text (CSV) into rows, following RFC 4180 quoting
+     * @param {string} text - The text to parse
+     * @param {boolean} final - True if this is the end of the content; otherwise, the last (possibly partial) record is returned as the remainder
+     * @param {string} delimiter - The field delimiter (default: ',')
+     * @returns {{rows: Array<Array<string>>, remainder: string}} The complete rows and the unparsed text
+     */
+    static parseCsv(text, final, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let recordStart = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                if (row.length > 1 || row[0] !== '') {
+                    rows.push(row);
+                }
+                row = [];
+                field = '';
+                recordStart = i + 1;
+            } else {
+                field += ch;
+            }
+        }
+
+        if (final) {
+            if (field !== '' || row.length > 0) {
+                row.push(field);
+                rows.push(row);
+            }
+            return { rows, remainder: '' };
+        }
+
+        return { rows, remainder: text.substring(recordStart) };
+    }
+}
+
+/** The registered providers, in the order they are tried */
+BlobPreview.providers = [];
+
+// Images
+BlobPreview.register({
+    name: 'image',
+    matches: (type, extension) => type.startsWith('image/') || ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg'].includes(extension),
+    render: async (preview) => {
+        preview.container.innerHTML = `
+            <div class="d-flex justify-content-center">
+                <img src="${preview.contentUrl}" alt="${BlobPreview.escapeHtml(preview.blob.name)}" class="blob-preview-image" data-testid="preview-image" />
+            </div>
+        `;
+    }
+});
+
+// Video and audio stream through the Range-capable content endpoint, so playback starts straight away
+BlobPreview.register({
+    name: 'video',
+    matches: (type, extension) => type.startsWith('video/') || ['mp4', 'webm', 'mov'].includes(extension),
+    render: async (preview) => {
+        preview.container.innerHTML = `<video controls preload="metadata" src="${preview.contentUrl}" class="blob-preview-media" data-testid="preview-video"></video>`;
+    }
+});
+
+BlobPreview.register({
+    name: 'audio',
+    matches: (type, extension) => type.startsWith('audio/') || ['mp3', 'wav', 'ogg', 'm4a'].includes(extension),
+    render: async (preview) => {
+        preview.container.innerHTML = `<audio controls preload="metadata" src="${preview.contentUrl}" class="w-100" data-testid="preview-audio"></audio>`;
+    }
+});
+
+// PDF documents use the browser's built-in viewer
+BlobPreview.register({
+    name: 'pdf',
+    matches: (type, extension) => type === 'application/pdf' || extension === 'pdf',
+    render: async (preview) => {
+        preview.container.innerHTML = `<iframe src="${preview.contentUrl}" class="blob-preview-pdf" title="PDF preview" data-testid="preview-pdf"></iframe>`;
+    }
+});
+
+// JSON lines (NDJSON) are shown one highlighted record per line
+BlobPreview.register({
+    name: 'ndjson',
+    matches: (type, extension) => ['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/x-jsonlines'].includes(type)
+        || ['ndjson', 'jsonl'].includes(extension),
+    render: async (preview) => {
+        preview.container.innerHTML = '<pre class="blob-preview-text blob-preview-json" data-testid="preview-ndjson"></pre>';
+        const pre = preview.container.querySelector('pre');
+        const reader = preview.createLineReader();
+
+        const loadMore = async () => {
+            const lines = await reader.read();
+            pre.insertAdjacentHTML('beforeend', lines.map(line => BlobPreview.highlightJson(line)).join('\n') + (lines.length ? '\n' : ''));
+        };
+
+        await loadMore();
+        preview.updateLoadMore(reader, loadMore);
+    }
+});
+
+// JSON documents are pretty-printed when they are small enough to parse; larger documents are shown as text
+BlobPreview.register({
+    name: 'json',
+    matches: (type, extension) => type === 'application/json' || type.endsWith('+json') || extension === 'json',
+    render: async (preview) => {
+        if (preview.size > preview.maxJsonSize) {
+            return BlobPreview.providers.find(p => p.name === 'text').render(preview);
+        }
+
+        const reader = preview.createTextReader(preview.size);
+        const text = await reader.read();
+        let formatted;
+        try {
+            formatted = JSON.stringify(JSON.parse(text), null, 2);
+        } catch {
+            // Not valid JSON, so show it as it is
+            formatted = text;
+        }
+
+        preview.container.innerHTML = `<pre class="blob-preview-text blob-preview-json" data-testid="preview-json">${BlobPreview.highlightJson(formatted)}</pre>`;
+    }
+});
+
+// CSV and TSV files are shown as a paged table, with the first row as the header
+BlobPreview.register({
+    name: 'csv',
+    matches: (type, extension) => ['text/csv', 'text/tab-separated-values'].includes(type) || ['csv', 'tsv'].includes(extension),
+    render: async (preview) => {
+        const name = (preview.blob.name || '').toLowerCase();
+        const delimiter = (preview.blob.contentType || '').includes('tab-separated') || name.endsWith('.tsv') ? '\t' : ',';
+        const reader = preview.createTextReader();
+        let rows = [];
+        let remainder = '';
+        let page = 0;
+
+        const readMore = async () => {
+            const parsed = BlobPreview.parseCsv(remainder + await reader.read(), reader.done, delimiter);
+            rows = rows.concat(parsed.rows);
+            remainder = parsed.remainder;
+        };
+
+        const renderPage = () => {
+            const [header = [], ...body] = rows;
+            const first = page * preview.csvPageSize;
+            const pageRows = body.slice(first, first + preview.csvPageSize);
+            const hasNext = first + preview.csvPageSize < body.length || !reader.done;
+
+            preview.container.innerHTML = `
+                <div class="table-responsive blob-preview-table">
+                    <table class="table table-sm table-striped mb-0" data-testid="preview-csv">
+                        <thead><tr>${header.map(cell => `<th>${BlobPreview.escapeHtml(cell)}</th>`).join('')}</tr></thead>
+                        <tbody>${pageRows.map(row => `<tr>${row.map(cell => `<td>${BlobPreview.escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+                    </table>
+                </div>
+                <div class="d-flex align-items-center justify-content-between mt-2">
+                    <small class="text-muted" data-testid="preview-csv-rows">Rows ${body.length ? first + 1 : 0}-${first + pageRows.length} of ${body.length}${reader.done ? '' : '+'}</small>
+                    <div class="btn-group btn-group-sm">
+                        <button type="button" class="btn btn-outline-secondary" data-page="-1" ${page === 0 ? 'disabled' : ''} data-testid="preview-csv-previous">
+                            <i class="bi bi-chevron-left"></i> Previous
+                        </button>
+                        <button type="button" class="btn btn-outline-secondary" data-page="1" ${hasNext ? '' : 'disabled'} data-testid="preview-csv-next">
+                            Next <i class="bi bi-chevron-right"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+
+            preview.container.querySelectorAll('[data-page]').forEach(button => {
+                button.addEventListener('click', async () => {
+                    button.disabled = true;
+                    page += parseInt(button.getAttribute('data-page'), 10);
+
+                    try {
+                        // Fetch more of the file until the page is full (or the file ends)
+                        while (!reader.done && rows.length - 1 < (page + 1) * preview.csvPageSize) {
+                            await readMore();
+                        }
+                    } catch (error) {
+                        if (error.name === 'AbortError') {
+                            return;
+                        }
+                        console.error('Error loading more of the preview:', error);
+                        Toast.error('Failed to load more of the preview');
+                    }
+                    renderPage();
+                });
+            });
+        };
+
+        do {
+            await readMore();
+        } while (!reader.done && rows.length - 1 < preview.csvPageSize);
+        renderPage();
+    }
+});
+
+// Text and logs are shown as they are
+BlobPreview.register({
+    name: 'text',
+    matches: (type, extension) => type.startsWith('text/')
+        || ['application/xml', 'application/javascript', 'application/x-yaml', 'application/yaml', 'application/x-sh'].includes(type)
+        || type.endsWith('+xml')
+        || ['txt', 'log', 'md', 'xml', 'yaml', 'yml', 'ini', 'conf', 'sh', 'js', 'ts', 'cs', 'py', 'html', 'css'].includes(extension),
+    render: async (preview) => {
+        preview.container.innerHTML = '<pre class="blob-preview-text" data-testid="preview-text"></pre>';
+        const pre = preview.container.querySelector('pre');
+        const reader = preview.createTextReader();
+
+        const loadMore = async () => {
+            pre.appendChild(document.createTextNode(await reader.read()));
+        };
+
+        await loadMore();
+        preview.updateLoadMore(reader, loadMore);
+    }
+});
+
+// Anything else is shown as a hex dump; this provider matches everything, so it must be last
+BlobPreview.register({
+    name: 'hex',
+    matches: () => true,
+    render: async (preview) => {
+        preview.container.innerHTML = '<pre class="blob-preview-text blob-preview-hex" data-testid="preview-hex"></pre>';
+        const pre = preview.container.querySelector('pre');
+        const reader = { offset: 0, done: false };
+
+        const loadMore = async () => {
+            const bytes = await preview.fetchRange(reader.offset, preview.hexChunkSize);
+            const lines = [];
+            for (let i = 0; i < bytes.length; i += 16) {
+                const line = bytes.subarray(i, i + 16);
+                const hex = Array.from(line, b => b.toString(16).padStart(2, '0')).join(' ');
+                const ascii = Array.from(line, b => (b >= 0x20 && b < 0x7f) ? String.fromCharCode(b) : '.').join('');
+                lines.push(`${(reader.offset + i).toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  ${ascii}`);
+            }
+
+            reader.offset += bytes.length;
+            reader.done = bytes.length === 0 || reader.offset >= preview.size;
+            pre.appendChild(document.createTextNode(lines.join('\n') + '\n'));
+        };
+
+        await loadMore();
+        preview.updateLoadMore(reader, loadMore);
+    }
+});
@@ -8,10 +8,34 @@
  *   uploader.addEventListener('upload:error', (e) => console.error(e.detail.error));
  *   await uploader.upload();
  *
+ * Resuming an interrupted upload (e.g. after a page reload):
+ *   const session = await BlobUploader.findResumableSession(containerName, file);
+ *   if (session) {
+ *       await new BlobUploader(containerName, file).resume();
+ *   }
+ *
+ * Pausing and resuming (the promise returned by upload() settles once the upload finishes):
+ *   uploader.pause();
+ *   uploader.resume();
+ *
+ * The state property is one of idle, uploading, paused, committing, done, error or cancelled.
+ *
+ * Replacing an existing blob (the upload fails with a 412 status if the blob has changed since
+ * it was read):
+ *   const uploader = new BlobUploader(containerName, file, { blobName, ifMatch: blob.eTag });
+ *
+ * Unless computeHash is false, each block is sent with its MD5 hash and the hash of the whole
+ * file is sent on commit, so that the server can reject corrupted uploads.  Hashing runs in a
+ * Web Worker (see md5.js), which must be loaded before this file.
+ *
  * Events:
- *   - upload:start: { uploadId, containerName, blobName }
- *   - upload:progress: { percent, uploadedBytes, totalBytes, currentBlock, totalBlocks }
+ *   - upload:start: { uploadId, containerName, blobName, resumed }
+ *   - upload:sending: { uploadId } (the upload can be paused from here on)
+ *   - upload:progress: { percent, uploadedBytes, inFlightBytes, totalBytes, currentBlock, totalBlocks }
  *   - upload:complete: { blob: BlobDTO }
+ *   - upload:retry: { blockIndex, attempt, maxAttempts, delay, error }
+ *   - upload:paused: { uploadId, uploadedBytes }
+ *   - upload:resumed: { uploadId }
  *   - upload:error: { error, message }
  *   - upload:cancelled: { uploadId }
  */
@@ -21,23 +45,104 @@ class BlobUploader extends EventTarget {
      * @param {string} containerName - The name of the container to upload to
      * @param {File} file - The file to upload
      * @param {Object} options - Optional configuration
+     * @param {string} options.blobName - Name of the blob to create (default: the file name)
      * @param {number} options.chunkSize - Size of each chunk in bytes (default: 4MB)
+     * @param {number} options.concurrency - Number of blocks to upload in parallel (default: 4)
+     * @param {number} options.maxAttempts - Maximum number of attempts for each block (default: 5)
+     * @param {number} options.retryDelay - Base delay in milliseconds between block retries (default: 500)
+     * @param {number} options.maxRetryDelay - Maximum delay in milliseconds between block retries (default: 30000)
+     * @param {boolean} options.computeHash - Send MD5 hashes so the server can verify the upload (default: true)
      * @param {Object} options.metadata - Optional metadata for the blob
      * @param {Object} options.tags - Optional tags for the blob
+     * @param {string} options.ifMatch - The ETag of the blob being replaced; without it, the upload fails if the blob exists
      */
     constructor(containerName, file, options = {}) {
         super();
         this.containerName = containerName;
         this.file = file;
+        this.blobName = options.blobName || file.name;
         this.chunkSize = options.chunkSize || (4 * 1024 * 1024); // 4MB default
+        this.concurrency = Math.max(1, options.concurrency || 4);
+        this.maxAttempts = Math.max(1, options.maxAttempts || 5);
+        this.retryDelay = options.retryDelay || 500;
+        this.maxRetryDelay = options.maxRetryDelay || 30000;
+        this.computeHash = options.computeHash !== false;
         this.metadata = options.metadata || {};
         this.tags = options.tags || {};
+        this.ifMatch = options.ifMatch || null;
 
         this.uploadId = null;
         this.abortController = null;
         this.uploadedBytes = 0;
+        this.inFlightBytes = 0;
         this.totalBytes = file.size;
         this.blockIds = [];
+
+        /** @type {'idle'|'uploading'|'paused'|'committing'|'done'|'error'|'cancelled'} */
+        this.state = 'idle';
+        this._sendingBlocks = false;
+        this._resolvePause = null;
+        this._resumePending = false;
+        this._runPromise = null;
+        this._hasher = null;
+        this._fileHash = null;
+    }
+
+    /**
+     * Builds the key used to persist an upload session for a file
+     * @param {string} containerName - The name of the container being uploaded to
+     * @param {File} file - The file being uploaded
+     * @param {string} blobName - The name of the blob being created (default: the file name)
+     * @returns {string} The session key
+     */
+    static sessionKey(containerName, file, blobName = file.name) {
+        return [containerName, blobName, file.size, file.lastModified].join('|');
+    }
+
+    /**
+     * Finds an interrupted upload session for the file that can still be resumed
+     * @param {string} containerName - The name of the container being uploaded to
+     * @param {File} file - The file being uploaded
+     * @param {string} blobName - The name of the blob being created (default: the file name)
+     * @returns {Promise<Object|null>} The server upload status, or null if there is nothing to resume
+     */
+    static async findResumableSession(containerName, file, blobName = file.name) {
+        const key = BlobUploader.sessionKey(containerName, file, blobName);
+        const session = await UploadSessionStore.get(key);
+        if (!session) {
+            return null;
+        }
+
+        try {
+            const response = await fetch(`/api/uploads/${session.uploadId}`);
+            if (response.status === 404) {
+                // The server has already cleaned up the session
+                await UploadSessionStore.delete(key);
+                return null;
+            }
+
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            console.error('Error checking upload session:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Discards an interrupted upload session for the file, on both the server and the browser
+     * @param {string} containerName - The name of the container being uploaded to
+     * @param {File} file - The file being uploaded
+     * @param {string} blobName - The name of the blob being created (default: the file name)
+     */
+    static async discardSession(containerName, file, blobName = file.name) {
+        const key = BlobUploader.sessionKey(containerName, file, blobName);
+        const session = await UploadSessionStore.get(key);
+        if (session) {
+            const uploader = new BlobUploader(containerName, file, { blobName });
+            uploader.uploadId = session.uploadId;
+            await uploader._cancelUploadSession();
+            await UploadSessionStore.delete(key);
+        }
     }
 
     /**
@@ -45,17 +150,122 @@ class BlobUploader extends EventTarget {
      * @returns {Promise<BlobDTO>} The created blob information
      */
     async upload() {
+        return this._run(async () => {
+            await this._createUploadSession();
+            return new Set();
+        });
+    }
+
+    /**
+     * Resumes the upload.  A paused upload continues where it stopped; otherwise this picks up
+     * an upload of the file that was interrupted (e.g. by a page reload), skipping any blocks
+     * that the server already has.
+     * @returns {Promise<BlobDTO>} The created blob information
+     */
+    async resume() {
+        if (this.state === 'paused') {
+            this.state = 'uploading';
+            this.dispatchEvent(new CustomEvent('upload:resumed', {
+                detail: { uploadId: this.uploadId }
+            }));
+
+            // The blocks aborted by pause() may not have failed yet, in which case the upload loop
+            // has not started waiting; it picks up the resume once they have
+            if (this._resolvePause) {
+                this._resolvePause();
+            } else {
+                this._resumePending = true;
+            }
+            return this._runPromise;
+        }
+
+        return this._run(async () => {
+            return await this._resumeUploadSession();
+        });
+    }
+
+    /**
+     * Pauses the upload.  No new blocks are sent and the blocks in flight are aborted, but the
+     * upload session is kept so that the upload can be continued with resume().
+     */
+    pause() {
+        if (this.state !== 'uploading' || !this._sendingBlocks) {
+            return;
+        }
+
+        this.state = 'paused';
+        this.abortController.abort();
+        this.dispatchEvent(new CustomEvent('upload:paused', {
+            detail: { uploadId: this.uploadId, uploadedBytes: this.uploadedBytes }
+        }));
+    }
+
+    /**
+     * Runs the upload, from session setup through to commit
+     * @param {Function} prepare - Sets up the upload session and returns the set of block IDs already uploaded
+     * @returns {Promise<BlobDTO>} The created blob information
+     * @private
+     */
+    _run(prepare) {
+        this._runPromise = this._execute(prepare);
+        return this._runPromise;
+    }
+
+    /**
+     * Executes the upload steps
+     * @private
+     */
+    async _execute(prepare) {
         try {
+            this.state = 'uploading';
             this.abortController = new AbortController();
 
-            // Step 1: Create upload session
-            await this._createUploadSession();
+            // Step 1: Create or resume upload session
+            let uploadedBlockIds = await prepare();
+
+            // Step 2: Hash the whole file in the background while the blocks upload
+            if (this.computeHash) {
+                this._hasher = new Md5Hasher();
+                this._fileHash = this._hasher.hash(this.file, this.chunkSize);
+                this._fileHash.catch(() => {
+                    // Reported when the hash is awaited at commit
+                });
+            }
+
+            // Step 3: Upload blocks, waiting for resume() whenever the upload is paused
+            this._sendingBlocks = true;
+            this.dispatchEvent(new CustomEvent('upload:sending', {
+                detail: { uploadId: this.uploadId }
+            }));
+            for (;;) {
+                try {
+                    await this._uploadBlocks(uploadedBlockIds);
+                } catch (error) {
+                    if (this.state !== 'paused' && !this._resumePending) {
+                        throw error;
+                    }
+                }
 
-            // Step 2: Upload blocks
-            await this._uploadBlocks();
+                if (this.state === 'paused') {
+                    this._resumePending = false;
+                    await this._waitForResume();
+                } else if (this._resumePending) {
+                    // Resumed before the aborted blocks had failed, so send the missing blocks again
+                    this._resumePending = false;
+                    this.abortController = new AbortController();
+                } else {
+                    break;
+                }
+                // Keep the blocks the server already had, since a round paused early may not have reached them
+                uploadedBlockIds = new Set([...uploadedBlockIds, ...this.blockIds.filter(Boolean)]);
+            }
+            this._sendingBlocks = false;
 
-            // Step 3: Commit upload
+            // Step 4: Commit upload
+            this.state = 'committing';
             const blob = await this._commitUpload();
+            await this._clearSession();
+            this.state = 'done';
 
             // Dispatch completion event
             this.dispatchEvent(new CustomEvent('upload:complete', {
@@ -64,13 +274,19 @@ class BlobUploader extends EventTarget {
 
             return blob;
         } catch (error) {
+            this._sendingBlocks = false;
+
             // If this was a cancellation, don't treat it as an error
             if (error.name === 'AbortError') {
                 return;
             }
 
-            // Try to clean up the upload session
-            if (this.uploadId) {
+            this.state = 'error';
+
+            // Retries have been exhausted, so try to clean up the upload session, unless the
+            // network dropped - in which case the session is kept so that the upload can be
+            // resumed later.
+            if (this.uploadId && !error.isNetworkError) {
                 await this._cancelUploadSession().catch(() => {
                     // Ignore cleanup errors
                 });
@@ -85,19 +301,53 @@ class BlobUploader extends EventTarget {
             }));
 
             throw error;
+        } finally {
+            if (this._hasher) {
+                this._hasher.terminate();
+                this._hasher = null;
+            }
+        }
+    }
+
+    /**
+     * Waits until the paused upload is resumed or cancelled
+     * @private
+     */
+    async _waitForResume() {
+        await new Promise(resolve => {
+            this._resolvePause = resolve;
+        });
+        this._resolvePause = null;
+
+        if (this.state === 'cancelled') {
+            throw new DOMException('The upload was cancelled', 'AbortError');
         }
+
+        this.abortController = new AbortController();
     }
 
     /**
      * Cancels the ongoing upload
      */
     async cancel() {
+        if (this.state === 'done' || this.state === 'cancelled') {
+            return;
+        }
+
+        this.state = 'cancelled';
+        this._resumePending = false;
         if (this.abortController) {
             this.abortController.abort();
         }
 
+        // Release a paused upload so that it can finish
+        if (this._resolvePause) {
+            this._resolvePause();
+        }
+
         if (this.uploadId) {
             await this._cancelUploadSession();
+            await this._clearSession();
 
             this.dispatchEvent(new CustomEvent('upload:cancelled', {
                 detail: { uploadId: this.uploadId }
@@ -112,13 +362,16 @@ class BlobUploader extends EventTarget {
     async _createUploadSession() {
         const contentType = this.file.type || 'application/octet-stream';
 
-        const response = await fetch(`/api/containers/${encodeURIComponent(this.containerName)}/blobs`, {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.ifMatch) {
+            headers['If-Match'] = this.ifMatch.startsWith('"') || this.ifMatch === '*' ? this.ifMatch : `"${this.ifMatch}"`;
+        }
+
+        const response = await BlobUploader.fetch(`/api/containers/${encodeURIComponent(this.containerName)}/blobs`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
+            headers,
             body: JSON.stringify({
-                blobName: this.file.name,
+                blobName: this.blobName,
                 containerName: this.containerName,
                 contentLength: this.file.size,
                 contentType: contentType,
@@ -129,102 +382,343 @@ class BlobUploader extends EventTarget {
         });
 
         if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`Failed to create upload session: ${error}`);
+            throw await BlobUploader.responseError(response, 'Failed to create upload session');
         }
 
         const uploadStatus = await response.json();
         this.uploadId = uploadStatus.uploadId;
 
-        // Dispatch start event
+        // Persist the session so that it survives a page reload
+        await UploadSessionStore.put({
+            key: BlobUploader.sessionKey(this.containerName, this.file, this.blobName),
+            uploadId: this.uploadId,
+            chunkSize: this.chunkSize,
+            createdAt: new Date().toISOString()
+        });
+
+        this._dispatchStart(false);
+    }
+
+    /**
+     * Picks up a persisted upload session and asks the server which blocks it already has
+     * @returns {Promise<Set<string>>} The set of block IDs already uploaded
+     * @private
+     */
+    async _resumeUploadSession() {
+        const key = BlobUploader.sessionKey(this.containerName, this.file, this.blobName);
+        const session = await UploadSessionStore.get(key);
+        if (!session) {
+            throw new Error('There is no interrupted upload to resume for this file');
+        }
+
+        // Block IDs depend on the chunk size, so we must use the same one as the original upload
+        this.uploadId = session.uploadId;
+        this.chunkSize = session.chunkSize;
+
+        const response = await BlobUploader.fetch(`/api/uploads/${this.uploadId}`, {
+            signal: this.abortController.signal
+        });
+
+        if (response.status === 404) {
+            // Nothing left to clean up on the server
+            this.uploadId = null;
+            await UploadSessionStore.delete(key);
+            throw new Error('The upload session has expired; please upload the file again');
+        }
+
+        if (!response.ok) {
+            const error = await response.text();
+            throw new Error(`Failed to get upload status: ${error}`);
+        }
+
+        const uploadStatus = await response.json();
+        this._dispatchStart(true);
+
+        return new Set(uploadStatus.uploadedBlocks || []);
+    }
+
+    /**
+     * Dispatches the upload:start event
+     * @param {boolean} resumed - true if this is a resumed upload session
+     * @private
+     */
+    _dispatchStart(resumed) {
         this.dispatchEvent(new CustomEvent('upload:start', {
             detail: {
                 uploadId: this.uploadId,
                 containerName: this.containerName,
-                blobName: this.file.name
+                blobName: this.blobName,
+                resumed
             }
         }));
     }
 
     /**
-     * Uploads the file in chunks
+     * Removes the persisted upload session for this file
      * @private
      */
-    async _uploadBlocks() {
-        const totalBlocks = Math.ceil(this.file.size / this.chunkSize);
+    async _clearSession() {
+        await UploadSessionStore.delete(BlobUploader.sessionKey(this.containerName, this.file, this.blobName));
+    }
 
-        for (let blockIndex = 0; blockIndex < totalBlocks; blockIndex++) {
-            const start = blockIndex * this.chunkSize;
-            const end = Math.min(start + this.chunkSize, this.file.size);
-            const chunk = this.file.slice(start, end);
+    /**
+     * Uploads the file in chunks, keeping up to `concurrency` blocks in flight at once
+     * @param {Set<string>} uploadedBlockIds - The block IDs that the server already has
+     * @private
+     */
+    async _uploadBlocks(uploadedBlockIds) {
+        const totalBlocks = Math.ceil(this.file.size / this.chunkSize);
+        let nextBlockIndex = 0;
+        let completedBlocks = 0;
 
-            // Generate block ID (must be Base64 encoded and consistent)
-            const blockIdString = `block-${String(blockIndex).padStart(5, '0')}`;
-            const blockId = btoa(blockIdString);
+        // Block IDs are stored by index so that the commit list stays in file order
+        // regardless of the order in which the blocks finish.
+        this.blockIds = new Array(totalBlocks);
+        this.uploadedBytes = 0;
+        this.inFlightBytes = 0;
+
+        // Workers stop picking up blocks once this round is aborted (by a failure, pause or cancel).
+        // The round keeps its own controller, since resume() replaces this.abortController for the
+        // next round while the workers of this one may still be finishing.
+        const controller = this.abortController;
+        const signal = controller.signal;
+        const uploadNextBlocks = async () => {
+            while (nextBlockIndex < totalBlocks && !signal.aborted) {
+                const blockIndex = nextBlockIndex++;
+                const start = blockIndex * this.chunkSize;
+                const end = Math.min(start + this.chunkSize, this.file.size);
+                const chunk = this.file.slice(start, end);
+
+                // Generate block ID (must be Base64 encoded and consistent)
+                const blockIdString = `block-${String(blockIndex).padStart(5, '0')}`;
+                const blockId = btoa(blockIdString);
+
+                // Upload the block, unless it was uploaded before the session was interrupted
+                if (!uploadedBlockIds.has(blockId)) {
+                    const contentMD5 = this._hasher ? await this._hasher.hash(chunk) : null;
+                    if (signal.aborted) {
+                        return;
+                    }
+
+                    this.inFlightBytes += chunk.size;
+                    try {
+                        await this._uploadBlockWithRetry(blockIndex, blockId, chunk, contentMD5, signal);
+                    } finally {
+                        // Once aborted, the progress belongs to the next round, which starts it again
+                        if (!signal.aborted) {
+                            this.inFlightBytes -= chunk.size;
+                        }
+                    }
+                    if (signal.aborted) {
+                        return;
+                    }
+                }
 
-            // Upload the block
-            await this._uploadBlock(blockId, chunk);
+                this.blockIds[blockIndex] = blockId;
+                this.uploadedBytes += chunk.size;
+                completedBlocks++;
+
+                // Dispatch progress event
+                const percent = Math.round((this.uploadedBytes / this.totalBytes) * 100);
+                this.dispatchEvent(new CustomEvent('upload:progress', {
+                    detail: {
+                        percent,
+                        uploadedBytes: this.uploadedBytes,
+                        inFlightBytes: this.inFlightBytes,
+                        totalBytes: this.totalBytes,
+                        currentBlock: completedBlocks,
+                        totalBlocks
+                    }
+                }));
+            }
+        };
 
-            this.blockIds.push(blockId);
-            this.uploadedBytes = end;
+        const workers = Array.from({ length: Math.min(this.concurrency, totalBlocks) }, () => uploadNextBlocks());
+        try {
+            await Promise.all(workers);
+        } catch (error) {
+            // Stop the other blocks that are still in flight
+            controller.abort();
+            throw error;
+        }
+    }
 
-            // Dispatch progress event
-            const percent = Math.round((this.uploadedBytes / this.totalBytes) * 100);
-            this.dispatchEvent(new CustomEvent('upload:progress', {
-                detail: {
-                    percent,
-                    uploadedBytes: this.uploadedBytes,
-                    totalBytes: this.totalBytes,
-                    currentBlock: blockIndex + 1,
-                    totalBlocks
+    /**
+     * Uploads a single block, retrying transient failures with exponential backoff and jitter
+     * @param {AbortSignal} signal - The abort signal of the round that the block belongs to
+     * @private
+     */
+    async _uploadBlockWithRetry(blockIndex, blockId, chunk, contentMD5, signal) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this._uploadBlock(blockId, chunk, contentMD5, signal);
+                return;
+            } catch (error) {
+                if (attempt >= this.maxAttempts || !BlobUploader.isRetryableError(error)) {
+                    throw error;
                 }
-            }));
+
+                // Full jitter: wait a random time up to the exponential backoff limit
+                const backoff = Math.min(this.retryDelay * Math.pow(2, attempt - 1), this.maxRetryDelay);
+                const delay = Math.max(error.retryAfter || 0, Math.random() * backoff);
+
+                this.dispatchEvent(new CustomEvent('upload:retry', {
+                    detail: {
+                        blockIndex,
+                        attempt: attempt + 1,
+                        maxAttempts: this.maxAttempts,
+                        delay,
+                        error
+                    }
+                }));
+
+                await this._delay(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * Calls fetch(), marking the error with isNetworkError when the request fails at the network
+     * level (rather than with an HTTP error status), so that only those failures are treated as
+     * a dropped connection
+     * @param {string} url - The URL to fetch
+     * @param {Object} options - The fetch options
+     * @returns {Promise<Response>} The response
+     */
+    static async fetch(url, options) {
+        try {
+            return await fetch(url, options);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                error.isNetworkError = true;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Determines if a failed block upload is worth retrying
+     * @param {Error} error - The error thrown by the block upload
+     * @returns {boolean} true if the error is transient
+     */
+    static isRetryableError(error) {
+        if (error.name === 'AbortError') {
+            return false;
+        }
+
+        if (error.isNetworkError) {
+            return true;
         }
+
+        return error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+
+    /**
+     * Waits for the specified time, finishing early if the upload is aborted
+     * @param {number} milliseconds - The time to wait
+     * @param {AbortSignal} signal - The abort signal that ends the wait early
+     * @private
+     */
+    _delay(milliseconds, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                reject(new DOMException('The upload was aborted', 'AbortError'));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The upload was aborted', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, milliseconds);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
     }
 
     /**
      * Uploads a single block
+     * @param {AbortSignal} signal - The abort signal of the round that the block belongs to
      * @private
      */
-    async _uploadBlock(blockId, chunk) {
-        const response = await fetch(
+    async _uploadBlock(blockId, chunk, contentMD5, signal) {
+        const headers = {
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': chunk.size.toString()
+        };
+        if (contentMD5) {
+            headers['Content-MD5'] = contentMD5;
+        }
+
+        const response = await BlobUploader.fetch(
             `/api/uploads/${this.uploadId}/blocks/${encodeURIComponent(blockId)}`,
             {
                 method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/octet-stream',
-                    'Content-Length': chunk.size.toString()
-                },
+                headers,
                 body: chunk,
-                signal: this.abortController.signal
+                signal
             }
         );
 
         if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`Failed to upload block ${blockId}: ${error}`);
+            const error = new Error(`Failed to upload block ${blockId}: ${await response.text()}`);
+            error.status = response.status;
+
+            // Honor the server's Retry-After header (in seconds) when it sends one
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+            if (!isNaN(retryAfter)) {
+                error.retryAfter = retryAfter * 1000;
+            }
+
+            throw error;
         }
     }
 
+    /**
+     * Builds an error for a failed API response.  The error carries the HTTP status and, for a
+     * 412 Precondition Failed, the current ETag of the blob (when the server reports it).
+     * @param {Response} response - The failed response
+     * @param {string} message - The message to prefix the response body with
+     * @returns {Promise<Error>} The error
+     */
+    static async responseError(response, message) {
+        const body = await response.text();
+        const error = new Error(`${message}: ${body}`);
+        error.status = response.status;
+
+        if (response.status === 412) {
+            try {
+                error.eTag = JSON.parse(body).eTag || null;
+            } catch {
+                error.eTag = null;
+            }
+        }
+
+        return error;
+    }
+
     /**
      * Commits the upload by finalizing the blob
      * @private
      */
     async _commitUpload() {
-        const response = await fetch(`/api/uploads/${this.uploadId}/commit`, {
+        const contentMD5 = this._fileHash ? await this._fileHash : undefined;
+        const response = await BlobUploader.fetch(`/api/uploads/${this.uploadId}/commit`, {
             method: 'PUT',
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                blockIds: this.blockIds
+                blockIds: this.blockIds,
+                contentMD5
             }),
             signal: this.abortController.signal
         });
 
         if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`Failed to commit upload: ${error}`);
+            throw await BlobUploader.responseError(response, 'Failed to commit upload');
         }
 
         return await response.json();
@@ -252,3 +746,89 @@ class BlobUploader extends EventTarget {
         }
     }
 }
+
+/**
+ * UploadSessionStore - Persists upload sessions in IndexedDB so that they survive a page reload.
+ *
+ * Every method resolves (to null where a value is expected) when IndexedDB is unavailable,
+ * in which case uploads still work but cannot be resumed.
+ */
+const UploadSessionStore = {
+    dbName: 'azurite-ui',
+    storeName: 'uploadSessions',
+
+    /**
+     * Opens the database, creating the object store on first use
+     * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable
+     */
+    _open() {
+        return new Promise((resolve) => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Failed to open upload session store:', request.error);
+                resolve(null);
+            };
+        });
+    },
+
+    /**
+     * Runs a single request against the object store
+     * @param {IDBTransactionMode} mode - The transaction mode
+     * @param {Function} action - Creates the request from the object store
+     * @returns {Promise<any>} The result of the request
+     */
+    async _request(mode, action) {
+        const db = await this._open();
+        if (!db) {
+            return null;
+        }
+
+        return new Promise((resolve) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request.result ?? null);
+            };
+            transaction.onerror = () => {
+                console.error('Upload session store error:', transaction.error);
+                db.close();
+                resolve(null);
+            };
+        });
+    },
+
+    /**
+     * Gets a persisted upload session
+     * @param {string} key - The session key
+     * @returns {Promise<Object|null>} The session, or null if not found
+     */
+    get(key) {
+        return this._request('readonly', (store) => store.get(key));
+    },
+
+    /**
+     * Persists an upload session
+     * @param {Object} session - The session to store; must include the key
+     */
+    put(session) {
+        return this._request('readwrite', (store) => store.put(session));
+    },
+
+    /**
+     * Removes a persisted upload session
+     * @param {string} key - The session key
+     */
+    delete(key) {
+        return this._request('readwrite', (store) => store.delete(key));
+    }
+};
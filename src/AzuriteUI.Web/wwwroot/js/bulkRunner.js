@@ -0,0 +1,101 @@
+/**
+ * BulkRunner - Runs an operation on many items, a few at a time, and reports how each one went.
+ *
+ * Usage:
+ *   const runner = new BulkRunner({ concurrency: 4 });
+ *   runner.addEventListener('bulk:progress', (e) => console.log(`${e.detail.completed} of ${e.detail.total}`));
+ *   const summary = await runner.run(blobs, async (blob, signal) => {
+ *       const response = await fetch(url(blob), { method: 'DELETE', signal });
+ *       if (!response.ok) throw new Error(`HTTP ${response.status}`);
+ *   });
+ *   console.log(summary.succeeded.length, summary.failed);
+ *
+ * The operation is given an AbortSignal, which is aborted by cancel().  Items that have not
+ * started when the run is cancelled are reported as skipped.
+ *
+ * Events:
+ *   - bulk:progress: { completed, total, succeeded, failed }
+ *   - bulk:complete: { succeeded, failed, skipped, cancelled }
+ */
+class BulkRunner extends EventTarget {
+    /**
+     * Creates a new BulkRunner instance
+     * @param {Object} options - Optional configuration
+     * @param {number} options.concurrency - Number of items to work on at the same time (default: 4)
+     */
+    constructor(options = {}) {
+        super();
+        this.concurrency = Math.max(1, options.concurrency || 4);
+        this.isRunning = false;
+        this.isCancelled = false;
+        this._abortController = null;
+    }
+
+    /**
+     * Runs the operation on every item
+     * @param {Array} items - The items to work on
+     * @param {function(*, AbortSignal): Promise<*>} operation - The operation to run on each item; it fails by throwing
+     * @returns {Promise<{succeeded: Array, failed: Array<{item, error}>, skipped: Array, cancelled: boolean}>} The outcome of each item
+     */
+    async run(items, operation) {
+        if (this.isRunning) {
+            throw new Error('The bulk operation is already running');
+        }
+
+        this.isRunning = true;
+        this.isCancelled = false;
+        this._abortController = new AbortController();
+
+        const summary = { succeeded: [], failed: [], skipped: [], cancelled: false };
+        const total = items.length;
+        let next = 0;
+
+        const worker = async () => {
+            while (next < total && !this.isCancelled) {
+                const item = items[next++];
+                try {
+                    await operation(item, this._abortController.signal);
+                    summary.succeeded.push(item);
+                } catch (error) {
+                    if (error.name === 'AbortError' && this.isCancelled) {
+                        summary.skipped.push(item);
+                    } else {
+                        summary.failed.push({ item, error });
+                    }
+                }
+
+                this.dispatchEvent(new CustomEvent('bulk:progress', {
+                    detail: {
+                        completed: summary.succeeded.length + summary.failed.length + summary.skipped.length,
+                        total,
+                        succeeded: summary.succeeded.length,
+                        failed: summary.failed.length
+                    }
+                }));
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: Math.min(this.concurrency, total) }, worker));
+        } finally {
+            this.isRunning = false;
+        }
+
+        summary.skipped.push(...items.slice(next));
+        summary.cancelled = this.isCancelled;
+        this.dispatchEvent(new CustomEvent('bulk:complete', { detail: summary }));
+        return summary;
+    }
+
+    /**
+     * Stops the run: the items in progress are aborted and no more items are started
+     */
+    cancel() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.isCancelled = true;
+        this._abortController.abort();
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * ContainerPicker - A text box that suggests container names as you type.
+ *
+ * Usage:
+ *   const picker = new ContainerPicker('destinationContainer');
+ *   picker.addEventListener('picker:changed', (e) => console.log(e.detail.value));
+ *   picker.value = 'photos';
+ *   console.log(picker.value);
+ *
+ * The picker attaches to an existing text input and adds a datalist to it.  The suggestions are
+ * loaded from the container list API, filtered by what has been typed so far.  Any name can be
+ * entered; the picker does not check that the container exists.
+ *
+ * Events:
+ *   - picker:changed: { value }
+ */
+class ContainerPicker extends EventTarget {
+    /**
+     * Creates a new ContainerPicker instance
+     * @param {string} inputId - The ID of the text input to attach to
+     * @param {Object} options - Optional configuration
+     * @param {number} options.maxSuggestions - The most container names to suggest (default: 20)
+     * @param {number} options.debounceMs - The delay before the suggestions are loaded while typing (default: 250)
+     */
+    constructor(inputId, options = {}) {
+        super();
+        this.input = document.getElementById(inputId);
+        if (!this.input) {
+            throw new Error(`Input with id "${inputId}" not found`);
+        }
+
+        this.maxSuggestions = options.maxSuggestions || 20;
+        this.debounceMs = options.debounceMs ?? 250;
+        this._debounceTimer = null;
+        this._abortController = null;
+        this._lastSearch = null;
+
+        this.datalist = document.createElement('datalist');
+        this.datalist.id = `${inputId}Suggestions`;
+        this.input.insertAdjacentElement('afterend', this.datalist);
+        this.input.setAttribute('list', this.datalist.id);
+        this.input.setAttribute('autocomplete', 'off');
+
+        this.input.addEventListener('input', () => {
+            clearTimeout(this._debounceTimer);
+            this._debounceTimer = setTimeout(() => this.loadSuggestions(), this.debounceMs);
+            this.dispatchEvent(new CustomEvent('picker:changed', { detail: { value: this.value } }));
+        });
+        this.input.addEventListener('focus', () => this.loadSuggestions());
+    }
+
+    /**
+     * The container name that has been entered
+     * @returns {string}
+     */
+    get value() {
+        return this.input.value.trim();
+    }
+
+    /**
+     * Sets the container name, without loading new suggestions
+     * @param {string} name - The container name
+     */
+    set value(name) {
+        this.input.value = name || '';
+    }
+
+    /**
+     * Loads the container names that contain the text entered so far
+     * @returns {Promise<void>}
+     */
+    async loadSuggestions() {
+        const search = this.value.toLowerCase();
+        if (search === this._lastSearch) {
+            return;
+        }
+
+        this._abortController?.abort();
+        this._abortController = new AbortController();
+
+        const params = new URLSearchParams({ $orderby: 'name', $top: this.maxSuggestions });
+        if (search) {
+            params.set('$filter', `contains(name,'${search.replace(/'/g, "''")}')`);
+        }
+
+        try {
+            const response = await fetch(`/api/containers?${params.toString()}`, { signal: this._abortController.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.datalist.innerHTML = '';
+            for (const container of data.items || []) {
+                const option = document.createElement('option');
+                option.value = container.name;
+                this.datalist.appendChild(option);
+            }
+            this._lastSearch = search;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error loading containers:', error);
+            }
+        }
+    }
+}
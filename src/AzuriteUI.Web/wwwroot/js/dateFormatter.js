@@ -1,11 +1,162 @@
 /**
- * Date formatting utilities for Azurite UI
- * Provides culture-specific, timezone-aware date formatting with ISO-8601 fallback
+ * Date and size formatting utilities for Azurite UI
+ * Provides culture-specific, timezone-aware date formatting with ISO-8601 fallback, and file sizes,
+ * following the user's display preferences.
+ *
+ * The preferences (DisplayPreferences.shared) are kept in local storage:
+ *   - dateStyle: 'relative' ("5 minutes ago") or 'absolute' dates in lists (default: relative)
+ *   - timeZone: 'local', 'utc' or an IANA time zone such as 'Europe/London' (default: local)
+ *   - hourCycle: '24' or '12' (default: 24)
+ *   - sizeUnits: 'binary' (1 KiB = 1024 bytes) or 'decimal' (1 KB = 1000 bytes) (default: binary)
+ *
+ * Dates and sizes rendered with formatDateWithTooltip and formatFileSizeHtml (or any element with a
+ * data-format-date or data-format-size attribute) are formatted again when the preferences change.
  */
 
+/**
+ * DisplayPreferences - The user's preferences for displaying dates and sizes.
+ *
+ * Usage:
+ *   DisplayPreferences.shared.update({ timeZone: 'utc' });
+ *   DisplayPreferences.shared.addEventListener('preferences:changed', () => render());
+ *
+ * Events:
+ *   - preferences:changed: { preferences }
+ */
+class DisplayPreferences extends EventTarget {
+    /**
+     * The preferences used when nothing has been chosen
+     */
+    static DEFAULTS = {
+        dateStyle: 'relative',
+        timeZone: 'local',
+        hourCycle: '24',
+        sizeUnits: 'binary'
+    };
+
+    /**
+     * The local storage key holding the preferences
+     */
+    static STORAGE_KEY = 'azuriteui.preferences';
+
+    /**
+     * The preferences shared by every component on the page
+     * @returns {DisplayPreferences}
+     */
+    static get shared() {
+        if (!DisplayPreferences._shared) {
+            DisplayPreferences._shared = new DisplayPreferences();
+        }
+        return DisplayPreferences._shared;
+    }
+
+    /**
+     * Creates a new DisplayPreferences instance, reading the saved preferences
+     */
+    constructor() {
+        super();
+        this.preferences = this._load();
+
+        // Preferences changed in another tab apply here as well
+        window.addEventListener('storage', (e) => {
+            if (e.key === DisplayPreferences.STORAGE_KEY) {
+                this.preferences = this._load();
+                this._changed();
+            }
+        });
+    }
+
+    /**
+     * The time zone to format dates in, as Intl expects it
+     * @returns {string|undefined} The IANA time zone, or undefined for the browser's time zone
+     */
+    get timeZone() {
+        const timeZone = this.preferences.timeZone;
+        if (timeZone === 'local') return undefined;
+        if (timeZone === 'utc') return 'UTC';
+        return timeZone;
+    }
+
+    /**
+     * Changes some of the preferences and saves them
+     * @param {Object} changes - The preferences to change
+     */
+    update(changes) {
+        const preferences = { ...this.preferences, ...changes };
+        if (!DisplayPreferences.isValidTimeZone(preferences.timeZone)) {
+            throw new Error(`'${preferences.timeZone}' is not a time zone`);
+        }
+
+        this.preferences = preferences;
+        try {
+            localStorage.setItem(DisplayPreferences.STORAGE_KEY, JSON.stringify(preferences));
+        } catch {
+            // Local storage can be full or unavailable; the preferences then only last for this page
+        }
+        this._changed();
+    }
+
+    /**
+     * Puts the default preferences back
+     */
+    reset() {
+        this.update({ ...DisplayPreferences.DEFAULTS });
+    }
+
+    /**
+     * Whether a time zone preference can be used
+     * @param {string} timeZone - 'local', 'utc' or an IANA time zone
+     * @returns {boolean}
+     */
+    static isValidTimeZone(timeZone) {
+        if (timeZone === 'local' || timeZone === 'utc') {
+            return true;
+        }
+        try {
+            new Intl.DateTimeFormat(undefined, { timeZone });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Reports the change
+     * @private
+     */
+    _changed() {
+        this.dispatchEvent(new CustomEvent('preferences:changed', { detail: { preferences: { ...this.preferences } } }));
+    }
+
+    /**
+     * Reads the saved preferences, ignoring any that are no longer valid
+     * @returns {Object} The preferences
+     * @private
+     */
+    _load() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(DisplayPreferences.STORAGE_KEY) || '{}') || {};
+        } catch {
+            // Use the defaults
+        }
+
+        const preferences = { ...DisplayPreferences.DEFAULTS };
+        for (const key of Object.keys(preferences)) {
+            if (typeof saved[key] === 'string') {
+                preferences[key] = saved[key];
+            }
+        }
+        if (!DisplayPreferences.isValidTimeZone(preferences.timeZone)) {
+            preferences.timeZone = DisplayPreferences.DEFAULTS.timeZone;
+        }
+        return preferences;
+    }
+}
+
 /**
  * Formats an ISO-8601 date string to a friendly, culture-specific format
- * in the browser's local timezone
+ * in the preferred time zone, with the preferred hour cycle
  * @param {string} isoDateString - ISO-8601 formatted date string (e.g., "2025-11-13T10:30:00.000Z")
  * @returns {Object} Object with 'friendly' and 'iso' properties
  */
@@ -22,8 +173,9 @@ function formatFriendlyDate(isoDateString) {
             return { friendly: isoDateString, iso: isoDateString };
         }
 
-        // Format date using browser's locale and timezone
+        // Format date using browser's locale
         // This provides culture-specific formatting (e.g., MM/DD/YYYY for US, DD/MM/YYYY for UK)
+        const preferences = DisplayPreferences.shared;
         const options = {
             year: 'numeric',
             month: 'short',
@@ -31,9 +183,15 @@ function formatFriendlyDate(isoDateString) {
             hour: '2-digit',
             minute: '2-digit',
             second: '2-digit',
-            hour12: false // Use 24-hour format; set to true for 12-hour with AM/PM
+            hour12: preferences.preferences.hourCycle === '12',
+            timeZone: preferences.timeZone
         };
 
+        // Say which time zone the date is in, unless it is the browser's own
+        if (preferences.timeZone) {
+            options.timeZoneName = 'short';
+        }
+
         const friendlyDate = date.toLocaleString(undefined, options);
 
         return {
@@ -47,18 +205,135 @@ function formatFriendlyDate(isoDateString) {
 }
 
 /**
- * Creates an HTML string for a date with friendly display and ISO-8601 tooltip
+ * Formats an ISO-8601 date string relative to now (e.g., "5 minutes ago")
+ * @param {string} isoDateString - ISO-8601 formatted date string
+ * @returns {string} The relative time
+ */
+function formatRelativeTime(isoDateString) {
+    const date = new Date(isoDateString);
+    if (!isoDateString || isNaN(date.getTime())) {
+        return isoDateString ? String(isoDateString) : 'not set';
+    }
+
+    const seconds = Math.floor((Date.now() - date.getTime()) / 1000);
+    const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'} ago`;
+
+    if (seconds < 60) return 'a few seconds ago';
+    if (seconds < 3600) return plural(Math.floor(seconds / 60), 'minute');
+    if (seconds < 86400) return plural(Math.floor(seconds / 3600), 'hour');
+    if (seconds < 86400 * 30) return plural(Math.floor(seconds / 86400), 'day');
+    if (seconds < 86400 * 365) return plural(Math.floor(seconds / (86400 * 30)), 'month');
+    return plural(Math.floor(seconds / (86400 * 365)), 'year');
+}
+
+/**
+ * Formats the time of an event; the date is included unless it is today in the preferred time zone
  * @param {string} isoDateString - ISO-8601 formatted date string
+ * @returns {string} The formatted time
+ */
+function formatTime(isoDateString) {
+    const date = new Date(isoDateString);
+    if (isNaN(date.getTime())) {
+        return isoDateString ? String(isoDateString) : '';
+    }
+
+    const preferences = DisplayPreferences.shared;
+    const timeZone = preferences.timeZone;
+    const hour12 = preferences.preferences.hourCycle === '12';
+    const day = (d) => d.toLocaleDateString('en-CA', { timeZone });
+    const time = date.toLocaleTimeString(undefined, { timeZone, hour12 });
+
+    return day(date) === day(new Date())
+        ? time
+        : `${date.toLocaleDateString(undefined, { timeZone })} ${time}`;
+}
+
+/**
+ * Formats a number of bytes in the preferred units
+ * @param {number} bytes - The number of bytes
+ * @returns {string} The formatted size (e.g., "1.5 KiB" or "1.5 KB")
+ */
+function formatFileSize(bytes) {
+    bytes = Number(bytes) || 0;
+    const decimal = DisplayPreferences.shared.preferences.sizeUnits === 'decimal';
+    const k = decimal ? 1000 : 1024;
+    const sizes = decimal ? ['B', 'KB', 'MB', 'GB', 'TB'] : ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+
+    if (bytes < k) return `${bytes} B`;
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+    return `${Math.round(bytes / Math.pow(k, i) * 10) / 10} ${sizes[i]}`;
+}
+
+/**
+ * Formats a date in the preferred style: relative to now, or absolute
+ * @param {string} isoDateString - ISO-8601 formatted date string
+ * @returns {string} The formatted date
+ */
+function formatPreferredDate(isoDateString) {
+    return DisplayPreferences.shared.preferences.dateStyle === 'absolute'
+        ? formatFriendlyDate(isoDateString).friendly
+        : formatRelativeTime(isoDateString);
+}
+
+/**
+ * Creates an HTML string for a date with friendly display and a tooltip.  It is formatted again when the
+ * preferences change.
+ * @param {string} isoDateString - ISO-8601 formatted date string
+ * @param {string} style - 'absolute' for an absolute date with an ISO-8601 tooltip (default), or
+ *   'preferred' for the preferred style (as used in lists) with the absolute date as the tooltip
  * @returns {string} HTML string with span element including title attribute
  */
-function formatDateWithTooltip(isoDateString) {
+function formatDateWithTooltip(isoDateString, style = 'absolute') {
     const formatted = formatFriendlyDate(isoDateString);
 
     if (!formatted.iso) {
         return formatted.friendly;
     }
 
-    return `<span title="${escapeHtml(formatted.iso)}" style="cursor: help; border-bottom: 1px dotted #999;">${escapeHtml(formatted.friendly)}</span>`;
+    const span = document.createElement('span');
+    span.dataset.formatDate = isoDateString;
+    span.dataset.dateStyle = style;
+    span.style.cursor = 'help';
+    span.style.borderBottom = '1px dotted #999';
+    applyDateFormat(span);
+    return span.outerHTML;
+}
+
+/**
+ * Creates an HTML string for a file size.  It is formatted again when the preferences change.
+ * @param {number} bytes - The number of bytes
+ * @returns {string} HTML string with span element
+ */
+function formatFileSizeHtml(bytes) {
+    const size = Number(bytes) || 0;
+    return `<span data-format-size="${size}">${escapeHtml(formatFileSize(size))}</span>`;
+}
+
+/**
+ * Formats the text (and tooltip) of an element with a data-format-date attribute
+ * @param {HTMLElement} element - The element
+ */
+function applyDateFormat(element) {
+    const iso = element.dataset.formatDate;
+    const friendly = formatFriendlyDate(iso).friendly;
+    if (element.dataset.dateStyle === 'preferred') {
+        element.textContent = formatPreferredDate(iso);
+        element.title = DisplayPreferences.shared.preferences.dateStyle === 'absolute' ? iso : friendly;
+    } else {
+        element.textContent = friendly;
+        element.title = iso;
+    }
+}
+
+/**
+ * Formats every element with a data-format-date or data-format-size attribute again
+ * @param {ParentNode} root - Where to look for the elements (default: the whole document)
+ */
+function refreshFormattedValues(root = document) {
+    root.querySelectorAll('[data-format-date]').forEach(applyDateFormat);
+    root.querySelectorAll('[data-format-size]').forEach(element => {
+        element.textContent = formatFileSize(element.dataset.formatSize);
+    });
 }
 
 /**
@@ -75,3 +350,8 @@ function escapeHtml(text) {
     div.textContent = text.toString();
     return div.innerHTML;
 }
+
+// Server-rendered values are formatted once the page has loaded, and everything is formatted again
+// when the preferences change
+document.addEventListener('DOMContentLoaded', () => refreshFormattedValues());
+DisplayPreferences.shared.addEventListener('preferences:changed', () => refreshFormattedValues());
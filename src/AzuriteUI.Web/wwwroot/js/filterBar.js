@@ -0,0 +1,462 @@
+/**
+ * FilterBar - A search box and advanced filters for the blob and container lists.
+ *
+ * The filters are turned into an OData $filter expression plus the metadata and tags
+ * key=value conditions accepted by the list endpoints, and are kept in the query string
+ * so that a filtered list can be bookmarked or shared.
+ *
+ * Usage:
+ *   const filterBar = new FilterBar('filterBar', { kind: 'blobs' });
+ *   filterBar.addEventListener('filter:changed', () => reload());
+ *   filterBar.render();
+ *   filterBar.appendTo(params, "startswith(name,'folder/')");
+ *   filterBar.setCounts(data.filteredCount, data.totalCount);
+ *
+ * Events:
+ *   - filter:changed: { filter, metadata, tags }
+ *
+ * Sizes accept a number with an optional unit (e.g. 500, 10KB, 2.5 MB); dates are whole days
+ * in the local time zone, and the "to" date is inclusive.
+ */
+class FilterBar extends EventTarget {
+    /**
+     * Creates a new FilterBar instance
+     * @param {string} containerId - The ID of the element to render into
+     * @param {Object} options - Optional configuration
+     * @param {string} options.kind - Either 'blobs' or 'containers' (default: 'blobs')
+     * @param {number} options.debounceMs - The delay before a search is run while typing (default: 300)
+     */
+    constructor(containerId, options = {}) {
+        super();
+        this.containerId = containerId;
+        this.kind = options.kind === 'containers' ? 'containers' : 'blobs';
+        this.debounceMs = options.debounceMs ?? 300;
+        this.container = null;
+        this.state = FilterBar.emptyState();
+        this._debounceTimer = null;
+        this.readFromUrl();
+    }
+
+    /**
+     * Renders the filter bar, filling the inputs from the current state
+     */
+    render() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.error(`Container with id "${this.containerId}" not found`);
+            return;
+        }
+
+        const isBlobs = this.kind === 'blobs';
+        const typeOptions = FilterBar.CONTENT_TYPES
+            .map(([value, label]) => `<option value="${this._escape(value)}">${this._escape(label)}</option>`)
+            .join('');
+
+        this.container.innerHTML = `
+            <div class="d-flex flex-wrap align-items-center gap-2">
+                <div class="input-group" style="max-width: 360px;">
+                    <span class="input-group-text"><i class="bi bi-search"></i></span>
+                    <input type="search" class="form-control" name="q" placeholder="Search by name"
+                           aria-label="Search by name" data-testid="filter-search" />
+                </div>
+                ${isBlobs ? `
+                <select class="form-select" name="type" style="max-width: 200px;" aria-label="Content type" data-testid="filter-type">
+                    ${typeOptions}
+                </select>` : ''}
+                <button type="button" class="btn btn-outline-secondary filter-advanced-toggle" data-testid="filter-advanced-toggle">
+                    <i class="bi bi-funnel me-1"></i> Filters
+                    <span class="badge bg-primary ms-1 d-none filter-active-count" data-testid="filter-active-count"></span>
+                </button>
+                <button type="button" class="btn btn-link filter-clear d-none" data-testid="filter-clear">Clear</button>
+                <small class="text-muted ms-auto filter-counts" data-testid="filter-counts"></small>
+            </div>
+            <div class="filter-advanced border rounded p-3 mt-2 d-none" data-testid="filter-advanced">
+                <div class="row g-2">
+                    <div class="col-md-3">
+                        <label class="form-label small mb-1">Min size</label>
+                        <input type="text" class="form-control form-control-sm" name="minSize" placeholder="e.g. 10KB" data-testid="filter-min-size" />
+                    </div>
+                    <div class="col-md-3">
+                        <label class="form-label small mb-1">Max size</label>
+                        <input type="text" class="form-control form-control-sm" name="maxSize" placeholder="e.g. 5MB" data-testid="filter-max-size" />
+                    </div>
+                    <div class="col-md-3">
+                        <label class="form-label small mb-1">Modified from</label>
+                        <input type="date" class="form-control form-control-sm" name="from" data-testid="filter-from" />
+                    </div>
+                    <div class="col-md-3">
+                        <label class="form-label small mb-1">Modified to</label>
+                        <input type="date" class="form-control form-control-sm" name="to" data-testid="filter-to" />
+                    </div>
+                    <div class="col-md-${isBlobs ? '6' : '12'}">
+                        <label class="form-label small mb-1">Metadata</label>
+                        <input type="text" class="form-control form-control-sm" name="metadata" placeholder="key=value, key2=value2" data-testid="filter-metadata" />
+                    </div>
+                    ${isBlobs ? `
+                    <div class="col-md-6">
+                        <label class="form-label small mb-1">Tags</label>
+                        <input type="text" class="form-control form-control-sm" name="tags" placeholder="key=value, key2=value2" data-testid="filter-tags" />
+                    </div>` : ''}
+                </div>
+            </div>
+        `;
+
+        this._fillInputs();
+        this._attachEventListeners();
+        this._updateIndicators();
+    }
+
+    /**
+     * Reads the filters from the query string (for example, after the back button is used)
+     */
+    readFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        this.state = {
+            q: params.get('q') || '',
+            type: this.kind === 'blobs' ? (params.get('type') || '') : '',
+            minSize: params.get('minSize') || '',
+            maxSize: params.get('maxSize') || '',
+            from: params.get('from') || '',
+            to: params.get('to') || '',
+            metadata: params.getAll('metadata').join(', '),
+            tags: this.kind === 'blobs' ? params.getAll('tags').join(', ') : ''
+        };
+
+        if (this.container) {
+            this._fillInputs();
+            this._updateIndicators();
+        }
+    }
+
+    /**
+     * Determines whether any filter is set
+     * @returns {boolean} True if a filter is set
+     */
+    isActive() {
+        return Object.values(this.state).some(value => value !== '');
+    }
+
+    /**
+     * Builds the OData $filter expression for the current filters
+     * @returns {string} The expression, or an empty string if there is nothing to filter on
+     */
+    getFilterExpression() {
+        const clauses = [];
+        const { q, type, minSize, maxSize, from, to } = this.state;
+        const sizeField = this.kind === 'blobs' ? 'contentLength' : 'totalSize';
+
+        if (q.trim()) {
+            clauses.push(`contains(tolower(name),${FilterBar.quote(q.trim().toLowerCase())})`);
+        }
+
+        if (type) {
+            clauses.push(type.endsWith('/')
+                ? `startswith(contentType,${FilterBar.quote(type)})`
+                : `contentType eq ${FilterBar.quote(type)}`);
+        }
+
+        const min = FilterBar.parseSize(minSize);
+        if (min !== null) {
+            clauses.push(`${sizeField} ge ${min}`);
+        }
+
+        const max = FilterBar.parseSize(maxSize);
+        if (max !== null) {
+            clauses.push(`${sizeField} le ${max}`);
+        }
+
+        const start = FilterBar.parseDate(from);
+        if (start) {
+            clauses.push(`lastModified ge ${start.toISOString()}`);
+        }
+
+        const end = FilterBar.parseDate(to);
+        if (end) {
+            end.setDate(end.getDate() + 1);
+            clauses.push(`lastModified lt ${end.toISOString()}`);
+        }
+
+        return clauses.join(' and ');
+    }
+
+    /**
+     * Gets the valid metadata and tags conditions
+     * @returns {{metadata: Array<string>, tags: Array<string>}} The key=value conditions
+     */
+    getConditions() {
+        return {
+            metadata: FilterBar.parseConditions(this.state.metadata).valid,
+            tags: FilterBar.parseConditions(this.state.tags).valid
+        };
+    }
+
+    /**
+     * Adds the filters to the query parameters for a list API call
+     * @param {URLSearchParams} params - The query parameters to add to
+     * @param {string} extraFilter - An optional $filter expression that must also match
+     */
+    appendTo(params, extraFilter = '') {
+        const filter = [extraFilter, this.getFilterExpression()]
+            .filter(expression => expression)
+            .map((expression, _, all) => all.length > 1 ? `(${expression})` : expression)
+            .join(' and ');
+        if (filter) {
+            params.set('$filter', filter);
+        }
+
+        const { metadata, tags } = this.getConditions();
+        metadata.forEach(condition => params.append('metadata', condition));
+        tags.forEach(condition => params.append('tags', condition));
+    }
+
+    /**
+     * Shows the number of items that matched the filters
+     * @param {number} filteredCount - The number of items matching the filters
+     * @param {number} totalCount - The number of items without any filters
+     */
+    setCounts(filteredCount, totalCount) {
+        const counts = this.container?.querySelector('.filter-counts');
+        if (!counts) {
+            return;
+        }
+
+        const noun = this.kind === 'blobs' ? 'blob' : 'container';
+        const plural = totalCount === 1 ? noun : `${noun}s`;
+        counts.textContent = filteredCount === totalCount
+            ? `${totalCount} ${plural}`
+            : `${filteredCount} of ${totalCount} ${plural}`;
+    }
+
+    /**
+     * Clears every filter
+     */
+    clear() {
+        this.state = FilterBar.emptyState();
+        this._fillInputs();
+        this._changed();
+    }
+
+    /**
+     * Copies the state into the inputs
+     * @private
+     */
+    _fillInputs() {
+        if (!this.container) {
+            return;
+        }
+
+        for (const [name, value] of Object.entries(this.state)) {
+            const input = this.container.querySelector(`[name="${name}"]`);
+            if (input) {
+                input.value = value;
+            }
+        }
+
+        this._validate();
+    }
+
+    /**
+     * Wires up the inputs; the search box is debounced, the other inputs apply when changed
+     * @private
+     */
+    _attachEventListeners() {
+        this.container.querySelectorAll('[name]').forEach(input => {
+            const eventName = input.name === 'q' ? 'input' : 'change';
+            input.addEventListener(eventName, () => {
+                this.state[input.name] = input.value;
+                if (input.name === 'q') {
+                    clearTimeout(this._debounceTimer);
+                    this._debounceTimer = setTimeout(() => this._changed(), this.debounceMs);
+                } else {
+                    this._changed();
+                }
+            });
+        });
+
+        this.container.querySelector('.filter-advanced-toggle').addEventListener('click', () => {
+            this.container.querySelector('.filter-advanced').classList.toggle('d-none');
+        });
+
+        this.container.querySelector('.filter-clear').addEventListener('click', () => this.clear());
+
+        // Open the advanced filters straight away when the URL already sets one
+        if (this._advancedCount() > 0) {
+            this.container.querySelector('.filter-advanced').classList.remove('d-none');
+        }
+    }
+
+    /**
+     * Syncs the URL and the indicators, then tells listeners that the filters changed
+     * @private
+     */
+    _changed() {
+        clearTimeout(this._debounceTimer);
+        this._validate();
+        this._updateIndicators();
+        this._writeToUrl();
+
+        const { metadata, tags } = this.getConditions();
+        this.dispatchEvent(new CustomEvent('filter:changed', {
+            detail: { filter: this.getFilterExpression(), metadata, tags }
+        }));
+    }
+
+    /**
+     * Marks the inputs that cannot be used; they are left out of the filter
+     * @private
+     */
+    _validate() {
+        if (!this.container) {
+            return;
+        }
+
+        const checks = {
+            minSize: value => FilterBar.parseSize(value) !== null,
+            maxSize: value => FilterBar.parseSize(value) !== null,
+            metadata: value => FilterBar.parseConditions(value).invalid.length === 0,
+            tags: value => FilterBar.parseConditions(value).invalid.length === 0
+        };
+
+        for (const [name, isValid] of Object.entries(checks)) {
+            const input = this.container.querySelector(`[name="${name}"]`);
+            if (input) {
+                input.classList.toggle('is-invalid', this.state[name].trim() !== '' && !isValid(this.state[name]));
+            }
+        }
+    }
+
+    /**
+     * Shows the number of advanced filters and the clear button
+     * @private
+     */
+    _updateIndicators() {
+        if (!this.container) {
+            return;
+        }
+
+        const count = this._advancedCount();
+        const badge = this.container.querySelector('.filter-active-count');
+        badge.textContent = count;
+        badge.classList.toggle('d-none', count === 0);
+        this.container.querySelector('.filter-clear').classList.toggle('d-none', !this.isActive());
+    }
+
+    /**
+     * Counts the filters set in the advanced section
+     * @returns {number} The number of advanced filters set
+     * @private
+     */
+    _advancedCount() {
+        return ['minSize', 'maxSize', 'from', 'to', 'metadata', 'tags']
+            .filter(name => this.state[name] !== '').length;
+    }
+
+    /**
+     * Writes the filters to the query string, keeping any other parameters
+     * @private
+     */
+    _writeToUrl() {
+        const params = new URLSearchParams(window.location.search);
+        ['q', 'type', 'minSize', 'maxSize', 'from', 'to', 'metadata', 'tags'].forEach(name => params.delete(name));
+
+        for (const name of ['q', 'type', 'minSize', 'maxSize', 'from', 'to']) {
+            if (this.state[name].trim()) {
+                params.set(name, this.state[name].trim());
+            }
+        }
+
+        const { metadata, tags } = this.getConditions();
+        metadata.forEach(condition => params.append('metadata', condition));
+        tags.forEach(condition => params.append('tags', condition));
+
+        const query = params.toString();
+        history.replaceState(history.state, '', window.location.pathname + (query ? `?${query}` : ''));
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @private
+     */
+    _escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Creates the state with no filters set
+     * @returns {Object} The empty state
+     */
+    static emptyState() {
+        return { q: '', type: '', minSize: '', maxSize: '', from: '', to: '', metadata: '', tags: '' };
+    }
+
+    /**
+     * Quotes a string as an OData literal; a single quote is escaped by doubling it
+     * @param {string} value - The value to quote
+     * @returns {string} The OData string literal
+     */
+    static quote(value) {
+        return `'${value.replace(/'/g, "''")}'`;
+    }
+
+    /**
+     * Parses a size such as 500, 10KB or 2.5 MB into bytes
+     * @param {string} value - The size to parse
+     * @returns {number|null} The number of bytes, or null if the size is empty or invalid
+     */
+    static parseSize(value) {
+        const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?\s*$/i.exec(value || '');
+        if (!match) {
+            return null;
+        }
+
+        const units = { b: 0, kb: 1, mb: 2, gb: 3, tb: 4 };
+        const power = units[(match[2] || 'b').toLowerCase()];
+        return Math.round(parseFloat(match[1]) * Math.pow(1024, power));
+    }
+
+    /**
+     * Parses a date input value (yyyy-mm-dd) as the start of that day in the local time zone
+     * @param {string} value - The date to parse
+     * @returns {Date|null} The date, or null if the value is empty or invalid
+     */
+    static parseDate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+            return null;
+        }
+
+        const date = new Date(`${value}T00:00:00`);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Splits a comma-separated list of key=value conditions
+     * @param {string} value - The conditions, such as "env=prod, team=web"
+     * @returns {{valid: Array<string>, invalid: Array<string>}} The conditions, split by whether they can be used
+     */
+    static parseConditions(value) {
+        const result = { valid: [], invalid: [] };
+        for (const part of (value || '').split(',').map(p => p.trim()).filter(p => p)) {
+            const separator = part.indexOf('=');
+            if (separator > 0 && part.substring(0, separator).trim()) {
+                result.valid.push(`${part.substring(0, separator).trim()}=${part.substring(separator + 1).trim()}`);
+            } else {
+                result.invalid.push(part);
+            }
+        }
+        return result;
+    }
+}
+
+/** The content type choices; values ending in '/' match every subtype */
+FilterBar.CONTENT_TYPES = [
+    ['', 'All types'],
+    ['image/', 'Images'],
+    ['text/', 'Text'],
+    ['video/', 'Video'],
+    ['audio/', 'Audio'],
+    ['application/json', 'JSON'],
+    ['application/pdf', 'PDF'],
+    ['application/octet-stream', 'Binary']
+];
@@ -0,0 +1,150 @@
+/**
+ * LiveUpdates - Receives changes to containers and blobs, the health of Azurite and the cache
+ * synchronization activity from the server as they happen.
+ *
+ * Usage:
+ *   LiveUpdates.shared.addEventListener('blob:created', (e) => console.log(e.detail.blobName));
+ *   LiveUpdates.shared.collect(['blob:created', 'blob:deleted'], (events) => refreshList(events));
+ *
+ * The events are server-sent events from /api/events.  One connection is shared by everything on the
+ * page, so use LiveUpdates.shared rather than creating instances.  If the connection drops, the browser
+ * reconnects by itself; live:disconnected and live:connected are dispatched as that happens.
+ *
+ * Events:
+ *   - live:connected: {}
+ *   - live:disconnected: {}
+ *   - container:created, container:updated, container:deleted: { containerName, eTag, timestamp }
+ *   - blob:created, blob:updated, blob:deleted: { containerName, blobName, eTag, timestamp }
+ *   - health:changed: { isHealthy, message, timestamp }
+ *   - sync:started, sync:finished, sync:failed: { message, timestamp }
+ */
+class LiveUpdates extends EventTarget {
+    /**
+     * The events that are sent by the server
+     * @type {string[]}
+     */
+    static EVENT_TYPES = [
+        'container:created', 'container:updated', 'container:deleted',
+        'blob:created', 'blob:updated', 'blob:deleted',
+        'health:changed',
+        'sync:started', 'sync:finished', 'sync:failed'
+    ];
+
+    /**
+     * The shared instance, created on first use
+     * @type {LiveUpdates|null}
+     * @private
+     */
+    static _shared = null;
+
+    /**
+     * The instance shared by everything on the page; it connects when it is first used
+     * @returns {LiveUpdates}
+     */
+    static get shared() {
+        if (!LiveUpdates._shared) {
+            LiveUpdates._shared = new LiveUpdates();
+            LiveUpdates._shared.connect();
+        }
+        return LiveUpdates._shared;
+    }
+
+    /**
+     * Creates a new LiveUpdates instance
+     * @param {string} url - The URL of the server-sent events endpoint (default: /api/events)
+     */
+    constructor(url = '/api/events') {
+        super();
+        this.url = url;
+        this.source = null;
+        this.isConnected = false;
+    }
+
+    /**
+     * Opens the connection to the server.  Does nothing if the browser does not support server-sent events.
+     */
+    connect() {
+        if (this.source || typeof EventSource === 'undefined') {
+            return;
+        }
+
+        this.source = new EventSource(this.url);
+        this.source.addEventListener('open', () => {
+            this.isConnected = true;
+            this.dispatchEvent(new CustomEvent('live:connected', { detail: {} }));
+        });
+        this.source.addEventListener('error', () => {
+            if (this.isConnected) {
+                this.isConnected = false;
+                this.dispatchEvent(new CustomEvent('live:disconnected', { detail: {} }));
+            }
+        });
+
+        for (const type of LiveUpdates.EVENT_TYPES) {
+            this.source.addEventListener(type, (e) => {
+                try {
+                    this.dispatchEvent(new CustomEvent(type, { detail: JSON.parse(e.data) }));
+                } catch (error) {
+                    console.error(`Error handling the ${type} event:`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Closes the connection to the server
+     */
+    disconnect() {
+        this.source?.close();
+        this.source = null;
+        if (this.isConnected) {
+            this.isConnected = false;
+            this.dispatchEvent(new CustomEvent('live:disconnected', { detail: {} }));
+        }
+    }
+
+    /**
+     * Listens for some events and hands them over in batches, once no more have arrived for a while.
+     * A bulk upload or a cache synchronization can send hundreds of events in a second; batching them
+     * lets the page update once rather than hundreds of times.
+     * @param {string[]} types - The events to listen for
+     * @param {function(Array<{type: string, detail: Object}>): void} handler - Called with each batch of events
+     * @param {number} delay - How long to wait for more events, in milliseconds (default: 250)
+     * @returns {function(): void} A function that stops listening
+     */
+    collect(types, handler, delay = 250) {
+        let batch = [];
+        let timer = null;
+
+        const listener = (e) => {
+            batch.push({ type: e.type, detail: e.detail });
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                const events = batch;
+                batch = [];
+                handler(events);
+            }, delay);
+        };
+
+        types.forEach(type => this.addEventListener(type, listener));
+        return () => {
+            clearTimeout(timer);
+            types.forEach(type => this.removeEventListener(type, listener));
+        };
+    }
+
+    /**
+     * Briefly highlights an element (such as a table row) to show that it is new or has changed
+     * @param {HTMLElement} element - The element to highlight
+     */
+    static flash(element) {
+        if (!element) {
+            return;
+        }
+        element.classList.remove('live-flash');
+        // Force a reflow so that the animation restarts if the element is already highlighted
+        void element.offsetWidth;
+        element.classList.add('live-flash');
+        element.addEventListener('animationend', () => element.classList.remove('live-flash'), { once: true });
+    }
+}
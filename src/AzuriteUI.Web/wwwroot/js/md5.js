@@ -0,0 +1,245 @@
+/**
+ * Md5 - An incremental MD5 hash, used to produce the Content-MD5 values for blob uploads.
+ *
+ * Usage:
+ *   const md5 = new Md5();
+ *   md5.append(await blob.slice(0, 1024).arrayBuffer());
+ *   md5.append(await blob.slice(1024).arrayBuffer());
+ *   const contentMD5 = Md5.toBase64(md5.digest());
+ *
+ * This file is also loaded by md5Worker.js, so it must not depend on the DOM.
+ */
+class Md5 {
+    /**
+     * Creates a new, empty MD5 hash
+     */
+    constructor() {
+        this._state = [0x67452301, 0xefcdab89 | 0, 0x98badcfe | 0, 0x10325476];
+        this._buffer = new Uint8Array(64);
+        this._bufferLength = 0;
+        this._length = 0;
+        this._words = new Int32Array(16);
+    }
+
+    /**
+     * Adds data to the hash
+     * @param {ArrayBuffer|Uint8Array} data - The data to add
+     * @returns {Md5} This hash, so that calls can be chained
+     */
+    append(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        let offset = 0;
+
+        // Top up the partial block left over from the last call first
+        if (this._bufferLength > 0) {
+            const count = Math.min(64 - this._bufferLength, bytes.length);
+            this._buffer.set(bytes.subarray(0, count), this._bufferLength);
+            this._bufferLength += count;
+            offset = count;
+
+            if (this._bufferLength < 64) {
+                this._length += bytes.length;
+                return this;
+            }
+
+            this._cycle(this._buffer, 0);
+            this._bufferLength = 0;
+        }
+
+        for (; offset + 64 <= bytes.length; offset += 64) {
+            this._cycle(bytes, offset);
+        }
+
+        this._buffer.set(bytes.subarray(offset), 0);
+        this._bufferLength = bytes.length - offset;
+        this._length += bytes.length;
+        return this;
+    }
+
+    /**
+     * Finishes the hash; the instance must not be used afterwards
+     * @returns {Uint8Array} The 16 byte MD5 hash
+     */
+    digest() {
+        // Pad to 56 bytes (mod 64) with a single 1 bit, then add the length in bits (little-endian)
+        const bits = this._length * 8;
+        const padLength = (this._bufferLength < 56 ? 56 : 120) - this._bufferLength;
+        const padding = new Uint8Array(padLength + 8);
+        const view = new DataView(padding.buffer);
+        padding[0] = 0x80;
+        view.setUint32(padLength, bits >>> 0, true);
+        view.setUint32(padLength + 4, Math.floor(bits / 0x100000000), true);
+        this.append(padding);
+
+        const result = new Uint8Array(16);
+        const resultView = new DataView(result.buffer);
+        this._state.forEach((value, index) => resultView.setInt32(index * 4, value, true));
+        return result;
+    }
+
+    /**
+     * Converts a hash to the Base64 form used by the Content-MD5 header
+     * @param {Uint8Array} hash - The hash
+     * @returns {string} The Base64 encoded hash
+     */
+    static toBase64(hash) {
+        return btoa(String.fromCharCode(...hash));
+    }
+
+    /**
+     * Hashes a blob (or file), reading it in chunks so that large files are never fully in memory
+     * @param {Blob} blob - The blob to hash
+     * @param {number} chunkSize - The number of bytes to read at a time (default: 4MB)
+     * @returns {Promise<string>} The Base64 encoded MD5 hash
+     */
+    static async hashBlob(blob, chunkSize = 4 * 1024 * 1024) {
+        const md5 = new Md5();
+        for (let offset = 0; offset < blob.size; offset += chunkSize) {
+            md5.append(await blob.slice(offset, offset + chunkSize).arrayBuffer());
+        }
+        return Md5.toBase64(md5.digest());
+    }
+
+    /**
+     * Processes a single 64 byte block
+     * @private
+     */
+    _cycle(bytes, offset) {
+        const words = this._words;
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            words[i] = bytes[j] | (bytes[j + 1] << 8) | (bytes[j + 2] << 16) | (bytes[j + 3] << 24);
+        }
+
+        let [a, b, c, d] = this._state;
+        for (let i = 0; i < 64; i++) {
+            let f, g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+
+            const sum = (a + f + Md5.K[i] + words[g]) | 0;
+            const shift = Md5.S[i];
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+        }
+
+        this._state[0] = (this._state[0] + a) | 0;
+        this._state[1] = (this._state[1] + b) | 0;
+        this._state[2] = (this._state[2] + c) | 0;
+        this._state[3] = (this._state[3] + d) | 0;
+    }
+}
+
+/** The per-round constants: floor(abs(sin(i + 1)) * 2^32) */
+Md5.K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0);
+
+/** The per-round left rotations */
+Md5.S = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+/**
+ * Md5Hasher - Hashes blobs in a Web Worker (md5Worker.js) so that hashing large files does
+ * not freeze the page.  Falls back to hashing on the page when workers are unavailable.
+ *
+ * Usage:
+ *   const hasher = new Md5Hasher();
+ *   const contentMD5 = await hasher.hash(file);
+ *   hasher.terminate();
+ */
+class Md5Hasher {
+    /**
+     * Creates a new Md5Hasher instance; the worker is started on first use
+     * @param {string} workerUrl - The URL of the worker script (default: /js/md5Worker.js)
+     */
+    constructor(workerUrl = '/js/md5Worker.js') {
+        this.workerUrl = workerUrl;
+        this._worker = null;
+        this._nextId = 1;
+        this._pending = new Map();
+    }
+
+    /**
+     * Hashes a blob (or file)
+     * @param {Blob} blob - The blob to hash
+     * @param {number} chunkSize - The number of bytes to read at a time (default: 4MB)
+     * @returns {Promise<string>} The Base64 encoded MD5 hash
+     */
+    hash(blob, chunkSize = 4 * 1024 * 1024) {
+        const worker = this._getWorker();
+        if (!worker) {
+            return Md5.hashBlob(blob, chunkSize);
+        }
+
+        const id = this._nextId++;
+        return new Promise((resolve, reject) => {
+            this._pending.set(id, { resolve, reject });
+            worker.postMessage({ id, blob, chunkSize });
+        });
+    }
+
+    /**
+     * Stops the worker, rejecting any hashes that have not finished
+     */
+    terminate() {
+        if (this._worker) {
+            this._worker.terminate();
+            this._worker = null;
+        }
+
+        for (const { reject } of this._pending.values()) {
+            reject(new DOMException('The hash was cancelled', 'AbortError'));
+        }
+        this._pending.clear();
+    }
+
+    /**
+     * Starts the worker if needed
+     * @returns {Worker|null} The worker, or null if workers are unavailable
+     * @private
+     */
+    _getWorker() {
+        if (this._worker || typeof Worker === 'undefined') {
+            return this._worker;
+        }
+
+        try {
+            this._worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('Unable to start the MD5 worker; hashing on the page instead:', error);
+            return null;
+        }
+
+        this._worker.addEventListener('message', (event) => {
+            const { id, md5, error } = event.data;
+            const pending = this._pending.get(id);
+            if (!pending) {
+                return;
+            }
+
+            this._pending.delete(id);
+            if (error) {
+                pending.reject(new Error(`Failed to hash the file: ${error}`));
+            } else {
+                pending.resolve(md5);
+            }
+        });
+        return this._worker;
+    }
+}
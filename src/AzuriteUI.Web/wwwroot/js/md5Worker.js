@@ -0,0 +1,20 @@
+/**
+ * md5Worker - A Web Worker that hashes blobs for Md5Hasher.
+ *
+ * Messages:
+ *   - in: { id, blob, chunkSize }
+ *   - out: { id, md5 } on success, or { id, error } on failure
+ *
+ * Messages are handled concurrently, so block hashes are not held up behind a whole-file hash.
+ */
+importScripts('md5.js');
+
+self.addEventListener('message', async (event) => {
+    const { id, blob, chunkSize } = event.data;
+    try {
+        const md5 = await Md5.hashBlob(blob, chunkSize);
+        self.postMessage({ id, md5 });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+});
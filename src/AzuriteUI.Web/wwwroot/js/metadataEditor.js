@@ -1,17 +1,86 @@
 /**
  * Metadata Editor - Reusable component for editing key-value metadata
  * Can be used for both containers and blobs
+ *
+ * A validation profile applies Azure's rules as the rows are edited, with a message on each row that
+ * breaks them and a counter of what is left:
+ *   - metadata: keys must be C# identifiers (and are case-insensitive), values must be printable ASCII,
+ *     and the keys and values together must fit in 8 KB.
+ *   - tags: at most 10 tags; keys of 1-128 and values of up to 256 characters, using only letters,
+ *     digits, spaces and + - . / : = _
+ *
+ * A schema can also be given for the keys a team expects:
+ *   {
+ *     allowOtherKeys: false,
+ *     keys: [
+ *       { name: 'owner', required: true, pattern: '[a-z]+@contoso\\.com', description: 'Owner e-mail' },
+ *       { name: 'stage', values: ['dev', 'test', 'prod'] }
+ *     ]
+ *   }
+ * Required keys are always shown and cannot be removed, keys with a list of values are edited with a
+ * dropdown, and a pattern must match the whole value.  A pattern that is not a valid regular expression
+ * is reported as an error on the rows for its key.
+ *
+ * The "Raw" toggle switches the rows to a text area holding the pairs as JSON or as key=value lines, with
+ * buttons to copy the text to (and paste it from) the clipboard.  Switching back parses the text into the
+ * rows; saving from the raw view parses it first, so the same validation applies either way.
  */
 
 class MetadataEditor {
-    constructor(containerId, metadata, onSave, onCancel) {
+    /**
+     * The validation profiles
+     */
+    static PROFILES = {
+        metadata: {
+            caseInsensitiveKeys: true,
+            maxTotalSize: 8 * 1024,
+            validateKey: (key) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(key)
+                ? null
+                : 'Key must start with a letter or underscore and contain only letters, digits and underscores',
+            validateValue: (value) => /^[\x20-\x7E]*$/.test(value)
+                ? null
+                : 'Value can only contain printable ASCII characters'
+        },
+        tags: {
+            caseInsensitiveKeys: false,
+            maxCount: 10,
+            validateKey: (key) => key.length > 128
+                ? 'Key must be 128 characters or less'
+                : MetadataEditor.TAG_CHARACTERS.test(key) ? null : 'Key can only contain letters, digits, spaces and + - . / : = _',
+            validateValue: (value) => value.length > 256
+                ? 'Value must be 256 characters or less'
+                : MetadataEditor.TAG_CHARACTERS.test(value) ? null : 'Value can only contain letters, digits, spaces and + - . / : = _'
+        }
+    };
+
+    /**
+     * The characters allowed in tag keys and values
+     */
+    static TAG_CHARACTERS = /^[A-Za-z0-9 +\-./:=_]*$/;
+
+    /**
+     * @param {string} containerId - The ID of the element to render into
+     * @param {Object} metadata - The key-value pairs to edit
+     * @param {Function} onSave - Called with the new key-value pairs; resolves to true if they were saved
+     * @param {Function} onCancel - Called when editing is cancelled
+     * @param {Object} options - Optional configuration
+     * @param {string} options.profile - The validation profile: 'metadata' or 'tags' (default: none)
+     * @param {Object} options.schema - The keys that are required or allowed (default: none)
+     */
+    constructor(containerId, metadata, onSave, onCancel, options = {}) {
         this.containerId = containerId;
         this.originalMetadata = metadata || {};
         this.currentMetadata = JSON.parse(JSON.stringify(this.originalMetadata)); // Deep clone
         this.onSave = onSave;
         this.onCancel = onCancel;
+        this.profile = MetadataEditor.PROFILES[options.profile] || null;
+        this.schema = options.schema || null;
+        this.schemaPatterns = this.compileSchemaPatterns();
         this.isEditMode = false;
+        this.isRawMode = false;
+        this.rawFormat = 'json';
         this.container = null;
+        this.nextRowIndex = 0;
     }
 
     /**
@@ -88,13 +157,34 @@ class MetadataEditor {
      * Render edit mode - displays editable inputs with add/remove functionality
      */
     renderEditMode() {
-        const metadataEntries = Object.entries(this.currentMetadata);
+        const entries = this.addRequiredKeys(Object.entries(this.currentMetadata));
 
         let html = `
             <div class="metadata-edit-header">
                 <small class="text-muted">Edit metadata key-value pairs</small>
+                ${this.profile ? '<small class="text-muted metadata-remaining" data-testid="metadata-remaining"></small>' : ''}
+                <div class="btn-group btn-group-sm" role="group" aria-label="Editor view">
+                    <button type="button" class="btn btn-outline-secondary active" data-metadata-view="rows" data-testid="metadata-view-rows">Rows</button>
+                    <button type="button" class="btn btn-outline-secondary" data-metadata-view="raw" data-testid="metadata-view-raw">Raw</button>
+                </div>
             </div>
-            <table class="metadata-table">
+            <div class="metadata-raw d-none">
+                <div class="d-flex align-items-center gap-2 mb-1">
+                    <select class="form-select form-select-sm w-auto metadata-raw-format" aria-label="Raw format" data-testid="metadata-raw-format">
+                        <option value="json">JSON</option>
+                        <option value="lines">key=value</option>
+                    </select>
+                    <button type="button" class="btn btn-sm btn-outline-secondary ms-auto metadata-copy-button" title="Copy to clipboard" data-testid="metadata-copy">
+                        <i class="bi bi-clipboard"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary metadata-paste-button" title="Paste from clipboard" data-testid="metadata-paste">
+                        <i class="bi bi-clipboard-plus"></i>
+                    </button>
+                </div>
+                <textarea class="form-control form-control-sm font-monospace metadata-raw-text" rows="8" spellcheck="false" data-testid="metadata-raw-text"></textarea>
+                <div class="metadata-raw-error d-none" data-testid="metadata-raw-error"></div>
+            </div>
+            <table class="metadata-table metadata-rows-view">
                 <thead>
                     <tr>
                         <th>Key</th>
@@ -105,14 +195,16 @@ class MetadataEditor {
                 <tbody class="metadata-rows">
         `;
 
-        metadataEntries.forEach(([key, value], index) => {
-            html += this.renderMetadataRow(key, value, index);
+        this.nextRowIndex = 0;
+        entries.forEach(([key, value]) => {
+            html += this.renderMetadataRow(key, value, this.nextRowIndex++);
         });
 
         html += `
                 </tbody>
             </table>
-            <div class="mt-2">
+            ${this.renderKeySuggestions()}
+            <div class="mt-2 metadata-rows-view">
                 <button type="button" class="btn btn-sm btn-outline-secondary metadata-add-button">
                     <i class="bi bi-plus-circle-fill me-1"></i> Add
                 </button>
@@ -145,36 +237,275 @@ class MetadataEditor {
             cancelButton.addEventListener('click', () => this.cancel());
         }
 
-        // Attach event listeners for remove buttons
-        const removeButtons = this.container.querySelectorAll('.metadata-remove-button');
-        removeButtons.forEach((button, index) => {
-            button.addEventListener('click', () => this.removeRow(index));
+        // The raw view
+        this.container.querySelectorAll('[data-metadata-view]').forEach(button => {
+            button.addEventListener('click', () => this.setRawMode(button.dataset.metadataView === 'raw'));
+        });
+        const rawFormat = this.container.querySelector('.metadata-raw-format');
+        rawFormat.addEventListener('change', () => this.setRawFormat(rawFormat.value));
+        this.container.querySelector('.metadata-raw-text').addEventListener('input', () => this.parseRaw());
+        this.container.querySelector('.metadata-copy-button').addEventListener('click', (e) => this.copyRaw(e.currentTarget));
+        this.container.querySelector('.metadata-paste-button').addEventListener('click', () => this.pasteRaw());
+        this.isRawMode = false;
+
+        // Remove buttons are handled here so that rows added later are covered too
+        const tbody = this.container.querySelector('.metadata-rows');
+        tbody.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.metadata-remove-button');
+            if (removeButton) {
+                this.removeRow(removeButton.dataset.rowIndex);
+            }
+        });
+
+        // Check the rules as the rows are edited
+        tbody.addEventListener('input', () => this.validate());
+        tbody.addEventListener('change', (e) => {
+            if (e.target.classList.contains('metadata-key')) {
+                this.updateValueInput(e.target.closest('tr'));
+            }
+            this.validate();
         });
+        this.validate();
     }
 
     /**
      * Render a single metadata row in edit mode
      */
     renderMetadataRow(key, value, index) {
+        const schemaKey = this.findSchemaKey(key);
+        const isRequired = !!(schemaKey && schemaKey.required);
+        const listId = this.schema ? `${this.containerId}-keys` : null;
+
         return `
             <tr data-row-index="${index}">
                 <td>
                     <input type="text" class="metadata-key" value="${this.escapeHtml(key)}"
-                           placeholder="Key" data-row-index="${index}" />
+                           placeholder="Key" data-row-index="${index}" ${listId ? `list="${listId}"` : ''}
+                           ${isRequired ? 'readonly title="This key is required"' : ''} />
                 </td>
                 <td>
-                    <input type="text" class="metadata-value" value="${this.escapeHtml(value)}"
-                           placeholder="Value" data-row-index="${index}" />
+                    ${this.renderValueInput(schemaKey, value, index)}
+                    <div class="metadata-row-error d-none" data-testid="metadata-row-error"></div>
                 </td>
                 <td class="text-center">
+                    ${isRequired ? '' : `
                     <i class="bi bi-dash-circle-fill action-icon text-danger metadata-remove-button"
                        data-row-index="${index}"
-                       title="Remove" style="cursor: pointer;"></i>
+                       title="Remove" style="cursor: pointer;"></i>`}
                 </td>
             </tr>
         `;
     }
 
+    /**
+     * Render the input for a value: a dropdown when the schema lists the values, otherwise a text box
+     * @param {Object|null} schemaKey - The schema for the key, if there is one
+     * @param {string} value - The current value
+     * @param {number} index - The index of the row
+     * @returns {string} The HTML for the input
+     */
+    renderValueInput(schemaKey, value, index) {
+        const title = schemaKey && schemaKey.description ? `title="${this.escapeHtml(schemaKey.description)}"` : '';
+        if (schemaKey && Array.isArray(schemaKey.values) && schemaKey.values.length > 0) {
+            // Keep a value that is not in the list so that it is not lost, but it will not pass validation
+            const values = schemaKey.values.includes(value) || value === '' ? schemaKey.values : [value, ...schemaKey.values];
+            const options = values.map(v => `<option value="${this.escapeHtml(v)}" ${v === value ? 'selected' : ''}>${this.escapeHtml(v)}</option>`).join('');
+            return `
+                <select class="form-select form-select-sm metadata-value" data-row-index="${index}" ${title}>
+                    ${schemaKey.required ? '' : '<option value=""></option>'}
+                    ${schemaKey.required && value === '' ? '<option value="" selected disabled>Choose...</option>' : ''}
+                    ${options}
+                </select>
+            `;
+        }
+
+        return `
+            <input type="text" class="metadata-value" value="${this.escapeHtml(value)}"
+                   placeholder="Value" data-row-index="${index}" ${title} />
+        `;
+    }
+
+    /**
+     * Render the suggestions offered for the key inputs when there is a schema
+     * @returns {string} The HTML for the datalist
+     */
+    renderKeySuggestions() {
+        if (!this.schema || !Array.isArray(this.schema.keys)) {
+            return '';
+        }
+        const options = this.schema.keys.map(k => `<option value="${this.escapeHtml(k.name)}"></option>`).join('');
+        return `<datalist id="${this.containerId}-keys">${options}</datalist>`;
+    }
+
+    /**
+     * Swap the value input of a row when its key is changed to or from a key with a list of values
+     * @param {HTMLTableRowElement} row - The row
+     */
+    updateValueInput(row) {
+        const keyInput = row.querySelector('.metadata-key');
+        const valueInput = row.querySelector('.metadata-value');
+        const schemaKey = this.findSchemaKey(keyInput.value.trim());
+        const wantsSelect = !!(schemaKey && Array.isArray(schemaKey.values) && schemaKey.values.length > 0);
+        if (!wantsSelect && valueInput.tagName !== 'SELECT') {
+            return;
+        }
+
+        const template = document.createElement('template');
+        template.innerHTML = this.renderValueInput(schemaKey, valueInput.value, row.dataset.rowIndex).trim();
+        valueInput.replaceWith(template.content.firstElementChild);
+    }
+
+    /**
+     * Replace the rows in edit mode
+     * @param {Array<[string, string]>} entries - The key-value pairs
+     */
+    setRows(entries) {
+        const tbody = this.container.querySelector('.metadata-rows');
+        this.nextRowIndex = 0;
+        tbody.innerHTML = this.addRequiredKeys(entries).map(([key, value]) => this.renderMetadataRow(key, value, this.nextRowIndex++)).join('');
+        this.validate();
+    }
+
+    /**
+     * Add an empty entry for each required key that is missing, so that required keys are always shown
+     * @param {Array<[string, string]>} entries - The key-value pairs
+     * @returns {Array<[string, string]>} The key-value pairs with the missing required keys at the end
+     */
+    addRequiredKeys(entries) {
+        const missing = this.getRequiredKeys().filter(schemaKey => !entries.some(([key]) => this.keysMatch(key, schemaKey.name)));
+        return [...entries, ...missing.map(schemaKey => [schemaKey.name, ''])];
+    }
+
+    /**
+     * Read the rows in edit mode, including rows with an empty key
+     * @returns {Array<[string, string]>} The key-value pairs
+     */
+    getRows() {
+        return [...this.container.querySelectorAll('.metadata-rows tr')]
+            .map(row => [row.querySelector('.metadata-key').value.trim(), row.querySelector('.metadata-value').value])
+            .filter(([key, value]) => key !== '' || value !== '');
+    }
+
+    /**
+     * Switch between the rows and the raw text
+     * @param {boolean} raw - true for the raw text, false for the rows
+     * @returns {boolean} true if the view was switched; false if the raw text could not be parsed
+     */
+    setRawMode(raw) {
+        if (raw === this.isRawMode) {
+            return true;
+        }
+
+        if (raw) {
+            this.container.querySelector('.metadata-raw-text').value = MetadataEditor.formatRaw(this.getRows(), this.rawFormat);
+            this.showRawErrors([]);
+        } else {
+            const entries = this.parseRaw();
+            if (!entries) {
+                return false;
+            }
+            this.setRows(entries);
+        }
+
+        this.isRawMode = raw;
+        this.container.querySelector('.metadata-raw').classList.toggle('d-none', !raw);
+        this.container.querySelectorAll('.metadata-rows-view').forEach(element => element.classList.toggle('d-none', raw));
+        this.container.querySelectorAll('[data-metadata-view]').forEach(button => {
+            button.classList.toggle('active', (button.dataset.metadataView === 'raw') === raw);
+        });
+        return true;
+    }
+
+    /**
+     * Change the format of the raw text, converting what has been typed so far
+     * @param {string} format - 'json' or 'lines'
+     */
+    setRawFormat(format) {
+        const select = this.container.querySelector('.metadata-raw-format');
+        const entries = this.parseRaw();
+        if (!entries) {
+            // Leave the text alone so that the problem can be fixed
+            select.value = this.rawFormat;
+            return;
+        }
+
+        this.rawFormat = format;
+        select.value = format;
+        this.container.querySelector('.metadata-raw-text').value = MetadataEditor.formatRaw(entries, format);
+    }
+
+    /**
+     * Parse the raw text, showing the problem (and selecting the line it is on) if it cannot be parsed
+     * @returns {Array<[string, string]>|null} The key-value pairs, or null if the text could not be parsed
+     */
+    parseRaw() {
+        const textarea = this.container.querySelector('.metadata-raw-text');
+        try {
+            const entries = MetadataEditor.parseRaw(textarea.value, this.rawFormat);
+            this.showRawErrors([]);
+            return entries;
+        } catch (error) {
+            this.showRawErrors([error.message]);
+            if (error.line && document.activeElement !== textarea) {
+                MetadataEditor.selectLine(textarea, error.line);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Show the problems with the raw text below it
+     * @param {string[]} errors - The problems; an empty list hides them
+     */
+    showRawErrors(errors) {
+        const textarea = this.container.querySelector('.metadata-raw-text');
+        const message = this.container.querySelector('.metadata-raw-error');
+        textarea.classList.toggle('is-invalid', errors.length > 0);
+        message.innerHTML = errors.map(e => `<div>${this.escapeHtml(e)}</div>`).join('');
+        message.classList.toggle('d-none', errors.length === 0);
+    }
+
+    /**
+     * Copy the raw text to the clipboard
+     * @param {HTMLElement} button - The copy button, which briefly shows a tick
+     */
+    async copyRaw(button) {
+        const textarea = this.container.querySelector('.metadata-raw-text');
+        try {
+            await navigator.clipboard.writeText(textarea.value);
+        } catch {
+            // The clipboard API is only available in secure contexts
+            textarea.select();
+            document.execCommand('copy');
+        }
+
+        const icon = button.querySelector('i');
+        icon.className = 'bi bi-check2';
+        setTimeout(() => icon.className = 'bi bi-clipboard', 1500);
+    }
+
+    /**
+     * Replace the raw text with the contents of the clipboard, picking the format from the text
+     */
+    async pasteRaw() {
+        const textarea = this.container.querySelector('.metadata-raw-text');
+        let text;
+        try {
+            text = await navigator.clipboard.readText();
+        } catch {
+            // Reading the clipboard needs a secure context and the user's permission
+            Toast.warning('The clipboard cannot be read here. Paste into the text area with Ctrl+V instead.');
+            textarea.focus();
+            return;
+        }
+
+        const format = MetadataEditor.detectRawFormat(text);
+        this.rawFormat = format;
+        this.container.querySelector('.metadata-raw-format').value = format;
+        textarea.value = text;
+        this.parseRaw();
+    }
+
     /**
      * Toggle between view and edit modes
      */
@@ -196,31 +527,10 @@ class MetadataEditor {
         const tbody = this.container.querySelector('.metadata-rows');
         if (!tbody) return;
 
-        const index = tbody.children.length;
-        const newRow = document.createElement('tr');
-        newRow.setAttribute('data-row-index', index);
-        newRow.innerHTML = `
-            <td>
-                <input type="text" class="metadata-key" value=""
-                       placeholder="Key" data-row-index="${index}" />
-            </td>
-            <td>
-                <input type="text" class="metadata-value" value=""
-                       placeholder="Value" data-row-index="${index}" />
-            </td>
-            <td class="text-center">
-                <i class="bi bi-dash-circle-fill action-icon text-danger metadata-remove-button"
-                   data-row-index="${index}"
-                   title="Remove" style="cursor: pointer;"></i>
-            </td>
-        `;
-        tbody.appendChild(newRow);
-
-        // Attach event listener to the new remove button
-        const removeButton = newRow.querySelector('.metadata-remove-button');
-        if (removeButton) {
-            removeButton.addEventListener('click', () => this.removeRow(index));
-        }
+        const template = document.createElement('template');
+        template.innerHTML = this.renderMetadataRow('', '', this.nextRowIndex++).trim();
+        tbody.appendChild(template.content.firstElementChild);
+        this.validate();
     }
 
     /**
@@ -233,16 +543,19 @@ class MetadataEditor {
         const row = tbody.querySelector(`tr[data-row-index="${index}"]`);
         if (row) {
             row.remove();
+            this.validate();
         }
     }
 
     /**
-     * Validate metadata inputs
+     * Validate metadata inputs, marking the rows that break the rules and updating the counter
      */
     validate() {
         const rows = this.container.querySelectorAll('.metadata-rows tr');
         const keys = [];
         const errors = [];
+        let totalSize = 0;
+        let count = 0;
 
         rows.forEach((row, index) => {
             const keyInput = row.querySelector('.metadata-key');
@@ -251,33 +564,183 @@ class MetadataEditor {
             if (!keyInput || !valueInput) return;
 
             const key = keyInput.value.trim();
-            const value = valueInput.value.trim();
+            const value = valueInput.value;
+            const rowErrors = { key: [], value: [] };
 
             // Check for empty keys (but allow empty values)
             if (key === '' && value !== '') {
-                errors.push(`Row ${index + 1}: Key cannot be empty`);
-                keyInput.classList.add('is-invalid');
-            } else {
-                keyInput.classList.remove('is-invalid');
+                rowErrors.key.push('Key cannot be empty');
             }
 
-            // Check for duplicate keys
             if (key !== '') {
-                if (keys.includes(key)) {
-                    errors.push(`Row ${index + 1}: Duplicate key "${key}"`);
-                    keyInput.classList.add('is-invalid');
+                count++;
+                totalSize += key.length + value.length;
+
+                // Check for duplicate keys
+                if (keys.some(k => this.keysMatch(k, key))) {
+                    rowErrors.key.push(`Duplicate key "${key}"`);
                 } else {
                     keys.push(key);
                 }
+
+                this.validateRow(key, value, rowErrors);
+            }
+
+            this.showRowErrors(row, keyInput, valueInput, rowErrors);
+            for (const message of [...rowErrors.key, ...rowErrors.value]) {
+                errors.push(`Row ${index + 1}: ${message}`);
             }
         });
 
+        // Required keys are shown as rows, but could still be missing if the row was cleared
+        for (const schemaKey of this.getRequiredKeys()) {
+            if (!keys.some(k => this.keysMatch(k, schemaKey.name))) {
+                errors.push(`Key "${schemaKey.name}" is required`);
+            }
+        }
+
+        if (this.profile) {
+            errors.push(...this.updateRemaining(count, totalSize));
+        }
+
         return {
             isValid: errors.length === 0,
             errors: errors
         };
     }
 
+    /**
+     * Check one key-value pair against the validation profile and the schema
+     * @param {string} key - The key (not empty)
+     * @param {string} value - The value
+     * @param {{key: string[], value: string[]}} rowErrors - The messages for the row, added to
+     */
+    validateRow(key, value, rowErrors) {
+        if (this.profile) {
+            const keyError = this.profile.validateKey(key);
+            if (keyError) rowErrors.key.push(keyError);
+            const valueError = this.profile.validateValue(value);
+            if (valueError) rowErrors.value.push(valueError);
+        }
+
+        if (!this.schema) {
+            return;
+        }
+
+        const schemaKey = this.findSchemaKey(key);
+        if (!schemaKey) {
+            if (this.schema.allowOtherKeys === false) {
+                rowErrors.key.push(`Key "${key}" is not allowed`);
+            }
+            return;
+        }
+
+        if (schemaKey.required && value === '') {
+            rowErrors.value.push('Value is required');
+        } else if (value !== '' && Array.isArray(schemaKey.values) && schemaKey.values.length > 0 && !schemaKey.values.includes(value)) {
+            rowErrors.value.push(`Value must be one of: ${schemaKey.values.join(', ')}`);
+        } else if (value !== '' && schemaKey.pattern) {
+            const pattern = this.schemaPatterns.get(schemaKey);
+            if (pattern instanceof Error) {
+                rowErrors.value.push(`The schema pattern for "${schemaKey.name}" is invalid: ${pattern.message}`);
+            } else if (!pattern.test(value)) {
+                rowErrors.value.push(schemaKey.description ? `Value must be ${schemaKey.description}` : `Value must match ${schemaKey.pattern}`);
+            }
+        }
+    }
+
+    /**
+     * Compile the patterns in the schema, so that a pattern that is not a valid regular expression is
+     * found once rather than on every keystroke
+     * @returns {Map<Object, RegExp|Error>} The compiled pattern, or the error, for each schema key with a pattern
+     */
+    compileSchemaPatterns() {
+        const patterns = new Map();
+        if (!this.schema || !Array.isArray(this.schema.keys)) {
+            return patterns;
+        }
+
+        for (const schemaKey of this.schema.keys) {
+            if (!schemaKey.pattern) continue;
+            try {
+                patterns.set(schemaKey, new RegExp(`^(?:${schemaKey.pattern})$`));
+            } catch (error) {
+                console.error(`Invalid pattern in the metadata schema for key "${schemaKey.name}":`, error);
+                patterns.set(schemaKey, error);
+            }
+        }
+        return patterns;
+    }
+
+    /**
+     * Mark the inputs of a row and show its messages
+     */
+    showRowErrors(row, keyInput, valueInput, rowErrors) {
+        keyInput.classList.toggle('is-invalid', rowErrors.key.length > 0);
+        valueInput.classList.toggle('is-invalid', rowErrors.value.length > 0);
+
+        const message = row.querySelector('.metadata-row-error');
+        if (message) {
+            message.textContent = [...rowErrors.key, ...rowErrors.value].join('. ');
+            message.classList.toggle('d-none', message.textContent === '');
+        }
+    }
+
+    /**
+     * Update the counter of what is left under the validation profile
+     * @param {number} count - The number of keys
+     * @param {number} totalSize - The size of the keys and values, in characters
+     * @returns {string[]} The errors, if the limits have been passed
+     */
+    updateRemaining(count, totalSize) {
+        const errors = [];
+        let text;
+        if (this.profile.maxTotalSize) {
+            const remaining = this.profile.maxTotalSize - totalSize;
+            text = `${remaining.toLocaleString()} bytes remaining`;
+            if (remaining < 0) errors.push(`Metadata must be ${this.profile.maxTotalSize / 1024} KB or less`);
+        } else {
+            const remaining = this.profile.maxCount - count;
+            text = `${Math.max(remaining, 0)} of ${this.profile.maxCount} remaining`;
+            if (remaining < 0) errors.push(`There can be at most ${this.profile.maxCount} tags`);
+        }
+
+        const counter = this.container.querySelector('.metadata-remaining');
+        if (counter) {
+            counter.textContent = text;
+            counter.classList.toggle('text-danger', errors.length > 0);
+            counter.classList.toggle('text-muted', errors.length === 0);
+        }
+        return errors;
+    }
+
+    /**
+     * Find the schema for a key
+     * @param {string} key - The key
+     * @returns {Object|null} The schema for the key, or null if there is none
+     */
+    findSchemaKey(key) {
+        if (!this.schema || !Array.isArray(this.schema.keys) || !key) {
+            return null;
+        }
+        return this.schema.keys.find(k => this.keysMatch(k.name, key)) || null;
+    }
+
+    /**
+     * The keys that the schema requires
+     * @returns {Object[]} The schemas for the required keys
+     */
+    getRequiredKeys() {
+        return this.schema && Array.isArray(this.schema.keys) ? this.schema.keys.filter(k => k.required) : [];
+    }
+
+    /**
+     * Whether two keys are the same; metadata keys are case-insensitive
+     */
+    keysMatch(a, b) {
+        return this.profile && this.profile.caseInsensitiveKeys ? a.toLowerCase() === b.toLowerCase() : a === b;
+    }
+
     /**
      * Collect metadata from input fields
      */
@@ -292,7 +755,7 @@ class MetadataEditor {
             if (!keyInput || !valueInput) return;
 
             const key = keyInput.value.trim();
-            const value = valueInput.value.trim();
+            const value = valueInput.value;
 
             // Only add non-empty keys
             if (key !== '') {
@@ -307,9 +770,21 @@ class MetadataEditor {
      * Save metadata changes
      */
     async save() {
+        // The raw text is parsed into the rows so that it is validated and collected the same way
+        if (this.isRawMode) {
+            const entries = this.parseRaw();
+            if (!entries) {
+                return;
+            }
+            this.setRows(entries);
+        }
+
         // Validate inputs
         const validation = this.validate();
         if (!validation.isValid) {
+            if (this.isRawMode) {
+                this.showRawErrors(validation.errors);
+            }
             Toast.warning('Validation errors:\n' + validation.errors.join('\n'));
             return;
         }
@@ -357,6 +832,140 @@ class MetadataEditor {
         this.render();
     }
 
+    /**
+     * Format key-value pairs as raw text
+     * @param {Array<[string, string]>} entries - The key-value pairs
+     * @param {string} format - 'json' for a JSON object, or 'lines' for key=value lines
+     * @returns {string} The text
+     */
+    static formatRaw(entries, format) {
+        if (format === 'lines') {
+            return entries.map(([key, value]) => `${key}=${value}`).join('\n');
+        }
+        // Written by hand rather than through an object, so that duplicate keys are not lost
+        const members = entries.map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+        return members.length === 0 ? '{}' : `{\n${members.join(',\n')}\n}`;
+    }
+
+    /**
+     * Pick the format of raw text, such as text pasted from the clipboard
+     * @param {string} text - The text
+     * @returns {string} 'json' if the text is a JSON object, otherwise 'lines'
+     */
+    static detectRawFormat(text) {
+        return text.trim().startsWith('{') ? 'json' : 'lines';
+    }
+
+    /**
+     * Parse raw text into key-value pairs
+     * @param {string} text - The text
+     * @param {string} format - 'json' for a JSON object, or 'lines' for key=value lines (blank lines
+     *   and lines starting with # are skipped)
+     * @returns {Array<[string, string]>} The key-value pairs, in order; duplicate keys are kept so that
+     *   validation can report them.  Keys are trimmed, but values are kept as they are.
+     * @throws {Error} If the text cannot be parsed; the error has the line number in its line property
+     */
+    static parseRaw(text, format) {
+        const fail = (message, line) => Object.assign(new Error(line ? `Line ${line}: ${message}` : message), { line });
+
+        if (format === 'lines') {
+            const entries = [];
+            text.split(/\r?\n/).forEach((line, index) => {
+                const trimmed = line.trim();
+                if (trimmed === '' || trimmed.startsWith('#')) {
+                    return;
+                }
+                const separator = line.indexOf('=');
+                if (separator < 0) {
+                    throw fail('Expected key=value', index + 1);
+                }
+                const key = line.substring(0, separator).trim();
+                if (key === '') {
+                    throw fail('Key cannot be empty', index + 1);
+                }
+                entries.push([key, line.substring(separator + 1)]);
+            });
+            return entries;
+        }
+
+        if (text.trim() === '') {
+            return [];
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // Browsers report where the problem is as a line or an offset into the text
+            const lineMatch = /line (\d+)/.exec(error.message);
+            const positionMatch = /position (\d+)/.exec(error.message);
+            const line = lineMatch ? Number(lineMatch[1])
+                : positionMatch ? text.substring(0, Number(positionMatch[1])).split('\n').length
+                : null;
+            // Some browsers repeat the whole text in the message, which is no help in a small box
+            const reason = error.message.replace(/, ".*" is not valid JSON$/s, '');
+            throw fail(`Invalid JSON: ${reason}`, line);
+        }
+
+        if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw fail('Expected a JSON object of key-value pairs', 1);
+        }
+
+        // JSON.parse keeps only the last of a duplicated key, so the members are read from the text
+        return MetadataEditor.readJsonMembers(text).map(({ key, value, line }) => {
+            if (value !== null && typeof value === 'object') {
+                throw fail(`The value of "${key}" must be a string`, line);
+            }
+            return [key, value === null ? '' : String(value)];
+        });
+    }
+
+    /**
+     * Read the members of a JSON object in the order they are written, including duplicated keys
+     * @param {string} text - The text of a JSON object, which JSON.parse has already accepted
+     * @returns {Array<{key: string, value: *, line: number}>} The members, with the line each key is on
+     */
+    static readJsonMembers(text) {
+        const members = [];
+        let depth = 0;
+        let member = null;
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (c === '"') {
+                const start = i;
+                for (i++; text[i] !== '"'; i++) {
+                    if (text[i] === '\\') i++;
+                }
+                if (depth === 1 && !member) {
+                    member = { key: JSON.parse(text.substring(start, i + 1)), line: text.substring(0, start).split('\n').length, start: -1 };
+                }
+            } else if (c === ':' && depth === 1 && member && member.start < 0) {
+                member.start = i + 1;
+            } else if (c === '{' || c === '[') {
+                depth++;
+            } else if (c === '}' || c === ']' || (c === ',' && depth === 1)) {
+                if (depth === 1 && member) {
+                    members.push({ key: member.key, value: JSON.parse(text.substring(member.start, i)), line: member.line });
+                    member = null;
+                }
+                if (c !== ',') depth--;
+            }
+        }
+        return members;
+    }
+
+    /**
+     * Select a line of a text area so that a problem on it can be seen
+     * @param {HTMLTextAreaElement} textarea - The text area
+     * @param {number} line - The line number, starting at 1
+     */
+    static selectLine(textarea, line) {
+        const lines = textarea.value.split('\n');
+        const start = lines.slice(0, line - 1).reduce((total, l) => total + l.length + 1, 0);
+        textarea.focus();
+        textarea.setSelectionRange(start, start + (lines[line - 1] || '').length);
+    }
+
     /**
      * Escape HTML to prevent XSS
      */
@@ -374,5 +983,5 @@ class MetadataEditor {
 
 // Note: The instance will be created by the calling page
 // Example usage:
-// const editor = new MetadataEditor('container-id', metadata, onSaveCallback, onCancelCallback);
+// const editor = new MetadataEditor('container-id', metadata, onSaveCallback, onCancelCallback, { profile: 'metadata', schema });
 // editor.render();
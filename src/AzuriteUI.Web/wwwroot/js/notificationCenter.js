@@ -0,0 +1,131 @@
+/**
+ * NotificationCenter - The notification drop-down in the navigation bar.  It lists every toast shown in
+ * this browser session (from Toast.history) with the time it was shown and, for errors, the full details.
+ *
+ * Usage:
+ *   const center = new NotificationCenter('notification-center');
+ *   center.init();
+ *
+ * The badge counts the notifications that have not been seen; opening the drop-down marks them as seen.
+ */
+class NotificationCenter extends EventTarget {
+    /**
+     * Creates a new NotificationCenter instance
+     * @param {string} containerId - The ID of the element holding the notification center
+     * @param {Object} options - Optional configuration
+     * @param {ToastHistory} options.history - The history to show (default: Toast.history)
+     */
+    constructor(containerId, options = {}) {
+        super();
+        this.containerId = containerId;
+        this.history = options.history || Toast.history;
+        this.container = null;
+    }
+
+    /**
+     * Wires up the notification center and shows the history
+     */
+    init() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.error(`Container with id "${this.containerId}" not found`);
+            return;
+        }
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="clear"]')) {
+                this.history.clear();
+            }
+        });
+        this.container.addEventListener('shown.bs.dropdown', () => this.history.markAllRead());
+        DisplayPreferences.shared.addEventListener('preferences:changed', () => this.render());
+        this.history.addEventListener('history:changed', () => {
+            // Anything shown while the drop-down is open has been seen
+            if (this.container.querySelector('.dropdown-menu').classList.contains('show')) {
+                this.history.markAllRead();
+            }
+            this.render();
+        });
+
+        this.render();
+    }
+
+    /**
+     * Updates the badge and the list from the history
+     */
+    render() {
+        const unread = this.history.unreadCount;
+        const badge = this.container.querySelector('[data-testid="notification-center-badge"]');
+        badge.textContent = unread > 99 ? '99+' : unread;
+        badge.classList.toggle('d-none', unread === 0);
+
+        // Errors that have not been seen make the bell stand out
+        const hasUnreadErrors = this.history.entries.some(e => !e.read && e.type === 'error');
+        this.container.classList.toggle('has-errors', hasUnreadErrors);
+
+        const list = this.container.querySelector('[data-testid="notification-center-history"]');
+        list.innerHTML = this.history.entries.length === 0
+            ? '<div class="list-group-item px-0 small text-muted">No notifications yet.</div>'
+            : this.history.entries.map(e => this._renderEntry(e)).join('');
+        this.container.querySelector('[data-action="clear"]').disabled = this.history.entries.length === 0;
+    }
+
+    /**
+     * Renders one notification as a list item
+     * @param {Object} entry - The notification (an entry from the ToastHistory)
+     * @returns {string} The HTML for the list item
+     * @private
+     */
+    _renderEntry(entry) {
+        const icons = {
+            success: 'bi-check-circle text-success',
+            error: 'bi-exclamation-circle text-danger',
+            warning: 'bi-exclamation-triangle text-warning',
+            info: 'bi-info-circle text-info'
+        };
+
+        return `
+            <div class="list-group-item px-0 ${entry.read ? '' : 'unread'}" data-testid="notification-center-entry" data-type="${entry.type}">
+                <div class="d-flex align-items-start gap-2 small">
+                    <i class="bi ${icons[entry.type] || icons.info}"></i>
+                    <span class="me-auto notification-center-message">${NotificationCenter.escapeHtml(entry.message)}</span>
+                    ${entry.count > 1 ? `<span class="badge rounded-pill text-bg-secondary">×${entry.count}</span>` : ''}
+                </div>
+                <div class="small text-muted ms-4">${formatTime(entry.time)}</div>
+                ${entry.details ? `
+                    <details class="ms-4 small">
+                        <summary class="text-muted">Details</summary>
+                        <pre class="notification-center-details">${NotificationCenter.escapeHtml(NotificationCenter.formatDetails(entry.details))}</pre>
+                    </details>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Formats the details of a notification; objects (such as problem details) are shown as indented JSON
+     * @param {*} details - The details
+     * @returns {string} The formatted details
+     */
+    static formatDetails(details) {
+        if (typeof details === 'string') {
+            return details;
+        }
+        try {
+            return JSON.stringify(details, null, 2);
+        } catch {
+            return String(details);
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - The text to escape
+     * @returns {string} The escaped text
+     */
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
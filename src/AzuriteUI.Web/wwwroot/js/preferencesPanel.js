@@ -0,0 +1,100 @@
+/**
+ * PreferencesPanel - The display preferences drop-down in the navigation bar.  It edits
+ * DisplayPreferences.shared, which every page formats its dates and sizes with.
+ *
+ * Usage:
+ *   const panel = new PreferencesPanel('display-preferences');
+ *   panel.init();
+ *
+ * A change is saved (and the page formatted again) as soon as it is made.  The time zone list holds the
+ * browser's local time zone, UTC and every IANA time zone that the browser knows.
+ */
+class PreferencesPanel extends EventTarget {
+    /**
+     * Creates a new PreferencesPanel instance
+     * @param {string} containerId - The ID of the element holding the panel
+     * @param {Object} options - Optional configuration
+     * @param {DisplayPreferences} options.preferences - The preferences to edit (default: DisplayPreferences.shared)
+     */
+    constructor(containerId, options = {}) {
+        super();
+        this.containerId = containerId;
+        this.preferences = options.preferences || DisplayPreferences.shared;
+        this.container = null;
+    }
+
+    /**
+     * Wires up the panel and shows the current preferences
+     */
+    init() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.error(`Container with id "${this.containerId}" not found`);
+            return;
+        }
+
+        this._addTimeZones();
+
+        const form = this.container.querySelector('form');
+        form.addEventListener('change', (e) => {
+            if (e.target.name) {
+                this.preferences.update({ [e.target.name]: e.target.value });
+            }
+        });
+        form.addEventListener('submit', (e) => e.preventDefault());
+        this.container.querySelector('[data-action="reset"]').addEventListener('click', () => this.preferences.reset());
+        this.preferences.addEventListener('preferences:changed', () => this.render());
+
+        this.render();
+    }
+
+    /**
+     * Shows the current preferences, with an example of how a date and a size will look
+     */
+    render() {
+        const values = this.preferences.preferences;
+        for (const [name, value] of Object.entries(values)) {
+            const inputs = this.container.querySelectorAll(`[name="${name}"]`);
+            inputs.forEach(input => {
+                if (input.type === 'radio') {
+                    input.checked = input.value === value;
+                } else {
+                    input.value = value;
+                }
+            });
+        }
+
+        const now = new Date().toISOString();
+        this.container.querySelector('[data-testid="display-preferences-example"]').textContent =
+            `${formatFriendlyDate(now).friendly} · ${formatFileSize(1536000)}`;
+    }
+
+    /**
+     * Adds the IANA time zones to the time zone list, along with a saved time zone the browser does not list
+     * @private
+     */
+    _addTimeZones() {
+        const select = this.container.querySelector('[name="timeZone"]');
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        const saved = this.preferences.preferences.timeZone;
+        if (!['local', 'utc'].includes(saved) && !zones.includes(saved)) {
+            zones.unshift(saved);
+        }
+
+        select.insertAdjacentHTML('beforeend', zones
+            .filter(zone => zone !== 'UTC')
+            .map(zone => `<option value="${PreferencesPanel.escapeHtml(zone)}">${PreferencesPanel.escapeHtml(zone.replace(/_/g, ' '))}</option>`)
+            .join(''));
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - The text to escape
+     * @returns {string} The escaped text
+     */
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
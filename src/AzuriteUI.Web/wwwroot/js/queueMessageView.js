@@ -0,0 +1,191 @@
+/**
+ * QueueMessageView - Shows the body of a queue message as text, decoded from base64, or as formatted JSON.
+ *
+ * Usage:
+ *   const view = new QueueMessageView('messageBody', message);
+ *   view.render();
+ *
+ * The body is shown in the format that suits it best: JSON if it (or its base64 decoding) is a JSON object
+ * or array, the base64 decoding if it is base64 encoded UTF-8 text (as the Azure Functions queue trigger
+ * expects), and otherwise the text as it is stored.  The other formats can be chosen when they apply.
+ *
+ * Events:
+ *   - format:changed: { format }
+ *
+ * JSON is highlighted with BlobPreview.highlightJson, so blobPreview.js must be loaded as well.
+ */
+class QueueMessageView extends EventTarget {
+    /**
+     * Creates a new QueueMessageView instance
+     * @param {string} containerId - The ID of the element to render into
+     * @param {Object} message - The message (a QueueMessageDTO from the API)
+     * @param {Object} options - Optional configuration
+     * @param {string} options.format - 'text', 'base64' or 'json' (default: the best format for the body)
+     */
+    constructor(containerId, message, options = {}) {
+        super();
+        this.containerId = containerId;
+        this.message = message;
+        this.decoded = QueueMessageView.decodeBase64(message.messageText);
+        this.format = options.format || QueueMessageView.detectFormat(message.messageText);
+        this.container = null;
+    }
+
+    /**
+     * Renders the format buttons and the body
+     */
+    render() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.error(`Container with id "${this.containerId}" not found`);
+            return;
+        }
+
+        const available = this.getAvailableFormats();
+        const labels = { text: 'Text', base64: 'Base64 decoded', json: 'JSON' };
+
+        this.container.innerHTML = `
+            <div class="btn-group btn-group-sm mb-2" role="group" aria-label="Message format" data-testid="queue-message-format">
+                ${Object.entries(labels).map(([format, label]) => `
+                    <button type="button" class="btn btn-outline-secondary ${format === this.format ? 'active' : ''}"
+                            data-format="${format}" data-testid="queue-message-format-${format}"
+                            ${available.includes(format) ? '' : 'disabled'}>${label}</button>
+                `).join('')}
+            </div>
+            <pre class="blob-preview-text border rounded p-2 bg-light" data-testid="queue-message-body"></pre>
+        `;
+
+        this.container.querySelectorAll('[data-format]').forEach(button => {
+            button.addEventListener('click', () => this.setFormat(button.dataset.format));
+        });
+        this._renderBody();
+    }
+
+    /**
+     * Shows the body in another format
+     * @param {string} format - 'text', 'base64' or 'json'
+     */
+    setFormat(format) {
+        if (!this.getAvailableFormats().includes(format)) {
+            return;
+        }
+
+        this.format = format;
+        this.container.querySelectorAll('[data-format]').forEach(button => {
+            button.classList.toggle('active', button.dataset.format === format);
+        });
+        this._renderBody();
+        this.dispatchEvent(new CustomEvent('format:changed', { detail: { format } }));
+    }
+
+    /**
+     * The formats that the body can be shown in
+     * @returns {string[]} The formats
+     */
+    getAvailableFormats() {
+        const formats = ['text'];
+        if (this.decoded !== null) {
+            formats.push('base64');
+        }
+        if (QueueMessageView.formatJson(this.decoded ?? this.message.messageText) !== null) {
+            formats.push('json');
+        }
+        return formats;
+    }
+
+    /**
+     * Shows the body in the current format
+     * @private
+     */
+    _renderBody() {
+        const pre = this.container.querySelector('[data-testid="queue-message-body"]');
+        pre.setAttribute('data-format', this.format);
+
+        if (this.format === 'json') {
+            const json = QueueMessageView.formatJson(this.decoded ?? this.message.messageText);
+            pre.innerHTML = BlobPreview.highlightJson(json);
+        } else if (this.format === 'base64') {
+            pre.textContent = this.decoded;
+        } else {
+            pre.textContent = this.message.messageText;
+        }
+
+        if (!pre.textContent) {
+            pre.innerHTML = '<span class="text-muted fst-italic">(empty)</span>';
+        }
+    }
+
+    /**
+     * Chooses the best format for a message body
+     * @param {string} text - The message body
+     * @returns {string} 'json', 'base64' or 'text'
+     */
+    static detectFormat(text) {
+        const decoded = QueueMessageView.decodeBase64(text);
+        if (QueueMessageView.formatJson(decoded ?? text) !== null) {
+            return 'json';
+        }
+        return decoded !== null ? 'base64' : 'text';
+    }
+
+    /**
+     * Decodes a base64 encoded message body, if it is base64 encoded UTF-8 text
+     * @param {string} text - The message body
+     * @returns {string|null} The decoded text, or null if the body is not base64 encoded text
+     */
+    static decodeBase64(text) {
+        const value = (text || '').trim();
+        if (value.length < 4 || value.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(value)) {
+            return null;
+        }
+
+        try {
+            const bytes = Uint8Array.from(atob(value), c => c.charCodeAt(0));
+            const decoded = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+
+            // Binary content decodes to control characters; only text is worth showing
+            return /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/.test(decoded) ? null : decoded;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Encodes text as base64, in the way that the Azure Functions queue trigger expects
+     * @param {string} text - The text to encode
+     * @returns {string} The base64 encoded UTF-8 text
+     */
+    static encodeBase64(text) {
+        const bytes = new TextEncoder().encode(text || '');
+        return btoa(Array.from(bytes, b => String.fromCharCode(b)).join(''));
+    }
+
+    /**
+     * Formats a JSON object or array with indentation
+     * @param {string} text - The text to format
+     * @returns {string|null} The formatted JSON, or null if the text is not a JSON object or array
+     */
+    static formatJson(text) {
+        const value = (text || '').trim();
+        if (!value.startsWith('{') && !value.startsWith('[')) {
+            return null;
+        }
+
+        try {
+            return JSON.stringify(JSON.parse(value), null, 2);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * A single line preview of a message body for a list, decoded from base64 if it is base64 encoded
+     * @param {string} text - The message body
+     * @param {number} length - The most characters to show (default: 80)
+     * @returns {string} The preview
+     */
+    static preview(text, length = 80) {
+        const body = (QueueMessageView.decodeBase64(text) ?? text ?? '').replace(/\s+/g, ' ').trim();
+        return body.length > length ? `${body.substring(0, length - 1)}…` : body;
+    }
+}
@@ -0,0 +1,305 @@
+/**
+ * SasGenerator - A form that generates a shared access signature (SAS) for a container or blob.
+ *
+ * Usage:
+ *   const generator = new SasGenerator('sasGenerator', { containerName: 'photos', blobName: 'cat.jpg' });
+ *   generator.addEventListener('sas:generated', (e) => console.log(e.detail.sas.url));
+ *   generator.render();
+ *
+ * Leave out the blob name to generate a SAS for the container.  The SAS is generated by the server,
+ * which signs it with the Azurite account key; the result shows the URL, the token on its own and a
+ * connection string, each with a button to copy it.  The stored access policies of the container are
+ * offered as suggestions for the stored access policy field.
+ *
+ * Events:
+ *   - sas:generated: { sas }
+ */
+class SasGenerator extends EventTarget {
+    /**
+     * The permissions that can be granted, in their canonical order
+     * @type {Array<{value: string, label: string, containerOnly?: boolean}>}
+     */
+    static PERMISSIONS = [
+        { value: 'r', label: 'Read' },
+        { value: 'a', label: 'Add' },
+        { value: 'c', label: 'Create' },
+        { value: 'w', label: 'Write' },
+        { value: 'd', label: 'Delete' },
+        { value: 'l', label: 'List', containerOnly: true },
+        { value: 't', label: 'Tags' }
+    ];
+
+    /**
+     * Creates a new SasGenerator instance
+     * @param {string} containerId - The ID of the element to render into
+     * @param {Object} resource - The container or blob to generate the SAS for
+     * @param {string} resource.containerName - The name of the container
+     * @param {string} resource.blobName - The name of the blob, if the SAS is for a blob
+     * @param {Object} options - Optional configuration
+     * @param {number} options.expiryHours - The default lifetime of the SAS in hours (default: 24)
+     */
+    constructor(containerId, resource, options = {}) {
+        super();
+        this.containerId = containerId;
+        this.containerName = resource.containerName;
+        this.blobName = resource.blobName || null;
+        this.expiryHours = options.expiryHours || 24;
+        this.container = null;
+        this.sas = null;
+    }
+
+    /**
+     * Whether the SAS is for a container (rather than a blob)
+     * @returns {boolean}
+     */
+    get isContainer() {
+        return this.blobName === null;
+    }
+
+    /**
+     * The API URL that generates the SAS
+     * @returns {string}
+     */
+    get apiUrl() {
+        const containerUrl = `/api/containers/${encodeURIComponent(this.containerName)}`;
+        return this.isContainer ? `${containerUrl}/sas` : `${containerUrl}/blobs/${encodeURIComponent(this.blobName)}/sas`;
+    }
+
+    /**
+     * Renders the form
+     */
+    render() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.error(`Container with id "${this.containerId}" not found`);
+            return;
+        }
+
+        const permissions = SasGenerator.PERMISSIONS
+            .filter(p => this.isContainer || !p.containerOnly)
+            .map(p => `
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input" type="checkbox" id="${this.containerId}Perm${p.value}" value="${p.value}"
+                           ${p.value === 'r' || p.value === 'l' ? 'checked' : ''} data-testid="sas-permission-${p.value}">
+                    <label class="form-check-label" for="${this.containerId}Perm${p.value}">${p.label}</label>
+                </div>`)
+            .join('');
+
+        const expiry = new Date(Date.now() + this.expiryHours * 3600 * 1000);
+        const resourceName = this.isContainer ? this.containerName : `${this.containerName}/${this.blobName}`;
+
+        this.container.innerHTML = `
+            <form class="sas-generator-form" novalidate>
+                <p class="mb-3">Shared access signature for the ${this.isContainer ? 'container' : 'blob'} <code>${SasGenerator.escapeHtml(resourceName)}</code>.</p>
+                <div class="mb-3">
+                    <div class="form-label">Permissions</div>
+                    <div data-testid="sas-permissions">${permissions}</div>
+                </div>
+                <div class="row g-2 mb-3">
+                    <div class="col-sm-6">
+                        <label for="${this.containerId}Start" class="form-label">Start</label>
+                        <input type="datetime-local" id="${this.containerId}Start" name="startsOn" class="form-control form-control-sm" data-testid="sas-start">
+                        <div class="form-text">Leave empty to start now.</div>
+                    </div>
+                    <div class="col-sm-6">
+                        <label for="${this.containerId}Expiry" class="form-label">Expiry</label>
+                        <input type="datetime-local" id="${this.containerId}Expiry" name="expiresOn" class="form-control form-control-sm"
+                               value="${SasGenerator.toLocalInputValue(expiry)}" data-testid="sas-expiry">
+                    </div>
+                </div>
+                <div class="row g-2 mb-3">
+                    <div class="col-sm-6">
+                        <label for="${this.containerId}IPRange" class="form-label">Allowed IP addresses</label>
+                        <input type="text" id="${this.containerId}IPRange" name="ipRange" class="form-control form-control-sm"
+                               placeholder="e.g. 10.0.0.1-10.0.0.255" data-testid="sas-ip-range">
+                    </div>
+                    <div class="col-sm-6">
+                        <label for="${this.containerId}Policy" class="form-label">Stored access policy</label>
+                        <input type="text" id="${this.containerId}Policy" name="storedAccessPolicy" class="form-control form-control-sm"
+                               placeholder="None" list="${this.containerId}PolicyList" autocomplete="off" data-testid="sas-policy">
+                        <datalist id="${this.containerId}PolicyList"></datalist>
+                    </div>
+                </div>
+                <div class="form-check mb-3">
+                    <input class="form-check-input" type="checkbox" id="${this.containerId}HttpsOnly" name="httpsOnly" data-testid="sas-https-only">
+                    <label class="form-check-label" for="${this.containerId}HttpsOnly">HTTPS only</label>
+                    <div class="form-text">Azurite normally listens on HTTP, so an HTTPS-only SAS will be refused unless Azurite is set up for HTTPS.</div>
+                </div>
+                <div class="text-danger small mb-2 d-none" data-testid="sas-error"></div>
+                <button type="submit" class="btn btn-primary btn-sm" data-testid="sas-generate">
+                    <i class="bi bi-key me-1"></i> Generate SAS
+                </button>
+            </form>
+            <div class="sas-generator-result mt-3 d-none" data-testid="sas-result">
+                ${this._renderOutput('url', 'URL')}
+                ${this._renderOutput('token', 'SAS token')}
+                ${this._renderOutput('connectionString', 'Connection string')}
+            </div>
+        `;
+
+        this.container.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.generate();
+        });
+        this.container.querySelector('.sas-generator-result').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-copy]');
+            if (button) {
+                this.copy(button.dataset.copy, button);
+            }
+        });
+        this._loadPolicies();
+    }
+
+    /**
+     * Reads the form into the request for the SAS API
+     * @returns {Object} The request (a GenerateSasDTO)
+     */
+    getRequest() {
+        const form = this.container.querySelector('form');
+        const toIso = (value) => value ? new Date(value).toISOString() : null;
+
+        return {
+            permissions: [...form.querySelectorAll('[data-testid^="sas-permission-"]:checked')].map(cb => cb.value).join(''),
+            startsOn: toIso(form.elements.startsOn.value),
+            expiresOn: toIso(form.elements.expiresOn.value),
+            ipRange: form.elements.ipRange.value.trim(),
+            httpsOnly: form.elements.httpsOnly.checked,
+            storedAccessPolicy: form.elements.storedAccessPolicy.value.trim()
+        };
+    }
+
+    /**
+     * Generates the SAS and shows the result
+     * @returns {Promise<Object|null>} The SAS (a SasDTO), or null if it could not be generated
+     */
+    async generate() {
+        const button = this.container.querySelector('[data-testid="sas-generate"]');
+        button.disabled = true;
+        this._showError(null);
+
+        try {
+            const response = await fetch(this.apiUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.getRequest())
+            });
+
+            if (!response.ok) {
+                const problem = await response.json().catch(() => ({}));
+                this._showError(problem.detail || problem.title || `Failed to generate the SAS (HTTP ${response.status})`);
+                return null;
+            }
+
+            this.sas = await response.json();
+            for (const field of ['url', 'token', 'connectionString']) {
+                this.container.querySelector(`[data-output="${field}"]`).value = this.sas[field];
+            }
+            this.container.querySelector('.sas-generator-result').classList.remove('d-none');
+            this.dispatchEvent(new CustomEvent('sas:generated', { detail: { sas: this.sas } }));
+            return this.sas;
+        } catch (error) {
+            console.error('Error generating SAS:', error);
+            this._showError('Failed to generate the SAS. Please try again.');
+            return null;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Copies one of the generated values to the clipboard
+     * @param {string} field - One of 'url', 'token' or 'connectionString'
+     * @param {HTMLElement} button - The copy button, which briefly shows a tick
+     */
+    async copy(field, button) {
+        const input = this.container.querySelector(`[data-output="${field}"]`);
+        try {
+            await navigator.clipboard.writeText(input.value);
+        } catch {
+            // The clipboard API is only available in secure contexts
+            input.select();
+            document.execCommand('copy');
+        }
+
+        const icon = button.querySelector('i');
+        icon.className = 'bi bi-check2';
+        setTimeout(() => icon.className = 'bi bi-clipboard', 1500);
+    }
+
+    /**
+     * Loads the identifiers of the container's stored access policies into the suggestions for the policy field
+     * @private
+     */
+    async _loadPolicies() {
+        try {
+            const response = await fetch(`/api/containers/${encodeURIComponent(this.containerName)}/acl`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const accessPolicy = await response.json();
+            const datalist = this.container.querySelector('datalist');
+            datalist.innerHTML = '';
+            for (const policy of accessPolicy.storedAccessPolicies || []) {
+                const option = document.createElement('option');
+                option.value = policy.id;
+                datalist.appendChild(option);
+            }
+        } catch (error) {
+            // The suggestions are a convenience; any policy identifier can still be typed
+            console.error('Error loading stored access policies:', error);
+        }
+    }
+
+    /**
+     * Renders one of the generated values with a copy button
+     * @param {string} field - The field of the SasDTO to show
+     * @param {string} label - The label for the value
+     * @returns {string} The HTML for the value
+     * @private
+     */
+    _renderOutput(field, label) {
+        return `
+            <label class="form-label small mb-1" for="${this.containerId}Output${field}">${label}</label>
+            <div class="input-group input-group-sm mb-2">
+                <input type="text" id="${this.containerId}Output${field}" class="form-control font-monospace" readonly
+                       data-output="${field}" data-testid="sas-output-${field}">
+                <button type="button" class="btn btn-outline-secondary" data-copy="${field}" title="Copy" aria-label="Copy ${label}" data-testid="sas-copy-${field}">
+                    <i class="bi bi-clipboard"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Shows (or hides) an error below the form
+     * @param {string|null} message - The message, or null to hide the error
+     * @private
+     */
+    _showError(message) {
+        const error = this.container.querySelector('[data-testid="sas-error"]');
+        error.textContent = message || '';
+        error.classList.toggle('d-none', !message);
+    }
+
+    /**
+     * Formats a date for a datetime-local input, in the local time zone
+     * @param {Date} date - The date
+     * @returns {string} The date as yyyy-MM-ddTHH:mm
+     */
+    static toLocalInputValue(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - The text to escape
+     * @returns {string} The escaped text
+     */
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,427 @@
+/**
+ * StorageAnalytics - Charts that break the storage down by container, content type and age, list the
+ * largest blobs and show how the storage has grown over time.
+ *
+ * Usage:
+ *   const analytics = new StorageAnalytics('storageAnalytics');
+ *   analytics.addEventListener('analytics:filtered', (e) => console.log(e.detail.family, e.detail.age));
+ *   analytics.init();
+ *
+ * The charts are read from the /api/dashboard aggregate endpoints.  Clicking a content type or an age
+ * bar filters the other charts to it (click it again, or the filter chip, to clear the filter); clicking
+ * a container bar or a blob opens the container with the blob list filtered to match.  The growth chart
+ * is drawn from the samples that each cache synchronization records, so it fills in as the cache is
+ * synchronized.
+ *
+ * Events:
+ *   - analytics:filtered: { family, age }
+ *   - analytics:loaded: {}
+ */
+class StorageAnalytics extends EventTarget {
+    /**
+     * The periods that the growth chart can show, in days
+     * @type {number[]}
+     */
+    static GROWTH_PERIODS = [7, 30, 90];
+
+    /**
+     * Creates a new StorageAnalytics instance
+     * @param {string} containerId - The ID of the element to render into
+     * @param {Object} options - Optional configuration
+     * @param {string} options.apiUrl - The base URL of the dashboard API (default: /api/dashboard)
+     * @param {number} options.top - The number of largest blobs to list (default: 10)
+     * @param {number} options.maxBars - The number of containers to chart (default: 10)
+     */
+    constructor(containerId, options = {}) {
+        super();
+        this.containerId = containerId;
+        this.apiUrl = options.apiUrl || '/api/dashboard';
+        this.top = options.top || 10;
+        this.maxBars = options.maxBars || 10;
+        this.container = null;
+        this.family = null;
+        this.age = null;
+        this.growthDays = 30;
+        this.growthMetric = 'totalSize';
+        this.data = { containers: [], contentTypes: [], ages: [], largestBlobs: [], growth: [] };
+    }
+
+    /**
+     * Renders the charts and loads the data
+     */
+    init() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.error(`Container with id "${this.containerId}" not found`);
+            return;
+        }
+
+        this.render();
+        this.container.addEventListener('click', (e) => this._onClick(e));
+        DisplayPreferences.shared.addEventListener('preferences:changed', () => {
+            if (this.data) {
+                this.draw();
+            }
+        });
+
+        if (typeof LiveUpdates !== 'undefined') {
+            const liveUpdates = LiveUpdates.shared;
+            liveUpdates.addEventListener('sync:finished', () => this.refresh());
+            liveUpdates.collect([
+                'container:created', 'container:updated', 'container:deleted',
+                'blob:created', 'blob:updated', 'blob:deleted'
+            ], () => this.refresh(), 1000);
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Renders the frame that the charts are drawn into
+     */
+    render() {
+        const periods = StorageAnalytics.GROWTH_PERIODS.map(days => `
+            <button type="button" class="btn btn-outline-secondary ${days === this.growthDays ? 'active' : ''}"
+                    data-growth-days="${days}" data-testid="analytics-growth-${days}d">${days}d</button>`).join('');
+
+        this.container.innerHTML = `
+            <div class="d-flex align-items-center flex-wrap gap-2 mb-2">
+                <h3 class="mb-0 me-2">Storage Analytics</h3>
+                <div class="analytics-filters d-flex flex-wrap gap-1" data-testid="analytics-filters"></div>
+            </div>
+            <div class="row g-3">
+                <div class="col-12 col-xl-4">
+                    <h4 class="analytics-chart-title">By container</h4>
+                    <div class="analytics-bars" data-chart="containers" data-testid="analytics-containers"></div>
+                </div>
+                <div class="col-12 col-md-6 col-xl-4">
+                    <h4 class="analytics-chart-title">By content type</h4>
+                    <div class="analytics-bars" data-chart="contentTypes" data-testid="analytics-content-types"></div>
+                </div>
+                <div class="col-12 col-md-6 col-xl-4">
+                    <h4 class="analytics-chart-title">By age</h4>
+                    <div class="analytics-bars" data-chart="ages" data-testid="analytics-ages"></div>
+                </div>
+                <div class="col-12 col-xl-6">
+                    <h4 class="analytics-chart-title">Largest blobs</h4>
+                    <div class="table-responsive">
+                        <table class="table table-sm table-hover mb-0" data-testid="analytics-largest-blobs">
+                            <thead>
+                                <tr>
+                                    <th>Name</th>
+                                    <th>Container</th>
+                                    <th class="text-end">Size</th>
+                                </tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+                    </div>
+                </div>
+                <div class="col-12 col-xl-6">
+                    <div class="d-flex align-items-center flex-wrap gap-2 mb-2">
+                        <h4 class="analytics-chart-title mb-0 me-auto">Growth</h4>
+                        <div class="btn-group btn-group-sm" role="group" aria-label="Growth measure">
+                            <button type="button" class="btn btn-outline-secondary active" data-growth-metric="totalSize" data-testid="analytics-growth-size">Size</button>
+                            <button type="button" class="btn btn-outline-secondary" data-growth-metric="blobs" data-testid="analytics-growth-blobs">Blobs</button>
+                        </div>
+                        <div class="btn-group btn-group-sm" role="group" aria-label="Growth period">${periods}</div>
+                    </div>
+                    <div class="analytics-growth" data-testid="analytics-growth"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Reads the charts from the API and draws them
+     * @returns {Promise<boolean>} true if the charts were loaded
+     */
+    async refresh() {
+        const filter = (params) => {
+            const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+            return query ? `?${query}` : '';
+        };
+
+        try {
+            const [containers, contentTypes, ages, largestBlobs, growth] = await Promise.all([
+                this._fetch(`containers${filter({ family: this.family, age: this.age })}`),
+                this._fetch(`content-types${filter({ age: this.age })}`),
+                this._fetch(`ages${filter({ family: this.family })}`),
+                this._fetch(`largest-blobs${filter({ top: this.top, family: this.family, age: this.age })}`),
+                this._fetch(`growth${filter({ days: this.growthDays })}`)
+            ]);
+            this.data = { containers, contentTypes, ages, largestBlobs, growth };
+        } catch (error) {
+            console.error('Error loading the storage analytics:', error);
+            return false;
+        }
+
+        this.draw();
+        this.dispatchEvent(new CustomEvent('analytics:loaded', { detail: {} }));
+        return true;
+    }
+
+    /**
+     * Draws the charts from the data that was last read
+     */
+    draw() {
+        this._drawFilters();
+        this._drawBars('containers', this.data.containers.slice(0, this.maxBars), null);
+        this._drawBars('contentTypes', this.data.contentTypes, this.family);
+        this._drawBars('ages', this.data.ages, this.age);
+        this._drawLargestBlobs();
+        this._drawGrowth();
+    }
+
+    /**
+     * Filters the charts to a content type family and/or an age bucket
+     * @param {Object} filter - The filter; leave out a property to keep its current value
+     * @param {string|null} filter.family - The key of the content type family, or null for all
+     * @param {string|null} filter.age - The key of the age bucket, or null for all
+     * @returns {Promise<boolean>} true if the charts were loaded
+     */
+    setFilter(filter) {
+        if ('family' in filter) this.family = filter.family || null;
+        if ('age' in filter) this.age = filter.age || null;
+        this.dispatchEvent(new CustomEvent('analytics:filtered', { detail: { family: this.family, age: this.age } }));
+        return this.refresh();
+    }
+
+    /**
+     * Builds the link to the blob list of a container, filtered to the current content type family and age bucket
+     * @param {string} containerName - The name of the container
+     * @returns {string} The URL of the container page
+     */
+    getContainerUrl(containerName) {
+        const params = new URLSearchParams();
+        const family = this.data.contentTypes.find(f => f.key === this.family);
+        if (family && family.contentType) {
+            params.set('type', family.contentType);
+        }
+
+        // The blob list filters on whole local days, with an inclusive "to" date
+        const age = this.data.ages.find(a => a.key === this.age);
+        if (age && age.from) {
+            params.set('from', StorageAnalytics.toLocalDate(new Date(age.from)));
+        }
+        if (age && age.to) {
+            params.set('to', StorageAnalytics.toLocalDate(new Date(age.to)));
+        }
+
+        const query = params.toString();
+        return `/containers/${encodeURIComponent(containerName)}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Handles clicks on the bars, the filter chips and the growth buttons
+     * @param {MouseEvent} e - The click event
+     * @private
+     */
+    _onClick(e) {
+        const bar = e.target.closest('[data-bar]');
+        if (bar) {
+            const chart = bar.closest('[data-chart]').dataset.chart;
+            const key = bar.dataset.bar;
+            if (chart === 'containers') {
+                window.location = this.getContainerUrl(key);
+            } else if (chart === 'contentTypes') {
+                this.setFilter({ family: this.family === key ? null : key });
+            } else if (chart === 'ages') {
+                this.setFilter({ age: this.age === key ? null : key });
+            }
+            return;
+        }
+
+        const clear = e.target.closest('[data-clear-filter]');
+        if (clear) {
+            this.setFilter({ [clear.dataset.clearFilter]: null });
+            return;
+        }
+
+        const days = e.target.closest('[data-growth-days]');
+        if (days) {
+            this.growthDays = Number(days.dataset.growthDays);
+            this._setActive('[data-growth-days]', days);
+            this._fetch(`growth?days=${this.growthDays}`)
+                .then(growth => {
+                    this.data.growth = growth;
+                    this._drawGrowth();
+                })
+                .catch(error => console.error('Error loading the storage growth:', error));
+            return;
+        }
+
+        const metric = e.target.closest('[data-growth-metric]');
+        if (metric) {
+            this.growthMetric = metric.dataset.growthMetric;
+            this._setActive('[data-growth-metric]', metric);
+            this._drawGrowth();
+        }
+    }
+
+    /**
+     * Reads one of the dashboard endpoints
+     * @param {string} path - The path below the API URL, with any query string
+     * @returns {Promise<Object>} The parsed response
+     * @private
+     */
+    async _fetch(path) {
+        const response = await fetch(`${this.apiUrl}/${path}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Draws the chips for the filters that are in use
+     * @private
+     */
+    _drawFilters() {
+        const chips = [];
+        const family = this.data.contentTypes.find(f => f.key === this.family);
+        if (family) {
+            chips.push(this._renderChip('family', family.label));
+        }
+        const age = this.data.ages.find(a => a.key === this.age);
+        if (age) {
+            chips.push(this._renderChip('age', age.label));
+        }
+        this.container.querySelector('[data-testid="analytics-filters"]').innerHTML = chips.join('');
+    }
+
+    /**
+     * Draws a horizontal bar chart, with the bar length showing the total size
+     * @param {string} chart - The name of the chart (containers, contentTypes or ages)
+     * @param {Array<Object>} items - The bars (StorageUsageInfo objects from the API)
+     * @param {string|null} selected - The key of the selected bar, if any
+     * @private
+     */
+    _drawBars(chart, items, selected) {
+        const element = this.container.querySelector(`[data-chart="${chart}"]`);
+        if (items.length === 0 || items.every(item => item.blobCount === 0)) {
+            element.innerHTML = '<div class="text-muted small">No blobs found</div>';
+            return;
+        }
+
+        const largest = Math.max(1, ...items.map(item => item.totalSize));
+        element.innerHTML = items.map(item => {
+            const percent = item.totalSize === 0 ? 0 : Math.max(1, Math.round(100 * item.totalSize / largest));
+            const title = `${item.label}: ${item.blobCount.toLocaleString()} blobs, ${formatFileSize(item.totalSize)}`;
+            return `
+                <button type="button" class="analytics-bar ${item.key === selected ? 'selected' : ''}" data-bar="${StorageAnalytics.escapeHtml(item.key)}"
+                        title="${StorageAnalytics.escapeHtml(title)}" data-testid="analytics-bar">
+                    <span class="analytics-bar-label">${StorageAnalytics.escapeHtml(item.label)}</span>
+                    <span class="analytics-bar-track"><span class="analytics-bar-fill" style="width: ${percent}%"></span></span>
+                    <span class="analytics-bar-value">${formatFileSize(item.totalSize)} <span class="text-muted">(${item.blobCount.toLocaleString()})</span></span>
+                </button>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Draws the table of the largest blobs
+     * @private
+     */
+    _drawLargestBlobs() {
+        const tbody = this.container.querySelector('[data-testid="analytics-largest-blobs"] tbody');
+        if (this.data.largestBlobs.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="3" class="text-center text-muted">No blobs found</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = this.data.largestBlobs.map(blob => {
+            const containerUrl = `/containers/${encodeURIComponent(blob.containerName)}`;
+            return `
+                <tr data-testid="analytics-largest-blob">
+                    <td><a href="${containerUrl}?blob=${encodeURIComponent(blob.name)}" class="text-decoration-none">${StorageAnalytics.escapeHtml(blob.name)}</a></td>
+                    <td><a href="${containerUrl}" class="text-decoration-none">${StorageAnalytics.escapeHtml(blob.containerName)}</a></td>
+                    <td class="text-end text-nowrap">${formatFileSize(blob.contentLength)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Draws the growth chart as an SVG line
+     * @private
+     */
+    _drawGrowth() {
+        const element = this.container.querySelector('[data-testid="analytics-growth"]');
+        const samples = this.data.growth;
+        if (samples.length === 0) {
+            element.innerHTML = '<div class="text-muted small">No samples yet. A sample is recorded each time the cache is synchronized.</div>';
+            return;
+        }
+
+        const width = 600, height = 180, padding = 4;
+        const end = Date.now();
+        const start = end - this.growthDays * 24 * 3600 * 1000;
+        const values = samples.map(s => s[this.growthMetric]);
+        const max = Math.max(1, ...values);
+        const x = (sample) => padding + (width - 2 * padding) * (new Date(sample.sampledAt).getTime() - start) / (end - start);
+        const y = (value) => height - padding - (height - 2 * padding) * value / max;
+        const points = samples.map((s, i) => `${x(s).toFixed(1)},${y(values[i]).toFixed(1)}`).join(' ');
+        const format = (value) => this.growthMetric === 'totalSize' ? formatFileSize(value) : value.toLocaleString();
+        const latest = samples[samples.length - 1];
+
+        element.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" class="analytics-growth-chart" role="img"
+                 aria-label="Storage growth over the last ${this.growthDays} days">
+                <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="2" vector-effect="non-scaling-stroke" />
+                ${samples.map((s, i) => `<circle cx="${x(s).toFixed(1)}" cy="${y(values[i]).toFixed(1)}" r="2" fill="currentColor"><title>${formatFriendlyDate(s.sampledAt).friendly}: ${format(values[i])}</title></circle>`).join('')}
+            </svg>
+            <div class="d-flex justify-content-between small text-muted">
+                <span>${new Date(start).toLocaleDateString(undefined, { timeZone: DisplayPreferences.shared.timeZone })}</span>
+                <span data-testid="analytics-growth-latest">Now: ${format(latest[this.growthMetric])} (max ${format(max)})</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders a chip for a filter, with a button to clear it
+     * @param {string} filter - The filter (family or age)
+     * @param {string} label - The label of the filter value
+     * @returns {string} The HTML for the chip
+     * @private
+     */
+    _renderChip(filter, label) {
+        return `
+            <span class="badge rounded-pill text-bg-primary d-inline-flex align-items-center" data-testid="analytics-filter-${filter}">
+                ${StorageAnalytics.escapeHtml(label)}
+                <button type="button" class="btn-close btn-close-white ms-1" data-clear-filter="${filter}" aria-label="Clear filter"></button>
+            </span>
+        `;
+    }
+
+    /**
+     * Marks one button of a group as active
+     * @param {string} selector - The selector for the buttons in the group
+     * @param {HTMLElement} active - The button to mark as active
+     * @private
+     */
+    _setActive(selector, active) {
+        this.container.querySelectorAll(selector).forEach(button => button.classList.toggle('active', button === active));
+    }
+
+    /**
+     * Formats a date as yyyy-mm-dd in the local time zone, as the blob list filters expect
+     * @param {Date} date - The date
+     * @returns {string} The formatted date
+     */
+    static toLocalDate(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - The text to escape
+     * @returns {string} The escaped text
+     */
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
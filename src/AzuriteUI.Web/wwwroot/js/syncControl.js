@@ -0,0 +1,286 @@
+/**
+ * SyncControl - The cache synchronization control in the navigation bar.  It starts a synchronization,
+ * shows the progress of the synchronization in progress and lists the recent synchronizations.
+ *
+ * Usage:
+ *   const control = new SyncControl('sync-control');
+ *   control.addEventListener('sync:completed', (e) => console.log(e.detail.run.status));
+ *   control.init();
+ *
+ * The status is read from /api/actions/sync-cache.  The sync:started, sync:finished and sync:failed
+ * events from LiveUpdates say when to read it; while a synchronization is running (or one that was
+ * requested here is waiting in the queue), the status is read every second so that the progress moves.
+ *
+ * Events:
+ *   - sync:requested: { work }
+ *   - sync:completed: { run }
+ */
+class SyncControl extends EventTarget {
+    /**
+     * Creates a new SyncControl instance
+     * @param {string} containerId - The ID of the element holding the control
+     * @param {Object} options - Optional configuration
+     * @param {string} options.apiUrl - The URL of the status and sync API (default: /api/actions/sync-cache)
+     * @param {number} options.pollInterval - How often to read the status while a synchronization is running, in milliseconds (default: 1000)
+     */
+    constructor(containerId, options = {}) {
+        super();
+        this.containerId = containerId;
+        this.apiUrl = options.apiUrl || '/api/actions/sync-cache';
+        this.pollInterval = options.pollInterval || 1000;
+        this.container = null;
+        this.status = null;
+        this._requested = false;
+        this._activeRunId = null;
+        this._latestRunId = null;
+        this._pollTimer = null;
+    }
+
+    /**
+     * Whether a synchronization is running or waiting in the queue
+     * @returns {boolean}
+     */
+    get isBusy() {
+        return !!this.status && (this.status.isRunning || this.status.queueSize > 0);
+    }
+
+    /**
+     * Wires up the control and reads the current status
+     */
+    init() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.error(`Container with id "${this.containerId}" not found`);
+            return;
+        }
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="sync"]')) {
+                this.sync();
+            }
+        });
+        this.container.addEventListener('show.bs.dropdown', () => this.refresh());
+        DisplayPreferences.shared.addEventListener('preferences:changed', () => {
+            if (this.status) {
+                this.render();
+            }
+        });
+
+        if (typeof LiveUpdates !== 'undefined') {
+            const liveUpdates = LiveUpdates.shared;
+            liveUpdates.addEventListener('sync:started', () => this.refresh());
+            liveUpdates.addEventListener('sync:finished', () => this.refresh());
+            liveUpdates.addEventListener('sync:failed', () => this.refresh());
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Reads the status and updates the control
+     * @returns {Promise<Object|null>} The status (a SyncStatusResponse), or null if it could not be read
+     */
+    async refresh() {
+        clearTimeout(this._pollTimer);
+        this._pollTimer = null;
+
+        try {
+            const response = await fetch(this.apiUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.status = await response.json();
+        } catch (error) {
+            console.error('Error reading the synchronization status:', error);
+            return null;
+        }
+
+        this._checkCompleted();
+        this.render();
+
+        // Keep the progress moving while there is something to watch
+        if (this.status.isRunning || (this._requested && this.status.queueSize > 0)) {
+            this._pollTimer = setTimeout(() => this.refresh(), this.pollInterval);
+        }
+        return this.status;
+    }
+
+    /**
+     * Requests a synchronization
+     * @returns {Promise<Object|null>} The queued work, or null if the request failed
+     */
+    async sync() {
+        const button = this.container.querySelector('[data-action="sync"]');
+        button.disabled = true;
+
+        try {
+            const response = await fetch(this.apiUrl, { method: 'POST' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const work = await response.json();
+            this._requested = true;
+            this.dispatchEvent(new CustomEvent('sync:requested', { detail: { work } }));
+            await this.refresh();
+            return work;
+        } catch (error) {
+            Toast.error(`Failed to start the synchronization: ${error.message}`);
+            button.disabled = false;
+            return null;
+        }
+    }
+
+    /**
+     * Updates the toggle, the progress and the history from the status
+     */
+    render() {
+        const status = this.status;
+        const run = status.currentRun;
+
+        this.container.classList.toggle('syncing', this.isBusy);
+        this.container.querySelector('[data-action="sync"]').disabled = this.isBusy;
+
+        const statusText = this.container.querySelector('[data-testid="sync-control-status"]');
+        if (run) {
+            statusText.textContent = run.currentContainer
+                ? `Synchronizing '${run.currentContainer}'...`
+                : 'Synchronizing...';
+        } else if (status.queueSize > 0) {
+            statusText.textContent = 'Waiting to start...';
+        } else if (status.history.length > 0) {
+            const lastRun = status.history[0];
+            statusText.textContent = lastRun.status === 'Succeeded'
+                ? `Last synchronized ${formatTime(lastRun.finishedAt)} in ${SyncControl.formatDuration(lastRun.durationMilliseconds)}`
+                : `Last synchronization ${lastRun.status.toLowerCase()} ${formatTime(lastRun.finishedAt)}`;
+        } else {
+            statusText.textContent = 'Not synchronized yet';
+        }
+
+        const progress = this.container.querySelector('[data-testid="sync-control-progress"]');
+        progress.classList.toggle('d-none', !run);
+        if (run) {
+            // The expected number of containers is an estimate, so never let the bar run past the end
+            const total = Math.max(run.expectedContainers, run.containersProcessed + (run.currentContainer ? 1 : 0));
+            const percent = total === 0 ? 100 : Math.round(100 * run.containersProcessed / total);
+            progress.querySelector('.progress').setAttribute('aria-valuenow', percent);
+            progress.querySelector('.progress-bar').style.width = `${percent}%`;
+            progress.querySelector('.sync-control-progress-text').textContent =
+                `${run.containersProcessed} of ${total} containers, ${run.blobsProcessed.toLocaleString()} blobs (${SyncControl.formatCounts(run)})`;
+        }
+
+        const history = this.container.querySelector('[data-testid="sync-control-history"]');
+        history.innerHTML = status.history.length === 0
+            ? '<div class="list-group-item px-0 small text-muted">No synchronizations yet.</div>'
+            : status.history.map(r => this._renderRun(r)).join('');
+    }
+
+    /**
+     * Stops reading the status
+     */
+    dispose() {
+        clearTimeout(this._pollTimer);
+        this._pollTimer = null;
+    }
+
+    /**
+     * Notices when the synchronization being watched has completed, and reports how it went
+     * @private
+     */
+    _checkCompleted() {
+        const run = this.status.currentRun;
+        if (run) {
+            this._activeRunId = run.id;
+            return;
+        }
+
+        // A synchronization can start and finish between two reads of the status, so a new entry at the
+        // top of the history also counts when a synchronization was asked for here
+        const latest = this.status.history[0] || null;
+        const completedId = this._activeRunId
+            || (this._requested && latest && latest.id !== this._latestRunId ? latest.id : null);
+        this._activeRunId = null;
+        this._latestRunId = latest ? latest.id : null;
+
+        const completed = completedId ? this.status.history.find(r => r.id === completedId) : null;
+        if (!completed) {
+            return;
+        }
+
+        // Only report on synchronizations that were asked for here, not the scheduled ones
+        if (this._requested && this.status.queueSize === 0) {
+            this._requested = false;
+            if (completed.status === 'Succeeded') {
+                Toast.success(`Synchronized in ${SyncControl.formatDuration(completed.durationMilliseconds)}`);
+            } else if (completed.status === 'Failed') {
+                Toast.error(`Synchronization failed: ${completed.error}`);
+            }
+        }
+        this.dispatchEvent(new CustomEvent('sync:completed', { detail: { run: completed } }));
+    }
+
+    /**
+     * Renders one completed synchronization as a list item
+     * @param {Object} run - The synchronization (a CacheSyncRun from the API)
+     * @returns {string} The HTML for the list item
+     * @private
+     */
+    _renderRun(run) {
+        const icons = {
+            Succeeded: 'bi-check-circle text-success',
+            Failed: 'bi-x-circle text-danger',
+            Cancelled: 'bi-slash-circle text-secondary'
+        };
+
+        return `
+            <div class="list-group-item px-0" data-testid="sync-control-run" data-status="${run.status}">
+                <div class="d-flex align-items-center gap-2 small">
+                    <i class="bi ${icons[run.status] || 'bi-circle'}" title="${run.status}"></i>
+                    <span class="me-auto">${formatTime(run.startedAt)}</span>
+                    <span class="text-muted">${SyncControl.formatDuration(run.durationMilliseconds)}</span>
+                </div>
+                <div class="small text-muted ms-4">${run.containersProcessed} containers, ${run.blobsProcessed.toLocaleString()} blobs (${SyncControl.formatCounts(run)})</div>
+                ${run.error ? `<div class="small text-danger ms-4">${SyncControl.escapeHtml(run.error)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Formats the numbers of items added, updated and removed by a synchronization
+     * @param {Object} run - The synchronization (a CacheSyncRun from the API)
+     * @returns {string} The counts, e.g. "3 added, 1 updated, 0 removed"
+     */
+    static formatCounts(run) {
+        return `${run.itemsAdded} added, ${run.itemsUpdated} updated, ${run.itemsRemoved} removed`;
+    }
+
+    /**
+     * Formats a duration
+     * @param {number} milliseconds - The duration in milliseconds
+     * @returns {string} The duration, e.g. "850 ms", "12.3 s" or "2 min 5 s"
+     */
+    static formatDuration(milliseconds) {
+        if (milliseconds === null || milliseconds === undefined) {
+            return '';
+        }
+        if (milliseconds < 1000) {
+            return `${milliseconds} ms`;
+        }
+        if (milliseconds < 60000) {
+            return `${(milliseconds / 1000).toFixed(1)} s`;
+        }
+        const seconds = Math.round(milliseconds / 1000);
+        return `${Math.floor(seconds / 60)} min ${seconds % 60} s`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - The text to escape
+     * @returns {string} The escaped text
+     */
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
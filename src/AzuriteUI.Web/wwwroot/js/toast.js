@@ -20,24 +20,110 @@
  * Toast.warning('Action required', null, true);
  *
  * @example
+ * // Full error details are kept in the notification history rather than shown in the toast
+ * Toast.error('Failed to delete blob', null, false, { details: responseBody });
+ *
+ * @example
+ * // Action buttons
+ * Toast.info('A newer version is available', null, true, {
+ *     actions: [{ label: 'Reload', icon: 'bi-arrow-clockwise', onClick: () => location.reload() }]
+ * });
+ *
+ * @example
+ * // An action that only happens when the toast expires, unless Undo is clicked first
+ * const committed = await Toast.undoable(`Deleted '${name}'`, () => deleteBlob(name), {
+ *     onUndo: () => restoreRow(name)
+ * });
+ *
+ * @example
+ * // Progress of long-running work, updated in place
+ * const progress = Toast.progress('Cancelling upload sessions...');
+ * progress.update(50, '1 of 2 cancelled');
+ * progress.complete('Cancelled 2 upload sessions');   // or progress.fail('Failed', details)
+ *
+ * @example
  * // Using the base showToast function directly
  * showToast('Custom message', 'info', 5000, false);
  * showToast('Sticky custom message', 'warning', null, true);
+ *
+ * The same message shown again while its toast is still visible is grouped into that toast, which shows
+ * a count and starts its timer again.  Every toast is also recorded in Toast.history, which lasts for the
+ * browser session and is shown by the notification center in the navigation bar.
  */
 
+/**
+ * Toast styling for each type
+ */
+const toastTypes = {
+    success: {
+        bgClass: 'bg-success',
+        icon: 'bi-check-circle-fill',
+        title: 'Success'
+    },
+    error: {
+        bgClass: 'bg-danger',
+        icon: 'bi-exclamation-circle-fill',
+        title: 'Error'
+    },
+    warning: {
+        bgClass: 'bg-warning',
+        icon: 'bi-exclamation-triangle-fill',
+        title: 'Warning'
+    },
+    info: {
+        bgClass: 'bg-info',
+        icon: 'bi-info-circle-fill',
+        title: 'Info'
+    }
+};
+
+/**
+ * The visible toasts that repeated messages are grouped into, by type and message
+ */
+const groupedToasts = new Map();
+
+/**
+ * The actions waiting for their undoable toast to expire
+ */
+const pendingUndoables = new Set();
+
 /**
  * Shows a toast notification
  * @param {string} message - The message to display
  * @param {string} type - The type of toast: 'success', 'error', 'warning', or 'info'
  * @param {number} duration - Duration in milliseconds (default: 5000 for success, 10000 for errors)
  * @param {boolean} isSticky - If true, toast will not auto-dismiss and requires manual dismissal (default: false)
+ * @param {Object} options - Optional settings
+ * @param {string} options.details - Full details (such as an error response) kept in the notification history
+ * @param {Array<{label: string, icon: string, onClick: Function, dismiss: boolean}>} options.actions - Buttons
+ *   shown in the toast; the toast is dismissed when one is clicked unless dismiss is false
+ * @param {boolean} options.group - If false, the toast is never grouped with a visible toast showing the
+ *   same message (default: true, unless there are actions)
+ * @param {Function} options.onHidden - Called once the toast has been dismissed
+ * @returns {Object} A handle with the toast element, its history entry, update(message, type) and hide()
  */
-function showToast(message, type = 'info', duration = null, isSticky = false) {
+function showToast(message, type = 'info', duration = null, isSticky = false, options = {}) {
     // Default durations based on type (only used if not sticky)
     if (duration === null && !isSticky) {
         duration = type === 'error' ? 10000 : 5000;
     }
 
+    const actions = options.actions || [];
+    const groupKey = options.group === false || actions.length > 0 ? null : `${type}:${message}`;
+
+    // A repeated message is counted in the toast that is already showing it
+    const grouped = groupKey ? groupedToasts.get(groupKey) : null;
+    if (grouped) {
+        grouped.count++;
+        grouped.element.querySelector('.toast-count').textContent = `×${grouped.count}`;
+        grouped.element.querySelector('.toast-count').classList.remove('d-none');
+        Toast.history.update(grouped.entry.id, { count: grouped.count, details: options.details ?? grouped.entry.details });
+
+        // Showing it again starts the timer again
+        grouped.bsToast.show();
+        return grouped.handle;
+    }
+
     // Get or create toast container
     let container = document.querySelector('.toast-container');
     if (!container) {
@@ -47,31 +133,7 @@ function showToast(message, type = 'info', duration = null, isSticky = false) {
         document.body.appendChild(container);
     }
 
-    // Define toast styling based on type
-    const typeConfig = {
-        success: {
-            bgClass: 'bg-success',
-            icon: 'bi-check-circle-fill',
-            title: 'Success'
-        },
-        error: {
-            bgClass: 'bg-danger',
-            icon: 'bi-exclamation-circle-fill',
-            title: 'Error'
-        },
-        warning: {
-            bgClass: 'bg-warning',
-            icon: 'bi-exclamation-triangle-fill',
-            title: 'Warning'
-        },
-        info: {
-            bgClass: 'bg-info',
-            icon: 'bi-info-circle-fill',
-            title: 'Info'
-        }
-    };
-
-    const config = typeConfig[type] || typeConfig.info;
+    const config = toastTypes[type] || toastTypes.info;
 
     // Create unique ID for this toast
     const toastId = `toast-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -91,10 +153,20 @@ function showToast(message, type = 'info', duration = null, isSticky = false) {
         <div class="toast-header ${config.bgClass} text-white">
             <i class="bi ${config.icon} me-2"></i>
             <strong class="me-auto">${config.title}</strong>
+            <span class="badge rounded-pill text-bg-light toast-count d-none me-2" data-testid="toast-count"></span>
             <button type="button" class="btn-close btn-close-white" data-bs-dismiss="toast" aria-label="Close"></button>
         </div>
         <div class="toast-body">
-            ${escapeHtml(message)}
+            <div class="toast-message">${escapeHtml(message)}</div>
+            ${actions.length > 0 ? `
+                <div class="toast-actions" data-testid="toast-actions">
+                    ${actions.map((action, index) => `
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-toast-action="${index}">
+                            ${action.icon ? `<i class="bi ${action.icon} me-1"></i>` : ''}${escapeHtml(action.label)}
+                        </button>
+                    `).join('')}
+                </div>
+            ` : ''}
         </div>
     `;
 
@@ -112,14 +184,146 @@ function showToast(message, type = 'info', duration = null, isSticky = false) {
     }
 
     const bsToast = new bootstrap.Toast(toastEl, toastOptions);
+    const entry = Toast.history.add({ type, message, details: options.details });
+
+    // Kept by reference, since a progress toast swaps the icon classes for a spinner
+    const icon = toastEl.querySelector('.toast-header .bi');
+
+    const handle = {
+        element: toastEl,
+        entry,
+        update(newMessage, newType = type) {
+            const newConfig = toastTypes[newType] || toastTypes.info;
+            const header = toastEl.querySelector('.toast-header');
+            header.classList.remove(config.bgClass, ...Object.values(toastTypes).map(t => t.bgClass));
+            header.classList.add(newConfig.bgClass);
+            icon.className = `bi ${newConfig.icon} me-2`;
+            header.querySelector('strong').textContent = newConfig.title;
+            toastEl.setAttribute('data-toast-type', newType);
+            toastEl.querySelector('.toast-message').textContent = newMessage;
+            Toast.history.update(entry.id, { type: newType, message: newMessage });
+        },
+        hide() {
+            bsToast.hide();
+        }
+    };
+
+    toastEl.querySelectorAll('[data-toast-action]').forEach(button => {
+        const action = actions[Number(button.dataset.toastAction)];
+        button.addEventListener('click', () => {
+            if (action.dismiss !== false) {
+                bsToast.hide();
+            }
+            action.onClick?.(handle);
+        });
+    });
+
+    if (groupKey) {
+        groupedToasts.set(groupKey, { element: toastEl, bsToast, entry, handle, count: 1 });
+    }
 
     // Remove from DOM after hidden
     toastEl.addEventListener('hidden.bs.toast', () => {
+        if (groupKey) {
+            groupedToasts.delete(groupKey);
+        }
         toastEl.remove();
+        options.onHidden?.(handle);
     });
 
     // Show the toast
     bsToast.show();
+    return handle;
+}
+
+/**
+ * Shows a toast with an Undo button for an action that only happens when the toast expires.  If the page
+ * is left first, the action happens straight away, so use fetch's keepalive option in it.
+ * @param {string} message - The message to display, e.g. "Deleted 'photo.png'"
+ * @param {Function} commit - Does the action; may be async
+ * @param {Object} options - Optional settings
+ * @param {Function} options.onUndo - Called when Undo is clicked, to put back whatever the page has already changed
+ * @param {number} options.duration - How long Undo is offered for, in milliseconds (default: 8000)
+ * @param {string} options.type - The type of toast (default: 'success')
+ * @returns {Promise<boolean>} Resolves to true once the action is done, or false if it was undone; rejects
+ *   if the action fails
+ */
+function showUndoableToast(message, commit, options = {}) {
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        const pending = {
+            run: () => {
+                if (settled) return;
+                settled = true;
+                pendingUndoables.delete(pending);
+                Promise.resolve().then(commit).then(() => resolve(true), reject);
+            }
+        };
+        pendingUndoables.add(pending);
+
+        showToast(message, options.type || 'success', options.duration || 8000, false, {
+            actions: [{
+                label: 'Undo',
+                icon: 'bi-arrow-counterclockwise',
+                onClick: (handle) => {
+                    if (settled) return;
+                    settled = true;
+                    pendingUndoables.delete(pending);
+                    Toast.history.update(handle.entry.id, { message: `${message} (undone)` });
+                    options.onUndo?.();
+                    resolve(false);
+                }
+            }],
+            onHidden: () => pending.run()
+        });
+    });
+}
+
+/**
+ * Shows a sticky toast with a progress bar that is updated in place
+ * @param {string} message - The message to display
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.indeterminate - If true, the bar moves without showing how much is done (default: false)
+ * @returns {Object} A handle with update(percent, message), complete(message, type) and fail(message, details)
+ */
+function showProgressToast(message, options = {}) {
+    const toast = showToast(message, 'info', null, true, { group: false });
+    const toastEl = toast.element;
+    toastEl.setAttribute('data-toast-type', 'progress');
+    toastEl.querySelector('.toast-header .bi').className = 'spinner-border spinner-border-sm me-2';
+    toastEl.querySelector('.toast-header strong').textContent = 'Working';
+    toastEl.querySelector('.toast-body').insertAdjacentHTML('beforeend', `
+        <div class="progress toast-progress" role="progressbar" aria-label="Progress" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0" data-testid="toast-progress">
+            <div class="progress-bar ${options.indeterminate ? 'progress-bar-striped progress-bar-animated' : ''}" style="width: ${options.indeterminate ? 100 : 0}%"></div>
+        </div>
+    `);
+
+    // The toast becomes an ordinary toast that goes away by itself once the work is finished
+    const finish = (text, type, details) => {
+        toastEl.querySelector('.toast-progress')?.remove();
+        toast.update(text, type);
+        if (details !== undefined) {
+            Toast.history.update(toast.entry.id, { details });
+        }
+        setTimeout(() => toast.hide(), type === 'error' ? 10000 : 5000);
+    };
+
+    return {
+        element: toastEl,
+        update(percent, text = null) {
+            const progress = toastEl.querySelector('.toast-progress');
+            if (!progress) return;
+            const value = Math.max(0, Math.min(100, Math.round(percent)));
+            progress.setAttribute('aria-valuenow', value);
+            progress.querySelector('.progress-bar').style.width = `${value}%`;
+            if (text !== null) {
+                toastEl.querySelector('.toast-message').textContent = text;
+            }
+        },
+        complete: (text, type = 'success') => finish(text, type),
+        fail: (text, details) => finish(text, 'error', details),
+        hide: () => toast.hide()
+    };
 }
 
 /**
@@ -133,12 +337,128 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * ToastHistory - Every toast shown in this browser session, most recent first, kept in session storage so
+ * that it survives moving between pages.
+ *
+ * Events:
+ *   - history:changed: {}
+ */
+class ToastHistory extends EventTarget {
+    /**
+     * Creates a new ToastHistory instance
+     * @param {string} storageKey - The session storage key
+     * @param {number} maxEntries - The number of entries to keep
+     */
+    constructor(storageKey = 'azuriteui.notifications', maxEntries = 100) {
+        super();
+        this.storageKey = storageKey;
+        this.maxEntries = maxEntries;
+        this.entries = this._load();
+    }
+
+    /**
+     * The number of entries that have not been seen in the notification center
+     * @returns {number}
+     */
+    get unreadCount() {
+        return this.entries.filter(e => !e.read).length;
+    }
+
+    /**
+     * Records a toast
+     * @param {Object} toast - The toast: { type, message, details }
+     * @returns {Object} The entry, with its id, time and count
+     */
+    add(toast) {
+        const entry = {
+            id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            type: toast.type,
+            message: toast.message,
+            details: toast.details ?? null,
+            time: new Date().toISOString(),
+            count: 1,
+            read: false
+        };
+        this.entries.unshift(entry);
+        this.entries.length = Math.min(this.entries.length, this.maxEntries);
+        this._changed();
+        return entry;
+    }
+
+    /**
+     * Changes an entry; an entry that changes is unread again
+     * @param {string} id - The entry id
+     * @param {Object} changes - The properties to change
+     */
+    update(id, changes) {
+        const entry = this.entries.find(e => e.id === id);
+        if (entry) {
+            Object.assign(entry, changes, { read: false, time: new Date().toISOString() });
+            this._changed();
+        }
+    }
+
+    /**
+     * Marks every entry as seen
+     */
+    markAllRead() {
+        if (this.unreadCount > 0) {
+            this.entries.forEach(e => e.read = true);
+            this._changed();
+        }
+    }
+
+    /**
+     * Removes every entry
+     */
+    clear() {
+        this.entries = [];
+        this._changed();
+    }
+
+    /**
+     * Saves the entries and reports the change
+     * @private
+     */
+    _changed() {
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch {
+            // Session storage can be full or unavailable; the history is then only kept for this page
+        }
+        this.dispatchEvent(new CustomEvent('history:changed', { detail: {} }));
+    }
+
+    /**
+     * Reads the entries saved by earlier pages in this session
+     * @returns {Array<Object>} The entries
+     * @private
+     */
+    _load() {
+        try {
+            const entries = JSON.parse(sessionStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch {
+            return [];
+        }
+    }
+}
+
 /**
  * Convenience methods for specific toast types
  */
 const Toast = {
-    success: (message, duration, isSticky) => showToast(message, 'success', duration, isSticky),
-    error: (message, duration, isSticky) => showToast(message, 'error', duration, isSticky),
-    warning: (message, duration, isSticky) => showToast(message, 'warning', duration, isSticky),
-    info: (message, duration, isSticky) => showToast(message, 'info', duration, isSticky)
+    success: (message, duration, isSticky, options) => showToast(message, 'success', duration, isSticky, options),
+    error: (message, duration, isSticky, options) => showToast(message, 'error', duration, isSticky, options),
+    warning: (message, duration, isSticky, options) => showToast(message, 'warning', duration, isSticky, options),
+    info: (message, duration, isSticky, options) => showToast(message, 'info', duration, isSticky, options),
+    undoable: (message, commit, options) => showUndoableToast(message, commit, options),
+    progress: (message, options) => showProgressToast(message, options),
+    history: new ToastHistory()
 };
+
+// Actions waiting for Undo would be lost when the page goes, so do them now
+window.addEventListener('pagehide', () => {
+    [...pendingUndoables].forEach(pending => pending.run());
+});
@@ -0,0 +1,327 @@
+/**
+ * UploadQueue - Uploads many files to a container, running several BlobUploaders at once.
+ *
+ * Usage:
+ *   const queue = new UploadQueue(containerName);
+ *   queue.addEventListener('queue:item-updated', (e) => renderRow(e.detail.item));
+ *   queue.addEventListener('queue:drained', (e) => console.log('Done!', e.detail.items));
+ *   queue.add([{ file, blobName: 'folder/file.txt' }]);
+ *
+ * Events:
+ *   - queue:item-added: { item }
+ *   - queue:item-updated: { item }
+ *   - queue:item-retry: { item, blockIndex, attempt, maxAttempts }
+ *   - queue:drained: { items }
+ *
+ * Each item has the shape { id, file, blobName, resume, status, percent, uploadedBytes, error, pausePending },
+ * where status is one of queued, uploading, paused, done, error or cancelled.  pausePending is true
+ * while a pause waits for the uploader to start sending blocks (it cannot pause before then).
+ */
+class UploadQueue extends EventTarget {
+    /**
+     * Creates a new UploadQueue instance
+     * @param {string} containerName - The name of the container to upload to
+     * @param {Object} options - Optional configuration
+     * @param {number} options.concurrency - Number of files to upload at the same time (default: 2)
+     * @param {Object} options.uploaderOptions - Options passed to each BlobUploader
+     */
+    constructor(containerName, options = {}) {
+        super();
+        this.containerName = containerName;
+        this.concurrency = Math.max(1, options.concurrency || 2);
+        this.uploaderOptions = options.uploaderOptions || {};
+
+        this.items = [];
+        this.nextId = 1;
+        this.activeCount = 0;
+        this.paused = false;
+    }
+
+    /**
+     * Adds files to the queue and starts uploading them
+     * @param {Array<{file: File, blobName: string, resume: boolean}>} entries - The files to upload
+     * @returns {Array<Object>} The queue items that were created
+     */
+    add(entries) {
+        const added = entries.map(entry => ({
+            id: this.nextId++,
+            file: entry.file,
+            blobName: entry.blobName || entry.file.name,
+            resume: entry.resume === true,
+            status: 'queued',
+            percent: 0,
+            uploadedBytes: 0,
+            error: null,
+            pausePending: false,
+            uploader: null
+        }));
+
+        for (const item of added) {
+            this.items.push(item);
+            this.dispatchEvent(new CustomEvent('queue:item-added', { detail: { item } }));
+        }
+
+        this._startNext();
+        return added;
+    }
+
+    /**
+     * Cancels a single item, whether it is waiting or uploading
+     * @param {number} id - The ID of the queue item
+     */
+    async cancel(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item || !UploadQueue.isActive(item)) {
+            return;
+        }
+
+        const uploader = item.uploader;
+        this._update(item, { status: 'cancelled' });
+        if (uploader) {
+            await uploader.cancel();
+        } else {
+            this._checkDrained();
+        }
+    }
+
+    /**
+     * Pauses a single uploading item; it keeps its place in the running uploads
+     * @param {number} id - The ID of the queue item
+     */
+    pause(id) {
+        const item = this.items.find(i => i.id === id);
+        if (item && item.status === 'uploading') {
+            // The uploader ignores pause() while it is still setting up, so the pause is applied
+            // again once it starts sending blocks
+            item.pausePending = true;
+            item.uploader.pause();
+        }
+    }
+
+    /**
+     * Resumes a single paused item
+     * @param {number} id - The ID of the queue item
+     */
+    resume(id) {
+        const item = this.items.find(i => i.id === id);
+        if (item && item.status === 'paused') {
+            item.uploader.resume();
+        } else if (item) {
+            item.pausePending = false;
+        }
+    }
+
+    /**
+     * Pauses every uploading item and holds back the items that are still waiting
+     */
+    pauseAll() {
+        this.paused = true;
+        this.items.forEach(item => this.pause(item.id));
+    }
+
+    /**
+     * Resumes every paused item and starts the items that are still waiting
+     */
+    resumeAll() {
+        this.paused = false;
+        this.items.forEach(item => this.resume(item.id));
+        this._startNext();
+    }
+
+    /**
+     * Cancels every item that has not finished
+     */
+    async cancelAll() {
+        await Promise.all(this.items.map(item => this.cancel(item.id)));
+    }
+
+    /**
+     * true if there are items waiting, uploading or paused
+     * @returns {boolean}
+     */
+    get isBusy() {
+        return this.items.some(i => UploadQueue.isActive(i));
+    }
+
+    /**
+     * Determines if a queue item still has work to do
+     * @param {Object} item - The queue item
+     * @returns {boolean} true if the item is waiting, uploading or paused
+     */
+    static isActive(item) {
+        return item.status === 'queued' || item.status === 'uploading' || item.status === 'paused';
+    }
+
+    /**
+     * The total number of bytes in the queue, excluding cancelled items
+     * @returns {number}
+     */
+    get totalBytes() {
+        return this.items.filter(i => i.status !== 'cancelled').reduce((sum, i) => sum + i.file.size, 0);
+    }
+
+    /**
+     * The number of bytes confirmed by the server, excluding cancelled items
+     * @returns {number}
+     */
+    get uploadedBytes() {
+        return this.items.filter(i => i.status !== 'cancelled').reduce((sum, i) => sum + i.uploadedBytes, 0);
+    }
+
+    /**
+     * Starts uploading queued items until the concurrency limit is reached
+     * @private
+     */
+    _startNext() {
+        while (!this.paused && this.activeCount < this.concurrency) {
+            const item = this.items.find(i => i.status === 'queued');
+            if (!item) {
+                break;
+            }
+
+            this._upload(item);
+        }
+    }
+
+    /**
+     * Uploads a single queue item
+     * @private
+     */
+    async _upload(item) {
+        this.activeCount++;
+
+        const uploader = new BlobUploader(this.containerName, item.file, {
+            ...this.uploaderOptions,
+            blobName: item.blobName
+        });
+        this._update(item, { status: 'uploading', uploader });
+
+        uploader.addEventListener('upload:progress', (event) => {
+            const { percent, uploadedBytes } = event.detail;
+            this._update(item, { percent, uploadedBytes });
+        });
+
+        uploader.addEventListener('upload:sending', () => {
+            if (item.pausePending) {
+                uploader.pause();
+            }
+        });
+
+        uploader.addEventListener('upload:paused', () => {
+            this._update(item, { status: 'paused', pausePending: false });
+        });
+
+        uploader.addEventListener('upload:resumed', () => {
+            this._update(item, { status: 'uploading' });
+        });
+
+        uploader.addEventListener('upload:retry', (event) => {
+            const { blockIndex, attempt, maxAttempts } = event.detail;
+            this.dispatchEvent(new CustomEvent('queue:item-retry', {
+                detail: { item, blockIndex, attempt, maxAttempts }
+            }));
+        });
+
+        try {
+            if (item.resume) {
+                await uploader.resume();
+            } else {
+                await uploader.upload();
+            }
+
+            // A cancelled upload resolves without a blob
+            if (item.status === 'uploading') {
+                this._update(item, { status: 'done', percent: 100, uploadedBytes: item.file.size });
+            }
+        } catch (error) {
+            if (item.status === 'uploading') {
+                this._update(item, { status: 'error', error: error.message || 'An error occurred during upload' });
+            }
+        } finally {
+            item.uploader = null;
+            this.activeCount--;
+            this._startNext();
+            this._checkDrained();
+        }
+    }
+
+    /**
+     * Updates a queue item and notifies listeners
+     * @private
+     */
+    _update(item, changes) {
+        Object.assign(item, changes);
+        this.dispatchEvent(new CustomEvent('queue:item-updated', { detail: { item } }));
+    }
+
+    /**
+     * Dispatches queue:drained when there is nothing left to do
+     * @private
+     */
+    _checkDrained() {
+        if (!this.isBusy && this.activeCount === 0) {
+            this.dispatchEvent(new CustomEvent('queue:drained', { detail: { items: this.items } }));
+        }
+    }
+
+    /**
+     * Converts the files picked with a file input into queue entries.  Files picked
+     * from a folder (webkitdirectory) keep their relative path as the blob name.
+     * @param {FileList} fileList - The files from the input
+     * @returns {Array<{file: File, blobName: string}>} The queue entries
+     */
+    static entriesFromFileList(fileList) {
+        return Array.from(fileList).map(file => ({
+            file,
+            blobName: file.webkitRelativePath || file.name
+        }));
+    }
+
+    /**
+     * Converts the files and folders dropped onto the page into queue entries, walking
+     * into folders so that their relative paths become virtual-directory blob names.
+     * @param {DataTransfer} dataTransfer - The drop event's data transfer
+     * @returns {Promise<Array<{file: File, blobName: string}>>} The queue entries
+     */
+    static async entriesFromDataTransfer(dataTransfer) {
+        // Entries must be collected synchronously; the item list is cleared after the event
+        const entries = Array.from(dataTransfer.items || [])
+            .filter(item => item.kind === 'file')
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+
+        if (entries.length === 0 || entries.some(entry => !entry)) {
+            return UploadQueue.entriesFromFileList(dataTransfer.files);
+        }
+
+        const results = [];
+        for (const entry of entries) {
+            await UploadQueue._walkEntry(entry, results);
+        }
+        return results;
+    }
+
+    /**
+     * Recursively collects the files under a file system entry
+     * @private
+     */
+    static async _walkEntry(entry, results) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            results.push({ file, blobName: entry.fullPath.replace(/^\/+/, '') });
+            return;
+        }
+
+        // readEntries() returns the directory contents in batches, so keep reading until empty
+        const reader = entry.createReader();
+        for (;;) {
+            const children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (children.length === 0) {
+                break;
+            }
+
+            for (const child of children) {
+                await UploadQueue._walkEntry(child, results);
+            }
+        }
+    }
+}
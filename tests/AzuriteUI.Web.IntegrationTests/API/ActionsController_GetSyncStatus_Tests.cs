@@ -0,0 +1,71 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Controllers.Models;
+using AzuriteUI.Web.Services.CacheSync.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class ActionsController_GetSyncStatus_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Happy Path Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task GetSyncStatus_AfterSynchronization_ShouldReturnCompletedRun()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("sync-status");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "blob1.txt", "content1");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "blob2.txt", "content2");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/actions/sync-cache");
+        var result = await response.Content.ReadFromJsonAsync<SyncStatusResponse>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.IsRunning.Should().BeFalse();
+        result.CurrentRun.Should().BeNull();
+        result.History.Should().NotBeEmpty();
+
+        var lastRun = result.History.First();
+        lastRun.Status.Should().Be(CacheSyncStatus.Succeeded);
+        lastRun.ContainersProcessed.Should().Be(1);
+        lastRun.BlobsProcessed.Should().Be(2);
+        lastRun.FinishedAt.Should().NotBeNull();
+        result.LastStartedAt.Should().Be(lastRun.StartedAt);
+        result.LastFinishedAt.Should().Be(lastRun.FinishedAt);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GetSyncStatus_WithQueuedWork_ShouldReturnQueue()
+    {
+        // Arrange
+        await Fixture.ClearCacheSyncQueueAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var enqueueResponse = await client.PostAsync("/api/actions/sync-cache", null);
+        var queuedWork = await enqueueResponse.Content.ReadFromJsonAsync<QueuedWorkResult>(ServiceFixture.JsonOptions);
+
+        // Act
+        var response = await client.GetAsync("/api/actions/sync-cache");
+        var result = await response.Content.ReadFromJsonAsync<SyncStatusResponse>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.QueueSize.Should().Be(1);
+        result.QueuedWorkIds.Should().ContainSingle().Which.Should().Be(queuedWork!.Id);
+    }
+
+    #endregion
+
+    #region Helper Classes
+    class QueuedWorkResult
+    {
+        public Guid Id { get; set; }
+    }
+    #endregion
+}
@@ -0,0 +1,63 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Controllers.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class DashboardController_GetAgeUsage_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    [Fact(Timeout = 60000)]
+    public async Task GetAgeUsage_WithNewBlobs_ShouldPlaceThemInTheNewestBucket()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "blob1.txt", "content1");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "blob2.txt", "content2");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/dashboard/ages");
+        var result = await response.Content.ReadFromJsonAsync<List<StorageUsageInfo>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().HaveCount(6);
+        result![0].Key.Should().Be("day");
+        result[0].BlobCount.Should().Be(2);
+        result.Skip(1).Should().OnlyContain(x => x.BlobCount == 0);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GetAgeUsage_WithFamily_ShouldCountOnlyBlobsInTheFamily()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "image.png", "fake-png", "image/png");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "notes.txt", "notes");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/dashboard/ages?family=image");
+        var result = await response.Content.ReadFromJsonAsync<List<StorageUsageInfo>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result!.Sum(x => x.BlobCount).Should().Be(1);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GetAgeUsage_WithInvalidFamily_ShouldReturnBadRequest()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/dashboard/ages?family=spreadsheet");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+}
@@ -0,0 +1,83 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Controllers.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class DashboardController_GetContainerUsage_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    [Fact(Timeout = 60000)]
+    public async Task GetContainerUsage_WithNoBlobs_ShouldReturnEmptyList()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateContainerAsync("empty-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/dashboard/containers");
+        var result = await response.Content.ReadFromJsonAsync<List<StorageUsageInfo>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull().And.BeEmpty();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GetContainerUsage_ShouldReturnContainersLargestFirst()
+    {
+        // Arrange
+        var small = await Fixture.Azurite.CreateContainerAsync("small");
+        var large = await Fixture.Azurite.CreateContainerAsync("large");
+        await Fixture.Azurite.CreateBlobAsync(small, "a.txt", "a");
+        await Fixture.Azurite.CreateBlobAsync(large, "b.txt", new string('b', 1000));
+        await Fixture.Azurite.CreateBlobAsync(large, "c.txt", new string('c', 500));
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/dashboard/containers");
+        var result = await response.Content.ReadFromJsonAsync<List<StorageUsageInfo>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result!.Select(x => x.Key).Should().Equal("large", "small");
+        result[0].BlobCount.Should().Be(2);
+        result[0].TotalSize.Should().Be(1500);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GetContainerUsage_WithFamily_ShouldCountOnlyBlobsInTheFamily()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("mixed");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "image.png", "fake-png", "image/png");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "notes.txt", "some notes", "text/plain");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/dashboard/containers?family=image&age=day");
+        var result = await response.Content.ReadFromJsonAsync<List<StorageUsageInfo>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().ContainSingle().Which.BlobCount.Should().Be(1);
+    }
+
+    [Theory(Timeout = 60000)]
+    [InlineData("family=spreadsheet")]
+    [InlineData("age=decade")]
+    public async Task GetContainerUsage_WithInvalidFilter_ShouldReturnBadRequest(string query)
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/api/dashboard/containers?{query}");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+}
@@ -0,0 +1,46 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Controllers.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class DashboardController_GetContentTypeUsage_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    [Fact(Timeout = 60000)]
+    public async Task GetContentTypeUsage_ShouldReturnEveryFamily()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("mixed");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "image.png", "fake-png", "image/png");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "data.json", "{}", "application/json");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "archive.zip", "fake-zip", "application/zip");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/dashboard/content-types");
+        var result = await response.Content.ReadFromJsonAsync<List<StorageUsageInfo>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().HaveCount(8);
+        result!.Single(x => x.Key == "image").BlobCount.Should().Be(1);
+        result.Single(x => x.Key == "json").BlobCount.Should().Be(1);
+        result.Single(x => x.Key == "other").BlobCount.Should().Be(1);
+        result.Single(x => x.Key == "text").BlobCount.Should().Be(0);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GetContentTypeUsage_WithInvalidAge_ShouldReturnBadRequest()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/dashboard/content-types?age=decade");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+}
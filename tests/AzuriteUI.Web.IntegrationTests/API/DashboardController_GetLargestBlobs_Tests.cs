@@ -0,0 +1,48 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Controllers.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class DashboardController_GetLargestBlobs_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    [Fact(Timeout = 60000)]
+    public async Task GetLargestBlobs_ShouldReturnTopBlobsLargestFirst()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        for (int i = 1; i <= 5; i++)
+        {
+            await Fixture.Azurite.CreateBlobAsync(containerName, $"blob{i}.txt", new string('x', i * 100));
+        }
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/dashboard/largest-blobs?top=3");
+        var result = await response.Content.ReadFromJsonAsync<List<RecentBlobInfo>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result!.Select(x => x.Name).Should().Equal("blob5.txt", "blob4.txt", "blob3.txt");
+        result[0].ContentLength.Should().Be(500);
+        result[0].ContainerName.Should().Be(containerName);
+    }
+
+    [Theory(Timeout = 60000)]
+    [InlineData("top=0")]
+    [InlineData("top=101")]
+    [InlineData("family=spreadsheet")]
+    public async Task GetLargestBlobs_WithInvalidQuery_ShouldReturnBadRequest(string query)
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/api/dashboard/largest-blobs?{query}");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+}
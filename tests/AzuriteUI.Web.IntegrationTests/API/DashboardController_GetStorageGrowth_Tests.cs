@@ -0,0 +1,61 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Controllers.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class DashboardController_GetStorageGrowth_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    [Fact(Timeout = 60000)]
+    public async Task GetStorageGrowth_WithNoSynchronizations_ShouldReturnEmptyList()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/dashboard/growth");
+        var result = await response.Content.ReadFromJsonAsync<List<StorageSampleInfo>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull().And.BeEmpty();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GetStorageGrowth_ShouldReturnSampleForEachSynchronization()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "blob1.txt", "content1");
+        await Fixture.SynchronizeCacheAsync();
+        await Fixture.Azurite.CreateBlobAsync(containerName, "blob2.txt", "content2");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/dashboard/growth?days=7");
+        var result = await response.Content.ReadFromJsonAsync<List<StorageSampleInfo>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result!.Select(x => x.Blobs).Should().Equal(1, 2);
+        result.Should().OnlyContain(x => x.Containers == 1);
+        result.Select(x => x.SampledAt).Should().BeInAscendingOrder();
+    }
+
+    [Theory(Timeout = 60000)]
+    [InlineData(0)]
+    [InlineData(91)]
+    public async Task GetStorageGrowth_WithInvalidDays_ShouldReturnBadRequest(int days)
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/api/dashboard/growth?days={days}");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+}
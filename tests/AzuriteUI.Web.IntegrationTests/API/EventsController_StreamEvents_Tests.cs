@@ -0,0 +1,101 @@
+using System.Net;
+using System.Net.Http.Json;
+using System.Text.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class EventsController_StreamEvents_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Helpers
+
+    /// <summary>
+    /// Reads server-sent events from the stream until one with the given name arrives.
+    /// </summary>
+    private static async Task<JsonElement> ReadUntilEventAsync(StreamReader reader, string eventName, CancellationToken cancellationToken)
+    {
+        string? currentEvent = null;
+        while (await reader.ReadLineAsync(cancellationToken) is string line)
+        {
+            if (line.StartsWith("event: "))
+            {
+                currentEvent = line["event: ".Length..];
+            }
+            else if (line.StartsWith("data: ") && currentEvent == eventName)
+            {
+                return JsonDocument.Parse(line["data: ".Length..]).RootElement;
+            }
+            else if (line.Length == 0)
+            {
+                currentEvent = null;
+            }
+        }
+
+        throw new EndOfStreamException($"The event stream ended before a '{eventName}' event arrived.");
+    }
+
+    #endregion
+
+    #region Basic GET Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task StreamEvents_ShouldReturnEventStream()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+        using var cts = new CancellationTokenSource(TimeSpan.FromSeconds(30));
+
+        // Act
+        using var response = await client.GetAsync("/api/events", HttpCompletionOption.ResponseHeadersRead, cts.Token);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        response.Content.Headers.ContentType!.MediaType.Should().Be("text/event-stream");
+        response.Headers.CacheControl!.NoCache.Should().BeTrue();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task StreamEvents_WhenContainerCreated_ShouldSendContainerCreated()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+        using var cts = new CancellationTokenSource(TimeSpan.FromSeconds(30));
+        using var response = await client.GetAsync("/api/events", HttpCompletionOption.ResponseHeadersRead, cts.Token);
+        using var reader = new StreamReader(await response.Content.ReadAsStreamAsync(cts.Token));
+
+        // Act
+        var createResponse = await client.PostAsJsonAsync("/api/containers", new CreateContainerDTO { ContainerName = "live-container" }, cts.Token);
+        var storageEvent = await ReadUntilEventAsync(reader, "container:created", cts.Token);
+
+        // Assert
+        createResponse.StatusCode.Should().Be(HttpStatusCode.Created);
+        storageEvent.GetProperty("type").GetString().Should().Be("container:created");
+        storageEvent.GetProperty("containerName").GetString().Should().Be("live-container");
+        storageEvent.GetProperty("eTag").GetString().Should().NotBeNullOrEmpty();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task StreamEvents_WhenBlobDeleted_ShouldSendBlobDeleted()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "Hello, World!");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        using var cts = new CancellationTokenSource(TimeSpan.FromSeconds(30));
+        using var response = await client.GetAsync("/api/events", HttpCompletionOption.ResponseHeadersRead, cts.Token);
+        using var reader = new StreamReader(await response.Content.ReadAsStreamAsync(cts.Token));
+
+        // Act
+        var deleteResponse = await client.DeleteAsync($"/api/containers/{containerName}/blobs/{blobName}", cts.Token);
+        var storageEvent = await ReadUntilEventAsync(reader, "blob:deleted", cts.Token);
+
+        // Assert
+        deleteResponse.StatusCode.Should().Be(HttpStatusCode.NoContent);
+        storageEvent.GetProperty("containerName").GetString().Should().Be(containerName);
+        storageEvent.GetProperty("blobName").GetString().Should().Be(blobName);
+    }
+
+    #endregion
+}
@@ -0,0 +1,40 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class QueuesController_ClearMessages_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    [Fact(Timeout = 60000)]
+    public async Task ClearMessages_ShouldDeleteAllMessages()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        await Fixture.Azurite.SendMessageAsync("test-queue", "first");
+        await Fixture.Azurite.SendMessageAsync("test-queue", "second");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.DeleteAsync("/api/queues/test-queue/messages");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NoContent);
+        var queue = await client.GetFromJsonAsync<QueueDTO>("/api/queues/test-queue", ServiceFixture.JsonOptions);
+        queue!.ApproximateMessagesCount.Should().Be(0);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task ClearMessages_WithNonExistentQueue_ShouldReturn404()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.DeleteAsync("/api/queues/missing-queue/messages");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+}
@@ -0,0 +1,72 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class QueuesController_CreateQueue_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Basic POST Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task CreateQueue_WithValidRequest_ShouldReturnCreatedQueue()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+        var dto = new CreateQueueDTO
+        {
+            QueueName = "test-queue",
+            Metadata = new Dictionary<string, string> { ["owner"] = "integration-test" }
+        };
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/queues", dto);
+        var result = await response.Content.ReadFromJsonAsync<QueueDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Created);
+        result.Should().NotBeNull();
+        result!.Name.Should().Be("test-queue");
+        result.ApproximateMessagesCount.Should().Be(0);
+        result.Metadata.Should().ContainKey("owner").WhoseValue.Should().Be("integration-test");
+
+        // Verify Location header
+        response.Headers.Location.Should().NotBeNull()
+            .And.BeOfType<Uri>()
+            .Which.AbsolutePath.Should().Be("/api/queues/test-queue");
+    }
+
+    #endregion
+
+    #region Error Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task CreateQueue_WithExistingQueue_ShouldReturn409()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("existing-queue");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/queues", new CreateQueueDTO { QueueName = "existing-queue" });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Conflict);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CreateQueue_WithInvalidQueueName_ShouldReturn400()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/queues", new CreateQueueDTO { QueueName = "Invalid_Queue" });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    #endregion
+}
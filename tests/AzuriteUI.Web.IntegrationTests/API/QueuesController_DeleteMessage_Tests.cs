@@ -0,0 +1,43 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class QueuesController_DeleteMessage_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    [Fact(Timeout = 60000)]
+    public async Task DeleteMessage_WithPopReceipt_ShouldDeleteMessage()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        await Fixture.Azurite.SendMessageAsync("test-queue", "hello");
+        using HttpClient client = Fixture.CreateClient();
+        var receiveResponse = await client.PostAsync("/api/queues/test-queue/messages/receive?visibilityTimeout=1", null);
+        var received = (await receiveResponse.Content.ReadFromJsonAsync<List<QueueMessageDTO>>(ServiceFixture.JsonOptions))!.Single();
+
+        // Act
+        var response = await client.DeleteAsync($"/api/queues/test-queue/messages/{received.MessageId}?popReceipt={Uri.EscapeDataString(received.PopReceipt!)}");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NoContent);
+        var queue = await client.GetFromJsonAsync<QueueDTO>("/api/queues/test-queue", ServiceFixture.JsonOptions);
+        queue!.ApproximateMessagesCount.Should().Be(0);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task DeleteMessage_WithoutPopReceipt_ShouldReturn400()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        var messageId = await Fixture.Azurite.SendMessageAsync("test-queue", "hello");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.DeleteAsync($"/api/queues/test-queue/messages/{messageId}");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+}
@@ -0,0 +1,39 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class QueuesController_DeleteQueue_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    [Fact(Timeout = 60000)]
+    public async Task DeleteQueue_WithExistingQueue_ShouldReturnNoContent()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        await Fixture.Azurite.SendMessageAsync("test-queue", "hello");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.DeleteAsync("/api/queues/test-queue");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NoContent);
+        var getResponse = await client.GetAsync("/api/queues/test-queue");
+        getResponse.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task DeleteQueue_WithNonExistentQueue_ShouldReturnNoContent()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act - deleting a queue is idempotent
+        var response = await client.DeleteAsync("/api/queues/queue-that-does-not-exist");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NoContent);
+    }
+}
@@ -0,0 +1,41 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class QueuesController_GetQueueByName_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    [Fact(Timeout = 60000)]
+    public async Task GetQueueByName_WithExistingQueue_ShouldReturnQueue()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        await Fixture.Azurite.SendMessageAsync("test-queue", "hello");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/queues/test-queue");
+        var result = await response.Content.ReadFromJsonAsync<QueueDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.Name.Should().Be("test-queue");
+        result.ApproximateMessagesCount.Should().Be(1);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GetQueueByName_WithNonExistentQueue_ShouldReturn404()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/queues/queue-that-does-not-exist");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+}
@@ -0,0 +1,46 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class QueuesController_ListQueues_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    [Fact(Timeout = 60000)]
+    public async Task ListQueues_WithNoQueues_ShouldReturnEmptyList()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/queues");
+        var result = await response.Content.ReadFromJsonAsync<List<QueueDTO>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull().And.BeEmpty();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task ListQueues_WithQueues_ShouldReturnQueuesSortedByNameWithMessageCounts()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("orders");
+        await Fixture.Azurite.CreateQueueAsync("invoices", new Dictionary<string, string> { ["team"] = "billing" });
+        await Fixture.Azurite.SendMessageAsync("orders", "first");
+        await Fixture.Azurite.SendMessageAsync("orders", "second");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/queues");
+        var result = await response.Content.ReadFromJsonAsync<List<QueueDTO>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.Select(q => q.Name).Should().Equal("invoices", "orders");
+        result[0].Metadata.Should().ContainKey("team").WhoseValue.Should().Be("billing");
+        result[1].ApproximateMessagesCount.Should().Be(2);
+    }
+}
@@ -0,0 +1,79 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class QueuesController_PeekMessages_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    [Fact(Timeout = 60000)]
+    public async Task PeekMessages_ShouldReturnMessagesWithoutReceivingThem()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        await Fixture.Azurite.SendMessageAsync("test-queue", "first");
+        await Fixture.Azurite.SendMessageAsync("test-queue", "second");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act - peek twice; the messages stay visible
+        _ = await client.GetAsync("/api/queues/test-queue/messages");
+        var response = await client.GetAsync("/api/queues/test-queue/messages");
+        var result = await response.Content.ReadFromJsonAsync<List<QueueMessageDTO>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.Select(m => m.MessageText).Should().Equal("first", "second");
+        result.Should().AllSatisfy(m =>
+        {
+            m.PopReceipt.Should().BeNull();
+            m.DequeueCount.Should().Be(0);
+        });
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task PeekMessages_WithMaxMessages_ShouldLimitMessages()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        await Fixture.Azurite.SendMessageAsync("test-queue", "first");
+        await Fixture.Azurite.SendMessageAsync("test-queue", "second");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var result = await client.GetFromJsonAsync<List<QueueMessageDTO>>("/api/queues/test-queue/messages?maxMessages=1", ServiceFixture.JsonOptions);
+
+        // Assert
+        result.Should().ContainSingle().Which.MessageText.Should().Be("first");
+    }
+
+    [Theory(Timeout = 60000)]
+    [InlineData(0)]
+    [InlineData(33)]
+    public async Task PeekMessages_WithInvalidMaxMessages_ShouldReturn400(int maxMessages)
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/api/queues/test-queue/messages?maxMessages={maxMessages}");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task PeekMessages_WithNonExistentQueue_ShouldReturn404()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/queues/missing-queue/messages");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+}
@@ -0,0 +1,65 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class QueuesController_ReceiveMessages_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    [Fact(Timeout = 60000)]
+    public async Task ReceiveMessages_ShouldReturnMessagesWithPopReceiptsAndHideThem()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        await Fixture.Azurite.SendMessageAsync("test-queue", "first");
+        await Fixture.Azurite.SendMessageAsync("test-queue", "second");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsync("/api/queues/test-queue/messages/receive?maxMessages=1&visibilityTimeout=60", null);
+        var result = await response.Content.ReadFromJsonAsync<List<QueueMessageDTO>>(ServiceFixture.JsonOptions);
+        var peeked = await client.GetFromJsonAsync<List<QueueMessageDTO>>("/api/queues/test-queue/messages", ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        var message = result.Should().ContainSingle().Subject;
+        message.MessageText.Should().Be("first");
+        message.PopReceipt.Should().NotBeNullOrEmpty();
+        message.DequeueCount.Should().Be(1);
+        message.NextVisibleOn.Should().BeCloseTo(DateTimeOffset.UtcNow.AddSeconds(60), TimeSpan.FromSeconds(5));
+
+        // The received message is hidden until its visibility timeout passes
+        peeked.Should().ContainSingle().Which.MessageText.Should().Be("second");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task ReceiveMessages_WithEmptyQueue_ShouldReturnEmptyList()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsync("/api/queues/test-queue/messages/receive", null);
+        var result = await response.Content.ReadFromJsonAsync<List<QueueMessageDTO>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull().And.BeEmpty();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task ReceiveMessages_WithInvalidVisibilityTimeout_ShouldReturn400()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsync("/api/queues/test-queue/messages/receive?visibilityTimeout=-1", null);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+}
@@ -0,0 +1,77 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class QueuesController_SendMessage_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    [Fact(Timeout = 60000)]
+    public async Task SendMessage_WithValidRequest_ShouldReturnCreatedMessage()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        using HttpClient client = Fixture.CreateClient();
+        var dto = new SendQueueMessageDTO { MessageText = "eyJpZCI6MX0=" };
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/queues/test-queue/messages", dto);
+        var result = await response.Content.ReadFromJsonAsync<QueueMessageDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Created);
+        result.Should().NotBeNull();
+        result!.MessageId.Should().NotBeNullOrEmpty();
+        result.PopReceipt.Should().NotBeNullOrEmpty();
+        result.MessageText.Should().Be("eyJpZCI6MX0=");
+        result.InsertedOn.Should().BeCloseTo(DateTimeOffset.UtcNow, TimeSpan.FromSeconds(5));
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task SendMessage_WithVisibilityTimeout_ShouldHideMessage()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        using HttpClient client = Fixture.CreateClient();
+        var dto = new SendQueueMessageDTO { MessageText = "later", VisibilityTimeout = 60 };
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/queues/test-queue/messages", dto);
+        var peeked = await client.GetFromJsonAsync<List<QueueMessageDTO>>("/api/queues/test-queue/messages", ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Created);
+        peeked.Should().NotBeNull().And.BeEmpty();
+    }
+
+    [Theory(Timeout = 60000)]
+    [InlineData(0, 0)]
+    [InlineData(30, 60)]
+    public async Task SendMessage_WithInvalidTimeToLive_ShouldReturn400(int timeToLive, int visibilityTimeout)
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        using HttpClient client = Fixture.CreateClient();
+        var dto = new SendQueueMessageDTO { MessageText = "hello", TimeToLive = timeToLive, VisibilityTimeout = visibilityTimeout };
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/queues/test-queue/messages", dto);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task SendMessage_WithNonExistentQueue_ShouldReturn404()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/queues/missing-queue/messages", new SendQueueMessageDTO { MessageText = "hello" });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+}
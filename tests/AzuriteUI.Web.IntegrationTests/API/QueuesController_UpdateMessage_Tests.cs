@@ -0,0 +1,78 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class QueuesController_UpdateMessage_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    /// <summary>
+    /// Sends a message to the queue and receives it, so that it has a pop receipt.
+    /// </summary>
+    private async Task<QueueMessageDTO> ReceiveMessageAsync(HttpClient client, string queueName, string messageText)
+    {
+        await Fixture.Azurite.SendMessageAsync(queueName, messageText);
+        var response = await client.PostAsync($"/api/queues/{queueName}/messages/receive?visibilityTimeout=60", null);
+        var messages = await response.Content.ReadFromJsonAsync<List<QueueMessageDTO>>(ServiceFixture.JsonOptions);
+        return messages!.Single();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task UpdateMessage_WithPopReceipt_ShouldUpdateBodyAndReturnNewPopReceipt()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        using HttpClient client = Fixture.CreateClient();
+        var received = await ReceiveMessageAsync(client, "test-queue", "original");
+        var dto = new UpdateQueueMessageDTO { PopReceipt = received.PopReceipt!, MessageText = "updated" };
+
+        // Act
+        var response = await client.PutAsJsonAsync($"/api/queues/test-queue/messages/{received.MessageId}", dto);
+        var result = await response.Content.ReadFromJsonAsync<QueueMessageDTO>(ServiceFixture.JsonOptions);
+        var peeked = await client.GetFromJsonAsync<List<QueueMessageDTO>>("/api/queues/test-queue/messages", ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.MessageId.Should().Be(received.MessageId);
+        result.PopReceipt.Should().NotBeNullOrEmpty().And.NotBe(received.PopReceipt);
+        result.MessageText.Should().Be("updated");
+
+        // A visibility timeout of zero makes the message visible again straight away
+        peeked.Should().ContainSingle().Which.MessageText.Should().Be("updated");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task UpdateMessage_WithoutPopReceipt_ShouldReturn400()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        var messageId = await Fixture.Azurite.SendMessageAsync("test-queue", "original");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PutAsJsonAsync($"/api/queues/test-queue/messages/{messageId}", new UpdateQueueMessageDTO { PopReceipt = "", MessageText = "updated" });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task UpdateMessage_WithStalePopReceipt_ShouldFail()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        using HttpClient client = Fixture.CreateClient();
+        var received = await ReceiveMessageAsync(client, "test-queue", "original");
+        var first = new UpdateQueueMessageDTO { PopReceipt = received.PopReceipt!, MessageText = "first", VisibilityTimeout = 60 };
+        _ = await client.PutAsJsonAsync($"/api/queues/test-queue/messages/{received.MessageId}", first);
+
+        // Act - the first update replaced the pop receipt
+        var second = new UpdateQueueMessageDTO { PopReceipt = received.PopReceipt!, MessageText = "second" };
+        var response = await client.PutAsJsonAsync($"/api/queues/test-queue/messages/{received.MessageId}", second);
+
+        // Assert
+        response.IsSuccessStatusCode.Should().BeFalse();
+    }
+}
@@ -0,0 +1,59 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class QueuesController_UpdateQueue_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    [Fact(Timeout = 60000)]
+    public async Task UpdateQueue_WithMetadata_ShouldReplaceMetadata()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue", new Dictionary<string, string> { ["old"] = "value" });
+        using HttpClient client = Fixture.CreateClient();
+        var dto = new UpdateQueueDTO
+        {
+            QueueName = "test-queue",
+            Metadata = new Dictionary<string, string> { ["environment"] = "test" }
+        };
+
+        // Act
+        var response = await client.PutAsJsonAsync("/api/queues/test-queue", dto);
+        var result = await response.Content.ReadFromJsonAsync<QueueDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.Metadata.Should().HaveCount(1);
+        result.Metadata.Should().ContainKey("environment").WhoseValue.Should().Be("test");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task UpdateQueue_WithMismatchedQueueName_ShouldReturn400()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PutAsJsonAsync("/api/queues/test-queue", new UpdateQueueDTO { QueueName = "other-queue" });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task UpdateQueue_WithNonExistentQueue_ShouldReturn404()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PutAsJsonAsync("/api/queues/missing-queue", new UpdateQueueDTO { QueueName = "missing-queue" });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+}
@@ -0,0 +1,203 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.Net.Http.Headers;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class StorageController_CopyBlob_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Basic POST Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task CopyBlob_ToAnotherContainer_ShouldReturnCreatedCopy()
+    {
+        // Arrange
+        var sourceContainer = await Fixture.Azurite.CreateContainerAsync("source");
+        var destinationContainer = await Fixture.Azurite.CreateContainerAsync("destination");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(sourceContainer, "test-blob.txt", "test content",
+            metadata: new Dictionary<string, string> { ["author"] = "test" },
+            tags: new Dictionary<string, string> { ["status"] = "draft" });
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        var dto = new CopyBlobDTO { DestinationContainerName = destinationContainer, DestinationBlobName = "copy.txt" };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{sourceContainer}/blobs/{blobName}/copy", dto);
+        var result = await response.Content.ReadFromJsonAsync<BlobDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Created);
+        result.Should().NotBeNull();
+        result!.ContainerName.Should().Be(destinationContainer);
+        result.Name.Should().Be("copy.txt");
+        result.ContentLength.Should().Be("test content".Length);
+        result.Metadata.Should().ContainKey("author").WhoseValue.Should().Be("test");
+        result.Tags.Should().ContainKey("status").WhoseValue.Should().Be("draft");
+
+        response.Headers.Location.Should().NotBeNull()
+            .And.BeOfType<Uri>()
+            .Which.AbsolutePath.Should().Be("/api/containers/destination/blobs/copy.txt");
+
+        (await Fixture.Azurite.BlobExistsAsync(sourceContainer, blobName)).Should().BeTrue();
+        (await Fixture.Azurite.BlobExistsAsync(destinationContainer, "copy.txt")).Should().BeTrue();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CopyBlob_WithOnlyNewName_ShouldCopyWithinContainer()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/blobs/{blobName}/copy", new CopyBlobDTO { DestinationBlobName = "copy.txt" });
+        var result = await response.Content.ReadFromJsonAsync<BlobDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Created);
+        result!.ContainerName.Should().Be(containerName);
+        result.Name.Should().Be("copy.txt");
+    }
+
+    #endregion
+
+    #region Error Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task CopyBlob_WhenBlobDoesNotExist_ShouldReturnNotFound()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/blobs/missing.txt/copy", new CopyBlobDTO { DestinationBlobName = "copy.txt" });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CopyBlob_WhenDestinationContainerDoesNotExist_ShouldReturnNotFound()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/blobs/{blobName}/copy", new CopyBlobDTO { DestinationContainerName = "missing" });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CopyBlob_ToItself_ShouldReturnBadRequest()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/blobs/{blobName}/copy", new CopyBlobDTO());
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CopyBlob_WhenDestinationExists_ShouldReturnConflict()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "existing.txt", "existing");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/blobs/{blobName}/copy", new CopyBlobDTO { DestinationBlobName = "existing.txt" });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Conflict);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CopyBlob_WhenDestinationExistsWithOverwrite_ShouldReplaceIt()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "existing.txt", "existing");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/blobs/{blobName}/copy", new CopyBlobDTO { DestinationBlobName = "existing.txt", Overwrite = true });
+        var result = await response.Content.ReadFromJsonAsync<BlobDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Created);
+        result!.ContentLength.Should().Be("test content".Length);
+    }
+
+    #endregion
+
+    #region Conditional Request Tests - If-Match
+
+    [Fact(Timeout = 60000)]
+    public async Task CopyBlob_WithNonMatchingIfMatch_ShouldReturn412()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var request = new HttpRequestMessage(HttpMethod.Post, $"/api/containers/{containerName}/blobs/{blobName}/copy")
+        {
+            Content = JsonContent.Create(new CopyBlobDTO { DestinationBlobName = "copy.txt" })
+        };
+        request.Headers.Add(HeaderNames.IfMatch, "\"non-matching-etag\"");
+        var response = await client.SendAsync(request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.PreconditionFailed);
+        (await Fixture.Azurite.BlobExistsAsync(containerName, "copy.txt")).Should().BeFalse();
+    }
+
+    #endregion
+
+    #region Cache Synchronization Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task CopyBlob_ShouldBeReflectedInGetEndpointWithoutSynchronization()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var copyResponse = await client.PostAsJsonAsync($"/api/containers/{containerName}/blobs/{blobName}/copy", new CopyBlobDTO { DestinationBlobName = "copy.txt" });
+        copyResponse.StatusCode.Should().Be(HttpStatusCode.Created);
+        var getResponse = await client.GetAsync($"/api/containers/{containerName}/blobs/copy.txt");
+
+        // Assert
+        getResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+    }
+
+    #endregion
+}
@@ -0,0 +1,105 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.Net.Http.Headers;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class StorageController_CreateBlobSnapshot_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Basic POST Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task CreateBlobSnapshot_WithExistingBlob_ShouldReturnCreatedSnapshot()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content",
+            metadata: new Dictionary<string, string> { ["author"] = "test" });
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsync($"/api/containers/{containerName}/blobs/{blobName}/snapshots", null);
+        var result = await response.Content.ReadFromJsonAsync<BlobSnapshotDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Created);
+        result.Should().NotBeNull();
+        result!.Name.Should().Be(blobName);
+        result.ContainerName.Should().Be(containerName);
+        result.Snapshot.Should().NotBeNullOrEmpty();
+        result.ContentLength.Should().Be("test content".Length);
+        result.Metadata.Should().ContainKey("author").WhoseValue.Should().Be("test");
+
+        response.Headers.Location.Should().NotBeNull();
+        response.Headers.Location!.AbsolutePath.Should().Be($"/api/containers/{containerName}/blobs/{blobName}/content");
+        response.Headers.Location.Query.Should().Contain("snapshot=");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CreateBlobSnapshot_LocationHeader_ShouldDownloadTheSnapshot()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "original content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var createResponse = await client.PostAsync($"/api/containers/{containerName}/blobs/{blobName}/snapshots", null);
+        await Fixture.Azurite.CreateBlobAsync(containerName, blobName, "updated content");
+
+        // Act
+        var response = await client.GetAsync(createResponse.Headers.Location);
+        var content = await response.Content.ReadAsStringAsync();
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        content.Should().Be("original content");
+    }
+
+    #endregion
+
+    #region Error Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task CreateBlobSnapshot_WhenBlobDoesNotExist_ShouldReturnNotFound()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsync($"/api/containers/{containerName}/blobs/missing.txt/snapshots", null);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    #endregion
+
+    #region Conditional Request Tests - If-Match
+
+    [Fact(Timeout = 60000)]
+    public async Task CreateBlobSnapshot_WithNonMatchingIfMatch_ShouldReturn412()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var request = new HttpRequestMessage(HttpMethod.Post, $"/api/containers/{containerName}/blobs/{blobName}/snapshots");
+        request.Headers.Add(HeaderNames.IfMatch, "\"non-matching-etag\"");
+        var response = await client.SendAsync(request);
+        var snapshots = await client.GetFromJsonAsync<List<BlobSnapshotDTO>>($"/api/containers/{containerName}/blobs/{blobName}/snapshots", ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.PreconditionFailed);
+        snapshots.Should().BeEmpty();
+    }
+
+    #endregion
+}
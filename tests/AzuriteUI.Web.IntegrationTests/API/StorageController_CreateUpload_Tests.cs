@@ -337,4 +337,92 @@ public class StorageController_CreateUpload_Tests(ServiceFixture fixture) : Base
     }
 
     #endregion
+
+    #region If-Match Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task CreateUpload_WithMatchingIfMatch_ShouldReturnCreatedForExistingBlob()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "existing-blob.txt", "existing content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var blob = await client.GetFromJsonAsync<BlobDTO>($"/api/containers/{containerName}/blobs/{blobName}", ServiceFixture.JsonOptions);
+        var request = CreateUploadRequest(containerName, blobName, EnsureQuotedETag(blob!.ETag));
+
+        // Act
+        var response = await client.SendAsync(request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Created);
+        var result = await response.Content.ReadFromJsonAsync<UploadStatusDTO>(ServiceFixture.JsonOptions);
+        result!.BlobName.Should().Be(blobName);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CreateUpload_WithStaleIfMatch_ShouldReturn412PreconditionFailed()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "existing-blob.txt", "existing content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var blob = await client.GetFromJsonAsync<BlobDTO>($"/api/containers/{containerName}/blobs/{blobName}", ServiceFixture.JsonOptions);
+        var request = CreateUploadRequest(containerName, blobName, "\"0x8D000000000000\"");
+
+        // Act
+        var response = await client.SendAsync(request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.PreconditionFailed);
+        response.Content.Headers.ContentType?.MediaType.Should().Be("application/problem+json");
+
+        var problemDetails = await response.Content.ReadFromJsonAsync<JsonDocument>(ServiceFixture.JsonOptions);
+        var root = problemDetails!.RootElement;
+        root.GetProperty("status").GetInt32().Should().Be(StatusCodes.Status412PreconditionFailed);
+        root.GetProperty("title").GetString().Should().Be("Precondition Failed");
+        root.GetProperty("eTag").GetString().Should().Be(blob!.ETag);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CreateUpload_WithIfMatchForMissingBlob_ShouldReturn404NotFound()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var request = CreateUploadRequest(containerName, "missing-blob.txt", "*");
+
+        // Act
+        var response = await client.SendAsync(request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    /// <summary>
+    /// Creates an upload session request for a small text blob, with an If-Match header.
+    /// </summary>
+    private static HttpRequestMessage CreateUploadRequest(string containerName, string blobName, string ifMatch)
+    {
+        var request = new HttpRequestMessage(HttpMethod.Post, $"/api/containers/{containerName}/blobs")
+        {
+            Content = JsonContent.Create(new CreateUploadRequestDTO
+            {
+                BlobName = blobName,
+                ContainerName = containerName,
+                ContentLength = 1024,
+                ContentType = "text/plain"
+            })
+        };
+        request.Headers.TryAddWithoutValidation("If-Match", ifMatch);
+        return request;
+    }
+
+    #endregion
 }
@@ -0,0 +1,163 @@
+using System.IO.Compression;
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Controllers;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class StorageController_DownloadArchive_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Helpers
+
+    private static async Task<Dictionary<string, string>> ReadArchiveAsync(HttpResponseMessage response)
+    {
+        using var content = new MemoryStream();
+        await response.Content.CopyToAsync(content);
+        content.Position = 0;
+
+        using var archive = new ZipArchive(content, ZipArchiveMode.Read);
+        var entries = new Dictionary<string, string>();
+        foreach (var entry in archive.Entries)
+        {
+            using var reader = new StreamReader(entry.Open());
+            entries[entry.FullName] = await reader.ReadToEndAsync();
+        }
+        return entries;
+    }
+
+    #endregion
+
+    #region Selection Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task DownloadArchive_WithBlobNames_ShouldReturnZipOfSelectedBlobs()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "one.txt", "first");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "folder/two.txt", "second");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "three.txt", "third");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var request = new DownloadArchiveRequestDTO { BlobNames = ["one.txt", "folder/two.txt"] };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/archive", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        response.Content.Headers.ContentType?.MediaType.Should().Be("application/zip");
+        response.Content.Headers.ContentDisposition!.DispositionType.Should().Be("attachment");
+        response.Content.Headers.ContentDisposition.FileName.Should().Be($"{containerName}.zip");
+        response.Headers.GetValues(StorageController.ArchiveContentLengthHeaderName).Should().ContainSingle().Which.Should().Be("11");
+
+        var entries = await ReadArchiveAsync(response);
+        entries.Should().HaveCount(2);
+        entries["one.txt"].Should().Be("first");
+        entries["folder/two.txt"].Should().Be("second");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task DownloadArchive_WithUnknownBlobNames_ShouldLeaveThemOut()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "one.txt", "first");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var request = new DownloadArchiveRequestDTO { BlobNames = ["one.txt", "missing.txt"] };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/archive", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        var entries = await ReadArchiveAsync(response);
+        entries.Keys.Should().BeEquivalentTo(["one.txt"]);
+    }
+
+    #endregion
+
+    #region Prefix Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task DownloadArchive_WithPrefix_ShouldReturnZipOfFolder()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "photos/2024/cat.txt", "cat");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "photos/2024/dog.txt", "dog");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "photos/2023/old.txt", "old");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "readme.txt", "readme");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var request = new DownloadArchiveRequestDTO { Prefix = "photos/2024/" };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/archive", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        response.Content.Headers.ContentDisposition!.FileName.Should().Be($"{containerName}-photos-2024.zip");
+
+        var entries = await ReadArchiveAsync(response);
+        entries.Keys.Should().BeEquivalentTo(["photos/2024/cat.txt", "photos/2024/dog.txt"]);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task DownloadArchive_WithoutPrefix_ShouldReturnZipOfContainer()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "photos/cat.txt", "cat");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "readme.txt", "readme");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/archive", new DownloadArchiveRequestDTO());
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        var entries = await ReadArchiveAsync(response);
+        entries.Keys.Should().BeEquivalentTo(["photos/cat.txt", "readme.txt"]);
+    }
+
+    #endregion
+
+    #region Error Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task DownloadArchive_WithNonExistentContainer_ShouldReturn404()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/containers/non-existent-container/archive", new DownloadArchiveRequestDTO());
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task DownloadArchive_WithEmptyFolder_ShouldReturn404()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "readme.txt", "readme");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var request = new DownloadArchiveRequestDTO { Prefix = "nothing-here/" };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/archive", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    #endregion
+}
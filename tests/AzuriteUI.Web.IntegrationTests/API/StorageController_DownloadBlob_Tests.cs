@@ -231,6 +231,30 @@ public class StorageController_DownloadBlob_Tests(ServiceFixture fixture) : Base
         content.Should().Be("FGHIJ");
     }
 
+    [Fact(Timeout = 60000)]
+    public async Task DownloadBlob_WithRangeAndInlineDisposition_ShouldReturn206WithCorrectContent()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobContent = "{\"id\":1}\n{\"id\":2}\n{\"id\":3}\n";
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "events.ndjson", blobContent, "application/x-ndjson");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var request = new HttpRequestMessage(HttpMethod.Get, $"/api/containers/{containerName}/blobs/{blobName}/content?disposition=inline");
+        request.Headers.Add(HeaderNames.Range, "bytes=0-8");
+        var response = await client.SendAsync(request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.PartialContent);
+        response.Content.Headers.ContentType?.MediaType.Should().Be("application/x-ndjson");
+        response.Content.Headers.ContentDisposition?.DispositionType.Should().Be("inline");
+
+        var content = await response.Content.ReadAsStringAsync();
+        content.Should().Be("{\"id\":1}\n");
+    }
+
     #endregion
 
     #region Validation Tests
@@ -334,4 +358,24 @@ public class StorageController_DownloadBlob_Tests(ServiceFixture fixture) : Base
     }
 
     #endregion
+
+    #region Snapshot Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task DownloadBlob_WithUnknownSnapshot_ShouldReturnNotFound()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/api/containers/{containerName}/blobs/{blobName}/content?snapshot=2024-01-01T00%3A00%3A00.0000000Z");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    #endregion
 }
@@ -0,0 +1,96 @@
+using System.Net;
+using System.Net.Http.Json;
+using Azure.Storage.Blobs;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class StorageController_GenerateBlobSas_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Basic POST Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task GenerateBlobSas_WithExistingBlob_ShouldReturnWorkingSas()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        var dto = new GenerateSasDTO { Permissions = "r", ExpiresOn = DateTimeOffset.UtcNow.AddHours(1) };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/blobs/{blobName}/sas", dto);
+        var result = await response.Content.ReadFromJsonAsync<SasDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.Url.Should().Contain($"/{containerName}/{blobName}?").And.EndWith(result.Token);
+        result.Token.Should().Contain("sp=r").And.Contain("sr=b");
+        result.ConnectionString.Should().Contain("SharedAccessSignature=").And.NotContain("AccountKey");
+        result.Permissions.Should().Be("r");
+
+        var content = await new BlobClient(new Uri(result.Url)).DownloadContentAsync();
+        content.Value.Content.ToString().Should().Be("test content");
+    }
+
+    #endregion
+
+    #region Error Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task GenerateBlobSas_WhenBlobDoesNotExist_ShouldReturnNotFound()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        var dto = new GenerateSasDTO { Permissions = "r", ExpiresOn = DateTimeOffset.UtcNow.AddHours(1) };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/blobs/missing.txt/sas", dto);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GenerateBlobSas_WithListPermission_ShouldReturnBadRequest()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        var dto = new GenerateSasDTO { Permissions = "rl", ExpiresOn = DateTimeOffset.UtcNow.AddHours(1) };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/blobs/{blobName}/sas", dto);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GenerateBlobSas_WithoutExpiry_ShouldReturnBadRequest()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/blobs/{blobName}/sas", new GenerateSasDTO { Permissions = "r" });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    #endregion
+}
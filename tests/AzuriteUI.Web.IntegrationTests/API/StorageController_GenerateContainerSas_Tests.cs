@@ -0,0 +1,97 @@
+using System.Net;
+using System.Net.Http.Json;
+using Azure.Storage.Blobs;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class StorageController_GenerateContainerSas_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Basic POST Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task GenerateContainerSas_WithExistingContainer_ShouldReturnWorkingSas()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        var dto = new GenerateSasDTO { Permissions = "lr", ExpiresOn = DateTimeOffset.UtcNow.AddHours(1) };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/sas", dto);
+        var result = await response.Content.ReadFromJsonAsync<SasDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.Permissions.Should().Be("rl");
+        result.Token.Should().Contain("sr=c");
+
+        var containerClient = new BlobServiceClient(result.ConnectionString).GetBlobContainerClient(containerName);
+        var names = new List<string>();
+        await foreach (var blob in containerClient.GetBlobsAsync())
+        {
+            names.Add(blob.Name);
+        }
+        names.Should().ContainSingle().Which.Should().Be("test-blob.txt");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GenerateContainerSas_WithStoredAccessPolicy_ShouldLinkToThePolicy()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/sas", new GenerateSasDTO { StoredAccessPolicy = "read-only" });
+        var result = await response.Content.ReadFromJsonAsync<SasDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result!.Token.Should().Contain("si=read-only");
+        result.ExpiresOn.Should().BeNull();
+    }
+
+    #endregion
+
+    #region Error Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task GenerateContainerSas_WhenContainerDoesNotExist_ShouldReturnNotFound()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+        var dto = new GenerateSasDTO { Permissions = "r", ExpiresOn = DateTimeOffset.UtcNow.AddHours(1) };
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/containers/missing/sas", dto);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GenerateContainerSas_WithInvalidIPRange_ShouldReturnBadRequest()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        var dto = new GenerateSasDTO { Permissions = "r", ExpiresOn = DateTimeOffset.UtcNow.AddHours(1), IPRange = "localhost" };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/sas", dto);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    #endregion
+}
@@ -0,0 +1,73 @@
+using System.Net;
+using System.Net.Http.Json;
+using Azure.Storage.Blobs.Models;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class StorageController_GetContainerAccessPolicy_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Basic GET Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task GetContainerAccessPolicy_WithNewContainer_ShouldReturnPrivateWithNoPolicies()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/api/containers/{containerName}/acl");
+        var result = await response.Content.ReadFromJsonAsync<ContainerAccessPolicyDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.PublicAccess.Should().Be("none");
+        result.StoredAccessPolicies.Should().BeEmpty();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GetContainerAccessPolicy_WithStoredAccessPolicies_ShouldReturnThePolicies()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var expiresOn = DateTimeOffset.UtcNow.AddDays(1);
+        var containerClient = Fixture.Azurite.Client.GetBlobContainerClient(containerName);
+        await containerClient.SetAccessPolicyAsync(PublicAccessType.Blob,
+        [
+            new BlobSignedIdentifier { Id = "read-only", AccessPolicy = new BlobAccessPolicy { Permissions = "rl", PolicyExpiresOn = expiresOn } }
+        ]);
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/api/containers/{containerName}/acl");
+        var result = await response.Content.ReadFromJsonAsync<ContainerAccessPolicyDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result!.PublicAccess.Should().Be("blob");
+        var policy = result.StoredAccessPolicies.Should().ContainSingle().Subject;
+        policy.Id.Should().Be("read-only");
+        policy.Permissions.Should().Be("rl");
+        policy.ExpiresOn.Should().BeCloseTo(expiresOn, TimeSpan.FromSeconds(1));
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GetContainerAccessPolicy_WithNonExistentContainer_ShouldReturnNotFound()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/containers/non-existent-container/acl");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    #endregion
+}
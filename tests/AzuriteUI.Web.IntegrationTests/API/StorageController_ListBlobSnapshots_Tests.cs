@@ -0,0 +1,78 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class StorageController_ListBlobSnapshots_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Basic GET Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task ListBlobSnapshots_WithNoSnapshots_ShouldReturnEmptyList()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/api/containers/{containerName}/blobs/{blobName}/snapshots");
+        var result = await response.Content.ReadFromJsonAsync<List<BlobSnapshotDTO>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull().And.BeEmpty();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task ListBlobSnapshots_WithSnapshots_ShouldReturnNewestFirst()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        (await client.PostAsync($"/api/containers/{containerName}/blobs/{blobName}/snapshots", null)).EnsureSuccessStatusCode();
+        await Task.Delay(50);
+        (await client.PostAsync($"/api/containers/{containerName}/blobs/{blobName}/snapshots", null)).EnsureSuccessStatusCode();
+
+        // Act
+        var response = await client.GetAsync($"/api/containers/{containerName}/blobs/{blobName}/snapshots");
+        var result = await response.Content.ReadFromJsonAsync<List<BlobSnapshotDTO>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().HaveCount(2);
+        result.Should().AllSatisfy(s =>
+        {
+            s.Name.Should().Be(blobName);
+            s.ContainerName.Should().Be(containerName);
+            s.ContentLength.Should().Be("test content".Length);
+        });
+        result!.Select(s => s.SnapshotTime).Should().BeInDescendingOrder();
+    }
+
+    #endregion
+
+    #region Error Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task ListBlobSnapshots_WhenBlobDoesNotExist_ShouldReturnNotFound()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/api/containers/{containerName}/blobs/missing.txt/snapshots");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    #endregion
+}
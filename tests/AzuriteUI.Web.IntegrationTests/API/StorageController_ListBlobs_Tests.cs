@@ -229,6 +229,32 @@ public class StorageController_ListBlobs_Tests(ServiceFixture fixture) : BaseApi
         result.Items.Should().OnlyContain(b => b.GetProperty("name").GetString()!.StartsWith("test"));
     }
 
+    [Fact(Timeout = 60000)]
+    public async Task ListBlobs_WithFilterByFolderPrefix_ShouldReturnBlobsInFolder()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "tenant/2025/10/file1.json", "content1");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "tenant/2025/11/file2.json", "content2");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "tenant/2024/12/file3.json", "content3");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "tenant-2025.json", "content4");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/api/containers/{containerName}/blobs?$filter=startswith(name,'tenant/2025/')");
+        var result = await response.Content.ReadFromJsonAsync<PagedResponse<JsonElement>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.Items.Should().HaveCount(2);
+        result.TotalCount.Should().Be(4);
+        result.FilteredCount.Should().Be(2);
+        result.Items.Select(b => b.GetProperty("name").GetString())
+            .Should().BeEquivalentTo(["tenant/2025/10/file1.json", "tenant/2025/11/file2.json"]);
+    }
+
     [Fact(Timeout = 60000)]
     public async Task ListBlobs_WithFilterByContentType_ShouldReturnMatchingBlobs()
     {
@@ -274,6 +300,53 @@ public class StorageController_ListBlobs_Tests(ServiceFixture fixture) : BaseApi
         result.Items.First().GetProperty("name").GetString().Should().Be("test-large.txt");
     }
 
+    [Fact(Timeout = 60000)]
+    public async Task ListBlobs_WithMetadataCondition_ShouldReturnMatchingBlobs()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "file1.txt", "content1", metadata: new Dictionary<string, string> { ["env"] = "prod", ["team"] = "web" });
+        await Fixture.Azurite.CreateBlobAsync(containerName, "file2.txt", "content2", metadata: new Dictionary<string, string> { ["env"] = "dev", ["team"] = "web" });
+        await Fixture.Azurite.CreateBlobAsync(containerName, "file3.txt", "content3");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/api/containers/{containerName}/blobs?metadata=team=web&metadata=env=prod");
+        var result = await response.Content.ReadFromJsonAsync<PagedResponse<JsonElement>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.Items.Should().HaveCount(1);
+        result.TotalCount.Should().Be(3);
+        result.FilteredCount.Should().Be(1);
+        result.Items.First().GetProperty("name").GetString().Should().Be("file1.txt");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task ListBlobs_WithTagConditionAndFilter_ShouldApplyBoth()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "file1.txt", "content1", tags: new Dictionary<string, string> { ["status"] = "done" });
+        await Fixture.Azurite.CreateBlobAsync(containerName, "file2.json", "content2", "application/json", tags: new Dictionary<string, string> { ["status"] = "done" });
+        await Fixture.Azurite.CreateBlobAsync(containerName, "file3.txt", "content3", tags: new Dictionary<string, string> { ["status"] = "pending" });
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/api/containers/{containerName}/blobs?$filter=contentType eq 'text/plain'&tags=status=done");
+        var result = await response.Content.ReadFromJsonAsync<PagedResponse<JsonElement>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.Items.Should().HaveCount(1);
+        result.FilteredCount.Should().Be(1);
+        result.Items.First().GetProperty("name").GetString().Should().Be("file1.txt");
+    }
+
     #endregion
 
     #region Ordering Tests
@@ -449,6 +522,20 @@ public class StorageController_ListBlobs_Tests(ServiceFixture fixture) : BaseApi
         response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
     }
 
+    [Fact(Timeout = 60000)]
+    public async Task ListBlobs_WithMalformedMetadataCondition_ShouldReturnBadRequest()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/api/containers/{containerName}/blobs?metadata=env");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
     #endregion
 
     #region Combined Query Tests
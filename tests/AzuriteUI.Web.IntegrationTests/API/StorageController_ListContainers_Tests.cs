@@ -227,6 +227,29 @@ public class StorageController_ListContainers_Tests(ServiceFixture fixture) : Ba
         result.Items.First().GetProperty("name").GetString().Should().Be("test-data");
     }
 
+    [Fact(Timeout = 60000)]
+    public async Task ListContainers_WithMetadataCondition_ShouldReturnMatchingContainers()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateContainerAsync("prod-container", new Dictionary<string, string> { ["env"] = "prod" });
+        await Fixture.Azurite.CreateContainerAsync("dev-container", new Dictionary<string, string> { ["env"] = "dev" });
+        await Fixture.Azurite.CreateContainerAsync("other-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/containers?metadata=ENV=prod");
+        var result = await response.Content.ReadFromJsonAsync<PagedResponse<JsonElement>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.Items.Should().HaveCount(1);
+        result.TotalCount.Should().Be(3);
+        result.FilteredCount.Should().Be(1);
+        result.Items.First().GetProperty("name").GetString().Should().Be("prod-container");
+    }
+
     #endregion
 
     #region Ordering Tests
@@ -396,6 +419,19 @@ public class StorageController_ListContainers_Tests(ServiceFixture fixture) : Ba
         response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
     }
 
+    [Fact(Timeout = 60000)]
+    public async Task ListContainers_WithMalformedMetadataCondition_ShouldReturnBadRequest()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/api/containers?metadata==prod");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
     #endregion
 
     #region Combined Query Tests
@@ -0,0 +1,128 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.Net.Http.Headers;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class StorageController_MoveBlob_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Basic POST Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task MoveBlob_ToAnotherContainer_ShouldMoveBlobWithMetadataAndTags()
+    {
+        // Arrange
+        var sourceContainer = await Fixture.Azurite.CreateContainerAsync("source");
+        var destinationContainer = await Fixture.Azurite.CreateContainerAsync("destination");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(sourceContainer, "test-blob.txt", "test content",
+            metadata: new Dictionary<string, string> { ["author"] = "test" },
+            tags: new Dictionary<string, string> { ["status"] = "draft" });
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{sourceContainer}/blobs/{blobName}/move", new CopyBlobDTO { DestinationContainerName = destinationContainer });
+        var result = await response.Content.ReadFromJsonAsync<BlobDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Created);
+        result.Should().NotBeNull();
+        result!.ContainerName.Should().Be(destinationContainer);
+        result.Name.Should().Be(blobName);
+        result.Metadata.Should().ContainKey("author").WhoseValue.Should().Be("test");
+        result.Tags.Should().ContainKey("status").WhoseValue.Should().Be("draft");
+
+        (await Fixture.Azurite.BlobExistsAsync(sourceContainer, blobName)).Should().BeFalse();
+        (await Fixture.Azurite.BlobExistsAsync(destinationContainer, blobName)).Should().BeTrue();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task MoveBlob_WithNewName_ShouldRenameBlob()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/blobs/{blobName}/move", new CopyBlobDTO { DestinationBlobName = "renamed.txt" });
+        var oldResponse = await client.GetAsync($"/api/containers/{containerName}/blobs/{blobName}");
+        var newResponse = await client.GetAsync($"/api/containers/{containerName}/blobs/renamed.txt");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Created);
+        response.Headers.Location.Should().NotBeNull()
+            .And.BeOfType<Uri>()
+            .Which.AbsolutePath.Should().Be($"/api/containers/{containerName}/blobs/renamed.txt");
+        oldResponse.StatusCode.Should().Be(HttpStatusCode.NotFound);
+        newResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+    }
+
+    #endregion
+
+    #region Error Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task MoveBlob_WhenBlobDoesNotExist_ShouldReturnNotFound()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/blobs/missing.txt/move", new CopyBlobDTO { DestinationBlobName = "renamed.txt" });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task MoveBlob_WhenDestinationExists_ShouldReturnConflictAndKeepOriginal()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.Azurite.CreateBlobAsync(containerName, "existing.txt", "existing");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/containers/{containerName}/blobs/{blobName}/move", new CopyBlobDTO { DestinationBlobName = "existing.txt" });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Conflict);
+        (await Fixture.Azurite.BlobExistsAsync(containerName, blobName)).Should().BeTrue();
+    }
+
+    #endregion
+
+    #region Conditional Request Tests - If-Match
+
+    [Fact(Timeout = 60000)]
+    public async Task MoveBlob_WithNonMatchingIfMatch_ShouldReturn412AndKeepOriginal()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var request = new HttpRequestMessage(HttpMethod.Post, $"/api/containers/{containerName}/blobs/{blobName}/move")
+        {
+            Content = JsonContent.Create(new CopyBlobDTO { DestinationBlobName = "renamed.txt" })
+        };
+        request.Headers.Add(HeaderNames.IfMatch, "\"non-matching-etag\"");
+        var response = await client.SendAsync(request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.PreconditionFailed);
+        (await Fixture.Azurite.BlobExistsAsync(containerName, blobName)).Should().BeTrue();
+    }
+
+    #endregion
+}
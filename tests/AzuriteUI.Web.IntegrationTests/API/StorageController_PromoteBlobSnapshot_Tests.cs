@@ -0,0 +1,127 @@
+using System.Net;
+using System.Net.Http.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.Net.Http.Headers;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class StorageController_PromoteBlobSnapshot_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Basic POST Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task PromoteBlobSnapshot_ShouldRestoreTheSnapshotContent()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "original content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var snapshot = await CreateSnapshotAsync(client, containerName, blobName);
+        await Fixture.Azurite.CreateBlobAsync(containerName, blobName, "updated");
+        await Fixture.SynchronizeCacheAsync();
+
+        // Act
+        var response = await client.PostAsync($"/api/containers/{containerName}/blobs/{blobName}/snapshots/{Uri.EscapeDataString(snapshot.Snapshot)}/promote", null);
+        var result = await response.Content.ReadFromJsonAsync<BlobDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.Name.Should().Be(blobName);
+        result.ContentLength.Should().Be("original content".Length);
+
+        var content = await client.GetStringAsync($"/api/containers/{containerName}/blobs/{blobName}/content");
+        content.Should().Be("original content");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task PromoteBlobSnapshot_ShouldKeepTheSnapshot()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "original content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var snapshot = await CreateSnapshotAsync(client, containerName, blobName);
+
+        // Act
+        var response = await client.PostAsync($"/api/containers/{containerName}/blobs/{blobName}/snapshots/{Uri.EscapeDataString(snapshot.Snapshot)}/promote", null);
+        var snapshots = await client.GetFromJsonAsync<List<BlobSnapshotDTO>>($"/api/containers/{containerName}/blobs/{blobName}/snapshots", ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        snapshots.Should().ContainSingle().Which.Snapshot.Should().Be(snapshot.Snapshot);
+    }
+
+    #endregion
+
+    #region Error Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task PromoteBlobSnapshot_WhenBlobDoesNotExist_ShouldReturnNotFound()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsync($"/api/containers/{containerName}/blobs/missing.txt/snapshots/2024-01-01T00%3A00%3A00.0000000Z/promote", null);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task PromoteBlobSnapshot_WhenSnapshotDoesNotExist_ShouldReturnNotFound()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PostAsync($"/api/containers/{containerName}/blobs/{blobName}/snapshots/2024-01-01T00%3A00%3A00.0000000Z/promote", null);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    #endregion
+
+    #region Conditional Request Tests - If-Match
+
+    [Fact(Timeout = 60000)]
+    public async Task PromoteBlobSnapshot_WithNonMatchingIfMatch_ShouldReturn412()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "original content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var snapshot = await CreateSnapshotAsync(client, containerName, blobName);
+        await Fixture.Azurite.CreateBlobAsync(containerName, blobName, "updated");
+
+        // Act
+        var request = new HttpRequestMessage(HttpMethod.Post, $"/api/containers/{containerName}/blobs/{blobName}/snapshots/{Uri.EscapeDataString(snapshot.Snapshot)}/promote");
+        request.Headers.Add(HeaderNames.IfMatch, "\"non-matching-etag\"");
+        var response = await client.SendAsync(request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.PreconditionFailed);
+        var content = await client.GetStringAsync($"/api/containers/{containerName}/blobs/{blobName}/content");
+        content.Should().Be("updated");
+    }
+
+    #endregion
+
+    private static async Task<BlobSnapshotDTO> CreateSnapshotAsync(HttpClient client, string containerName, string blobName)
+    {
+        var response = await client.PostAsync($"/api/containers/{containerName}/blobs/{blobName}/snapshots", null);
+        response.EnsureSuccessStatusCode();
+        return (await response.Content.ReadFromJsonAsync<BlobSnapshotDTO>(ServiceFixture.JsonOptions))!;
+    }
+}
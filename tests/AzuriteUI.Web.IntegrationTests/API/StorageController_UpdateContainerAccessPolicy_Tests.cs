@@ -0,0 +1,177 @@
+using System.Net;
+using System.Net.Http.Json;
+using System.Text.Json;
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.Net.Http.Headers;
+
+namespace AzuriteUI.Web.IntegrationTests.API;
+
+[ExcludeFromCodeCoverage(Justification = "API Test class")]
+public class StorageController_UpdateContainerAccessPolicy_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Basic PUT Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task UpdateContainerAccessPolicy_WithValidPolicy_ShouldUpdateContainerAndPolicies()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        var dto = new ContainerAccessPolicyDTO
+        {
+            PublicAccess = "container",
+            StoredAccessPolicies =
+            [
+                new StoredAccessPolicyDTO { Id = "read-only", Permissions = "lr", ExpiresOn = DateTimeOffset.UtcNow.AddDays(1) },
+                new StoredAccessPolicyDTO { Id = "writer", Permissions = "w" }
+            ]
+        };
+
+        // Act
+        var response = await client.PutAsJsonAsync($"/api/containers/{containerName}/acl", dto);
+        var result = await response.Content.ReadFromJsonAsync<ContainerDTO>(ServiceFixture.JsonOptions);
+        var accessPolicy = await client.GetFromJsonAsync<ContainerAccessPolicyDTO>($"/api/containers/{containerName}/acl", ServiceFixture.JsonOptions);
+        var container = await client.GetFromJsonAsync<ContainerDTO>($"/api/containers/{containerName}", ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result!.Name.Should().Be(containerName);
+        result.PublicAccess.Should().Be("container");
+        container!.PublicAccess.Should().Be("container");
+        accessPolicy!.PublicAccess.Should().Be("container");
+        accessPolicy.StoredAccessPolicies.Select(p => p.Id).Should().BeEquivalentTo(["read-only", "writer"]);
+        accessPolicy.StoredAccessPolicies.Single(p => p.Id == "read-only").Permissions.Should().Be("rl");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task UpdateContainerAccessPolicy_WithEmptyPolicy_ShouldMakeContainerPrivate()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var setup = await client.PutAsJsonAsync($"/api/containers/{containerName}/acl", new ContainerAccessPolicyDTO
+        {
+            PublicAccess = "blob",
+            StoredAccessPolicies = [new StoredAccessPolicyDTO { Id = "read-only", Permissions = "r" }]
+        });
+        setup.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        // Act
+        var response = await client.PutAsJsonAsync($"/api/containers/{containerName}/acl", new ContainerAccessPolicyDTO());
+        var result = await response.Content.ReadFromJsonAsync<ContainerDTO>(ServiceFixture.JsonOptions);
+        var accessPolicy = await client.GetFromJsonAsync<ContainerAccessPolicyDTO>($"/api/containers/{containerName}/acl", ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result!.PublicAccess.Should().Be("none");
+        accessPolicy!.StoredAccessPolicies.Should().BeEmpty();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task UpdateContainerAccessPolicy_WithNonExistentContainer_ShouldReturnNotFound()
+    {
+        // Arrange
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PutAsJsonAsync("/api/containers/non-existent-container/acl", new ContainerAccessPolicyDTO());
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    #endregion
+
+    #region Validation Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task UpdateContainerAccessPolicy_WithSixPolicies_ShouldReturnBadRequest()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        var dto = new ContainerAccessPolicyDTO
+        {
+            StoredAccessPolicies = [.. Enumerable.Range(1, 6).Select(i => new StoredAccessPolicyDTO { Id = $"policy-{i}", Permissions = "r" })]
+        };
+
+        // Act
+        var response = await client.PutAsJsonAsync($"/api/containers/{containerName}/acl", dto);
+        var problemDetails = await response.Content.ReadFromJsonAsync<JsonDocument>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+        problemDetails!.RootElement.GetProperty("detail").GetString().Should().Contain("at most 5");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task UpdateContainerAccessPolicy_WithInvalidPublicAccess_ShouldReturnBadRequest()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.PutAsJsonAsync($"/api/containers/{containerName}/acl", new ContainerAccessPolicyDTO { PublicAccess = "everyone" });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    #endregion
+
+    #region Conditional Request Tests - If-Match
+
+    [Fact(Timeout = 60000)]
+    public async Task UpdateContainerAccessPolicy_WithMatchingIfMatch_ShouldReturnOk()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var container = await client.GetFromJsonAsync<ContainerDTO>($"/api/containers/{containerName}", ServiceFixture.JsonOptions);
+
+        // Act
+        var request = new HttpRequestMessage(HttpMethod.Put, $"/api/containers/{containerName}/acl")
+        {
+            Content = JsonContent.Create(new ContainerAccessPolicyDTO { PublicAccess = "blob" })
+        };
+        request.Headers.Add(HeaderNames.IfMatch, EnsureQuotedETag(container!.ETag));
+        var response = await client.SendAsync(request);
+        var result = await response.Content.ReadFromJsonAsync<ContainerDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result!.PublicAccess.Should().Be("blob");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task UpdateContainerAccessPolicy_WithNonMatchingIfMatch_ShouldReturn412()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        // Act
+        var request = new HttpRequestMessage(HttpMethod.Put, $"/api/containers/{containerName}/acl")
+        {
+            Content = JsonContent.Create(new ContainerAccessPolicyDTO { PublicAccess = "blob" })
+        };
+        request.Headers.Add(HeaderNames.IfMatch, "\"non-matching-etag\"");
+        var response = await client.SendAsync(request);
+        var accessPolicy = await client.GetFromJsonAsync<ContainerAccessPolicyDTO>($"/api/containers/{containerName}/acl", ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.PreconditionFailed);
+        accessPolicy!.PublicAccess.Should().Be("none");
+    }
+
+    #endregion
+}
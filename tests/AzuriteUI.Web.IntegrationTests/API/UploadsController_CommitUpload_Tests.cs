@@ -1,5 +1,6 @@
 using System.Net;
 using System.Net.Http.Json;
+using System.Security.Cryptography;
 using System.Text;
 using System.Text.Json;
 using AzuriteUI.Web.Services.Repositories.Models;
@@ -173,10 +174,144 @@ public class UploadsController_CommitUpload_Tests(ServiceFixture fixture) : Base
         result.Tags.Should().ContainKey("category").WhoseValue.Should().Be("document");
     }
 
+    [Fact(Timeout = 60000)]
+    public async Task CommitUpload_WithMatchingContentMD5_ShouldSetContentMD5()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        var uploadId = await CreateUploadSessionAsync(client, containerName, "hashed-blob.txt", 1024);
+
+        var blockData1 = new byte[512];
+        var blockData2 = new byte[512];
+        new Random().NextBytes(blockData1);
+        new Random().NextBytes(blockData2);
+        var blockId1 = Convert.ToBase64String(Encoding.UTF8.GetBytes("block1"));
+        var blockId2 = Convert.ToBase64String(Encoding.UTF8.GetBytes("block2"));
+        await UploadBlockAsync(client, uploadId, blockId1, blockData1);
+        await UploadBlockAsync(client, uploadId, blockId2, blockData2);
+
+        var contentMD5 = Convert.ToBase64String(MD5.HashData([.. blockData1, .. blockData2]));
+        var commitDto = new CommitUploadRequestDTO
+        {
+            BlockIds = [blockId1, blockId2],
+            ContentMD5 = contentMD5
+        };
+
+        // Act
+        var response = await client.PutAsJsonAsync($"/api/uploads/{uploadId}/commit", commitDto);
+        var result = await response.Content.ReadFromJsonAsync<BlobDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result!.ContentMD5.Should().Be(contentMD5);
+    }
+
     #endregion
 
     #region Error Tests
 
+    [Fact(Timeout = 60000)]
+    public async Task CommitUpload_WithMismatchedContentMD5_ShouldReturnBadRequestAndRemoveNewBlob()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        var uploadId = await CreateUploadSessionAsync(client, containerName, "hashed-blob.txt", 512);
+
+        var blockId = Convert.ToBase64String(Encoding.UTF8.GetBytes("block1"));
+        await UploadBlockAsync(client, uploadId, blockId, 512);
+
+        var commitDto = new CommitUploadRequestDTO
+        {
+            BlockIds = [blockId],
+            ContentMD5 = Convert.ToBase64String(MD5.HashData(Encoding.UTF8.GetBytes("something else")))
+        };
+
+        // Act
+        var response = await client.PutAsJsonAsync($"/api/uploads/{uploadId}/commit", commitDto);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+
+        var blobExists = await Fixture.Azurite.BlobExistsAsync(containerName, "hashed-blob.txt");
+        blobExists.Should().BeFalse();
+        var blobResponse = await client.GetAsync($"/api/containers/{containerName}/blobs/hashed-blob.txt");
+        blobResponse.StatusCode.Should().Be(HttpStatusCode.NotFound);
+        var statusResponse = await client.GetAsync($"/api/uploads/{uploadId}");
+        statusResponse.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CommitUpload_WithMismatchedContentMD5_ShouldReturnBadRequestAndRestoreExistingBlob()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var tags = new Dictionary<string, string> { ["status"] = "draft" };
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "hashed-blob.txt", "original content", tags: tags);
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var blob = await client.GetFromJsonAsync<BlobDTO>($"/api/containers/{containerName}/blobs/{blobName}", ServiceFixture.JsonOptions);
+
+        var uploadId = await CreateReplaceSessionAsync(client, containerName, blobName, 512, EnsureQuotedETag(blob!.ETag));
+
+        var blockId = Convert.ToBase64String(Encoding.UTF8.GetBytes("block1"));
+        await UploadBlockAsync(client, uploadId, blockId, 512);
+
+        var commitDto = new CommitUploadRequestDTO
+        {
+            BlockIds = [blockId],
+            ContentMD5 = Convert.ToBase64String(MD5.HashData(Encoding.UTF8.GetBytes("something else")))
+        };
+
+        // Act
+        var response = await client.PutAsJsonAsync($"/api/uploads/{uploadId}/commit", commitDto);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+
+        var downloaded = await client.GetStringAsync($"/api/containers/{containerName}/blobs/{blobName}/content");
+        downloaded.Should().Be("original content");
+        var restored = await client.GetFromJsonAsync<BlobDTO>($"/api/containers/{containerName}/blobs/{blobName}", ServiceFixture.JsonOptions);
+        restored!.ContentLength.Should().Be("original content".Length);
+        restored.Tags.Should().BeEquivalentTo(tags);
+        var snapshots = await client.GetFromJsonAsync<List<BlobSnapshotDTO>>($"/api/containers/{containerName}/blobs/{blobName}/snapshots", ServiceFixture.JsonOptions);
+        snapshots.Should().BeEmpty();
+        var statusResponse = await client.GetAsync($"/api/uploads/{uploadId}");
+        statusResponse.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CommitUpload_WithInvalidContentMD5_ShouldReturnBadRequest()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        var uploadId = await CreateUploadSessionAsync(client, containerName, "test-blob.txt", 512);
+
+        var blockId = Convert.ToBase64String(Encoding.UTF8.GetBytes("block1"));
+        await UploadBlockAsync(client, uploadId, blockId, 512);
+
+        var commitDto = new CommitUploadRequestDTO
+        {
+            BlockIds = [blockId],
+            ContentMD5 = "not-an-md5-hash"
+        };
+
+        // Act
+        var response = await client.PutAsJsonAsync($"/api/uploads/{uploadId}/commit", commitDto);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
     [Fact(Timeout = 60000)]
     public async Task CommitUpload_WithNonExistentUploadId_ShouldReturn404NotFound()
     {
@@ -318,4 +453,126 @@ public class UploadsController_CommitUpload_Tests(ServiceFixture fixture) : Base
     }
 
     #endregion
+
+    #region If-Match Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task CommitUpload_WithMatchingIfMatch_ShouldReplaceBlob()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "edit-me.txt", "original content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var blob = await client.GetFromJsonAsync<BlobDTO>($"/api/containers/{containerName}/blobs/{blobName}", ServiceFixture.JsonOptions);
+
+        var content = Encoding.UTF8.GetBytes("edited content");
+        var uploadId = await CreateReplaceSessionAsync(client, containerName, blobName, content.Length, EnsureQuotedETag(blob!.ETag));
+        var blockId = Convert.ToBase64String(Encoding.UTF8.GetBytes("block1"));
+        await UploadBlockAsync(client, uploadId, blockId, content);
+
+        // Act
+        var response = await client.PutAsJsonAsync($"/api/uploads/{uploadId}/commit", new CommitUploadRequestDTO { BlockIds = [blockId] });
+        var result = await response.Content.ReadFromJsonAsync<BlobDTO>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result!.ContentLength.Should().Be(content.Length);
+        result.ETag.Should().NotBe(blob.ETag);
+
+        var downloaded = await client.GetStringAsync($"/api/containers/{containerName}/blobs/{blobName}/content");
+        downloaded.Should().Be("edited content");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CommitUpload_WithMatchingIfMatchAndContentMD5_ShouldReplaceBlobAndRemoveSnapshot()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "edit-me.txt", "original content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var blob = await client.GetFromJsonAsync<BlobDTO>($"/api/containers/{containerName}/blobs/{blobName}", ServiceFixture.JsonOptions);
+
+        var content = Encoding.UTF8.GetBytes("edited content");
+        var uploadId = await CreateReplaceSessionAsync(client, containerName, blobName, content.Length, EnsureQuotedETag(blob!.ETag));
+        var blockId = Convert.ToBase64String(Encoding.UTF8.GetBytes("block1"));
+        await UploadBlockAsync(client, uploadId, blockId, content);
+
+        var commitDto = new CommitUploadRequestDTO
+        {
+            BlockIds = [blockId],
+            ContentMD5 = Convert.ToBase64String(MD5.HashData(content))
+        };
+
+        // Act
+        var response = await client.PutAsJsonAsync($"/api/uploads/{uploadId}/commit", commitDto);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        var downloaded = await client.GetStringAsync($"/api/containers/{containerName}/blobs/{blobName}/content");
+        downloaded.Should().Be("edited content");
+        var snapshots = await client.GetFromJsonAsync<List<BlobSnapshotDTO>>($"/api/containers/{containerName}/blobs/{blobName}/snapshots", ServiceFixture.JsonOptions);
+        snapshots.Should().BeEmpty();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CommitUpload_WhenBlobChangedAfterSessionCreated_ShouldReturn412AndKeepSession()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "edit-me.txt", "original content");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+        var blob = await client.GetFromJsonAsync<BlobDTO>($"/api/containers/{containerName}/blobs/{blobName}", ServiceFixture.JsonOptions);
+
+        var content = Encoding.UTF8.GetBytes("edited content");
+        var uploadId = await CreateReplaceSessionAsync(client, containerName, blobName, content.Length, EnsureQuotedETag(blob!.ETag));
+        var blockId = Convert.ToBase64String(Encoding.UTF8.GetBytes("block1"));
+        await UploadBlockAsync(client, uploadId, blockId, content);
+
+        // Someone else changes the blob in the meantime
+        await Fixture.Azurite.CreateBlobAsync(containerName, blobName, "concurrent change");
+
+        // Act
+        var response = await client.PutAsJsonAsync($"/api/uploads/{uploadId}/commit", new CommitUploadRequestDTO { BlockIds = [blockId] });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.PreconditionFailed);
+
+        var problemDetails = await response.Content.ReadFromJsonAsync<JsonDocument>(ServiceFixture.JsonOptions);
+        problemDetails!.RootElement.GetProperty("status").GetInt32().Should().Be(StatusCodes.Status412PreconditionFailed);
+
+        var statusResponse = await client.GetAsync($"/api/uploads/{uploadId}");
+        statusResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    /// <summary>
+    /// Creates an upload session that replaces an existing blob, sending the given If-Match header.
+    /// </summary>
+    private static async Task<Guid> CreateReplaceSessionAsync(HttpClient client, string containerName, string blobName, long contentLength, string ifMatch)
+    {
+        using var request = new HttpRequestMessage(HttpMethod.Post, $"/api/containers/{containerName}/blobs")
+        {
+            Content = JsonContent.Create(new CreateUploadRequestDTO
+            {
+                BlobName = blobName,
+                ContainerName = containerName,
+                ContentLength = contentLength,
+                ContentType = "text/plain"
+            })
+        };
+        request.Headers.TryAddWithoutValidation("If-Match", ifMatch);
+
+        var response = await client.SendAsync(request);
+        response.StatusCode.Should().Be(HttpStatusCode.Created);
+        var upload = await response.Content.ReadFromJsonAsync<UploadStatusDTO>(ServiceFixture.JsonOptions);
+        return upload!.UploadId;
+    }
+
+    #endregion
 }
@@ -88,6 +88,30 @@ public class UploadsController_ListUploads_Tests(ServiceFixture fixture) : BaseA
         upload.Progress.Should().BeInRange(0, 100);
     }
 
+    [Fact(Timeout = 60000)]
+    public async Task ListUploads_ShouldIncludeCreatedAndLastActivityTimes()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        var before = DateTimeOffset.UtcNow.AddSeconds(-1);
+        await CreateUploadSessionAsync(client, containerName, "test-blob.txt", 1000);
+
+        // Act
+        var response = await client.GetAsync("/api/uploads");
+        var result = await response.Content.ReadFromJsonAsync<PagedResponse<UploadDTO>>(ServiceFixture.JsonOptions);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+
+        var upload = result!.Items.Should().ContainSingle().Subject;
+        upload.CreatedAt.Should().BeAfter(before);
+        upload.LastActivityAt.Should().BeOnOrAfter(upload.CreatedAt);
+    }
+
     #endregion
 
     #region OData Query Tests
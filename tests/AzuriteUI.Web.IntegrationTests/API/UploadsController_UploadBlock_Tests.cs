@@ -159,6 +159,31 @@ public class UploadsController_UploadBlock_Tests(ServiceFixture fixture) : BaseA
 
     #region Error Tests
 
+    [Fact(Timeout = 60000)]
+    public async Task UploadBlock_WithMismatchedContentMD5Header_ShouldReturnBadRequest()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using HttpClient client = Fixture.CreateClient();
+
+        var uploadId = await CreateUploadSessionAsync(client, containerName, "test-blob.txt", 1024);
+        var blockId = Convert.ToBase64String(Encoding.UTF8.GetBytes("block1"));
+        var blockData = new byte[256];
+        new Random().NextBytes(blockData);
+
+        var md5Hash = Convert.ToBase64String(MD5.HashData(Encoding.UTF8.GetBytes("something else")));
+        var content = new ByteArrayContent(blockData);
+        content.Headers.ContentType = new MediaTypeHeaderValue("application/octet-stream");
+        content.Headers.Add("Content-MD5", md5Hash);
+
+        // Act
+        var response = await client.PutAsync($"/api/uploads/{uploadId}/blocks/{blockId}", content);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
     [Fact(Timeout = 60000)]
     public async Task UploadBlock_WithNonExistentUploadId_ShouldReturn404NotFound()
     {
@@ -1,4 +1,5 @@
 using Azure.Storage.Blobs;
+using Azure.Storage.Queues;
 using DotNet.Testcontainers.Builders;
 using System.Text;
 using Testcontainers.Azurite;
@@ -26,6 +27,11 @@ public class AzuriteFixture : IAsyncLifetime
     /// </summary>
     private readonly Lazy<BlobServiceClient> _client;
 
+    /// <summary>
+    /// A lazy reference to the QueueServiceClient for interacting with Azurite.
+    /// </summary>
+    private readonly Lazy<QueueServiceClient> _queueClient;
+
     /// <summary>
     /// Creates a new instance of the <see cref="AzuriteFixture"/>. 
     /// </summary>
@@ -35,6 +41,7 @@ public class AzuriteFixture : IAsyncLifetime
             .WithWaitStrategy(Wait.ForUnixContainer().UntilExternalTcpPortIsAvailable(10000))
             .Build();
         _client = new Lazy<BlobServiceClient>(CreateClient);
+        _queueClient = new Lazy<QueueServiceClient>(() => new QueueServiceClient(ConnectionString));
     }
 
     #region IAsyncLifetime Implementation
@@ -67,6 +74,11 @@ public class AzuriteFixture : IAsyncLifetime
     /// </summary>
     public BlobServiceClient Client { get => _client.Value; }
 
+    /// <summary>
+    /// Retrieves the QueueServiceClient for interacting with the Azurite instance.
+    /// </summary>
+    public QueueServiceClient QueueClient { get => _queueClient.Value; }
+
     /// <summary>
     /// An internal method for creating the client to connect to Azurite.
     /// </summary>
@@ -91,17 +103,23 @@ public class AzuriteFixture : IAsyncLifetime
     }
 
     /// <summary>
-    /// Cleans up all containers and blobs in the Azurite instance.
+    /// Cleans up all containers, blobs and queues in the Azurite instance.
     /// </summary>
     public async Task CleanupAsync()
     {
         List<string> containerNames = await Client.GetBlobContainersAsync().Select(c => c.Name).ToListAsync();
+        List<string> queueNames = await QueueClient.GetQueuesAsync().Select(q => q.Name).ToListAsync();
         try
         {
             foreach (var name in containerNames)
             {
                 _ = await Client.DeleteBlobContainerAsync(name);
             }
+
+            foreach (var name in queueNames)
+            {
+                _ = await QueueClient.DeleteQueueAsync(name);
+            }
         }
         catch
         {
@@ -112,7 +130,7 @@ public class AzuriteFixture : IAsyncLifetime
     /// <summary>
     /// Helper method to upload a simple blob with text content and a specified content type.
     /// </summary>
-    public async Task<string> CreateBlobAsync(string containerName, string blobName, string content, string contentType = "text/plain")
+    public async Task<string> CreateBlobAsync(string containerName, string blobName, string content, string contentType = "text/plain", IDictionary<string, string>? metadata = null, IDictionary<string, string>? tags = null)
     {
         var containerClient = Client.GetBlobContainerClient(containerName);
         var blobClient = containerClient.GetBlobClient(blobName);
@@ -123,7 +141,9 @@ public class AzuriteFixture : IAsyncLifetime
             HttpHeaders = new Azure.Storage.Blobs.Models.BlobHttpHeaders
             {
                 ContentType = contentType
-            }
+            },
+            Metadata = metadata,
+            Tags = tags
         };
         await blobClient.UploadAsync(binaryData, blobOptions);
         return blobName;
@@ -139,4 +159,27 @@ public class AzuriteFixture : IAsyncLifetime
         await Client.CreateBlobContainerAsync(containerName, metadata: metadata);
         return containerName;
     }
+
+    /// <summary>
+    /// Creates a new queue in the Azurite instance.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="metadata">Optional metadata for the queue.</param>
+    public async Task<string> CreateQueueAsync(string queueName, IDictionary<string, string>? metadata = null)
+    {
+        await QueueClient.CreateQueueAsync(queueName, metadata);
+        return queueName;
+    }
+
+    /// <summary>
+    /// Helper method to send a message to a queue.
+    /// </summary>
+    /// <param name="queueName">The name of the queue.</param>
+    /// <param name="messageText">The body of the message.</param>
+    /// <returns>The identifier of the message.</returns>
+    public async Task<string> SendMessageAsync(string queueName, string messageText)
+    {
+        var response = await QueueClient.GetQueueClient(queueName).SendMessageAsync(messageText);
+        return response.Value.MessageId;
+    }
 }
\ No newline at end of file
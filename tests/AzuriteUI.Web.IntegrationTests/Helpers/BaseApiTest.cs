@@ -106,6 +106,18 @@ public abstract class BaseApiTest(ServiceFixture serviceFixture) : IClassFixture
     {
         var blockData = new byte[size];
         new Random().NextBytes(blockData);
+        await UploadBlockAsync(client, uploadId, blockId, blockData);
+    }
+
+    /// <summary>
+    /// Uploads a block of the provided data to an upload session.
+    /// </summary>
+    /// <param name="client">The HTTP client to use.</param>
+    /// <param name="uploadId">The upload session ID.</param>
+    /// <param name="blockId">The block ID (should be Base64 encoded).</param>
+    /// <param name="blockData">The data for the block.</param>
+    protected static async Task UploadBlockAsync(HttpClient client, Guid uploadId, string blockId, byte[] blockData)
+    {
         var content = new ByteArrayContent(blockData);
         content.Headers.ContentType = new System.Net.Http.Headers.MediaTypeHeaderValue("application/octet-stream");
         await client.PutAsync($"/api/uploads/{uploadId}/blocks/{blockId}", content);
@@ -121,6 +121,7 @@ public class ServiceFixture : IAsyncLifetime
         var context = scope.ServiceProvider.GetRequiredService<CacheDbContext>();
         await context.Database.ExecuteSqlRawAsync("DELETE FROM Containers");
         await context.Database.ExecuteSqlRawAsync("DELETE FROM Uploads");
+        await context.Database.ExecuteSqlRawAsync("DELETE FROM StorageSamples");
     }
 
     /// <summary>
@@ -297,6 +297,33 @@ public class Container_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
 
     #endregion
 
+    #region Filter Bar Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task ContainerPage_ShouldIncludeFilterBar()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/containers/{containerName}?q=report&type=image/&tags=status%3Ddone");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        var filterBar = GetElementByTestId(document, "filter-bar");
+        filterBar.Should().NotBeNull();
+
+        html.Should().Contain("/js/filterBar.js");
+        html.Should().Contain("new FilterBar('filterBar', { kind: 'blobs' })");
+        html.Should().Contain("filterBar.appendTo(params, prefixFilter)");
+    }
+
+    #endregion
+
     #region Script Tests
 
     [Fact(Timeout = 60000)]
@@ -347,6 +374,185 @@ public class Container_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
         html.Should().Contain("getContentTypeIcon");
     }
 
+    [Fact(Timeout = 60000)]
+    public async Task ContainerPage_ShouldIncludeFolderNavigation()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/containers/{containerName}?prefix=tenant/2025/");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        // The breadcrumb is extended with the prefix by the script
+        document.QuerySelector("#containerBreadcrumb").Should().NotBeNull();
+        GetElementByTestId(document, "upload-prefix-hint").Should().NotBeNull();
+
+        html.Should().Contain("groupBlobsByFolder");
+        html.Should().Contain("createFolderRow");
+        html.Should().Contain("navigateToPrefix");
+        html.Should().Contain("renderPrefixBreadcrumb");
+    }
+
+    #endregion
+
+    #region Preview Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task ContainerPage_ShouldIncludeBlobPreview()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/containers/{containerName}");
+        var html = await response.Content.ReadAsStringAsync();
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        html.Should().Contain("/js/blobPreview.js");
+        html.Should().Contain("new BlobPreview('blobPreview', blob, previewUrl)");
+        html.Should().Contain("data-testid=\"blob-preview\"");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task ContainerPage_ShouldIncludeBlobEditor()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/containers/{containerName}");
+        var html = await response.Content.ReadAsStringAsync();
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        html.Should().Contain("/js/blobEditor.js");
+        html.Should().Contain("data-testid=\"edit-blob-modal\"");
+        html.Should().Contain("data-testid=\"edit-conflict\"");
+        html.Should().Contain("data-testid=\"edit-content-button\"");
+    }
+
+    #endregion
+
+    #region Bulk Action Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task ContainerPage_ShouldIncludeBulkActions()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/containers/{containerName}");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        html.Should().Contain("/js/bulkRunner.js");
+        GetElementByTestId(document, "select-all-checkbox").Should().NotBeNull();
+        GetElementByTestId(document, "bulk-toolbar").Should().NotBeNull();
+        GetElementByTestId(document, "bulk-delete-modal").Should().NotBeNull();
+        GetElementByTestId(document, "bulk-properties-modal").Should().NotBeNull();
+        GetElementByTestId(document, "bulk-copy-modal").Should().NotBeNull();
+        GetElementByTestId(document, "bulk-progress").Should().NotBeNull();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task ContainerPage_ShouldIncludeArchiveDownload()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/containers/{containerName}");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        html.Should().Contain("/js/archiveDownloader.js");
+        GetElementByTestId(document, "download-folder-button").Should().NotBeNull();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task ContainerPage_ShouldIncludeCopyBlobModal()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/containers/{containerName}");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        html.Should().Contain("/js/containerPicker.js");
+        GetElementByTestId(document, "copy-blob-modal").Should().NotBeNull();
+        GetElementByTestId(document, "copy-blob-container").Should().NotBeNull();
+        GetElementByTestId(document, "copy-blob-name").Should().NotBeNull();
+        GetElementByTestId(document, "copy-blob-overwrite").Should().NotBeNull();
+        GetElementByTestId(document, "bulk-copy-overwrite").Should().NotBeNull();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task ContainerPage_ShouldIncludeBlobHistory()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/containers/{containerName}");
+        var html = await response.Content.ReadAsStringAsync();
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        html.Should().Contain("/js/blobHistory.js");
+        html.Should().Contain("data-testid=\"info-history-tab\"");
+        html.Should().Contain("data-testid=\"blob-history\"");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task ContainerPage_ShouldIncludeSasModal()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.SynchronizeCacheAsync();
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync($"/containers/{containerName}");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        html.Should().Contain("/js/sasGenerator.js");
+        html.Should().Contain("data-testid=\"generate-sas-button\"");
+        GetElementByTestId(document, "sas-modal").Should().NotBeNull();
+        GetElementByTestId(document, "sas-generator").Should().NotBeNull();
+    }
+
     #endregion
 
     #region Integration with API Tests
@@ -254,6 +254,40 @@ public class Index_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
         content.Should().NotBeNull();
     }
 
+    [Fact(Timeout = 60000)]
+    public async Task ContainersIndex_ShouldIncludeSasModal()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/containers");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        html.Should().Contain("/js/sasGenerator.js");
+        GetElementByTestId(document, "sas-modal").Should().NotBeNull();
+        GetElementByTestId(document, "sas-generator").Should().NotBeNull();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task ContainersIndex_ShouldIncludeAccessPolicyModal()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/containers");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        html.Should().Contain("/js/accessPolicyEditor.js");
+        GetElementByTestId(document, "access-policy-modal").Should().NotBeNull();
+        GetElementByTestId(document, "access-policy-editor").Should().NotBeNull();
+    }
+
     #endregion
 
     #region Load More Tests
@@ -279,6 +313,30 @@ public class Index_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
 
     #endregion
 
+    #region Filter Bar Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task ContainersIndex_ShouldIncludeFilterBar()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/containers?q=test&metadata=env%3Dprod");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        var filterBar = GetElementByTestId(document, "filter-bar");
+        filterBar.Should().NotBeNull();
+
+        html.Should().Contain("/js/filterBar.js");
+        html.Should().Contain("new FilterBar('filterBar', { kind: 'containers' })");
+    }
+
+    #endregion
+
     #region Script Tests
 
     [Fact(Timeout = 60000)]
@@ -323,6 +323,32 @@ public class Index_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
         timeSpan.GetAttribute("title").Should().NotBeNullOrEmpty();
     }
 
+    [Fact(Timeout = 60000)]
+    public async Task Index_RecentContainersTable_ShouldCarryValuesForClientFormatting()
+    {
+        // Arrange
+        var container = await Fixture.Azurite.CreateContainerAsync("test-container");
+        await Fixture.Azurite.CreateBlobAsync(container, "file.txt", "Hello, World!", "text/plain");
+        await Fixture.SynchronizeCacheAsync();
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        var firstRow = document.QuerySelectorAll("[data-testid='container-row']")[0];
+        var timeSpan = firstRow.QuerySelectorAll("td")[1].QuerySelector("span");
+        timeSpan.Should().NotBeNull();
+        DateTimeOffset.TryParse(timeSpan!.GetAttribute("data-format-date"), out _).Should().BeTrue();
+        timeSpan.GetAttribute("data-date-style").Should().Be("preferred");
+
+        firstRow.QuerySelectorAll("td")[3].GetAttribute("data-format-size").Should().Be("13");
+        GetElementByTestId(document, "stat-total-size")!.QuerySelector(".stats-card-value")!
+            .GetAttribute("data-format-size").Should().Be("13");
+    }
+
     [Fact(Timeout = 60000)]
     public async Task Index_RecentContainersTable_ShouldShowBlobCountAndSize()
     {
@@ -606,4 +632,137 @@ public class Index_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
     }
 
     #endregion
+
+    #region Live Update Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task Index_ShouldIncludeLiveUpdatesAndRowKeys()
+    {
+        // Arrange
+        var containerName = await Fixture.Azurite.CreateContainerAsync("test-container");
+        var blobName = await Fixture.Azurite.CreateBlobAsync(containerName, "test-blob.txt", "Hello, World!");
+        await Fixture.SynchronizeCacheAsync();
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        html.Should().Contain("/js/liveUpdates.js");
+
+        var containerRow = GetElementByTestId(document, "container-row");
+        containerRow.Should().NotBeNull().And.HaveAttribute("data-live-key", containerName);
+
+        var blobRow = GetElementByTestId(document, "blob-row");
+        blobRow.Should().NotBeNull().And.HaveAttribute("data-live-key", $"{containerName}/{blobName}");
+    }
+
+    #endregion
+
+    #region Storage Analytics Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task Index_ShouldIncludeStorageAnalytics()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        html.Should().Contain("/js/storageAnalytics.js");
+
+        var analytics = GetElementByTestId(document, "storage-analytics");
+        analytics.Should().NotBeNull();
+        analytics!.Id.Should().Be("storageAnalytics");
+    }
+
+    #endregion
+
+    #region Sync Control Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task Layout_ShouldIncludeSyncControl()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        html.Should().Contain("/js/syncControl.js");
+
+        GetElementByTestId(document, "sync-control").Should().NotBeNull();
+        GetElementByTestId(document, "sync-control-toggle").Should().NotBeNull();
+        GetElementByTestId(document, "sync-control-start").Should().NotBeNull();
+        GetElementByTestId(document, "sync-control-progress").Should().NotBeNull();
+        GetElementByTestId(document, "sync-control-history").Should().NotBeNull();
+    }
+
+    #endregion
+
+    #region Notification Center Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task Layout_ShouldIncludeNotificationCenter()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        html.Should().Contain("/js/notificationCenter.js");
+
+        GetElementByTestId(document, "notification-center").Should().NotBeNull();
+        GetElementByTestId(document, "notification-center-toggle").Should().NotBeNull();
+        GetElementByTestId(document, "notification-center-badge").Should().NotBeNull();
+        GetElementByTestId(document, "notification-center-clear").Should().NotBeNull();
+        GetElementByTestId(document, "notification-center-history").Should().NotBeNull();
+    }
+
+    #endregion
+
+    #region Display Preferences Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task Layout_ShouldIncludeDisplayPreferences()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        html.Should().Contain("/js/dateFormatter.js");
+        html.Should().Contain("/js/preferencesPanel.js");
+
+        GetElementByTestId(document, "display-preferences").Should().NotBeNull();
+        GetElementByTestId(document, "display-preferences-toggle").Should().NotBeNull();
+        GetElementByTestId(document, "preference-date-relative").Should().NotBeNull();
+        GetElementByTestId(document, "preference-time-zone").Should().NotBeNull();
+        GetElementByTestId(document, "preference-hour-12").Should().NotBeNull();
+        GetElementByTestId(document, "preference-size-decimal").Should().NotBeNull();
+        GetElementByTestId(document, "display-preferences-reset").Should().NotBeNull();
+    }
+
+    #endregion
 }
@@ -0,0 +1,125 @@
+using AngleSharp;
+using AngleSharp.Dom;
+using System.Net;
+
+namespace AzuriteUI.Web.IntegrationTests.Pages.Queues;
+
+/// <summary>
+/// Integration tests for the queues list page (Queues/Index.cshtml).
+/// </summary>
+[ExcludeFromCodeCoverage(Justification = "Integration test class")]
+public class Index_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Helper Methods
+
+    /// <summary>
+    /// Parses HTML content into an IDocument for querying with AngleSharp.
+    /// </summary>
+    private static async Task<IDocument> ParseHtmlAsync(string html)
+    {
+        var context = BrowsingContext.New(Configuration.Default);
+        return await context.OpenAsync(req => req.Content(html));
+    }
+
+    /// <summary>
+    /// Gets an element by testid.
+    /// </summary>
+    private static IElement? GetElementByTestId(IDocument document, string testId)
+    {
+        return document.QuerySelector($"[data-testid='{testId}']");
+    }
+
+    #endregion
+
+    #region Basic Rendering Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task QueuesIndex_ShouldRenderBreadcrumbAndActionButtons()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/queues");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var breadcrumb = GetElementByTestId(document, "breadcrumb-queues");
+        breadcrumb.Should().NotBeNull();
+        breadcrumb!.TextContent.Trim().Should().Be("Queues");
+
+        GetElementByTestId(document, "refresh-queues-button").Should().NotBeNull();
+        GetElementByTestId(document, "create-queue-button").Should().NotBeNull();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task QueuesIndex_ShouldRenderTableWithHeaders()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/queues");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        GetElementByTestId(document, "queues-table").Should().NotBeNull();
+        GetElementByTestId(document, "header-name").Should().NotBeNull();
+        GetElementByTestId(document, "header-messages").Should().NotBeNull();
+        GetElementByTestId(document, "header-metadata").Should().NotBeNull();
+        GetElementByTestId(document, "header-actions").Should().NotBeNull();
+
+        GetElementByTestId(document, "loading-row").Should().NotBeNull();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task QueuesIndex_ShouldIncludeCreateAndDeleteModals()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/queues");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        GetElementByTestId(document, "create-queue-modal").Should().NotBeNull();
+        var nameInput = GetElementByTestId(document, "queue-name-input");
+        nameInput.Should().NotBeNull();
+        nameInput!.GetAttribute("minlength").Should().Be("3");
+        nameInput.GetAttribute("maxlength").Should().Be("63");
+
+        GetElementByTestId(document, "delete-queue-modal").Should().NotBeNull();
+        GetElementByTestId(document, "queue-info-panel").Should().NotBeNull();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task Layout_ShouldLinkToQueuesPage()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var link = GetElementByTestId(document, "nav-queues");
+        link.Should().NotBeNull();
+        link!.GetAttribute("href").Should().Be("/queues");
+    }
+
+    #endregion
+}
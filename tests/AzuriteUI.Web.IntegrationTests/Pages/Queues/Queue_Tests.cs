@@ -0,0 +1,118 @@
+using AngleSharp;
+using AngleSharp.Dom;
+using System.Net;
+
+namespace AzuriteUI.Web.IntegrationTests.Pages.Queues;
+
+/// <summary>
+/// Integration tests for the queue messages page (Queues/Queue.cshtml).
+/// </summary>
+[ExcludeFromCodeCoverage(Justification = "Integration test class")]
+public class Queue_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Helper Methods
+
+    /// <summary>
+    /// Parses HTML content into an IDocument for querying with AngleSharp.
+    /// </summary>
+    private static async Task<IDocument> ParseHtmlAsync(string html)
+    {
+        var context = BrowsingContext.New(Configuration.Default);
+        return await context.OpenAsync(req => req.Content(html));
+    }
+
+    /// <summary>
+    /// Gets an element by testid.
+    /// </summary>
+    private static IElement? GetElementByTestId(IDocument document, string testId)
+    {
+        return document.QuerySelector($"[data-testid='{testId}']");
+    }
+
+    #endregion
+
+    #region Basic Rendering Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task QueuePage_ShouldRenderBreadcrumbAndActionButtons()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/queues/test-queue");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var breadcrumb = GetElementByTestId(document, "breadcrumb-queue");
+        breadcrumb.Should().NotBeNull();
+        breadcrumb!.TextContent.Trim().Should().Be("test-queue");
+        GetElementByTestId(document, "breadcrumb-queues")!.GetAttribute("href").Should().Be("/queues");
+
+        GetElementByTestId(document, "peek-button").Should().NotBeNull();
+        GetElementByTestId(document, "receive-button").Should().NotBeNull();
+        GetElementByTestId(document, "send-button").Should().NotBeNull();
+        GetElementByTestId(document, "clear-button").Should().NotBeNull();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task QueuePage_ShouldRenderTableWithHeaders()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/queues/test-queue");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        GetElementByTestId(document, "messages-table").Should().NotBeNull();
+        GetElementByTestId(document, "header-id").Should().NotBeNull();
+        GetElementByTestId(document, "header-body").Should().NotBeNull();
+        GetElementByTestId(document, "header-inserted").Should().NotBeNull();
+        GetElementByTestId(document, "header-expires").Should().NotBeNull();
+        GetElementByTestId(document, "header-dequeuecount").Should().NotBeNull();
+        GetElementByTestId(document, "header-state").Should().NotBeNull();
+        GetElementByTestId(document, "header-actions").Should().NotBeNull();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task QueuePage_ShouldIncludeMessageModals()
+    {
+        // Arrange
+        await Fixture.Azurite.CreateQueueAsync("test-queue");
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/queues/test-queue");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        GetElementByTestId(document, "send-modal").Should().NotBeNull();
+        GetElementByTestId(document, "send-base64").Should().NotBeNull();
+        GetElementByTestId(document, "send-never-expires").Should().NotBeNull();
+
+        var receiveCount = GetElementByTestId(document, "receive-count");
+        receiveCount.Should().NotBeNull();
+        receiveCount!.GetAttribute("max").Should().Be("32");
+
+        GetElementByTestId(document, "update-modal").Should().NotBeNull();
+        GetElementByTestId(document, "clear-modal").Should().NotBeNull();
+        GetElementByTestId(document, "message-info-panel").Should().NotBeNull();
+
+        document.QuerySelector("script[src*='queueMessageView.js']").Should().NotBeNull();
+    }
+
+    #endregion
+}
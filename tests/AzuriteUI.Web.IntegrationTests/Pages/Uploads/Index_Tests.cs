@@ -0,0 +1,131 @@
+using AngleSharp;
+using AngleSharp.Dom;
+using System.Net;
+
+namespace AzuriteUI.Web.IntegrationTests.Pages.Uploads;
+
+/// <summary>
+/// Integration tests for the upload sessions page (Uploads/Index.cshtml).
+/// </summary>
+[ExcludeFromCodeCoverage(Justification = "Integration test class")]
+public class Index_Tests(ServiceFixture fixture) : BaseApiTest(fixture)
+{
+    #region Helper Methods
+
+    /// <summary>
+    /// Parses HTML content into an IDocument for querying with AngleSharp.
+    /// </summary>
+    private static async Task<IDocument> ParseHtmlAsync(string html)
+    {
+        var context = BrowsingContext.New(Configuration.Default);
+        return await context.OpenAsync(req => req.Content(html));
+    }
+
+    /// <summary>
+    /// Gets an element by testid.
+    /// </summary>
+    private static IElement? GetElementByTestId(IDocument document, string testId)
+    {
+        return document.QuerySelector($"[data-testid='{testId}']");
+    }
+
+    #endregion
+
+    #region Basic Rendering Tests
+
+    [Fact(Timeout = 60000)]
+    public async Task UploadsIndex_ShouldRenderBreadcrumbAndActionButtons()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/uploads");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var breadcrumb = GetElementByTestId(document, "breadcrumb-uploads");
+        breadcrumb.Should().NotBeNull();
+        breadcrumb!.TextContent.Trim().Should().Be("Uploads");
+
+        GetElementByTestId(document, "refresh-button").Should().NotBeNull();
+
+        // Bulk cancel is disabled until sessions are selected
+        var cancelButton = GetElementByTestId(document, "cancel-selected-button");
+        cancelButton.Should().NotBeNull();
+        cancelButton!.HasAttribute("disabled").Should().BeTrue();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task UploadsIndex_ShouldRenderTableWithHeaders()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/uploads");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        GetElementByTestId(document, "uploads-table").Should().NotBeNull();
+        GetElementByTestId(document, "header-select").Should().NotBeNull();
+        GetElementByTestId(document, "header-container").Should().NotBeNull();
+        GetElementByTestId(document, "header-name").Should().NotBeNull();
+        GetElementByTestId(document, "header-progress").Should().NotBeNull();
+        GetElementByTestId(document, "header-created").Should().NotBeNull();
+        GetElementByTestId(document, "header-lastactivity").Should().NotBeNull();
+        GetElementByTestId(document, "header-actions").Should().NotBeNull();
+
+        GetElementByTestId(document, "loading-row").Should().NotBeNull();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task UploadsIndex_ShouldRenderStaleSelectionAndCancelModal()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/uploads");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var threshold = GetElementByTestId(document, "stale-threshold");
+        threshold.Should().NotBeNull();
+        threshold!.QuerySelectorAll("option").Should().HaveCount(3);
+        GetElementByTestId(document, "select-stale-button").Should().NotBeNull();
+
+        GetElementByTestId(document, "cancel-uploads-modal").Should().NotBeNull();
+        GetElementByTestId(document, "cancel-modal-confirm").Should().NotBeNull();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task Layout_ShouldLinkToUploadsPage()
+    {
+        // Arrange
+        using var client = Fixture.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/");
+        var html = await response.Content.ReadAsStringAsync();
+        var document = await ParseHtmlAsync(html);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var link = GetElementByTestId(document, "nav-uploads");
+        link.Should().NotBeNull();
+        link!.GetAttribute("href").Should().Be("/uploads");
+    }
+
+    #endregion
+}
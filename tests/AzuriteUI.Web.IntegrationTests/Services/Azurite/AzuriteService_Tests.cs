@@ -1,3 +1,5 @@
+using Azure;
+using Azure.Storage.Blobs;
 using AzuriteUI.Web.Services.Azurite;
 using AzuriteUI.Web.Services.Azurite.Exceptions;
 using AzuriteUI.Web.Services.Azurite.Models;
@@ -276,6 +278,87 @@ public class AzuriteService_Tests : IClassFixture<AzuriteFixture>, IAsyncLifetim
     }
     #endregion
 
+    #region GetContainerAccessPolicyAsync / SetContainerAccessPolicyAsync
+    [Fact(Timeout = 60000)]
+    public async Task GetContainerAccessPolicyAsync_WithNewContainer_ShouldReturnPrivateWithNoPolicies()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+
+        // Act
+        var result = await _service.GetContainerAccessPolicyAsync(containerName);
+
+        // Assert
+        result.PublicAccess.Should().Be(AzuritePublicAccess.None);
+        result.SignedIdentifiers.Should().BeEmpty();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task SetContainerAccessPolicyAsync_ShouldRoundTripPublicAccessAndPolicies()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var startsOn = DateTimeOffset.UtcNow.AddMinutes(-5);
+        var accessPolicy = new AzuriteContainerAccessPolicy
+        {
+            PublicAccess = AzuritePublicAccess.Blob,
+            SignedIdentifiers =
+            [
+                new AzuriteSignedIdentifier { Id = "read-only", Permissions = "rl", StartsOn = startsOn, ExpiresOn = startsOn.AddDays(1) },
+                new AzuriteSignedIdentifier { Id = "no-permissions" }
+            ]
+        };
+
+        // Act
+        var container = await _service.SetContainerAccessPolicyAsync(containerName, accessPolicy);
+        var result = await _service.GetContainerAccessPolicyAsync(containerName);
+
+        // Assert
+        container.Name.Should().Be(containerName);
+        container.PublicAccess.Should().Be(AzuritePublicAccess.Blob);
+        result.PublicAccess.Should().Be(AzuritePublicAccess.Blob);
+        result.SignedIdentifiers.Should().HaveCount(2);
+        var readOnly = result.SignedIdentifiers.Single(i => i.Id == "read-only");
+        readOnly.Permissions.Should().Be("rl");
+        readOnly.StartsOn.Should().BeCloseTo(startsOn, TimeSpan.FromSeconds(1));
+        readOnly.ExpiresOn.Should().BeCloseTo(startsOn.AddDays(1), TimeSpan.FromSeconds(1));
+        result.SignedIdentifiers.Single(i => i.Id == "no-permissions").Permissions.Should().BeEmpty();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task SetContainerAccessPolicyAsync_WithEmptyPolicy_ShouldRemoveExistingPolicies()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        await _service.SetContainerAccessPolicyAsync(containerName, new AzuriteContainerAccessPolicy
+        {
+            PublicAccess = AzuritePublicAccess.Container,
+            SignedIdentifiers = [new AzuriteSignedIdentifier { Id = "read-only", Permissions = "r" }]
+        });
+
+        // Act
+        await _service.SetContainerAccessPolicyAsync(containerName, new AzuriteContainerAccessPolicy());
+        var result = await _service.GetContainerAccessPolicyAsync(containerName);
+
+        // Assert
+        result.PublicAccess.Should().Be(AzuritePublicAccess.None);
+        result.SignedIdentifiers.Should().BeEmpty();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GetContainerAccessPolicyAsync_WhenContainerDoesNotExist_ShouldThrowResourceNotFoundException()
+    {
+        // Arrange
+        var containerName = $"test-container-{Guid.NewGuid():N}";
+
+        // Act
+        Func<Task> act = async () => await _service.GetContainerAccessPolicyAsync(containerName);
+
+        // Assert
+        await act.Should().ThrowAsync<ResourceNotFoundException>();
+    }
+    #endregion
+
     #region UpdateContainerAsync
     [Fact(Timeout = 60000)]
     public async Task UpdateContainerAsync_WithNewMetadata_ShouldUpdateContainer()
@@ -317,6 +400,109 @@ public class AzuriteService_Tests : IClassFixture<AzuriteFixture>, IAsyncLifetim
     }
     #endregion
 
+    #region CopyBlobAsync
+    [Fact(Timeout = 60000)]
+    public async Task CopyBlobAsync_ToAnotherContainer_ShouldCopyContentMetadataAndTags()
+    {
+        // Arrange
+        var sourceContainer = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var destinationContainer = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var metadata = new Dictionary<string, string> { ["author"] = "test" };
+        var tags = new Dictionary<string, string> { ["status"] = "draft" };
+        var blobName = await _fixture.CreateBlobAsync(sourceContainer, $"test-blob-{Guid.NewGuid():N}.txt", "test content", "text/plain", metadata, tags);
+
+        // Act
+        var result = await _service.CopyBlobAsync(sourceContainer, blobName, destinationContainer, "folder/copy.txt");
+
+        // Assert
+        result.Name.Should().Be("folder/copy.txt");
+        result.ContentType.Should().Be("text/plain");
+        result.ContentLength.Should().Be("test content".Length);
+        result.Metadata.Should().BeEquivalentTo(metadata);
+        result.Tags.Should().BeEquivalentTo(tags);
+        (await _fixture.BlobExistsAsync(sourceContainer, blobName)).Should().BeTrue();
+        (await _fixture.BlobExistsAsync(destinationContainer, "folder/copy.txt")).Should().BeTrue();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CopyBlobAsync_WhenDestinationExists_ShouldThrowResourceExistsException()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var blobName = await _fixture.CreateBlobAsync(containerName, $"test-blob-{Guid.NewGuid():N}.txt", "test content");
+        var existingName = await _fixture.CreateBlobAsync(containerName, $"test-blob-{Guid.NewGuid():N}.txt", "existing content");
+
+        // Act
+        Func<Task> act = async () => await _service.CopyBlobAsync(containerName, blobName, containerName, existingName);
+
+        // Assert
+        var ex = await act.Should().ThrowAsync<ResourceExistsException>();
+        ex.Which.ResourceName.Should().Be(existingName);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CopyBlobAsync_WithOverwrite_ShouldReplaceDestination()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var blobName = await _fixture.CreateBlobAsync(containerName, $"test-blob-{Guid.NewGuid():N}.txt", "test content");
+        var existingName = await _fixture.CreateBlobAsync(containerName, $"test-blob-{Guid.NewGuid():N}.txt", "existing");
+
+        // Act
+        var result = await _service.CopyBlobAsync(containerName, blobName, containerName, existingName, overwrite: true);
+
+        // Assert
+        result.Name.Should().Be(existingName);
+        result.ContentLength.Should().Be("test content".Length);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CopyBlobAsync_WhenSourceDoesNotExist_ShouldThrowResourceNotFoundException()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var blobName = $"test-blob-{Guid.NewGuid():N}.txt";
+
+        // Act
+        Func<Task> act = async () => await _service.CopyBlobAsync(containerName, blobName, containerName, "copy.txt");
+
+        // Assert
+        await act.Should().ThrowAsync<ResourceNotFoundException>();
+    }
+    #endregion
+
+    #region CreateBlobSnapshotAsync
+    [Fact(Timeout = 60000)]
+    public async Task CreateBlobSnapshotAsync_WhenBlobExists_ShouldReturnSnapshot()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var blobName = await _fixture.CreateBlobAsync(containerName, $"test-blob-{Guid.NewGuid():N}.txt", "test content");
+
+        // Act
+        var result = await _service.CreateBlobSnapshotAsync(containerName, blobName);
+
+        // Assert
+        result.Name.Should().Be(blobName);
+        result.Snapshot.Should().NotBeNullOrEmpty();
+        result.ContentLength.Should().Be("test content".Length);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task CreateBlobSnapshotAsync_WhenBlobDoesNotExist_ShouldThrowResourceNotFoundException()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var blobName = $"test-blob-{Guid.NewGuid():N}.txt";
+
+        // Act
+        Func<Task> act = async () => await _service.CreateBlobSnapshotAsync(containerName, blobName);
+
+        // Assert
+        await act.Should().ThrowAsync<ResourceNotFoundException>();
+    }
+    #endregion
+
     #region DeleteBlobAsync
     [Fact(Timeout = 60000)]
     public async Task DeleteBlobAsync_WhenBlobExists_ShouldDeleteBlob()
@@ -362,6 +548,41 @@ public class AzuriteService_Tests : IClassFixture<AzuriteFixture>, IAsyncLifetim
     }
     #endregion
 
+    #region DeleteBlobSnapshotAsync
+    [Fact(Timeout = 60000)]
+    public async Task DeleteBlobSnapshotAsync_ShouldDeleteOnlyTheSnapshot()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var blobName = await _fixture.CreateBlobAsync(containerName, $"test-blob-{Guid.NewGuid():N}.txt", "test content");
+        var first = await _service.CreateBlobSnapshotAsync(containerName, blobName);
+        var second = await _service.CreateBlobSnapshotAsync(containerName, blobName);
+
+        // Act
+        await _service.DeleteBlobSnapshotAsync(containerName, blobName, first.Snapshot!);
+
+        // Assert
+        var snapshots = await _service.GetBlobSnapshotsAsync(containerName, blobName).ToListAsync();
+        snapshots.Select(s => s.Snapshot).Should().BeEquivalentTo([second.Snapshot]);
+        bool exists = await _fixture.BlobExistsAsync(containerName, blobName);
+        exists.Should().BeTrue();
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task DeleteBlobSnapshotAsync_WhenSnapshotDoesNotExist_ShouldNotThrow()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var blobName = await _fixture.CreateBlobAsync(containerName, $"test-blob-{Guid.NewGuid():N}.txt", "test content");
+
+        // Act
+        Func<Task> act = async () => await _service.DeleteBlobSnapshotAsync(containerName, blobName, "2025-01-01T00:00:00.0000000Z");
+
+        // Assert
+        await act.Should().NotThrowAsync();
+    }
+    #endregion
+
     #region DownloadBlobAsync
     [Fact(Timeout = 60000)]
     public async Task DownloadBlobAsync_WhenBlobExists_ShouldDownloadBlob()
@@ -442,6 +663,26 @@ public class AzuriteService_Tests : IClassFixture<AzuriteFixture>, IAsyncLifetim
     }
     #endregion
 
+    #region DownloadBlobSnapshotAsync
+    [Fact(Timeout = 60000)]
+    public async Task DownloadBlobSnapshotAsync_ShouldReturnContentAtTheTimeOfTheSnapshot()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var blobName = await _fixture.CreateBlobAsync(containerName, $"test-blob-{Guid.NewGuid():N}.txt", "original content");
+        var snapshot = await _service.CreateBlobSnapshotAsync(containerName, blobName);
+        await _fixture.CreateBlobAsync(containerName, blobName, "updated content");
+
+        // Act
+        var result = await _service.DownloadBlobSnapshotAsync(containerName, blobName, snapshot.Snapshot!);
+
+        // Assert
+        result.IsSuccess.Should().BeTrue();
+        using var reader = new StreamReader(result.Content!);
+        (await reader.ReadToEndAsync()).Should().Be("original content");
+    }
+    #endregion
+
     #region GetBlobAsync
     [Fact(Timeout = 60000)]
     public async Task GetBlobAsync_WhenBlobExists_ShouldReturnBlob()
@@ -536,6 +777,67 @@ public class AzuriteService_Tests : IClassFixture<AzuriteFixture>, IAsyncLifetim
     }
     #endregion
 
+    #region GetBlobSnapshotsAsync
+    [Fact(Timeout = 60000)]
+    public async Task GetBlobSnapshotsAsync_ShouldReturnOnlySnapshotsOfTheBlob()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var blobName = await _fixture.CreateBlobAsync(containerName, "file.txt", "test content");
+        await _fixture.CreateBlobAsync(containerName, "file.txt.bak", "other content");
+        await _service.CreateBlobSnapshotAsync(containerName, blobName);
+        await _service.CreateBlobSnapshotAsync(containerName, blobName);
+        await _service.CreateBlobSnapshotAsync(containerName, "file.txt.bak");
+
+        // Act
+        var result = await _service.GetBlobSnapshotsAsync(containerName, blobName).ToListAsync();
+
+        // Assert
+        result.Should().HaveCount(2);
+        result.Should().AllSatisfy(s =>
+        {
+            s.Name.Should().Be(blobName);
+            s.Snapshot.Should().NotBeNullOrEmpty();
+        });
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GetBlobSnapshotsAsync_WhenContainerDoesNotExist_ShouldThrowResourceNotFoundException()
+    {
+        // Arrange
+        var containerName = $"test-container-{Guid.NewGuid():N}";
+
+        // Act
+        Func<Task> act = async () => await _service.GetBlobSnapshotsAsync(containerName, "file.txt").ToListAsync();
+
+        // Assert
+        await act.Should().ThrowAsync<ResourceNotFoundException>();
+    }
+    #endregion
+
+    #region PromoteBlobSnapshotAsync
+    [Fact(Timeout = 60000)]
+    public async Task PromoteBlobSnapshotAsync_ShouldRestoreContentAndKeepTags()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var tags = new Dictionary<string, string> { ["status"] = "draft" };
+        var blobName = await _fixture.CreateBlobAsync(containerName, $"test-blob-{Guid.NewGuid():N}.txt", "original content", tags: tags);
+        var snapshot = await _service.CreateBlobSnapshotAsync(containerName, blobName);
+        await _fixture.CreateBlobAsync(containerName, blobName, "updated", tags: tags);
+
+        // Act
+        var result = await _service.PromoteBlobSnapshotAsync(containerName, blobName, snapshot.Snapshot!);
+
+        // Assert
+        result.ContentLength.Should().Be("original content".Length);
+        result.Tags.Should().BeEquivalentTo(tags);
+        var download = await _service.DownloadBlobAsync(containerName, blobName);
+        using var reader = new StreamReader(download.Content!);
+        (await reader.ReadToEndAsync()).Should().Be("original content");
+    }
+    #endregion
+
     #region UpdateBlobAsync
     [Fact(Timeout = 60000)]
     public async Task UpdateBlobAsync_WithNewMetadata_ShouldUpdateBlob()
@@ -742,6 +1044,47 @@ public class AzuriteService_Tests : IClassFixture<AzuriteFixture>, IAsyncLifetim
         result.ContentLength.Should().Be(0);
     }
 
+    [Fact(Timeout = 60000)]
+    public async Task UploadCommitAsync_WithMatchingIfMatch_ShouldReplaceBlob()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var blobName = await _fixture.CreateBlobAsync(containerName, $"test-blob-{Guid.NewGuid():N}.txt", "Original");
+        var existing = await _service.GetBlobAsync(containerName, blobName);
+
+        var blockId = Convert.ToBase64String(Encoding.UTF8.GetBytes("block-1"));
+        await _service.UploadBlockAsync(containerName, blobName, blockId, new MemoryStream(Encoding.UTF8.GetBytes("Replaced")));
+        var properties = new AzuriteBlobProperties { ContentType = "text/plain" };
+
+        // Act
+        var result = await _service.UploadCommitAsync(containerName, blobName, [blockId], properties, existing.ETag);
+
+        // Assert
+        result.ETag.Should().NotBe(existing.ETag);
+        result.ContentLength.Should().Be(8);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task UploadCommitAsync_WithStaleIfMatch_ShouldThrowPreconditionFailedException()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var blobName = await _fixture.CreateBlobAsync(containerName, $"test-blob-{Guid.NewGuid():N}.txt", "Original");
+        var existing = await _service.GetBlobAsync(containerName, blobName);
+        await _fixture.CreateBlobAsync(containerName, blobName, "Changed by someone else");
+
+        var blockId = Convert.ToBase64String(Encoding.UTF8.GetBytes("block-1"));
+        await _service.UploadBlockAsync(containerName, blobName, blockId, new MemoryStream(Encoding.UTF8.GetBytes("Replaced")));
+        var properties = new AzuriteBlobProperties { ContentType = "text/plain" };
+
+        // Act
+        Func<Task> act = async () => await _service.UploadCommitAsync(containerName, blobName, [blockId], properties, existing.ETag);
+
+        // Assert
+        await act.Should().ThrowAsync<PreconditionFailedException>()
+            .Where(ex => ex.ResourceName == $"{containerName}/{blobName}");
+    }
+
     [Fact(Timeout = 60000)]
     public async Task UploadCommitAsync_WhenContainerDoesNotExist_ShouldThrowResourceNotFoundException()
     {
@@ -825,4 +1168,60 @@ public class AzuriteService_Tests : IClassFixture<AzuriteFixture>, IAsyncLifetim
         result.Metadata.Should().ContainKey("test");
     }
     #endregion
+
+    #region GenerateBlobSas / GenerateContainerSas
+    [Fact(Timeout = 60000)]
+    public async Task GenerateBlobSas_ShouldAllowTheBlobToBeRead()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var blobName = await _fixture.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        var options = new AzuriteSasOptions { Permissions = "r", ExpiresOn = DateTimeOffset.UtcNow.AddHours(1) };
+
+        // Act
+        var result = _service.GenerateBlobSas(containerName, blobName, options);
+        var content = await new BlobClient(result.Uri).DownloadContentAsync();
+
+        // Assert
+        content.Value.Content.ToString().Should().Be("test content");
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GenerateBlobSas_WithoutWritePermission_ShouldNotAllowTheBlobToBeChanged()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        var blobName = await _fixture.CreateBlobAsync(containerName, "test-blob.txt", "test content");
+        var options = new AzuriteSasOptions { Permissions = "r", ExpiresOn = DateTimeOffset.UtcNow.AddHours(1) };
+
+        // Act
+        var result = _service.GenerateBlobSas(containerName, blobName, options);
+        Func<Task> act = async () => await new BlobClient(result.Uri).UploadAsync(BinaryData.FromString("updated"), overwrite: true);
+
+        // Assert
+        (await act.Should().ThrowAsync<RequestFailedException>()).Which.Status.Should().Be(403);
+    }
+
+    [Fact(Timeout = 60000)]
+    public async Task GenerateContainerSas_ConnectionString_ShouldAllowTheBlobsToBeListed()
+    {
+        // Arrange
+        var containerName = await _fixture.CreateContainerAsync($"test-container-{Guid.NewGuid():N}");
+        await _fixture.CreateBlobAsync(containerName, "a.txt", "a");
+        await _fixture.CreateBlobAsync(containerName, "b.txt", "b");
+        var options = new AzuriteSasOptions { Permissions = "rl", ExpiresOn = DateTimeOffset.UtcNow.AddHours(1) };
+
+        // Act
+        var result = _service.GenerateContainerSas(containerName, options);
+        var containerClient = new BlobServiceClient(result.ConnectionString).GetBlobContainerClient(containerName);
+        var names = new List<string>();
+        await foreach (var blob in containerClient.GetBlobsAsync())
+        {
+            names.Add(blob.Name);
+        }
+
+        // Assert
+        names.Should().BeEquivalentTo(["a.txt", "b.txt"]);
+    }
+    #endregion
 }
@@ -3,6 +3,7 @@ using AzuriteUI.Web.Services.CacheDb;
 using AzuriteUI.Web.Services.CacheSync;
 using Microsoft.Data.Sqlite;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
 using Microsoft.Extensions.Logging.Abstractions;
 using System.Diagnostics;
 
@@ -18,6 +19,7 @@ public class CacheSyncService_Tests : IClassFixture<AzuriteFixture>, IAsyncLifet
     private readonly IAzuriteService _azuriteService;
     private readonly SqliteConnection _connection;
     private readonly CacheDbContext _context;
+    private readonly CacheSyncTracker _tracker = new(TimeProvider.System, new ConfigurationBuilder().Build());
 
     public CacheSyncService_Tests(AzuriteFixture fixture)
     {
@@ -67,7 +69,7 @@ public class CacheSyncService_Tests : IClassFixture<AzuriteFixture>, IAsyncLifet
         Console.WriteLine($"Setup completed in {setupTime.TotalSeconds:F2} seconds");
         Console.WriteLine($"Created {containerCount} containers with {containerCount * (containerCount + 1) / 2} total blobs");
 
-        var cacheSyncService = new CacheSyncService(_context, _azuriteService, NullLogger<CacheSyncService>.Instance);
+        var cacheSyncService = new CacheSyncService(_context, _azuriteService, _tracker, NullLogger<CacheSyncService>.Instance);
 
         // Act
         stopwatch.Restart();
@@ -145,7 +147,7 @@ public class CacheSyncService_Tests : IClassFixture<AzuriteFixture>, IAsyncLifet
             await SetupContainerWithBlobsAsync(i);
         }
 
-        var cacheSyncService = new CacheSyncService(_context, _azuriteService, NullLogger<CacheSyncService>.Instance);
+        var cacheSyncService = new CacheSyncService(_context, _azuriteService, _tracker, NullLogger<CacheSyncService>.Instance);
 
         // Act - First synchronization
         await cacheSyncService.SynchronizeCacheAsync();
@@ -0,0 +1,104 @@
+using AzuriteUI.Web.Controllers;
+using AzuriteUI.Web.Services.Repositories.Models;
+
+namespace AzuriteUI.Web.UnitTests.Controllers;
+
+[ExcludeFromCodeCoverage]
+public class DashboardController_Tests
+{
+    #region TryGetFamily Tests
+
+    [Theory(Timeout = 15000)]
+    [InlineData(null)]
+    [InlineData("")]
+    public void TryGetFamily_WithNoValue_ShouldSucceedWithoutFamily(string? key)
+    {
+        // Act
+        var result = DashboardController.TryGetFamily(key, out var family, out var error);
+
+        // Assert
+        result.Should().BeTrue();
+        family.Should().BeNull();
+        error.Should().BeNull();
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData("image", "image/")]
+    [InlineData("JSON", "application/json")]
+    [InlineData("other", null)]
+    public void TryGetFamily_WithKnownFamily_ShouldReturnFamily(string key, string? expectedContentType)
+    {
+        // Act
+        var result = DashboardController.TryGetFamily(key, out var family, out var error);
+
+        // Assert
+        result.Should().BeTrue();
+        family.Should().NotBeNull();
+        family!.ContentType.Should().Be(expectedContentType);
+        error.Should().BeNull();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void TryGetFamily_WithUnknownFamily_ShouldFailWithValidValues()
+    {
+        // Act
+        var result = DashboardController.TryGetFamily("spreadsheet", out var family, out var error);
+
+        // Assert
+        result.Should().BeFalse();
+        family.Should().BeNull();
+        error.Should().Contain("image").And.Contain("other");
+    }
+
+    #endregion
+
+    #region TryGetAgeBucket Tests
+
+    [Fact(Timeout = 15000)]
+    public void TryGetAgeBucket_WithKnownBucket_ShouldReturnBucket()
+    {
+        // Act
+        var result = DashboardController.TryGetAgeBucket("Week", out var age, out var error);
+
+        // Assert
+        result.Should().BeTrue();
+        age!.Key.Should().Be("week");
+        error.Should().BeNull();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void TryGetAgeBucket_WithUnknownBucket_ShouldFailWithValidValues()
+    {
+        // Act
+        var result = DashboardController.TryGetAgeBucket("decade", out var age, out var error);
+
+        // Assert
+        result.Should().BeFalse();
+        age.Should().BeNull();
+        error.Should().Contain("day").And.Contain("older");
+    }
+
+    #endregion
+
+    #region AgeBucket Tests
+
+    [Fact(Timeout = 15000)]
+    public void AgeBucket_GetFromAndGetTo_ShouldCoverEveryAgeWithoutGaps()
+    {
+        // Arrange
+        var now = new DateTimeOffset(2025, 6, 1, 12, 0, 0, TimeSpan.Zero);
+
+        // Act
+        var ranges = AgeBucket.All.Select(bucket => (From: bucket.GetFrom(now), To: bucket.GetTo(now))).ToList();
+
+        // Assert
+        ranges[0].To.Should().BeNull("the newest bucket has no upper limit");
+        ranges[^1].From.Should().BeNull("the oldest bucket has no lower limit");
+        for (int i = 1; i < ranges.Count; i++)
+        {
+            ranges[i].To.Should().Be(ranges[i - 1].From);
+        }
+    }
+
+    #endregion
+}
@@ -0,0 +1,81 @@
+using AzuriteUI.Web.Controllers;
+using AzuriteUI.Web.Services.Events;
+using AzuriteUI.Web.Services.Events.Models;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging.Testing;
+using System.Text;
+
+namespace AzuriteUI.Web.UnitTests.Controllers;
+
+[ExcludeFromCodeCoverage]
+public class EventsController_Tests
+{
+    #region FormatEvent Tests
+
+    [Fact(Timeout = 15000)]
+    public void FormatEvent_ShouldWriteEventNameAndCamelCaseData()
+    {
+        // Arrange
+        var storageEvent = new StorageEvent
+        {
+            EventType = StorageEventType.BlobUpdated,
+            ContainerName = "photos",
+            BlobName = "cat.jpg",
+            ETag = "\"0x8D9\"",
+            Timestamp = new DateTimeOffset(2025, 1, 2, 3, 4, 5, TimeSpan.Zero)
+        };
+
+        // Act
+        var actual = EventsController.FormatEvent(storageEvent);
+
+        // Assert
+        actual.Should().Be("event: blob:updated\n" +
+            "data: {\"type\":\"blob:updated\",\"containerName\":\"photos\",\"blobName\":\"cat.jpg\",\"eTag\":\"\\u00220x8D9\\u0022\",\"timestamp\":\"2025-01-02T03:04:05+00:00\"}\n\n");
+    }
+
+    #endregion
+
+    #region StreamEventsAsync Tests
+
+    [Fact(Timeout = 15000)]
+    public async Task StreamEventsAsync_ShouldSendLastHealthAndPublishedEvents()
+    {
+        // Arrange
+        var hub = new StorageEventHub(new FakeLogger<StorageEventHub>());
+        hub.Publish(new StorageEvent { EventType = StorageEventType.HealthChanged, IsHealthy = true, Message = "Healthy" });
+
+        var body = new MemoryStream();
+        var httpContext = new DefaultHttpContext();
+        httpContext.Response.Body = body;
+        var controller = new EventsController(hub, new FakeLogger<EventsController>())
+        {
+            ControllerContext = new ControllerContext { HttpContext = httpContext }
+        };
+        using var cts = new CancellationTokenSource();
+
+        // Act
+        var streaming = controller.StreamEventsAsync(cts.Token);
+        while (hub.SubscriberCount == 0)
+        {
+            await Task.Delay(10);
+        }
+        hub.Publish(new StorageEvent { EventType = StorageEventType.ContainerCreated, ContainerName = "photos" });
+        await Task.Delay(200);
+        await cts.CancelAsync();
+        var result = await streaming;
+
+        // Assert
+        result.Should().BeOfType<EmptyResult>();
+        httpContext.Response.ContentType.Should().Be("text/event-stream");
+        hub.SubscriberCount.Should().Be(0);
+
+        var text = Encoding.UTF8.GetString(body.ToArray());
+        text.Should().StartWith("retry: 5000\n\n");
+        text.IndexOf("event: health:changed\n").Should().BeGreaterThan(0);
+        text.IndexOf("event: container:created\n").Should().BeGreaterThan(text.IndexOf("event: health:changed\n"));
+        text.Should().Contain("\"containerName\":\"photos\"");
+    }
+
+    #endregion
+}
@@ -0,0 +1,67 @@
+using AzuriteUI.Web.Controllers;
+using AzuriteUI.Web.Services.Repositories;
+using AzuriteUI.Web.Services.Repositories.Models;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using NSubstitute;
+
+namespace AzuriteUI.Web.UnitTests.Controllers;
+
+[ExcludeFromCodeCoverage]
+public class QueuesController_Tests
+{
+    #region Constructor and Properties Tests
+
+    [Fact(Timeout = 15000)]
+    public void Constructor_WithValidParameters_ShouldSetProperties()
+    {
+        // Arrange
+        var repository = Substitute.For<IStorageRepository>();
+        var logger = Substitute.For<ILogger<QueuesController>>();
+
+        // Act
+        var controller = new QueuesController(repository, logger);
+
+        // Assert
+        controller.Repository.Should().Be(repository);
+        controller.Logger.Should().Be(logger);
+    }
+
+    #endregion
+
+    #region UpdateQueueAsync Tests
+
+    [Fact(Timeout = 15000)]
+    public async Task UpdateQueueAsync_WithoutQueueNameInBody_ShouldUseRouteQueueName()
+    {
+        // Arrange
+        var repository = Substitute.For<IStorageRepository>();
+        var controller = new QueuesController(repository, Substitute.For<ILogger<QueuesController>>());
+        repository.UpdateQueueAsync(Arg.Any<UpdateQueueDTO>(), Arg.Any<CancellationToken>())
+            .Returns(new QueueDTO { Name = "orders" });
+
+        // Act
+        var result = await controller.UpdateQueueAsync("orders", new UpdateQueueDTO(), CancellationToken.None);
+
+        // Assert
+        result.Should().BeOfType<OkObjectResult>();
+        await repository.Received(1).UpdateQueueAsync(Arg.Is<UpdateQueueDTO>(dto => dto.QueueName == "orders"), Arg.Any<CancellationToken>());
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task UpdateQueueAsync_WithMismatchedQueueName_ShouldReturnBadRequest()
+    {
+        // Arrange
+        var repository = Substitute.For<IStorageRepository>();
+        var controller = new QueuesController(repository, Substitute.For<ILogger<QueuesController>>());
+
+        // Act
+        var result = await controller.UpdateQueueAsync("orders", new UpdateQueueDTO { QueueName = "invoices" }, CancellationToken.None);
+
+        // Assert
+        result.Should().BeOfType<BadRequestObjectResult>();
+        await repository.DidNotReceiveWithAnyArgs().UpdateQueueAsync(default!, default);
+    }
+
+    #endregion
+}
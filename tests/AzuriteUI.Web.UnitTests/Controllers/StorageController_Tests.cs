@@ -1597,4 +1597,23 @@ public class StorageController_Tests
     }
 
     #endregion
+
+    #region GetArchiveFileName Tests
+
+    [Theory(Timeout = 15000)]
+    [InlineData(null, "photos.zip")]
+    [InlineData("", "photos.zip")]
+    [InlineData("2024/", "photos-2024.zip")]
+    [InlineData("2024/05/", "photos-2024-05.zip")]
+    [InlineData("/2024//05", "photos-2024-05.zip")]
+    public void GetArchiveFileName_ShouldIncludeFolder(string? prefix, string expected)
+    {
+        // Act
+        var result = StorageController.GetArchiveFileName("photos", prefix);
+
+        // Assert
+        result.Should().Be(expected);
+    }
+
+    #endregion
 }
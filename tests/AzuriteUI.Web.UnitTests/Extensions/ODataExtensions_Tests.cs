@@ -0,0 +1,51 @@
+using AzuriteUI.Web.Extensions;
+
+namespace AzuriteUI.Web.UnitTests.Extensions;
+
+[ExcludeFromCodeCoverage]
+public class ODataExtensions_Tests
+{
+    #region ParseKeyValueConditions Tests
+
+    [Fact(Timeout = 15000)]
+    public void ParseKeyValueConditions_WithNull_ShouldReturnEmptyList()
+    {
+        // Act
+        var result = ODataExtensions.ParseKeyValueConditions(null);
+
+        // Assert
+        result.Should().BeEmpty();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ParseKeyValueConditions_WithValidConditions_ShouldReturnPairs()
+    {
+        // Arrange
+        string[] conditions = ["env=prod", " team =web", "expr=a=b", "empty="];
+
+        // Act
+        var result = ODataExtensions.ParseKeyValueConditions(conditions);
+
+        // Assert
+        result.Should().HaveCount(4);
+        result[0].Should().Be(new KeyValuePair<string, string>("env", "prod"));
+        result[1].Should().Be(new KeyValuePair<string, string>("team", "web"));
+        result[2].Should().Be(new KeyValuePair<string, string>("expr", "a=b"));
+        result[3].Should().Be(new KeyValuePair<string, string>("empty", ""));
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData("env")]
+    [InlineData("=prod")]
+    [InlineData(" =prod")]
+    public void ParseKeyValueConditions_WithInvalidCondition_ShouldThrow(string condition)
+    {
+        // Act
+        Action act = () => ODataExtensions.ParseKeyValueConditions([condition]);
+
+        // Assert
+        act.Should().Throw<FormatException>().WithMessage($"*{condition}*");
+    }
+
+    #endregion
+}
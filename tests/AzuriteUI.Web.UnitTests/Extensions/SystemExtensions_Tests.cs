@@ -449,4 +449,77 @@ public class SystemExtensions_Tests
     }
 
     #endregion
+
+    #region MatchesAll Tests
+
+    [Fact(Timeout = 15000)]
+    public void MatchesAll_WithNoConditions_ShouldReturnTrue()
+    {
+        // Arrange
+        IDictionary<string, string> dict = new Dictionary<string, string> { ["env"] = "prod" };
+
+        // Act
+        var result = dict.MatchesAll([]);
+
+        // Assert
+        result.Should().BeTrue();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void MatchesAll_WithAllConditionsPresent_ShouldReturnTrue()
+    {
+        // Arrange
+        IDictionary<string, string> dict = new Dictionary<string, string> { ["env"] = "prod", ["team"] = "web" };
+        KeyValuePair<string, string>[] conditions = [new("env", "prod"), new("team", "web")];
+
+        // Act
+        var result = dict.MatchesAll(conditions);
+
+        // Assert
+        result.Should().BeTrue();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void MatchesAll_WithDifferentKeyCase_ShouldReturnTrue()
+    {
+        // Arrange
+        IDictionary<string, string> dict = new Dictionary<string, string> { ["Env"] = "prod" };
+        KeyValuePair<string, string>[] conditions = [new("env", "prod")];
+
+        // Act
+        var result = dict.MatchesAll(conditions);
+
+        // Assert
+        result.Should().BeTrue();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void MatchesAll_WithDifferentValueCase_ShouldReturnFalse()
+    {
+        // Arrange
+        IDictionary<string, string> dict = new Dictionary<string, string> { ["env"] = "Prod" };
+        KeyValuePair<string, string>[] conditions = [new("env", "prod")];
+
+        // Act
+        var result = dict.MatchesAll(conditions);
+
+        // Assert
+        result.Should().BeFalse();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void MatchesAll_WithMissingCondition_ShouldReturnFalse()
+    {
+        // Arrange
+        IDictionary<string, string> dict = new Dictionary<string, string> { ["env"] = "prod" };
+        KeyValuePair<string, string>[] conditions = [new("env", "prod"), new("team", "web")];
+
+        // Act
+        var result = dict.MatchesAll(conditions);
+
+        // Assert
+        result.Should().BeFalse();
+    }
+
+    #endregion
 }
@@ -198,6 +198,62 @@ public class AzuriteExceptionFilter_Tests
 
     #endregion
 
+    #region PreconditionFailedException Tests
+
+    [Fact(Timeout = 15000)]
+    public void OnException_PreconditionFailedException_Returns412WithProblemDetails()
+    {
+        // Arrange
+        var logger = new FakeLogger<AzuriteExceptionFilter>();
+        var filter = new AzuriteExceptionFilter(logger);
+
+        var exception = new PreconditionFailedException("Blob 'test.txt' has been changed")
+        {
+            ResourceName = "test.txt",
+            ETag = "0x8D1234567890ABC"
+        };
+
+        var context = CreateExceptionContext(exception, "/api/containers/test/blobs/upload");
+
+        // Act
+        filter.OnException(context);
+
+        // Assert
+        context.ExceptionHandled.Should().BeTrue();
+
+        var result = context.Result.Should().BeOfType<ObjectResult>().Subject;
+        result.StatusCode.Should().Be(StatusCodes.Status412PreconditionFailed);
+
+        var problemDetails = result.Value.Should().BeOfType<ProblemDetails>().Subject;
+        problemDetails.Status.Should().Be(StatusCodes.Status412PreconditionFailed);
+        problemDetails.Title.Should().Be("Precondition Failed");
+        problemDetails.Detail.Should().Be("Blob 'test.txt' has been changed");
+        problemDetails.Extensions["resourceName"].Should().Be("test.txt");
+        problemDetails.Extensions["eTag"].Should().Be("0x8D1234567890ABC");
+    }
+
+    [Fact(Timeout = 15000)]
+    public void OnException_PreconditionFailedException_WithoutETag_DoesNotIncludeExtension()
+    {
+        // Arrange
+        var logger = new FakeLogger<AzuriteExceptionFilter>();
+        var filter = new AzuriteExceptionFilter(logger);
+
+        var exception = new PreconditionFailedException("The specified resource has been changed.");
+        var context = CreateExceptionContext(exception);
+
+        // Act
+        filter.OnException(context);
+
+        // Assert
+        var result = context.Result.Should().BeOfType<ObjectResult>().Subject;
+        var problemDetails = result.Value.Should().BeOfType<ProblemDetails>().Subject;
+        problemDetails.Extensions.Should().NotContainKey("resourceName");
+        problemDetails.Extensions.Should().NotContainKey("eTag");
+    }
+
+    #endregion
+
     #region RangeNotSatisfiableException Tests
 
     [Fact(Timeout = 15000)]
@@ -3,6 +3,7 @@ using AzuriteUI.Web.Services.CacheDb;
 using AzuriteUI.Web.Services.CacheDb.Models;
 using Microsoft.Data.Sqlite;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.Diagnostics;
 
 namespace AzuriteUI.Web.UnitTests.Helpers;
 
@@ -17,10 +18,11 @@ public abstract class SqliteDbTests : IDisposable
         _connection.Open();
     }
 
-    protected CacheDbContext CreateDbContext()
+    protected CacheDbContext CreateDbContext(params IInterceptor[] interceptors)
     {
         var options = new DbContextOptionsBuilder<CacheDbContext>()
             .UseSqlite(_connection)
+            .AddInterceptors(interceptors)
             .Options;
 
         var context = new CacheDbContext(options);
@@ -0,0 +1,94 @@
+using AzuriteUI.Web.Pages.Containers;
+using AzuriteUI.Web.UnitTests.Helpers;
+using Microsoft.Extensions.Logging;
+using NSubstitute;
+
+namespace AzuriteUI.Web.UnitTests.Pages.Containers;
+
+[ExcludeFromCodeCoverage]
+public class MetadataSchema_Tests
+{
+    #region FromConfiguration Tests
+
+    [Fact(Timeout = 15000)]
+    public void FromConfiguration_WithNoSchema_ShouldReturnNull()
+    {
+        // Arrange
+        var configuration = Utils.CreateConfiguration();
+
+        // Act
+        var schema = MetadataSchema.FromConfiguration(configuration, "Blobs");
+
+        // Assert
+        schema.Should().BeNull();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void FromConfiguration_WithSchema_ShouldReadKeys()
+    {
+        // Arrange
+        var configuration = Utils.CreateConfiguration(new Dictionary<string, string?>
+        {
+            ["MetadataSchema:Blobs:AllowOtherKeys"] = "false",
+            ["MetadataSchema:Blobs:Keys:0:Name"] = "owner",
+            ["MetadataSchema:Blobs:Keys:0:Required"] = "true",
+            ["MetadataSchema:Blobs:Keys:0:Pattern"] = "[a-z]+",
+            ["MetadataSchema:Blobs:Keys:1:Name"] = "stage",
+            ["MetadataSchema:Blobs:Keys:1:Values:0"] = "dev",
+            ["MetadataSchema:Blobs:Keys:1:Values:1"] = "prod"
+        });
+
+        // Act
+        var schema = MetadataSchema.FromConfiguration(configuration, "Blobs");
+
+        // Assert
+        schema.Should().NotBeNull();
+        schema!.AllowOtherKeys.Should().BeFalse();
+        schema.Keys.Should().HaveCount(2);
+        schema.Keys[0].Name.Should().Be("owner");
+        schema.Keys[0].Required.Should().BeTrue();
+        schema.Keys[0].Pattern.Should().Be("[a-z]+");
+        schema.Keys[1].Required.Should().BeFalse();
+        schema.Keys[1].Values.Should().Equal("dev", "prod");
+    }
+
+    #endregion
+
+    #region Page Model Tests
+
+    [Fact(Timeout = 15000)]
+    public void ContainerModel_ShouldReadBlobMetadataAndTagsSchemas()
+    {
+        // Arrange
+        var configuration = Utils.CreateConfiguration(new Dictionary<string, string?>
+        {
+            ["MetadataSchema:Tags:Keys:0:Name"] = "project",
+            ["MetadataSchema:Containers:Keys:0:Name"] = "team"
+        });
+
+        // Act
+        var pageModel = new ContainerModel(Substitute.For<ILogger<ContainerModel>>(), configuration);
+
+        // Assert
+        pageModel.MetadataSchema.Should().BeNull();
+        pageModel.TagsSchema!.Keys.Should().ContainSingle().Which.Name.Should().Be("project");
+    }
+
+    [Fact(Timeout = 15000)]
+    public void IndexModel_ShouldReadContainerMetadataSchema()
+    {
+        // Arrange
+        var configuration = Utils.CreateConfiguration(new Dictionary<string, string?>
+        {
+            ["MetadataSchema:Containers:Keys:0:Name"] = "team"
+        });
+
+        // Act
+        var pageModel = new IndexModel(Substitute.For<ILogger<IndexModel>>(), configuration);
+
+        // Assert
+        pageModel.MetadataSchema!.Keys.Should().ContainSingle().Which.Name.Should().Be("team");
+    }
+
+    #endregion
+}
@@ -0,0 +1,23 @@
+using AzuriteUI.Web.Pages.Shared.Components;
+using Xunit;
+
+namespace AzuriteUI.Web.UnitTests.Pages.Shared.Components;
+
+/// <summary>
+/// Unit tests for the <see cref="NotificationCenterViewComponent"/>.
+/// </summary>
+public class NotificationCenterViewComponent_Tests
+{
+    [Fact]
+    public void Invoke_ReturnsViewComponentResult()
+    {
+        // Arrange
+        var component = new NotificationCenterViewComponent();
+
+        // Act
+        var result = component.Invoke();
+
+        // Assert
+        Assert.NotNull(result);
+    }
+}
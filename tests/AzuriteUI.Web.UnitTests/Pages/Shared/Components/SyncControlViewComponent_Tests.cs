@@ -0,0 +1,23 @@
+using AzuriteUI.Web.Pages.Shared.Components;
+using Xunit;
+
+namespace AzuriteUI.Web.UnitTests.Pages.Shared.Components;
+
+/// <summary>
+/// Unit tests for the <see cref="SyncControlViewComponent"/>.
+/// </summary>
+public class SyncControlViewComponent_Tests
+{
+    [Fact]
+    public void Invoke_ReturnsViewComponentResult()
+    {
+        // Arrange
+        var component = new SyncControlViewComponent();
+
+        // Act
+        var result = component.Invoke();
+
+        // Assert
+        Assert.NotNull(result);
+    }
+}
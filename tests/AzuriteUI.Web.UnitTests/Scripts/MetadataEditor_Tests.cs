@@ -0,0 +1,301 @@
+using Jint;
+using System.Text.Json;
+
+namespace AzuriteUI.Web.UnitTests.Scripts;
+
+/// <summary>
+/// Tests for the raw text handling in <c>wwwroot/js/metadataEditor.js</c>, run through a JavaScript engine.
+/// </summary>
+[ExcludeFromCodeCoverage]
+public class MetadataEditor_Tests
+{
+    #region FormatRaw and ParseRaw Round Trip Tests
+
+    [Theory(Timeout = 15000)]
+    [InlineData("json")]
+    [InlineData("lines")]
+    public void FormatRaw_ThenParseRaw_ShouldReturnTheSameEntries(string format)
+    {
+        // Arrange
+        string[][] entries =
+        [
+            ["owner", "someone@contoso.com"],
+            ["padded", "  two spaces either side  "],
+            ["quoted", "say \"hello\" \\ bye"],
+            ["expression", "a=b"],
+            ["empty", ""],
+            ["owner", "a duplicate"]
+        ];
+
+        // Act
+        var text = FormatRaw(entries, format);
+        var result = ParseRaw(text, format);
+
+        // Assert
+        result.Should().BeEquivalentTo(entries, options => options.WithStrictOrdering());
+    }
+
+    [Fact(Timeout = 15000)]
+    public void FormatRaw_Json_WithNoEntries_ShouldReturnEmptyObject()
+    {
+        // Act
+        var result = FormatRaw([], "json");
+
+        // Assert
+        result.Should().Be("{}");
+    }
+
+    [Fact(Timeout = 15000)]
+    public void FormatRaw_Json_ShouldWriteOneMemberPerLine()
+    {
+        // Act
+        var result = FormatRaw([["a", "1"], ["b", "2"]], "json");
+
+        // Assert
+        result.Should().Be("{\n  \"a\": \"1\",\n  \"b\": \"2\"\n}");
+    }
+
+    #endregion
+
+    #region ParseRaw JSON Tests
+
+    [Fact(Timeout = 15000)]
+    public void ParseRaw_Json_WithDuplicateKeys_ShouldKeepEveryOccurrenceInOrder()
+    {
+        // Arrange
+        var text = "{\n  \"env\": \"dev\",\n  \"team\": \"web\",\n  \"env\": \"prod\"\n}";
+
+        // Act
+        var result = ParseRaw(text, "json");
+
+        // Assert
+        result.Should().BeEquivalentTo<string[]>([["env", "dev"], ["team", "web"], ["env", "prod"]], options => options.WithStrictOrdering());
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ParseRaw_Json_WithPunctuationInStrings_ShouldReadTheMembers()
+    {
+        // Arrange
+        var text = "{ \"a,b\": \"{[,]}\", \"c\\\"d\": \"e:f\" }";
+
+        // Act
+        var result = ParseRaw(text, "json");
+
+        // Assert
+        result.Should().BeEquivalentTo<string[]>([["a,b", "{[,]}"], ["c\"d", "e:f"]], options => options.WithStrictOrdering());
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ParseRaw_Json_WithNonStringValues_ShouldConvertThemToStrings()
+    {
+        // Arrange
+        var text = "{ \"count\": 5, \"enabled\": true, \"missing\": null }";
+
+        // Act
+        var result = ParseRaw(text, "json");
+
+        // Assert
+        result.Should().BeEquivalentTo<string[]>([["count", "5"], ["enabled", "true"], ["missing", ""]], options => options.WithStrictOrdering());
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ParseRaw_Json_WithBlankText_ShouldReturnNoEntries()
+    {
+        // Act
+        var result = ParseRaw("  \n ", "json");
+
+        // Assert
+        result.Should().BeEmpty();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ParseRaw_Json_WithObjectValue_ShouldReportTheLineOfTheKey()
+    {
+        // Arrange
+        var text = "{\n  \"a\": \"1\",\n  \"b\": { \"nested\": \"2\" }\n}";
+
+        // Act
+        var (message, line) = ParseRawError(text, "json");
+
+        // Assert
+        message.Should().Be("Line 3: The value of \"b\" must be a string");
+        line.Should().Be(3);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ParseRaw_Json_WithArray_ShouldReportExpectedObject()
+    {
+        // Act
+        var (message, line) = ParseRawError("[\"a\", \"b\"]", "json");
+
+        // Assert
+        message.Should().Be("Line 1: Expected a JSON object of key-value pairs");
+        line.Should().Be(1);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ParseRaw_Json_WithInvalidJson_ShouldReportInvalidJson()
+    {
+        // Act
+        var (message, _) = ParseRawError("{ \"a\": \"1\", }", "json");
+
+        // Assert
+        message.Should().Contain("Invalid JSON");
+    }
+
+    #endregion
+
+    #region ParseRaw Lines Tests
+
+    [Fact(Timeout = 15000)]
+    public void ParseRaw_Lines_ShouldTrimKeysButKeepValuesAsTheyAre()
+    {
+        // Arrange
+        var text = "  owner =  someone  \r\nempty=\nexpression=a=b";
+
+        // Act
+        var result = ParseRaw(text, "lines");
+
+        // Assert
+        result.Should().BeEquivalentTo<string[]>([["owner", "  someone  "], ["empty", ""], ["expression", "a=b"]], options => options.WithStrictOrdering());
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ParseRaw_Lines_ShouldSkipBlankLinesAndComments()
+    {
+        // Arrange
+        var text = "# The owner\nowner=someone\n\n   \n  # indented comment\nstage=dev\n";
+
+        // Act
+        var result = ParseRaw(text, "lines");
+
+        // Assert
+        result.Should().BeEquivalentTo<string[]>([["owner", "someone"], ["stage", "dev"]], options => options.WithStrictOrdering());
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ParseRaw_Lines_WithDuplicateKeys_ShouldKeepEveryOccurrence()
+    {
+        // Act
+        var result = ParseRaw("env=dev\nenv=prod", "lines");
+
+        // Assert
+        result.Should().BeEquivalentTo<string[]>([["env", "dev"], ["env", "prod"]], options => options.WithStrictOrdering());
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData("owner=someone\nno separator", "Line 2: Expected key=value", 2)]
+    [InlineData("owner=someone\n\n=value", "Line 3: Key cannot be empty", 3)]
+    [InlineData("   = value", "Line 1: Key cannot be empty", 1)]
+    public void ParseRaw_Lines_WithInvalidLine_ShouldReportTheLine(string text, string expectedMessage, int expectedLine)
+    {
+        // Act
+        var (message, line) = ParseRawError(text, "lines");
+
+        // Assert
+        message.Should().Be(expectedMessage);
+        line.Should().Be(expectedLine);
+    }
+
+    #endregion
+
+    #region Clipboard Paste Tests
+
+    [Theory(Timeout = 15000)]
+    [InlineData("{ \"a\": \"1\" }", "json")]
+    [InlineData("\n   {\n  \"a\": \"1\"\n}", "json")]
+    [InlineData("a=1", "lines")]
+    [InlineData("# {\na=1", "lines")]
+    [InlineData("", "lines")]
+    public void DetectRawFormat_ShouldPickTheFormatFromTheText(string text, string expectedFormat)
+    {
+        // Arrange
+        var engine = CreateEngine();
+        engine.SetValue("text", text);
+
+        // Act
+        var result = engine.Evaluate("MetadataEditor.detectRawFormat(text)").AsString();
+
+        // Assert
+        result.Should().Be(expectedFormat);
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData("{\r\n  \"owner\": \"someone \",\r\n  \"stage\": \"dev\"\r\n}")]
+    [InlineData("owner=someone \r\nstage=dev\r\n")]
+    public void PastedText_ShouldParseInTheDetectedFormat(string text)
+    {
+        // Arrange
+        var engine = CreateEngine();
+        engine.SetValue("text", text);
+
+        // Act
+        var json = engine.Evaluate("JSON.stringify(MetadataEditor.parseRaw(text, MetadataEditor.detectRawFormat(text)))").AsString();
+        var result = JsonSerializer.Deserialize<string[][]>(json);
+
+        // Assert
+        result.Should().BeEquivalentTo<string[]>([["owner", "someone "], ["stage", "dev"]], options => options.WithStrictOrdering());
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    /// <summary>
+    /// Creates a JavaScript engine with the metadata editor script loaded.
+    /// </summary>
+    private static Engine CreateEngine()
+    {
+        var engine = new Engine();
+        engine.Execute(File.ReadAllText(Path.Combine(AppContext.BaseDirectory, "Scripts", "metadataEditor.js")));
+        return engine;
+    }
+
+    /// <summary>
+    /// Calls <c>MetadataEditor.formatRaw</c> with the given entries.
+    /// </summary>
+    private static string FormatRaw(string[][] entries, string format)
+    {
+        var engine = CreateEngine();
+        engine.SetValue("entries", JsonSerializer.Serialize(entries)).SetValue("format", format);
+        return engine.Evaluate("MetadataEditor.formatRaw(JSON.parse(entries), format)").AsString();
+    }
+
+    /// <summary>
+    /// Calls <c>MetadataEditor.parseRaw</c> with the given text, returning the entries.
+    /// </summary>
+    private static string[][] ParseRaw(string text, string format)
+    {
+        var engine = CreateEngine();
+        engine.SetValue("text", text).SetValue("format", format);
+        var json = engine.Evaluate("JSON.stringify(MetadataEditor.parseRaw(text, format))").AsString();
+        return JsonSerializer.Deserialize<string[][]>(json)!;
+    }
+
+    /// <summary>
+    /// Calls <c>MetadataEditor.parseRaw</c> with text that cannot be parsed, returning the error message and line.
+    /// </summary>
+    private static (string Message, int? Line) ParseRawError(string text, string format)
+    {
+        var engine = CreateEngine();
+        engine.SetValue("text", text).SetValue("format", format);
+        var json = engine.Evaluate("""
+            (() => {
+                try {
+                    MetadataEditor.parseRaw(text, format);
+                    return JSON.stringify({ message: null, line: null });
+                } catch (error) {
+                    return JSON.stringify({ message: error.message, line: error.line ?? null });
+                }
+            })()
+            """).AsString();
+
+        using var result = JsonDocument.Parse(json);
+        var message = result.RootElement.GetProperty("message");
+        message.ValueKind.Should().Be(JsonValueKind.String, "parseRaw should have thrown for this text");
+        var line = result.RootElement.GetProperty("line");
+        return (message.GetString()!, line.ValueKind == JsonValueKind.Number ? line.GetInt32() : null);
+    }
+
+    #endregion
+}
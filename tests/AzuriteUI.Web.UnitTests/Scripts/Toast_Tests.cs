@@ -0,0 +1,112 @@
+using Jint;
+
+namespace AzuriteUI.Web.UnitTests.Scripts;
+
+/// <summary>
+/// Tests for the progress toasts in <c>wwwroot/js/toast.js</c>, run through a JavaScript engine with the
+/// stand-in DOM from <c>fakeDom.js</c>.
+/// </summary>
+[ExcludeFromCodeCoverage]
+public class Toast_Tests
+{
+    #region Toast.progress Tests
+
+    [Fact(Timeout = 15000)]
+    public void Progress_Update_ShouldMoveTheBarAndChangeTheMessage()
+    {
+        // Arrange
+        var engine = CreateEngine();
+        engine.Execute("const progress = Toast.progress('Cancelling upload sessions...');");
+
+        // Act
+        engine.Execute("progress.update(50, '1 of 2 upload sessions');");
+
+        // Assert
+        engine.Evaluate("progress.element.querySelector('.toast-progress .progress-bar').style.width").AsString().Should().Be("50%");
+        engine.Evaluate("progress.element.querySelector('.toast-progress').getAttribute('aria-valuenow')").AsString().Should().Be("50");
+        engine.Evaluate("progress.element.querySelector('.toast-message').textContent").AsString().Should().Be("1 of 2 upload sessions");
+        engine.Evaluate("progress.element.querySelector('.toast-header i').className").AsString().Should().Contain("spinner-border");
+    }
+
+    [Fact(Timeout = 15000)]
+    public void Progress_Complete_ShouldShowSuccessAndHideAfterFiveSeconds()
+    {
+        // Arrange
+        var engine = CreateEngine();
+        engine.Execute("const progress = Toast.progress('Cancelling upload sessions...'); progress.update(50);");
+
+        // Act
+        engine.Execute("progress.complete('Cancelled 2 upload sessions');");
+
+        // Assert
+        engine.Evaluate("progress.element.getAttribute('data-toast-type')").AsString().Should().Be("success");
+        engine.Evaluate("progress.element.querySelector('.toast-header i').className").AsString().Should().Be("bi bi-check-circle-fill me-2");
+        engine.Evaluate("progress.element.querySelector('.toast-header strong').textContent").AsString().Should().Be("Success");
+        engine.Evaluate("progress.element.querySelector('.toast-message').textContent").AsString().Should().Be("Cancelled 2 upload sessions");
+        engine.Evaluate("progress.element.querySelector('.toast-progress') === null").AsBoolean().Should().BeTrue();
+        engine.Evaluate("Toast.history.entries[0].type").AsString().Should().Be("success");
+
+        VisibleToastCount(engine).Should().Be(1);
+        engine.Execute("FakeTimers.advance(5000);");
+        VisibleToastCount(engine).Should().Be(0);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void Progress_Fail_ShouldShowErrorKeepDetailsAndHideAfterTenSeconds()
+    {
+        // Arrange
+        var engine = CreateEngine();
+        engine.Execute("const progress = Toast.progress('Cancelling upload sessions...'); progress.update(50);");
+
+        // Act
+        engine.Execute("progress.fail('Failed to cancel 1 of 2 upload sessions', 'abc: HTTP 500');");
+
+        // Assert
+        engine.Evaluate("progress.element.getAttribute('data-toast-type')").AsString().Should().Be("error");
+        engine.Evaluate("progress.element.querySelector('.toast-header i').className").AsString().Should().Be("bi bi-exclamation-circle-fill me-2");
+        engine.Evaluate("progress.element.querySelector('.toast-progress') === null").AsBoolean().Should().BeTrue();
+        engine.Evaluate("Toast.history.entries[0].type").AsString().Should().Be("error");
+        engine.Evaluate("Toast.history.entries[0].details").AsString().Should().Be("abc: HTTP 500");
+
+        engine.Execute("FakeTimers.advance(5000);");
+        VisibleToastCount(engine).Should().Be(1);
+        engine.Execute("FakeTimers.advance(5000);");
+        VisibleToastCount(engine).Should().Be(0);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void Progress_BeforeCompleteOrFail_ShouldStayVisible()
+    {
+        // Arrange
+        var engine = CreateEngine();
+
+        // Act
+        engine.Execute("Toast.progress('Cancelling upload sessions...'); FakeTimers.advance(60000);");
+
+        // Assert
+        VisibleToastCount(engine).Should().Be(1);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    /// <summary>
+    /// Creates a JavaScript engine with the stand-in DOM and the toast script loaded.
+    /// </summary>
+    private static Engine CreateEngine()
+    {
+        var engine = new Engine();
+        engine.Execute(File.ReadAllText(Path.Combine(AppContext.BaseDirectory, "Scripts", "fakeDom.js")));
+        engine.Execute(File.ReadAllText(Path.Combine(AppContext.BaseDirectory, "Scripts", "toast.js")));
+        return engine;
+    }
+
+    /// <summary>
+    /// Counts the toasts that are still in the document.
+    /// </summary>
+    private static int VisibleToastCount(Engine engine)
+        => (int)engine.Evaluate("document.querySelectorAll('[data-testid=\"toast\"]').length").AsNumber();
+
+    #endregion
+}
@@ -0,0 +1,427 @@
+/**
+ * A small stand-in for the browser DOM, Bootstrap and timers, so that the page scripts can run in a
+ * JavaScript engine without a browser.  It only covers what the scripts under test use: elements built
+ * with createElement or innerHTML, simple selectors (tag, #id, .class and [attribute], with descendant
+ * and child combinators), events, session storage, Bootstrap toasts and timers.
+ *
+ * Timers never run by themselves; call FakeTimers.advance(ms) to run the ones that are due.
+ */
+
+class Event {
+    constructor(type, init = {}) {
+        this.type = type;
+        this.detail = init.detail ?? null;
+        this.target = null;
+    }
+}
+
+class CustomEvent extends Event {
+}
+
+class EventTarget {
+    constructor() {
+        this._listeners = new Map();
+    }
+
+    addEventListener(type, listener) {
+        if (!this._listeners.has(type)) {
+            this._listeners.set(type, []);
+        }
+        this._listeners.get(type).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        const listeners = this._listeners.get(type) || [];
+        this._listeners.set(type, listeners.filter(l => l !== listener));
+    }
+
+    dispatchEvent(event) {
+        event.target = event.target ?? this;
+        (this._listeners.get(event.type) || []).slice().forEach(listener => listener.call(this, event));
+        return true;
+    }
+}
+
+class Text {
+    constructor(data) {
+        this.data = data;
+        this.parentNode = null;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+}
+
+class ClassList {
+    constructor(element) {
+        this.element = element;
+    }
+
+    _names() {
+        return this.element.className.split(/\s+/).filter(name => name);
+    }
+
+    contains(name) {
+        return this._names().includes(name);
+    }
+
+    add(...names) {
+        const current = this._names();
+        this.element.className = [...current, ...names.filter(name => !current.includes(name))].join(' ');
+    }
+
+    remove(...names) {
+        this.element.className = this._names().filter(name => !names.includes(name)).join(' ');
+    }
+
+    toggle(name, force) {
+        const add = force ?? !this.contains(name);
+        if (add) {
+            this.add(name);
+        } else {
+            this.remove(name);
+        }
+        return add;
+    }
+}
+
+class Element extends EventTarget {
+    constructor(tagName) {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.attributes = {};
+        this.childNodes = [];
+        this.parentNode = null;
+        this.style = {};
+        this.classList = new ClassList(this);
+        this.disabled = false;
+    }
+
+    get className() {
+        return this.attributes.class ?? '';
+    }
+
+    set className(value) {
+        this.attributes.class = String(value);
+    }
+
+    get id() {
+        return this.attributes.id ?? '';
+    }
+
+    set id(value) {
+        this.attributes.id = String(value);
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node instanceof Element);
+    }
+
+    get dataset() {
+        const dataset = {};
+        Object.keys(this.attributes).filter(name => name.startsWith('data-')).forEach(name => {
+            dataset[name.slice(5).replace(/-([a-z])/g, (_, c) => c.toUpperCase())] = this.attributes[name];
+        });
+        return dataset;
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    set textContent(value) {
+        this._setChildren([new Text(String(value ?? ''))]);
+    }
+
+    get innerHTML() {
+        return this.childNodes.map(serializeNode).join('');
+    }
+
+    set innerHTML(html) {
+        this._setChildren(parseHtml(String(html)));
+    }
+
+    insertAdjacentHTML(position, html) {
+        if (position !== 'beforeend') {
+            throw new Error(`insertAdjacentHTML('${position}') is not supported`);
+        }
+        parseHtml(html).forEach(node => this.appendChild(node));
+    }
+
+    getAttribute(name) {
+        return this.attributes[name] ?? null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    hasAttribute(name) {
+        return name in this.attributes;
+    }
+
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+
+    appendChild(node) {
+        if (node.parentNode) {
+            node.parentNode.removeChild(node);
+        }
+        node.parentNode = this;
+        this.childNodes.push(node);
+        return node;
+    }
+
+    removeChild(node) {
+        this.childNodes = this.childNodes.filter(child => child !== node);
+        node.parentNode = null;
+        return node;
+    }
+
+    remove() {
+        this.parentNode?.removeChild(this);
+    }
+
+    matches(selector) {
+        return parseSelector(selector).some(steps => matchesSteps(this, steps, steps.length - 1));
+    }
+
+    closest(selector) {
+        for (let element = this; element instanceof Element; element = element.parentNode) {
+            if (element.matches(selector)) {
+                return element;
+            }
+        }
+        return null;
+    }
+
+    querySelectorAll(selector) {
+        const selectors = parseSelector(selector);
+        const found = [];
+        const visit = (element) => {
+            element.children.forEach(child => {
+                if (selectors.some(steps => matchesSteps(child, steps, steps.length - 1))) {
+                    found.push(child);
+                }
+                visit(child);
+            });
+        };
+        visit(this);
+        return found;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] ?? null;
+    }
+
+    _setChildren(nodes) {
+        this.childNodes.forEach(node => node.parentNode = null);
+        this.childNodes = [];
+        nodes.forEach(node => this.appendChild(node));
+    }
+}
+
+const voidElements = new Set(['br', 'hr', 'img', 'input', 'link', 'meta']);
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function parseHtml(html) {
+    const root = new Element('template');
+    const stack = [root];
+    const tokens = /<!--[\s\S]*?-->|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)([^>]*?)(\/?)>|[^<]+|</g;
+    let match;
+    while ((match = tokens.exec(html)) !== null) {
+        const [token, closeTag, openTag, attributes, selfClosing] = match;
+        const parent = stack[stack.length - 1];
+        if (closeTag) {
+            const index = stack.map(e => e.tagName).lastIndexOf(closeTag.toUpperCase());
+            if (index > 0) {
+                stack.length = index;
+            }
+        } else if (openTag) {
+            const element = parent.appendChild(new Element(openTag));
+            const attributePattern = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+            let attribute;
+            while ((attribute = attributePattern.exec(attributes)) !== null) {
+                element.setAttribute(attribute[1], decodeEntities(attribute[2] ?? attribute[3] ?? attribute[4] ?? ''));
+            }
+            if (!selfClosing && !voidElements.has(openTag.toLowerCase())) {
+                stack.push(element);
+            }
+        } else if (!token.startsWith('<!--')) {
+            parent.appendChild(new Text(decodeEntities(token)));
+        }
+    }
+    return root.childNodes.slice();
+}
+
+function serializeNode(node) {
+    if (node instanceof Text) {
+        return node.data.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+    const tag = node.tagName.toLowerCase();
+    const attributes = Object.entries(node.attributes)
+        .map(([name, value]) => ` ${name}="${value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`)
+        .join('');
+    return voidElements.has(tag) ? `<${tag}${attributes}>` : `<${tag}${attributes}>${node.innerHTML}</${tag}>`;
+}
+
+function parseSelector(selector) {
+    return selector.split(',').map(part => {
+        const steps = [];
+        let combinator = ' ';
+        part.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/).forEach(token => {
+            if (token === '>') {
+                combinator = '>';
+                return;
+            }
+            const simple = { tag: null, id: null, classes: [], attributes: [] };
+            const pattern = /^([a-zA-Z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:="?([^"\]]*)"?)?\]/g;
+            let match;
+            while ((match = pattern.exec(token)) !== null) {
+                if (match[1]) simple.tag = match[1].toUpperCase();
+                if (match[2]) simple.id = match[2];
+                if (match[3]) simple.classes.push(match[3]);
+                if (match[4]) simple.attributes.push({ name: match[4], value: match[5] });
+            }
+            steps.push({ combinator, simple });
+            combinator = ' ';
+        });
+        return steps;
+    });
+}
+
+function matchesSimple(element, simple) {
+    return (simple.tag === null || element.tagName === simple.tag)
+        && (simple.id === null || element.id === simple.id)
+        && simple.classes.every(name => element.classList.contains(name))
+        && simple.attributes.every(a => element.hasAttribute(a.name) && (a.value === undefined || element.getAttribute(a.name) === a.value));
+}
+
+function matchesSteps(element, steps, index) {
+    if (!matchesSimple(element, steps[index].simple)) {
+        return false;
+    }
+    if (index === 0) {
+        return true;
+    }
+    if (steps[index].combinator === '>') {
+        return element.parentNode instanceof Element && matchesSteps(element.parentNode, steps, index - 1);
+    }
+    for (let parent = element.parentNode; parent instanceof Element; parent = parent.parentNode) {
+        if (matchesSteps(parent, steps, index - 1)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+class Document extends EventTarget {
+    constructor() {
+        super();
+        this.documentElement = new Element('html');
+        this.body = this.documentElement.appendChild(new Element('body'));
+    }
+
+    createElement(tagName) {
+        return new Element(tagName);
+    }
+
+    getElementById(id) {
+        return this.documentElement.querySelector(`#${id}`);
+    }
+
+    querySelector(selector) {
+        return this.documentElement.querySelector(selector);
+    }
+
+    querySelectorAll(selector) {
+        return this.documentElement.querySelectorAll(selector);
+    }
+}
+
+const document = new Document();
+const window = new EventTarget();
+
+const sessionStorage = {
+    _items: new Map(),
+    getItem(key) {
+        return this._items.has(key) ? this._items.get(key) : null;
+    },
+    setItem(key, value) {
+        this._items.set(key, String(value));
+    },
+    removeItem(key) {
+        this._items.delete(key);
+    },
+    clear() {
+        this._items.clear();
+    }
+};
+
+const FakeTimers = {
+    now: 0,
+    nextId: 1,
+    timers: [],
+
+    /**
+     * Moves the clock forward, running every timer that falls due on the way, in order
+     * @param {number} ms - How far to move the clock, in milliseconds
+     */
+    advance(ms) {
+        const end = this.now + ms;
+        for (;;) {
+            const due = this.timers.filter(t => t.at <= end).sort((a, b) => a.at - b.at || a.id - b.id)[0];
+            if (!due) break;
+            this.timers = this.timers.filter(t => t !== due);
+            this.now = due.at;
+            due.callback(...due.args);
+        }
+        this.now = end;
+    }
+};
+
+function setTimeout(callback, delay = 0, ...args) {
+    const id = FakeTimers.nextId++;
+    FakeTimers.timers.push({ id, at: FakeTimers.now + Math.max(0, delay || 0), callback, args });
+    return id;
+}
+
+function clearTimeout(id) {
+    FakeTimers.timers = FakeTimers.timers.filter(t => t.id !== id);
+}
+
+const bootstrap = {
+    Toast: class {
+        constructor(element, options = {}) {
+            this._element = element;
+            this._options = options;
+            this._timer = null;
+            this.isShown = false;
+        }
+
+        show() {
+            clearTimeout(this._timer);
+            this.isShown = true;
+            if (this._options.autohide !== false) {
+                this._timer = setTimeout(() => this.hide(), this._options.delay ?? 5000);
+            }
+        }
+
+        hide() {
+            clearTimeout(this._timer);
+            if (!this.isShown) return;
+            this.isShown = false;
+            this._element.dispatchEvent(new Event('hidden.bs.toast'));
+        }
+    }
+};
@@ -1005,6 +1005,100 @@ public class AzuriteConnectionStringBuilder_Tests
 
     #endregion
 
+    #region Property and SAS Connection String Tests
+
+    [Fact(Timeout = 15000)]
+    public void Properties_WithDevelopmentStorage_ShouldReturnAccountDetails()
+    {
+        // Act
+        var builder = AzuriteConnectionStringBuilder.Parse("UseDevelopmentStorage=true");
+
+        // Assert
+        builder.AccountName.Should().Be("devstoreaccount1");
+        builder.AccountKey.Should().NotBeNullOrEmpty();
+        builder.BlobEndpoint.Should().Be("http://127.0.0.1:10000/devstoreaccount1");
+    }
+
+    [Fact(Timeout = 15000)]
+    public void Properties_WhenNotSet_ShouldReturnNull()
+    {
+        // Act
+        var builder = new AzuriteConnectionStringBuilder();
+
+        // Assert
+        builder.AccountName.Should().BeNull();
+        builder.AccountKey.Should().BeNull();
+        builder.BlobEndpoint.Should().BeNull();
+        builder.QueueEndpoint.Should().BeNull();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void QueueEndpoint_WhenSet_ShouldReturnTheQueueEndpoint()
+    {
+        // Act
+        var builder = AzuriteConnectionStringBuilder.Parse("AccountName=testaccount;AccountKey=dGVzdGtleQ==;BlobEndpoint=http://azurite:10000/testaccount;QueueEndpoint=http://queues:12345/testaccount");
+
+        // Assert
+        builder.QueueEndpoint.Should().Be("http://queues:12345/testaccount");
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData("http://azurite:10000/testaccount", "http://azurite:10001/testaccount")]
+    [InlineData("https://127.0.0.1:20000/testaccount", "https://127.0.0.1:20001/testaccount")]
+    [InlineData("http://localhost:10000", "http://localhost:10001")]
+    public void QueueEndpoint_WhenNotSet_ShouldUseThePortAfterTheBlobEndpoint(string blobEndpoint, string expected)
+    {
+        // Act
+        var builder = AzuriteConnectionStringBuilder.Parse($"AccountName=testaccount;AccountKey=dGVzdGtleQ==;BlobEndpoint={blobEndpoint}");
+
+        // Assert
+        builder.QueueEndpoint.Should().Be(expected);
+        builder.ToString().Should().NotContain("QueueEndpoint", "a derived QueueEndpoint is not part of the connection string");
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData("http://azurite/testaccount")]
+    [InlineData("https://testaccount.blob.core.windows.net")]
+    public void QueueEndpoint_WhenNotSetAndBlobEndpointHasNoPort_ShouldReturnNull(string blobEndpoint)
+    {
+        // Act
+        var builder = new AzuriteConnectionStringBuilder().WithBlobEndpoint(blobEndpoint);
+
+        // Assert
+        builder.QueueEndpoint.Should().BeNull();
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData("sv=2025-01-05&sig=abc")]
+    [InlineData("?sv=2025-01-05&sig=abc")]
+    public void ToSharedAccessSignatureString_ShouldUseBlobEndpointAndToken(string sasToken)
+    {
+        // Arrange
+        var builder = AzuriteConnectionStringBuilder.Parse("UseDevelopmentStorage=true");
+
+        // Act
+        var result = builder.ToSharedAccessSignatureString(sasToken);
+
+        // Assert
+        result.Should().Be("BlobEndpoint=http://127.0.0.1:10000/devstoreaccount1;SharedAccessSignature=sv=2025-01-05&sig=abc");
+        result.Should().NotContain("AccountKey");
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ToSharedAccessSignatureString_WithoutBlobEndpoint_ShouldThrowFormatException()
+    {
+        // Arrange
+        var builder = new AzuriteConnectionStringBuilder().WithAccountName("testaccount");
+
+        // Act
+        Action act = () => builder.ToSharedAccessSignatureString("sv=2025-01-05&sig=abc");
+
+        // Assert
+        act.Should().Throw<FormatException>().WithMessage("*BlobEndpoint*");
+    }
+
+    #endregion
+
     #region Round-trip Tests
 
     [Fact(Timeout = 15000)]
@@ -4,6 +4,7 @@ using AzuriteUI.Web.Services.Azurite;
 using AzuriteUI.Web.Services.Azurite.Exceptions;
 using AzuriteUI.Web.Services.Azurite.Models;
 using AzuriteUI.Web.UnitTests.Helpers;
+using Microsoft.AspNetCore.Http;
 using Microsoft.Extensions.Configuration;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Logging.Testing;
@@ -31,6 +32,7 @@ public class AzuriteService_Tests
         service.ConnectionString.Should().NotBeNullOrWhiteSpace();
         service.Logger.Should().BeSameAs(_logger);
         service.ServiceClient.Should().NotBeNull();
+        service.QueueServiceClient.Should().NotBeNull();
     }
 
     [Fact(Timeout = 15000)]
@@ -184,6 +186,23 @@ public class AzuriteService_Tests
         typedResult.InnerException.Should().BeSameAs(requestFailedException);
     }
 
+    [Fact(Timeout = 15000)]
+    public void ConvertAzuriteException_With412Status_ShouldReturnPreconditionFailedException()
+    {
+        // Arrange
+        var requestFailedException = new RequestFailedException(412, "Precondition Failed");
+        var resourceName = "test.txt";
+
+        // Act
+        var result = AzuriteService.ConvertAzuriteException(requestFailedException, resourceName);
+
+        // Assert
+        result.Should().BeOfType<PreconditionFailedException>();
+        var typedResult = (PreconditionFailedException)result;
+        typedResult.ResourceName.Should().Be(resourceName);
+        typedResult.InnerException.Should().BeSameAs(requestFailedException);
+    }
+
     [Fact(Timeout = 15000)]
     public void ConvertAzuriteException_With416Status_ShouldReturnRangeNotSatisfiableException()
     {
@@ -722,6 +741,81 @@ public class AzuriteService_Tests
 
     #endregion
 
+    #region Shared Access Signature Tests
+
+    [Fact(Timeout = 15000)]
+    public void GenerateBlobSas_ShouldReturnSignedUriTokenAndConnectionString()
+    {
+        // Arrange
+        var service = new AzuriteService("UseDevelopmentStorage=true;", _logger);
+        var options = new AzuriteSasOptions { Permissions = "r", ExpiresOn = DateTimeOffset.UtcNow.AddHours(1) };
+
+        // Act
+        var result = service.GenerateBlobSas("test-container", "folder/file.txt", options);
+
+        // Assert
+        result.Uri.AbsolutePath.Should().Be("/devstoreaccount1/test-container/folder/file.txt");
+        result.Uri.Query.Should().Be($"?{result.Token}");
+        result.Token.Should().Contain("sp=r").And.Contain("sr=b").And.Contain("se=").And.Contain("sig=");
+        result.ConnectionString.Should().Be($"BlobEndpoint=http://127.0.0.1:10000/devstoreaccount1;SharedAccessSignature={result.Token}");
+    }
+
+    [Fact(Timeout = 15000)]
+    public void GenerateContainerSas_WithStoredAccessPolicy_ShouldLinkToThePolicy()
+    {
+        // Arrange
+        var service = new AzuriteService("UseDevelopmentStorage=true;", _logger);
+        var options = new AzuriteSasOptions { Identifier = "read-only" };
+
+        // Act
+        var result = service.GenerateContainerSas("test-container", options);
+
+        // Assert
+        result.Uri.AbsolutePath.Should().Be("/devstoreaccount1/test-container");
+        result.Token.Should().Contain("si=read-only").And.Contain("sr=c");
+        result.Token.Should().NotContain("sp=").And.NotContain("se=");
+    }
+
+    [Fact(Timeout = 15000)]
+    public void GenerateContainerSas_WithRestrictions_ShouldIncludeThemInTheToken()
+    {
+        // Arrange
+        var service = new AzuriteService("UseDevelopmentStorage=true;", _logger);
+        var options = new AzuriteSasOptions
+        {
+            Permissions = "rl",
+            StartsOn = DateTimeOffset.UtcNow,
+            ExpiresOn = DateTimeOffset.UtcNow.AddHours(1),
+            IPRange = "10.0.0.1-10.0.0.255",
+            HttpsOnly = true
+        };
+
+        // Act
+        var result = service.GenerateContainerSas("test-container", options);
+
+        // Assert
+        result.Token.Should().Contain("sp=rl")
+            .And.Contain("st=")
+            .And.Contain("sip=10.0.0.1-10.0.0.255")
+            .And.Contain("spr=https&");
+    }
+
+    [Fact(Timeout = 15000)]
+    public void GenerateContainerSas_WithoutExpiryOrPolicy_ShouldThrow()
+    {
+        // Arrange
+        var service = new AzuriteService("UseDevelopmentStorage=true;", _logger);
+        var options = new AzuriteSasOptions { Permissions = "r" };
+
+        // Act
+        Action act = () => service.GenerateContainerSas("test-container", options);
+
+        // Assert
+        act.Should().Throw<Exception>();
+    }
+
+    #endregion
+
     #region ValidateConnectionString Tests
 
     [Fact(Timeout = 15000)]
@@ -795,6 +889,65 @@ public class AzuriteService_Tests
 
     #endregion
 
+    #region CreateQueueServiceClient Tests
+
+    [Fact(Timeout = 15000)]
+    public void CreateQueueServiceClient_WithoutQueueEndpoint_ShouldUseThePortAfterTheBlobEndpoint()
+    {
+        // Arrange
+        var connectionString = AzuriteService.ValidateConnectionString("AccountName=devstoreaccount1;AccountKey=dGVzdGtleQ==;BlobEndpoint=http://azurite:10000/devstoreaccount1");
+
+        // Act
+        var client = AzuriteService.CreateQueueServiceClient(connectionString);
+
+        // Assert
+        client.Should().NotBeNull();
+        client!.Uri.Should().Be(new Uri("http://azurite:10001/devstoreaccount1"));
+    }
+
+    [Fact(Timeout = 15000)]
+    public void CreateQueueServiceClient_WithQueueEndpoint_ShouldUseTheQueueEndpoint()
+    {
+        // Arrange
+        var connectionString = AzuriteService.ValidateConnectionString("AccountName=devstoreaccount1;AccountKey=dGVzdGtleQ==;BlobEndpoint=http://azurite:10000/devstoreaccount1;QueueEndpoint=http://queues:20001/devstoreaccount1");
+
+        // Act
+        var client = AzuriteService.CreateQueueServiceClient(connectionString);
+
+        // Assert
+        client.Should().NotBeNull();
+        client!.Uri.Should().Be(new Uri("http://queues:20001/devstoreaccount1"));
+    }
+
+    [Fact(Timeout = 15000)]
+    public void CreateQueueServiceClient_WithoutQueueEndpointOrBlobPort_ShouldReturnNull()
+    {
+        // Arrange
+        var connectionString = AzuriteService.ValidateConnectionString("AccountName=devstoreaccount1;AccountKey=dGVzdGtleQ==;BlobEndpoint=http://azurite/devstoreaccount1");
+
+        // Act
+        var client = AzuriteService.CreateQueueServiceClient(connectionString);
+
+        // Assert
+        client.Should().BeNull();
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task GetQueueAsync_WithoutQueueService_ShouldThrowAzuriteServiceException()
+    {
+        // Arrange
+        var service = new AzuriteService("AccountName=devstoreaccount1;AccountKey=dGVzdGtleQ==;BlobEndpoint=http://azurite/devstoreaccount1", _logger);
+
+        // Act
+        Func<Task> act = async () => await service.GetQueueAsync("orders");
+
+        // Assert
+        var ex = await act.Should().ThrowAsync<AzuriteServiceException>().WithMessage("*QueueEndpoint*");
+        ex.Which.StatusCode.Should().Be(StatusCodes.Status503ServiceUnavailable);
+    }
+
+    #endregion
+
     #region GetHealthStatusAsync Tests
 
     [Fact(Timeout = 15000)]
@@ -147,6 +147,62 @@ public class AzuriteServiceExceptions_Tests
 
     #endregion
 
+    #region PreconditionFailedException Tests
+
+    [Fact(Timeout = 15000)]
+    public void PreconditionFailedException_DefaultConstructor_ShouldSetStatusCode412()
+    {
+        // Arrange & Act
+        var exception = new PreconditionFailedException();
+
+        // Assert
+        exception.StatusCode.Should().Be(StatusCodes.Status412PreconditionFailed);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void PreconditionFailedException_WithMessageAndInnerException_ShouldSetAllProperties()
+    {
+        // Arrange
+        var message = "Blob 'test.txt' has been changed";
+        var innerException = new InvalidOperationException("Inner error");
+
+        // Act
+        var exception = new PreconditionFailedException(message, innerException);
+
+        // Assert
+        exception.StatusCode.Should().Be(StatusCodes.Status412PreconditionFailed);
+        exception.Message.Should().Be(message);
+        exception.InnerException.Should().Be(innerException);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void PreconditionFailedException_ResourceNameAndETag_ShouldBeSettable()
+    {
+        // Arrange
+        var exception = new PreconditionFailedException("Test message");
+
+        // Act
+        exception.ResourceName = "test.txt";
+        exception.ETag = "0x8D1234567890ABC";
+
+        // Assert
+        exception.ResourceName.Should().Be("test.txt");
+        exception.ETag.Should().Be("0x8D1234567890ABC");
+    }
+
+    [Fact(Timeout = 15000)]
+    public void PreconditionFailedException_ShouldBeAssignableToAzuriteServiceException()
+    {
+        // Arrange & Act
+        Exception exception = new PreconditionFailedException("Test");
+
+        // Assert
+        exception.Should().BeAssignableTo<AzuriteServiceException>();
+        ((AzuriteServiceException)exception).StatusCode.Should().Be(StatusCodes.Status412PreconditionFailed);
+    }
+
+    #endregion
+
     #region RangeNotSatisfiableException Tests
 
     [Fact(Timeout = 15000)]
@@ -676,9 +676,11 @@ public class CacheDbContext_Tests : SqliteDbTests
         var cacheCopyId = Guid.NewGuid().ToString("N");
 
         // Act
-        await context.UpsertBlobsAsync([existingBlobItem, newBlobItem], "test-container", cacheCopyId, CancellationToken.None);
+        var (added, updated) = await context.UpsertBlobsAsync([existingBlobItem, newBlobItem], "test-container", cacheCopyId, CancellationToken.None);
 
         // Assert
+        added.Should().Be(1);
+        updated.Should().Be(1);
         var blobs = await context.Blobs.ToListAsync();
         blobs.Should().HaveCount(2)
             .And.Contain(b => b.Name == "existing.txt" && b.ETag == "new-etag")
@@ -1006,6 +1008,57 @@ public class CacheDbContext_Tests : SqliteDbTests
         remainingBlobs[0].ContainerName.Should().Be("container-2");
     }
 
+    [Fact(Timeout = 15000)]
+    public async Task RemoveBlobAsync_ShouldUpdateContainerStatistics()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+
+        // Create container first due to foreign key constraint
+        var container = new ContainerModel
+        {
+            Name = "test-container",
+            CachedCopyId = Guid.NewGuid().ToString("N"),
+            ETag = "container-etag",
+            LastModified = DateTimeOffset.UtcNow,
+            BlobCount = 2,
+            TotalSize = 300
+        };
+        context.Containers.Add(container);
+        await context.SaveChangesAsync();
+
+        var blob1 = new BlobModel
+        {
+            Name = "blob-1.txt",
+            ContainerName = "test-container",
+            CachedCopyId = Guid.NewGuid().ToString("N"),
+            ETag = "etag-1",
+            LastModified = DateTimeOffset.UtcNow,
+            CreatedOn = DateTimeOffset.UtcNow,
+            ContentLength = 100
+        };
+        var blob2 = new BlobModel
+        {
+            Name = "blob-2.txt",
+            ContainerName = "test-container",
+            CachedCopyId = Guid.NewGuid().ToString("N"),
+            ETag = "etag-2",
+            LastModified = DateTimeOffset.UtcNow,
+            CreatedOn = DateTimeOffset.UtcNow,
+            ContentLength = 200
+        };
+        context.Blobs.AddRange(blob1, blob2);
+        await context.SaveChangesAsync();
+
+        // Act
+        await context.RemoveBlobAsync("test-container", "blob-1.txt", CancellationToken.None);
+
+        // Assert
+        var updatedContainer = await context.Containers.SingleAsync(c => c.Name == "test-container");
+        updatedContainer.BlobCount.Should().Be(1);
+        updatedContainer.TotalSize.Should().Be(200);
+    }
+
     #endregion
 
     #region RemoveContainerAsync Tests
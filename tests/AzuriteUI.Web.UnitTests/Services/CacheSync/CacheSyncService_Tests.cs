@@ -2,9 +2,11 @@ using AzuriteUI.Web.Services.Azurite;
 using AzuriteUI.Web.Services.Azurite.Models;
 using AzuriteUI.Web.Services.CacheDb.Models;
 using AzuriteUI.Web.Services.CacheSync;
+using AzuriteUI.Web.Services.CacheSync.Models;
 using AzuriteUI.Web.UnitTests.Helpers;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Logging.Testing;
+using Microsoft.Extensions.Time.Testing;
 using NSubstitute;
 
 namespace AzuriteUI.Web.UnitTests.Services.CacheSync;
@@ -14,6 +16,7 @@ public class CacheSyncService_Tests : SqliteDbTests
 {
     private readonly IAzuriteService _service = Substitute.For<IAzuriteService>();
     private readonly FakeLogger<CacheSyncService> _logger = new();
+    private readonly CacheSyncTracker _tracker = new(new FakeTimeProvider(), Utils.CreateConfiguration());
 
     #region SynchronizeCacheAsync Tests
 
@@ -23,7 +26,7 @@ public class CacheSyncService_Tests : SqliteDbTests
         // Arrange
         using var context = CreateDbContext();
         _service.GetContainersAsync(Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable<AzuriteContainerItem>([]));
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
 
         // Act
         await cacheSyncService.SynchronizeCacheAsync();
@@ -41,7 +44,7 @@ public class CacheSyncService_Tests : SqliteDbTests
         var container = CreateContainerItem("container1");
         _service.GetContainersAsync(Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable([container]));
         _service.GetBlobsAsync("container1", Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable<AzuriteBlobItem>([]));
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
 
         // Act
         await cacheSyncService.SynchronizeCacheAsync();
@@ -61,7 +64,7 @@ public class CacheSyncService_Tests : SqliteDbTests
         var blob1 = CreateBlobItem("blob1.txt", contentLength: 1024);
         var blob2 = CreateBlobItem("blob2.txt", contentLength: 2048);
         _service.GetBlobsAsync("container1", Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable([blob1, blob2]));
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
 
         // Act
         await cacheSyncService.SynchronizeCacheAsync();
@@ -88,7 +91,7 @@ public class CacheSyncService_Tests : SqliteDbTests
         _service.GetContainersAsync(Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable([container1, container2]));
         _service.GetBlobsAsync("container1", Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable<AzuriteBlobItem>([]));
         _service.GetBlobsAsync("container2", Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable<AzuriteBlobItem>([]));
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
 
         // Act
         await cacheSyncService.SynchronizeCacheAsync();
@@ -111,7 +114,7 @@ public class CacheSyncService_Tests : SqliteDbTests
         _service.GetContainersAsync(Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable([container1]));
         _service.GetBlobsAsync("container1", Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable<AzuriteBlobItem>([]));
 
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
         await cacheSyncService.SynchronizeCacheAsync();
 
         // Second sync with container2
@@ -134,7 +137,7 @@ public class CacheSyncService_Tests : SqliteDbTests
         using var context = CreateDbContext();
         var cts = new CancellationTokenSource();
         _service.GetContainersAsync(Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable<AzuriteContainerItem>([]));
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
 
         // Act
         await cacheSyncService.SynchronizeCacheAsync(cts.Token);
@@ -150,7 +153,7 @@ public class CacheSyncService_Tests : SqliteDbTests
         using var context = CreateDbContext();
         _service.GetContainersAsync(Arg.Any<CancellationToken>())
             .Returns(Utils.CreateAsyncEnumerableWithException<AzuriteContainerItem>(new InvalidOperationException("Test exception")));
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
 
         // Act
         Func<Task> act = async () => await cacheSyncService.SynchronizeCacheAsync();
@@ -169,7 +172,7 @@ public class CacheSyncService_Tests : SqliteDbTests
         _service.GetBlobsAsync("container1", Arg.Any<CancellationToken>())
             .Returns(Utils.CreateAsyncEnumerableWithException<AzuriteBlobItem>(new InvalidOperationException("Blob error")));
 
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
 
         // Act
         Func<Task> act = async () => await cacheSyncService.SynchronizeCacheAsync();
@@ -180,6 +183,93 @@ public class CacheSyncService_Tests : SqliteDbTests
 
     #endregion
 
+    #region Progress Tracking Tests
+
+    [Fact(Timeout = 15000)]
+    public async Task SynchronizeCacheAsync_OnFirstRun_ShouldRecordAddedItems()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var container = CreateContainerItem("container1");
+        _service.GetContainersAsync(Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable([container]));
+        _service.GetBlobsAsync("container1", Arg.Any<CancellationToken>())
+            .Returns(Utils.CreateAsyncEnumerable([CreateBlobItem("blob1.txt"), CreateBlobItem("blob2.txt")]));
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
+
+        // Act
+        await cacheSyncService.SynchronizeCacheAsync();
+
+        // Assert
+        _tracker.CurrentRun.Should().BeNull();
+        var run = _tracker.History.Should().ContainSingle().Subject;
+        run.Status.Should().Be(CacheSyncStatus.Succeeded);
+        run.ExpectedContainers.Should().Be(0);
+        run.ContainersProcessed.Should().Be(1);
+        run.BlobsProcessed.Should().Be(2);
+        run.ItemsAdded.Should().Be(3);
+        run.ItemsUpdated.Should().Be(0);
+        run.ItemsRemoved.Should().Be(0);
+        run.FinishedAt.Should().NotBeNull();
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task SynchronizeCacheAsync_OnSecondRun_ShouldRecordUpdatedAndRemovedItems()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        _service.GetContainersAsync(Arg.Any<CancellationToken>())
+            .Returns(Utils.CreateAsyncEnumerable([CreateContainerItem("container1"), CreateContainerItem("container2")]));
+        _service.GetBlobsAsync("container1", Arg.Any<CancellationToken>())
+            .Returns(Utils.CreateAsyncEnumerable([CreateBlobItem("blob1.txt"), CreateBlobItem("blob2.txt")]));
+        _service.GetBlobsAsync("container2", Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable<AzuriteBlobItem>([]));
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
+        await cacheSyncService.SynchronizeCacheAsync();
+
+        // container2 and blob2.txt have been deleted, and blob1.txt has changed
+        _service.GetContainersAsync(Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable([CreateContainerItem("container1")]));
+        _service.GetBlobsAsync("container1", Arg.Any<CancellationToken>())
+            .Returns(Utils.CreateAsyncEnumerable([CreateBlobItem("blob1.txt", etag: "\"0x8DA\"")]));
+
+        // Act
+        await cacheSyncService.SynchronizeCacheAsync();
+
+        // Assert
+        _tracker.History.Should().HaveCount(2);
+        var run = _tracker.History[0];
+        run.Status.Should().Be(CacheSyncStatus.Succeeded);
+        run.ExpectedContainers.Should().Be(2);
+        run.ContainersProcessed.Should().Be(1);
+        run.BlobsProcessed.Should().Be(1);
+        run.ItemsAdded.Should().Be(0);
+        run.ItemsUpdated.Should().Be(1);
+        run.ItemsRemoved.Should().Be(2);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task SynchronizeCacheAsync_WhenGetBlobsThrows_ShouldRecordFailedRun()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var container = CreateContainerItem("container1");
+        _service.GetContainersAsync(Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable([container]));
+        _service.GetBlobsAsync("container1", Arg.Any<CancellationToken>())
+            .Returns(Utils.CreateAsyncEnumerableWithException<AzuriteBlobItem>(new InvalidOperationException("Blob error")));
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
+
+        // Act
+        Func<Task> act = async () => await cacheSyncService.SynchronizeCacheAsync();
+
+        // Assert
+        await act.Should().ThrowAsync<InvalidOperationException>();
+        _tracker.CurrentRun.Should().BeNull();
+        var run = _tracker.History.Should().ContainSingle().Subject;
+        run.Status.Should().Be(CacheSyncStatus.Failed);
+        run.Error.Should().Be("Blob error");
+        run.ContainersProcessed.Should().Be(0);
+    }
+
+    #endregion
+
     #region UpdateSizeAndCount Tests
 
     [Fact(Timeout = 15000)]
@@ -265,7 +355,7 @@ public class CacheSyncService_Tests : SqliteDbTests
     {
         // Arrange
         using var context = CreateDbContext();
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
 
         var oldContainer = new ContainerModel
         {
@@ -283,9 +373,10 @@ public class CacheSyncService_Tests : SqliteDbTests
         await context.SaveChangesAsync();
 
         // Act
-        await cacheSyncService.CleanupOldCacheEntriesAsync("new-id");
+        var removed = await cacheSyncService.CleanupOldCacheEntriesAsync("new-id");
 
         // Assert
+        removed.Should().Be(1);
         var containers = await context.Containers.ToListAsync();
         containers.Should().ContainSingle(x => x.Name == "new-container");
     }
@@ -295,7 +386,7 @@ public class CacheSyncService_Tests : SqliteDbTests
     {
         // Arrange
         using var context = CreateDbContext();
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
 
         // Create container first (required for foreign key constraint)
         var container = new ContainerModel
@@ -337,7 +428,7 @@ public class CacheSyncService_Tests : SqliteDbTests
     {
         // Arrange
         using var context = CreateDbContext();
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
 
         var container1 = new ContainerModel
         {
@@ -374,7 +465,7 @@ public class CacheSyncService_Tests : SqliteDbTests
     {
         // Arrange
         using var context = CreateDbContext();
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
 
         // Act
         await cacheSyncService.CleanupStaleUploadsAsync();
@@ -389,7 +480,7 @@ public class CacheSyncService_Tests : SqliteDbTests
     {
         // Arrange
         using var context = CreateDbContext();
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
 
         var recentUpload = new UploadModel
         {
@@ -414,7 +505,7 @@ public class CacheSyncService_Tests : SqliteDbTests
     {
         // Arrange
         using var context = CreateDbContext();
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
 
         var staleUpload = new UploadModel
         {
@@ -439,7 +530,7 @@ public class CacheSyncService_Tests : SqliteDbTests
     {
         // Arrange
         using var context = CreateDbContext();
-        var cacheSyncService = new CacheSyncService(context, _service, _logger);
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
 
         var staleUpload = new UploadModel
         {
@@ -467,4 +558,53 @@ public class CacheSyncService_Tests : SqliteDbTests
     }
 
     #endregion
+
+    #region RecordStorageSampleAsync Tests
+
+    [Fact(Timeout = 15000)]
+    public async Task SynchronizeCacheAsync_ShouldRecordStorageSample()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var container = CreateContainerItem("container1");
+        _service.GetContainersAsync(Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable([container]));
+        _service.GetBlobsAsync("container1", Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable(
+        [
+            CreateBlobItem("blob1.txt", contentLength: 100),
+            CreateBlobItem("blob2.txt", contentLength: 250)
+        ]));
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
+
+        // Act
+        await cacheSyncService.SynchronizeCacheAsync();
+
+        // Assert
+        var sample = (await context.StorageSamples.ToListAsync()).Should().ContainSingle().Subject;
+        sample.ContainerCount.Should().Be(1);
+        sample.BlobCount.Should().Be(2);
+        sample.TotalSize.Should().Be(350);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task RecordStorageSampleAsync_ShouldRemoveExpiredSamples()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var now = DateTimeOffset.UtcNow;
+        context.StorageSamples.AddRange(
+            new StorageSampleModel { SampledAt = now - CacheSyncService.SampleRetention - TimeSpan.FromDays(1) },
+            new StorageSampleModel { SampledAt = now - TimeSpan.FromDays(1) });
+        await context.SaveChangesAsync();
+        var cacheSyncService = new CacheSyncService(context, _service, _tracker, _logger);
+
+        // Act
+        await cacheSyncService.RecordStorageSampleAsync();
+
+        // Assert
+        var samples = await context.StorageSamples.OrderBy(s => s.Id).ToListAsync();
+        samples.Should().HaveCount(2);
+        samples.Should().OnlyContain(s => s.SampledAt > now - CacheSyncService.SampleRetention);
+    }
+
+    #endregion
 }
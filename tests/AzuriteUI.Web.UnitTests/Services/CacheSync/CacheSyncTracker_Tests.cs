@@ -0,0 +1,214 @@
+using AzuriteUI.Web.Services.CacheSync;
+using AzuriteUI.Web.Services.CacheSync.Models;
+using AzuriteUI.Web.UnitTests.Helpers;
+using Microsoft.Extensions.Time.Testing;
+
+namespace AzuriteUI.Web.UnitTests.Services.CacheSync;
+
+[ExcludeFromCodeCoverage]
+public class CacheSyncTracker_Tests
+{
+    private readonly FakeTimeProvider _timeProvider = new(new DateTimeOffset(2025, 1, 1, 12, 0, 0, TimeSpan.Zero));
+
+    #region HistorySize Tests
+
+    [Fact(Timeout = 15000)]
+    public void HistorySize_WithoutConfiguration_ShouldDefaultTo20()
+    {
+        // Arrange
+        var tracker = new CacheSyncTracker(_timeProvider, Utils.CreateConfiguration());
+
+        // Act
+        var historySize = tracker.HistorySize;
+
+        // Assert
+        historySize.Should().Be(20);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void HistorySize_WithConfiguredValue_ShouldReturnConfiguredValue()
+    {
+        // Arrange
+        var tracker = new CacheSyncTracker(_timeProvider, Utils.CreateConfiguration(new Dictionary<string, string?>
+        {
+            ["CacheSync:HistorySize"] = "5"
+        }));
+
+        // Act
+        var historySize = tracker.HistorySize;
+
+        // Assert
+        historySize.Should().Be(5);
+    }
+
+    #endregion
+
+    #region Run Tests
+
+    [Fact(Timeout = 15000)]
+    public void CurrentRun_WithoutRun_ShouldBeNull()
+    {
+        // Arrange
+        var tracker = new CacheSyncTracker(_timeProvider, Utils.CreateConfiguration());
+
+        // Act
+        var run = tracker.CurrentRun;
+
+        // Assert
+        run.Should().BeNull();
+        tracker.History.Should().BeEmpty();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void StartRun_ShouldRecordRunningRun()
+    {
+        // Arrange
+        var tracker = new CacheSyncTracker(_timeProvider, Utils.CreateConfiguration());
+
+        // Act
+        var started = tracker.StartRun(3);
+
+        // Assert
+        var run = tracker.CurrentRun;
+        run.Should().NotBeNull();
+        run!.Id.Should().Be(started.Id);
+        run.Status.Should().Be(CacheSyncStatus.Running);
+        run.StartedAt.Should().Be(_timeProvider.GetUtcNow());
+        run.ExpectedContainers.Should().Be(3);
+        run.FinishedAt.Should().BeNull();
+        run.DurationMilliseconds.Should().BeNull();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ReportProgress_ShouldAccumulateCounts()
+    {
+        // Arrange
+        var tracker = new CacheSyncTracker(_timeProvider, Utils.CreateConfiguration());
+        tracker.StartRun(2);
+
+        // Act
+        tracker.StartContainer("photos");
+        tracker.ReportProgress(blobsProcessed: 10, itemsAdded: 4, itemsUpdated: 1);
+        var during = tracker.CurrentRun!;
+        tracker.ReportProgress(blobsProcessed: 5, itemsAdded: 1, itemsRemoved: 2);
+        tracker.FinishContainer();
+
+        // Assert
+        during.CurrentContainer.Should().Be("photos");
+        during.BlobsProcessed.Should().Be(10);
+
+        var run = tracker.CurrentRun!;
+        run.CurrentContainer.Should().BeNull();
+        run.ContainersProcessed.Should().Be(1);
+        run.BlobsProcessed.Should().Be(15);
+        run.ItemsAdded.Should().Be(5);
+        run.ItemsUpdated.Should().Be(1);
+        run.ItemsRemoved.Should().Be(2);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ReportProgress_WithoutRun_ShouldBeIgnored()
+    {
+        // Arrange
+        var tracker = new CacheSyncTracker(_timeProvider, Utils.CreateConfiguration());
+
+        // Act
+        tracker.StartContainer("photos");
+        tracker.ReportProgress(blobsProcessed: 10);
+        tracker.FinishContainer();
+        tracker.FinishRun();
+
+        // Assert
+        tracker.CurrentRun.Should().BeNull();
+        tracker.History.Should().BeEmpty();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void FinishRun_WithoutException_ShouldMoveSucceededRunToHistory()
+    {
+        // Arrange
+        var tracker = new CacheSyncTracker(_timeProvider, Utils.CreateConfiguration());
+        tracker.StartRun(1);
+        _timeProvider.Advance(TimeSpan.FromSeconds(2.5));
+
+        // Act
+        tracker.FinishRun();
+
+        // Assert
+        tracker.CurrentRun.Should().BeNull();
+        var run = tracker.History.Should().ContainSingle().Subject;
+        run.Status.Should().Be(CacheSyncStatus.Succeeded);
+        run.FinishedAt.Should().Be(_timeProvider.GetUtcNow());
+        run.DurationMilliseconds.Should().Be(2500);
+        run.Error.Should().BeNull();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void FinishRun_WithException_ShouldRecordFailedRun()
+    {
+        // Arrange
+        var tracker = new CacheSyncTracker(_timeProvider, Utils.CreateConfiguration());
+        tracker.StartRun(1);
+
+        // Act
+        tracker.FinishRun(new InvalidOperationException("Azurite is not running"));
+
+        // Assert
+        var run = tracker.History.Should().ContainSingle().Subject;
+        run.Status.Should().Be(CacheSyncStatus.Failed);
+        run.Error.Should().Be("Azurite is not running");
+    }
+
+    [Fact(Timeout = 15000)]
+    public void FinishRun_WithCancellation_ShouldRecordCancelledRun()
+    {
+        // Arrange
+        var tracker = new CacheSyncTracker(_timeProvider, Utils.CreateConfiguration());
+        tracker.StartRun(1);
+
+        // Act
+        tracker.FinishRun(new OperationCanceledException());
+
+        // Assert
+        var run = tracker.History.Should().ContainSingle().Subject;
+        run.Status.Should().Be(CacheSyncStatus.Cancelled);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void FinishRun_BeyondHistorySize_ShouldKeepMostRecentRuns()
+    {
+        // Arrange
+        var tracker = new CacheSyncTracker(_timeProvider, Utils.CreateConfiguration(new Dictionary<string, string?>
+        {
+            ["CacheSync:HistorySize"] = "3"
+        }));
+        var runs = new List<CacheSyncRun>();
+
+        // Act
+        for (int i = 0; i < 5; i++)
+        {
+            runs.Add(tracker.StartRun(i));
+            tracker.FinishRun();
+        }
+
+        // Assert
+        tracker.History.Select(run => run.Id).Should().Equal(runs[4].Id, runs[3].Id, runs[2].Id);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void History_ShouldReturnCopies()
+    {
+        // Arrange
+        var tracker = new CacheSyncTracker(_timeProvider, Utils.CreateConfiguration());
+        tracker.StartRun(1);
+        tracker.FinishRun();
+
+        // Act
+        tracker.History[0].ItemsAdded = 100;
+
+        // Assert
+        tracker.History[0].ItemsAdded.Should().Be(0);
+    }
+
+    #endregion
+}
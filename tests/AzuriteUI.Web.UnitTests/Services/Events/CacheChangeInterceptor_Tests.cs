@@ -0,0 +1,205 @@
+using AzuriteUI.Web.Services.CacheDb;
+using AzuriteUI.Web.Services.Events;
+using AzuriteUI.Web.Services.Events.Models;
+using AzuriteUI.Web.UnitTests.Helpers;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging.Testing;
+
+namespace AzuriteUI.Web.UnitTests.Services.Events;
+
+[ExcludeFromCodeCoverage]
+public class CacheChangeInterceptor_Tests : SqliteDbTests
+{
+    private readonly StorageEventHub _hub = new(new FakeLogger<StorageEventHub>());
+
+    private CacheDbContext CreateInterceptedDbContext()
+        => CreateDbContext(new CacheChangeInterceptor(_hub));
+
+    private static List<StorageEvent> ReadEvents(StorageEventSubscription subscription)
+    {
+        List<StorageEvent> events = [];
+        while (subscription.Reader.TryRead(out var storageEvent))
+        {
+            events.Add(storageEvent);
+        }
+        return events;
+    }
+
+    #region Container Tests
+
+    [Fact(Timeout = 15000)]
+    public async Task SaveChanges_WithNewContainer_ShouldPublishContainerCreated()
+    {
+        // Arrange
+        using var context = CreateInterceptedDbContext();
+        using var subscription = _hub.Subscribe();
+
+        // Act
+        await context.UpsertContainerAsync(CreateContainerItem("photos", "\"etag-1\""));
+
+        // Assert
+        var events = ReadEvents(subscription);
+        events.Should().ContainSingle();
+        events[0].EventType.Should().Be(StorageEventType.ContainerCreated);
+        events[0].ContainerName.Should().Be("photos");
+        events[0].ETag.Should().Be("\"etag-1\"");
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task SaveChanges_WithChangedContainerETag_ShouldPublishContainerUpdated()
+    {
+        // Arrange
+        using var context = CreateInterceptedDbContext();
+        await context.UpsertContainerAsync(CreateContainerItem("photos", "\"etag-1\""));
+        using var subscription = _hub.Subscribe();
+
+        // Act
+        await context.UpsertContainerAsync(CreateContainerItem("photos", "\"etag-2\""));
+
+        // Assert
+        var events = ReadEvents(subscription);
+        events.Should().ContainSingle();
+        events[0].EventType.Should().Be(StorageEventType.ContainerUpdated);
+        events[0].ETag.Should().Be("\"etag-2\"");
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task SaveChanges_WithOnlyCachedCopyIdChanged_ShouldNotPublish()
+    {
+        // Arrange
+        using var context = CreateInterceptedDbContext();
+        var item = CreateContainerItem("photos", "\"etag-1\"");
+        await context.UpsertContainerAsync(item, "copy-1");
+        using var subscription = _hub.Subscribe();
+
+        // Act
+        await context.UpsertContainerAsync(item, "copy-2");
+
+        // Assert
+        ReadEvents(subscription).Should().BeEmpty();
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task SaveChanges_WithRemovedContainer_ShouldPublishContainerDeleted()
+    {
+        // Arrange
+        using var context = CreateInterceptedDbContext();
+        await context.UpsertContainerAsync(CreateContainerItem("photos"));
+        using var subscription = _hub.Subscribe();
+
+        // Act
+        await context.RemoveContainerAsync("photos");
+
+        // Assert
+        var events = ReadEvents(subscription);
+        events.Should().ContainSingle();
+        events[0].EventType.Should().Be(StorageEventType.ContainerDeleted);
+        events[0].ContainerName.Should().Be("photos");
+    }
+
+    #endregion
+
+    #region Blob Tests
+
+    [Fact(Timeout = 15000)]
+    public async Task SaveChanges_WithNewBlob_ShouldPublishBlobCreatedAndContainerUpdated()
+    {
+        // Arrange
+        using var context = CreateInterceptedDbContext();
+        await context.UpsertContainerAsync(CreateContainerItem("photos"));
+        using var subscription = _hub.Subscribe();
+
+        // Act
+        await context.UpsertBlobAsync(CreateBlobItem("cat.jpg", "\"blob-1\""), "photos");
+
+        // Assert
+        var events = ReadEvents(subscription);
+        events.Should().HaveCount(2);
+        events[0].EventType.Should().Be(StorageEventType.BlobCreated);
+        events[0].ContainerName.Should().Be("photos");
+        events[0].BlobName.Should().Be("cat.jpg");
+        events[0].ETag.Should().Be("\"blob-1\"");
+        events[1].EventType.Should().Be(StorageEventType.ContainerUpdated);
+        events[1].ContainerName.Should().Be("photos");
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task SaveChanges_WithChangedBlobETag_ShouldPublishBlobUpdated()
+    {
+        // Arrange
+        using var context = CreateInterceptedDbContext();
+        await context.UpsertContainerAsync(CreateContainerItem("photos"));
+        await context.UpsertBlobAsync(CreateBlobItem("cat.jpg", "\"blob-1\""), "photos");
+        using var subscription = _hub.Subscribe();
+
+        // Act
+        await context.UpsertBlobAsync(CreateBlobItem("cat.jpg", "\"blob-2\""), "photos");
+
+        // Assert
+        var events = ReadEvents(subscription);
+        events.Should().ContainSingle();
+        events[0].EventType.Should().Be(StorageEventType.BlobUpdated);
+        events[0].ETag.Should().Be("\"blob-2\"");
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task SaveChanges_WithRemovedBlob_ShouldPublishBlobDeletedAndContainerUpdated()
+    {
+        // Arrange
+        using var context = CreateInterceptedDbContext();
+        await context.UpsertContainerAsync(CreateContainerItem("photos"));
+        await context.UpsertBlobAsync(CreateBlobItem("cat.jpg"), "photos");
+        using var subscription = _hub.Subscribe();
+
+        // Act
+        await context.RemoveBlobAsync("photos", "cat.jpg");
+
+        // Assert
+        var events = ReadEvents(subscription);
+        events.Select(e => e.EventType).Should().Equal(StorageEventType.BlobDeleted, StorageEventType.ContainerUpdated);
+        events[0].BlobName.Should().Be("cat.jpg");
+    }
+
+    #endregion
+
+    #region Failure Tests
+
+    [Fact(Timeout = 15000)]
+    public async Task SaveChanges_WhenSaveFails_ShouldNotPublish()
+    {
+        // Arrange
+        using var context = CreateInterceptedDbContext();
+        await context.UpsertContainerAsync(CreateContainerItem("photos"));
+        using var subscription = _hub.Subscribe();
+
+        // A second context tracks a duplicate of the existing container, so the insert fails
+        using var otherContext = CreateInterceptedDbContext();
+        otherContext.Containers.Add(new() { Name = "photos", ETag = "\"duplicate\"" });
+
+        // Act
+        Func<Task> act = () => otherContext.SaveChangesAsync();
+
+        // Assert
+        await act.Should().ThrowAsync<DbUpdateException>();
+        ReadEvents(subscription).Should().BeEmpty();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void SaveChanges_Synchronous_ShouldPublish()
+    {
+        // Arrange
+        using var context = CreateInterceptedDbContext();
+        using var subscription = _hub.Subscribe();
+        context.Containers.Add(new() { Name = "photos", ETag = "\"etag-1\"" });
+
+        // Act
+        context.SaveChanges();
+
+        // Assert
+        var events = ReadEvents(subscription);
+        events.Should().ContainSingle();
+        events[0].EventType.Should().Be(StorageEventType.ContainerCreated);
+    }
+
+    #endregion
+}
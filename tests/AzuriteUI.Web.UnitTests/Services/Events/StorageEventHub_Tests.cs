@@ -0,0 +1,159 @@
+using AzuriteUI.Web.Services.Events;
+using AzuriteUI.Web.Services.Events.Models;
+using Microsoft.Extensions.Logging.Testing;
+
+namespace AzuriteUI.Web.UnitTests.Services.Events;
+
+[ExcludeFromCodeCoverage]
+public class StorageEventHub_Tests
+{
+    private readonly FakeLogger<StorageEventHub> _logger = new();
+
+    #region Publish Tests
+
+    [Fact(Timeout = 15000)]
+    public void Publish_WithSubscribers_ShouldSendEventToEachSubscriber()
+    {
+        // Arrange
+        var hub = new StorageEventHub(_logger);
+        using var first = hub.Subscribe();
+        using var second = hub.Subscribe();
+        var storageEvent = new StorageEvent { EventType = StorageEventType.BlobCreated, ContainerName = "photos", BlobName = "cat.jpg" };
+
+        // Act
+        hub.Publish(storageEvent);
+
+        // Assert
+        first.Reader.TryRead(out var firstEvent).Should().BeTrue();
+        firstEvent.Should().BeSameAs(storageEvent);
+        second.Reader.TryRead(out var secondEvent).Should().BeTrue();
+        secondEvent.Should().BeSameAs(storageEvent);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void Publish_WithoutSubscribers_ShouldNotThrow()
+    {
+        // Arrange
+        var hub = new StorageEventHub(_logger);
+
+        // Act
+        Action act = () => hub.Publish(new StorageEvent { EventType = StorageEventType.ContainerDeleted, ContainerName = "photos" });
+
+        // Assert
+        act.Should().NotThrow();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void Publish_WithNull_ShouldThrow()
+    {
+        // Arrange
+        var hub = new StorageEventHub(_logger);
+
+        // Act
+        Action act = () => hub.Publish(null!);
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void Publish_HealthEvent_ShouldBeRememberedAsLastHealthEvent()
+    {
+        // Arrange
+        var hub = new StorageEventHub(_logger);
+        var healthEvent = new StorageEvent { EventType = StorageEventType.HealthChanged, IsHealthy = true };
+
+        // Act
+        hub.Publish(healthEvent);
+        hub.Publish(new StorageEvent { EventType = StorageEventType.SyncStarted });
+
+        // Assert
+        hub.LastHealthEvent.Should().BeSameAs(healthEvent);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void Publish_WhenSubscriberIsFull_ShouldDropOldestEvents()
+    {
+        // Arrange
+        var hub = new StorageEventHub(_logger);
+        using var subscription = hub.Subscribe();
+
+        // Act
+        for (int i = 0; i < StorageEventHub.SubscriberCapacity + 10; i++)
+        {
+            hub.Publish(new StorageEvent { EventType = StorageEventType.BlobCreated, ContainerName = "photos", BlobName = $"blob-{i}" });
+        }
+
+        // Assert
+        subscription.Reader.Count.Should().Be(StorageEventHub.SubscriberCapacity);
+        subscription.Reader.TryRead(out var oldest).Should().BeTrue();
+        oldest!.BlobName.Should().Be("blob-10");
+    }
+
+    #endregion
+
+    #region Subscribe Tests
+
+    [Fact(Timeout = 15000)]
+    public void Subscribe_ShouldOnlyReceiveLaterEvents()
+    {
+        // Arrange
+        var hub = new StorageEventHub(_logger);
+        hub.Publish(new StorageEvent { EventType = StorageEventType.ContainerCreated, ContainerName = "before" });
+
+        // Act
+        using var subscription = hub.Subscribe();
+        hub.Publish(new StorageEvent { EventType = StorageEventType.ContainerCreated, ContainerName = "after" });
+
+        // Assert
+        subscription.Reader.TryRead(out var storageEvent).Should().BeTrue();
+        storageEvent!.ContainerName.Should().Be("after");
+        subscription.Reader.TryRead(out _).Should().BeFalse();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void Subscribe_Dispose_ShouldRemoveSubscriberAndCompleteReader()
+    {
+        // Arrange
+        var hub = new StorageEventHub(_logger);
+        var subscription = hub.Subscribe();
+        hub.SubscriberCount.Should().Be(1);
+
+        // Act
+        subscription.Dispose();
+        subscription.Dispose();
+
+        // Assert
+        hub.SubscriberCount.Should().Be(0);
+        subscription.Reader.Completion.IsCompleted.Should().BeTrue();
+    }
+
+    #endregion
+
+    #region StorageEvent Tests
+
+    [Theory(Timeout = 15000)]
+    [InlineData(StorageEventType.ContainerCreated, "container:created")]
+    [InlineData(StorageEventType.ContainerUpdated, "container:updated")]
+    [InlineData(StorageEventType.ContainerDeleted, "container:deleted")]
+    [InlineData(StorageEventType.BlobCreated, "blob:created")]
+    [InlineData(StorageEventType.BlobUpdated, "blob:updated")]
+    [InlineData(StorageEventType.BlobDeleted, "blob:deleted")]
+    [InlineData(StorageEventType.HealthChanged, "health:changed")]
+    [InlineData(StorageEventType.SyncStarted, "sync:started")]
+    [InlineData(StorageEventType.SyncFinished, "sync:finished")]
+    [InlineData(StorageEventType.SyncFailed, "sync:failed")]
+    public void StorageEvent_Type_ShouldBeEventName(StorageEventType eventType, string expected)
+    {
+        // Arrange
+        var storageEvent = new StorageEvent { EventType = eventType };
+
+        // Act
+        var actual = storageEvent.Type;
+
+        // Assert
+        actual.Should().Be(expected);
+    }
+
+    #endregion
+}
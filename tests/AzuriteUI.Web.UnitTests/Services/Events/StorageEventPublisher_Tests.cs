@@ -0,0 +1,214 @@
+using AzuriteUI.Web.Services.Azurite;
+using AzuriteUI.Web.Services.Azurite.Models;
+using AzuriteUI.Web.Services.CacheSync;
+using AzuriteUI.Web.Services.CacheSync.Models;
+using AzuriteUI.Web.Services.Events;
+using AzuriteUI.Web.Services.Events.Models;
+using AzuriteUI.Web.UnitTests.Helpers;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Logging.Testing;
+using Microsoft.Extensions.Time.Testing;
+using NSubstitute;
+using NSubstitute.ExceptionExtensions;
+
+namespace AzuriteUI.Web.UnitTests.Services.Events;
+
+[ExcludeFromCodeCoverage]
+public class StorageEventPublisher_Tests
+{
+    private readonly IQueueManager _queueManager = Substitute.For<IQueueManager>();
+    private readonly IAzuriteService _azuriteService = Substitute.For<IAzuriteService>();
+    private readonly IStorageEventHub _hub = Substitute.For<IStorageEventHub>();
+    private readonly FakeTimeProvider _timeProvider = new();
+    private readonly FakeLogger<StorageEventPublisher> _logger = new();
+
+    private StorageEventPublisher CreatePublisher(Dictionary<string, string?>? settings = null)
+        => new(_queueManager, _azuriteService, _hub, Utils.CreateConfiguration(settings), _timeProvider, _logger);
+
+    private void SetHealth(bool isHealthy, string? errorMessage = null)
+        => _azuriteService.GetHealthStatusAsync(Arg.Any<CancellationToken>()).Returns(new AzuriteHealthStatus
+        {
+            ConnectionString = "UseDevelopmentStorage=true",
+            IsHealthy = isHealthy,
+            ErrorMessage = errorMessage
+        });
+
+    #region HealthInterval Property Tests
+
+    [Fact(Timeout = 15000)]
+    public void HealthInterval_WithConfiguredValue_ShouldReturnConfiguredValue()
+    {
+        // Arrange
+        var publisher = CreatePublisher(new() { ["LiveUpdates:HealthInterval"] = "00:01:00" });
+
+        // Act
+        var interval = publisher.HealthInterval;
+
+        // Assert
+        interval.Should().Be(TimeSpan.FromMinutes(1));
+    }
+
+    [Fact(Timeout = 15000)]
+    public void HealthInterval_WithoutConfiguredValue_ShouldReturnDefaultValue()
+    {
+        // Arrange
+        var publisher = CreatePublisher();
+
+        // Act
+        var interval = publisher.HealthInterval;
+
+        // Assert
+        interval.Should().Be(TimeSpan.FromSeconds(15));
+    }
+
+    #endregion
+
+    #region OnQueueChanged Tests
+
+    [Theory(Timeout = 15000)]
+    [InlineData(QueueEvent.WorkStarted, StorageEventType.SyncStarted)]
+    [InlineData(QueueEvent.WorkFinished, StorageEventType.SyncFinished)]
+    [InlineData(QueueEvent.WorkErrored, StorageEventType.SyncFailed)]
+    public void OnQueueChanged_WithWorkEvent_ShouldPublishSyncEvent(QueueEvent queueEvent, StorageEventType expected)
+    {
+        // Arrange
+        var publisher = CreatePublisher();
+
+        // Act
+        publisher.OnQueueChanged(_queueManager, new QueueManagerEventArgs(queueEvent, new QueuedWork()));
+
+        // Assert
+        _hub.Received(1).Publish(Arg.Is<StorageEvent>(e => e.EventType == expected));
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData(QueueEvent.WorkEnqueued)]
+    [InlineData(QueueEvent.QueueStarted)]
+    [InlineData(QueueEvent.QueueStopped)]
+    public void OnQueueChanged_WithOtherEvent_ShouldNotPublish(QueueEvent queueEvent)
+    {
+        // Arrange
+        var publisher = CreatePublisher();
+
+        // Act
+        publisher.OnQueueChanged(_queueManager, new QueueManagerEventArgs(queueEvent));
+
+        // Assert
+        _hub.DidNotReceive().Publish(Arg.Any<StorageEvent>());
+    }
+
+    [Fact(Timeout = 15000)]
+    public void OnQueueChanged_WithError_ShouldIncludeMessage()
+    {
+        // Arrange
+        var publisher = CreatePublisher();
+
+        // Act
+        publisher.OnQueueChanged(_queueManager, new QueueManagerEventArgs(QueueEvent.WorkErrored, new QueuedWork(), new InvalidOperationException("Azurite is down")));
+
+        // Assert
+        _hub.Received(1).Publish(Arg.Is<StorageEvent>(e => e.EventType == StorageEventType.SyncFailed && e.Message == "Azurite is down"));
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task StartAsync_ShouldSubscribeToQueueChanges()
+    {
+        // Arrange
+        SetHealth(true);
+        var publisher = CreatePublisher();
+
+        // Act
+        await publisher.StartAsync(CancellationToken.None);
+        _queueManager.QueueChanged += Raise.EventWith(_queueManager, new QueueManagerEventArgs(QueueEvent.WorkStarted, new QueuedWork()));
+        await publisher.StopAsync(CancellationToken.None);
+        _queueManager.QueueChanged += Raise.EventWith(_queueManager, new QueueManagerEventArgs(QueueEvent.WorkFinished, new QueuedWork()));
+
+        // Assert
+        _hub.Received(1).Publish(Arg.Is<StorageEvent>(e => e.EventType == StorageEventType.SyncStarted));
+        _hub.DidNotReceive().Publish(Arg.Is<StorageEvent>(e => e.EventType == StorageEventType.SyncFinished));
+    }
+
+    #endregion
+
+    #region CheckHealthAsync Tests
+
+    [Fact(Timeout = 15000)]
+    public async Task CheckHealthAsync_FirstCheck_ShouldPublishHealth()
+    {
+        // Arrange
+        SetHealth(true);
+        var publisher = CreatePublisher();
+
+        // Act
+        await publisher.CheckHealthAsync();
+
+        // Assert
+        _hub.Received(1).Publish(Arg.Is<StorageEvent>(e => e.EventType == StorageEventType.HealthChanged && e.IsHealthy == true));
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task CheckHealthAsync_WithoutChange_ShouldNotPublishAgain()
+    {
+        // Arrange
+        SetHealth(true);
+        var publisher = CreatePublisher();
+        await publisher.CheckHealthAsync();
+
+        // Act
+        await publisher.CheckHealthAsync();
+
+        // Assert
+        _hub.Received(1).Publish(Arg.Any<StorageEvent>());
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task CheckHealthAsync_WhenHealthChanges_ShouldPublishWithErrorMessage()
+    {
+        // Arrange
+        SetHealth(true);
+        var publisher = CreatePublisher();
+        await publisher.CheckHealthAsync();
+        SetHealth(false, "Connection refused");
+
+        // Act
+        await publisher.CheckHealthAsync();
+
+        // Assert
+        _hub.Received(1).Publish(Arg.Is<StorageEvent>(e => e.IsHealthy == false && e.Message == "Connection refused"));
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task CheckHealthAsync_WhenCheckThrows_ShouldLogAndNotPublish()
+    {
+        // Arrange
+        _azuriteService.GetHealthStatusAsync(Arg.Any<CancellationToken>()).ThrowsAsync(new InvalidOperationException("Boom"));
+        var publisher = CreatePublisher();
+
+        // Act
+        await publisher.CheckHealthAsync();
+
+        // Assert
+        _hub.DidNotReceive().Publish(Arg.Any<StorageEvent>());
+        _logger.Collector.GetSnapshot().Should().Contain(r => r.Level == LogLevel.Error);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task StartAsync_ShouldCheckHealthImmediatelyAndAfterEachInterval()
+    {
+        // Arrange
+        SetHealth(true);
+        var publisher = CreatePublisher(new() { ["LiveUpdates:HealthInterval"] = "00:00:30" });
+
+        // Act
+        await publisher.StartAsync(CancellationToken.None);
+        await Task.Delay(100);
+        _timeProvider.Advance(TimeSpan.FromSeconds(30));
+        await Task.Delay(100);
+        await publisher.StopAsync(CancellationToken.None);
+
+        // Assert
+        await _azuriteService.Received(2).GetHealthStatusAsync(Arg.Any<CancellationToken>());
+    }
+
+    #endregion
+}
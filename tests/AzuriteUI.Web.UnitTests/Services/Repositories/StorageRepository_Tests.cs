@@ -1,3 +1,4 @@
+using AzuriteUI.Web.Controllers.Models;
 using AzuriteUI.Web.Services.Azurite;
 using AzuriteUI.Web.Services.Azurite.Exceptions;
 using AzuriteUI.Web.Services.Azurite.Models;
@@ -11,6 +12,9 @@ using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Logging;
 using NSubstitute;
 using NSubstitute.ExceptionExtensions;
+using System.IO.Compression;
+using System.Security.Cryptography;
+using System.Text;
 
 namespace AzuriteUI.Web.UnitTests.Services.Repositories;
 
@@ -212,6 +216,202 @@ public class StorageRepository_Tests : SqliteDbTests
 
     #endregion
 
+    #region FindBlobNames Tests
+
+    [Fact(Timeout = 15000)]
+    public async Task FindBlobNames_WithMetadataAndTagConditions_ShouldReturnMatchingBlobs()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "test-container");
+        await CreateContainerModelAsync(context, "other-container");
+
+        var matching = CreateBlobModel("match.txt", "test-container");
+        matching.Metadata = new Dictionary<string, string> { ["Env"] = "prod", ["team"] = "web" };
+        matching.Tags = new Dictionary<string, string> { ["status"] = "done" };
+        var wrongValue = CreateBlobModel("wrong-value.txt", "test-container");
+        wrongValue.Metadata = new Dictionary<string, string> { ["env"] = "Prod", ["team"] = "web" };
+        wrongValue.Tags = new Dictionary<string, string> { ["status"] = "done" };
+        var noTags = CreateBlobModel("no-tags.txt", "test-container");
+        noTags.Metadata = new Dictionary<string, string> { ["env"] = "prod", ["team"] = "web" };
+        var otherContainer = CreateBlobModel("match.txt", "other-container");
+        otherContainer.Metadata = new Dictionary<string, string> { ["env"] = "prod", ["team"] = "web" };
+        otherContainer.Tags = new Dictionary<string, string> { ["status"] = "done" };
+        context.Blobs.AddRange(matching, wrongValue, noTags, otherContainer);
+        await context.SaveChangesAsync();
+
+        var repository = CreateRepository(context);
+        IList<KeyValuePair<string, string>> metadata = [new("env", "prod"), new("team", "web")];
+        IList<KeyValuePair<string, string>> tags = [new("status", "done")];
+
+        // Act
+        var result = await repository.FindBlobNames("test-container", metadata, tags).ToListAsync();
+
+        // Assert
+        result.Should().ContainSingle().Which.Should().Be("match.txt");
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task FindBlobNames_ShouldComposeWithBlobsQuery()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "test-container");
+
+        var large = CreateBlobModel("large.txt", "test-container", contentLength: 4096);
+        large.Metadata = new Dictionary<string, string> { ["env"] = "prod" };
+        var small = CreateBlobModel("small.txt", "test-container", contentLength: 16);
+        small.Metadata = new Dictionary<string, string> { ["env"] = "prod" };
+        context.Blobs.AddRange(large, small, CreateBlobModel("other.txt", "test-container", contentLength: 4096));
+        await context.SaveChangesAsync();
+
+        var repository = CreateRepository(context);
+        var names = repository.FindBlobNames("test-container", [new("env", "prod")], []);
+
+        // Act
+        var result = await repository.Blobs.Where(b => b.ContentLength > 1024 && names.Contains(b.Name)).ToListAsync();
+
+        // Assert
+        result.Should().ContainSingle().Which.Name.Should().Be("large.txt");
+    }
+
+    #endregion
+
+    #region CopyBlobAsync Tests
+
+    [Fact(Timeout = 15000)]
+    public async Task CopyBlobAsync_ToAnotherContainer_ShouldCopyInAzuriteAndAddToCache()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "source");
+        await CreateContainerModelAsync(context, "destination");
+        context.Blobs.Add(CreateBlobModel("file.txt", "source"));
+        await context.SaveChangesAsync();
+        var repository = CreateRepository(context);
+
+        var copiedBlob = CreateBlobItem("renamed.txt", etag: "copy-etag", contentLength: 512);
+        copiedBlob.Metadata = new Dictionary<string, string> { ["author"] = "test" };
+        copiedBlob.Tags = new Dictionary<string, string> { ["status"] = "draft" };
+        _mockAzuriteService.CopyBlobAsync("source", "file.txt", "destination", "renamed.txt", false, Arg.Any<CancellationToken>())
+            .Returns(copiedBlob);
+
+        var dto = new CopyBlobDTO { DestinationContainerName = "destination", DestinationBlobName = "renamed.txt" };
+
+        // Act
+        var result = await repository.CopyBlobAsync("source", "file.txt", dto, CancellationToken.None);
+
+        // Assert
+        result.ContainerName.Should().Be("destination");
+        result.Name.Should().Be("renamed.txt");
+        result.ETag.Should().Be("copy-etag");
+        result.Metadata.Should().ContainKey("author").WhoseValue.Should().Be("test");
+        result.Tags.Should().ContainKey("status").WhoseValue.Should().Be("draft");
+
+        (await context.Blobs.AnyAsync(b => b.ContainerName == "source" && b.Name == "file.txt")).Should().BeTrue();
+        var destination = await context.Containers.SingleAsync(c => c.Name == "destination");
+        destination.BlobCount.Should().Be(1);
+        destination.TotalSize.Should().Be(512);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task CopyBlobAsync_WithNoDestinationContainer_ShouldCopyWithinContainer()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "source");
+        context.Blobs.Add(CreateBlobModel("file.txt", "source"));
+        await context.SaveChangesAsync();
+        var repository = CreateRepository(context);
+
+        _mockAzuriteService.CopyBlobAsync("source", "file.txt", "source", "copy.txt", true, Arg.Any<CancellationToken>())
+            .Returns(CreateBlobItem("copy.txt"));
+
+        // Act
+        var result = await repository.CopyBlobAsync("source", "file.txt", new CopyBlobDTO { DestinationBlobName = "copy.txt", Overwrite = true }, CancellationToken.None);
+
+        // Assert
+        result.ContainerName.Should().Be("source");
+        result.Name.Should().Be("copy.txt");
+        await _mockAzuriteService.Received(1).CopyBlobAsync("source", "file.txt", "source", "copy.txt", true, Arg.Any<CancellationToken>());
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task CopyBlobAsync_ToItself_ShouldThrowBadRequest()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "source");
+        var repository = CreateRepository(context);
+
+        // Act
+        Func<Task> act = async () => await repository.CopyBlobAsync("source", "file.txt", new CopyBlobDTO(), CancellationToken.None);
+
+        // Assert
+        var ex = await act.Should().ThrowAsync<AzuriteServiceException>();
+        ex.Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+        await _mockAzuriteService.DidNotReceiveWithAnyArgs().CopyBlobAsync(default!, default!, default!, default!, default, default);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task CopyBlobAsync_WithMissingDestinationContainer_ShouldThrowResourceNotFound()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "source");
+        var repository = CreateRepository(context);
+
+        // Act
+        Func<Task> act = async () => await repository.CopyBlobAsync("source", "file.txt", new CopyBlobDTO { DestinationContainerName = "missing" }, CancellationToken.None);
+
+        // Assert
+        var ex = await act.Should().ThrowAsync<ResourceNotFoundException>();
+        ex.Which.ResourceName.Should().Be("missing");
+        await _mockAzuriteService.DidNotReceiveWithAnyArgs().CopyBlobAsync(default!, default!, default!, default!, default, default);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task CopyBlobAsync_WhenDestinationExists_ShouldPropagateExceptionAndNotChangeCache()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "source");
+        context.Blobs.Add(CreateBlobModel("file.txt", "source"));
+        context.Blobs.Add(CreateBlobModel("other.txt", "source", etag: "other-etag"));
+        await context.SaveChangesAsync();
+        var repository = CreateRepository(context);
+
+        _mockAzuriteService.CopyBlobAsync("source", "file.txt", "source", "other.txt", false, Arg.Any<CancellationToken>())
+            .ThrowsAsync(new ResourceExistsException("exists") { ResourceName = "other.txt" });
+
+        // Act
+        Func<Task> act = async () => await repository.CopyBlobAsync("source", "file.txt", new CopyBlobDTO { DestinationBlobName = "other.txt" }, CancellationToken.None);
+
+        // Assert
+        await act.Should().ThrowAsync<ResourceExistsException>();
+        var other = await context.Blobs.SingleAsync(b => b.ContainerName == "source" && b.Name == "other.txt");
+        other.ETag.Should().Be("other-etag");
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData("", "file.txt")]
+    [InlineData("source", "")]
+    public async Task CopyBlobAsync_WithMissingSourceName_ShouldThrowBadRequest(string containerName, string blobName)
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+
+        // Act
+        Func<Task> act = async () => await repository.CopyBlobAsync(containerName, blobName, new CopyBlobDTO { DestinationBlobName = "copy.txt" }, CancellationToken.None);
+
+        // Assert
+        var ex = await act.Should().ThrowAsync<AzuriteServiceException>();
+        ex.Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+    }
+
+    #endregion
+
     #region DeleteBlobAsync Tests
 
     [Fact(Timeout = 15000)]
@@ -615,6 +815,68 @@ public class StorageRepository_Tests : SqliteDbTests
 
     #endregion
 
+    #region MoveBlobAsync Tests
+
+    [Fact(Timeout = 15000)]
+    public async Task MoveBlobAsync_ShouldCopyThenDeleteTheOriginal()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "source");
+        await CreateContainerModelAsync(context, "destination");
+        context.Blobs.Add(CreateBlobModel("file.txt", "source", contentLength: 512));
+        await context.SaveChangesAsync();
+        var repository = CreateRepository(context);
+
+        _mockAzuriteService.CopyBlobAsync("source", "file.txt", "destination", "file.txt", false, Arg.Any<CancellationToken>())
+            .Returns(CreateBlobItem("file.txt", contentLength: 512));
+        _mockAzuriteService.DeleteBlobAsync("source", "file.txt", Arg.Any<CancellationToken>())
+            .Returns(Task.CompletedTask);
+
+        // Act
+        var result = await repository.MoveBlobAsync("source", "file.txt", new CopyBlobDTO { DestinationContainerName = "destination" }, CancellationToken.None);
+
+        // Assert
+        result.ContainerName.Should().Be("destination");
+        result.Name.Should().Be("file.txt");
+        (await context.Blobs.AnyAsync(b => b.ContainerName == "source")).Should().BeFalse();
+        (await context.Blobs.AnyAsync(b => b.ContainerName == "destination" && b.Name == "file.txt")).Should().BeTrue();
+
+        Received.InOrder(() =>
+        {
+            _mockAzuriteService.CopyBlobAsync("source", "file.txt", "destination", "file.txt", false, Arg.Any<CancellationToken>());
+            _mockAzuriteService.DeleteBlobAsync("source", "file.txt", Arg.Any<CancellationToken>());
+        });
+
+        var source = await context.Containers.SingleAsync(c => c.Name == "source");
+        source.BlobCount.Should().Be(0);
+        source.TotalSize.Should().Be(0);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task MoveBlobAsync_WhenCopyFails_ShouldNotDeleteTheOriginal()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "source");
+        context.Blobs.Add(CreateBlobModel("file.txt", "source"));
+        await context.SaveChangesAsync();
+        var repository = CreateRepository(context);
+
+        _mockAzuriteService.CopyBlobAsync("source", "file.txt", "source", "renamed.txt", false, Arg.Any<CancellationToken>())
+            .ThrowsAsync(new ResourceExistsException("exists") { ResourceName = "renamed.txt" });
+
+        // Act
+        Func<Task> act = async () => await repository.MoveBlobAsync("source", "file.txt", new CopyBlobDTO { DestinationBlobName = "renamed.txt" }, CancellationToken.None);
+
+        // Assert
+        await act.Should().ThrowAsync<ResourceExistsException>();
+        (await context.Blobs.AnyAsync(b => b.ContainerName == "source" && b.Name == "file.txt")).Should().BeTrue();
+        await _mockAzuriteService.DidNotReceiveWithAnyArgs().DeleteBlobAsync(default!, default!, default);
+    }
+
+    #endregion
+
     #region UpdateBlobAsync Tests
 
     [Fact(Timeout = 15000)]
@@ -815,6 +1077,148 @@ public class StorageRepository_Tests : SqliteDbTests
 
     #endregion
 
+    #region Blob Snapshots Tests
+
+    private static AzuriteBlobItem CreateSnapshotItem(string name, string snapshot, long contentLength = 1024)
+    {
+        var item = CreateBlobItem(name, etag: $"etag-{snapshot}", contentLength: contentLength);
+        item.Snapshot = snapshot;
+        return item;
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task GetBlobSnapshotsAsync_ShouldReturnSnapshotsNewestFirst()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        _mockAzuriteService.GetBlobSnapshotsAsync("test-container", "file.txt", Arg.Any<CancellationToken>())
+            .Returns(Utils.CreateAsyncEnumerable(new[]
+            {
+                CreateSnapshotItem("file.txt", "2025-01-01T10:00:00.0000000Z", contentLength: 10),
+                CreateSnapshotItem("file.txt", "2025-03-01T10:00:00.0000000Z", contentLength: 30),
+                CreateSnapshotItem("file.txt", "2025-02-01T10:00:00.0000000Z", contentLength: 20)
+            }));
+
+        // Act
+        var result = await repository.GetBlobSnapshotsAsync("test-container", "file.txt", CancellationToken.None);
+
+        // Assert
+        result.Select(s => s.ContentLength).Should().Equal(30, 20, 10);
+        result[0].Snapshot.Should().Be("2025-03-01T10:00:00.0000000Z");
+        result[0].SnapshotTime.Should().Be(new DateTimeOffset(2025, 3, 1, 10, 0, 0, TimeSpan.Zero));
+        result[0].ContainerName.Should().Be("test-container");
+        result[0].Name.Should().Be("file.txt");
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task CreateBlobSnapshotAsync_ShouldReturnTheNewSnapshot()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        _mockAzuriteService.CreateBlobSnapshotAsync("test-container", "file.txt", Arg.Any<CancellationToken>())
+            .Returns(CreateSnapshotItem("file.txt", "2025-01-01T10:00:00.0000000Z"));
+
+        // Act
+        var result = await repository.CreateBlobSnapshotAsync("test-container", "file.txt", CancellationToken.None);
+
+        // Assert
+        result.Snapshot.Should().Be("2025-01-01T10:00:00.0000000Z");
+        result.ETag.Should().Be("etag-2025-01-01T10:00:00.0000000Z");
+        (await context.Blobs.CountAsync()).Should().Be(0, "snapshots are not cached");
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task PromoteBlobSnapshotAsync_ShouldUpdateTheCache()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "test-container");
+        context.Blobs.Add(CreateBlobModel("file.txt", "test-container", etag: "old-etag", contentLength: 100));
+        await context.SaveChangesAsync();
+        var repository = CreateRepository(context);
+
+        _mockAzuriteService.GetBlobSnapshotsAsync("test-container", "file.txt", Arg.Any<CancellationToken>())
+            .Returns(Utils.CreateAsyncEnumerable(new[] { CreateSnapshotItem("file.txt", "2025-01-01T10:00:00.0000000Z") }));
+        _mockAzuriteService.PromoteBlobSnapshotAsync("test-container", "file.txt", "2025-01-01T10:00:00.0000000Z", Arg.Any<CancellationToken>())
+            .Returns(CreateBlobItem("file.txt", etag: "restored-etag", contentLength: 50));
+
+        // Act
+        var result = await repository.PromoteBlobSnapshotAsync("test-container", "file.txt", "2025-01-01T10:00:00.0000000Z", CancellationToken.None);
+
+        // Assert
+        result.ETag.Should().Be("restored-etag");
+        result.ContentLength.Should().Be(50);
+        var container = await context.Containers.SingleAsync(c => c.Name == "test-container");
+        container.TotalSize.Should().Be(50);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task PromoteBlobSnapshotAsync_WithUnknownSnapshot_ShouldThrowResourceNotFound()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        _mockAzuriteService.GetBlobSnapshotsAsync("test-container", "file.txt", Arg.Any<CancellationToken>())
+            .Returns(Utils.CreateAsyncEnumerable(new[] { CreateSnapshotItem("file.txt", "2025-01-01T10:00:00.0000000Z") }));
+
+        // Act
+        Func<Task> act = async () => await repository.PromoteBlobSnapshotAsync("test-container", "file.txt", "2024-01-01T10:00:00.0000000Z", CancellationToken.None);
+
+        // Assert
+        await act.Should().ThrowAsync<ResourceNotFoundException>();
+        await _mockAzuriteService.DidNotReceive().PromoteBlobSnapshotAsync(Arg.Any<string>(), Arg.Any<string>(), Arg.Any<string>(), Arg.Any<CancellationToken>());
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task DownloadBlobSnapshotAsync_WithUnknownSnapshot_ShouldThrowResourceNotFound()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        _mockAzuriteService.GetBlobSnapshotsAsync("test-container", "file.txt", Arg.Any<CancellationToken>())
+            .Returns(Utils.CreateAsyncEnumerable(new[] { CreateSnapshotItem("file.txt", "2025-01-01T10:00:00.0000000Z") }));
+
+        // Act
+        Func<Task> act = async () => await repository.DownloadBlobSnapshotAsync("test-container", "file.txt", "2025-02-01T10:00:00.0000000Z", null, CancellationToken.None);
+
+        // Assert
+        await act.Should().ThrowAsync<ResourceNotFoundException>();
+        await _mockAzuriteService.DidNotReceiveWithAnyArgs().DownloadBlobSnapshotAsync(default!, default!, default!, default, default);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task DownloadBlobSnapshotAsync_ShouldReturnSnapshotContentAndProperties()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        const string snapshot = "2025-01-01T10:00:00.0000000Z";
+        _mockAzuriteService.GetBlobSnapshotsAsync("test-container", "file.txt", Arg.Any<CancellationToken>())
+            .Returns(Utils.CreateAsyncEnumerable(new[] { CreateSnapshotItem("file.txt", snapshot, contentLength: 5) }));
+        _mockAzuriteService.DownloadBlobSnapshotAsync("test-container", "file.txt", snapshot, null, Arg.Any<CancellationToken>())
+            .Returns(new AzuriteBlobDownloadResult
+            {
+                Content = new MemoryStream(Encoding.UTF8.GetBytes("hello")),
+                ContentLength = 5,
+                ContentType = "text/plain",
+                StatusCode = StatusCodes.Status200OK
+            });
+
+        // Act
+        var result = await repository.DownloadBlobSnapshotAsync("test-container", "file.txt", snapshot, null, CancellationToken.None);
+
+        // Assert
+        result.StatusCode.Should().Be(StatusCodes.Status200OK);
+        result.ETag.Should().Be($"etag-{snapshot}");
+        result.ContentLength.Should().Be(5);
+        using var reader = new StreamReader(result.Content!);
+        (await reader.ReadToEndAsync()).Should().Be("hello");
+    }
+
+    #endregion
+
     #region Containers Property Tests
 
     [Fact(Timeout = 15000)]
@@ -955,6 +1359,47 @@ public class StorageRepository_Tests : SqliteDbTests
 
     #endregion
 
+    #region FindContainerNames Tests
+
+    [Fact(Timeout = 15000)]
+    public async Task FindContainerNames_WithMetadataCondition_ShouldReturnMatchingContainers()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var matching = await CreateContainerModelAsync(context, "match");
+        matching.Metadata = new Dictionary<string, string> { ["owner"] = "café" };
+        var other = await CreateContainerModelAsync(context, "other");
+        other.Metadata = new Dictionary<string, string> { ["owner"] = "cafe" };
+        await CreateContainerModelAsync(context, "empty");
+        await context.SaveChangesAsync();
+
+        var repository = CreateRepository(context);
+
+        // Act
+        var result = await repository.FindContainerNames([new("OWNER", "café")]).ToListAsync();
+
+        // Assert
+        result.Should().ContainSingle().Which.Should().Be("match");
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task FindContainerNames_WithNoConditions_ShouldReturnAllContainers()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "first");
+        await CreateContainerModelAsync(context, "second");
+        var repository = CreateRepository(context);
+
+        // Act
+        var result = await repository.FindContainerNames([]).ToListAsync();
+
+        // Assert
+        result.Should().BeEquivalentTo(["first", "second"]);
+    }
+
+    #endregion
+
     #region CreateContainerAsync Tests
 
     [Fact(Timeout = 15000)]
@@ -1587,16 +2032,465 @@ public class StorageRepository_Tests : SqliteDbTests
 
     #endregion
 
-    #region ConvertToPublicAccessType Tests
+    #region Container Access Policy Tests
 
-    [Theory(Timeout = 15000)]
-    [InlineData("container", AzuritePublicAccess.Container)]
-    [InlineData("CONTAINER", AzuritePublicAccess.Container)]
-    [InlineData("CoNtAiNeR", AzuritePublicAccess.Container)]
-    [InlineData("blobcontainer", AzuritePublicAccess.Container)]
-    [InlineData("BLOBCONTAINER", AzuritePublicAccess.Container)]
-    [InlineData("blob", AzuritePublicAccess.Blob)]
-    [InlineData("BLOB", AzuritePublicAccess.Blob)]
+    [Fact(Timeout = 15000)]
+    public async Task GetContainerAccessPolicyAsync_ShouldConvertAzuriteAccessPolicy()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        var expiresOn = DateTimeOffset.UtcNow.AddDays(1);
+        _mockAzuriteService.GetContainerAccessPolicyAsync("test-container", Arg.Any<CancellationToken>())
+            .Returns(new AzuriteContainerAccessPolicy
+            {
+                PublicAccess = AzuritePublicAccess.Blob,
+                SignedIdentifiers = [new AzuriteSignedIdentifier { Id = "read-only", Permissions = "rl", ExpiresOn = expiresOn }]
+            });
+
+        // Act
+        var result = await repository.GetContainerAccessPolicyAsync("test-container", CancellationToken.None);
+
+        // Assert
+        result.PublicAccess.Should().Be("blob");
+        result.StoredAccessPolicies.Should().ContainSingle();
+        result.StoredAccessPolicies[0].Id.Should().Be("read-only");
+        result.StoredAccessPolicies[0].Permissions.Should().Be("rl");
+        result.StoredAccessPolicies[0].StartsOn.Should().BeNull();
+        result.StoredAccessPolicies[0].ExpiresOn.Should().Be(expiresOn);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task UpdateContainerAccessPolicyAsync_WithValidInput_ShouldUpdateAzuriteAndCache()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "existing-container");
+        var repository = CreateRepository(context);
+
+        var updatedAzuriteContainer = CreateContainerItem("existing-container", etag: "new-etag");
+        updatedAzuriteContainer.PublicAccess = AzuritePublicAccess.Container;
+        _mockAzuriteService.SetContainerAccessPolicyAsync("existing-container", Arg.Any<AzuriteContainerAccessPolicy>(), Arg.Any<CancellationToken>())
+            .Returns(updatedAzuriteContainer);
+
+        var dto = new ContainerAccessPolicyDTO
+        {
+            PublicAccess = "Container",
+            StoredAccessPolicies = [new StoredAccessPolicyDTO { Id = " read-only ", Permissions = "lr" }]
+        };
+
+        // Act
+        var result = await repository.UpdateContainerAccessPolicyAsync("existing-container", dto, CancellationToken.None);
+
+        // Assert
+        result.ETag.Should().Be("new-etag");
+        result.PublicAccess.Should().Be("container");
+        await _mockAzuriteService.Received(1).SetContainerAccessPolicyAsync(
+            "existing-container",
+            Arg.Is<AzuriteContainerAccessPolicy>(p =>
+                p.PublicAccess == AzuritePublicAccess.Container
+                && p.SignedIdentifiers.Count == 1
+                && p.SignedIdentifiers[0].Id == "read-only"
+                && p.SignedIdentifiers[0].Permissions == "rl"),
+            Arg.Any<CancellationToken>());
+
+        var cached = await context.Containers.FirstAsync(c => c.Name == "existing-container");
+        cached.ETag.Should().Be("new-etag");
+        cached.PublicAccess.Should().Be(AzuritePublicAccess.Container);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task UpdateContainerAccessPolicyAsync_WithInvalidPolicy_ShouldThrowBadRequestWithoutCallingAzurite()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "existing-container");
+        var repository = CreateRepository(context);
+        var dto = new ContainerAccessPolicyDTO
+        {
+            StoredAccessPolicies = [.. Enumerable.Range(1, 6).Select(i => new StoredAccessPolicyDTO { Id = $"policy-{i}", Permissions = "r" })]
+        };
+
+        // Act
+        Func<Task> act = async () => await repository.UpdateContainerAccessPolicyAsync("existing-container", dto, CancellationToken.None);
+
+        // Assert
+        var ex = await act.Should().ThrowAsync<AzuriteServiceException>();
+        ex.Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+        await _mockAzuriteService.DidNotReceiveWithAnyArgs().SetContainerAccessPolicyAsync(default!, default!, default);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ToAzuriteAccessPolicy_WithNoPolicies_ShouldReturnEmptyPolicy()
+    {
+        // Act
+        var result = StorageRepository.ToAzuriteAccessPolicy(new ContainerAccessPolicyDTO());
+
+        // Assert
+        result.PublicAccess.Should().Be(AzuritePublicAccess.None);
+        result.SignedIdentifiers.Should().BeEmpty();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ToAzuriteAccessPolicy_WithFivePolicies_ShouldSucceed()
+    {
+        // Arrange
+        var startsOn = DateTimeOffset.UtcNow;
+        var dto = new ContainerAccessPolicyDTO
+        {
+            StoredAccessPolicies = [.. Enumerable.Range(1, 5).Select(i => new StoredAccessPolicyDTO { Id = $"policy-{i}", StartsOn = startsOn, ExpiresOn = startsOn.AddDays(i) })]
+        };
+
+        // Act
+        var result = StorageRepository.ToAzuriteAccessPolicy(dto);
+
+        // Assert
+        result.SignedIdentifiers.Should().HaveCount(5);
+        result.SignedIdentifiers.Should().OnlyContain(i => i.Permissions == string.Empty && i.StartsOn == startsOn);
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData("", "r")]
+    [InlineData("   ", "r")]
+    [InlineData("this-identifier-is-far-too-long-to-be-used-as-a-stored-access-policy", "r")]
+    [InlineData("read-only", "rq")]
+    public void ToAzuriteAccessPolicy_WithInvalidPolicy_ShouldThrowBadRequest(string id, string permissions)
+    {
+        // Arrange
+        var dto = new ContainerAccessPolicyDTO
+        {
+            StoredAccessPolicies = [new StoredAccessPolicyDTO { Id = id, Permissions = permissions }]
+        };
+
+        // Act
+        Action act = () => StorageRepository.ToAzuriteAccessPolicy(dto);
+
+        // Assert
+        act.Should().Throw<AzuriteServiceException>().Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ToAzuriteAccessPolicy_WithDuplicateIdentifiers_ShouldThrowBadRequest()
+    {
+        // Arrange
+        var dto = new ContainerAccessPolicyDTO
+        {
+            StoredAccessPolicies = [new StoredAccessPolicyDTO { Id = "read-only", Permissions = "r" }, new StoredAccessPolicyDTO { Id = "read-only ", Permissions = "rl" }]
+        };
+
+        // Act
+        Action act = () => StorageRepository.ToAzuriteAccessPolicy(dto);
+
+        // Assert
+        act.Should().Throw<AzuriteServiceException>()
+            .Where(ex => ex.StatusCode == StatusCodes.Status400BadRequest && ex.Message.Contains("read-only"));
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ToAzuriteAccessPolicy_WithExpiryBeforeStart_ShouldThrowBadRequest()
+    {
+        // Arrange
+        var startsOn = DateTimeOffset.UtcNow;
+        var dto = new ContainerAccessPolicyDTO
+        {
+            StoredAccessPolicies = [new StoredAccessPolicyDTO { Id = "read-only", Permissions = "r", StartsOn = startsOn, ExpiresOn = startsOn.AddHours(-1) }]
+        };
+
+        // Act
+        Action act = () => StorageRepository.ToAzuriteAccessPolicy(dto);
+
+        // Assert
+        act.Should().Throw<AzuriteServiceException>().Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ToAzuriteAccessPolicy_WithInvalidPublicAccess_ShouldThrowBadRequest()
+    {
+        // Act
+        Action act = () => StorageRepository.ToAzuriteAccessPolicy(new ContainerAccessPolicyDTO { PublicAccess = "everyone" });
+
+        // Assert
+        act.Should().Throw<AzuriteServiceException>().Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+    }
+
+    #endregion
+
+    #region Queue Access Tests
+
+    private static AzuriteQueueMessage CreateQueueMessage(string messageId, string messageText)
+        => new() { MessageId = messageId, PopReceipt = "receipt", MessageText = messageText, DequeueCount = 1 };
+
+    [Fact(Timeout = 15000)]
+    public async Task GetQueuesAsync_ShouldReturnQueuesSortedByName()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        _mockAzuriteService.GetQueuesAsync(Arg.Any<CancellationToken>()).Returns(Utils.CreateAsyncEnumerable(new[]
+        {
+            new AzuriteQueueItem { Name = "orders", ApproximateMessagesCount = 3 },
+            new AzuriteQueueItem { Name = "invoices", Metadata = new Dictionary<string, string> { ["team"] = "billing" } }
+        }));
+
+        // Act
+        var result = await repository.GetQueuesAsync(CancellationToken.None);
+
+        // Assert
+        result.Select(q => q.Name).Should().Equal("invoices", "orders");
+        result[0].Metadata.Should().ContainKey("team").WhoseValue.Should().Be("billing");
+        result[1].ApproximateMessagesCount.Should().Be(3);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task GetQueueAsync_WhenQueueDoesNotExist_ShouldReturnNull()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        _mockAzuriteService.GetQueueAsync("missing", Arg.Any<CancellationToken>())
+            .ThrowsAsync(new ResourceNotFoundException("Queue not found") { ResourceName = "missing" });
+
+        // Act
+        var result = await repository.GetQueueAsync("missing", CancellationToken.None);
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task SendQueueMessageAsync_ShouldPassTimeoutsToAzurite()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        _mockAzuriteService.SendMessageAsync("orders", "hello", Arg.Any<TimeSpan?>(), Arg.Any<TimeSpan?>(), Arg.Any<CancellationToken>())
+            .Returns(CreateQueueMessage("message-1", "hello"));
+
+        // Act
+        var result = await repository.SendQueueMessageAsync("orders", new SendQueueMessageDTO { MessageText = "hello", VisibilityTimeout = 10, TimeToLive = -1 }, CancellationToken.None);
+
+        // Assert
+        result.MessageId.Should().Be("message-1");
+        result.PopReceipt.Should().Be("receipt");
+        await _mockAzuriteService.Received(1).SendMessageAsync("orders", "hello", TimeSpan.FromSeconds(10), TimeSpan.FromSeconds(-1), Arg.Any<CancellationToken>());
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData(0, 0)]
+    [InlineData(-2, 0)]
+    [InlineData(30, 60)]
+    [InlineData(60, -1)]
+    public async Task SendQueueMessageAsync_WithInvalidTimeouts_ShouldThrowBadRequest(int timeToLive, int visibilityTimeout)
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        var dto = new SendQueueMessageDTO { MessageText = "hello", VisibilityTimeout = visibilityTimeout, TimeToLive = timeToLive };
+
+        // Act
+        Func<Task> act = async () => await repository.SendQueueMessageAsync("orders", dto, CancellationToken.None);
+
+        // Assert
+        var ex = await act.Should().ThrowAsync<AzuriteServiceException>();
+        ex.Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+        await _mockAzuriteService.DidNotReceiveWithAnyArgs().SendMessageAsync(default!, default!, default, default, default);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task UpdateQueueMessageAsync_WithoutPopReceipt_ShouldThrowBadRequest()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        var dto = new UpdateQueueMessageDTO { PopReceipt = "", MessageText = "hello" };
+
+        // Act
+        Func<Task> act = async () => await repository.UpdateQueueMessageAsync("orders", "message-1", dto, CancellationToken.None);
+
+        // Assert
+        var ex = await act.Should().ThrowAsync<AzuriteServiceException>();
+        ex.Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData(0)]
+    [InlineData(33)]
+    public void ValidateMaxMessages_WithOutOfRangeValue_ShouldThrowBadRequest(int maxMessages)
+    {
+        // Act
+        var act = () => StorageRepository.ValidateMaxMessages(maxMessages);
+
+        // Assert
+        act.Should().Throw<AzuriteServiceException>().Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData(0)]
+    [InlineData(604800)]
+    public void ToVisibilityTimeout_WithValueInRange_ShouldReturnTimeSpan(int seconds)
+    {
+        // Act
+        var result = StorageRepository.ToVisibilityTimeout(seconds);
+
+        // Assert
+        result.Should().Be(TimeSpan.FromSeconds(seconds));
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData(-1)]
+    [InlineData(604801)]
+    public void ToVisibilityTimeout_WithValueOutOfRange_ShouldThrowBadRequest(int seconds)
+    {
+        // Act
+        var act = () => StorageRepository.ToVisibilityTimeout(seconds);
+
+        // Assert
+        act.Should().Throw<AzuriteServiceException>().Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+    }
+
+    #endregion
+
+    #region Shared Access Signature Tests
+
+    private static AzuriteSasToken CreateSasToken(string uri)
+        => new() { Uri = new Uri($"{uri}?sv=2025-01-05&sig=abc"), Token = "sv=2025-01-05&sig=abc", ConnectionString = "BlobEndpoint=http://127.0.0.1:10000/devstoreaccount1;SharedAccessSignature=sv=2025-01-05&sig=abc" };
+
+    [Fact(Timeout = 15000)]
+    public void GenerateBlobSas_ShouldPassCanonicalPermissionsToAzurite()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        var expiresOn = DateTimeOffset.UtcNow.AddHours(1);
+        _mockAzuriteService.GenerateBlobSas("test-container", "file.txt", Arg.Any<AzuriteSasOptions>())
+            .Returns(CreateSasToken("http://127.0.0.1:10000/devstoreaccount1/test-container/file.txt"));
+
+        // Act
+        var result = repository.GenerateBlobSas("test-container", "file.txt", new GenerateSasDTO { Permissions = "wr", ExpiresOn = expiresOn });
+
+        // Assert
+        result.Url.Should().Be("http://127.0.0.1:10000/devstoreaccount1/test-container/file.txt?sv=2025-01-05&sig=abc");
+        result.Token.Should().Be("sv=2025-01-05&sig=abc");
+        result.ConnectionString.Should().EndWith("SharedAccessSignature=sv=2025-01-05&sig=abc");
+        result.Permissions.Should().Be("rw");
+        result.ExpiresOn.Should().Be(expiresOn);
+        _mockAzuriteService.Received(1).GenerateBlobSas("test-container", "file.txt",
+            Arg.Is<AzuriteSasOptions>(o => o.Permissions == "rw" && o.ExpiresOn == expiresOn && o.Identifier == null && !o.HttpsOnly));
+    }
+
+    [Fact(Timeout = 15000)]
+    public void GenerateContainerSas_WithStoredAccessPolicy_ShouldNotRequirePermissionsOrExpiry()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        _mockAzuriteService.GenerateContainerSas("test-container", Arg.Any<AzuriteSasOptions>())
+            .Returns(CreateSasToken("http://127.0.0.1:10000/devstoreaccount1/test-container"));
+
+        // Act
+        var result = repository.GenerateContainerSas("test-container", new GenerateSasDTO { StoredAccessPolicy = " read-only " });
+
+        // Assert
+        result.Url.Should().StartWith("http://127.0.0.1:10000/devstoreaccount1/test-container?");
+        _mockAzuriteService.Received(1).GenerateContainerSas("test-container",
+            Arg.Is<AzuriteSasOptions>(o => o.Identifier == "read-only" && o.Permissions == string.Empty && o.ExpiresOn == null));
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ToSasOptions_WithValidRequest_ShouldTrimAndOrderValues()
+    {
+        // Arrange
+        var startsOn = DateTimeOffset.UtcNow;
+        var dto = new GenerateSasDTO { Permissions = "ltrw", StartsOn = startsOn, ExpiresOn = startsOn.AddDays(1), IPRange = " 10.0.0.1 - 10.0.0.255 ", HttpsOnly = true };
+
+        // Act
+        var result = StorageRepository.ToSasOptions(dto, StorageRepository.ContainerSasPermissions);
+
+        // Assert
+        result.Permissions.Should().Be("rwlt");
+        result.StartsOn.Should().Be(startsOn);
+        result.ExpiresOn.Should().Be(startsOn.AddDays(1));
+        result.IPRange.Should().Be("10.0.0.1-10.0.0.255");
+        result.HttpsOnly.Should().BeTrue();
+        result.Identifier.Should().BeNull();
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData("rl", "")]
+    [InlineData("rz", "")]
+    [InlineData("", "")]
+    [InlineData("r", "not-an-ip")]
+    [InlineData("r", "10.0.0.1-10.0.0.2-10.0.0.3")]
+    [InlineData("r", "::1")]
+    public void ToSasOptions_WithInvalidBlobRequest_ShouldThrowBadRequest(string permissions, string ipRange)
+    {
+        // Arrange
+        var dto = new GenerateSasDTO { Permissions = permissions, ExpiresOn = DateTimeOffset.UtcNow.AddHours(1), IPRange = ipRange };
+
+        // Act
+        Action act = () => StorageRepository.ToSasOptions(dto, StorageRepository.BlobSasPermissions);
+
+        // Assert
+        act.Should().Throw<AzuriteServiceException>()
+            .Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ToSasOptions_WithoutExpiryOrPolicy_ShouldThrowBadRequest()
+    {
+        // Arrange
+        var dto = new GenerateSasDTO { Permissions = "r" };
+
+        // Act
+        Action act = () => StorageRepository.ToSasOptions(dto, StorageRepository.BlobSasPermissions);
+
+        // Assert
+        act.Should().Throw<AzuriteServiceException>()
+            .WithMessage("*expiry*")
+            .Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ToSasOptions_WithExpiryInThePast_ShouldThrowBadRequest()
+    {
+        // Arrange
+        var dto = new GenerateSasDTO { Permissions = "r", ExpiresOn = DateTimeOffset.UtcNow.AddMinutes(-1) };
+
+        // Act
+        Action act = () => StorageRepository.ToSasOptions(dto, StorageRepository.BlobSasPermissions);
+
+        // Assert
+        act.Should().Throw<AzuriteServiceException>()
+            .Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ToSasOptions_WithExpiryBeforeStart_ShouldThrowBadRequest()
+    {
+        // Arrange
+        var startsOn = DateTimeOffset.UtcNow.AddDays(2);
+        var dto = new GenerateSasDTO { Permissions = "r", StartsOn = startsOn, ExpiresOn = startsOn.AddHours(-1) };
+
+        // Act
+        Action act = () => StorageRepository.ToSasOptions(dto, StorageRepository.BlobSasPermissions);
+
+        // Assert
+        act.Should().Throw<AzuriteServiceException>()
+            .Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+    }
+
+    #endregion
+
+    #region ConvertToPublicAccessType Tests
+
+    [Theory(Timeout = 15000)]
+    [InlineData("container", AzuritePublicAccess.Container)]
+    [InlineData("CONTAINER", AzuritePublicAccess.Container)]
+    [InlineData("CoNtAiNeR", AzuritePublicAccess.Container)]
+    [InlineData("blobcontainer", AzuritePublicAccess.Container)]
+    [InlineData("BLOBCONTAINER", AzuritePublicAccess.Container)]
+    [InlineData("blob", AzuritePublicAccess.Blob)]
+    [InlineData("BLOB", AzuritePublicAccess.Blob)]
     [InlineData("none", AzuritePublicAccess.None)]
     [InlineData("NONE", AzuritePublicAccess.None)]
     public void ConvertToPublicAccessType_WithContainer_ShouldReturnContainerEnum(string input, AzuritePublicAccess expected)
@@ -1985,97 +2879,176 @@ public class StorageRepository_Tests : SqliteDbTests
             .ThrowsAsync(new OperationCanceledException());
 
         // Act
-        var act = async () => await repository.DownloadBlobAsync("test-container", "test-blob.txt", null, cts.Token);
+        var act = async () => await repository.DownloadBlobAsync("test-container", "test-blob.txt", null, cts.Token);
+
+        // Assert
+        await act.Should().ThrowAsync<OperationCanceledException>();
+    }
+
+    #endregion
+
+    #region CreateUploadAsync Tests
+
+    [Fact(Timeout = 15000)]
+    public async Task CreateUploadAsync_WithValidInput_ShouldCreateUploadSession()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "test-container");
+
+        var repository = CreateRepository(context);
+
+        var uploadDto = new CreateUploadRequestDTO
+        {
+            BlobName = "new-blob.txt",
+            ContainerName = "test-container",
+            ContentLength = 10240,
+            ContentType = "text/plain",
+            ContentEncoding = "gzip",
+            ContentLanguage = "en-us",
+            Metadata = new Dictionary<string, string> { ["key"] = "value" },
+            Tags = new Dictionary<string, string> { ["tag"] = "value" }
+        };
+
+        // Act
+        var uploadDTO = await repository.CreateUploadAsync(uploadDto, CancellationToken.None);
+
+        // Assert
+        uploadDTO.Should().NotBeNull();
+        uploadDTO.UploadId.Should().NotBeEmpty();
+        uploadDTO.BlobName.Should().Be("new-blob.txt");
+        uploadDTO.ContainerName.Should().Be("test-container");
+        uploadDTO.ContentLength.Should().Be(10240);
+        uploadDTO.ContentType.Should().Be("text/plain");
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task CreateUploadAsync_WithNonExistentContainer_ShouldThrowResourceNotFoundException()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+
+        var uploadDto = new CreateUploadRequestDTO
+        {
+            BlobName = "new-blob.txt",
+            ContainerName = "non-existent-container",
+            ContentLength = 10240
+        };
+
+        // Act
+        var act = async () => await repository.CreateUploadAsync(uploadDto, CancellationToken.None);
+
+        // Assert
+        await act.Should().ThrowAsync<ResourceNotFoundException>()
+            .Where(ex => ex.ResourceName == "non-existent-container");
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task CreateUploadAsync_WithExistingBlob_ShouldThrowResourceExistsException()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "test-container");
+
+        var blob = CreateBlobModel("existing-blob.txt", "test-container");
+        context.Blobs.Add(blob);
+        await context.SaveChangesAsync();
+
+        var repository = CreateRepository(context);
+
+        var uploadDto = new CreateUploadRequestDTO
+        {
+            BlobName = "existing-blob.txt",
+            ContainerName = "test-container",
+            ContentLength = 10240
+        };
+
+        // Act
+        var act = async () => await repository.CreateUploadAsync(uploadDto, CancellationToken.None);
 
         // Assert
-        await act.Should().ThrowAsync<OperationCanceledException>();
+        await act.Should().ThrowAsync<ResourceExistsException>()
+            .Where(ex => ex.ResourceName == "test-container/existing-blob.txt");
     }
 
-    #endregion
-
-    #region CreateUploadAsync Tests
-
     [Fact(Timeout = 15000)]
-    public async Task CreateUploadAsync_WithValidInput_ShouldCreateUploadSession()
+    public async Task CreateUploadAsync_WithMatchingIfMatch_ShouldCreateReplaceSession()
     {
         // Arrange
         using var context = CreateDbContext();
         await CreateContainerModelAsync(context, "test-container");
+        context.Blobs.Add(CreateBlobModel("existing-blob.txt", "test-container", etag: "0x8D1"));
+        await context.SaveChangesAsync();
 
         var repository = CreateRepository(context);
 
         var uploadDto = new CreateUploadRequestDTO
         {
-            BlobName = "new-blob.txt",
+            BlobName = "existing-blob.txt",
             ContainerName = "test-container",
             ContentLength = 10240,
-            ContentType = "text/plain",
-            ContentEncoding = "gzip",
-            ContentLanguage = "en-us",
-            Metadata = new Dictionary<string, string> { ["key"] = "value" },
-            Tags = new Dictionary<string, string> { ["tag"] = "value" }
+            IfMatch = "\"0x8D1\""
         };
 
         // Act
         var uploadDTO = await repository.CreateUploadAsync(uploadDto, CancellationToken.None);
 
         // Assert
-        uploadDTO.Should().NotBeNull();
-        uploadDTO.UploadId.Should().NotBeEmpty();
-        uploadDTO.BlobName.Should().Be("new-blob.txt");
-        uploadDTO.ContainerName.Should().Be("test-container");
-        uploadDTO.ContentLength.Should().Be(10240);
-        uploadDTO.ContentType.Should().Be("text/plain");
+        var upload = await context.Uploads.FirstAsync(u => u.UploadId == uploadDTO.UploadId);
+        upload.IfMatch.Should().Be("\"0x8D1\"");
     }
 
     [Fact(Timeout = 15000)]
-    public async Task CreateUploadAsync_WithNonExistentContainer_ShouldThrowResourceNotFoundException()
+    public async Task CreateUploadAsync_WithStaleIfMatch_ShouldThrowPreconditionFailedException()
     {
         // Arrange
         using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "test-container");
+        context.Blobs.Add(CreateBlobModel("existing-blob.txt", "test-container", etag: "0x8D2"));
+        await context.SaveChangesAsync();
+
         var repository = CreateRepository(context);
 
         var uploadDto = new CreateUploadRequestDTO
         {
-            BlobName = "new-blob.txt",
-            ContainerName = "non-existent-container",
-            ContentLength = 10240
+            BlobName = "existing-blob.txt",
+            ContainerName = "test-container",
+            ContentLength = 10240,
+            IfMatch = "\"0x8D1\""
         };
 
         // Act
         var act = async () => await repository.CreateUploadAsync(uploadDto, CancellationToken.None);
 
         // Assert
-        await act.Should().ThrowAsync<ResourceNotFoundException>()
-            .Where(ex => ex.ResourceName == "non-existent-container");
+        await act.Should().ThrowAsync<PreconditionFailedException>()
+            .Where(ex => ex.ResourceName == "test-container/existing-blob.txt" && ex.ETag == "0x8D2");
+        context.Uploads.Should().BeEmpty();
     }
 
     [Fact(Timeout = 15000)]
-    public async Task CreateUploadAsync_WithExistingBlob_ShouldThrowResourceExistsException()
+    public async Task CreateUploadAsync_WithIfMatchForMissingBlob_ShouldThrowResourceNotFoundException()
     {
         // Arrange
         using var context = CreateDbContext();
         await CreateContainerModelAsync(context, "test-container");
-
-        var blob = CreateBlobModel("existing-blob.txt", "test-container");
-        context.Blobs.Add(blob);
-        await context.SaveChangesAsync();
-
         var repository = CreateRepository(context);
 
         var uploadDto = new CreateUploadRequestDTO
         {
-            BlobName = "existing-blob.txt",
+            BlobName = "missing-blob.txt",
             ContainerName = "test-container",
-            ContentLength = 10240
+            ContentLength = 10240,
+            IfMatch = "*"
         };
 
         // Act
         var act = async () => await repository.CreateUploadAsync(uploadDto, CancellationToken.None);
 
         // Assert
-        await act.Should().ThrowAsync<ResourceExistsException>()
-            .Where(ex => ex.ResourceName == "test-container/existing-blob.txt");
+        await act.Should().ThrowAsync<ResourceNotFoundException>()
+            .Where(ex => ex.ResourceName == "test-container/missing-blob.txt");
     }
 
     [Fact(Timeout = 15000)]
@@ -2127,7 +3100,7 @@ public class StorageRepository_Tests : SqliteDbTests
             StatusCode = 201
         };
 
-        _mockAzuriteService.UploadBlockAsync("test-container", "test-blob.txt", blockId, contentStream, Arg.Any<CancellationToken>())
+        _mockAzuriteService.UploadBlockAsync("test-container", "test-blob.txt", blockId, contentStream, Arg.Any<byte[]?>(), Arg.Any<CancellationToken>())
             .Returns(blockInfo);
 
         // Act
@@ -2140,7 +3113,7 @@ public class StorageRepository_Tests : SqliteDbTests
         uploadBlock.BlockSize.Should().Be(5);
         uploadBlock.ContentMD5.Should().Be("test-md5");
 
-        await _mockAzuriteService.Received(1).UploadBlockAsync("test-container", "test-blob.txt", blockId, contentStream, Arg.Any<CancellationToken>());
+        await _mockAzuriteService.Received(1).UploadBlockAsync("test-container", "test-blob.txt", blockId, contentStream, Arg.Any<byte[]?>(), Arg.Any<CancellationToken>());
     }
 
     [Fact(Timeout = 15000)]
@@ -2201,7 +3174,7 @@ public class StorageRepository_Tests : SqliteDbTests
             StatusCode = 500
         };
 
-        _mockAzuriteService.UploadBlockAsync("test-container", "test-blob.txt", blockId, contentStream, Arg.Any<CancellationToken>())
+        _mockAzuriteService.UploadBlockAsync("test-container", "test-blob.txt", blockId, contentStream, Arg.Any<byte[]?>(), Arg.Any<CancellationToken>())
             .Returns(blockInfo);
 
         // Act
@@ -2233,7 +3206,7 @@ public class StorageRepository_Tests : SqliteDbTests
         var blockId = Convert.ToBase64String("block1"u8.ToArray());
         var contentStream = new MemoryStream([1, 2, 3]);
 
-        _mockAzuriteService.UploadBlockAsync("test-container", "test-blob.txt", blockId, contentStream, Arg.Any<CancellationToken>())
+        _mockAzuriteService.UploadBlockAsync("test-container", "test-blob.txt", blockId, contentStream, Arg.Any<byte[]?>(), Arg.Any<CancellationToken>())
             .ThrowsAsync(new OperationCanceledException());
 
         // Act
@@ -2337,90 +3310,369 @@ public class StorageRepository_Tests : SqliteDbTests
         // Arrange
         using var context = CreateDbContext();
         var repository = CreateRepository(context);
-        using var cts = new CancellationTokenSource();
-        cts.Cancel();
+        using var cts = new CancellationTokenSource();
+        cts.Cancel();
+
+        var uploadId = Guid.NewGuid();
+
+        // Act
+        var act = async () => await repository.GetUploadStatusAsync(uploadId, cts.Token);
+
+        // Assert
+        await act.Should().ThrowAsync<OperationCanceledException>();
+    }
+
+    #endregion
+
+    #region WriteArchiveAsync Tests
+
+    private static BlobDTO CreateArchiveBlob(string name, DateTimeOffset? lastModified = null) => new()
+    {
+        Name = name,
+        ContainerName = "test-container",
+        ETag = "etag",
+        LastModified = lastModified ?? DateTimeOffset.UtcNow
+    };
+
+    [Fact(Timeout = 15000)]
+    public async Task WriteArchiveAsync_WithBlobs_ShouldWriteZipWithBlobNamesAsPaths()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        var lastModified = new DateTimeOffset(2024, 5, 6, 7, 8, 10, TimeSpan.Zero);
+
+        _mockAzuriteService.DownloadBlobAsync("test-container", "readme.txt", null, Arg.Any<CancellationToken>())
+            .Returns(new AzuriteBlobDownloadResult { Content = new MemoryStream(Encoding.UTF8.GetBytes("hello")), StatusCode = 200 });
+        _mockAzuriteService.DownloadBlobAsync("test-container", "photos/2024/cat.jpg", null, Arg.Any<CancellationToken>())
+            .Returns(new AzuriteBlobDownloadResult { Content = new MemoryStream([1, 2, 3]), StatusCode = 200 });
+
+        using var destination = new MemoryStream();
+
+        // Act
+        await repository.WriteArchiveAsync([CreateArchiveBlob("readme.txt", lastModified), CreateArchiveBlob("photos/2024/cat.jpg")], destination);
+
+        // Assert
+        destination.Position = 0;
+        using var archive = new ZipArchive(destination, ZipArchiveMode.Read);
+        archive.Entries.Select(e => e.FullName).Should().Equal("readme.txt", "photos/2024/cat.jpg");
+
+        using (var reader = new StreamReader(archive.GetEntry("readme.txt")!.Open()))
+        {
+            (await reader.ReadToEndAsync()).Should().Be("hello");
+        }
+        archive.GetEntry("readme.txt")!.LastWriteTime.DateTime.Should().Be(lastModified.ToLocalTime().DateTime);
+        archive.GetEntry("photos/2024/cat.jpg")!.Length.Should().Be(3);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task WriteArchiveAsync_WithMissingBlob_ShouldLeaveItOut()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+
+        _mockAzuriteService.DownloadBlobAsync("test-container", "gone.txt", null, Arg.Any<CancellationToken>())
+            .ThrowsAsync(new ResourceNotFoundException("Blob not found"));
+        _mockAzuriteService.DownloadBlobAsync("test-container", "kept.txt", null, Arg.Any<CancellationToken>())
+            .Returns(new AzuriteBlobDownloadResult { Content = new MemoryStream([1]), StatusCode = 200 });
+
+        using var destination = new MemoryStream();
+
+        // Act
+        await repository.WriteArchiveAsync([CreateArchiveBlob("gone.txt"), CreateArchiveBlob("kept.txt")], destination);
+
+        // Assert
+        destination.Position = 0;
+        using var archive = new ZipArchive(destination, ZipArchiveMode.Read);
+        archive.Entries.Select(e => e.FullName).Should().Equal("kept.txt");
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task WriteArchiveAsync_WhenDownloadFails_ShouldThrow()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+
+        _mockAzuriteService.DownloadBlobAsync("test-container", "broken.txt", null, Arg.Any<CancellationToken>())
+            .ThrowsAsync(new AzuriteServiceException("Service unavailable") { StatusCode = 503 });
+
+        using var destination = new MemoryStream();
+
+        // Act
+        var act = async () => await repository.WriteArchiveAsync([CreateArchiveBlob("broken.txt")], destination);
+
+        // Assert
+        await act.Should().ThrowAsync<AzuriteServiceException>();
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task WriteArchiveAsync_ShouldLeaveDestinationOpen()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var repository = CreateRepository(context);
+        using var destination = new MemoryStream();
+
+        // Act
+        await repository.WriteArchiveAsync([], destination);
+
+        // Assert
+        destination.CanWrite.Should().BeTrue();
+        destination.Length.Should().BeGreaterThan(0);
+    }
+
+    #endregion
+
+    #region CommitUploadAsync Tests
+
+    [Fact(Timeout = 15000)]
+    public async Task CommitUploadAsync_WithAllBlocksUploaded_ShouldCommitAndReturnBlobDTO()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "test-container");
+
+        var uploadId = Guid.NewGuid();
+        var upload = await CreateUploadModelAsync(context, "test-container", uploadId, "new-blob.txt");
+        upload.ContentEncoding = "gzip";
+        upload.ContentLanguage = "en-us";
+        upload.ContentType = "text/plain";
+        upload.Metadata = new Dictionary<string, string> { ["key"] = "value" };
+        upload.Tags = new Dictionary<string, string> { ["tag"] = "value" };
+        await context.SaveChangesAsync();
+
+        var block1 = CreateUploadBlockModel(uploadId, "block1", blockSize: 1024);
+        var block2 = CreateUploadBlockModel(uploadId, "block2", blockSize: 2048);
+        context.UploadBlocks.AddRange(block1, block2);
+        await context.SaveChangesAsync();
+
+        var repository = CreateRepository(context);
+
+        var committedBlob = CreateBlobItem("new-blob.txt", etag: "commit-etag", contentLength: 3072);
+        committedBlob.ContentEncoding = "gzip";
+        committedBlob.ContentLanguage = "en-us";
+        committedBlob.ContentType = "text/plain";
+        committedBlob.Metadata = new Dictionary<string, string> { ["key"] = "value" };
+        committedBlob.Tags = new Dictionary<string, string> { ["tag"] = "value" };
+
+        _mockAzuriteService.UploadCommitAsync(
+            "test-container",
+            "new-blob.txt",
+            Arg.Is<IEnumerable<string>>(blocks => blocks.SequenceEqual(new[] { "block1", "block2" })),
+            Arg.Any<AzuriteBlobProperties>(),
+            Arg.Any<string?>(),
+            Arg.Any<CancellationToken>()
+        ).Returns(committedBlob);
+
+        // Act
+        var result = await repository.CommitUploadAsync(uploadId, new[] { "block1", "block2" }, null, CancellationToken.None);
+
+        // Assert
+        result.Should().NotBeNull();
+        result.Name.Should().Be("new-blob.txt");
+        result.ContainerName.Should().Be("test-container");
+        result.ETag.Should().Be("commit-etag");
+        result.ContentEncoding.Should().Be("gzip");
+        result.ContentLanguage.Should().Be("en-us");
+        result.ContentType.Should().Be("text/plain");
+        result.Metadata.Should().ContainKey("key").WhoseValue.Should().Be("value");
+        result.Tags.Should().ContainKey("tag").WhoseValue.Should().Be("value");
+
+        // Verify the blob was saved to cache
+        var cachedBlob = await context.Blobs.FirstOrDefaultAsync(b => b.ContainerName == "test-container" && b.Name == "new-blob.txt");
+        cachedBlob.Should().NotBeNull();
+
+        await _mockAzuriteService.Received(1).UploadCommitAsync(
+            "test-container",
+            "new-blob.txt",
+            Arg.Any<IEnumerable<string>>(),
+            Arg.Is<AzuriteBlobProperties>(p =>
+                p.ContentEncoding == "gzip" &&
+                p.ContentLanguage == "en-us" &&
+                p.ContentType == "text/plain" &&
+                p.Metadata.ContainsKey("key") &&
+                p.Tags.ContainsKey("tag")),
+            null,
+            Arg.Any<CancellationToken>()
+        );
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task CommitUploadAsync_WithContentMD5_ShouldCommitWithContentHash()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "test-container");
+
+        var uploadId = Guid.NewGuid();
+        await CreateUploadModelAsync(context, "test-container", uploadId, "new-blob.txt");
+        context.UploadBlocks.Add(CreateUploadBlockModel(uploadId, "block1", blockSize: 1024));
+        await context.SaveChangesAsync();
+
+        var repository = CreateRepository(context);
+        var contentHash = MD5.HashData(Encoding.UTF8.GetBytes("content"));
+
+        _mockAzuriteService.UploadCommitAsync(
+            Arg.Any<string>(),
+            Arg.Any<string>(),
+            Arg.Any<IEnumerable<string>>(),
+            Arg.Any<AzuriteBlobProperties>(),
+            Arg.Any<string?>(),
+            Arg.Any<CancellationToken>()
+        ).Returns(CreateBlobItem("new-blob.txt", etag: "commit-etag", contentLength: 1024));
+        _mockAzuriteService.DownloadBlobAsync("test-container", "new-blob.txt", null, Arg.Any<CancellationToken>())
+            .Returns(new AzuriteBlobDownloadResult { Content = new MemoryStream(Encoding.UTF8.GetBytes("content")), StatusCode = StatusCodes.Status200OK });
+
+        // Act
+        await repository.CommitUploadAsync(uploadId, new[] { "block1" }, Convert.ToBase64String(contentHash), CancellationToken.None);
+
+        // Assert
+        await _mockAzuriteService.Received(1).UploadCommitAsync(
+            "test-container",
+            "new-blob.txt",
+            Arg.Any<IEnumerable<string>>(),
+            Arg.Is<AzuriteBlobProperties>(p => p.ContentHash != null && p.ContentHash.SequenceEqual(contentHash)),
+            Arg.Any<string?>(),
+            Arg.Any<CancellationToken>()
+        );
+        await _mockAzuriteService.Received(1).DownloadBlobAsync("test-container", "new-blob.txt", null, Arg.Any<CancellationToken>());
+        await _mockAzuriteService.DidNotReceiveWithAnyArgs().CreateBlobSnapshotAsync(default!, default!, default);
+        await _mockAzuriteService.DidNotReceiveWithAnyArgs().DeleteBlobAsync(default!, default!, default);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task CommitUploadAsync_WithMismatchedContentMD5_ShouldDeleteNewBlobAndThrow()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "test-container");
+
+        var uploadId = Guid.NewGuid();
+        await CreateUploadModelAsync(context, "test-container", uploadId, "new-blob.txt");
+        context.UploadBlocks.Add(CreateUploadBlockModel(uploadId, "block1", blockSize: 1024));
+        await context.SaveChangesAsync();
+
+        var repository = CreateRepository(context);
+        var contentHash = MD5.HashData(Encoding.UTF8.GetBytes("expected content"));
+
+        _mockAzuriteService.UploadCommitAsync(
+            Arg.Any<string>(),
+            Arg.Any<string>(),
+            Arg.Any<IEnumerable<string>>(),
+            Arg.Any<AzuriteBlobProperties>(),
+            Arg.Any<string?>(),
+            Arg.Any<CancellationToken>()
+        ).Returns(CreateBlobItem("new-blob.txt", etag: "commit-etag", contentLength: 1024));
+        _mockAzuriteService.DownloadBlobAsync("test-container", "new-blob.txt", null, Arg.Any<CancellationToken>())
+            .Returns(new AzuriteBlobDownloadResult { Content = new MemoryStream(Encoding.UTF8.GetBytes("corrupted content")), StatusCode = StatusCodes.Status200OK });
+
+        // Act
+        var act = async () => await repository.CommitUploadAsync(uploadId, new[] { "block1" }, Convert.ToBase64String(contentHash), CancellationToken.None);
+
+        // Assert
+        var ex = await act.Should().ThrowAsync<AzuriteServiceException>().WithMessage("*Content-MD5 mismatch*");
+        ex.Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+        await _mockAzuriteService.Received(1).DeleteBlobAsync("test-container", "new-blob.txt", Arg.Any<CancellationToken>());
+        await _mockAzuriteService.DidNotReceiveWithAnyArgs().PromoteBlobSnapshotAsync(default!, default!, default!, default);
+        context.ChangeTracker.Clear();
+        (await context.Uploads.AnyAsync(u => u.UploadId == uploadId)).Should().BeFalse();
+        (await context.Blobs.AnyAsync(b => b.Name == "new-blob.txt")).Should().BeFalse();
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task CommitUploadAsync_WithMismatchedContentMD5_ShouldRestoreReplacedBlobAndThrow()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await CreateContainerModelAsync(context, "test-container");
+
+        var uploadId = Guid.NewGuid();
+        var upload = await CreateUploadModelAsync(context, "test-container", uploadId, "existing-blob.txt");
+        upload.IfMatch = "\"original-etag\"";
+        context.UploadBlocks.Add(CreateUploadBlockModel(uploadId, "block1", blockSize: 1024));
+        await context.SaveChangesAsync();
+
+        var repository = CreateRepository(context);
+        var contentHash = MD5.HashData(Encoding.UTF8.GetBytes("expected content"));
 
-        var uploadId = Guid.NewGuid();
+        var original = CreateBlobItem("existing-blob.txt", etag: "\"original-etag\"");
+        original.Metadata = new Dictionary<string, string> { ["owner"] = "someone" };
+        original.Tags = new Dictionary<string, string> { ["status"] = "draft" };
+        var snapshot = CreateBlobItem("existing-blob.txt", etag: "\"original-etag\"");
+        snapshot.Snapshot = "2025-01-01T00:00:00.0000000Z";
+        var restored = CreateBlobItem("existing-blob.txt", etag: "\"restored-etag\"");
+
+        _mockAzuriteService.GetBlobAsync("test-container", "existing-blob.txt", Arg.Any<CancellationToken>()).Returns(original);
+        _mockAzuriteService.CreateBlobSnapshotAsync("test-container", "existing-blob.txt", Arg.Any<CancellationToken>()).Returns(snapshot);
+        _mockAzuriteService.UploadCommitAsync(
+            Arg.Any<string>(),
+            Arg.Any<string>(),
+            Arg.Any<IEnumerable<string>>(),
+            Arg.Any<AzuriteBlobProperties>(),
+            Arg.Any<string?>(),
+            Arg.Any<CancellationToken>()
+        ).Returns(CreateBlobItem("existing-blob.txt", etag: "commit-etag", contentLength: 1024));
+        _mockAzuriteService.DownloadBlobAsync("test-container", "existing-blob.txt", null, Arg.Any<CancellationToken>())
+            .Returns(new AzuriteBlobDownloadResult { Content = new MemoryStream(Encoding.UTF8.GetBytes("corrupted content")), StatusCode = StatusCodes.Status200OK });
+        _mockAzuriteService.UpdateBlobAsync("test-container", "existing-blob.txt", Arg.Any<AzuriteBlobProperties>(), Arg.Any<CancellationToken>()).Returns(restored);
 
         // Act
-        var act = async () => await repository.GetUploadStatusAsync(uploadId, cts.Token);
+        var act = async () => await repository.CommitUploadAsync(uploadId, new[] { "block1" }, Convert.ToBase64String(contentHash), CancellationToken.None);
 
         // Assert
-        await act.Should().ThrowAsync<OperationCanceledException>();
+        var ex = await act.Should().ThrowAsync<AzuriteServiceException>().WithMessage("*Content-MD5 mismatch*");
+        ex.Which.StatusCode.Should().Be(StatusCodes.Status400BadRequest);
+        await _mockAzuriteService.Received(1).PromoteBlobSnapshotAsync("test-container", "existing-blob.txt", snapshot.Snapshot!, Arg.Any<CancellationToken>());
+        await _mockAzuriteService.Received(1).UpdateBlobAsync(
+            "test-container",
+            "existing-blob.txt",
+            Arg.Is<AzuriteBlobProperties>(p => p.Metadata["owner"] == "someone" && p.Tags["status"] == "draft"),
+            Arg.Any<CancellationToken>());
+        await _mockAzuriteService.Received(1).DeleteBlobSnapshotAsync("test-container", "existing-blob.txt", snapshot.Snapshot!, Arg.Any<CancellationToken>());
+        await _mockAzuriteService.DidNotReceiveWithAnyArgs().DeleteBlobAsync(default!, default!, default);
+        context.ChangeTracker.Clear();
+        (await context.Uploads.AnyAsync(u => u.UploadId == uploadId)).Should().BeFalse();
+        var cached = await context.Blobs.SingleAsync(b => b.ContainerName == "test-container" && b.Name == "existing-blob.txt");
+        cached.ETag.Should().Be("\"restored-etag\"");
     }
 
-    #endregion
-
-    #region CommitUploadAsync Tests
-
     [Fact(Timeout = 15000)]
-    public async Task CommitUploadAsync_WithAllBlocksUploaded_ShouldCommitAndReturnBlobDTO()
+    public async Task CommitUploadAsync_WithContentMD5_WhenCommitFails_ShouldDeleteSnapshot()
     {
         // Arrange
         using var context = CreateDbContext();
         await CreateContainerModelAsync(context, "test-container");
 
         var uploadId = Guid.NewGuid();
-        var upload = await CreateUploadModelAsync(context, "test-container", uploadId, "new-blob.txt");
-        upload.ContentEncoding = "gzip";
-        upload.ContentLanguage = "en-us";
-        upload.ContentType = "text/plain";
-        upload.Metadata = new Dictionary<string, string> { ["key"] = "value" };
-        upload.Tags = new Dictionary<string, string> { ["tag"] = "value" };
-        await context.SaveChangesAsync();
-
-        var block1 = CreateUploadBlockModel(uploadId, "block1", blockSize: 1024);
-        var block2 = CreateUploadBlockModel(uploadId, "block2", blockSize: 2048);
-        context.UploadBlocks.AddRange(block1, block2);
+        var upload = await CreateUploadModelAsync(context, "test-container", uploadId, "existing-blob.txt");
+        upload.IfMatch = "\"original-etag\"";
+        context.UploadBlocks.Add(CreateUploadBlockModel(uploadId, "block1", blockSize: 1024));
         await context.SaveChangesAsync();
 
         var repository = CreateRepository(context);
+        var snapshot = CreateBlobItem("existing-blob.txt");
+        snapshot.Snapshot = "2025-01-01T00:00:00.0000000Z";
 
-        var committedBlob = CreateBlobItem("new-blob.txt", etag: "commit-etag", contentLength: 3072);
-        committedBlob.ContentEncoding = "gzip";
-        committedBlob.ContentLanguage = "en-us";
-        committedBlob.ContentType = "text/plain";
-        committedBlob.Metadata = new Dictionary<string, string> { ["key"] = "value" };
-        committedBlob.Tags = new Dictionary<string, string> { ["tag"] = "value" };
-
+        _mockAzuriteService.GetBlobAsync("test-container", "existing-blob.txt", Arg.Any<CancellationToken>()).Returns(CreateBlobItem("existing-blob.txt"));
+        _mockAzuriteService.CreateBlobSnapshotAsync("test-container", "existing-blob.txt", Arg.Any<CancellationToken>()).Returns(snapshot);
         _mockAzuriteService.UploadCommitAsync(
-            "test-container",
-            "new-blob.txt",
-            Arg.Is<IEnumerable<string>>(blocks => blocks.SequenceEqual(new[] { "block1", "block2" })),
+            Arg.Any<string>(),
+            Arg.Any<string>(),
+            Arg.Any<IEnumerable<string>>(),
             Arg.Any<AzuriteBlobProperties>(),
+            Arg.Any<string?>(),
             Arg.Any<CancellationToken>()
-        ).Returns(committedBlob);
+        ).ThrowsAsync(new PreconditionFailedException("The blob has changed."));
 
         // Act
-        var result = await repository.CommitUploadAsync(uploadId, new[] { "block1", "block2" }, CancellationToken.None);
+        var act = async () => await repository.CommitUploadAsync(uploadId, new[] { "block1" }, Convert.ToBase64String(MD5.HashData([1, 2, 3])), CancellationToken.None);
 
         // Assert
-        result.Should().NotBeNull();
-        result.Name.Should().Be("new-blob.txt");
-        result.ContainerName.Should().Be("test-container");
-        result.ETag.Should().Be("commit-etag");
-        result.ContentEncoding.Should().Be("gzip");
-        result.ContentLanguage.Should().Be("en-us");
-        result.ContentType.Should().Be("text/plain");
-        result.Metadata.Should().ContainKey("key").WhoseValue.Should().Be("value");
-        result.Tags.Should().ContainKey("tag").WhoseValue.Should().Be("value");
-
-        // Verify the blob was saved to cache
-        var cachedBlob = await context.Blobs.FirstOrDefaultAsync(b => b.ContainerName == "test-container" && b.Name == "new-blob.txt");
-        cachedBlob.Should().NotBeNull();
-
-        await _mockAzuriteService.Received(1).UploadCommitAsync(
-            "test-container",
-            "new-blob.txt",
-            Arg.Any<IEnumerable<string>>(),
-            Arg.Is<AzuriteBlobProperties>(p =>
-                p.ContentEncoding == "gzip" &&
-                p.ContentLanguage == "en-us" &&
-                p.ContentType == "text/plain" &&
-                p.Metadata.ContainsKey("key") &&
-                p.Tags.ContainsKey("tag")),
-            Arg.Any<CancellationToken>()
-        );
+        await act.Should().ThrowAsync<PreconditionFailedException>();
+        await _mockAzuriteService.Received(1).DeleteBlobSnapshotAsync("test-container", "existing-blob.txt", snapshot.Snapshot!, Arg.Any<CancellationToken>());
+        await _mockAzuriteService.DidNotReceiveWithAnyArgs().DownloadBlobAsync(default!, default!, default, default);
     }
 
     [Fact(Timeout = 15000)]
@@ -2440,7 +3692,7 @@ public class StorageRepository_Tests : SqliteDbTests
         var repository = CreateRepository(context);
 
         // Act - trying to commit with blocks that haven't been uploaded
-        var act = async () => await repository.CommitUploadAsync(uploadId, new[] { "block1", "block2", "block3" }, CancellationToken.None);
+        var act = async () => await repository.CommitUploadAsync(uploadId, new[] { "block1", "block2", "block3" }, null, CancellationToken.None);
 
         // Assert
         await act.Should().ThrowAsync<AzuriteServiceException>()
@@ -2457,7 +3709,7 @@ public class StorageRepository_Tests : SqliteDbTests
         var uploadId = Guid.NewGuid();
 
         // Act
-        var act = async () => await repository.CommitUploadAsync(uploadId, new[] { "block1" }, CancellationToken.None);
+        var act = async () => await repository.CommitUploadAsync(uploadId, new[] { "block1" }, null, CancellationToken.None);
 
         // Assert
         await act.Should().ThrowAsync<ResourceNotFoundException>()
@@ -2483,11 +3735,12 @@ public class StorageRepository_Tests : SqliteDbTests
             Arg.Any<string>(),
             Arg.Any<IEnumerable<string>>(),
             Arg.Any<AzuriteBlobProperties>(),
+            Arg.Any<string?>(),
             Arg.Any<CancellationToken>()
         ).ThrowsAsync(new OperationCanceledException());
 
         // Act
-        var act = async () => await repository.CommitUploadAsync(uploadId, new[] { "block1" }, cts.Token);
+        var act = async () => await repository.CommitUploadAsync(uploadId, new[] { "block1" }, null, cts.Token);
 
         // Assert
         await act.Should().ThrowAsync<OperationCanceledException>();
@@ -2607,6 +3860,89 @@ public class StorageRepository_Tests : SqliteDbTests
 
     #endregion
 
+    #region ConvertContentMD5 Tests
+
+    [Fact(Timeout = 15000)]
+    public void ConvertContentMD5_WithNull_ShouldReturnNull()
+    {
+        // Act
+        var result = StorageRepository.ConvertContentMD5(null);
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    [Fact(Timeout = 15000)]
+    public void ConvertContentMD5_WithValidHash_ShouldReturnBytes()
+    {
+        // Arrange
+        var hash = System.Security.Cryptography.MD5.HashData("test"u8.ToArray());
+
+        // Act
+        var result = StorageRepository.ConvertContentMD5(Convert.ToBase64String(hash));
+
+        // Assert
+        result.Should().Equal(hash);
+    }
+
+    [Theory(Timeout = 15000)]
+    [InlineData("not-base64!")]
+    [InlineData("dGVzdA==")] // "test" in base64 - not 16 bytes
+    public void ConvertContentMD5_WithInvalidValue_ShouldThrowAzuriteServiceException(string contentMD5)
+    {
+        // Act
+        var act = () => StorageRepository.ConvertContentMD5(contentMD5);
+
+        // Assert
+        act.Should().Throw<AzuriteServiceException>()
+            .Where(ex => ex.StatusCode == StatusCodes.Status400BadRequest);
+    }
+
+    #endregion
+
+    #region ETagMatches Tests
+
+    [Theory(Timeout = 15000)]
+    [InlineData("0x8D1", "0x8D1", true)]
+    [InlineData("0x8D1", "\"0x8D1\"", true)]
+    [InlineData("\"0x8D1\"", "0x8D1", true)]
+    [InlineData("0x8D1", "*", true)]
+    [InlineData("0x8D1", " \"0x8D1\" ", true)]
+    [InlineData("0x8D1", "0x8D2", false)]
+    [InlineData("0x8D1", "\"0x8D2\"", false)]
+    public void ETagMatches_ShouldCompareDequotedValues(string eTag, string ifMatch, bool expected)
+    {
+        // Act
+        var result = StorageRepository.ETagMatches(eTag, ifMatch);
+
+        // Assert
+        result.Should().Be(expected);
+    }
+
+    #endregion
+
+    #region GetArchiveEntryName Tests
+
+    [Theory(Timeout = 15000)]
+    [InlineData("readme.txt", "readme.txt")]
+    [InlineData("photos/2024/cat.jpg", "photos/2024/cat.jpg")]
+    [InlineData("/leading/slash.txt", "leading/slash.txt")]
+    [InlineData("double//slash.txt", "double/slash.txt")]
+    [InlineData("../../etc/passwd", "etc/passwd")]
+    [InlineData("a/./b/../c.txt", "a/b/c.txt")]
+    [InlineData("windows\\path.txt", "windows/path.txt")]
+    [InlineData("..", "_")]
+    public void GetArchiveEntryName_ShouldReturnSafePath(string blobName, string expected)
+    {
+        // Act
+        var result = StorageRepository.GetArchiveEntryName(blobName);
+
+        // Assert
+        result.Should().Be(expected);
+    }
+
+    #endregion
+
     #region DisposeDownloadStream Tests
 
     [Fact(Timeout = 15000)]
@@ -3220,5 +4556,229 @@ public class StorageRepository_Tests : SqliteDbTests
 
     #endregion
     #endregion
-}
 
+    #region Storage Analytics Tests
+
+    private static async Task AddAnalyticsBlobsAsync(CacheDbContext context)
+    {
+        var now = DateTimeOffset.UtcNow;
+        await CreateContainerModelAsync(context, "photos");
+        await CreateContainerModelAsync(context, "documents");
+        await CreateContainerModelAsync(context, "empty");
+
+        BlobModel Blob(string name, string containerName, string contentType, long contentLength, TimeSpan age)
+        {
+            var blob = CreateBlobModel(name, containerName, contentLength: contentLength, lastModified: now - age);
+            blob.ContentType = contentType;
+            return blob;
+        }
+
+        context.Blobs.AddRange(
+            Blob("new.png", "photos", "image/png", 5000, TimeSpan.FromHours(1)),
+            Blob("old.jpg", "photos", "image/jpeg", 3000, TimeSpan.FromDays(400)),
+            Blob("notes.txt", "documents", "text/plain", 100, TimeSpan.FromDays(3)),
+            Blob("data.json", "documents", "application/json", 200, TimeSpan.FromDays(10)),
+            Blob("archive.zip", "documents", "application/zip", 10000, TimeSpan.FromDays(45)));
+        await context.SaveChangesAsync();
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task GetContainerUsageAsync_WithNoFilter_ShouldReturnContainersLargestFirst()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await AddAnalyticsBlobsAsync(context);
+        var repository = CreateRepository(context);
+
+        // Act
+        var result = await repository.GetContainerUsageAsync();
+
+        // Assert
+        result.Select(x => x.Key).Should().Equal("documents", "photos");
+        result[0].BlobCount.Should().Be(3);
+        result[0].TotalSize.Should().Be(10300);
+        result[1].BlobCount.Should().Be(2);
+        result[1].TotalSize.Should().Be(8000);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task GetContainerUsageAsync_WithFamilyAndAge_ShouldCountOnlyMatchingBlobs()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await AddAnalyticsBlobsAsync(context);
+        var repository = CreateRepository(context);
+
+        // Act
+        var result = await repository.GetContainerUsageAsync(ContentTypeFamily.Find("image"), AgeBucket.Find("day"));
+
+        // Assert
+        result.Should().ContainSingle();
+        result[0].Key.Should().Be("photos");
+        result[0].BlobCount.Should().Be(1);
+        result[0].TotalSize.Should().Be(5000);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task GetContentTypeUsageAsync_ShouldReturnEveryFamilyInOrder()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await AddAnalyticsBlobsAsync(context);
+        var repository = CreateRepository(context);
+
+        // Act
+        var result = await repository.GetContentTypeUsageAsync();
+
+        // Assert
+        result.Select(x => x.Key).Should().Equal(ContentTypeFamily.All.Select(f => f.Key));
+        result.Single(x => x.Key == "image").TotalSize.Should().Be(8000);
+        result.Single(x => x.Key == "text").TotalSize.Should().Be(100);
+        result.Single(x => x.Key == "json").TotalSize.Should().Be(200);
+        result.Single(x => x.Key == "video").BlobCount.Should().Be(0);
+        result.Single(x => x.Key == "other").TotalSize.Should().Be(10000, "application/zip is not in any other family");
+        result.Single(x => x.Key == "image").ContentType.Should().Be("image/");
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task GetContentTypeUsageAsync_WithAge_ShouldCountOnlyBlobsInTheBucket()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await AddAnalyticsBlobsAsync(context);
+        var repository = CreateRepository(context);
+
+        // Act
+        var result = await repository.GetContentTypeUsageAsync(AgeBucket.Find("older"));
+
+        // Assert
+        result.Sum(x => x.BlobCount).Should().Be(1);
+        result.Single(x => x.Key == "image").TotalSize.Should().Be(3000);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task GetAgeUsageAsync_ShouldPlaceEveryBlobInOneBucket()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await AddAnalyticsBlobsAsync(context);
+        var repository = CreateRepository(context);
+
+        // Act
+        var result = await repository.GetAgeUsageAsync();
+
+        // Assert
+        result.Select(x => x.Key).Should().Equal(AgeBucket.All.Select(a => a.Key));
+        result.Select(x => x.BlobCount).Should().Equal(1, 1, 1, 1, 0, 1);
+        result.Sum(x => x.TotalSize).Should().Be(18300);
+        result[0].From.Should().NotBeNull();
+        result[0].To.Should().BeNull();
+        result[^1].From.Should().BeNull();
+        result[^1].To.Should().NotBeNull();
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task GetAgeUsageAsync_WithFamily_ShouldCountOnlyBlobsInTheFamily()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await AddAnalyticsBlobsAsync(context);
+        var repository = CreateRepository(context);
+
+        // Act
+        var result = await repository.GetAgeUsageAsync(ContentTypeFamily.Find("image"));
+
+        // Assert
+        result.Select(x => x.BlobCount).Should().Equal(1, 0, 0, 0, 0, 1);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task GetLargestBlobsAsync_ShouldReturnTopBlobsLargestFirst()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await AddAnalyticsBlobsAsync(context);
+        var repository = CreateRepository(context);
+
+        // Act
+        var result = await repository.GetLargestBlobsAsync(3);
+
+        // Assert
+        result.Select(x => x.Name).Should().Equal("archive.zip", "new.png", "old.jpg");
+        result[0].ContainerName.Should().Be("documents");
+        result[0].ContentLength.Should().Be(10000);
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task GetLargestBlobsAsync_WithFamily_ShouldReturnOnlyBlobsInTheFamily()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        await AddAnalyticsBlobsAsync(context);
+        var repository = CreateRepository(context);
+
+        // Act
+        var result = await repository.GetLargestBlobsAsync(10, ContentTypeFamily.Find("text"));
+
+        // Assert
+        result.Should().ContainSingle().Which.Name.Should().Be("notes.txt");
+    }
+
+    [Fact(Timeout = 15000)]
+    public async Task GetStorageGrowthAsync_ShouldReturnSamplesInThePeriodOldestFirst()
+    {
+        // Arrange
+        using var context = CreateDbContext();
+        var now = DateTimeOffset.UtcNow;
+        context.StorageSamples.AddRange(
+            new StorageSampleModel { SampledAt = now.AddDays(-1), ContainerCount = 2, BlobCount = 20, TotalSize = 2000 },
+            new StorageSampleModel { SampledAt = now.AddDays(-40), ContainerCount = 0, BlobCount = 0, TotalSize = 0 },
+            new StorageSampleModel { SampledAt = now.AddDays(-5), ContainerCount = 1, BlobCount = 10, TotalSize = 1000 });
+        await context.SaveChangesAsync();
+        var repository = CreateRepository(context);
+
+        // Act
+        var result = await repository.GetStorageGrowthAsync(TimeSpan.FromDays(30));
+
+        // Assert
+        result.Select(x => x.Blobs).Should().Equal(10, 20);
+        result[1].Containers.Should().Be(2);
+        result[1].TotalSize.Should().Be(2000);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void DownsampleStorageSamples_WithMoreSamplesThanPoints_ShouldKeepTheLastSampleInEachDivision()
+    {
+        // Arrange
+        var start = new DateTimeOffset(2025, 1, 1, 0, 0, 0, TimeSpan.Zero);
+        var samples = Enumerable.Range(0, 24)
+            .Select(hour => new StorageSampleInfo { SampledAt = start.AddHours(hour), Containers = 1, Blobs = hour, TotalSize = hour })
+            .ToList();
+
+        // Act
+        var result = StorageRepository.DownsampleStorageSamples(samples, start, start.AddDays(1), 4);
+
+        // Assert
+        result.Select(x => x.Blobs).Should().Equal(5, 11, 17, 23);
+    }
+
+    [Fact(Timeout = 15000)]
+    public void DownsampleStorageSamples_WithFewerSamplesThanPoints_ShouldReturnAllSamples()
+    {
+        // Arrange
+        var start = new DateTimeOffset(2025, 1, 1, 0, 0, 0, TimeSpan.Zero);
+        var samples = new List<StorageSampleInfo>
+        {
+            new() { SampledAt = start, Containers = 1, Blobs = 1, TotalSize = 1 },
+            new() { SampledAt = start.AddHours(1), Containers = 1, Blobs = 2, TotalSize = 2 }
+        };
+
+        // Act
+        var result = StorageRepository.DownsampleStorageSamples(samples, start, start.AddDays(1), 4);
+
+        // Assert
+        result.Should().BeEquivalentTo(samples, options => options.WithStrictOrdering());
+    }
+
+    #endregion
+}